@@ -7,7 +7,7 @@
 /**
  * PRIMARY ALGORITHM: Dynamic Perfect Balance Calculator
  * Replaces all preset patterns with mathematical optimization
- * Falls back to enhanced patterns only if optimization fails
+ * Falls back to the constructive rotation only if optimization fails
  */
 function calculateOptimalLineups(players, playersOnField, subsPerChange) {
     debugLog(`🚀 DYNAMIC: Attempting perfect balance calculation for ${players.length}P/${playersOnField}F/${subsPerChange}S`);
@@ -98,538 +98,27 @@ function convertDynamicResultToLineups(dynamicResult, players, playersOnField) {
 }
 
 /**
- * ENHANCED PATTERN-BASED ALGORITHM (Fallback)
- * Improved version of existing algorithm with better balance
+ * CONSTRUCTIVE ALGORITHM (Fallback)
+ * Balanced rotation for any roster size, field size and subs per change
+ * (see lineup-construction.js), reporting its spread next to the lower bound
  */
 function calculateOptimalLineupsEnhanced(players, playersOnField, subsPerChange) {
-    const totalPlayers = players.length;
-    debugLog(`🔧 ENHANCED: Using pattern-based algorithm for ${totalPlayers}P/${playersOnField}F/${subsPerChange}S`);
+    debugLog(`🔧 CONSTRUCTIVE: Building rotation for ${players.length}P/${playersOnField}F/${subsPerChange}S`);
 
-    // Try dynamic pattern generation first (enhanced heuristic)
-    const enhancedResult = generateEvenMoreFairLineupsJS(players, playersOnField, subsPerChange);
-    
-    if (enhancedResult && enhancedResult.lineups && enhancedResult.lineups.length > 1) {
-        debugLog(`✅ ENHANCED: Generated ${enhancedResult.lineups.length} lineups using enhanced heuristic`);
-        return {
-            lineups: enhancedResult.lineups,
-            numLineups: enhancedResult.lineups.length,
-            method: 'ENHANCED_HEURISTIC'
-        };
-    }
-    
-    // Fall back to specific patterns
-    debugLog(`🔍 ENHANCED: Trying specific pattern for ${totalPlayers}P/${playersOnField}F/${subsPerChange}S`);
-    return calculateOptimalLineupsSpecificPatterns(players, playersOnField, subsPerChange);
-}
-
-/**
- * SPECIFIC PATTERNS (Last Resort)
- * Original preset patterns for known configurations
- */
-function calculateOptimalLineupsSpecificPatterns(players, playersOnField, subsPerChange) {
-    const totalPlayers = players.length;
-    
-    // Basketball-specific patterns (5 on court)
-    if (playersOnField === 5) {
-        if (totalPlayers === 6 && subsPerChange === 1) {
-            debugLog("Using basketball 6p/5f/1s pattern");
-            return { lineups: generate6Players5OnField1SubLineups(players), numLineups: 6 };
-        }
-        if (totalPlayers === 7 && subsPerChange === 1) {
-            debugLog("Using basketball 7p/5f/1s pattern");
-            return { lineups: generate7Players5OnField1SubLineups(players), numLineups: 7 };
-        }
-        if (totalPlayers === 7 && subsPerChange === 2) {
-            debugLog("Using basketball 7p/5f/2s pattern");
-            return { lineups: generate7Players5OnField2SubsLineups(players), numLineups: 7 };
-        }
-        if (totalPlayers === 8 && subsPerChange === 1) {
-            debugLog("Using basketball 8p/5f/1s pattern");
-            return { lineups: generate8Players5OnField1SubLineups(players), numLineups: 8 };
-        }
-        if (totalPlayers === 8 && subsPerChange === 2) {
-            debugLog("Using basketball 8p/5f/2s pattern");
-            return { lineups: generate8Players5OnField2SubsLineups(players), numLineups: 8 };
-        }
-        if (totalPlayers === 9 && subsPerChange === 2) {
-            debugLog("Using basketball 9p/5f/2s pattern");
-            return { lineups: generate9Players5OnField2SubsLineups(players), numLineups: 9 };
-        }
-        if (totalPlayers === 10 && subsPerChange === 2) {
-            debugLog("Using basketball 10p/5f/2s pattern");
-            return { lineups: generate10Players5OnField2SubsLineups(players), numLineups: 10 };
-        }
+    if (typeof LineupConstruction === 'undefined') {
+        debugLog('⚠️  Lineup construction not loaded, using enhanced heuristic');
+        return generateEvenMoreFairLineupsJS(players, playersOnField, subsPerChange);
     }
-    
-    // Original patterns for all other configurations
-    return calculateOptimalLineupsOriginal(players, playersOnField, subsPerChange);
-}
-
-/**
- * Basketball-specific lineup generators
- */
-function generate6Players5OnField1SubLineups(players) {
-    return [
-        [players[0], players[1], players[2], players[3], players[4]],
-        [players[5], players[1], players[2], players[3], players[4]],
-        [players[5], players[0], players[2], players[3], players[4]],
-        [players[5], players[0], players[1], players[3], players[4]],
-        [players[5], players[0], players[1], players[2], players[4]],
-        [players[5], players[0], players[1], players[2], players[3]]
-    ].map(l => l.sort());
-}
-
-function generate7Players5OnField1SubLineups(players) {
-    return [
-        [players[0], players[1], players[2], players[3], players[4]],
-        [players[5], players[1], players[2], players[3], players[4]],
-        [players[5], players[6], players[2], players[3], players[4]],
-        [players[5], players[6], players[0], players[3], players[4]],
-        [players[5], players[6], players[0], players[1], players[4]],
-        [players[5], players[6], players[0], players[1], players[2]],
-        [players[3], players[6], players[0], players[1], players[2]]
-    ].map(l => l.sort());
-}
-
-function generate7Players5OnField2SubsLineups(players) {
-    return [
-        [players[0], players[1], players[2], players[3], players[4]],
-        [players[5], players[6], players[2], players[3], players[4]],
-        [players[5], players[6], players[0], players[1], players[4]],
-        [players[2], players[3], players[0], players[1], players[4]],
-        [players[2], players[3], players[5], players[6], players[0]],
-        [players[4], players[1], players[5], players[6], players[0]],
-        [players[4], players[1], players[2], players[3], players[5]]
-    ].map(l => l.sort());
-}
-
-function generate8Players5OnField1SubLineups(players) {
-    return [
-        [players[0], players[1], players[2], players[3], players[4]],
-        [players[5], players[1], players[2], players[3], players[4]],
-        [players[5], players[6], players[2], players[3], players[4]],
-        [players[5], players[6], players[7], players[3], players[4]],
-        [players[5], players[6], players[7], players[0], players[4]],
-        [players[5], players[6], players[7], players[0], players[1]],
-        [players[2], players[6], players[7], players[0], players[1]],
-        [players[2], players[3], players[7], players[0], players[1]]
-    ].map(l => l.sort());
-}
-
-function generate8Players5OnField2SubsLineups(players) {
-    return [
-        [players[0], players[1], players[2], players[3], players[4]],
-        [players[5], players[6], players[2], players[3], players[4]],
-        [players[5], players[6], players[7], players[0], players[4]],
-        [players[1], players[2], players[7], players[0], players[4]],
-        [players[1], players[2], players[3], players[5], players[6]],
-        [players[7], players[0], players[3], players[5], players[6]],
-        [players[7], players[0], players[4], players[1], players[2]],
-        [players[3], players[5], players[4], players[1], players[2]]
-    ].map(l => l.sort());
-}
-
-function generate9Players5OnField2SubsLineups(players) {
-    return [
-        [players[0], players[1], players[2], players[3], players[4]],
-        [players[5], players[6], players[2], players[3], players[4]],
-        [players[5], players[6], players[7], players[8], players[4]],
-        [players[0], players[1], players[7], players[8], players[4]],
-        [players[0], players[1], players[2], players[5], players[7]],
-        [players[3], players[6], players[2], players[5], players[7]],
-        [players[3], players[6], players[8], players[0], players[7]],
-        [players[3], players[4], players[8], players[0], players[1]],
-        [players[2], players[4], players[5], players[6], players[1]]
-    ].map(l => l.sort());
-}
-
-function generate10Players5OnField2SubsLineups(players) {
-    return [
-        [players[0], players[1], players[2], players[3], players[4]],
-        [players[5], players[6], players[2], players[3], players[4]],
-        [players[5], players[6], players[7], players[8], players[4]],
-        [players[0], players[1], players[7], players[8], players[4]],
-        [players[0], players[1], players[7], players[8], players[9]],
-        [players[2], players[3], players[7], players[8], players[9]],
-        [players[2], players[3], players[5], players[6], players[9]],
-        [players[4], players[0], players[5], players[6], players[9]],
-        [players[4], players[0], players[1], players[7], players[8]],
-        [players[2], players[3], players[1], players[5], players[6]]
-    ].map(l => l.sort());
-}
-
-/**
- * ORIGINAL PATTERNS (Preserved for compatibility)
- * All original preset patterns maintained for fallback
- */
-function calculateOptimalLineupsOriginal(players, playersOnField, subsPerChange) {
-    const totalPlayers = players.length;
-    
-    // All the original patterns from Version 3 - kept for absolute compatibility
-    if (totalPlayers === 6 && playersOnField === 4 && subsPerChange === 1) {
-        debugLog("Using original 6p/4f/1s pattern");
-        return { lineups: generate6Players4OnField1SubLineups(players), numLineups: 6 };
-    }
-    if (totalPlayers === 6 && playersOnField === 4 && subsPerChange === 2) {
-        debugLog("Using original 6p/4f/2s pattern");
-        return { lineups: generate6Players4OnField2SubsLineups(players), numLineups: 3 };
-    }
-    if (totalPlayers === 7 && playersOnField === 5 && subsPerChange === 1) {
-        debugLog("Using original 7p/5f/1s pattern");
-        return { lineups: generate7Players5OnField1SubLineupsOriginal(players), numLineups: 7 };
-    }
-    if (totalPlayers === 7 && playersOnField === 4 && subsPerChange === 2) {
-        debugLog("Using original 7p/4f/2s pattern");
-        return { lineups: generate7Players4OnField2SubsLineups(players), numLineups: 7 };
-    }
-    if (totalPlayers === 8 && playersOnField === 5 && subsPerChange === 1) {
-        debugLog("Using original 8p/5f/1s pattern");
-        return { lineups: generate8Players5OnField1SubLineupsOriginal(players), numLineups: 8 };
-    }
-    if (totalPlayers === 8 && playersOnField === 5 && subsPerChange === 2) {
-        debugLog("Using original 8p/5f/2s pattern");
-        return { lineups: generate8Players5OnField2SubLineupsOriginal(players), numLineups: 8 };
-    }
-    if (totalPlayers === 8 && playersOnField === 6 && subsPerChange === 1) {
-        debugLog("Using original 8p/6f/1s pattern");
-        return { lineups: generate8Players6OnField1SubLineups(players), numLineups: 8 };
-    }
-    
-    // More patterns...
-    debugLog("Using 'Even Fairer' general rotation algorithm for original lineups as no specific pattern matched.");
-    return generateEvenMoreFairLineupsJS(players, playersOnField, subsPerChange);
-}
-
-//========================================================================
-// ORIGINAL PRESET PATTERNS (Preserved from Version 3)
-//========================================================================
-
-/**
- * 6 players total, 4 on field, 1 substitution at a time
- */
-function generate6Players4OnField1SubLineups(players) {
-    // P0,P1,P2,P3 on field; P4,P5 on bench
-    // Lineup 1: P0,P1,P2,P3
-    // Lineup 2: P4,P1,P2,P3 (P0 off, P4 on)
-    // Lineup 3: P4,P5,P2,P3 (P1 off, P5 on)
-    // Lineup 4: P4,P5,P0,P3 (P2 off, P0 on)
-    // Lineup 5: P4,P5,P0,P1 (P3 off, P1 on)
-    // Lineup 6: P2,P5,P0,P1 (P4 off, P2 on)
-    // The key is 5 distinct changes to rotate everyone through the bench once.
-    // Total of 6 unique lineups needed to give everyone equal bench time initially.
-    return [
-        [players[0], players[1], players[2], players[3]],
-        [players[4], players[1], players[2], players[3]],
-        [players[4], players[5], players[2], players[3]],
-        [players[4], players[5], players[0], players[3]],
-        [players[4], players[5], players[0], players[1]],
-        [players[2], players[5], players[0], players[1]],
-    ].map(l => l.sort());
-}
-
-/**
- * 6 players total, 4 on field, 2 substitutions at a time
- * Rotates the two bench players completely every sub.
- */
-function generate6Players4OnField2SubsLineups(players) {
-    // P0,P1,P2,P3 on field; P4,P5 on bench
-    // Lineup 1: P0,P1,P2,P3
-    // Lineup 2: P4,P5,P2,P3 (P0,P1 off; P4,P5 on)
-    // Lineup 3: P0,P1,P4,P5 (P2,P3 off; P0,P1 on)
-    // Needs 3 lineups for a full cycle.
-    return [
-        [players[0], players[1], players[2], players[3]],
-        [players[4], players[5], players[2], players[3]],
-        [players[0], players[1], players[4], players[5]]
-    ].map(l => l.sort());
-}
-
-
-/**
- * 7 players total, 4 on field, 2 substitutions at a time
- */
-function generate7Players4OnField2SubsLineups(players) { // players = [P0, P1, P2, P3, P4, P5, P6]
-     // Aim for 7 unique lineups if possible to cycle everyone.
-    return [
-        [players[0], players[1], players[2], players[3]], // Bench: 4,5,6
-        [players[4], players[5], players[2], players[3]], // 0,1 off; 4,5 on. Bench: 0,1,6
-        [players[4], players[5], players[6], players[0]], // 2,3 off; 6,0 on. Bench: 2,3,1
-        [players[1], players[2], players[6], players[0]], // 4,5 off; 1,2 on. Bench: 4,5,3
-        [players[1], players[2], players[3], players[4]], // 6,0 off; 3,4 on. Bench: 6,0,5
-        [players[5], players[6], players[3], players[4]], // 1,2 off; 5,6 on. Bench: 1,2,0
-        [players[5], players[6], players[0], players[1]], // 3,4 off; 0,1 on. Bench: 3,4,2
-    ].map(l => l.sort());
-}
-
-/**
- * 7 players total, 5 on field, 1 substitution at a time
- */
-function generate7Players5OnField1SubLineups(players) {
-    // 7 lineups for full cycle
-    return [
-        [players[0], players[1], players[2], players[3], players[4]], // Bench: 5,6
-        [players[5], players[1], players[2], players[3], players[4]], // 0 off, 5 on. Bench: 0,6
-        [players[5], players[6], players[2], players[3], players[4]], // 1 off, 6 on. Bench: 0,1
-        [players[5], players[6], players[0], players[3], players[4]], // 2 off, 0 on. Bench: 1,2
-        [players[5], players[6], players[0], players[1], players[4]], // 3 off, 1 on. Bench: 2,3
-        [players[5], players[6], players[0], players[1], players[2]], // 4 off, 2 on. Bench: 3,4
-        [players[3], players[6], players[0], players[1], players[2]], // 5 off, 3 on. Bench: 4,5 (player 3 re-enters)
-    ].map(l => l.sort());
-}
-
-/**
- * 8 players total, 5 on field, 1 substitution at a time
- */
-function generate8Players5OnField1SubLineups(players) { // 8 lineups
-    return [
-        [players[0], players[1], players[2], players[3], players[4]],
-        [players[5], players[1], players[2], players[3], players[4]],
-        [players[5], players[6], players[2], players[3], players[4]],
-        [players[5], players[6], players[7], players[3], players[4]],
-        [players[5], players[6], players[7], players[0], players[4]],
-        [players[5], players[6], players[7], players[0], players[1]],
-        [players[2], players[6], players[7], players[0], players[1]],
-        [players[2], players[3], players[7], players[0], players[1]],
-    ].map(l => l.sort());
-}
 
-/**
- * 8 players total, 5 on field, 2 substitutions at a time
- */
-function generate8Players5OnField2SubsLineups(players) {
-    // This pattern creates 4 unique changes before repeating player pairs on bench.
-    // The original had 8 lineups, let's stick to that for now.
-    return [
-        [players[0], players[1], players[2], players[3], players[4]],
-        [players[5], players[6], players[2], players[3], players[4]],
-        [players[5], players[6], players[7], players[0], players[4]],
-        [players[1], players[2], players[7], players[0], players[4]],
-        [players[1], players[2], players[3], players[5], players[6]],
-        [players[7], players[0], players[3], players[5], players[6]],
-        [players[7], players[0], players[4], players[1], players[2]],
-        [players[3], players[5], players[4], players[1], players[2]],
-    ].map(l => l.sort());
-}
-
-
-/**
- * 8 players total, 6 on field, 1 substitution at a time
- */
-function generate8Players6OnField1SubLineups(players) { // 8 lineups
-    return [
-        [players[0], players[1], players[2], players[3], players[4], players[5]],
-        [players[6], players[1], players[2], players[3], players[4], players[5]],
-        [players[6], players[7], players[2], players[3], players[4], players[5]],
-        [players[6], players[7], players[0], players[3], players[4], players[5]],
-        [players[6], players[7], players[0], players[1], players[4], players[5]],
-        [players[6], players[7], players[0], players[1], players[2], players[5]],
-        [players[6], players[7], players[0], players[1], players[2], players[3]],
-        [players[4], players[7], players[0], players[1], players[2], players[3]],
-    ].map(l => l.sort());
+    const result = LineupConstruction.buildBalancedLineups(players, playersOnField, subsPerChange);
+    debugLog(`✅ CONSTRUCTIVE: ${result.numLineups} lineups, appearance spread ${result.spread} (lower bound ${result.spreadLowerBound})`);
+    return result;
 }
 
 //========================================================================
-// SPECIALIZED PATTERN GENERATORS - MEDIUM-SIDED GAMES
+// HELPERS
 //========================================================================
 
-/**
- * 9 players total, 5 on field, 2 substitutions at a time (4 reserves)
- */
-function generate9Players5OnField2SubsLineups(players) { // 9 lineups
-    return [
-        [players[0], players[1], players[2], players[3], players[4]],
-        [players[5], players[6], players[2], players[3], players[4]],
-        [players[5], players[6], players[7], players[8], players[4]],
-        [players[0], players[1], players[7], players[8], players[4]],
-        [players[0], players[1], players[2], players[5], players[7]],
-        [players[3], players[6], players[2], players[5], players[7]],
-        [players[3], players[6], players[8], players[0], players[7]],
-        [players[3], players[4], players[8], players[0], players[1]],
-        [players[2], players[4], players[5], players[6], players[1]],
-    ].map(l => l.sort());
-}
-
-
-/**
- * 9 players total, 6 on field, 2 substitutions at a time (3 reserves)
- */
-function generate9Players6OnField2SubsLineups(players) { // 9 lineups
-    return [
-        [players[0], players[1], players[2], players[3], players[4], players[5]],
-        [players[6], players[7], players[2], players[3], players[4], players[5]],
-        [players[6], players[7], players[8], players[0], players[4], players[5]],
-        [players[6], players[7], players[8], players[0], players[1], players[2]],
-        [players[3], players[4], players[8], players[0], players[1], players[2]],
-        [players[3], players[4], players[5], players[6], players[1], players[2]],
-        [players[3], players[4], players[5], players[6], players[7], players[8]],
-        [players[0], players[1], players[5], players[6], players[7], players[8]],
-        [players[0], players[1], players[2], players[3], players[7], players[8]],
-    ].map(l => l.sort());
-}
-
-/**
- * 9 players total, 7 on field, 1 substitution at a time (2 reserves)
- */
-function generate9Players7OnField1SubLineups(players) { // 9 lineups
-    return [
-        [players[0], players[1], players[2], players[3], players[4], players[5], players[6]],
-        [players[7], players[1], players[2], players[3], players[4], players[5], players[6]],
-        [players[7], players[8], players[2], players[3], players[4], players[5], players[6]],
-        [players[7], players[8], players[0], players[3], players[4], players[5], players[6]],
-        [players[7], players[8], players[0], players[1], players[4], players[5], players[6]],
-        [players[7], players[8], players[0], players[1], players[2], players[5], players[6]],
-        [players[7], players[8], players[0], players[1], players[2], players[3], players[6]],
-        [players[7], players[8], players[0], players[1], players[2], players[3], players[4]],
-        [players[5], players[8], players[0], players[1], players[2], players[3], players[4]],
-    ].map(l => l.sort());
-}
-
-/**
- * 10 players total, 6 on field, 2 substitutions at a time (4 reserves)
- */
-function generate10Players6OnField2SubsLineups(players) { // 10 lineups, or use general if cycle is shorter
-    return [
-        [players[0], players[1], players[2], players[3], players[4], players[5]],
-        [players[6], players[7], players[2], players[3], players[4], players[5]],
-        [players[6], players[7], players[8], players[9], players[4], players[5]],
-        [players[0], players[1], players[8], players[9], players[4], players[5]],
-        [players[0], players[1], players[8], players[9], players[2], players[3]],
-        [players[6], players[7], players[8], players[9], players[2], players[3]],
-        [players[6], players[7], players[0], players[1], players[2], players[3]],
-        [players[4], players[5], players[0], players[1], players[2], players[3]],
-        [players[4], players[5], players[6], players[7], players[2], players[3]],
-        [players[4], players[5], players[6], players[7], players[8], players[9]],
-    ].map(l => l.sort());
-}
-
-/**
- * 10 players total, 7 on field, 2 substitutions at a time (3 reserves)
- */
-function generate10Players7OnField2SubsLineups(players) { // 10 lineups
-    return [
-        [players[0], players[1], players[2], players[3], players[4], players[5], players[6]],
-        [players[7], players[8], players[2], players[3], players[4], players[5], players[6]],
-        [players[7], players[8], players[9], players[0], players[4], players[5], players[6]],
-        [players[7], players[8], players[9], players[0], players[1], players[2], players[6]],
-        [players[3], players[4], players[9], players[0], players[1], players[2], players[5]],
-        [players[3], players[4], players[5], players[6], players[1], players[2], players[7]],
-        [players[3], players[4], players[5], players[6], players[8], players[9], players[0]],
-        [players[1], players[2], players[5], players[6], players[7], players[8], players[9]],
-        [players[1], players[2], players[3], players[4], players[7], players[8], players[9]],
-        [players[0], players[1], players[2], players[3], players[4], players[5], players[9]],
-    ].map(l => l.sort());
-}
-
-
-/**
- * 10 players total, 8 on field, 1 substitution at a time (2 reserves)
- */
-function generate10Players8OnField1SubLineups(players) { // 10 lineups
-    return [
-        [players[0], players[1], players[2], players[3], players[4], players[5], players[6], players[7]],
-        [players[8], players[1], players[2], players[3], players[4], players[5], players[6], players[7]],
-        [players[8], players[9], players[2], players[3], players[4], players[5], players[6], players[7]],
-        [players[8], players[9], players[0], players[3], players[4], players[5], players[6], players[7]],
-        [players[8], players[9], players[0], players[1], players[4], players[5], players[6], players[7]],
-        [players[8], players[9], players[0], players[1], players[2], players[5], players[6], players[7]],
-        [players[8], players[9], players[0], players[1], players[2], players[3], players[6], players[7]],
-        [players[8], players[9], players[0], players[1], players[2], players[3], players[4], players[7]],
-        [players[8], players[9], players[0], players[1], players[2], players[3], players[4], players[5]],
-        [players[6], players[9], players[0], players[1], players[2], players[3], players[4], players[5]],
-    ].map(l => l.sort());
-}
-
-//========================================================================
-// SPECIALIZED PATTERN GENERATORS - LARGE-SIDED GAMES
-//========================================================================
-
-/**
- * 11 players total, 8 on field, 2 substitutions at a time (3 reserves)
- */
-function generate11Players8OnField2SubsLineups(players) { // 11 lineups
-    return [
-        [players[0], players[1], players[2], players[3], players[4], players[5], players[6], players[7]],
-        [players[8], players[9], players[2], players[3], players[4], players[5], players[6], players[7]],
-        [players[8], players[9], players[10], players[0], players[4], players[5], players[6], players[7]],
-        [players[8], players[9], players[10], players[0], players[1], players[2], players[6], players[7]],
-        [players[8], players[9], players[10], players[0], players[1], players[2], players[3], players[4]],
-        [players[5], players[6], players[10], players[0], players[1], players[2], players[3], players[4]],
-        [players[5], players[6], players[7], players[8], players[1], players[2], players[3], players[4]],
-        [players[5], players[6], players[7], players[8], players[9], players[10], players[3], players[4]],
-        [players[5], players[6], players[7], players[8], players[9], players[10], players[0], players[1]],
-        [players[2], players[3], players[7], players[8], players[9], players[10], players[0], players[1]],
-        [players[2], players[3], players[4], players[5], players[9], players[10], players[0], players[1]],
-    ].map(l => l.sort());
-}
-
-//========================================================================
-// SPECIALIZED PATTERN GENERATORS - FULL-SIDED FOOTBALL/SOCCER
-//========================================================================
-
-/**
- * 12 players total, 11 on field, 1 substitution at a time (1 reserve)
- */
-function generate12Players11OnField1SubLineups(players) {
-    const lineups = [];
-    const numPlayers = players.length; // Should be 12
-    for (let i = 0; i < numPlayers; i++) {
-        // Player at index `i` is on the bench for this lineup
-        const lineup = players.filter((_, idx) => idx !== i);
-        lineups.push(lineup.sort());
-    }
-    return lineups; // Will produce 12 lineups, each with a different player on bench
-}
-
-/**
- * 12 players total, 6 on field, 3 substitutions at a time (6 reserves)
- */
-function generate12Players6OnField3SubsLineups(players) {
-    return [
-        [players[0], players[1], players[2], players[3], players[4], players[5]],
-        [players[6], players[7], players[8], players[3], players[4], players[5]],
-        [players[6], players[7], players[8], players[9], players[10], players[11]],
-        [players[0], players[1], players[2], players[9], players[10], players[11]],
-    ].map(l => l.sort());
-}
-
-/**
- * 12 players total, 9 on field, 3 substitutions at a time (3 reserves)
- */
-function generate12Players9OnField3SubsLineups(players) {
-    return [
-        [players[0], players[1], players[2], players[3], players[4], players[5], players[6], players[7], players[8]],
-        [players[9], players[10], players[11], players[3], players[4], players[5], players[6], players[7], players[8]],
-        [players[9], players[10], players[11], players[0], players[1], players[2], players[6], players[7], players[8]],
-        [players[9], players[10], players[11], players[0], players[1], players[2], players[3], players[4], players[5]],
-    ].map(l => l.sort());
-}
-
-/**
- * 14 players total, 11 on field, 3 substitutions at a time (3 reserves)
- */
-function generate14Players11OnField3SubsLineups(players) {
-    return [
-        [players[0], players[1], players[2], players[3], players[4], players[5], players[6], players[7], players[8], players[9], players[10]],
-        [players[11], players[12], players[13], players[3], players[4], players[5], players[6], players[7], players[8], players[9], players[10]],
-        [players[11], players[12], players[13], players[0], players[1], players[2], players[6], players[7], players[8], players[9], players[10]],
-        [players[11], players[12], players[13], players[0], players[1], players[2], players[3], players[4], players[5], players[9], players[10]],
-        [players[0], players[1], players[2], players[3], players[4], players[5], players[6], players[7], players[8], players[11], players[12]],
-    ].map(l => l.sort());
-}
-
-/**
- * 15 players total, 11 on field, 4 substitutions at a time (4 reserves)
- */
-function generate15Players11OnField4SubsLineups(players) {
-    return [
-        [players[0], players[1], players[2], players[3], players[4], players[5], players[6], players[7], players[8], players[9], players[10]],
-        [players[11], players[12], players[13], players[14], players[4], players[5], players[6], players[7], players[8], players[9], players[10]],
-        [players[11], players[12], players[13], players[14], players[0], players[1], players[2], players[3], players[8], players[9], players[10]],
-        [players[0], players[1], players[2], players[3], players[4], players[5], players[6], players[7], players[11], players[12], players[13]],
-    ].map(l => l.sort());
-}
-
-
 /**
  * Simple rotation where the entire bench swaps with a corresponding number of field players.
  * This is typically used when the number of reserves equals the number of substitutions per change.
@@ -11,6 +11,7 @@ const urlsToCache = [
     '/utility-functions.js',
     '/variance-tracker.js',
     '/balance-display-component.js',
+    '/lineup-construction.js',
     '/lineup-generators.js',
     '/substitution-logic.js',
     '/ui-updates.js',
@@ -89,51 +90,26 @@ self.addEventListener('activate', event => {
     );
 });
 
-// Background sync for saving game state
+// Background sync for finished games.
+// StatsTracker queues games in IndexedDB (utils/game-outbox.js) and registers
+// this tag while offline. The Supabase client and session live in the page,
+// so the worker asks an open page to replay the outbox.
+const GAME_OUTBOX_SYNC_TAG = 'sync-game-outbox';
+
 self.addEventListener('sync', event => {
-    if (event.tag === 'sync-game-state') {
-        event.waitUntil(syncGameState());
+    if (event.tag === GAME_OUTBOX_SYNC_TAG) {
+        event.waitUntil(syncGameOutbox());
     }
 });
 
-async function syncGameState() {
-    try {
-        const cache = await caches.open(CACHE_NAME);
-        const gameState = await getStoredGameState();
-        
-        if (gameState) {
-            // Save to server when online
-            await fetch('/api/save-game-state', {
-                method: 'POST',
-                body: JSON.stringify(gameState),
-                headers: {
-                    'Content-Type': 'application/json'
-                }
-            });
-        }
-    } catch (error) {
-        console.error('Sync failed:', error);
+async function syncGameOutbox() {
+    const clients = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+
+    if (clients.length === 0) {
+        // Nothing can replay right now - rejecting makes the browser retry later.
+        // The outbox is also replayed the next time the app opens.
+        throw new Error('No open BenchBalancer page to replay the game outbox');
     }
-}
 
-async function getStoredGameState() {
-    // Retrieve game state from IndexedDB
-    return new Promise((resolve, reject) => {
-        const request = indexedDB.open('BenchBalancerDB', 1);
-        
-        request.onsuccess = event => {
-            const db = event.target.result;
-            const transaction = db.transaction(['gameState'], 'readonly');
-            const store = transaction.objectStore('gameState');
-            const getRequest = store.get('current');
-            
-            getRequest.onsuccess = () => {
-                resolve(getRequest.result);
-            };
-        };
-        
-        request.onerror = () => {
-            reject(request.error);
-        };
-    });
+    clients.forEach(client => client.postMessage({ type: GAME_OUTBOX_SYNC_TAG }));
 }
@@ -8,8 +8,11 @@
  * Supports 9-15 players on field based on age group.
  */
 
+import './base-game-engine.js';
 import { AFLIntervalOptimizer, OPTIMIZER_DEFAULTS } from './afl-interval-optimizer.js';
 
+const BaseGameEngine = window.BaseGameEngine;
+
 // ============================================================================
 // TYPE DEFINITIONS
 // ============================================================================
@@ -24,6 +27,9 @@ import { AFLIntervalOptimizer, OPTIMIZER_DEFAULTS } from './afl-interval-optimiz
  * @property {string} ageGroup - Age group (U9, U10, U11, U12)
  * @property {boolean} autoConfirmRotations - Auto-confirm rotations
  * @property {number} warningBeepTime - Warning time before rotation
+ * @property {boolean} lineBalance - Move players between lines so each plays every line
+ * @property {Object} lineCarryOver - Season-to-date seconds per line: { player: { Back: 900 } }
+ * @property {Object|null} interchangeCap - { perGame, perPeriod, reserve } (null = unlimited)
  */
 
 /**
@@ -49,13 +55,10 @@ export const ENGINE_DEFAULTS = {
     DEFAULT_PERIOD_LENGTH: 720, // 12 minutes per quarter
     DEFAULT_NUM_PERIODS: 4,    // 4 quarters
     WARNING_BEEP_TIME: 10,
-    EARLY_WARNING_TIME: 60,
-    VALIDATION_INTERVAL: 30,
-    MAX_CATCHUP_SECONDS: 3600,
-    MAX_TICK_CATCHUP: 10,
 
     // AFL-specific
     LINES: ['Ruck', 'Midfield', 'Forward', 'Back'],
+    LINE_SWAP_MIN_GAIN: 60,    // Seconds of line balance an interchange swap must win
     SCORING: {
         GOAL: 6,
         BEHIND: 1
@@ -79,11 +82,24 @@ const GLOBAL_GAME_CONFIG = (typeof window !== 'undefined' && window.GameConfig?.
 // MAIN CLASS
 // ============================================================================
 
-export class AFLGameEngine {
+export class AFLGameEngine extends BaseGameEngine {
     constructor(config = null) {
         // Use provided config or fall back to global/defaults
         const baseConfig = config || GLOBAL_GAME_CONFIG;
 
+        super({
+            sport: 'afl',
+            logTag: '[AFLGameEngine]',
+            fieldKey: 'field',
+            spotsKey: 'fieldSpots',
+            stintKey: 'onField',
+            fieldLabel: 'field',
+            periodLabel: 'Quarter',
+            optimizerFieldKey: 'onField',
+            deviationFieldKey: 'actualField',
+            defaults: baseConfig
+        });
+
         // Game configuration - use centralized defaults
         this.config = {
             format: 'quarters',
@@ -97,180 +113,144 @@ export class AFLGameEngine {
             warningBeepTime: baseConfig.WARNING_BEEP_TIME || ENGINE_DEFAULTS.WARNING_BEEP_TIME
         };
 
-        // Game state
-        this.state = {
-            initialized: false,
-            running: false,
-            paused: false,
-            currentTime: 0,
-            currentPeriod: 1,
-            periodElapsed: 0,
-            isQuarterTime: false,
-            isHalftime: false,
-            gameOver: false
+        console.log('🏈 AFL Game Engine v1.0 initialized');
+    }
+
+    // ========================================================================
+    // SPORT HOOKS
+    // ========================================================================
+
+    createInitialState() {
+        return {
+            ...super.createInitialState(),
+            isQuarterTime: false
         };
+    }
 
-        // Player management - critical tracking
-        this.players = {
-            all: [],
-            field: [],     // MUST always have exactly fieldSpots players
-            bench: [],     // Everyone else (interchange bench)
-            removed: new Set(),
-            minutes: {},
-            benchMinutes: {},
-            currentStints: {},
+    createPlayerLedger() {
+        return {
+            ...super.createPlayerLedger(),
             lines: {},           // Current line: { playerName: 'Midfield' }
             lineHistory: {},     // Lines played: { playerName: ['Midfield', 'Forward'] }
-            lastRotationTime: {},
+            lineSeconds: {},     // Field time per line: { playerName: { Midfield: 300, Back: 120 } }
             jerseyNumbers: {}
         };
+    }
 
-        // AFL Scoring management - Goals and Behinds
-        this.scoring = {
+    createScoring() {
+        return {
             home: { goals: 0, behinds: 0 },
             away: { goals: 0, behinds: 0 },
             homeTeamName: 'Home',
             awayTeamName: 'Opposition',
             playerStats: {}  // { playerName: { goals: 0, behinds: 0, disposals: 0, marks: 0, tackles: 0 } }
         };
+    }
 
-        // Rotation management
-        this.rotations = {
-            pending: false,
-            pendingOff: [],
-            pendingOn: [],
-            pendingTime: null,
-            history: [],
-            nextScheduled: null,
-            plan: [],
-            currentPlanIndex: 0,
-            lastConfirmedIndex: -1
-        };
-
-        this.enforcer = null;
-
-        // UI callbacks
-        this.callbacks = {
-            onUpdate: null,
-            onRotation: null,
-            onPeriodEnd: null,
-            onGameEnd: null,
-            onError: null,
-            onWarning: null,
-            onEarlyWarning: null,
-            onRecovery: null,
-            onScoreUpdate: null
-        };
+    getOptimizerClass() {
+        return AFLIntervalOptimizer;
+    }
 
-        // Timer
-        this.timerInterval = null;
-        this.lastTickTime = null;
-        this.warningPlayed = false;
-        this.earlyWarningShown = false;
-
-        // Page Visibility tracking for catch-up when tab is hidden/restored
-        this.lastVisibleTimestamp = null;
-        this.wasRunningWhenHidden = false;
-
-        // Audio
-        this.audio = {
-            warningBeep: null,
-            whistle: null,
-            enabled: true
+    getOptimizerConfig(options) {
+        return {
+            gameLength: this.totalGameLength,
+            periodLength: this.config.periodLength,
+            totalPlayers: options.totalPlayers,
+            fieldSpots: this.config.fieldSpots,
+            idealShiftsPerPlayer: options.idealShiftsPerPlayer,
+            subsPerRotation: options.subsPerRotation,
+            minRotationGapSec: 90  // AFL has more frequent rotations
         };
-
-        this.planTargetMinutes = 0;
-        this.totalGameLength = 0;
-
-        // State validation flag
-        this._stateNeedsValidation = false;
-
-        console.log('🏈 AFL Game Engine v1.0 initialized');
     }
 
-    /**
-     * Mark state as needing validation
-     */
-    markStateDirty() {
-        this._stateNeedsValidation = true;
+    assignRoles(fieldPlayers) {
+        if (!this.config.lineBalance) {
+            this.assignLines(fieldPlayers);
+        } else if (this.state.periodElapsed === 0) {
+            this.balanceLines(fieldPlayers, 'quarter_break');
+        } else {
+            this.fillVacatedLines(fieldPlayers);
+        }
     }
 
-    /**
-     * Validate field/bench state - CRITICAL METHOD
-     * Ensures field has exactly fieldSpots players and no duplicates
-     * @returns {boolean} Whether state is valid
-     */
-    validatePlayerState() {
-        const errors = [];
-        const expectedFieldSize = this.config.fieldSpots;
+    accrueRoleTime(seconds) {
+        this.onField.forEach(player => {
+            const line = this.players.lines[player];
+            if (!line) return;
+            const lineSeconds = this.players.lineSeconds[player] || (this.players.lineSeconds[player] = {});
+            lineSeconds[line] = (lineSeconds[line] || 0) + seconds;
+        });
+    }
 
-        // Check field has exactly fieldSpots players
-        if (this.players.field.length !== expectedFieldSize) {
-            errors.push(`Field has ${this.players.field.length} players, should be ${expectedFieldSize}`);
+    transferRole(playerOff, playerOn) {
+        // Inherit line from subbed-off player
+        this.players.lines[playerOn] = this.players.lines[playerOff];
+        if (!this.players.lineHistory[playerOn]) {
+            this.players.lineHistory[playerOn] = [];
         }
-
-        // Check no duplicates
-        const allActive = [...this.players.field, ...this.players.bench];
-        const uniqueActive = new Set(allActive);
-        if (uniqueActive.size !== allActive.length) {
-            errors.push('Duplicate players found in field/bench');
+        if (!this.players.lineHistory[playerOn].includes(this.players.lines[playerOn])) {
+            this.players.lineHistory[playerOn].push(this.players.lines[playerOn]);
         }
+    }
 
-        // Check all non-removed players are accounted for
-        const expectedActive = this.players.all.filter(p => !this.players.removed.has(p));
-        if (expectedActive.length !== allActive.length) {
-            errors.push(`Player count mismatch: ${expectedActive.length} expected, ${allActive.length} found`);
+    applyBreakFlags(nextPeriod) {
+        if (nextPeriod === 3) {
+            this.state.isHalftime = true;
+            this.state.isQuarterTime = false;
+        } else {
+            this.state.isQuarterTime = true;
+            this.state.isHalftime = false;
         }
 
-        if (errors.length > 0) {
-            console.error('❌ PLAYER STATE INVALID:', errors);
-            this.fixPlayerState();
-            return false;
+        if (this.config.lineBalance) {
+            this.balanceLines(this.onField, 'quarter_break');
         }
-
-        return true;
     }
 
-    /**
-     * Fix invalid player state
-     * Ensures field has exactly fieldSpots players
-     */
-    fixPlayerState() {
-        console.warn('🔧 Fixing player state...');
-
-        const expectedFieldSize = this.config.fieldSpots;
-
-        // Get all active players
-        const activePlayers = this.players.all.filter(p => !this.players.removed.has(p));
-
-        // Current field players (deduplicated)
-        const currentField = [...new Set(this.players.field)];
+    getPeriodEndInfo() {
+        return {
+            ...super.getPeriodEndInfo(),
+            isQuarterTime: this.state.isQuarterTime
+        };
+    }
 
-        // If too many on field, move extras to bench
-        if (currentField.length > expectedFieldSize) {
-            const toRemove = currentField.length - expectedFieldSize;
-            const removed = currentField.splice(expectedFieldSize, toRemove);
-            this.players.field = currentField.slice(0, expectedFieldSize);
-            this.players.bench = [...new Set([...this.players.bench, ...removed])];
-        }
+    getPlayerFinalStats(player) {
+        const playerStats = this.scoring.playerStats[player] || {};
 
-        // If too few on field, pull from bench
-        else if (currentField.length < expectedFieldSize) {
-            const needed = expectedFieldSize - currentField.length;
-            const benchAvailable = this.players.bench.slice(0, needed);
-            this.players.field = [...currentField, ...benchAvailable];
-            this.players.bench = this.players.bench.slice(needed);
-        } else {
-            this.players.field = currentField;
-        }
+        return {
+            jerseyNumber: this.players.jerseyNumbers[player] || null,
+            line: this.players.lines[player] || 'Utility',
+            linesPlayed: this.players.lineHistory[player] || [],
+            lineSeconds: { ...(this.players.lineSeconds[player] || {}) },
+            goals: playerStats.goals || 0,
+            behinds: playerStats.behinds || 0,
+            totalScore: ((playerStats.goals || 0) * 6) + (playerStats.behinds || 0),
+            disposals: playerStats.disposals || 0,
+            kicks: playerStats.kicks || 0,
+            handballs: playerStats.handballs || 0,
+            marks: playerStats.marks || 0,
+            tackles: playerStats.tackles || 0,
+            hitouts: playerStats.hitouts || 0,
+            clearances: playerStats.clearances || 0
+        };
+    }
 
-        // Ensure bench has everyone else
-        const onFieldSet = new Set(this.players.field);
-        this.players.bench = activePlayers.filter(p => !onFieldSet.has(p));
+    getAudioFiles() {
+        return {
+            ...super.getAudioFiles(),
+            finalWhistle: 'Game sounds/final whistle sound.mp3',
+            subBuzzer: 'Game sounds/SportsBuzzer-1-final.mp3'
+        };
+    }
 
-        console.log(`✅ Fixed: ${this.players.field.length} on field, ${this.players.bench.length} on bench`);
+    describeFinalScore() {
+        return `${this.getScoreDisplay('home')} - ${this.getScoreDisplay('away')}`;
     }
 
+    // ========================================================================
+    // SETUP
+    // ========================================================================
+
     /**
      * Initialize game with setup parameters
      */
@@ -306,6 +286,20 @@ export class AFLGameEngine {
         // Validate initial state
         this.validatePlayerState();
 
+        // Per-player playing-time targets (weights, min/max shares or minutes)
+        this.config.playerTargets = this.parsePlayerTargets(setupData);
+
+        // Season ledger: team the minutes are booked to and carry-over to repay
+        this.config.seasonTeam = setupData.seasonTeam || null;
+        this.config.carryOver = this.parseCarryOver(setupData);
+
+        // Line balancing: rotate players through every line, optionally season to date
+        this.config.lineBalance = setupData.lineBalance === true;
+        this.config.lineCarryOver = this.parseLineCarryOver(setupData);
+
+        // Interchange cap (per game and/or per quarter); unlimited rolling interchange by default
+        this.config.interchangeCap = this.parseInterchangeCap(setupData);
+
         // Extract jersey numbers from playerData if available
         if (setupData.playerData) {
             Object.entries(setupData.playerData).forEach(([playerName, data]) => {
@@ -321,16 +315,10 @@ export class AFLGameEngine {
         }
 
         // Initialize player tracking
-        this.players.all.forEach(player => {
-            this.players.minutes[player] = 0;
-            this.players.benchMinutes[player] = 0;
-            this.players.currentStints[player] = {
-                start: 0,
-                onField: this.players.field.includes(player)
-            };
-            this.players.lastRotationTime[player] = 0;
+        this.resetPlayerTracking();
 
-            // Initialize lines if not set
+        // Initialize lines if not set
+        this.players.all.forEach(player => {
             if (!this.players.lines[player]) {
                 this.players.lines[player] = 'Midfield';  // Default line
                 this.players.lineHistory[player] = ['Midfield'];
@@ -338,11 +326,7 @@ export class AFLGameEngine {
         });
 
         // Initialize AFL scoring - Goals and Behinds
-        this.scoring.home = { goals: 0, behinds: 0 };
-        this.scoring.away = { goals: 0, behinds: 0 };
-        this.scoring.homeTeamName = 'Home';
-        this.scoring.awayTeamName = 'Opposition';
-        this.scoring.playerStats = {};
+        this.scoring = this.createScoring();
         this.players.all.forEach(player => {
             this.scoring.playerStats[player] = {
                 goals: 0,
@@ -363,46 +347,15 @@ export class AFLGameEngine {
         this.assignLines(this.players.field);
 
         // Set up optimizer
-        const totalGameLength = this.config.periodLength * this.config.numPeriods;
-        this.totalGameLength = totalGameLength;
+        this.totalGameLength = this.config.periodLength * this.config.numPeriods;
 
         const subsPerRotation = setupData.subsPerChange || setupData.rotationsPerChange || 2;
-        const idealShifts = setupData.idealShiftsPerPlayer || 4;
-        const OptimizerCtor = AFLIntervalOptimizer;
-
-        this.enforcer = new OptimizerCtor({
-            gameLength: totalGameLength,
-            periodLength: this.config.periodLength,
-            totalPlayers: totalPlayers,
-            fieldSpots: this.config.fieldSpots,
-            idealShiftsPerPlayer: idealShifts,
-            subsPerRotation: Math.max(1, Math.min(3, subsPerRotation)),
-            minRotationGapSec: 90  // AFL has more frequent rotations
+        const plan = this.setupOptimizer({
+            totalPlayers,
+            idealShiftsPerPlayer: setupData.idealShiftsPerPlayer || 4,
+            subsPerRotation: Math.max(1, Math.min(3, subsPerRotation))
         });
 
-        this.enforcer.tempo = 'balanced';
-
-        // Initialize enforcer
-        this.enforcer.initialize(this.players.all, {
-            onField: [...this.players.field],
-            onBench: [...this.players.bench],
-            playerMinutes: { ...this.players.minutes },
-            elapsedTime: 0
-        });
-
-        // Generate plan
-        const gen = this.enforcer.generatePlan(0, []);
-        const plan = {
-            plan: gen ? gen.rotations.map(r => ({ time: r.time, off: r.off, on: r.on })) : [],
-            targetMinutes: Math.floor((totalGameLength * this.config.fieldSpots) / totalPlayers),
-            expectedVariance: gen ? gen.expectedVariance : 0
-        };
-
-        this.rotations.plan = plan.plan;
-        this.planTargetMinutes = plan.targetMinutes;
-        this.rotations.currentPlanIndex = 0;
-        this.updateNextRotation();
-
         // Set audio preference
         this.audio.enabled = setupData.enableWarningSound !== false;
         if (this.audio.enabled) {
@@ -504,6 +457,7 @@ export class AFLGameEngine {
         }
 
         this.players.lines[player] = newLine;
+        this.logEvent('line_change', { player, line: newLine });
 
         // Track line history
         if (!this.players.lineHistory[player].includes(newLine)) {
@@ -515,889 +469,217 @@ export class AFLGameEngine {
     }
 
     /**
-     * Confirm pending rotation - FIXED
-     */
-    confirmRotation() {
-        if (!this.rotations.pending) {
-            this.handleError('No pending rotation to confirm');
-            return false;
-        }
-
-        const { pendingOff, pendingOn } = this.rotations;
-
-        // Validate rotation
-        if (pendingOff.length !== pendingOn.length) {
-            this.handleError('Invalid rotation: off/on counts do not match');
-            return false;
-        }
-
-        // Check all OFF players are on field
-        for (const player of pendingOff) {
-            if (!this.players.field.includes(player)) {
-                this.handleError(`Cannot sub off ${player} - not on field`);
-                return false;
-            }
-        }
-
-        // Check all ON players are on bench
-        for (const player of pendingOn) {
-            if (!this.players.bench.includes(player)) {
-                this.handleError(`Cannot sub on ${player} - not on bench`);
-                return false;
-            }
-        }
-
-        const plannedTime = this.rotations.pendingTime;
-        const rotationTime = this.state.currentTime;
-        const delay = rotationTime - plannedTime;
-
-        console.log(`✅ Rotation confirmed at ${this.formatTime(rotationTime)}`);
-
-        // Execute rotation - CAREFUL ORDER
-        // 1. Remove from field
-        this.players.field = this.players.field.filter(p => !pendingOff.includes(p));
-
-        // 2. Add to field
-        this.players.field.push(...pendingOn);
-
-        // 3. Remove from bench
-        this.players.bench = this.players.bench.filter(p => !pendingOn.includes(p));
-
-        // 4. Add to bench
-        this.players.bench.push(...pendingOff);
-
-        // Validate we still have correct field size
-        this.validatePlayerState();
-
-        // Update lines for new field players
-        this.assignLines(this.players.field);
-
-        // Update stints
-        pendingOff.forEach(player => {
-            this.players.currentStints[player].onField = false;
-            this.players.lastRotationTime[player] = rotationTime;
-        });
-
-        pendingOn.forEach(player => {
-            this.players.currentStints[player] = {
-                start: rotationTime,
-                onField: true
-            };
-            this.players.lastRotationTime[player] = rotationTime;
-        });
-
-        // Record rotation
-        this.rotations.history.push({
-            time: rotationTime,
-            off: pendingOff,
-            on: pendingOn
-        });
-
-        // Handle late rotation
-        const isLate = delay > 15;
-        if (isLate) {
-            console.log(`⚠️ Rotation was ${delay} seconds late - triggering recalculation`);
-            if (this.enforcer) {
-                const playTimesSnapshot = { ...this.players.minutes };
-
-                console.log(`Current field after rotation: ${this.players.field.join(', ')}`);
-                console.log(`Current bench after rotation: ${this.players.bench.join(', ')}`);
-
-                this.enforcer.syncWithActualState(
-                    this.state.currentTime,
-                    [...this.players.field],
-                    [...this.players.bench],
-                    playTimesSnapshot
-                );
-                const newPlan = this.enforcer.handleDeviation(
-                    'late_substitution',
-                    {
-                        actualField: [...this.players.field],
-                        actualBench: [...this.players.bench],
-                        playTimes: playTimesSnapshot
-                    },
-                    rotationTime
-                );
-                if (newPlan) {
-                    console.log('Recovery plan rotations:');
-                    if (newPlan.rotations) {
-                        newPlan.rotations.forEach(r => {
-                            console.log(`  At ${this.formatTime(r.time)}: OFF: [${r.off.join(', ')}], ON: [${r.on.join(', ')}]`);
-                        });
-                    }
-                    this.applyRecoveryPlan(newPlan);
-                }
-            }
-        }
-
-        // Clear pending
-        this.rotations.pending = false;
-        this.rotations.pendingOff = [];
-        this.rotations.pendingOn = [];
-        this.rotations.pendingTime = null;
-
-        // Update rotation index
-        this.rotations.lastConfirmedIndex = this.rotations.currentPlanIndex;
-        this.rotations.currentPlanIndex++;
-
-        // Update next rotation
-        this.updateNextRotation();
-
-        // Play substitution confirmation sound
-        this.playSound('subBuzzer');
-
-        return true;
-    }
-
-    /**
-     * Handle emergency substitution
+     * Handle player injured and unable to return
      */
-    emergencySubstitution(playerOff, playerOn, removeFromGame = false) {
-        console.log(`🚨 Emergency substitution: ${playerOff} → ${playerOn}`);
-
-        // Validate
-        if (!this.players.field.includes(playerOff)) {
-            this.handleError(`${playerOff} is not on field`);
-            return false;
-        }
-
-        if (!this.players.bench.includes(playerOn)) {
-            this.handleError(`${playerOn} is not on bench`);
-            return false;
-        }
-
-        // Execute substitution - ATOMIC OPERATION
-        const fieldIndex = this.players.field.indexOf(playerOff);
-        this.players.field[fieldIndex] = playerOn;
-
-        const benchIndex = this.players.bench.indexOf(playerOn);
-        this.players.bench[benchIndex] = playerOff;
-
-        // Validate state
-        this.validatePlayerState();
-
-        // Update lines - inherit line from subbed-off player
-        this.players.lines[playerOn] = this.players.lines[playerOff];
-        if (!this.players.lineHistory[playerOn].includes(this.players.lines[playerOn])) {
-            this.players.lineHistory[playerOn].push(this.players.lines[playerOn]);
-        }
-
-        // Update stints
-        this.players.currentStints[playerOff].onField = false;
-        this.players.currentStints[playerOn] = {
-            start: this.state.currentTime,
-            onField: true
-        };
-
-        // Record
-        this.rotations.history.push({
-            time: this.state.currentTime,
-            off: [playerOff],
-            on: [playerOn],
-            reason: 'emergency'
-        });
-
-        // Handle removal if requested
-        if (removeFromGame) {
-            this.removePlayer(playerOff);
-        }
-
-        // Notify optimizer and replan
-        if (this.enforcer) {
-            const playTimesSnapshot = { ...this.players.minutes };
-            this.enforcer.syncWithActualState(
-                this.state.currentTime,
-                [...this.players.field],
-                [...this.players.bench],
-                playTimesSnapshot
-            );
-            const deviationType = removeFromGame ? 'injury' : 'late_substitution';
-            const newPlan = this.enforcer.handleDeviation(
-                deviationType,
-                {
-                    player: playerOff,
-                    actualField: [...this.players.field],
-                    actualBench: [...this.players.bench],
-                    playTimes: playTimesSnapshot
-                },
-                this.state.currentTime
-            );
-            if (newPlan) {
-                this.applyRecoveryPlan(newPlan);
-            }
-        }
-
-        return true;
+    playerInjuredOut(player) {
+        return this.playerOutOfGame(player, 'injured out');
     }
 
-    /**
-     * Remove player from game
-     */
-    removePlayer(player) {
-        if (this.players.removed.has(player)) {
-            return true;
-        }
-
-        console.log(`🚫 Removing ${player} from game`);
-
-        // Remove from bench (should NOT be on field)
-        if (this.players.field.includes(player)) {
-            this.handleError(`Cannot remove ${player} - still on field!`);
-            return false;
-        }
-
-        this.players.bench = this.players.bench.filter(p => p !== player);
-        this.players.removed.add(player);
-
-        // Validate
-        this.validatePlayerState();
-
-        return true;
-    }
+    // ========================================================================
+    // LINE BALANCING
+    // ========================================================================
 
     /**
-     * Return removed player
+     * Season-to-date line seconds from setupData.lineCarryOver
+     * @returns {Object} { player: { line: seconds } }
      */
-    returnPlayer(player) {
-        if (!this.players.removed.has(player)) {
-            this.handleError(`${player} was not removed`);
-            return false;
-        }
-
-        console.log(`✅ ${player} returned to game`);
-
-        this.players.removed.delete(player);
-        this.players.bench.push(player);
-
-        // Validate
-        this.validatePlayerState();
+    parseLineCarryOver(setupData) {
+        const carryOver = {};
 
-        // Notify optimizer
-        if (this.enforcer) {
-            const playTimesSnapshot = { ...this.players.minutes };
-            this.enforcer.syncWithActualState(
-                this.state.currentTime,
-                [...this.players.field],
-                [...this.players.bench],
-                playTimesSnapshot
-            );
-            const newPlan = this.enforcer.handleDeviation(
-                'player_returned',
-                {
-                    player: player,
-                    actualField: [...this.players.field],
-                    actualBench: [...this.players.bench],
-                    playTimes: playTimesSnapshot
-                },
-                this.state.currentTime
-            );
-            if (newPlan) {
-                this.applyRecoveryPlan(newPlan);
+        this.players.all.forEach(player => {
+            const lines = {};
+            ENGINE_DEFAULTS.LINES.forEach(line => {
+                const seconds = Number(setupData.lineCarryOver?.[player]?.[line]);
+                if (Number.isFinite(seconds) && seconds > 0) {
+                    lines[line] = seconds;
+                }
+            });
+            if (Object.keys(lines).length > 0) {
+                carryOver[player] = lines;
             }
-        }
-
-        return true;
-    }
-
-    /**
-     * Start or resume game timer
-     */
-    start() {
-        if (!this.state.initialized) {
-            this.handleError('Cannot start: game not initialized');
-            return false;
-        }
-
-        if (this.state.gameOver) {
-            this.handleError('Cannot start: game is over');
-            return false;
-        }
-
-        if (this.state.running) {
-            return true;
-        }
-
-        // Validate before starting
-        this.validatePlayerState();
-
-        console.log('▶️ Starting game timer');
-
-        if (this.state.currentTime === 0 && this.audio.enabled && this.audio.whistle) {
-            this.playSound('whistle');
-        }
-
-        this.state.running = true;
-        this.state.paused = false;
-        this.lastTickTime = Date.now();
-
-        this.timerInterval = setInterval(() => this.tick(), 1000);
-
-        if (this.callbacks.onUpdate) {
-            this.callbacks.onUpdate(this.getState());
-        }
+        });
 
-        return true;
+        return carryOver;
     }
 
     /**
-     * Stop game timer
+     * Share of the field each line should get, from the line distribution
+     * @returns {Object} { line: 0-1 }
      */
-    stop() {
-        if (!this.state.running) {
-            return true;
-        }
-
-        console.log('⏸️ Stopping game timer');
-        this.state.running = false;
-        this.state.paused = true;
-
-        this.wasRunningWhenHidden = false;
-        this.lastVisibleTimestamp = null;
-
-        if (this.timerInterval) {
-            clearInterval(this.timerInterval);
-            this.timerInterval = null;
-        }
-
-        if (this.callbacks.onUpdate) {
-            this.callbacks.onUpdate(this.getState());
-        }
-
-        return true;
+    getLineShares() {
+        const distribution = this.getLineDistribution(this.config.fieldSpots);
+        const slots = Object.values(distribution).reduce((sum, count) => sum + count, 0);
+        const shares = {};
+        ENGINE_DEFAULTS.LINES.forEach(line => {
+            shares[line] = (distribution[line] || 0) / slots;
+        });
+        return shares;
     }
 
     /**
-     * Timer tick - called every second
+     * How far a player is behind their fair share of a line (seconds, season to date
+     * when a line carry-over was given). Negative when they have played it too much
      */
-    tick() {
-        if (!this.state.running) return;
-
-        try {
-            const now = Date.now();
-            const elapsed = Math.round((now - this.lastTickTime) / 1000);
-            this.lastTickTime = now;
-
-            const maxCatchup = GLOBAL_GAME_CONFIG.MAX_TICK_CATCHUP || 10;
-            for (let i = 0; i < Math.min(elapsed, maxCatchup); i++) {
-                this.advanceOneSecond();
-            }
+    getLineNeed(player, line, shares = this.getLineShares()) {
+        const played = this.players.lineSeconds[player] || {};
+        const carried = this.config.lineCarryOver?.[player] || {};
+        const seconds = lineName => (played[lineName] || 0) + (carried[lineName] || 0);
+        const total = ENGINE_DEFAULTS.LINES.reduce((sum, lineName) => sum + seconds(lineName), 0);
 
-            const validationInterval = GLOBAL_GAME_CONFIG.VALIDATION_INTERVAL || 30;
-            if (this.state.currentTime % validationInterval === 0) {
-                this.validatePlayerState();
-            }
-
-            if (this.callbacks.onUpdate) {
-                this.callbacks.onUpdate(this.getState());
-            }
-        } catch (error) {
-            console.error('❌ Tick error:', error);
-            if (this.callbacks.onError) {
-                this.callbacks.onError(`Tick error: ${error.message}`);
-            }
-        }
+        return shares[line] * total - seconds(line);
     }
 
     /**
-     * Advance game time by one second
+     * Put players into free line slots, largest need first. Ties keep a
+     * player's current line so nobody moves without a reason
+     * @param {string[]} players - Players to place
+     * @param {Object} capacity - Free slots per line
+     * @returns {Object} { player: line }
      */
-    advanceOneSecond() {
-        // Check for period end BEFORE incrementing
-        if (this.config.periodLength > 0 &&
-            this.state.periodElapsed >= this.config.periodLength) {
-            this.handlePeriodEnd();
-            return;
-        }
+    assignLinesByNeed(players, capacity) {
+        const shares = this.getLineShares();
+        const free = { ...capacity };
+        const assigned = {};
 
-        // Update player times
-        this.players.field.forEach(player => {
-            this.players.minutes[player] = (this.players.minutes[player] || 0) + 1;
-        });
-
-        this.players.bench.forEach(player => {
-            this.players.benchMinutes[player] = (this.players.benchMinutes[player] || 0) + 1;
+        const options = [];
+        players.forEach((player, order) => {
+            ENGINE_DEFAULTS.LINES.forEach((line, lineOrder) => {
+                options.push({ player, line, order, lineOrder, need: this.getLineNeed(player, line, shares) });
+            });
         });
-
-        // Update game state
-        this.state.currentTime++;
-        this.state.periodElapsed++;
-
-        // Check for rotation warning (1 minute before)
-        if (!this.earlyWarningShown &&
-            this.rotations.nextScheduled &&
-            (this.rotations.nextScheduled.time - this.state.currentTime) === 60) {
-            this.earlyWarningShown = true;
-            if (this.callbacks.onEarlyWarning) {
-                this.callbacks.onEarlyWarning();
-            }
-        }
-
-        // Check for rotation warning (10 seconds before)
-        if (!this.warningPlayed &&
-            this.rotations.nextScheduled &&
-            (this.rotations.nextScheduled.time - this.state.currentTime) <= this.config.warningBeepTime &&
-            (this.rotations.nextScheduled.time - this.state.currentTime) > 0) {
-
-            this.warningPlayed = true;
-
-            if (this.audio.enabled) {
-                this.playSound('warningBeep');
-            }
-
-            if (this.callbacks.onWarning) {
-                const timeToRotation = this.rotations.nextScheduled.time - this.state.currentTime;
-                this.callbacks.onWarning(timeToRotation);
-            }
-        }
-
-        // Check for scheduled rotation
-        if (!this.rotations.pending &&
-            this.rotations.nextScheduled &&
-            this.state.currentTime >= this.rotations.nextScheduled.time) {
-
-            const scheduledOff = this.rotations.nextScheduled.off;
-            const scheduledOn = this.rotations.nextScheduled.on;
-
-            const invalidOff = scheduledOff.filter(p => !this.players.field.includes(p));
-
-            if (invalidOff.length > 0) {
-                console.warn(`⚠️ Skipping invalid rotation at ${this.formatTime(this.state.currentTime)}`);
-                console.warn(`   Players not on field: ${invalidOff.join(', ')}`);
-
-                this.rotations.currentPlanIndex++;
-                this.updateNextRotation();
-
-                if (this.enforcer) {
-                    console.log('🔄 Triggering replan due to invalid rotation');
-                    const playTimesSnapshot = { ...this.players.minutes };
-                    this.enforcer.syncWithActualState(
-                        this.state.currentTime,
-                        [...this.players.field],
-                        [...this.players.bench],
-                        playTimesSnapshot
-                    );
-                    const newPlan = this.enforcer.handleDeviation(
-                        'invalid_rotation',
-                        {
-                            actualField: [...this.players.field],
-                            actualBench: [...this.players.bench],
-                            playTimes: playTimesSnapshot
-                        },
-                        this.state.currentTime
-                    );
-                    if (newPlan) {
-                        this.applyRecoveryPlan(newPlan);
-                    }
-                }
-            } else {
-                this.initiateRotation(scheduledOff, scheduledOn);
-            }
-        }
-    }
-
-    /**
-     * Apply missed time when page was hidden
-     */
-    applyMissedTime(secondsMissed) {
-        if (secondsMissed <= 0) return;
-
-        console.log(`⏱️ Applying ${secondsMissed} seconds of missed time`);
-
-        const totalGameDuration = this.config.periodLength * this.config.numPeriods;
-        const gameWasOver = totalGameDuration > 0 && this.state.currentTime >= totalGameDuration;
-
-        if (gameWasOver) {
-            console.log('Game was already over, not applying missed time');
-            return;
-        }
-
-        this.players.field.forEach(playerName => {
-            this.players.minutes[playerName] = (this.players.minutes[playerName] || 0) + secondsMissed;
+        options.sort((a, b) =>
+            b.need - a.need ||
+            (b.line === this.players.lines[b.player]) - (a.line === this.players.lines[a.player]) ||
+            a.order - b.order ||
+            a.lineOrder - b.lineOrder
+        );
+
+        options.forEach(({ player, line }) => {
+            if (assigned[player] || !(free[line] > 0)) return;
+            assigned[player] = line;
+            free[line]--;
         });
 
-        this.players.bench.forEach(playerName => {
-            this.players.benchMinutes[playerName] = (this.players.benchMinutes[playerName] || 0) + secondsMissed;
+        // More players than slots (should not happen) - spill into the midfield
+        players.forEach(player => {
+            if (!assigned[player]) assigned[player] = 'Midfield';
         });
 
-        this.state.currentTime += secondsMissed;
-        this.state.periodElapsed += secondsMissed;
-
-        while (this.config.periodLength > 0 &&
-            this.state.periodElapsed >= this.config.periodLength &&
-            this.state.currentPeriod <= this.config.numPeriods) {
-
-            const timeOverPeriod = this.state.periodElapsed - this.config.periodLength;
-            const isFinalPeriod = this.state.currentPeriod >= this.config.numPeriods;
-
-            if (isFinalPeriod) {
-                this.state.currentTime = totalGameDuration;
-                this.state.periodElapsed = this.config.periodLength;
-                this.state.gameOver = true;
-                this.stop();
-                if (this.callbacks.onUpdate) {
-                    this.callbacks.onUpdate(this.getState());
-                }
-                return;
-            } else {
-                this.state.currentPeriod++;
-                this.state.periodElapsed = timeOverPeriod;
-            }
-        }
-
-        const isGameOverNow = totalGameDuration > 0 && this.state.currentTime >= totalGameDuration;
-        if (isGameOverNow) {
-            this.state.gameOver = true;
-            this.stop();
-        }
-
-        if (this.callbacks.onUpdate) {
-            this.callbacks.onUpdate(this.getState());
-        }
+        return assigned;
     }
 
     /**
-     * Handle page visibility changes
+     * Quarter break: reshuffle every field player into the line they most need
+     * @param {string[]} fieldPlayers
+     * @param {string} reason - Logged with each line change
      */
-    handleVisibilityChange() {
-        const totalGameDuration = this.config.periodLength * this.config.numPeriods;
-        const isGameOver = totalGameDuration > 0 && this.state.currentTime >= totalGameDuration;
-
-        if (document.hidden) {
-            if (this.state.running) {
-                console.log('📴 Page hidden, timer was running');
-                this.lastVisibleTimestamp = performance.now();
-                this.wasRunningWhenHidden = true;
-                if (this.timerInterval) {
-                    clearInterval(this.timerInterval);
-                    this.timerInterval = null;
-                }
-            } else {
-                this.wasRunningWhenHidden = false;
-            }
-        } else {
-            console.log('📱 Page became visible');
-
-            if (this.wasRunningWhenHidden && this.lastVisibleTimestamp && !isGameOver) {
-                const elapsedWhileHidden = Math.round((performance.now() - this.lastVisibleTimestamp) / 1000);
-                const timeRemaining = this.totalGameLength - this.state.currentTime;
-
-                if (elapsedWhileHidden > 3600 || elapsedWhileHidden > timeRemaining) {
-                    const cappedTime = Math.min(elapsedWhileHidden, timeRemaining);
-                    if (cappedTime <= 0) {
-                        this.lastVisibleTimestamp = null;
-                        this.wasRunningWhenHidden = false;
-                        if (this.callbacks.onUpdate) {
-                            this.callbacks.onUpdate(this.getState());
-                        }
-                        return;
-                    }
-                }
-
-                if (elapsedWhileHidden > 0) {
-                    this.applyMissedTime(elapsedWhileHidden);
-                }
-
-                this.lastVisibleTimestamp = null;
-
-                const newIsGameOver = totalGameDuration > 0 && this.state.currentTime >= totalGameDuration;
-
-                if (!newIsGameOver) {
-                    console.log('▶️ Resuming timer');
-                    this.lastTickTime = Date.now();
-                    this.timerInterval = setInterval(() => this.tick(), 1000);
-                } else {
-                    this.state.running = false;
-                    this.wasRunningWhenHidden = false;
-                }
-
-                if (this.callbacks.onUpdate) {
-                    this.callbacks.onUpdate(this.getState());
-                }
-            } else {
-                this.lastVisibleTimestamp = null;
-                this.wasRunningWhenHidden = false;
-                if (this.callbacks.onUpdate) {
-                    this.callbacks.onUpdate(this.getState());
-                }
-            }
-        }
-    }
-
-    /**
-     * Initiate a rotation
-     */
-    initiateRotation(playersOff, playersOn) {
-        if (!playersOff || !playersOn || playersOff.length !== playersOn.length) {
-            console.warn('Invalid rotation parameters');
-            return false;
-        }
-
-        const invalidOff = playersOff.filter(p => !this.players.field.includes(p));
-        const invalidOn = playersOn.filter(p => !this.players.bench.includes(p));
-
-        if (invalidOff.length > 0) {
-            console.error(`❌ Cannot initiate rotation - these players are NOT on field: ${invalidOff.join(', ')}`);
-            this.rotations.currentPlanIndex++;
-            this.updateNextRotation();
-            return false;
-        }
-
-        if (invalidOn.length > 0) {
-            console.error(`❌ Cannot initiate rotation - these players are NOT on bench: ${invalidOn.join(', ')}`);
-            this.rotations.currentPlanIndex++;
-            this.updateNextRotation();
-            return false;
-        }
-
-        console.log(`🔄 Rotation initiated: OFF: ${playersOff.join(', ')}, ON: ${playersOn.join(', ')}`);
-
-        this.rotations.pending = true;
-        this.rotations.pendingOff = playersOff;
-        this.rotations.pendingOn = playersOn;
-        this.rotations.pendingTime = this.state.currentTime;
-
-        this.warningPlayed = false;
-        this.earlyWarningShown = false;
-
-        if (this.callbacks.onRotation) {
-            this.callbacks.onRotation({
-                off: playersOff,
-                on: playersOn,
-                time: this.state.currentTime
-            });
-        }
-
-        if (this.config.autoConfirmRotations) {
-            this.confirmRotation();
-        }
-
-        return true;
+    balanceLines(fieldPlayers, reason) {
+        const assigned = this.assignLinesByNeed(fieldPlayers, this.getLineDistribution(this.config.fieldSpots));
+        Object.entries(assigned).forEach(([player, line]) => this.setPlayerLine(player, line, reason));
     }
 
     /**
-     * Cancel pending rotation
+     * Interchange: players coming on take the vacated lines they need most,
+     * then each may swap with a teammate when that wins enough line balance
+     * @param {string[]} fieldPlayers - Field after the rotation
      */
-    cancelRotation() {
-        if (!this.rotations.pending) {
-            return false;
-        }
+    fillVacatedLines(fieldPlayers) {
+        const incoming = fieldPlayers.filter(player => this.rotations.pendingOn.includes(player));
+        const staying = fieldPlayers.filter(player => !incoming.includes(player));
 
-        console.log('❌ Rotation cancelled');
-
-        if (this.enforcer) {
-            const playTimesSnapshot = { ...this.players.minutes };
-            this.enforcer.syncWithActualState(
-                this.state.currentTime,
-                [...this.players.field],
-                [...this.players.bench],
-                playTimesSnapshot
-            );
-            const newPlan = this.enforcer.handleDeviation(
-                'late_substitution',
-                {
-                    actualField: [...this.players.field],
-                    actualBench: [...this.players.bench],
-                    playTimes: playTimesSnapshot
-                },
-                this.state.currentTime
-            );
-            if (newPlan) {
-                this.applyRecoveryPlan(newPlan);
-            }
-        }
-
-        this.rotations.pending = false;
-        this.rotations.pendingOff = [];
-        this.rotations.pendingOn = [];
-        this.rotations.pendingTime = null;
+        const capacity = this.getLineDistribution(this.config.fieldSpots);
+        staying.forEach(player => {
+            capacity[this.players.lines[player]] = (capacity[this.players.lines[player]] || 0) - 1;
+        });
 
-        this.rotations.currentPlanIndex++;
-        this.updateNextRotation();
+        const assigned = this.assignLinesByNeed(incoming, capacity);
+        Object.entries(assigned).forEach(([player, line]) => this.setPlayerLine(player, line));
 
-        return true;
+        incoming.forEach(player => this.swapLineIfNeeded(player, staying));
     }
 
     /**
-     * Apply recovery plan
+     * Swap a player's line with the teammate that most improves both players' balance
+     * @returns {string|null} Teammate moved, or null
      */
-    applyRecoveryPlan(recovery) {
-        let newPlanRotations = [];
-        let strategy = recovery.strategy || 'replan';
-        let projectedVariance = recovery.projectedFinalVariance || recovery.expectedVariance || 0;
-
-        if (Array.isArray(recovery.plan)) {
-            newPlanRotations = recovery.plan;
-        } else if (Array.isArray(recovery.rotations)) {
-            newPlanRotations = recovery.rotations.map(r => ({
-                time: r.time,
-                off: r.off,
-                on: r.on
-            }));
-        } else {
-            console.warn('Recovery plan format not recognized');
-            return;
-        }
-
-        if (newPlanRotations.length > 0) {
-            const firstRotation = newPlanRotations[0];
-            const invalidOff = firstRotation.off.filter(p => !this.players.field.includes(p));
-            const invalidOn = firstRotation.on.filter(p => !this.players.bench.includes(p));
+    swapLineIfNeeded(player, teammates) {
+        const shares = this.getLineShares();
+        const line = this.players.lines[player];
+        let best = null;
 
-            if (invalidOff.length > 0 || invalidOn.length > 0) {
-                console.error('⚠️ Recovery plan has invalid first rotation!');
-                return;
+        teammates.forEach(teammate => {
+            const other = this.players.lines[teammate];
+            if (other === line) return;
+            const gain = this.getLineNeed(player, other, shares) + this.getLineNeed(teammate, line, shares) -
+                this.getLineNeed(player, line, shares) - this.getLineNeed(teammate, other, shares);
+            if (gain >= ENGINE_DEFAULTS.LINE_SWAP_MIN_GAIN && (!best || gain > best.gain)) {
+                best = { teammate, gain };
             }
-        }
-
-        console.log(`🔄 Applying recovery plan (${strategy}) with ${newPlanRotations.length} rotations`);
-        this.rotations.plan = newPlanRotations;
-        this.rotations.currentPlanIndex = 0;
-        this.updateNextRotation();
-
-        if (this.callbacks.onRecovery) {
-            this.callbacks.onRecovery({
-                strategy,
-                rotations: newPlanRotations.length,
-                projectedVariance
-            });
-        }
-    }
+        });
 
-    /**
-     * Update next scheduled rotation
-     */
-    updateNextRotation() {
-        if (!this.rotations.plan || this.rotations.currentPlanIndex >= this.rotations.plan.length) {
-            this.rotations.nextScheduled = null;
-            return;
-        }
+        if (!best) return null;
 
-        this.rotations.nextScheduled = this.rotations.plan[this.rotations.currentPlanIndex];
+        const teammateLine = this.players.lines[best.teammate];
+        this.setPlayerLine(best.teammate, line, 'interchange');
+        this.setPlayerLine(player, teammateLine);
+        return best.teammate;
     }
 
     /**
-     * Handle period end
+     * Move a player to a line, keeping history. With a reason the move is logged
+     * (players coming on are not logged - the substitution already is)
      */
-    handlePeriodEnd() {
-        console.log(`Quarter ${this.state.currentPeriod} ended`);
+    setPlayerLine(player, line, reason = null) {
+        const previous = this.players.lines[player];
+        this.players.lines[player] = line;
 
-        this.stop();
-
-        if (this.state.currentPeriod >= this.config.numPeriods) {
-            this.handleGameEnd();
+        if (!this.players.lineHistory[player]) {
+            this.players.lineHistory[player] = [];
         }
-        else {
-            const nextPeriod = this.state.currentPeriod + 1;
-            this.state.currentPeriod = nextPeriod;
-            this.state.periodElapsed = 0;
-
-            // Set break flags
-            if (nextPeriod === 3) {
-                this.state.isHalftime = true;
-                this.state.isQuarterTime = false;
-            } else {
-                this.state.isQuarterTime = true;
-                this.state.isHalftime = false;
-            }
-
-            if (this.callbacks.onPeriodEnd) {
-                this.callbacks.onPeriodEnd({
-                    period: this.state.currentPeriod - 1,
-                    isHalftime: this.state.isHalftime,
-                    isQuarterTime: this.state.isQuarterTime
-                });
-            }
+        if (!this.players.lineHistory[player].includes(line)) {
+            this.players.lineHistory[player].push(line);
         }
-    }
-
-    /**
-     * Handle game end
-     */
-    handleGameEnd() {
-        console.log('🏁 Game ended');
-
-        this.state.gameOver = true;
-        this.state.running = false;
-
-        this.playSound('finalWhistle');
-
-        const stats = this.calculateFinalStats();
-
-        console.log('📊 Final Statistics:');
-        console.log(`   Final Score: ${this.getScoreDisplay('home')} - ${this.getScoreDisplay('away')}`);
-        console.log(`   Variance: ${stats.variance}s`);
-        console.log(`   Rotations: ${stats.rotations}`);
 
-        if (this.callbacks.onGameEnd) {
-            this.callbacks.onGameEnd(stats);
+        if (reason && previous !== line) {
+            this.logEvent('line_change', { player, line, from: previous || null, reason });
         }
     }
 
     /**
-     * Calculate final statistics
+     * Line exposure report: each player's field time per line against the
+     * share an even rotation would give them
+     * @returns {{ lines: string[], target: Object, players: Object }}
+     *   target: { line: percent }, players: { name: { seconds, total, shares } }
      */
-    calculateFinalStats() {
-        const stats = {
-            players: {},
-            variance: 0,
-            rotations: this.rotations.history.length,
-            averageMinutes: 0,
-            maxMinutes: 0,
-            minMinutes: 0
-        };
-
-        const activePlayers = this.players.all.filter(p => !this.players.removed.has(p));
-        let totalMinutes = 0;
-        const playTimes = [];
-
-        activePlayers.forEach(player => {
-            const minutes = this.players.minutes[player] || 0;
-            const benchMinutes = this.players.benchMinutes[player] || 0;
-            const playerStats = this.scoring.playerStats[player] || {};
-
-            stats.players[player] = {
-                minutes: minutes,
-                benchMinutes: benchMinutes,
-                percentage: ((minutes / this.state.currentTime) * 100).toFixed(1),
-                jerseyNumber: this.players.jerseyNumbers[player] || null,
-                line: this.players.lines[player] || 'Utility',
-                linesPlayed: this.players.lineHistory[player] || [],
-                goals: playerStats.goals || 0,
-                behinds: playerStats.behinds || 0,
-                totalScore: ((playerStats.goals || 0) * 6) + (playerStats.behinds || 0),
-                disposals: playerStats.disposals || 0,
-                kicks: playerStats.kicks || 0,
-                handballs: playerStats.handballs || 0,
-                marks: playerStats.marks || 0,
-                tackles: playerStats.tackles || 0,
-                hitouts: playerStats.hitouts || 0,
-                clearances: playerStats.clearances || 0
-            };
-
-            totalMinutes += minutes;
-            playTimes.push(minutes);
-
-            if (minutes > stats.maxMinutes) stats.maxMinutes = minutes;
-            if (stats.minMinutes === 0 || minutes < stats.minMinutes) stats.minMinutes = minutes;
+    getLineReport() {
+        const lineShares = this.getLineShares();
+        const target = {};
+        ENGINE_DEFAULTS.LINES.forEach(line => {
+            target[line] = Math.round(lineShares[line] * 100);
         });
 
-        // Calculate variance using standard deviation
-        if (playTimes.length > 0) {
-            const mean = totalMinutes / playTimes.length;
-            const squaredDiffs = playTimes.map(time => Math.pow(time - mean, 2));
-            const varianceValue = squaredDiffs.reduce((sum, diff) => sum + diff, 0) / playTimes.length;
-            stats.variance = Math.round(Math.sqrt(varianceValue));
-        }
-
-        stats.averageMinutes = activePlayers.length > 0 ? totalMinutes / activePlayers.length : 0;
-
-        if (this.enforcer) {
-            stats.enforcerAnalytics = this.enforcer.getAnalytics(this.state.currentTime);
-        }
+        const players = {};
+        this.players.all.forEach(player => {
+            const played = this.players.lineSeconds[player] || {};
+            const seconds = {};
+            ENGINE_DEFAULTS.LINES.forEach(line => {
+                seconds[line] = played[line] || 0;
+            });
+            const total = Object.values(seconds).reduce((sum, value) => sum + value, 0);
+            const shares = {};
+            ENGINE_DEFAULTS.LINES.forEach(line => {
+                shares[line] = total > 0 ? Math.round(seconds[line] / total * 100) : 0;
+            });
+            players[player] = { seconds, total, shares };
+        });
 
-        return stats;
+        return { lines: [...ENGINE_DEFAULTS.LINES], target, players };
     }
 
+    // ========================================================================
+    // STATS & SCORING
+    // ========================================================================
+
     /**
      * Get complete game stats for database persistence
      */
@@ -1417,6 +699,8 @@ export class AFLGameEngine {
             opponentName: scoringStats.awayTeamName,
             format: this.config.format,
             ageGroup: this.config.ageGroup,
+            lineExposure: this.getLineReport(),
+            interchanges: this.getInterchangeStats(),
             totalGameTime: this.state.currentTime
         };
     }
@@ -1436,6 +720,8 @@ export class AFLGameEngine {
         this.scoring.playerStats[player].goals++;
         this.scoring.home.goals++;
 
+        this.logEvent('score', { team: 'home', player, kind: 'goal', points: 6 });
+
         console.log(`⚽ GOAL! ${player} (${this.getScoreDisplay('home')})`);
 
         if (this.callbacks.onScoreUpdate) {
@@ -1456,6 +742,8 @@ export class AFLGameEngine {
         this.scoring.playerStats[player].behinds++;
         this.scoring.home.behinds++;
 
+        this.logEvent('score', { team: 'home', player, kind: 'behind', points: 1 });
+
         console.log(`○ Behind - ${player} (${this.getScoreDisplay('home')})`);
 
         if (this.callbacks.onScoreUpdate) {
@@ -1470,6 +758,7 @@ export class AFLGameEngine {
      */
     recordOppositionGoal() {
         this.scoring.away.goals++;
+        this.logEvent('score', { team: 'away', player: null, kind: 'goal', points: 6 });
         console.log(`⚽ Opposition GOAL (${this.getScoreDisplay('away')})`);
 
         if (this.callbacks.onScoreUpdate) {
@@ -1484,6 +773,7 @@ export class AFLGameEngine {
      */
     recordOppositionBehind() {
         this.scoring.away.behinds++;
+        this.logEvent('score', { team: 'away', player: null, kind: 'behind', points: 1 });
         console.log(`○ Opposition behind (${this.getScoreDisplay('away')})`);
 
         if (this.callbacks.onScoreUpdate) {
@@ -1527,6 +817,7 @@ export class AFLGameEngine {
         }
 
         this.scoring.playerStats[player][statType] = (this.scoring.playerStats[player][statType] || 0) + value;
+        this.logEvent('stat', { player, stat: statType, value });
 
         // Auto-calculate disposals from kicks + handballs
         if (statType === 'kicks' || statType === 'handballs') {
@@ -1600,16 +891,19 @@ export class AFLGameEngine {
                 field: [...this.players.field],
                 bench: [...this.players.bench],
                 removed: Array.from(this.players.removed),
+                ...this.getAbsentPlayers(),
                 minutes: { ...this.players.minutes },
                 benchMinutes: { ...this.players.benchMinutes },
                 lines: { ...this.players.lines },
-                lineHistory: { ...this.players.lineHistory }
+                lineHistory: { ...this.players.lineHistory },
+                lineSeconds: { ...this.players.lineSeconds }
             },
             rotations: {
                 pending: this.rotations.pending,
                 pendingOff: [...this.rotations.pendingOff],
                 pendingOn: [...this.rotations.pendingOn],
                 next: this.rotations.nextScheduled,
+                upcoming: this.getUpcomingRotations(),
                 history: this.rotations.history.length,
                 remaining: this.rotations.plan.length - this.rotations.currentPlanIndex
             },
@@ -1619,6 +913,8 @@ export class AFLGameEngine {
             targetMinutes: this.planTargetMinutes,
             recoveryActive: false,
             scoring: this.getScoringStats(),
+            lineExposure: this.getLineReport(),
+            interchanges: this.getInterchangeStats(),
             config: {
                 ageGroup: this.config.ageGroup,
                 fieldSpots: this.config.fieldSpots,
@@ -1626,127 +922,4 @@ export class AFLGameEngine {
             }
         };
     }
-
-    /**
-     * Format time for display
-     */
-    formatTime(seconds) {
-        const mins = Math.floor(seconds / 60);
-        const secs = seconds % 60;
-        return `${mins}:${secs.toString().padStart(2, '0')}`;
-    }
-
-    /**
-     * Preload audio files
-     */
-    preloadAudio() {
-        try {
-            this.audio.warningBeep = new Audio('beep-warning.wav');
-            this.audio.whistle = new Audio('startingwhistle.wav');
-            this.audio.finalWhistle = new Audio('Game sounds/final whistle sound.mp3');
-            this.audio.subBuzzer = new Audio('Game sounds/SportsBuzzer-1-final.mp3');
-
-            this.audio.warningBeep.load();
-            this.audio.whistle.load();
-            this.audio.finalWhistle.load();
-            this.audio.subBuzzer.load();
-
-            console.log('🔊 Audio files preloaded');
-        } catch (e) {
-            console.warn('Audio preload failed:', e);
-        }
-    }
-
-    /**
-     * Play sound effect
-     */
-    playSound(soundType) {
-        if (!this.audio.enabled || !this.audio[soundType]) return;
-
-        try {
-            const sound = this.audio[soundType].cloneNode();
-            sound.volume = 0.5;
-            sound.play().catch(e => console.warn(`Failed to play ${soundType}:`, e));
-        } catch (e) {
-            console.warn(`Error playing ${soundType}:`, e);
-        }
-    }
-
-    /**
-     * Handle errors
-     */
-    handleError(message) {
-        console.error(`❌ [AFLGameEngine] ${message}`);
-
-        if (this.callbacks.onError) {
-            this.callbacks.onError(message);
-        }
-    }
-
-    /**
-     * Reset game
-     */
-    reset() {
-        console.log('🔄 Resetting game');
-
-        this.stop();
-
-        if (this.timerInterval) {
-            clearInterval(this.timerInterval);
-            this.timerInterval = null;
-        }
-
-        this.lastVisibleTimestamp = null;
-        this.wasRunningWhenHidden = false;
-
-        this.state = {
-            initialized: false,
-            running: false,
-            paused: false,
-            currentTime: 0,
-            currentPeriod: 1,
-            periodElapsed: 0,
-            isQuarterTime: false,
-            isHalftime: false,
-            gameOver: false
-        };
-
-        this.players = {
-            all: [],
-            field: [],
-            bench: [],
-            removed: new Set(),
-            minutes: {},
-            benchMinutes: {},
-            currentStints: {},
-            lines: {},
-            lineHistory: {},
-            lastRotationTime: {},
-            jerseyNumbers: {}
-        };
-
-        this.rotations = {
-            pending: false,
-            pendingOff: [],
-            pendingOn: [],
-            pendingTime: null,
-            history: [],
-            nextScheduled: null,
-            plan: [],
-            currentPlanIndex: 0,
-            lastConfirmedIndex: -1
-        };
-
-        this.scoring = {
-            home: { goals: 0, behinds: 0 },
-            away: { goals: 0, behinds: 0 },
-            homeTeamName: 'Home',
-            awayTeamName: 'Opposition',
-            playerStats: {}
-        };
-
-        this.enforcer = null;
-
-        console.log('Reset complete');
-    }
 }
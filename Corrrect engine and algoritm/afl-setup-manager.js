@@ -83,6 +83,12 @@ export class AFLSetup {
         this.elements.fieldSpots = document.getElementById('fieldSpots');
         this.elements.numReserves = document.getElementById('numReserves');
         this.elements.warningSoundToggle = document.getElementById('warningSoundToggle');
+        this.elements.lineBalanceToggle = document.getElementById('lineBalanceToggle');
+        this.elements.interchangeCap = document.getElementById('interchangeCap');
+        this.elements.interchangeCapScope = document.getElementById('interchangeCapScope');
+        this.elements.balanceMode = document.getElementById('balanceMode');
+        this.elements.seasonTeam = document.getElementById('seasonTeam');
+        this.elements.seasonReport = document.getElementById('seasonReport');
 
         // Player name containers
         this.elements.starterNamesContainer = document.getElementById('starterNamesContainer');
@@ -182,6 +188,14 @@ export class AFLSetup {
             this.config.enableWarningSound = e.target.checked;
         });
 
+        // Season ledger: balance this game only or season to date
+        this.elements.balanceMode?.addEventListener('change', () => {
+            this.updateSeasonReport();
+        });
+        this.elements.seasonTeam?.addEventListener('change', () => {
+            this.updateSeasonReport();
+        });
+
         // Get plan button
         this.elements.getPlanButton?.addEventListener('click', () => {
             this.showPreliminaryPlan();
@@ -345,6 +359,7 @@ export class AFLSetup {
                                        inputmode="numeric"
                                        pattern="[0-9]*"
                                        autocomplete="off">
+                                ${this.createTargetSelect(`starterTarget${playerIndex}`)}
                             </div>`;
                         playerIndex++;
                     }
@@ -383,6 +398,7 @@ export class AFLSetup {
                                inputmode="numeric"
                                pattern="[0-9]*"
                                autocomplete="off">
+                        ${this.createTargetSelect(`reserveTarget${i}`)}
                     </div>`;
             }
 
@@ -406,6 +422,75 @@ export class AFLSetup {
         });
     }
 
+    /**
+     * Show the team field and season equity report when balancing season to date
+     */
+    async updateSeasonReport() {
+        const seasonMode = this.elements.balanceMode?.value === 'season';
+        this.elements.seasonTeam?.classList.toggle('hidden', !seasonMode);
+        this.elements.seasonReport?.classList.toggle('hidden', !seasonMode);
+        if (!seasonMode || !window.seasonLedger) {
+            return;
+        }
+
+        if (this.elements.seasonTeam && !this.elements.seasonTeam.value) {
+            this.elements.seasonTeam.value = window.seasonLedger.getLastTeam('afl');
+        }
+        const team = this.elements.seasonTeam?.value?.trim();
+        if (!team) {
+            this.elements.seasonReport.innerHTML = '<p class="small-note">Enter a team name to load its season ledger.</p>';
+            return;
+        }
+
+        await window.seasonLedger.syncFromStatsTracker('afl', team).catch(() => false);
+        this.elements.seasonReport.innerHTML = window.renderEquityReport(window.seasonLedger.getReport('afl', team));
+    }
+
+    /**
+     * Season carry-over for the current roster ({} when balancing this game only)
+     */
+    getCarryOver(players) {
+        const team = this.elements.seasonTeam?.value?.trim();
+        if (this.elements.balanceMode?.value !== 'season' || !team || !window.seasonLedger) {
+            return {};
+        }
+        return window.seasonLedger.getCarryOver('afl', team, players);
+    }
+
+    /**
+     * Season seconds per line for the current roster ({} unless balancing season to date)
+     */
+    getLineCarryOver(players) {
+        const team = this.elements.seasonTeam?.value?.trim();
+        if (this.elements.balanceMode?.value !== 'season' || !team || !window.seasonLedger) {
+            return {};
+        }
+        return window.seasonLedger.getLineCarryOver('afl', team, players);
+    }
+
+    /**
+     * Interchange cap from the setup form ({ perGame } or { perPeriod }; null when left empty)
+     */
+    getInterchangeCap() {
+        const value = this.elements.interchangeCap?.value?.trim();
+        if (!value) {
+            return null;
+        }
+        const scope = this.elements.interchangeCapScope?.value === 'perPeriod' ? 'perPeriod' : 'perGame';
+        return { [scope]: parseInt(value, 10) };
+    }
+
+    /**
+     * Playing-time target picker for a player row (blank means an equal share)
+     */
+    createTargetSelect(id) {
+        const presets = window.GameConfig?.PLAYER_TARGET_PRESETS || [];
+        return `
+                                <select class="target-select" id="${id}" title="Playing-time target (e.g. cap a returning player, guarantee a development player)">
+                                    ${presets.map(preset => `<option value="${preset.VALUE}">${preset.LABEL}</option>`).join('')}
+                                </select>`;
+    }
+
     /**
      * Get all player data from inputs
      */
@@ -432,6 +517,7 @@ export class AFLSetup {
                 name: name,
                 jerseyNumber: jersey,
                 line: line,
+                target: document.getElementById(`starterTarget${i}`)?.value || '',
                 isStarter: true
             };
         }
@@ -450,6 +536,7 @@ export class AFLSetup {
                 name: name,
                 jerseyNumber: jersey,
                 line: 'Interchange',
+                target: document.getElementById(`reserveTarget${i}`)?.value || '',
                 isStarter: false
             };
         }
@@ -494,6 +581,12 @@ export class AFLSetup {
             errors.push('Duplicate jersey numbers detected');
         }
 
+        // Players stood down (concussion) sit out until their return date or a recorded clearance
+        const standDownError = window.standDownRegister?.checkRoster(allNames);
+        if (standDownError) {
+            errors.push(standDownError);
+        }
+
         return errors;
     }
 
@@ -523,7 +616,11 @@ export class AFLSetup {
             totalPlayers: totalPlayers,
             fieldSpots: this.config.fieldSpots,
             idealShiftsPerPlayer: this.config.idealShiftsPerPlayer,
-            subsPerRotation: 2
+            subsPerRotation: 2,
+            playerTargets: Object.fromEntries(
+                Object.values(this.config.playerData).map(data => [data.name, data.target])
+            ),
+            carryOver: this.getCarryOver([...this.config.starterNames, ...this.config.reserveNames])
         });
 
         const allPlayers = [...this.config.starterNames, ...this.config.reserveNames];
@@ -568,6 +665,16 @@ export class AFLSetup {
             </div>
         `;
 
+        // Individual playing-time targets (only players who are not on an equal share)
+        const targeted = Object.entries(plan.playerTargets || {})
+            .filter(([name]) => this.config.playerData[name]?.target);
+        if (targeted.length > 0) {
+            output += `<p class="plan-targets">🎯 Targets: ${targeted.map(([name, seconds]) => {
+                const total = Math.round(seconds);
+                return `${name} ${Math.floor(total / 60)}:${(total % 60).toString().padStart(2, '0')}`;
+            }).join(', ')}</p>`;
+        }
+
         // Show rotation schedule
         if (plan.rotations && plan.rotations.length > 0) {
             output += `<div class="rotation-schedule">
@@ -652,12 +759,15 @@ export class AFLSetup {
     /**
      * Confirm setup and start game
      */
-    confirmSetup() {
+    async confirmSetup() {
         console.log('✅ Confirming setup...');
 
         // Get player data
         this.getPlayerData();
 
+        // Stand-downs booked on another device block the roster too
+        await window.standDownRegister?.syncFromStatsTracker().catch(() => false);
+
         // Validate
         const errors = this.validateSetup();
         if (errors.length > 0) {
@@ -677,7 +787,12 @@ export class AFLSetup {
             playerData: this.config.playerData,
             idealShiftsPerPlayer: this.config.idealShiftsPerPlayer,
             enableWarningSound: this.config.enableWarningSound,
-            subsPerChange: 2
+            subsPerChange: 2,
+            seasonTeam: this.elements.seasonTeam?.value?.trim() || null,
+            carryOver: this.getCarryOver([...this.config.starterNames, ...this.config.reserveNames]),
+            lineBalance: this.elements.lineBalanceToggle?.checked === true,
+            lineCarryOver: this.getLineCarryOver([...this.config.starterNames, ...this.config.reserveNames]),
+            interchangeCap: this.getInterchangeCap()
         };
 
         console.log('Setup data:', setupData);
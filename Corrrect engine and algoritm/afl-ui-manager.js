@@ -77,6 +77,7 @@ export class AFLUI {
         this.elements.onFieldList = document.getElementById('onFieldList');
         this.elements.onFieldCount = document.getElementById('onFieldCount');
         this.elements.onBenchCount = document.getElementById('onBenchCount');
+        this.elements.interchangeCount = document.getElementById('interchangeCount');
 
         // Status
         this.elements.statusMessage = document.getElementById('statusMessage');
@@ -102,6 +103,7 @@ export class AFLUI {
         this.elements.scoringPadPlayers = document.getElementById('scoringPadPlayers');
         this.elements.statsGrid = document.getElementById('statsGrid');
         this.elements.statsPanel = document.getElementById('statsPanel');
+        this.elements.lineExposureTable = document.getElementById('lineExposureTable');
         this.elements.statsDrawerToggle = document.getElementById('statsDrawerToggle');
 
         // AFL-specific scoring elements
@@ -129,7 +131,8 @@ export class AFLUI {
 
         // Confirm substitution
         this.elements.confirmSubButton?.addEventListener('click', () => {
-            if (this.engine.confirmRotation()) {
+            // A rotation the engine rejects is dropped too - clear the prompt either way
+            if (this.engine.confirmRotation() || !this.engine.rotations.pending) {
                 this.elements.confirmSubButton.classList.add('hidden');
                 this.clearRotationHighlights();
                 // BUGFIX: Clear the "Rotation ready" notification
@@ -276,6 +279,12 @@ export class AFLUI {
             }
         }
 
+        try {
+            this.updateLineExposure(state);
+        } catch (err) {
+            console.error('[UI ERROR] Line exposure update failed:', err);
+        }
+
         // Toggle game controls visibility
         try {
             if (this.elements.gameControls) {
@@ -554,6 +563,54 @@ export class AFLUI {
         this.elements.statsGrid.innerHTML = statsHTML;
     }
 
+    /**
+     * Interchanges used and left under a cap (hidden when interchange is unlimited)
+     */
+    updateInterchangeCount(interchanges) {
+        const el = this.elements.interchangeCount;
+        if (!el) return;
+
+        if (!interchanges?.cap) {
+            el.classList.add('hidden');
+            return;
+        }
+        const scope = interchanges.left === interchanges.gameLeft ? 'game' : 'qtr';
+        el.textContent = `${interchanges.used} used · ${interchanges.left} left this ${scope}`;
+        el.classList.remove('hidden');
+        el.classList.toggle('low', interchanges.left <= interchanges.cap.reserve);
+    }
+
+    /**
+     * Line exposure table: each player's share of field time per line. Shares
+     * well under an even rotation are highlighted
+     */
+    updateLineExposure(state) {
+        const report = state.lineExposure;
+        if (!this.elements.lineExposureTable || !report) return;
+
+        const rows = Object.entries(report.players)
+            .filter(([, data]) => data.total > 0)
+            .sort(([a], [b]) => a.localeCompare(b));
+
+        if (rows.length === 0) {
+            this.elements.lineExposureTable.innerHTML = this.renderEmptyState('No field time yet');
+            return;
+        }
+
+        const header = report.lines.map(line => `<th>${this.getLineLabel(line)} <small>${report.target[line]}%</small></th>`).join('');
+        const body = rows.map(([player, data]) => `
+                <tr>
+                    <td>${this.escapeHTML(player)}</td>
+                    ${report.lines.map(line => `<td class="${data.shares[line] < report.target[line] / 2 ? 'under' : ''}">${data.shares[line]}%</td>`).join('')}
+                </tr>`).join('');
+
+        this.elements.lineExposureTable.innerHTML = `
+            <table class="line-exposure">
+                <thead><tr><th>Player</th>${header}</tr></thead>
+                <tbody>${body}</tbody>
+            </table>`;
+    }
+
     /**
      * Update floating scoring pad - AFL version with Goal/Behind buttons
      */
@@ -932,6 +989,7 @@ export class AFLUI {
         if (this.elements.onBenchCount) {
             this.elements.onBenchCount.textContent = state.players.bench.length;
         }
+        this.updateInterchangeCount(state.interchanges);
 
         // Freeze section (currently not used in AFL)
         if (this.elements.freezeList) {
@@ -1260,6 +1318,9 @@ export class AFLUI {
         offSelect.onchange = () => this.updateEmergencySubVariancePreview(offSelect, onSelect);
         onSelect.onchange = () => this.updateEmergencySubVariancePreview(offSelect, onSelect);
 
+        const injuryToggle = document.getElementById('injurySubToggle');
+        if (injuryToggle) injuryToggle.checked = false;
+
         // Show modal
         this.elements.emergencyModal?.classList.remove('hidden');
 
@@ -1267,10 +1328,29 @@ export class AFLUI {
         document.getElementById('confirmEmergencySubButton').onclick = () => {
             const playerOff = offSelect.value;
             const playerOn = onSelect.value;
-            const removeFromGame = document.querySelector('input[name="injuredFate"]:checked')?.value === 'remove';
+            const fate = document.querySelector('input[name="injuredFate"]:checked')?.value;
+            const removeFromGame = fate === 'remove' || fate === 'concussion';
+            const injury = removeFromGame || document.getElementById('injurySubToggle')?.checked === true;
+            const temporary = fate === 'blood' || fate === 'hia';
+
+            // A sin bin has no replacement - the team plays a player short
+            if (playerOff && fate === 'sinbin') {
+                if (this.engine.sinBin(playerOff)) {
+                    const { returnAt } = this.engine.players.sinBin[playerOff];
+                    this.elements.emergencyModal?.classList.add('hidden');
+                    this.showStatusMessage(`${playerOff} sin-binned until ${this.formatTime(returnAt)} - playing a player short`, 3000, 'warning');
+                }
+                return;
+            }
 
             if (playerOff && playerOn) {
-                if (this.engine.emergencySubstitution(playerOff, playerOn, removeFromGame)) {
+                const success = temporary
+                    ? this.engine.temporaryReplacement(playerOff, playerOn, { reason: fate })
+                    : this.engine.emergencySubstitution(playerOff, playerOn, removeFromGame, {
+                        injury,
+                        reason: fate === 'concussion' ? 'concussion' : 'injury'
+                    });
+                if (success) {
                     this.elements.emergencyModal?.classList.add('hidden');
                     this.showStatusMessage(`Emergency sub: ${playerOff} → ${playerOn}`, 3000, 'warning');
                 }
@@ -0,0 +1,2501 @@
+/**
+ * Base Game Engine
+ * Sport-agnostic core shared by the basketball, soccer, AFL and Oztag engines
+ * Version 1.0
+ *
+ * @fileoverview Owns the game timer (including hidden-tab catch-up), the player
+ * ledger, the rotation lifecycle and optimizer recovery plans. Sport engines
+ * extend BaseGameEngine and override the hooks in the SPORT HOOKS section for
+ * positions, scoring and period rules.
+ */
+
+// ============================================================================
+// TYPE DEFINITIONS
+// ============================================================================
+
+/**
+ * @typedef {Object} SportProfile
+ * @property {string} sport - Sport id stored in snapshots ('basketball', 'soccer', ...)
+ * @property {string} logTag - Prefix for error logs (e.g. '[GameEngine]')
+ * @property {string} fieldKey - Key of the on-field list in `players` ('court' or 'field')
+ * @property {string} spotsKey - Key of the on-field size in `config` ('courtSpots' or 'fieldSpots')
+ * @property {string} stintKey - On-field flag used in `players.currentStints` ('onCourt' or 'onField')
+ * @property {string} fieldLabel - Word used in messages ('court' or 'field')
+ * @property {string} periodLabel - Word used in period logs ('Period', 'Quarter', 'Half')
+ * @property {string} optimizerFieldKey - On-field key the optimizer's initialize() expects
+ * @property {string} deviationFieldKey - On-field key the optimizer's handleDeviation() expects
+ * @property {Object} defaults - Sport defaults merged over BASE_ENGINE_DEFAULTS
+ */
+
+/**
+ * @typedef {Object} MatchEvent
+ * @property {number} seq - Position in the log (0-based)
+ * @property {string} type - period_start, period_end, game_end, substitution,
+ *   rotation_cancelled, removed, returned, score, stat, ...
+ * @property {number} time - Game clock (seconds since kick-off)
+ * @property {number} period - Period the event happened in
+ * @property {string} at - Wall-clock time (ISO string)
+ */
+
+// ============================================================================
+// DEFAULT CONFIGURATION
+// ============================================================================
+
+const BASE_ENGINE_DEFAULTS = {
+    WARNING_BEEP_TIME: 10,
+    EARLY_WARNING_TIME: 60,
+    VALIDATION_INTERVAL: 30,
+    MAX_CATCHUP_SECONDS: 3600,
+    MAX_TICK_CATCHUP: 10,
+    LATE_ROTATION_THRESHOLD: 15,
+    STOP_CLOCK_SUB_DELAY: 20,       // Expected wait for a stoppage before any is seen
+    STOP_CLOCK_DELAY_SAMPLES: 5,    // Recent waits averaged into the expected wait
+    INTERCHANGE_RESERVE: 1,         // Capped interchanges the plan leaves free for injuries
+    TEMPORARY_REPLACEMENT_TIME: {   // Seconds off for a temporary replacement, by reason
+        blood: 300,                 // Blood rule
+        hia: 720                    // Head-injury assessment
+    },
+    SIN_BIN_TIME: 600,              // Seconds a sin-binned player is off (the team plays a spot short)
+    SNAPSHOT_VERSION: 1,
+};
+
+/** Optimizer fields carried in snapshots (only those present on the optimizer are saved) */
+const OPTIMIZER_SNAPSHOT_KEYS = [
+    'lastSubstitutionTime',
+    'halftimeRotationDone',
+    'quarterBreakRotationDone',
+    'goalkeeper',
+    'currentPlan',
+    'lineupTradeoffs',
+    'playerTargetSeconds',
+    'playerShareSeconds',
+    'meanTargetSeconds',
+    'keeperPlan',
+    'foulTrouble',
+    'expectedSubDelay',
+    'interchangeBudget',
+    'quarterLineups',
+    'lineupWarnings',
+    'medicalReturns',
+    'fieldSpots'
+];
+
+function cloneValue(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Plan entry kept by the engine; `keeper` is set when the rotation also hands over
+ * the goalkeeper role, `line` when it brings on a whole line (line mode)
+ */
+function toPlanEntry(rotation) {
+    const entry = { time: rotation.time, off: [...rotation.off], on: [...rotation.on] };
+    if (rotation.keeper) {
+        entry.keeper = rotation.keeper;
+    }
+    if (rotation.line) {
+        entry.line = rotation.line;
+    }
+    if (rotation.medical) {
+        entry.medical = true;
+    }
+    return entry;
+}
+
+// ============================================================================
+// MAIN CLASS
+// ============================================================================
+
+class BaseGameEngine {
+    /**
+     * @param {SportProfile} profile - Sport-specific keys and labels
+     */
+    constructor(profile = {}) {
+        this.profile = {
+            sport: 'generic',
+            logTag: '[GameEngine]',
+            fieldKey: 'field',
+            spotsKey: 'fieldSpots',
+            stintKey: 'onField',
+            fieldLabel: 'field',
+            periodLabel: 'Period',
+            optimizerFieldKey: 'onField',
+            deviationFieldKey: 'actualField',
+            ...profile,
+            defaults: { ...BASE_ENGINE_DEFAULTS, ...(profile.defaults || {}) }
+        };
+
+        // Sport engines fill in config after calling super()
+        this.config = {};
+
+        this.state = this.createInitialState();
+        this.players = this.createPlayerLedger();
+        this.scoring = this.createScoring();
+        this.rotations = this.createRotationState();
+
+        this.enforcer = null;
+        this.enforcerConfig = null;
+
+        this.callbacks = this.createCallbacks();
+
+        // Timer
+        this.timerInterval = null;
+        this.lastTickTime = null;
+        this.warningPlayed = false;
+        this.earlyWarningShown = false;
+
+        // Page Visibility tracking for catch-up when tab is hidden/restored
+        this.lastVisibleTimestamp = null;
+        this.wasRunningWhenHidden = false;
+
+        // Audio
+        this.audio = {
+            warningBeep: null,
+            whistle: null,
+            enabled: true
+        };
+
+        this.planTargetMinutes = 0;
+        this.totalGameLength = 0;
+
+        // Play-by-play log (see logEvent) - saved with the game and in snapshots
+        this.events = [];
+
+        // State validation flag
+        this._stateNeedsValidation = false;
+    }
+
+    /** Players currently on the court/field */
+    get onField() {
+        return this.players[this.profile.fieldKey];
+    }
+
+    set onField(list) {
+        this.players[this.profile.fieldKey] = list;
+    }
+
+    /** Number of on-field spots for this game, less any lost to a sin bin or send-off */
+    get fieldSize() {
+        return this.config[this.profile.spotsKey] - this.getShortSpots();
+    }
+
+    // ========================================================================
+    // SPORT HOOKS
+    // ========================================================================
+
+    /**
+     * Initial game state
+     */
+    createInitialState() {
+        return {
+            initialized: false,
+            running: false,
+            paused: false,
+            currentTime: 0,
+            currentPeriod: 1,
+            periodElapsed: 0,
+            isHalftime: false,
+            gameOver: false
+        };
+    }
+
+    /**
+     * Empty player ledger - sports add their own role tracking
+     */
+    createPlayerLedger() {
+        return {
+            all: [],
+            [this.profile.fieldKey]: [],
+            bench: [],
+            removed: new Set(),
+            minutes: {},
+            benchMinutes: {},
+            medicalMinutes: {},
+            medical: {},                // Off for a temporary replacement: { player: { reason, start, returnAt, replacement, returned } }
+            sinBinMinutes: {},
+            sinBin: {},                 // Spot lost to a sin bin or send-off: { player: { reason, start, returnAt } } (returnAt null = rest of game)
+            currentStints: {},
+            lastRotationTime: {}
+        };
+    }
+
+    /**
+     * Empty scoring record
+     */
+    createScoring() {
+        return {};
+    }
+
+    /**
+     * Empty rotation state
+     */
+    createRotationState() {
+        return {
+            pending: false,
+            pendingOff: [],
+            pendingOn: [],
+            pendingKeeper: null,
+            pendingTime: null,
+            pendingReason: null,
+            stoppageDelays: [],
+            interchanges: { total: 0, byPeriod: {}, injury: 0 },
+            history: [],
+            nextScheduled: null,
+            plan: [],
+            currentPlanIndex: 0,
+            lastConfirmedIndex: -1
+        };
+    }
+
+    /**
+     * UI callback slots
+     */
+    createCallbacks() {
+        return {
+            onUpdate: null,
+            onRotation: null,
+            onPeriodEnd: null,
+            onGameEnd: null,
+            onError: null,
+            onWarning: null,
+            onEarlyWarning: null,
+            onRecovery: null,
+            onScoreUpdate: null,
+            onEvent: null
+        };
+    }
+
+    /**
+     * Optimizer constructor for this sport
+     */
+    getOptimizerClass() {
+        throw new Error(`${this.constructor.name} must implement getOptimizerClass()`);
+    }
+
+    /**
+     * Optimizer constructor config for this sport
+     * @param {Object} options - { totalPlayers, idealShiftsPerPlayer, subsPerRotation }
+     */
+    getOptimizerConfig(options) {
+        return {
+            gameLength: this.totalGameLength,
+            periodLength: this.config.periodLength,
+            ...options
+        };
+    }
+
+    /**
+     * Lineup payload passed to the optimizer's initialize()
+     */
+    getOptimizerState() {
+        const state = {
+            [this.profile.optimizerFieldKey]: [...this.onField],
+            onBench: this.getOptimizerBench(),
+            playerMinutes: { ...this.players.minutes },
+            elapsedTime: this.state.currentTime
+        };
+        if (this.config.lines) {
+            state.fieldStints = this.getFieldStints();
+        }
+        return state;
+    }
+
+    /**
+     * Re-derive positions/lines after the lineup changes
+     */
+    assignRoles(fieldPlayers) { }
+
+    /**
+     * Hand the outgoing player's position/line to the incoming player
+     */
+    transferRole(playerOff, playerOn) { }
+
+    /**
+     * Credit on-field time to each player's current position/line
+     * @param {number} seconds - Seconds just played
+     */
+    accrueRoleTime(seconds) { }
+
+    /**
+     * Hand the goalkeeper role to a player as part of a planned rotation
+     * @param {string} keeper - Incoming goalkeeper (already on the field)
+     */
+    applyKeeperChange(keeper) { }
+
+    /**
+     * Pick the bench player who replaces someone forced out of the game
+     * @param {string} player - Player leaving
+     * @param {string[]} availableBench - Bench players who can come on
+     * @returns {string} Replacement (default: fewest minutes)
+     */
+    chooseReplacement(player, availableBench) {
+        // Line mode: a line player is covered by a line player, anyone else by a player outside the lines
+        if (this.config.lines) {
+            const inLines = new Set(this.config.lines.flat());
+            const sameKind = availableBench.filter(p => inLines.has(p) === inLines.has(player));
+            if (sameKind.length > 0) {
+                availableBench = sameKind;
+            }
+        }
+        return [...availableBench].sort((a, b) =>
+            (this.players.minutes[a] || 0) - (this.players.minutes[b] || 0)
+        )[0];
+    }
+
+    /**
+     * Sport-specific veto on a planned rotation
+     * @param {string[]} playersOff
+     * @param {string[]} playersOn
+     * @param {string|null} [keeper] - Goalkeeper the rotation hands over to
+     * @returns {string|null} Error message, or null if allowed
+     */
+    validateRotation(playersOff, playersOn, keeper = null) {
+        return null;
+    }
+
+    /**
+     * Add sport-specific lineup errors (e.g. goalkeeper missing)
+     */
+    validateSportState(errors) { }
+
+    /**
+     * Repair sport-specific lineup rules after the generic fix
+     */
+    fixSportState() { }
+
+    /**
+     * Set break flags when moving into the next period
+     */
+    applyBreakFlags(nextPeriod) {
+        if (nextPeriod === 2 && this.config.numPeriods === 2) {
+            this.state.isHalftime = true;
+        }
+    }
+
+    /**
+     * Payload for the onPeriodEnd callback
+     */
+    getPeriodEndInfo() {
+        return {
+            period: this.state.currentPeriod - 1,
+            isHalftime: this.state.isHalftime
+        };
+    }
+
+    /**
+     * Extra per-player fields for final stats
+     */
+    getPlayerFinalStats(player) {
+        return {};
+    }
+
+    /**
+     * Playing-time targets from setupData.playerTargets or playerData[name].target
+     * @returns {Object} { player: target } as entered (parsed by the optimizer)
+     */
+    parsePlayerTargets(setupData) {
+        const targets = {};
+        const playerData = setupData.playerData || {};
+
+        this.players.all.forEach(player => {
+            const target = setupData.playerTargets?.[player] ?? playerData[player]?.target;
+            if (target) {
+                targets[player] = target;
+            }
+        });
+
+        return targets;
+    }
+
+    /**
+     * Season carry-over from setupData.carryOver ("season to date" balancing)
+     * @returns {Object} { player: seconds ahead (+) or behind (-) an equal share }
+     */
+    parseCarryOver(setupData) {
+        const carryOver = {};
+
+        this.players.all.forEach(player => {
+            const seconds = Number(setupData.carryOver?.[player]);
+            if (Number.isFinite(seconds) && seconds !== 0) {
+                carryOver[player] = seconds;
+            }
+        });
+
+        return carryOver;
+    }
+
+    /**
+     * Line mode from setupData.lines ([['Ann', 'Bo', 'Cy'], ...]) or
+     * playerData[name].line (1-based line number). Unknown names and repeats are
+     * dropped and a line is cut to the field size. Fewer than two lines, or too
+     * few players outside the lines to fill the rest of the field, means
+     * individual rotations
+     * @returns {string[][]|null} Player names per line (null = line mode off)
+     */
+    parseLines(setupData) {
+        const playerData = setupData.playerData || {};
+        let raw = setupData.lines;
+        if (!Array.isArray(raw)) {
+            raw = [];
+            this.players.all.forEach(player => {
+                const line = parseInt(playerData[player]?.line, 10);
+                if (line >= 1) {
+                    raw[line - 1] = [...(raw[line - 1] || []), player];
+                }
+            });
+        }
+
+        const seen = new Set();
+        const lines = raw
+            .map(line => (Array.isArray(line) ? line : []).filter(player => {
+                if (!this.players.all.includes(player) || seen.has(player)) {
+                    return false;
+                }
+                seen.add(player);
+                return true;
+            }).slice(0, this.fieldSize))
+            .filter(line => line.length > 0);
+        if (lines.length < 2) {
+            return null;
+        }
+
+        const lineSpots = Math.max(...lines.map(line => line.length));
+        const others = this.players.all.length - lines.flat().length;
+        if (others < this.fieldSize - lineSpots) {
+            console.warn(`Line mode off: lines of ${lineSpots} need ${this.fieldSize - lineSpots} players outside the lines, found ${others}`);
+            return null;
+        }
+
+        return lines;
+    }
+
+    /**
+     * Starting lineup in line mode: line 1 plus the first players outside the lines
+     * @returns {string[]} Field players in roster order
+     */
+    getLineModeStarters() {
+        const lines = this.config.lines;
+        const inLines = new Set(lines.flat());
+        const others = this.players.all.filter(player => !inLines.has(player));
+        const lineSpots = Math.max(...lines.map(line => line.length));
+        const starters = new Set([
+            ...lines[0],
+            ...others.slice(0, this.fieldSize - lineSpots),
+            ...lines.flat().filter(player => !lines[0].includes(player))
+        ]);
+        return [...starters].slice(0, this.fieldSize);
+    }
+
+    /**
+     * Final score line for the end-of-game log (null to omit)
+     */
+    describeFinalScore() {
+        return null;
+    }
+
+    /**
+     * Sound files preloaded by preloadAudio()
+     */
+    getAudioFiles() {
+        return {
+            warningBeep: 'beep-warning.wav',
+            whistle: 'startingwhistle.wav'
+        };
+    }
+
+    // ========================================================================
+    // PLAYER LEDGER
+    // ========================================================================
+
+    /**
+     * Mark state as needing validation
+     * Call this when state might be inconsistent
+     */
+    markStateDirty() {
+        this._stateNeedsValidation = true;
+    }
+
+    /**
+     * Validate on-field/bench state - CRITICAL METHOD
+     * Ensures exactly fieldSize players are on and no duplicates
+     * @returns {boolean} Whether state is valid
+     */
+    validatePlayerState() {
+        const errors = [];
+        const expectedSize = this.fieldSize;
+        const label = this.profile.fieldLabel;
+
+        if (this.onField.length !== expectedSize) {
+            errors.push(`${label[0].toUpperCase()}${label.slice(1)} has ${this.onField.length} players, should be ${expectedSize}`);
+        }
+
+        // Check no duplicates
+        const allActive = [...this.onField, ...this.players.bench];
+        const uniqueActive = new Set(allActive);
+        if (uniqueActive.size !== allActive.length) {
+            errors.push(`Duplicate players found in ${label}/bench`);
+        }
+
+        // Check all non-removed players are accounted for (players off for a temporary replacement or in the sin bin are neither)
+        const expectedActive = this.players.all.filter(p =>
+            !this.players.removed.has(p) && !this.isOffForMedical(p) && !this.isSinBinned(p));
+        if (expectedActive.length !== allActive.length) {
+            errors.push(`Player count mismatch: ${expectedActive.length} expected, ${allActive.length} found`);
+        }
+
+        this.validateSportState(errors);
+
+        if (errors.length > 0) {
+            console.error('❌ PLAYER STATE INVALID:', errors);
+            this.fixPlayerState();
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Fix invalid player state
+     */
+    fixPlayerState() {
+        console.warn('🔧 Fixing player state...');
+
+        const expectedSize = this.fieldSize;
+        const activePlayers = this.players.all.filter(p =>
+            !this.players.removed.has(p) && !this.isOffForMedical(p) && !this.isSinBinned(p));
+        const currentField = [...new Set(this.onField)].filter(p => activePlayers.includes(p));
+
+        if (currentField.length > expectedSize) {
+            // Too many on - move extras to bench
+            const extras = currentField.splice(expectedSize);
+            this.onField = currentField;
+            this.players.bench = [...new Set([...this.players.bench, ...extras])];
+        } else if (currentField.length < expectedSize) {
+            // Too few on - pull from bench
+            const needed = expectedSize - currentField.length;
+            const onSet = new Set(currentField);
+            const benchAvailable = this.players.bench.filter(p => !onSet.has(p) && !this.players.removed.has(p));
+            this.onField = [...currentField, ...benchAvailable.slice(0, needed)];
+        } else {
+            this.onField = currentField;
+        }
+
+        // Ensure bench has everyone else
+        const onFieldSet = new Set(this.onField);
+        this.players.bench = activePlayers.filter(p => !onFieldSet.has(p));
+
+        this.fixSportState();
+
+        console.log(`✅ Fixed: ${this.onField.length} on ${this.profile.fieldLabel}, ${this.players.bench.length} on bench`);
+    }
+
+    /**
+     * Reset minutes and stints for the whole roster (start of game)
+     */
+    resetPlayerTracking() {
+        this.players.all.forEach(player => {
+            this.players.minutes[player] = 0;
+            this.players.benchMinutes[player] = 0;
+            this.players.medicalMinutes[player] = 0;
+            this.players.currentStints[player] = {
+                start: 0,
+                [this.profile.stintKey]: this.onField.includes(player)
+            };
+            this.players.lastRotationTime[player] = 0;
+        });
+    }
+
+    /**
+     * Open an on-field stint for a player
+     */
+    startStint(player, time = this.state.currentTime) {
+        this.players.currentStints[player] = {
+            start: time,
+            [this.profile.stintKey]: true
+        };
+    }
+
+    /**
+     * Seconds each on-field player has been on this stint
+     */
+    getFieldStints() {
+        const stints = {};
+        this.onField.forEach(player => {
+            const stint = this.players.currentStints[player];
+            stints[player] = stint ? Math.max(0, this.state.currentTime - stint.start) : 0;
+        });
+        return stints;
+    }
+
+    /**
+     * Close a player's on-field stint
+     */
+    endStint(player) {
+        const stint = this.players.currentStints[player];
+        if (stint) {
+            stint[this.profile.stintKey] = false;
+        }
+    }
+
+    // ========================================================================
+    // OPTIMIZER
+    // ========================================================================
+
+    /**
+     * Create the optimizer, seed it with the current lineup and load its plan
+     * @param {Object} options - { totalPlayers, idealShiftsPerPlayer, subsPerRotation }
+     * @returns {Object} { plan, targetMinutes, expectedVariance }
+     */
+    setupOptimizer(options) {
+        const OptimizerCtor = this.getOptimizerClass();
+
+        this.enforcerConfig = this.getOptimizerConfig(options);
+        if (Object.keys(this.config.playerTargets || {}).length > 0) {
+            this.enforcerConfig.playerTargets = { ...this.config.playerTargets };
+        }
+        if (Object.keys(this.config.carryOver || {}).length > 0) {
+            this.enforcerConfig.carryOver = { ...this.config.carryOver };
+        }
+        if (this.config.stopClock) {
+            this.enforcerConfig.expectedSubDelay = this.getExpectedSubDelay();
+        }
+        if (this.config.interchangeCap) {
+            this.enforcerConfig.interchangeBudget = this.getInterchangeBudget();
+        }
+        if (this.config.lines) {
+            this.enforcerConfig.lines = this.config.lines.map(line => [...line]);
+        }
+        this.enforcer = new OptimizerCtor(this.enforcerConfig);
+        this.enforcer.tempo = 'balanced';
+
+        this.enforcer.initialize(this.players.all, this.getOptimizerState());
+
+        // A line-mode lineup need not be the first names on the roster
+        const gen = this.config.lines
+            ? this.enforcer.generatePlan(0, [], [...this.onField], [...this.players.bench])
+            : this.enforcer.generatePlan(0, []);
+        const plan = {
+            plan: gen ? gen.rotations.map(toPlanEntry) : [],
+            targetMinutes: Math.floor((this.totalGameLength * this.fieldSize) / options.totalPlayers),
+            expectedVariance: gen ? gen.expectedVariance : 0
+        };
+
+        this.rotations.plan = plan.plan;
+        this.planTargetMinutes = plan.targetMinutes;
+        this.rotations.currentPlanIndex = 0;
+        this.updateNextRotation();
+
+        return plan;
+    }
+
+    /**
+     * Sync the optimizer with the actual lineup and apply any recovery plan it returns
+     * @param {string} deviationType - 'late_substitution', 'injury', 'player_returned', 'invalid_rotation', ...
+     * @param {Object} [details] - Extra deviation data (e.g. { player })
+     * @param {number} [time] - Time of the deviation
+     * @returns {Object|null} The recovery plan, if any
+     */
+    replan(deviationType, details = {}, time = this.state.currentTime) {
+        if (!this.enforcer) return null;
+
+        if (this.config.interchangeCap) {
+            this.enforcer.interchangeBudget = this.getInterchangeBudget();
+        }
+
+        const playTimesSnapshot = { ...this.players.minutes };
+        this.enforcer.syncWithActualState(
+            this.state.currentTime,
+            [...this.onField],
+            this.getOptimizerBench(),
+            playTimesSnapshot
+        );
+
+        const newPlan = this.enforcer.handleDeviation(
+            deviationType,
+            {
+                ...this.getOptimizerState(),
+                ...details,
+                [this.profile.deviationFieldKey]: [...this.onField],
+                actualBench: this.getOptimizerBench(),
+                playTimes: playTimesSnapshot
+            },
+            time
+        );
+
+        if (newPlan) {
+            this.applyRecoveryPlan(newPlan);
+        }
+
+        return newPlan;
+    }
+
+    /**
+     * Apply recovery plan
+     */
+    applyRecoveryPlan(recovery) {
+        let newPlanRotations = [];
+        const strategy = recovery.strategy || 'replan';
+        const projectedVariance = recovery.projectedFinalVariance || recovery.expectedVariance || 0;
+
+        if (Array.isArray(recovery.plan)) {
+            newPlanRotations = recovery.plan;
+        } else if (Array.isArray(recovery.rotations)) {
+            newPlanRotations = recovery.rotations.map(toPlanEntry);
+        } else {
+            console.warn('Recovery plan format not recognized');
+            return;
+        }
+
+        // Validate the first rotation in the new plan
+        if (newPlanRotations.length > 0) {
+            const firstRotation = newPlanRotations[0];
+            const invalidOff = firstRotation.off.filter(p => !this.onField.includes(p));
+            const invalidOn = firstRotation.on.filter(p => !this.players.bench.includes(p));
+
+            if (invalidOff.length > 0 || invalidOn.length > 0) {
+                console.error('⚠️ Recovery plan has invalid first rotation!');
+                if (invalidOff.length > 0) {
+                    console.error(`   Players not on ${this.profile.fieldLabel}: ${invalidOff.join(', ')}`);
+                }
+                if (invalidOn.length > 0) {
+                    console.error(`   Players not on bench: ${invalidOn.join(', ')}`);
+                }
+                // Don't apply a plan with invalid rotations
+                return;
+            }
+        }
+
+        console.log(`🔄 Applying recovery plan (${strategy}) with ${newPlanRotations.length} rotations`);
+        this.rotations.plan = newPlanRotations;
+        this.rotations.currentPlanIndex = 0;
+        this.updateNextRotation();
+
+        if (this.callbacks.onRecovery) {
+            this.callbacks.onRecovery({
+                strategy,
+                rotations: newPlanRotations.length,
+                projectedVariance
+            });
+        }
+    }
+
+    /**
+     * Rotations still to come in the current plan (live view ETAs)
+     * @returns {Array<{time: number, off: string[], on: string[], keeper?: string}>}
+     */
+    getUpcomingRotations() {
+        return (this.rotations.plan || []).slice(this.rotations.currentPlanIndex).map(toPlanEntry);
+    }
+
+    /**
+     * Update next scheduled rotation
+     */
+    updateNextRotation() {
+        if (!this.rotations.plan || this.rotations.currentPlanIndex >= this.rotations.plan.length) {
+            this.rotations.nextScheduled = null;
+            return;
+        }
+
+        this.rotations.nextScheduled = this.rotations.plan[this.rotations.currentPlanIndex];
+    }
+
+    // ========================================================================
+    // ROTATION LIFECYCLE
+    // ========================================================================
+
+    /**
+     * Initiate a rotation
+     * @param {string[]} playersOff
+     * @param {string[]} playersOn
+     * @param {string|null} [keeper] - New goalkeeper when the rotation includes a keeper swap
+     * @param {Object} [options]
+     * @param {string|null} [options.reason] - Reason logged when confirmed (default 'planned' or 'late')
+     * @param {number} [options.plannedTime] - Time the rotation was due, for the lateness check
+     */
+    initiateRotation(playersOff, playersOn, keeper = null, { reason = null, plannedTime = this.state.currentTime } = {}) {
+        if (!playersOff || !playersOn || playersOff.length !== playersOn.length) {
+            console.warn('Invalid rotation parameters');
+            return false;
+        }
+
+        const invalidOff = playersOff.filter(p => !this.onField.includes(p));
+        const invalidOn = playersOn.filter(p => !this.players.bench.includes(p));
+
+        if (invalidOff.length > 0 || invalidOn.length > 0) {
+            if (invalidOff.length > 0) {
+                console.error(`❌ Cannot initiate rotation - these players are NOT on ${this.profile.fieldLabel}: ${invalidOff.join(', ')}`);
+            }
+            if (invalidOn.length > 0) {
+                console.error(`❌ Cannot initiate rotation - these players are NOT on bench: ${invalidOn.join(', ')}`);
+            }
+            // The plan is stale - move past this rotation and rebuild the rest
+            this.rotations.currentPlanIndex++;
+            this.updateNextRotation();
+            this.replan('invalid_rotation');
+            return false;
+        }
+
+        console.log(`🔄 Rotation initiated: OFF: ${playersOff.join(', ')}, ON: ${playersOn.join(', ')}`);
+
+        this.rotations.pending = true;
+        this.rotations.pendingOff = playersOff;
+        this.rotations.pendingOn = playersOn;
+        this.rotations.pendingKeeper = keeper;
+        this.rotations.pendingTime = plannedTime;
+        this.rotations.pendingReason = reason;
+
+        // Reset warning flags for next rotation
+        this.warningPlayed = false;
+        this.earlyWarningShown = false;
+
+        if (this.callbacks.onRotation) {
+            this.callbacks.onRotation({
+                off: playersOff,
+                on: playersOn,
+                keeper,
+                time: this.state.currentTime
+            });
+        }
+
+        if (this.config.autoConfirmRotations) {
+            this.confirmRotation();
+        }
+
+        return true;
+    }
+
+    /**
+     * Confirm pending rotation
+     */
+    confirmRotation() {
+        if (!this.rotations.pending) {
+            this.handleError('No pending rotation to confirm');
+            return false;
+        }
+
+        const { pendingOff, pendingOn, pendingKeeper } = this.rotations;
+
+        // A rotation that cannot go ahead is dropped and the plan rebuilt, so
+        // the schedule carries on instead of failing every later confirm
+        const reject = message => {
+            this.handleError(message);
+            this.cancelRotation();
+            return false;
+        };
+
+        if (pendingOff.length !== pendingOn.length) {
+            return reject('Invalid rotation: off/on counts do not match');
+        }
+
+        for (const player of pendingOff) {
+            if (!this.onField.includes(player)) {
+                return reject(`Cannot sub off ${player} - not on ${this.profile.fieldLabel}`);
+            }
+        }
+
+        for (const player of pendingOn) {
+            if (!this.players.bench.includes(player)) {
+                return reject(`Cannot sub on ${player} - not on bench`);
+            }
+        }
+
+        // Players back from a temporary replacement come on free of the interchange cap
+        const interchanges = pendingOn.filter(player => !this.isMedicalReturn(player)).length;
+        const vetoReason = this.validateRotation(pendingOff, pendingOn, pendingKeeper)
+            || this.checkInterchangeCap(interchanges);
+        if (vetoReason) {
+            return reject(vetoReason);
+        }
+
+        const plannedTime = this.rotations.pendingTime;
+        const rotationTime = this.state.currentTime;
+        const delay = rotationTime - plannedTime;
+
+        console.log(`✅ Rotation confirmed at ${this.formatTime(rotationTime)}`);
+
+        // Execute rotation - CAREFUL ORDER
+        this.onField = this.onField.filter(p => !pendingOff.includes(p));
+        this.onField.push(...pendingOn);
+        this.players.bench = this.players.bench.filter(p => !pendingOn.includes(p));
+        this.players.bench.push(...pendingOff);
+
+        const previousKeeper = this.players.goalkeeper;
+        if (pendingKeeper) {
+            this.applyKeeperChange(pendingKeeper);
+        }
+
+        this.validatePlayerState();
+        this.assignRoles(this.onField);
+        this.recordInterchanges(interchanges);
+        pendingOn.forEach(player => this.clearTemporaryReplacement(player));
+
+        pendingOff.forEach(player => {
+            this.endStint(player);
+            this.players.lastRotationTime[player] = rotationTime;
+        });
+
+        pendingOn.forEach(player => {
+            this.startStint(player, rotationTime);
+            this.players.lastRotationTime[player] = rotationTime;
+        });
+
+        this.rotations.history.push({
+            time: rotationTime,
+            off: pendingOff,
+            on: pendingOn,
+            ...(pendingKeeper ? { keeper: pendingKeeper } : {})
+        });
+
+        const reason = this.rotations.pendingReason
+            || (delay > this.profile.defaults.LATE_ROTATION_THRESHOLD ? 'late' : 'planned');
+        if (pendingOff.length > 0) {
+            this.logEvent('substitution', {
+                off: [...pendingOff],
+                on: [...pendingOn],
+                reason,
+                plannedTime,
+                ...(pendingKeeper ? { keeper: pendingKeeper } : {})
+            });
+        }
+        if (pendingKeeper && pendingKeeper !== previousKeeper) {
+            this.logEvent('goalkeeper_change', { from: previousKeeper, to: pendingKeeper, reason, plannedTime });
+        }
+
+        // Clear pending
+        this.rotations.pending = false;
+        this.rotations.pendingOff = [];
+        this.rotations.pendingOn = [];
+        this.rotations.pendingKeeper = null;
+        this.rotations.pendingTime = null;
+        this.rotations.pendingReason = null;
+
+        this.rotations.lastConfirmedIndex = this.rotations.currentPlanIndex;
+        this.rotations.currentPlanIndex++;
+        this.updateNextRotation();
+
+        // Late rotations shift everyone's minutes - ask the optimizer for a new plan
+        // (after moving past this rotation, so the new plan starts at its first entry)
+        if (delay > this.profile.defaults.LATE_ROTATION_THRESHOLD && this.enforcer) {
+            console.log(`⚠️ Rotation was ${delay} seconds late - triggering recalculation`);
+            this.replan('late_substitution', {}, rotationTime);
+        }
+
+        this.playSound('subBuzzer');
+
+        return true;
+    }
+
+    /**
+     * Cancel pending rotation
+     */
+    cancelRotation() {
+        if (!this.rotations.pending) {
+            return false;
+        }
+
+        console.log('❌ Rotation cancelled');
+
+        this.logEvent('rotation_cancelled', {
+            off: [...this.rotations.pendingOff],
+            on: [...this.rotations.pendingOn]
+        });
+
+        this.rotations.pending = false;
+        this.rotations.pendingOff = [];
+        this.rotations.pendingOn = [];
+        this.rotations.pendingKeeper = null;
+        this.rotations.pendingTime = null;
+        this.rotations.pendingReason = null;
+
+        this.rotations.currentPlanIndex++;
+        this.updateNextRotation();
+
+        // Replan after moving past the cancelled rotation, so the new plan
+        // starts at its first entry
+        this.replan('late_substitution');
+
+        return true;
+    }
+
+    /**
+     * Handle emergency substitution
+     * @param {string} playerOff
+     * @param {string} playerOn
+     * @param {boolean} [removeFromGame] - Player coming off is out for the game
+     * @param {Object} [options]
+     * @param {boolean} [options.injury] - Injury replacement: allowed past an interchange cap
+     *   (defaults to removeFromGame)
+     * @param {string} [options.reason='injury'] - Why a removed player is out ('injury', 'concussion', ...)
+     */
+    emergencySubstitution(playerOff, playerOn, removeFromGame = false, { injury = removeFromGame, reason = 'injury' } = {}) {
+        console.log(`🚨 Emergency substitution: ${playerOff} → ${playerOn}`);
+
+        if (!this.onField.includes(playerOff)) {
+            this.handleError(`${playerOff} is not on ${this.profile.fieldLabel}`);
+            return false;
+        }
+
+        if (!this.players.bench.includes(playerOn)) {
+            this.handleError(`${playerOn} is not on bench`);
+            return false;
+        }
+
+        const free = injury || this.isMedicalReturn(playerOn);
+        const capError = free ? null : this.checkInterchangeCap(1);
+        if (capError) {
+            this.handleError(capError);
+            return false;
+        }
+
+        // Execute substitution - ATOMIC OPERATION
+        const fieldIndex = this.onField.indexOf(playerOff);
+        this.onField[fieldIndex] = playerOn;
+
+        const benchIndex = this.players.bench.indexOf(playerOn);
+        this.players.bench[benchIndex] = playerOff;
+
+        // Hand over the role first so validation sees e.g. the new goalkeeper on field
+        this.transferRole(playerOff, playerOn);
+        this.validatePlayerState();
+
+        this.endStint(playerOff);
+        this.startStint(playerOn);
+        if (!this.isMedicalReturn(playerOn)) {
+            this.recordInterchanges(1, { injury });
+        }
+        this.clearTemporaryReplacement(playerOn);
+
+        this.rotations.history.push({
+            time: this.state.currentTime,
+            off: [playerOff],
+            on: [playerOn],
+            reason: 'emergency'
+        });
+
+        this.logEvent('substitution', { off: [playerOff], on: [playerOn], reason: 'emergency', ...(injury ? { injury } : {}) });
+
+        if (removeFromGame) {
+            this.removePlayer(playerOff, reason);
+        }
+
+        this.replan(removeFromGame ? 'injury' : 'late_substitution', { player: playerOff, ...(removeFromGame ? { reason } : {}) });
+
+        return true;
+    }
+
+    /**
+     * Handle a player forced out of the game (fouled out, injured, sent off)
+     * Auto-subs a bench player (see chooseReplacement) if they were on
+     * @param {string} player - Player leaving the game
+     * @param {string} [reason] - Wording for the log
+     */
+    playerOutOfGame(player, reason = 'out of the game') {
+        console.log(`🚫 ${player} ${reason}`);
+
+        if (!this.players.all.includes(player)) {
+            this.handleError(`${player} not in roster`);
+            return false;
+        }
+
+        let replacement = null;
+
+        if (this.onField.includes(player)) {
+            const availableBench = this.players.bench.filter(p => !this.players.removed.has(p));
+
+            if (availableBench.length === 0) {
+                this.handleError('No available players to substitute');
+                return false;
+            }
+
+            replacement = this.chooseReplacement(player, availableBench);
+
+            // Execute substitution - ATOMIC (fouled player goes to removed, not bench)
+            const fieldIndex = this.onField.indexOf(player);
+            this.onField[fieldIndex] = replacement;
+            this.players.bench.splice(this.players.bench.indexOf(replacement), 1);
+
+            this.transferRole(player, replacement);
+            this.endStint(player);
+            this.startStint(replacement);
+            this.recordInterchanges(1, { injury: true });
+
+            console.log(`   Auto-subbed ${replacement} for ${player}`);
+        } else {
+            this.players.bench = this.players.bench.filter(p => p !== player);
+        }
+
+        this.players.removed.add(player);
+        this.validatePlayerState();
+
+        this.logEvent('removed', { player, reason, replacement });
+
+        this.replan('injury', { player, reason });
+
+        return true;
+    }
+
+    /**
+     * Remove player from game (must already be on the bench)
+     * @param {string} player
+     * @param {string} [reason='removed'] - Why the player is out; kept in the event log
+     *   (a 'concussion' removal stands the player down for later matches)
+     */
+    removePlayer(player, reason = 'removed') {
+        if (this.players.removed.has(player)) {
+            return true;
+        }
+
+        console.log(`🚫 Removing ${player} from game`);
+
+        if (this.onField.includes(player)) {
+            this.handleError(`Cannot remove ${player} - still on ${this.profile.fieldLabel}!`);
+            return false;
+        }
+
+        this.players.bench = this.players.bench.filter(p => p !== player);
+        this.players.removed.add(player);
+
+        this.validatePlayerState();
+
+        this.logEvent('removed', { player, reason, replacement: null });
+
+        return true;
+    }
+
+    /**
+     * Return removed player
+     */
+    returnPlayer(player) {
+        if (!this.players.removed.has(player)) {
+            this.handleError(`${player} was not removed`);
+            return false;
+        }
+
+        console.log(`✅ ${player} returned to game`);
+
+        this.players.removed.delete(player);
+        this.players.bench.push(player);
+
+        this.validatePlayerState();
+
+        this.logEvent('returned', { player });
+
+        this.replan('player_returned', { player });
+
+        return true;
+    }
+
+    // ========================================================================
+    // TIMER
+    // ========================================================================
+
+    /**
+     * Start game timer
+     */
+    start() {
+        if (!this.state.initialized) {
+            this.handleError('Cannot start: game not initialized');
+            return false;
+        }
+
+        if (this.state.gameOver) {
+            this.handleError('Cannot start: game is over');
+            return false;
+        }
+
+        if (this.state.running) {
+            return true;
+        }
+
+        this.validatePlayerState();
+
+        console.log('▶️ Starting game timer');
+
+        if (this.state.currentTime === 0 && this.audio.enabled && this.audio.whistle) {
+            this.playSound('whistle');
+        }
+
+        this.state.running = true;
+        this.state.paused = false;
+        this.lastTickTime = Date.now();
+
+        this.logPeriodStart();
+
+        this.timerInterval = setInterval(() => this.tick(), 1000);
+
+        if (this.callbacks.onUpdate) {
+            this.callbacks.onUpdate(this.getState());
+        }
+
+        return true;
+    }
+
+    /**
+     * Stop game timer
+     */
+    stop() {
+        if (!this.state.running) {
+            this.releaseQueuedRotation();
+            return true;
+        }
+
+        console.log('⏸️ Stopping game timer');
+
+        this.state.running = false;
+        this.state.paused = true;
+
+        // Clear visibility tracking flags when manually stopped
+        this.wasRunningWhenHidden = false;
+        this.lastVisibleTimestamp = null;
+
+        if (this.timerInterval) {
+            clearInterval(this.timerInterval);
+            this.timerInterval = null;
+        }
+
+        this.releaseQueuedRotation();
+
+        if (this.callbacks.onUpdate) {
+            this.callbacks.onUpdate(this.getState());
+        }
+
+        return true;
+    }
+
+    /**
+     * Timer tick - called every second by interval
+     * Includes error handling to prevent timer death
+     */
+    tick() {
+        if (!this.state.running) return;
+
+        try {
+            const now = Date.now();
+            const elapsed = Math.round((now - this.lastTickTime) / 1000);
+            this.lastTickTime = now;
+
+            // Limit catch-up to prevent runaway updates
+            const maxCatchup = this.profile.defaults.MAX_TICK_CATCHUP || 10;
+            for (let i = 0; i < Math.min(elapsed, maxCatchup); i++) {
+                this.advanceOneSecond();
+            }
+
+            // Validate periodically (throttled)
+            const validationInterval = this.profile.defaults.VALIDATION_INTERVAL || 30;
+            if (this.state.currentTime % validationInterval === 0) {
+                this.validatePlayerState();
+            }
+
+            if (this.callbacks.onUpdate) {
+                this.callbacks.onUpdate(this.getState());
+            }
+        } catch (error) {
+            // Don't stop the game for non-critical errors
+            console.error('❌ Tick error:', error);
+            if (this.callbacks.onError) {
+                this.callbacks.onError(`Tick error: ${error.message}`);
+            }
+        }
+    }
+
+    /**
+     * Advance game time by one second
+     */
+    advanceOneSecond() {
+        // Clock can be driven without start() (catch-up, simulations)
+        this.logPeriodStart();
+
+        this.onField.forEach(player => {
+            this.players.minutes[player] = (this.players.minutes[player] || 0) + 1;
+        });
+        this.accrueRoleTime(1);
+
+        this.players.bench.forEach(player => {
+            this.players.benchMinutes[player] = (this.players.benchMinutes[player] || 0) + 1;
+        });
+        this.getMedicalPlayers().forEach(player => {
+            this.players.medicalMinutes[player] = (this.players.medicalMinutes[player] || 0) + 1;
+        });
+        this.getSinBinnedPlayers().forEach(player => {
+            this.players.sinBinMinutes[player] = (this.players.sinBinMinutes[player] || 0) + 1;
+        });
+
+        this.state.currentTime++;
+        this.state.periodElapsed++;
+
+        // Players whose temporary replacement is up are back on the bench in time for their planned return
+        this.returnMedicalPlayers();
+        this.returnSinBinnedPlayers();
+
+        const next = this.rotations.nextScheduled;
+
+        // Early warning (1 minute before)
+        if (!this.earlyWarningShown && next &&
+            (next.time - this.state.currentTime) === this.profile.defaults.EARLY_WARNING_TIME) {
+            this.earlyWarningShown = true;
+            if (this.callbacks.onEarlyWarning) {
+                this.callbacks.onEarlyWarning();
+            }
+        }
+
+        // Warning beep (warningBeepTime seconds before)
+        if (!this.warningPlayed && next &&
+            (next.time - this.state.currentTime) <= this.config.warningBeepTime &&
+            (next.time - this.state.currentTime) > 0) {
+
+            this.warningPlayed = true;
+
+            if (this.audio.enabled) {
+                this.playSound('warningBeep');
+            }
+
+            if (this.callbacks.onWarning) {
+                this.callbacks.onWarning(next.time - this.state.currentTime);
+            }
+        }
+
+        // Scheduled rotation (in stop-clock mode it waits for the next stoppage)
+        if (!this.rotations.pending && next && this.state.currentTime >= next.time && !this.config.stopClock) {
+            this.startScheduledRotation(next);
+        }
+
+        // Period end is checked after the clock moves so periods end exactly on time
+        if (this.config.periodLength > 0 &&
+            this.state.periodElapsed >= this.config.periodLength) {
+            this.handlePeriodEnd();
+        }
+    }
+
+    /**
+     * Start a planned rotation, or skip it and replan when its players are no longer where the plan put them
+     * @param {Object} next - Plan entry { time, off, on, keeper? }
+     * @param {Object} [options] - Passed to initiateRotation
+     */
+    startScheduledRotation(next, options = {}) {
+        const invalidOff = next.off.filter(p => !this.onField.includes(p));
+        const invalidOn = next.on.filter(p => !this.players.bench.includes(p));
+
+        if (invalidOff.length > 0 || invalidOn.length > 0) {
+            console.warn(`⚠️ Skipping invalid rotation at ${this.formatTime(this.state.currentTime)}`);
+            if (invalidOff.length > 0) {
+                console.warn(`   Players not on ${this.profile.fieldLabel}: ${invalidOff.join(', ')}`);
+            }
+            if (invalidOn.length > 0) {
+                console.warn(`   Players not on bench: ${invalidOn.join(', ')}`);
+            }
+
+            this.rotations.currentPlanIndex++;
+            this.updateNextRotation();
+
+            console.log('🔄 Triggering replan due to invalid rotation');
+            this.replan('invalid_rotation');
+            return false;
+        }
+
+        return this.initiateRotation(next.off, next.on, next.keeper || null, options);
+    }
+
+    /**
+     * Apply missed time when page was hidden
+     * @param {number} secondsMissed - Seconds elapsed while page was hidden
+     */
+    applyMissedTime(secondsMissed) {
+        if (secondsMissed <= 0) return;
+
+        console.log(`⏱️ Applying ${secondsMissed} seconds of missed time`);
+
+        const totalGameDuration = this.config.periodLength * this.config.numPeriods;
+        if (totalGameDuration > 0 && this.state.currentTime >= totalGameDuration) {
+            console.log('Game was already over, not applying missed time');
+            return;
+        }
+
+        this.onField.forEach(player => {
+            this.players.minutes[player] = (this.players.minutes[player] || 0) + secondsMissed;
+        });
+        this.accrueRoleTime(secondsMissed);
+
+        this.players.bench.forEach(player => {
+            this.players.benchMinutes[player] = (this.players.benchMinutes[player] || 0) + secondsMissed;
+        });
+
+        // Medical and sin-bin time runs until each player's return; the rest
+        // of the missed time is spent back on the bench or the field
+        const awayFor = record => Math.min(secondsMissed, Math.max(0, record.returnAt - this.state.currentTime));
+        this.getMedicalPlayers().forEach(player => {
+            const away = awayFor(this.players.medical[player]);
+            this.players.medicalMinutes[player] = (this.players.medicalMinutes[player] || 0) + away;
+            this.players.benchMinutes[player] = (this.players.benchMinutes[player] || 0) + secondsMissed - away;
+        });
+        this.getSinBinnedPlayers().forEach(player => {
+            const away = awayFor(this.players.sinBin[player]);
+            this.players.sinBinMinutes[player] = (this.players.sinBinMinutes[player] || 0) + away;
+            this.players.minutes[player] = (this.players.minutes[player] || 0) + secondsMissed - away;
+        });
+
+        this.state.currentTime += secondsMissed;
+        this.state.periodElapsed += secondsMissed;
+
+        this.returnMedicalPlayers();
+        this.returnSinBinnedPlayers();
+
+        // Roll over any periods the missed time crossed
+        while (this.config.periodLength > 0 &&
+            this.state.periodElapsed >= this.config.periodLength &&
+            this.state.currentPeriod <= this.config.numPeriods) {
+
+            const timeOverPeriod = this.state.periodElapsed - this.config.periodLength;
+
+            if (this.state.currentPeriod >= this.config.numPeriods) {
+                console.log('Missed time caused game to end');
+                this.state.currentTime = totalGameDuration;
+                this.state.periodElapsed = this.config.periodLength;
+                this.state.gameOver = true;
+                this.stop();
+
+                if (this.callbacks.onUpdate) {
+                    this.callbacks.onUpdate(this.getState());
+                }
+                return;
+            }
+
+            this.state.currentPeriod++;
+            this.state.periodElapsed = timeOverPeriod;
+            console.log(`Advanced to ${this.profile.periodLabel.toLowerCase()} ${this.state.currentPeriod} with ${timeOverPeriod}s elapsed`);
+        }
+
+        if (totalGameDuration > 0 && this.state.currentTime >= totalGameDuration) {
+            console.log('Game ended after applying missed time');
+            this.state.gameOver = true;
+            this.stop();
+        }
+
+        if (this.callbacks.onUpdate) {
+            this.callbacks.onUpdate(this.getState());
+        }
+    }
+
+    /**
+     * Handle page visibility changes for catch-up logic
+     */
+    handleVisibilityChange() {
+        const totalGameDuration = this.config.periodLength * this.config.numPeriods;
+        const isGameOver = totalGameDuration > 0 && this.state.currentTime >= totalGameDuration;
+
+        if (document.hidden) {
+            if (this.state.running) {
+                console.log('📴 Page hidden, timer was running. Storing timestamp and stopping interval.');
+                this.lastVisibleTimestamp = Date.now();
+                this.wasRunningWhenHidden = true;
+                // Just clear the interval - state.running stays true so we know to resume
+                if (this.timerInterval) {
+                    clearInterval(this.timerInterval);
+                    this.timerInterval = null;
+                }
+            } else {
+                this.wasRunningWhenHidden = false;
+            }
+            return;
+        }
+
+        console.log('📱 Page became visible.');
+
+        if (this.wasRunningWhenHidden && this.lastVisibleTimestamp && !isGameOver) {
+            const elapsedWhileHidden = Math.round((Date.now() - this.lastVisibleTimestamp) / 1000);
+            this.lastVisibleTimestamp = null;
+
+            // Never run the clock past the end of the game
+            const timeRemaining = totalGameDuration - this.state.currentTime;
+            let catchUp = Math.min(elapsedWhileHidden, timeRemaining);
+
+            // Defensive check: stale timestamps (e.g. device slept for hours) are not replayed
+            if (elapsedWhileHidden > this.profile.defaults.MAX_CATCHUP_SECONDS) {
+                console.warn(`⚠️ Elapsed time (${elapsedWhileHidden}s) seems excessive. Skipping catch-up.`);
+                catchUp = 0;
+            }
+
+            if (catchUp > 0) {
+                this.applyMissedTime(catchUp);
+            }
+
+            const newIsGameOver = totalGameDuration > 0 && this.state.currentTime >= totalGameDuration;
+
+            // Catch-up may have ended a period (which stops the clock) - only resume if still running
+            if (!newIsGameOver && this.state.running) {
+                console.log('▶️ Resuming timer after visibility restore');
+                this.lastTickTime = Date.now();
+                this.timerInterval = setInterval(() => this.tick(), 1000);
+            } else {
+                this.state.running = false;
+                this.wasRunningWhenHidden = false;
+            }
+        } else {
+            this.lastVisibleTimestamp = null;
+            this.wasRunningWhenHidden = false;
+        }
+
+        if (this.callbacks.onUpdate) {
+            this.callbacks.onUpdate(this.getState());
+        }
+    }
+
+    // ========================================================================
+    // STOP-CLOCK MODE
+    // ========================================================================
+
+    /**
+     * Stop-clock mode: a rotation fell due while the ball was live and waits
+     * for the next stoppage
+     */
+    isRotationQueued() {
+        const next = this.rotations.nextScheduled;
+        return Boolean(this.config.stopClock && !this.rotations.pending && next && this.state.currentTime >= next.time);
+    }
+
+    /**
+     * The clock has stopped - make the queued rotation. How long it waited is
+     * fed back to the optimizer, which schedules later rotations that much earlier
+     * @returns {boolean} True if a rotation was started
+     */
+    releaseQueuedRotation() {
+        if (!this.isRotationQueued()) return false;
+
+        const next = this.rotations.nextScheduled;
+        this.recordStoppageDelay(this.state.currentTime - next.time);
+        console.log(`⏸️ Stoppage - making the rotation queued since ${this.formatTime(next.time)}`);
+
+        return this.startScheduledRotation(next, { reason: 'stoppage', plannedTime: next.time });
+    }
+
+    /**
+     * Keep the last few waits and pass the new average to the optimizer
+     * @param {number} delay - Seconds the rotation waited for a stoppage
+     */
+    recordStoppageDelay(delay) {
+        const delays = this.rotations.stoppageDelays;
+        delays.push(delay);
+        if (delays.length > this.profile.defaults.STOP_CLOCK_DELAY_SAMPLES) {
+            delays.shift();
+        }
+
+        if (this.enforcer) {
+            this.enforcer.expectedSubDelay = this.getExpectedSubDelay();
+        }
+    }
+
+    /**
+     * Average wait for a stoppage over recent queued rotations
+     */
+    getExpectedSubDelay() {
+        const delays = this.rotations.stoppageDelays || [];
+        return delays.length > 0
+            ? Math.round(delays.reduce((sum, delay) => sum + delay, 0) / delays.length)
+            : this.profile.defaults.STOP_CLOCK_SUB_DELAY;
+    }
+
+    // ========================================================================
+    // INTERCHANGE CAP
+    // ========================================================================
+
+    /**
+     * Interchange cap from setupData.interchangeCap - a number (per game) or
+     * { perGame, perPeriod, reserve }. Changes made at a break do not count
+     * @returns {Object|null} { perGame, perPeriod, reserve } (null = unlimited)
+     */
+    parseInterchangeCap(setupData) {
+        const raw = typeof setupData.interchangeCap === 'number'
+            ? { perGame: setupData.interchangeCap }
+            : setupData.interchangeCap || {};
+        const limit = value => {
+            const number = value === null || value === '' ? NaN : Number(value);
+            return Number.isInteger(number) && number >= 0 ? number : null;
+        };
+
+        const perGame = limit(raw.perGame);
+        const perPeriod = limit(raw.perPeriod);
+        if (perGame === null && perPeriod === null) {
+            return null;
+        }
+
+        const reserve = limit(raw.reserve) ?? this.profile.defaults.INTERCHANGE_RESERVE;
+        return { perGame, perPeriod, reserve };
+    }
+
+    /**
+     * Interchanges used and left (left is null when there is no cap)
+     */
+    getInterchangeStats() {
+        const cap = this.config.interchangeCap || null;
+        const used = this.rotations.interchanges;
+        const usedThisPeriod = used.byPeriod[this.state.currentPeriod] || 0;
+        const gameLeft = cap?.perGame != null ? Math.max(0, cap.perGame - used.total) : null;
+        const periodLeft = cap?.perPeriod != null ? Math.max(0, cap.perPeriod - usedThisPeriod) : null;
+        const lefts = [gameLeft, periodLeft].filter(value => value !== null);
+
+        return {
+            cap,
+            used: used.total,
+            usedThisPeriod,
+            injury: used.injury,
+            gameLeft,
+            periodLeft,
+            left: lefts.length > 0 ? Math.min(...lefts) : null
+        };
+    }
+
+    /**
+     * Changes made while the clock is at the start of a period (breaks) are free
+     */
+    isInterchangeFree() {
+        return this.state.periodElapsed === 0;
+    }
+
+    /**
+     * @param {number} count - Players about to come on
+     * @returns {string|null} Error message when the swap would break the cap
+     */
+    checkInterchangeCap(count) {
+        if (!this.config.interchangeCap || this.isInterchangeFree()) return null;
+
+        const { left, gameLeft } = this.getInterchangeStats();
+        if (count <= left) return null;
+
+        const scope = left === gameLeft ? 'this game' : `this ${this.profile.periodLabel.toLowerCase()}`;
+        return `Interchange cap: ${left} interchange${left === 1 ? '' : 's'} left ${scope}, ${count} needed`;
+    }
+
+    /**
+     * Count players coming on against the cap (injury replacements count but are never refused)
+     */
+    recordInterchanges(count, { injury = false } = {}) {
+        if (count <= 0 || this.isInterchangeFree()) return;
+
+        const used = this.rotations.interchanges;
+        const period = this.state.currentPeriod;
+        used.total += count;
+        used.byPeriod[period] = (used.byPeriod[period] || 0) + count;
+        if (injury) {
+            used.injury += count;
+        }
+    }
+
+    /**
+     * What the optimizer may still plan: the cap less what is used and the injury reserve
+     * @returns {Object|null} { perGame, perPeriod, usedInPeriod, gameAllowance }
+     */
+    getInterchangeBudget() {
+        const cap = this.config.interchangeCap;
+        if (!cap) return null;
+
+        const used = this.rotations.interchanges;
+        const perGame = cap.perGame !== null ? Math.max(0, cap.perGame - cap.reserve - used.total) : null;
+        const perPeriod = cap.perPeriod !== null ? Math.max(0, cap.perPeriod - cap.reserve) : null;
+        const allowances = [
+            cap.perGame !== null ? Math.max(0, cap.perGame - cap.reserve) : null,
+            perPeriod !== null ? perPeriod * this.config.numPeriods : null
+        ].filter(value => value !== null);
+
+        return {
+            perGame,
+            perPeriod,
+            usedInPeriod: { ...used.byPeriod },
+            gameAllowance: Math.min(...allowances)
+        };
+    }
+
+    // ========================================================================
+    // TEMPORARY REPLACEMENTS
+    // ========================================================================
+
+    /**
+     * Players off for a temporary replacement who are not back yet
+     */
+    getMedicalPlayers() {
+        return Object.keys(this.players.medical).filter(player => this.isOffForMedical(player));
+    }
+
+    isOffForMedical(player) {
+        const record = this.players.medical?.[player];
+        return Boolean(record && !record.returned);
+    }
+
+    /**
+     * Back on the bench from a temporary replacement and not on yet - their
+     * return is free of the interchange cap
+     */
+    isMedicalReturn(player) {
+        return Boolean(this.players.medical?.[player]?.returned);
+    }
+
+    /**
+     * Bench as the optimizer sees it: players off for a temporary replacement
+     * sit there, out of every rotation, until they are due back
+     */
+    getOptimizerBench() {
+        return [...this.players.bench, ...this.getMedicalPlayers()];
+    }
+
+    /**
+     * Blood rule or head-injury assessment: the player leaves for a set time
+     * and playerOn fills the spot. Neither change counts against the interchange
+     * cap. The plan brings the player back on for their replacement when the
+     * time is up; the time off is logged as medical minutes, not bench minutes
+     * @param {string} playerOff - Player leaving for treatment
+     * @param {string} playerOn - Bench player filling the spot
+     * @param {Object} [options]
+     * @param {string} [options.reason='blood'] - 'blood' or 'hia'
+     * @param {number} [options.duration] - Seconds off (default TEMPORARY_REPLACEMENT_TIME[reason])
+     * @returns {boolean} True if the replacement was made
+     */
+    temporaryReplacement(playerOff, playerOn, { reason = 'blood', duration = null } = {}) {
+        const defaultTime = this.profile.defaults.TEMPORARY_REPLACEMENT_TIME[reason];
+        if (defaultTime === undefined) {
+            this.handleError(`Unknown temporary replacement: ${reason}`);
+            return false;
+        }
+
+        if (!this.onField.includes(playerOff)) {
+            this.handleError(`${playerOff} is not on ${this.profile.fieldLabel}`);
+            return false;
+        }
+
+        if (!this.players.bench.includes(playerOn)) {
+            this.handleError(`${playerOn} is not on bench`);
+            return false;
+        }
+
+        if (this.rotations.pending && (this.rotations.pendingOff.includes(playerOff) ||
+            this.rotations.pendingOn.includes(playerOn) || this.rotations.pendingKeeper === playerOff)) {
+            this.cancelRotation();
+        }
+
+        const seconds = Number(duration) > 0 ? Number(duration) : defaultTime;
+        const returnAt = this.state.currentTime + seconds;
+        console.log(`🩹 ${playerOff} off for ${reason} until ${this.formatTime(returnAt)}, ${playerOn} replaces`);
+
+        this.onField[this.onField.indexOf(playerOff)] = playerOn;
+        this.players.bench = this.players.bench.filter(p => p !== playerOn);
+        this.players.medical[playerOff] = {
+            reason,
+            start: this.state.currentTime,
+            returnAt,
+            replacement: playerOn,
+            returned: false
+        };
+
+        this.transferRole(playerOff, playerOn);
+        this.validatePlayerState();
+
+        this.endStint(playerOff);
+        this.startStint(playerOn);
+
+        this.rotations.history.push({
+            time: this.state.currentTime,
+            off: [playerOff],
+            on: [playerOn],
+            reason
+        });
+        this.logEvent('temporary_replacement', { off: [playerOff], on: [playerOn], reason, returnAt });
+
+        this.enforcer?.setMedicalReturn(playerOff, returnAt, playerOn);
+        this.replan('temporary_replacement', { player: playerOff });
+
+        return true;
+    }
+
+    /**
+     * End a temporary replacement before its time is up: a cleared player is
+     * back on the bench and the plan brings them on at the next check; a
+     * player who is not cleared is out of the game
+     * @param {string} player - Player off for a temporary replacement
+     * @param {Object} [options]
+     * @param {boolean} [options.cleared=true] - False when the player cannot return
+     * @returns {boolean} True if the player's status changed
+     */
+    endTemporaryReplacement(player, { cleared = true } = {}) {
+        if (!this.isOffForMedical(player)) {
+            this.handleError(`${player} is not off for a temporary replacement`);
+            return false;
+        }
+
+        const record = this.players.medical[player];
+        if (!cleared) {
+            // A failed head-injury assessment is a concussion
+            const reason = record.reason === 'hia' ? 'concussion' : 'injury';
+            delete this.players.medical[player];
+            this.players.removed.add(player);
+            this.enforcer?.clearMedicalReturn(player);
+            this.logEvent('removed', { player, reason, replacement: null });
+            this.replan('injury', { player, reason });
+            return true;
+        }
+
+        record.returnAt = this.state.currentTime;
+        this.enforcer?.setMedicalReturn(player, record.returnAt, record.replacement);
+        this.markMedicalReturned(player);
+        this.replan('player_returned', { player });
+        return true;
+    }
+
+    /**
+     * Move players whose time is up back to the bench (the plan already has their return)
+     */
+    returnMedicalPlayers() {
+        this.getMedicalPlayers()
+            .filter(player => this.players.medical[player].returnAt <= this.state.currentTime)
+            .forEach(player => this.markMedicalReturned(player));
+    }
+
+    markMedicalReturned(player) {
+        const record = this.players.medical[player];
+        record.returned = true;
+        this.players.bench.push(player);
+        this.validatePlayerState();
+
+        console.log(`🩹 ${player} back from ${record.reason}`);
+        this.logEvent('temporary_return', { player, reason: record.reason, replacement: record.replacement });
+    }
+
+    /**
+     * A player back on the field after a temporary replacement is an ordinary player again
+     */
+    clearTemporaryReplacement(player) {
+        if (!this.players.medical?.[player]) return;
+
+        delete this.players.medical[player];
+        this.enforcer?.clearMedicalReturn(player);
+    }
+
+    // ========================================================================
+    // SHORT-HANDED PLAY
+    // ========================================================================
+
+    /**
+     * Spots the team is down: one per player in the sin bin or sent off
+     */
+    getShortSpots() {
+        return Object.keys(this.players.sinBin || {}).length;
+    }
+
+    /**
+     * Players in a timed sin bin (sent-off players are removed instead)
+     */
+    getSinBinnedPlayers() {
+        return Object.keys(this.players.sinBin || {}).filter(player => this.isSinBinned(player));
+    }
+
+    isSinBinned(player) {
+        const record = this.players.sinBin?.[player];
+        return Boolean(record && record.returnAt !== null);
+    }
+
+    /**
+     * Players off for a temporary replacement or in the sin bin, and when each is due back (getState)
+     * @returns {Object} { medical: { player: { reason, returnAt } }, sinBinned: { player: { reason, returnAt } } }
+     */
+    getAbsentPlayers() {
+        const dueBack = (records, players) => Object.fromEntries(players.map(player =>
+            [player, { reason: records[player].reason, returnAt: records[player].returnAt }]));
+        return {
+            medical: dueBack(this.players.medical, this.getMedicalPlayers()),
+            sinBinned: dueBack(this.players.sinBin, this.getSinBinnedPlayers())
+        };
+    }
+
+    /**
+     * Sin bin or send-off: the player leaves and nobody replaces them, so the
+     * team plays a spot short and the plan is redone for the smaller field.
+     * When a timed sin bin is up the player goes straight back on and the
+     * spot is restored; with no duration (a red card) the player is out of
+     * the game and the spot is gone for good. Time in the sin bin is logged
+     * as sin-bin minutes, not bench minutes
+     * @param {string} player - Player on the field
+     * @param {Object} [options]
+     * @param {number|null} [options.duration] - Seconds off (default SIN_BIN_TIME; null = rest of the game)
+     * @param {string} [options.reason] - Logged reason (default 'sin bin', or 'red card' for the rest of the game)
+     * @param {string|null} [options.keeper] - On-field player who takes over in goal when the player is the goalkeeper
+     * @returns {boolean} True if the player was sent off
+     */
+    sinBin(player, {
+        duration = this.profile.defaults.SIN_BIN_TIME,
+        reason = duration === null ? 'red card' : 'sin bin',
+        keeper = null
+    } = {}) {
+        if (!this.onField.includes(player)) {
+            this.handleError(`${player} is not on ${this.profile.fieldLabel}`);
+            return false;
+        }
+
+        if (this.onField.length <= 1) {
+            this.handleError(`Cannot send off ${player} - last player on ${this.profile.fieldLabel}`);
+            return false;
+        }
+
+        const inGoal = Boolean(this.players.goalkeeper) && this.players.goalkeeper === player;
+        if (inGoal && (!keeper || keeper === player || !this.onField.includes(keeper))) {
+            this.handleError(`${player} is in goal - name a player on ${this.profile.fieldLabel} to take over`);
+            return false;
+        }
+
+        if (this.rotations.pending && this.rotations.pendingOff.includes(player)) {
+            this.cancelRotation();
+        }
+
+        const seconds = Number(duration) > 0 ? Number(duration) : this.profile.defaults.SIN_BIN_TIME;
+        const returnAt = duration === null ? null : this.state.currentTime + seconds;
+        console.log(`🟥 ${player} off (${reason}) ${returnAt === null ? 'for the rest of the game' : `until ${this.formatTime(returnAt)}`} - playing a spot short`);
+
+        this.onField = this.onField.filter(p => p !== player);
+        this.players.sinBin[player] = { reason, start: this.state.currentTime, returnAt, ...(inGoal ? { inGoal } : {}) };
+        if (returnAt === null) {
+            this.players.removed.add(player);
+        }
+        if (inGoal) {
+            this.applyKeeperChange(keeper);
+        }
+
+        this.endStint(player);
+        this.validatePlayerState();
+        this.assignRoles(this.onField);
+
+        if (inGoal) {
+            this.logEvent('goalkeeper_change', { from: player, to: keeper, reason });
+        }
+        if (returnAt === null) {
+            this.logEvent('removed', { player, reason, replacement: null });
+        } else {
+            this.logEvent('sin_bin', { player, reason, returnAt });
+        }
+
+        this.enforcer?.setFieldSpots(this.fieldSize);
+        this.replan(returnAt === null ? 'injury' : 'sin_bin', { player, ...(returnAt === null ? { reason } : {}) });
+
+        return true;
+    }
+
+    /**
+     * Bring back every player whose sin bin is up
+     */
+    returnSinBinnedPlayers() {
+        this.getSinBinnedPlayers()
+            .filter(player => this.players.sinBin[player].returnAt <= this.state.currentTime)
+            .forEach(player => this.endSinBin(player));
+    }
+
+    /**
+     * End a sin bin (time up, or early where the rules allow) or take back a
+     * send-off given in error: the player goes straight back on and the team
+     * is back to full strength. A keeper whose send-off is taken back gets
+     * the gloves back
+     * @param {string} player - Player in the sin bin or sent off
+     * @returns {boolean} True if the player came back on
+     */
+    endSinBin(player) {
+        const record = this.players.sinBin?.[player];
+        if (!record) {
+            this.handleError(`${player} is not in the sin bin`);
+            return false;
+        }
+
+        const { reason } = record;
+        const sentOff = record.returnAt === null;
+        delete this.players.sinBin[player];
+        this.players.removed.delete(player);
+
+        this.onField.push(player);
+        if (sentOff && record.inGoal) {
+            const previousKeeper = this.players.goalkeeper;
+            this.applyKeeperChange(player);
+            this.logEvent('goalkeeper_change', { from: previousKeeper, to: player, reason });
+        }
+        this.startStint(player);
+        this.validatePlayerState();
+        this.assignRoles(this.onField);
+
+        if (sentOff) {
+            console.log(`✅ ${player} send-off taken back`);
+            this.logEvent('returned', { player });
+        } else {
+            console.log(`🟥 ${player} back from the sin bin`);
+            this.logEvent('sin_bin_return', { player, reason });
+        }
+
+        this.enforcer?.setFieldSpots(this.fieldSize);
+        this.replan('player_returned', { player });
+
+        return true;
+    }
+
+    // ========================================================================
+    // PERIODS & GAME END
+    // ========================================================================
+
+    /**
+     * Handle period end
+     */
+    handlePeriodEnd() {
+        console.log(`${this.profile.periodLabel} ${this.state.currentPeriod} ended`);
+
+        this.stop();
+        this.logEvent('period_end');
+
+        if (this.state.currentPeriod >= this.config.numPeriods) {
+            this.handleGameEnd();
+            return;
+        }
+
+        const nextPeriod = this.state.currentPeriod + 1;
+        this.state.currentPeriod = nextPeriod;
+        this.state.periodElapsed = 0;
+
+        this.applyBreakFlags(nextPeriod);
+
+        if (this.callbacks.onPeriodEnd) {
+            this.callbacks.onPeriodEnd(this.getPeriodEndInfo());
+        }
+    }
+
+    /**
+     * Handle game end
+     */
+    handleGameEnd() {
+        console.log('🏁 Game ended');
+
+        this.state.gameOver = true;
+        this.state.running = false;
+
+        this.logEvent('game_end');
+
+        this.playSound('finalWhistle');
+
+        const stats = this.calculateFinalStats();
+
+        console.log('📊 Final Statistics:');
+        const finalScore = this.describeFinalScore();
+        if (finalScore) {
+            console.log(`   Final Score: ${finalScore}`);
+        }
+        console.log(`   Variance: ${stats.variance}s`);
+        console.log(`   Rotations: ${stats.rotations}`);
+        console.log(`   Average minutes: ${Math.floor(stats.averageMinutes / 60)}`);
+
+        if (this.callbacks.onGameEnd) {
+            this.callbacks.onGameEnd(stats);
+        }
+    }
+
+    /**
+     * Calculate final statistics
+     */
+    calculateFinalStats() {
+        const stats = {
+            players: {},
+            variance: 0,
+            rotations: this.rotations.history.length,
+            seasonTeam: this.config.seasonTeam || null,
+            averageMinutes: 0,
+            maxMinutes: 0,
+            minMinutes: 0,
+            events: this.getEventLog()
+        };
+
+        const activePlayers = this.players.all.filter(p => !this.players.removed.has(p));
+        const hasTargets = this.enforcer?.hasPlayerTargets() || false;
+        const elapsedShare = this.totalGameLength > 0 ? this.state.currentTime / this.totalGameLength : 0;
+        let totalMinutes = 0;
+        const playTimes = [];
+
+        // Removed and sent-off players keep their line (minutes, goals, cards) but
+        // are flagged and left out of the balance figures
+        this.players.all.forEach(player => {
+            const minutes = this.players.minutes[player] || 0;
+            const benchMinutes = this.players.benchMinutes[player] || 0;
+
+            stats.players[player] = {
+                minutes: minutes,
+                benchMinutes: benchMinutes,
+                ...(this.players.medicalMinutes[player] > 0 ? { medicalMinutes: this.players.medicalMinutes[player] } : {}),
+                ...(this.players.sinBinMinutes?.[player] > 0 ? { sinBinMinutes: this.players.sinBinMinutes[player] } : {}),
+                percentage: ((minutes / this.state.currentTime) * 100).toFixed(1),
+                ...(this.players.removed.has(player) ? { removed: true } : {}),
+                ...this.getPlayerFinalStats(player)
+            };
+        });
+
+        activePlayers.forEach(player => {
+            const minutes = this.players.minutes[player] || 0;
+            totalMinutes += minutes;
+
+            // With targets, measure each player against their own goal
+            if (hasTargets && this.enforcer.playerTargetSeconds[player] !== undefined) {
+                const target = this.enforcer.playerTargetSeconds[player];
+                stats.players[player].targetMinutes = Math.round(target * elapsedShare);
+                playTimes.push(minutes - (target - this.enforcer.meanTargetSeconds) * elapsedShare);
+            } else {
+                playTimes.push(minutes);
+            }
+
+            if (minutes > stats.maxMinutes) stats.maxMinutes = minutes;
+            if (stats.minMinutes === 0 || minutes < stats.minMinutes) stats.minMinutes = minutes;
+        });
+
+        // Variance is the standard deviation of minutes played (relative to target)
+        if (playTimes.length > 0) {
+            const mean = playTimes.reduce((sum, time) => sum + time, 0) / playTimes.length;
+            const squaredDiffs = playTimes.map(time => Math.pow(time - mean, 2));
+            const varianceValue = squaredDiffs.reduce((sum, diff) => sum + diff, 0) / playTimes.length;
+            stats.variance = Math.round(Math.sqrt(varianceValue));
+        }
+
+        stats.averageMinutes = activePlayers.length > 0 ? totalMinutes / activePlayers.length : 0;
+
+        // Coach-set shares make each player's fair share their own target; the
+        // players without one split what is left of the minutes played
+        const shares = this.enforcer?.playerShareSeconds || {};
+        const shared = activePlayers.filter(player => shares[player] !== undefined);
+        if (shared.length > 0) {
+            const others = activePlayers.filter(player => shares[player] === undefined);
+            let sharedMinutes = 0;
+            shared.forEach(player => {
+                stats.players[player].fairShare = Math.round(shares[player] * elapsedShare);
+                sharedMinutes += stats.players[player].fairShare;
+            });
+            others.forEach(player => {
+                stats.players[player].fairShare = Math.round((totalMinutes - sharedMinutes) / others.length);
+            });
+        }
+
+        if (this.enforcer) {
+            stats.enforcerAnalytics = this.enforcer.getAnalytics(this.state.currentTime);
+        }
+
+        return stats;
+    }
+
+    // ========================================================================
+    // MATCH EVENT LOG
+    // ========================================================================
+
+    /**
+     * Append an entry to the play-by-play log and pass it to callbacks.onEvent
+     * @param {string} type - Event type (see MatchEvent)
+     * @param {Object} [details] - Event fields (players, reason, points...)
+     * @returns {MatchEvent} The logged event
+     */
+    logEvent(type, details = {}) {
+        const event = {
+            seq: this.events.length,
+            type,
+            time: this.state.currentTime,
+            period: this.state.currentPeriod,
+            at: new Date().toISOString(),
+            ...details
+        };
+        this.events.push(event);
+        if (this.callbacks?.onEvent) {
+            this.callbacks.onEvent(event);
+        }
+        return event;
+    }
+
+    /**
+     * Log the start of the current period once, with the lineup it starts with
+     * so any moment can be rebuilt from the log alone
+     */
+    logPeriodStart() {
+        if (this.state.periodElapsed !== 0) return;
+
+        const alreadyLogged = this.events.some(e => e.type === 'period_start' && e.period === this.state.currentPeriod);
+        if (alreadyLogged) return;
+
+        this.logEvent('period_start', {
+            field: [...this.onField],
+            bench: [...this.players.bench],
+            removed: Array.from(this.players.removed)
+        });
+    }
+
+    /**
+     * Copy of the play-by-play log
+     * @returns {Array<MatchEvent>}
+     */
+    getEventLog() {
+        return this.events.map(event => ({ ...event }));
+    }
+
+    // ========================================================================
+    // SNAPSHOTS
+    // ========================================================================
+
+    /**
+     * Build a serialisable snapshot of the full game for persistence
+     * @returns {Object} Versioned snapshot (JSON-safe)
+     */
+    getSnapshot() {
+        const players = {};
+        Object.entries(this.players).forEach(([key, value]) => {
+            players[key] = value instanceof Set ? Array.from(value) : cloneValue(value);
+        });
+
+        return {
+            version: this.profile.defaults.SNAPSHOT_VERSION,
+            sport: this.profile.sport,
+            timestamp: Date.now(),
+            config: cloneValue(this.config),
+            state: { ...this.state },
+            players,
+            scoring: cloneValue(this.scoring),
+            rotations: cloneValue(this.rotations),
+            planTargetMinutes: this.planTargetMinutes,
+            totalGameLength: this.totalGameLength,
+            audioEnabled: this.audio.enabled,
+            events: this.getEventLog(),
+            optimizer: this.snapshotOptimizer()
+        };
+    }
+
+    /**
+     * Serialisable optimizer state (config, roster, per-player timing, break flags, plan)
+     */
+    snapshotOptimizer(optimizer = this.enforcer) {
+        if (!optimizer) return null;
+
+        const saved = {
+            config: cloneValue(this.enforcerConfig),
+            tempo: optimizer.tempo,
+            players: [...optimizer.players],
+            playerState: cloneValue(optimizer.playerState),
+            removedPlayers: Array.from(optimizer.removedPlayers)
+        };
+
+        OPTIMIZER_SNAPSHOT_KEYS.forEach(key => {
+            if (optimizer[key] !== undefined) {
+                saved[key] = cloneValue(optimizer[key]);
+            }
+        });
+
+        return saved;
+    }
+
+    /**
+     * Restore a game from a snapshot produced by getSnapshot()
+     * Game is restored paused; the optimizer is rebuilt and resynced
+     * @param {Object} snapshot - Snapshot object (already JSON-parsed)
+     * @returns {boolean} True if restore succeeded
+     */
+    restoreFromSnapshot(snapshot) {
+        if (!snapshot || snapshot.version !== this.profile.defaults.SNAPSHOT_VERSION) {
+            this.handleError(`Incompatible snapshot version: ${snapshot ? snapshot.version : 'none'}`);
+            return false;
+        }
+
+        if (snapshot.sport && snapshot.sport !== this.profile.sport) {
+            this.handleError(`Snapshot is for ${snapshot.sport}, not ${this.profile.sport}`);
+            return false;
+        }
+
+        if (!snapshot.players || !Array.isArray(snapshot.players.all) || !snapshot.state?.initialized) {
+            this.handleError('Snapshot is missing game data');
+            return false;
+        }
+
+        try {
+            this.stop();
+
+            this.config = { ...this.config, ...snapshot.config };
+            this.state = {
+                ...this.createInitialState(),
+                ...snapshot.state,
+                running: false,
+                paused: snapshot.state.currentTime > 0
+            };
+
+            const ledger = this.createPlayerLedger();
+            Object.entries(snapshot.players).forEach(([key, value]) => {
+                ledger[key] = ledger[key] instanceof Set ? new Set(value || []) : cloneValue(value);
+            });
+            this.players = ledger;
+
+            this.scoring = { ...this.createScoring(), ...snapshot.scoring };
+            this.rotations = { ...this.createRotationState(), ...snapshot.rotations };
+            this.planTargetMinutes = snapshot.planTargetMinutes || 0;
+            this.totalGameLength = snapshot.totalGameLength || this.config.periodLength * this.config.numPeriods;
+            this.events = cloneValue(snapshot.events || []);
+
+            this.lastTickTime = null;
+            this.lastVisibleTimestamp = null;
+            this.wasRunningWhenHidden = false;
+            this.warningPlayed = false;
+            this.earlyWarningShown = false;
+
+            this.restoreOptimizer(snapshot.optimizer);
+
+            this.audio.enabled = snapshot.audioEnabled !== false;
+            if (this.audio.enabled) {
+                this.preloadAudio();
+            }
+
+            this.validatePlayerState();
+            this.updateNextRotation();
+
+            console.log(`♻️ Game restored at ${this.formatTime(this.state.currentTime)} (snapshot from ${new Date(snapshot.timestamp).toLocaleTimeString()})`);
+            return true;
+        } catch (error) {
+            this.handleError(`Failed to restore snapshot: ${error.message}`);
+            return false;
+        }
+    }
+
+    /**
+     * Rebuild the optimizer from snapshot data and resync it with the restored roster
+     */
+    restoreOptimizer(saved) {
+        const OptimizerCtor = this.getOptimizerClass();
+        const active = this.players.all.filter(p => !this.players.removed.has(p));
+
+        this.enforcerConfig = saved?.config || this.getOptimizerConfig({ totalPlayers: active.length });
+        this.enforcer = new OptimizerCtor(this.enforcerConfig);
+        this.enforcer.tempo = saved?.tempo || 'balanced';
+
+        this.enforcer.initialize(saved ? saved.players : this.players.all, this.getOptimizerState());
+        this.applyOptimizerSnapshot(this.enforcer, saved);
+
+        this.enforcer.syncWithActualState(
+            this.state.currentTime,
+            [...this.onField],
+            this.getOptimizerBench(),
+            { ...this.players.minutes }
+        );
+    }
+
+    /**
+     * Copy saved per-player timing and flags back onto a freshly initialized optimizer
+     */
+    applyOptimizerSnapshot(optimizer, saved) {
+        if (!optimizer || !saved) return;
+
+        Object.keys(saved.playerState || {}).forEach(player => {
+            if (optimizer.playerState[player]) {
+                Object.assign(optimizer.playerState[player], saved.playerState[player]);
+            }
+        });
+        optimizer.removedPlayers = new Set(saved.removedPlayers || []);
+
+        OPTIMIZER_SNAPSHOT_KEYS.forEach(key => {
+            if (saved[key] !== undefined) {
+                optimizer[key] = cloneValue(saved[key]);
+            }
+        });
+    }
+
+    // ========================================================================
+    // UTILITIES
+    // ========================================================================
+
+    /**
+     * Set a UI callback by name
+     */
+    setCallback(name, fn) {
+        if (Object.prototype.hasOwnProperty.call(this.callbacks, name)) {
+            this.callbacks[name] = fn;
+        }
+    }
+
+    /**
+     * Format time for display
+     */
+    formatTime(seconds) {
+        if (!Number.isFinite(seconds) || seconds < 0) return '0:00';
+        const mins = Math.floor(seconds / 60);
+        const secs = Math.floor(seconds % 60);
+        return `${mins}:${secs.toString().padStart(2, '0')}`;
+    }
+
+    /**
+     * Preload audio files
+     */
+    preloadAudio() {
+        const files = Object.entries(this.getAudioFiles());
+        if (files.length === 0) return;
+
+        try {
+            files.forEach(([soundType, src]) => {
+                this.audio[soundType] = new Audio(src);
+                this.audio[soundType].load();
+            });
+
+            console.log('🔊 Audio files preloaded');
+        } catch (e) {
+            console.warn('Audio preload failed:', e);
+        }
+    }
+
+    /**
+     * Play sound effect
+     */
+    playSound(soundType) {
+        if (!this.audio.enabled || !this.audio[soundType]) return;
+
+        try {
+            const sound = this.audio[soundType].cloneNode();
+            sound.volume = 0.5;
+            sound.play().catch(e => console.warn(`Failed to play ${soundType}:`, e));
+        } catch (e) {
+            console.warn(`Error playing ${soundType}:`, e);
+        }
+    }
+
+    /**
+     * Handle errors
+     */
+    handleError(message) {
+        console.error(`❌ ${this.profile.logTag} ${message}`);
+
+        if (this.callbacks.onError) {
+            this.callbacks.onError(message);
+        }
+    }
+
+    /**
+     * Reset game
+     */
+    reset() {
+        console.log('🔄 Resetting game');
+
+        this.stop();
+
+        if (this.timerInterval) {
+            clearInterval(this.timerInterval);
+            this.timerInterval = null;
+        }
+
+        this.lastVisibleTimestamp = null;
+        this.wasRunningWhenHidden = false;
+
+        this.state = this.createInitialState();
+        this.players = this.createPlayerLedger();
+        this.rotations = this.createRotationState();
+        this.scoring = this.createScoring();
+        this.events = [];
+
+        this.enforcer = null;
+        this.enforcerConfig = null;
+
+        console.log('Reset complete');
+    }
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BaseGameEngine;
+    module.exports.BASE_ENGINE_DEFAULTS = BASE_ENGINE_DEFAULTS;
+}
+
+if (typeof window !== 'undefined') {
+    window.BaseGameEngine = BaseGameEngine;
+    window.BASE_ENGINE_DEFAULTS = BASE_ENGINE_DEFAULTS;
+    console.log('⚙️ Base Game Engine v1.0 loaded');
+}
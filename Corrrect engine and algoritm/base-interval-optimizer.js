@@ -0,0 +1,2149 @@
+/**
+ * Base Interval Optimizer
+ * Sport-agnostic hybrid substitution algorithm shared by the basketball, soccer, AFL and Oztag optimizers
+ * Version 1.0
+ *
+ * @fileoverview Urgency-based scheduling with 4-value fatigue tracking. Every
+ * sport-specific number (field size, goalkeeper lock, break behaviour, stint and
+ * gap limits, end lockout) comes from OPTIMIZER_PROFILES in config/game-defaults.js,
+ * so variance-control tuning lands in every sport at once. Sport optimizers extend
+ * BaseIntervalOptimizer and override the hooks in the SPORT HOOKS section.
+ */
+
+// ============================================================================
+// TYPE DEFINITIONS
+// ============================================================================
+
+/**
+ * @typedef {Object} PlayerState
+ * @property {string} status - 'On_Field', 'On_Bench', or 'Removed'
+ * @property {number} totalTimePlayed - Cumulative playing time in seconds
+ * @property {number} currentFieldStint - Current stint duration on field
+ * @property {number} currentBenchStint - Current stint duration on bench
+ * @property {number} totalBenchTime - Cumulative bench time in seconds
+ * @property {boolean} isOnField - Whether player is currently on field
+ * @property {number} currentStintDuration - Legacy compatibility field
+ * @property {number} totalMedicalTime - Time off for a temporary replacement (not bench time)
+ */
+
+/**
+ * @typedef {Object} Rotation
+ * @property {number} time - Time of rotation in seconds
+ * @property {string[]} off - Players coming off field
+ * @property {string[]} on - Players going on field
+ * @property {string} [reason] - Reason for rotation
+ * @property {number} [line] - Line mode: the line (1-based) this change brings on
+ * @property {boolean} [medical] - Brings a player back from a temporary replacement
+ *   (free of the interchange cap)
+ */
+
+/**
+ * @typedef {Object} OptimizerResult
+ * @property {boolean} success - Whether operation succeeded
+ * @property {Rotation[]} [rotations] - Array of planned rotations
+ * @property {number[]} [schedule] - Array of rotation times
+ * @property {number} [targetMinutes] - Target minutes per player
+ * @property {number} [expectedVariance] - Expected variance in seconds
+ * @property {Object} [playerMinutes] - Map of player names to minutes
+ * @property {string} [error] - Error message if failed
+ */
+
+/**
+ * @typedef {Object} OptimizerConfig
+ * @property {number} [totalPlayers] - Total number of players
+ * @property {number} [fieldSpots] - Number of on-field positions
+ * @property {number} [gameLength] - Total game length in seconds
+ * @property {number} [periodLength] - Length of each period in seconds
+ * @property {number} [numPeriods] - Number of periods
+ * @property {number} [numGoalkeepers] - 0 or 1 (sports with a goalkeeper lock only)
+ * @property {number} [finalNoSubWindow] - No-sub window at end of period
+ * @property {number} [idealShiftsPerPlayer] - Target shifts per player
+ * @property {number} [varianceGoal] - Target variance in seconds
+ * @property {number} [minSubstitutionGap] - Minimum gap between subs
+ * @property {Object} [playerTargets] - Per-player playing-time targets,
+ *   { player: 'max:60' | { weight, minShare, maxShare, minutes } } (see parsePlayerTarget)
+ * @property {Object} [carryOver] - Season-to-date seconds ahead (+) or behind (-)
+ *   an equal share, { player: seconds } (see utils/season-ledger.js)
+ * @property {number} [expectedSubDelay] - Stop-clock mode: seconds a due rotation
+ *   waits for a stoppage; rotations are scheduled that much earlier
+ * @property {Object} [interchangeBudget] - Interchange cap: { perGame, perPeriod,
+ *   usedInPeriod, gameAllowance } the plan must stay within (null = unlimited)
+ * @property {string[][]} [lines] - Line mode: player names per line; each line
+ *   changes as a unit and the players outside the lines rotate individually
+ */
+
+/**
+ * @typedef {Object} PhaseConstraints
+ * @property {string} phase - Game phase name
+ * @property {number} gapMultiplier - Scales the effective minimum gap
+ * @property {boolean} allowShortStints - Urgent pairs may override the gap
+ * @property {number} maxSubsPerRotation - Batch size cap
+ */
+
+/**
+ * config/game-defaults.js - classic script global in the browser, CommonJS in Node
+ * @returns {Object|null} GameConfig
+ */
+function loadGameConfig() {
+    return (typeof window !== 'undefined' && window.GameConfig?.getOptimizerProfile)
+        ? window.GameConfig
+        : (typeof require === 'function' ? require('./config/game-defaults.js') : null);
+}
+
+/**
+ * Look up a sport's optimizer profile from config/game-defaults.js
+ * @param {string} sport - Profile key ('basketball', 'soccer', 'afl', 'oztag')
+ * @returns {Object} Profile
+ */
+function loadOptimizerProfile(sport) {
+    const profile = loadGameConfig()?.getOptimizerProfile(sport);
+    if (!profile) {
+        throw new Error(`No optimizer profile for "${sport}" - load config/game-defaults.js first`);
+    }
+    return profile;
+}
+
+// ============================================================================
+// MAIN CLASS
+// ============================================================================
+
+class BaseIntervalOptimizer {
+    /**
+     * @param {OptimizerConfig} config - Configuration options
+     * @param {Object} options - Sport wiring
+     * @param {string} options.sport - Profile key in OPTIMIZER_PROFILES
+     * @param {string} options.name - Banner used in logs
+     * @param {Object} [options.defaults] - The sport's OPTIMIZER_DEFAULTS (timing, variance)
+     * @param {Object} [options.profile] - Overrides merged over the sport profile
+     */
+    constructor(config = {}, options = {}) {
+        this.profile = { ...loadOptimizerProfile(options.sport), ...(options.profile || {}) };
+        this.defaults = options.defaults || {};
+        const profile = this.profile;
+        const defaults = this.defaults;
+
+        // Core configuration
+        this.totalPlayers = config.totalPlayers || defaults.DEFAULT_TOTAL_PLAYERS || profile.FIELD_SPOTS;
+        this.fieldSpots = config.fieldSpots || profile.FIELD_SPOTS;
+        this.benchSpots = this.totalPlayers - this.fieldSpots;
+        this.gameLength = config.gameLength || profile.DEFAULT_GAME_LENGTH;
+        this.periodLength = config.periodLength || profile.DEFAULT_PERIOD_LENGTH;
+        this.numPeriods = config.numPeriods || (this.periodLength
+            ? Math.max(1, Math.round(this.gameLength / this.periodLength))
+            : profile.DEFAULT_NUM_PERIODS);
+        if (!this.periodLength) {
+            this.periodLength = this.gameLength / this.numPeriods;
+        }
+        this.finalNoSubWindow = config.finalNoSubWindow || profile.END_LOCKOUT;
+
+        // Goalkeeper lock - the keeper never enters regular rotations
+        if (profile.GOALKEEPER_LOCK) {
+            this.numGoalkeepers = config.numGoalkeepers ?? defaults.NUM_GOALKEEPERS ?? 1;
+            this.goalkeeper = null;
+        }
+
+        // Hybrid algorithm configuration
+        this.manualIdealShifts = Number.isFinite(config.idealShiftsPerPlayer) ? config.idealShiftsPerPlayer : null;
+        this.idealShiftsPerPlayer = this.manualIdealShifts || defaults.DEFAULT_IDEAL_SHIFTS || profile.MIN_SHIFTS;
+        const configuredVariance = config.varianceThreshold || 90; // Legacy support
+        this.varianceGoal = config.varianceGoal || defaults.VARIANCE_GOAL || profile.TEMPO_VARIANCE.balanced;
+        const earlyMultiplier = defaults.MAX_EARLY_VARIANCE_MULTIPLIER || 3;
+        const earlyVariancePreference = config.maxEarlyVariance || Math.max(configuredVariance, this.varianceGoal * earlyMultiplier);
+        this.maxEarlyVariance = Math.max(this.varianceGoal, earlyVariancePreference);
+        this.lookAheadWindow = config.lookAheadWindow || defaults.LOOK_AHEAD_WINDOW || 60;
+        this.varianceThreshold = this.maxEarlyVariance; // Dynamic placeholder for legacy observers
+
+        // Adaptive minimum gap between substitutions (recalculated below)
+        this.manualMinSubGap = Number.isFinite(config.minSubstitutionGap) ? config.minSubstitutionGap : null;
+        this.minSubstitutionGap = this.manualMinSubGap || defaults.MIN_SUB_GAP_DEFAULT || 120;
+        this.lastSubstitutionTime = -this.minSubstitutionGap;
+        this.resetBreakRotations();
+
+        // Stop-clock mode: seconds a due rotation usually waits for a stoppage
+        this.expectedSubDelay = config.expectedSubDelay || 0;
+
+        // Interchange cap: players the plan may still bring on (changes at breaks are free)
+        this.interchangeBudget = config.interchangeBudget || null;
+
+        // Line mode: whole predefined lines change together (null = individual rotations)
+        this.lines = this.normalizeLines(config.lines);
+
+        // Temporary replacements: { player: { returnAt, replacement } } for players
+        // off for a blood rule or head-injury assessment
+        this.medicalReturns = {};
+        this.medicalPending = new Set();
+
+        // Check interval for better control
+        this.checkInterval = defaults.CHECK_INTERVAL || 15;
+        this.numIntervals = Math.floor(this.gameLength / this.checkInterval);
+
+        // State tracking
+        this.players = [];
+        /** @type {Object.<string, PlayerState>} */
+        this.playerState = {};
+        this.currentTime = 0;
+        this.removedPlayers = new Set();
+
+        // Prorated constraints (calculated from ideal shifts)
+        this.proratedMaxFieldStint = 0;
+        this.proratedMaxBenchStint = 0;
+        this.targetPlayingTime = 0;
+
+        // Per-player targets (empty = everyone gets an equal share)
+        this.playerTargetConfig = {};
+        Object.entries(config.playerTargets || {}).forEach(([player, value]) => {
+            const target = loadGameConfig().parsePlayerTarget(value);
+            if (target) {
+                this.playerTargetConfig[player] = target;
+            }
+        });
+        this.carryOver = {};
+        Object.entries(config.carryOver || {}).forEach(([player, seconds]) => {
+            if (Number.isFinite(seconds) && seconds !== 0) {
+                this.carryOver[player] = seconds;
+            }
+        });
+        this.playerTargetSeconds = {};
+        this.playerShareSeconds = {};
+        this.meanTargetSeconds = 0;
+
+        // Legacy compatibility properties
+        this.subsPerRotation = config.subsPerRotation || config.subsPerChange || config.rotationsPerChange || profile.SUBS_PER_ROTATION;
+        this.minRotationGapSec = config.minRotationGapSec || defaults.MIN_SUB_GAP_DEFAULT || this.minSubstitutionGap;
+        this.intervalDuration = this.checkInterval;
+        this.playerSeconds = {};
+        this.currentPlan = null;
+        this._tempo = 'balanced';
+
+        this.recalculateDynamicTargets(this.totalPlayers, { initial: true, resetLastSub: true, suppressLog: true });
+
+        console.log(`${options.name || 'Interval Optimizer'} - Hybrid Algorithm`);
+        console.log(`   Config: ${this.totalPlayers} players, ${this.fieldSpots} field spots`);
+        if (profile.GOALKEEPER_LOCK) {
+            console.log(`   Goalkeeper: ${this.numGoalkeepers === 1 ? 'Yes' : 'No'}`);
+        }
+        console.log(`   Variance goal: ${this.varianceGoal}s, Check interval: ${this.checkInterval}s`);
+        console.log(`   Gap constraint: ${this.formatTime(this.minSubstitutionGap)} minimum between substitutions`);
+    }
+
+    // ========================================================================
+    // SPORT HOOKS
+    // ========================================================================
+
+    /**
+     * Fresh tracking record for one player
+     * @returns {PlayerState}
+     */
+    createPlayerState(player) {
+        const state = {
+            status: 'On_Bench',
+            totalTimePlayed: 0,           // 1st: Total playing time (cumulative)
+            currentFieldStint: 0,         // 2nd: Current stint on field
+            currentBenchStint: 0,         // 3rd: Current stint on bench
+            totalBenchTime: 0,            // 4th: Total time spent on bench (cumulative)
+            totalMedicalTime: 0,          // Off for a blood rule / head-injury assessment
+            isOnField: false,
+            // Legacy compatibility
+            currentStintDuration: 0
+        };
+        if (this.profile.GOALKEEPER_LOCK) {
+            state.isGoalkeeper = player === this.goalkeeper;
+        }
+        return state;
+    }
+
+    /**
+     * True when no substitution may be scheduled at the current time
+     */
+    isSubstitutionLocked() {
+        return false;
+    }
+
+    /**
+     * Constraints for the current game phase
+     * @returns {PhaseConstraints}
+     */
+    getPhaseConstraints() {
+        return {
+            phase: 'steady',
+            gapMultiplier: 1.0,
+            allowShortStints: false,
+            maxSubsPerRotation: this.profile.SUBS_PER_ROTATION
+        };
+    }
+
+    /**
+     * Extra trigger for a variance-correction batch on top of the dynamic threshold
+     */
+    needsBalanceCorrection(availablePlayers, constraints) {
+        return false;
+    }
+
+    /**
+     * Adjust a proposed substitution so the resulting lineup meets the sport's
+     * composition rules (e.g. basketball ball-handler + big)
+     * @param {Object|null} substitution - { playersOff, playersOn, reason } or null
+     * @returns {Object|null} Substitution to make (unchanged by default)
+     */
+    applyLineupRules(substitution, field, bench) {
+        return substitution;
+    }
+
+    // ========================================================================
+    // DYNAMIC TARGETS
+    // ========================================================================
+
+    /**
+     * Recalculate shift counts, stint caps, and substitution gap dynamically
+     * based on the current roster size and game length.
+     */
+    recalculateDynamicTargets(activePlayerCount = null, options = {}) {
+        const suppressLog = options.suppressLog || false;
+        const resetLastSub = options.resetLastSub || false;
+        const profile = this.profile;
+
+        const rosterSize = Math.max(
+            activePlayerCount || (this.players?.length || 0) || this.totalPlayers,
+            this.fieldSpots
+        );
+        const benchPlayers = Math.max(0, rosterSize - this.fieldSpots);
+
+        // With a goalkeeper lock only outfield players rotate
+        const keeperSlots = this.hasGoalkeeperLock() ? 1 : 0;
+        const rotatingPlayers = rosterSize - keeperSlots;
+        const rotatingFieldSpots = this.fieldSpots - keeperSlots;
+
+        const protectedTime = this.getProtectedTime();
+        const effectivePlayableTime = Math.max(1, this.gameLength - protectedTime);
+        const targetSecondsPerPlayer = rotatingPlayers > 0
+            ? (this.gameLength * rotatingFieldSpots) / rotatingPlayers
+            : this.gameLength;
+        this.targetPlayingTime = targetSecondsPerPlayer;
+
+        const desiredFieldStint = this.clamp(
+            targetSecondsPerPlayer / profile.STINTS_PER_TARGET,
+            profile.MIN_STINT,
+            Math.max(profile.STINT_CAP_FLOOR, Math.min(profile.MAX_STINT, targetSecondsPerPlayer))
+        );
+
+        let idealShifts = this.manualIdealShifts;
+        if (!Number.isFinite(idealShifts) || idealShifts <= 0) {
+            idealShifts = this.determineIdealShiftCount({
+                benchPlayers,
+                targetSecondsPerPlayer,
+                desiredFieldStint,
+                effectivePlayableTime
+            });
+        }
+        this.idealShiftsPerPlayer = this.capShiftsToBudget(
+            Math.max(benchPlayers === 0 ? 1 : profile.MIN_SHIFTS, idealShifts),
+            benchPlayers
+        );
+
+        const playersPerRotation = benchPlayers === 0 ? 0 : Math.min(profile.SUBS_PER_ROTATION, benchPlayers);
+        const entriesNeeded = benchPlayers * this.idealShiftsPerPlayer;
+        const rotationsNeeded = playersPerRotation > 0 ? Math.ceil(entriesNeeded / playersPerRotation) : 0;
+        const rawGap = rotationsNeeded > 0 ? effectivePlayableTime / rotationsNeeded : effectivePlayableTime;
+
+        if (this.manualMinSubGap) {
+            this.minSubstitutionGap = this.manualMinSubGap;
+        } else if (rotationsNeeded === 0) {
+            this.minSubstitutionGap = effectivePlayableTime;
+        } else {
+            const adaptiveGap = this.calculateAdaptiveMinGap(this.gameLength, rosterSize);
+            const gapCap = profile.GAP_CAP;
+            let maxGapCap = Math.max(gapCap.MIN, Math.min(gapCap.MAX, this.gameLength / gapCap.DIVISOR));
+            if (profile.SHORT_GAME && this.gameLength <= profile.SHORT_GAME.LENGTH) {
+                maxGapCap = Math.min(maxGapCap, profile.SHORT_GAME.GAP_CAP);
+            }
+            const desiredGap = Math.min(rawGap, adaptiveGap);
+            this.minSubstitutionGap = this.clamp(desiredGap, profile.GAP_FLOOR, maxGapCap);
+        }
+
+        if (resetLastSub) {
+            this.lastSubstitutionTime = -this.minSubstitutionGap;
+        }
+
+        const shiftCount = Math.max(1, this.idealShiftsPerPlayer);
+        const fieldStint = targetSecondsPerPlayer / shiftCount;
+        const benchPool = Math.max(0, this.gameLength - targetSecondsPerPlayer);
+        const benchStint = benchPlayers > 0 ? benchPool / shiftCount : this.gameLength;
+
+        this.proratedMaxFieldStint = Math.max(
+            fieldStint,
+            this.checkInterval * 2,
+            this.minSubstitutionGap * profile.FIELD_STINT_GAP_RATIO
+        );
+        this.proratedMaxBenchStint = benchPlayers > 0
+            ? Math.max(benchStint, this.checkInterval * 2, this.minSubstitutionGap * profile.BENCH_STINT_GAP_RATIO)
+            : this.gameLength;
+
+        if (!suppressLog) {
+            console.log(
+                `   Dynamic targets → shifts:${this.idealShiftsPerPlayer}, minGap:${this.formatTime(this.minSubstitutionGap)}, ` +
+                `fieldMax:${this.formatTime(this.proratedMaxFieldStint)}, benchMax:${this.formatTime(this.proratedMaxBenchStint)}`
+            );
+        }
+    }
+
+    determineIdealShiftCount({ benchPlayers, targetSecondsPerPlayer, desiredFieldStint, effectivePlayableTime }) {
+        if (benchPlayers <= 0) {
+            return 1;
+        }
+
+        const profile = this.profile;
+        const baseEstimate = this.clamp(
+            Math.round(targetSecondsPerPlayer / desiredFieldStint),
+            1,
+            profile.MAX_SHIFTS
+        );
+
+        const candidateSet = new Set();
+        for (let up = baseEstimate; up <= profile.MAX_SHIFTS; up++) candidateSet.add(up);
+        for (let down = baseEstimate - 1; down >= 1; down--) candidateSet.add(down);
+        if (!candidateSet.size) {
+            candidateSet.add(profile.FALLBACK_SHIFTS);
+        }
+
+        const candidates = Array.from(candidateSet).sort((a, b) => b - a);
+        const playersPerRotation = Math.min(profile.SUBS_PER_ROTATION, benchPlayers);
+        const spacing = profile.SPACING;
+        const minSpacingTarget = benchPlayers >= spacing.DEEP_BENCH ? spacing.DEEP : spacing.SHALLOW;
+
+        for (const candidate of candidates) {
+            if (candidate <= 0) {
+                continue;
+            }
+            const entries = benchPlayers * candidate;
+            const rotationsNeeded = playersPerRotation > 0 ? Math.ceil(entries / playersPerRotation) : 0;
+            if (rotationsNeeded === 0) {
+                continue;
+            }
+            if (effectivePlayableTime / rotationsNeeded >= minSpacingTarget) {
+                return candidate;
+            }
+        }
+
+        return Math.max(1, Math.min(profile.MIN_SHIFTS, baseEstimate || profile.FALLBACK_SHIFTS));
+    }
+
+    getProtectedTime() {
+        const periods = this.numPeriods || this.profile.DEFAULT_NUM_PERIODS;
+        const protectedTotal = this.finalNoSubWindow * periods;
+        return Math.min(protectedTotal, this.gameLength * this.profile.PROTECTED_TIME_CAP);
+    }
+
+    /**
+     * Legacy tempo property for UI compatibility
+     */
+    get tempo() {
+        return this._tempo;
+    }
+
+    set tempo(value) {
+        const goals = this.profile.TEMPO_VARIANCE;
+        this._tempo = value;
+        // Adjust variance threshold based on tempo
+        this.varianceGoal = goals[value] || goals.balanced;
+        this.maxEarlyVariance = this.varianceGoal * 3;
+        this.varianceThreshold = this.getDynamicVarianceThreshold(); // Keep analytics aligned with dynamic trigger
+        console.log(`Tempo: ${value}, variance goal ${this.varianceGoal}s (early cap ${this.maxEarlyVariance}s)`);
+    }
+
+    getDynamicVarianceThreshold(referenceTime = this.currentTime) {
+        if (!this.gameLength) {
+            return this.varianceGoal;
+        }
+
+        const progress = Math.min(1, Math.max(0, referenceTime / this.gameLength));
+        const earlyCap = Math.max(this.varianceGoal, this.maxEarlyVariance);
+        const allowedRange = earlyCap - this.varianceGoal;
+        const dynamicThreshold = earlyCap - (allowedRange * progress);
+
+        return Math.max(this.varianceGoal, dynamicThreshold);
+    }
+
+    // ========================================================================
+    // GOALKEEPER LOCK
+    // ========================================================================
+
+    /**
+     * Whether a goalkeeper is currently excluded from rotations
+     */
+    hasGoalkeeperLock() {
+        return Boolean(this.profile.GOALKEEPER_LOCK) && this.numGoalkeepers === 1;
+    }
+
+    /**
+     * Players eligible for regular rotations (everyone except a locked goalkeeper
+     * and, in line mode, the players who change with their line)
+     */
+    getRotatingPlayers(players) {
+        let rotating = this.hasGoalkeeperLock() ? players.filter(p => p !== this.goalkeeper) : players;
+        if (this.medicalPending.size > 0) {
+            rotating = rotating.filter(p => !this.medicalPending.has(p));
+        }
+        return this.lines ? rotating.filter(p => this.getLineIndex(p) === -1) : rotating;
+    }
+
+    getRotatingFieldSpots() {
+        const spots = this.hasGoalkeeperLock() ? this.fieldSpots - 1 : this.fieldSpots;
+        return this.lines ? spots - this.getLineSpots() : spots;
+    }
+
+    // ========================================================================
+    // LINE ROTATION
+    // ========================================================================
+
+    /**
+     * Clean the coach's lines: each player in one line, empty lines dropped.
+     * Fewer than two lines means individual rotations
+     * @param {string[][]} lines - Player names per line
+     * @returns {string[][]|null}
+     */
+    normalizeLines(lines) {
+        if (!Array.isArray(lines)) {
+            return null;
+        }
+
+        const seen = new Set();
+        const cleaned = lines
+            .map(line => (Array.isArray(line) ? line : []).filter(player => {
+                if (typeof player !== 'string' || !player || seen.has(player)) {
+                    return false;
+                }
+                seen.add(player);
+                return true;
+            }))
+            .filter(line => line.length > 0);
+
+        return cleaned.length >= 2 ? cleaned : null;
+    }
+
+    /**
+     * Index of the player's line (-1 when the player rotates individually)
+     */
+    getLineIndex(player) {
+        return this.lines ? this.lines.findIndex(line => line.includes(player)) : -1;
+    }
+
+    /**
+     * Field spots the lines fill (the largest line)
+     */
+    getLineSpots() {
+        const spots = this.hasGoalkeeperLock() ? this.fieldSpots - 1 : this.fieldSpots;
+        return Math.min(spots, Math.max(...this.lines.map(line => line.length)));
+    }
+
+    /**
+     * Whether a line player can take the field now (sports rest players in
+     * foul trouble here)
+     */
+    isLinePlayerAvailable(player) {
+        return !this.removedPlayers.has(player) && !this.medicalPending.has(player);
+    }
+
+    /**
+     * The line on the field: the one with the most members out there
+     * @returns {number} Line index, -1 when no line player is on
+     */
+    getLineOnField(field) {
+        let best = -1;
+        let bestCount = 0;
+        this.lines.forEach((line, index) => {
+            const count = line.filter(player => field.includes(player)).length;
+            if (count > bestCount) {
+                best = index;
+                bestCount = count;
+            }
+        });
+        return best;
+    }
+
+    /**
+     * Length of one line shift. Each line's share of the game is split into
+     * stints of the profile's usual length, so every line gets the same number
+     * of shifts and the same time
+     * @param {number} lineCount - Lines taking turns
+     */
+    getLineShiftLength(lineCount) {
+        const profile = this.profile;
+        const lineShare = this.gameLength / lineCount;
+        const desiredStint = this.clamp(lineShare / profile.STINTS_PER_TARGET, profile.MIN_STINT, profile.MAX_STINT);
+        const shiftsPerLine = Math.max(1, Math.round(lineShare / desiredStint));
+        return Math.max(this.checkInterval, this.gameLength / (lineCount * shiftsPerLine));
+    }
+
+    /**
+     * Mean playing time of a line's available members
+     */
+    getLineTime(members) {
+        return members.length > 0
+            ? members.reduce((sum, player) => sum + this.getBalanceTime(player), 0) / members.length
+            : 0;
+    }
+
+    /**
+     * Line mode: shifts end on a fixed grid (multiples of the shift length), so
+     * a change made a little early or late does not push every later shift.
+     * When the line on the field reaches its shift end the line with the least
+     * time comes on as a unit.
+     * A member who cannot play is covered by the line player with the least
+     * time who is not in the incoming line; a cover already on the field stays on.
+     * A line player who has to come off mid-shift is covered the same way
+     * @returns {Object|null} { playersOff, playersOn, reason, line }
+     */
+    createLineChange(field, bench, availablePlayers) {
+        const available = player => availablePlayers.includes(player) && this.isLinePlayerAvailable(player);
+        const fieldLinePlayers = field.filter(player => this.getLineIndex(player) !== -1);
+        const current = this.getLineOnField(field);
+        const byTime = (a, b) => this.getBalanceTime(a) - this.getBalanceTime(b);
+
+        // A line player who cannot stay on is covered straight away
+        const mustGoOff = fieldLinePlayers.filter(player => !available(player));
+        if (mustGoOff.length > 0 && current !== -1) {
+            const covers = bench
+                .filter(player => this.getLineIndex(player) !== -1 && available(player))
+                .sort(byTime)
+                .slice(0, mustGoOff.length);
+            if (covers.length > 0) {
+                return {
+                    playersOff: mustGoOff.slice(0, covers.length),
+                    playersOn: covers,
+                    reason: `line-cover (Line ${current + 1})`,
+                    line: current + 1
+                };
+            }
+        }
+
+        const usableLines = this.lines
+            .map((line, index) => ({ index, members: line.filter(available) }))
+            .filter(line => line.members.length > 0);
+        if (usableLines.length < 2) {
+            return null;
+        }
+
+        // The shift ends at the first grid point at least half a shift after the
+        // line came on. The lower median stint ignores a cover who stayed on from
+        // the last shift and one who came on mid-shift
+        if (current !== -1) {
+            const shift = this.getLineShiftLength(usableLines.length);
+            const stints = this.lines[current]
+                .filter(player => field.includes(player))
+                .map(player => this.playerState[player]?.currentFieldStint || 0)
+                .sort((a, b) => a - b);
+            const stint = stints[Math.floor((stints.length - 1) / 2)];
+            const shiftEnd = Math.ceil((this.currentTime - stint + shift / 2) / shift) * shift;
+            if (this.currentTime < shiftEnd) {
+                return null;
+            }
+        }
+
+        const restTime = members => members.reduce((sum, player) =>
+            sum + (this.playerState[player]?.currentBenchStint || 0), 0) / members.length;
+        const incoming = usableLines
+            .filter(line => line.index !== current)
+            .sort((a, b) => (this.getLineTime(a.members) - this.getLineTime(b.members)) ||
+                (restTime(b.members) - restTime(a.members)))[0];
+
+        // Fill the incoming line's missing spots with the freshest other line players
+        const slots = this.getLineSpots();
+        const desired = incoming.members.slice(0, slots);
+        if (desired.length < slots) {
+            const covers = this.lines.flat()
+                .filter(player => !desired.includes(player) && available(player))
+                .sort(byTime);
+            desired.push(...covers.slice(0, slots - desired.length));
+        }
+
+        const playersOff = fieldLinePlayers.filter(player => !desired.includes(player));
+        const playersOn = desired.filter(player => bench.includes(player));
+        const swaps = Math.min(playersOff.length, playersOn.length);
+        if (swaps === 0) {
+            return null;
+        }
+
+        return {
+            playersOff: playersOff.slice(0, swaps),
+            playersOn: playersOn.slice(0, swaps),
+            reason: `line-change (Line ${incoming.index + 1})`,
+            line: incoming.index + 1
+        };
+    }
+
+    /**
+     * Playing time per line for reports
+     * @returns {Array<{line: number, players: string[], onField: boolean, meanSeconds: number}>}
+     */
+    getLineReport(field = this.players.filter(player => this.playerState[player]?.isOnField)) {
+        const current = this.getLineOnField(field);
+        return this.lines.map((line, index) => ({
+            line: index + 1,
+            players: [...line],
+            onField: index === current,
+            meanSeconds: Math.round(this.getLineTime(line.filter(player => !this.removedPlayers.has(player))))
+        }));
+    }
+
+    /**
+     * Seed current stints from the real game so line shifts keep their clock
+     * across a replan
+     * @param {Object} [fieldStints] - { player: seconds on the field this stint }
+     */
+    applyFieldStints(fieldStints) {
+        if (!this.lines || !fieldStints) {
+            return;
+        }
+        Object.entries(fieldStints).forEach(([player, seconds]) => {
+            if (this.playerState[player] && Number.isFinite(seconds)) {
+                this.playerState[player].currentFieldStint = seconds;
+            }
+        });
+    }
+
+    // ========================================================================
+    // PLAYER TARGETS
+    // ========================================================================
+
+    hasPlayerTargets() {
+        return Object.keys(this.playerTargetConfig).length > 0 || Object.keys(this.carryOver).length > 0;
+    }
+
+    /**
+     * Share out the game's rotating field time as per-player targets.
+     * Absolute minute goals are taken first, the rest is split by weight
+     * within each player's min/max share; players who hit a bound are fixed
+     * there and the remainder is re-split among the others. Season carry-over
+     * then moves time from players in credit to players owed minutes, capped
+     * per game so one match never has to settle the whole season.
+     * @param {string[]} players - Available players
+     */
+    updatePlayerTargets(players) {
+        this.playerTargetSeconds = {};
+        this.playerShareSeconds = {};
+        this.meanTargetSeconds = 0;
+
+        const rotating = this.getRotatingPlayers(players).filter(player => !this.removedPlayers.has(player));
+        if (!this.hasPlayerTargets() || rotating.length === 0) {
+            return;
+        }
+
+        const length = this.gameLength;
+        const targets = {};
+        let remaining = this.getRotatingFieldSpots() * length;
+        let free = [];
+
+        rotating.forEach(player => {
+            const config = this.playerTargetConfig[player] || {};
+            if (Number.isFinite(config.minutes)) {
+                targets[player] = this.clamp(config.minutes * 60, 0, length);
+                remaining -= targets[player];
+            } else {
+                free.push(player);
+            }
+        });
+
+        const bounds = player => {
+            const config = this.playerTargetConfig[player] || {};
+            return [(config.minShare || 0) * length, (config.maxShare ?? 1) * length];
+        };
+        const weight = player => this.playerTargetConfig[player]?.weight ?? 1;
+
+        while (free.length > 0) {
+            const totalWeight = free.reduce((sum, player) => sum + weight(player), 0) || 1;
+            const bound = free.filter(player => {
+                const [low, high] = bounds(player);
+                const share = remaining * weight(player) / totalWeight;
+                return share < low || share > high;
+            });
+
+            if (bound.length === 0) {
+                free.forEach(player => {
+                    targets[player] = remaining * weight(player) / totalWeight;
+                });
+                break;
+            }
+
+            bound.forEach(player => {
+                const [low, high] = bounds(player);
+                targets[player] = this.clamp(remaining * weight(player) / totalWeight, low, high);
+                remaining -= targets[player];
+            });
+            free = free.filter(player => !bound.includes(player));
+        }
+
+        // The coach's split before any season repayment - what the ledger books as fair
+        if (Object.keys(this.playerTargetConfig).length > 0) {
+            this.playerShareSeconds = { ...targets };
+        }
+
+        const carried = rotating.filter(player => this.carryOver[player] !== undefined);
+        if (carried.length > 0) {
+            const limit = (this.getRotatingFieldSpots() * length / rotating.length) *
+                (loadGameConfig().SEASON_LEDGER?.MAX_CARRY_OVER_SHARE ?? 0.25);
+            const adjustments = {};
+            rotating.forEach(player => {
+                adjustments[player] = this.clamp(-(this.carryOver[player] || 0), -limit, limit);
+            });
+            const meanAdjustment = rotating.reduce((sum, player) => sum + adjustments[player], 0) / rotating.length;
+            rotating.forEach(player => {
+                targets[player] = this.clamp(targets[player] + adjustments[player] - meanAdjustment, 0, length);
+            });
+        }
+
+        this.playerTargetSeconds = targets;
+        this.meanTargetSeconds = rotating.reduce((sum, player) => sum + targets[player], 0) / rotating.length;
+    }
+
+    /**
+     * A player's playing-time goal for the whole game in seconds
+     */
+    getPlayerTarget(player) {
+        return this.playerTargetSeconds[player] ?? this.targetPlayingTime;
+    }
+
+    /**
+     * Playing time measured against the player's own target: a player on
+     * track for their target reads as the mean, so every balance comparison
+     * (candidates, variance, break refreshes) means "hit each player's target".
+     * Equals totalTimePlayed when no targets are configured.
+     */
+    getBalanceTime(player) {
+        const played = this.playerState[player]?.totalTimePlayed || 0;
+        const target = this.playerTargetSeconds[player];
+        if (target === undefined) {
+            return played;
+        }
+        return played - (target - this.meanTargetSeconds) * (this.currentTime / this.gameLength);
+    }
+
+    /**
+     * Stint scales from the player's target share: a capped player gets
+     * shorter stints on and longer rests off, a guaranteed player the reverse,
+     * over the same rotation cycle. Both are 1 without a target.
+     */
+    getFieldStintScale(player) {
+        const target = this.playerTargetSeconds[player];
+        if (target === undefined || this.meanTargetSeconds <= 0) {
+            return 1;
+        }
+        return Math.max(target, 1) / this.meanTargetSeconds;
+    }
+
+    getBenchStintScale(player) {
+        const target = this.playerTargetSeconds[player];
+        const meanRest = this.gameLength - this.meanTargetSeconds;
+        if (target === undefined || meanRest <= 0) {
+            return 1;
+        }
+        return Math.max(this.gameLength - target, 1) / meanRest;
+    }
+
+    getFieldStintCap(player) {
+        return this.proratedMaxFieldStint * this.getFieldStintScale(player);
+    }
+
+    getBenchStintCap(player) {
+        return this.proratedMaxBenchStint * this.getBenchStintScale(player);
+    }
+
+    // ========================================================================
+    // PLANNING
+    // ========================================================================
+
+    /**
+     * Initialize with player roster - HYBRID ALGORITHM
+     */
+    initialize(players, currentState = null) {
+        this.players = Array.isArray(players) ? [...players] : [];
+        this.playerSeconds = {}; // Legacy compatibility
+
+        if (this.players.length < this.fieldSpots) {
+            return { success: false, error: 'Not enough players for field spots' };
+        }
+
+        if (this.profile.GOALKEEPER_LOCK) {
+            if (currentState?.goalkeeper) {
+                this.goalkeeper = currentState.goalkeeper;
+            } else if (this.numGoalkeepers === 1) {
+                // First on-field player is GK by default
+                this.goalkeeper = currentState?.onField?.[0] || this.players[0];
+            }
+        }
+
+        // Lines only hold players on this roster
+        if (this.lines) {
+            this.lines = this.normalizeLines(this.lines.map(line => line.filter(player => this.players.includes(player))));
+        }
+
+        this.recalculateDynamicTargets(this.players.length, { resetLastSub: true });
+        this.updatePlayerTargets(this.players);
+
+        // Initialize hybrid player state tracking with 4 time values
+        this.playerState = {};
+        this.players.forEach(player => {
+            this.playerSeconds[player] = 0; // Legacy compatibility
+            this.playerState[player] = this.createPlayerState(player);
+        });
+
+        // Set initial field/bench state
+        const initialField = currentState?.onField || this.players.slice(0, this.fieldSpots);
+        const initialBench = currentState?.onBench || this.players.slice(this.fieldSpots);
+
+        initialField.forEach(player => {
+            if (this.playerState[player]) {
+                this.playerState[player].status = 'On_Field';
+                this.playerState[player].isOnField = true;
+            }
+        });
+
+        initialBench.forEach(player => {
+            if (this.playerState[player]) {
+                this.playerState[player].status = 'On_Bench';
+                this.playerState[player].isOnField = false;
+            }
+        });
+        this.applyFieldStints(currentState?.fieldStints);
+
+        console.log(`✅ Optimizer initialized: ${this.players.length} players, target ${Math.floor(this.targetPlayingTime / 60)}m each`);
+        if (this.goalkeeper) {
+            console.log(`   Goalkeeper: ${this.goalkeeper} (protected from rotation)`);
+        }
+
+        this.resetBreakRotations();
+        this.removedPlayers.clear();
+
+        return { success: true, totalPlayers: this.players.length };
+    }
+
+    /**
+     * Generate plan using HYBRID URGENCY-BASED ALGORITHM
+     */
+    generatePlan(fromInterval = 0, unavailablePlayers = [], currentField = null, currentBench = null, playTimes = null) {
+        const startTime = fromInterval * this.checkInterval;
+        this.currentTime = startTime;
+
+        // Derive available players from actual state when provided so removed players stay excluded
+        let availablePlayers;
+        if (currentField || currentBench) {
+            const derivedSet = new Set();
+            [...(currentField || []), ...(currentBench || [])].forEach(player => {
+                if (!this.removedPlayers.has(player) && !unavailablePlayers.includes(player)) {
+                    derivedSet.add(player);
+                }
+            });
+
+            // Fallback to known roster if derived state is unexpectedly small
+            availablePlayers = [...derivedSet];
+            if (availablePlayers.length < this.fieldSpots) {
+                availablePlayers = this.players.filter(p => !unavailablePlayers.includes(p) && !this.removedPlayers.has(p));
+            }
+        } else {
+            availablePlayers = this.players.filter(p => !unavailablePlayers.includes(p) && !this.removedPlayers.has(p));
+        }
+        if (availablePlayers.length < this.fieldSpots) {
+            return {
+                rotations: [],
+                schedule: [],
+                targetMinutes: 0,
+                expectedVariance: 0,
+                error: 'Not enough available players'
+            };
+        }
+
+        this.recalculateDynamicTargets(availablePlayers.length, { suppressLog: true });
+        this.updatePlayerTargets(availablePlayers);
+
+        // Set up initial state
+        let field = currentField ? [...currentField] : availablePlayers.slice(0, this.fieldSpots);
+        let bench = currentBench ? [...currentBench] : availablePlayers.slice(this.fieldSpots);
+
+        // Initialize player times if provided
+        if (playTimes) {
+            availablePlayers.forEach(player => {
+                if (this.playerState[player]) {
+                    this.playerState[player].totalTimePlayed = playTimes[player] || 0;
+                    this.playerSeconds[player] = playTimes[player] || 0; // Legacy compatibility
+                }
+            });
+        }
+
+        // Update player states to match current field/bench
+        availablePlayers.forEach(player => {
+            if (this.playerState[player]) {
+                this.playerState[player].isOnField = field.includes(player);
+                this.playerState[player].status = field.includes(player) ? 'On_Field' : 'On_Bench';
+                this.playerState[player].currentStintDuration = 0; // Reset for new plan
+            }
+        });
+
+        // Break rotations are re-decided on every fresh simulation
+        this.resetBreakRotations();
+        this.medicalPending = new Set(Object.keys(this.medicalReturns).filter(player => availablePlayers.includes(player)));
+
+        const rotations = [];
+        const interchangesUsed = { start: startTime, game: 0, byPeriod: { ...(this.interchangeBudget?.usedInPeriod || {}) } };
+
+        // HYBRID ALGORITHM MAIN LOOP
+        while (this.currentTime < this.gameLength - this.profile.PLAN_CUTOFF) {
+            this.currentTime += this.checkInterval;
+
+            // Update player stats for this check interval
+            this.updatePlayerStats(field, bench, this.checkInterval);
+
+            // Check for substitutions using hybrid algorithm, then the sport's lineup rules
+            const substitution = this.applyLineupRules(
+                this.checkForSubstitutions(field, bench, availablePlayers),
+                field,
+                bench
+            );
+            if (!substitution) {
+                continue;
+            }
+
+            // Validate substitution before executing (a keeper swap between two
+            // players already on the field moves nobody)
+            const validPlayersOff = substitution.playersOff.filter(p => field.includes(p));
+            const validPlayersOn = substitution.playersOn.filter(p => bench.includes(p));
+            if ((validPlayersOff.length === 0 || validPlayersOn.length === 0) && !substitution.keeper) {
+                console.warn(`⚠️  Skipping invalid substitution at ${this.formatTime(this.currentTime)}: players not in expected positions`);
+                continue;
+            }
+
+            // Adjust to only swap the valid players, within the interchange budget
+            // (a capped rotation waits until the paced budget covers all of it;
+            // a return from a temporary replacement is free)
+            const actualSwaps = Math.min(
+                validPlayersOff.length,
+                validPlayersOn.length,
+                substitution.medical ? Infinity : this.getInterchangesLeft(this.currentTime, interchangesUsed)
+            );
+            const paced = substitution.medical
+                ? actualSwaps
+                : this.getInterchangesLeft(this.currentTime, interchangesUsed, actualSwaps);
+            if ((actualSwaps === 0 || paced < actualSwaps) && !substitution.keeper) {
+                continue;
+            }
+            // A line changes whole or not at all
+            if (substitution.line && actualSwaps < substitution.playersOff.length) {
+                continue;
+            }
+            const actualPlayersOff = validPlayersOff.slice(0, actualSwaps);
+            const actualPlayersOn = validPlayersOn.slice(0, actualSwaps);
+            const rotationTime = this.currentTime;
+
+            field = field.filter(p => !actualPlayersOff.includes(p));
+            field.push(...actualPlayersOn);
+            bench = bench.filter(p => !actualPlayersOn.includes(p));
+            bench.push(...actualPlayersOff);
+
+            actualPlayersOff.forEach(player => {
+                if (this.playerState[player]) {
+                    this.playerState[player].status = 'On_Bench';
+                    this.playerState[player].isOnField = false;
+                    this.playerState[player].currentFieldStint = 0;
+                    this.playerState[player].currentStintDuration = 0;
+                }
+            });
+
+            actualPlayersOn.forEach(player => {
+                if (this.playerState[player]) {
+                    this.playerState[player].status = 'On_Field';
+                    this.playerState[player].isOnField = true;
+                    this.playerState[player].currentBenchStint = 0;
+                    this.playerState[player].currentStintDuration = 0;
+                }
+            });
+
+            if (!substitution.medical) {
+                this.countInterchanges(rotationTime, actualSwaps, interchangesUsed);
+            }
+
+            // Track last substitution time for gap constraint
+            const previousSubTime = this.lastSubstitutionTime;
+            this.lastSubstitutionTime = rotationTime;
+
+            // A rotation that waits for a stoppage is scheduled that much earlier so
+            // it lands on time (break rotations already have their stoppage, and a
+            // returning player comes on the moment they are back)
+            const lead = this.getBreakWindow().active || substitution.medical
+                ? 0
+                : Math.min(this.expectedSubDelay, this.minSubstitutionGap / 2);
+            const plannedTime = substitution.medical
+                ? substitution.returnAt
+                : rotationTime - Math.round(lead);
+
+            rotations.push({
+                time: Math.max(startTime + this.checkInterval, plannedTime),
+                off: [...actualPlayersOff],
+                on: [...actualPlayersOn],
+                reason: substitution.reason,
+                ...(substitution.keeper ? { keeper: substitution.keeper } : {}),
+                ...(substitution.line ? { line: substitution.line } : {}),
+                ...(substitution.medical ? { medical: true } : {})
+            });
+
+            console.log(`🔄 ${substitution.reason} at ${this.formatTime(rotationTime)} (gap: ${this.formatTime(rotationTime - previousSubTime)})`);
+            console.log(`   OFF: [${actualPlayersOff.join(', ')}]`);
+            console.log(`   ON: [${actualPlayersOn.join(', ')}]`);
+        }
+
+        // Update legacy playerSeconds for compatibility
+        availablePlayers.forEach(player => {
+            this.playerSeconds[player] = this.playerState[player]?.totalTimePlayed || 0;
+        });
+
+        const variance = this.calculateRealTimeVariance(availablePlayers);
+
+        // Store current plan for legacy compatibility
+        this.currentPlan = {
+            rotations,
+            targetMinutes: Math.round(this.targetPlayingTime / 60),
+            expectedVariance: Math.round(variance)
+        };
+
+        return {
+            rotations,
+            schedule: rotations.map(r => r.time),
+            targetMinutes: Math.round(this.targetPlayingTime / 60),
+            expectedVariance: Math.round(variance),
+            playerMinutes: this.getPlayerMinutes(availablePlayers),
+            playerTargets: { ...this.playerTargetSeconds },
+            plan: rotations, // Compatibility with existing code
+            debugInfo: {
+                algorithm: this.profile.ALGORITHM,
+                checkInterval: this.checkInterval,
+                idealShifts: this.idealShiftsPerPlayer,
+                varianceThreshold: this.varianceThreshold,
+                actualRotations: rotations.length
+            }
+        };
+    }
+
+    /**
+     * Update player statistics for the current check interval - 4-value tracking
+     */
+    updatePlayerStats(field, bench, elapsed) {
+        field.forEach(player => {
+            const state = this.playerState[player];
+            if (state) {
+                state.totalTimePlayed += elapsed;
+                state.currentFieldStint += elapsed;
+                state.currentBenchStint = 0;
+                state.currentStintDuration += elapsed;
+                this.playerSeconds[player] = state.totalTimePlayed; // Legacy sync
+            }
+        });
+
+        bench.forEach(player => {
+            const state = this.playerState[player];
+            if (state && this.medicalPending.has(player)) {
+                state.totalMedicalTime = (state.totalMedicalTime || 0) + elapsed;
+            } else if (state) {
+                state.totalBenchTime += elapsed;
+                state.currentBenchStint += elapsed;
+                state.currentFieldStint = 0;
+                state.currentStintDuration += elapsed;
+            }
+        });
+    }
+
+    /**
+     * CORE ALGORITHM: Preventative substitution batching with gap constraints
+     * Implements 4-value fatigue prioritization and adaptive gap management
+     */
+    checkForSubstitutions(field, bench, availablePlayers) {
+        // A player back from a temporary replacement goes straight on, lockout or not
+        const medicalReturn = this.createMedicalReturn(field, bench);
+        if (medicalReturn) {
+            return medicalReturn;
+        }
+
+        if (this.isSubstitutionLocked()) {
+            return null;
+        }
+
+        // Line mode: lines change on their own shift clock, ahead of the
+        // individual rotations of the players outside the lines
+        if (this.lines) {
+            const lineChange = this.createLineChange(field, bench, availablePlayers);
+            if (lineChange) {
+                return lineChange;
+            }
+        }
+
+        // Step 1: Calculate current gap constraints
+        const timeSinceLastSub = this.currentTime - this.lastSubstitutionTime;
+        const constraints = this.getPhaseConstraints();
+
+        const remainingWindowsEstimate = Math.max(1, Math.ceil((this.gameLength - this.currentTime) / Math.max(this.minSubstitutionGap, this.checkInterval)));
+        const currentVarianceSeconds = this.calculateRealTimeVariance(availablePlayers);
+        const minGap = this.getEffectiveMinGap(
+            this.minSubstitutionGap,
+            this.currentTime,
+            this.gameLength,
+            currentVarianceSeconds / 60,
+            remainingWindowsEstimate
+        ) * constraints.gapMultiplier;
+
+        // Step 2: Mean playing time and candidates (a locked goalkeeper never rotates)
+        const rotatingField = this.getRotatingPlayers(field);
+        const rotatingBench = this.getRotatingPlayers(bench);
+        const rotatingAvailable = this.getRotatingPlayers(availablePlayers);
+        const meanPlayingTime = rotatingAvailable.length > 0
+            ? (this.getRotatingFieldSpots() * this.currentTime) / rotatingAvailable.length
+            : 0;
+
+        const urgentSubOut = this.getUrgentFieldPlayers(rotatingField);
+        const urgentSubIn = this.getUrgentBenchPlayers(rotatingBench, meanPlayingTime);
+        const proactiveSubOut = this.getProactiveFieldCandidates(rotatingField, meanPlayingTime);
+        const proactiveSubIn = this.getProactiveBenchCandidates(rotatingBench, meanPlayingTime);
+        const upcomingSubOut = this.getUpcomingFieldPlayers(rotatingField, this.lookAheadWindow);
+        const upcomingSubIn = this.getUpcomingBenchPlayers(rotatingBench, this.lookAheadWindow);
+
+        // Step 3: Break rotations batch everyone at once
+        const breakWindow = this.getBreakWindow();
+        if (breakWindow.active) {
+            if (breakWindow.hold) {
+                return null;
+            }
+            if (breakWindow.pending) {
+                const breakRotation = this.createBreakRotation(field, bench, availablePlayers);
+                this.markBreakRotationDone();
+                if (breakRotation) {
+                    return breakRotation;
+                }
+            }
+        }
+
+        // Step 4: GAP CONSTRAINT ENFORCEMENT
+        if (timeSinceLastSub < minGap && !breakWindow.pending) {
+            if (!(constraints.allowShortStints && urgentSubOut.length > 0 && urgentSubIn.length > 0)) {
+                console.log(`⏱️  WAITING: Gap constraint active (${this.formatTime(timeSinceLastSub)}/${this.formatTime(minGap)})`);
+                return null;
+            }
+            console.log('🚨 LATE GAME: Overriding gap for urgent balance correction');
+        }
+
+        // Under an interchange cap every rotation has to count: fewer, larger swaps
+        if (this.interchangeBudget) {
+            return this.createCappedRotation(rotatingField, rotatingBench);
+        }
+
+        const varianceTrigger = this.getDynamicVarianceThreshold();
+        this.varianceThreshold = varianceTrigger;
+        const maxSubs = constraints.maxSubsPerRotation;
+
+        // Step 5: STANDARD SUBSTITUTION LOGIC
+        if (urgentSubOut.length > 0 || urgentSubIn.length > 0) {
+            return this.createBatchSubstitution(
+                { urgent: urgentSubOut, upcoming: upcomingSubOut, proactive: proactiveSubOut },
+                { urgent: urgentSubIn, upcoming: upcomingSubIn, proactive: proactiveSubIn },
+                'urgent',
+                maxSubs
+            );
+        }
+
+        if (currentVarianceSeconds > varianceTrigger || this.needsBalanceCorrection(availablePlayers, constraints)) {
+            return this.createBatchSubstitution(
+                { upcoming: upcomingSubOut, proactive: proactiveSubOut },
+                { upcoming: upcomingSubIn, proactive: proactiveSubIn },
+                'variance-correction',
+                maxSubs
+            );
+        }
+
+        const earlyTrigger = this.shouldTriggerEarlySub(
+            this.currentTime,
+            this.gameLength,
+            minGap,
+            rotatingField,
+            rotatingAvailable
+        );
+
+        if (earlyTrigger.trigger) {
+            console.log(`🔎 Proactive substitution scheduled (${earlyTrigger.reason})`);
+            return this.createBatchSubstitution(
+                { upcoming: upcomingSubOut, proactive: proactiveSubOut },
+                { upcoming: upcomingSubIn, proactive: proactiveSubIn },
+                'proactive',
+                maxSubs
+            );
+        }
+
+        if (upcomingSubOut.length > 0 && (upcomingSubIn.length > 0 || proactiveSubIn.length > 0)) {
+            return this.createBatchSubstitution(
+                { upcoming: upcomingSubOut, proactive: proactiveSubOut },
+                { upcoming: upcomingSubIn, proactive: proactiveSubIn },
+                'scheduled-balance',
+                maxSubs
+            );
+        }
+
+        return null;
+    }
+
+    // ========================================================================
+    // CANDIDATE SELECTION (4-value fatigue system)
+    // ========================================================================
+
+    /**
+     * Field players whose stint has reached the prorated cap, most fatigued first
+     * (with targets, furthest ahead of their target first)
+     */
+    getUrgentFieldPlayers(field) {
+        const urgent = field.filter(player => {
+            return this.playerState[player].currentFieldStint >= this.getFieldStintCap(player);
+        });
+        if (this.hasPlayerTargets()) {
+            return urgent.sort((a, b) => this.getBalanceTime(b) - this.getBalanceTime(a));
+        }
+        return urgent.sort((a, b) => this.playerState[b].currentFieldStint - this.playerState[a].currentFieldStint);
+    }
+
+    /**
+     * Bench players whose rest has reached the prorated cap, most rested first
+     * (with targets, furthest behind their target first; players already
+     * ahead of their target are not urgent and wait as proactive candidates)
+     */
+    getUrgentBenchPlayers(bench, meanPlayingTime = Infinity) {
+        const urgent = bench.filter(player => {
+            return this.playerState[player].currentBenchStint >= this.getBenchStintCap(player);
+        });
+        if (this.hasPlayerTargets()) {
+            return urgent
+                .filter(player => this.getBalanceTime(player) <= meanPlayingTime)
+                .sort((a, b) => this.getBalanceTime(a) - this.getBalanceTime(b));
+        }
+        return urgent.sort((a, b) => {
+            const benchStintDiff = this.playerState[b].currentBenchStint - this.playerState[a].currentBenchStint;
+            if (benchStintDiff !== 0) return benchStintDiff;
+            return this.playerState[b].totalBenchTime - this.playerState[a].totalBenchTime;
+        });
+    }
+
+    /**
+     * Field players ranked by playing-time surplus plus current stint weight
+     */
+    getProactiveFieldCandidates(field, meanPlayingTime) {
+        return field
+            .map(player => ({
+                player,
+                fatigueScore: (this.getBalanceTime(player) - meanPlayingTime) +
+                             (this.playerState[player].currentFieldStint * 0.5)
+            }))
+            .sort((a, b) => b.fatigueScore - a.fatigueScore)
+            .map(item => item.player);
+    }
+
+    /**
+     * Bench players ranked by playing-time deficit plus rest weight
+     */
+    getProactiveBenchCandidates(bench, meanPlayingTime) {
+        return bench
+            .map(player => ({
+                player,
+                readinessScore: (meanPlayingTime - this.getBalanceTime(player)) +
+                               (this.playerState[player].currentBenchStint * 0.3) +
+                               (this.playerState[player].totalBenchTime * 0.1)
+            }))
+            .sort((a, b) => b.readinessScore - a.readinessScore)
+            .map(item => item.player);
+    }
+
+    getUpcomingFieldPlayers(field, window) {
+        if (!Array.isArray(field) || window <= 0) {
+            return [];
+        }
+
+        return field
+            .map(player => {
+                const state = this.playerState[player];
+                if (!state) {
+                    return null;
+                }
+                return { player, timeRemaining: this.getFieldStintCap(player) - state.currentFieldStint };
+            })
+            .filter(item => item && item.timeRemaining > 0 && item.timeRemaining <= window)
+            .sort((a, b) => a.timeRemaining - b.timeRemaining)
+            .map(item => item.player);
+    }
+
+    getUpcomingBenchPlayers(bench, window) {
+        if (!Array.isArray(bench) || window <= 0) {
+            return [];
+        }
+
+        return bench
+            .map(player => {
+                const state = this.playerState[player];
+                if (!state) {
+                    return null;
+                }
+                return { player, timeRemaining: this.getBenchStintCap(player) - state.currentBenchStint };
+            })
+            .filter(item => item && item.timeRemaining > 0 && item.timeRemaining <= window)
+            .sort((a, b) => {
+                if (a.timeRemaining !== b.timeRemaining) {
+                    return a.timeRemaining - b.timeRemaining;
+                }
+                return (this.playerState[b.player]?.totalBenchTime || 0) - (this.playerState[a.player]?.totalBenchTime || 0);
+            })
+            .map(item => item.player);
+    }
+
+    createBatchSubstitution(outPriority, inPriority, reason, maxSubs = this.profile.SUBS_PER_ROTATION) {
+        const { urgent: urgentOut = [], upcoming: upcomingOut = [], proactive: proactiveOut = [] } = outPriority || {};
+        const { urgent: urgentIn = [], upcoming: upcomingIn = [], proactive: proactiveIn = [] } = inPriority || {};
+
+        const uniqueOut = [...new Set([...urgentOut, ...upcomingOut, ...proactiveOut].filter(Boolean))];
+        const uniqueIn = [...new Set([...urgentIn, ...upcomingIn, ...proactiveIn].filter(Boolean))];
+
+        const subsToMake = Math.min(maxSubs, uniqueOut.length, uniqueIn.length);
+        if (subsToMake === 0) {
+            return null; // No valid substitutions
+        }
+
+        const playersOff = uniqueOut.slice(0, subsToMake);
+        const playersOn = uniqueIn.filter(candidate => !playersOff.includes(candidate)).slice(0, subsToMake);
+
+        if (playersOn.length < playersOff.length) {
+            return null;
+        }
+
+        return {
+            playersOff,
+            playersOn,
+            reason: `${reason} (${playersOff.length} players)`
+        };
+    }
+
+    // ========================================================================
+    // INTERCHANGE BUDGET
+    // ========================================================================
+
+    /**
+     * Fewer shifts per player when the cap cannot pay for the uncapped plan
+     * (longer stints, so fewer and larger rotations)
+     */
+    capShiftsToBudget(shifts, benchPlayers) {
+        const allowance = this.interchangeBudget?.gameAllowance;
+        if (!Number.isFinite(allowance) || benchPlayers <= 0) {
+            return shifts;
+        }
+        return this.clamp(Math.floor(allowance / benchPlayers), 1, shifts);
+    }
+
+    /**
+     * Changes at the exact start of a period are break rotations, which do not count
+     */
+    isFreeInterchange(time) {
+        return time > 0 && this.periodLength > 0 && time % this.periodLength === 0;
+    }
+
+    /**
+     * Players the plan may bring on at `time`
+     * @param {Object} used - { start, game, byPeriod } counted so far in this plan
+     * @param {number|null} [batch] - Pace the budget for rotations of this size: it
+     *   is released evenly over the rest of the game (and over each period), each
+     *   batch becoming affordable halfway through its share of the time
+     */
+    getInterchangesLeft(time, used, batch = null) {
+        const budget = this.interchangeBudget;
+        if (!budget || this.isFreeInterchange(time)) {
+            return Infinity;
+        }
+
+        const period = Math.min(this.numPeriods, Math.floor(time / this.periodLength) + 1);
+        const playable = end => Math.max(1, end - this.finalNoSubWindow);
+        const allowed = (total, share) => (batch === null
+            ? total
+            : Math.min(total, Math.floor(total * Math.min(1, share) + batch / 2)));
+        let left = Infinity;
+
+        if (budget.perGame !== null) {
+            const share = (time - used.start) / Math.max(1, playable(this.gameLength) - used.start);
+            left = Math.min(left, allowed(budget.perGame, share) - used.game);
+        }
+        if (budget.perPeriod !== null) {
+            const periodStart = (period - 1) * this.periodLength;
+            const share = (time - periodStart) / playable(this.periodLength);
+            left = Math.min(left, allowed(budget.perPeriod, share) - (used.byPeriod[period] || 0));
+        }
+        return Math.max(0, left);
+    }
+
+    /**
+     * Capped rotation: pair the field players furthest ahead with the bench
+     * players furthest behind, as long as each swap closes a real gap
+     */
+    createCappedRotation(field, bench) {
+        const ahead = [...field].sort((a, b) => this.getBalanceTime(b) - this.getBalanceTime(a));
+        const behind = [...bench].sort((a, b) => this.getBalanceTime(a) - this.getBalanceTime(b));
+
+        const playersOff = [];
+        const playersOn = [];
+        for (let i = 0; i < Math.min(ahead.length, behind.length); i++) {
+            if (this.getBalanceTime(ahead[i]) - this.getBalanceTime(behind[i]) <= 0) break;
+            playersOff.push(ahead[i]);
+            playersOn.push(behind[i]);
+        }
+
+        return playersOff.length > 0
+            ? { playersOff, playersOn, reason: `capped-interchange (${playersOff.length} players)` }
+            : null;
+    }
+
+    countInterchanges(time, count, used) {
+        if (!this.interchangeBudget || this.isFreeInterchange(time)) return;
+
+        const period = Math.min(this.numPeriods, Math.floor(time / this.periodLength) + 1);
+        used.game += count;
+        used.byPeriod[period] = (used.byPeriod[period] || 0) + count;
+    }
+
+    // ========================================================================
+    // TEMPORARY REPLACEMENTS
+    // ========================================================================
+
+    /**
+     * A player is off for a blood rule or head-injury assessment. They sit out
+     * of every rotation pool until returnAt, then come straight back on for
+     * their replacement. The time off is medical time: it is not bench time
+     * and their playing-time target stays whole, so balancing gives the
+     * minutes they missed back to them
+     * @param {string} player - Player off the field
+     * @param {number} returnAt - Game time (seconds) they are due back
+     * @param {string} [replacement] - Player who took their place
+     */
+    setMedicalReturn(player, returnAt, replacement = null) {
+        this.medicalReturns[player] = { returnAt, replacement };
+    }
+
+    clearMedicalReturn(player) {
+        delete this.medicalReturns[player];
+        this.medicalPending.delete(player);
+    }
+
+    /**
+     * Bring back every player whose temporary replacement is up, for their
+     * replacement when still on (otherwise the rotating player with the most time).
+     * A keeper's replacement hands the gloves back
+     * @returns {Object|null} { playersOff, playersOn, reason, medical, returnAt, keeper? }
+     */
+    createMedicalReturn(field, bench) {
+        const due = [...this.medicalPending].filter(player =>
+            bench.includes(player) && this.medicalReturns[player].returnAt <= this.currentTime
+        );
+        if (due.length === 0) {
+            return null;
+        }
+
+        const playersOff = [];
+        const playersOn = [];
+        let keeper = null;
+        let returnAt = 0;
+        due.forEach(player => {
+            this.medicalPending.delete(player);
+            const { replacement } = this.medicalReturns[player];
+            const off = field.includes(replacement) && !playersOff.includes(replacement)
+                ? replacement
+                : this.getRotatingPlayers(field)
+                    .filter(candidate => !playersOff.includes(candidate))
+                    .sort((a, b) => this.getBalanceTime(b) - this.getBalanceTime(a))[0];
+            if (off) {
+                playersOff.push(off);
+                playersOn.push(player);
+                returnAt = Math.max(returnAt, this.medicalReturns[player].returnAt);
+            }
+            if (off && this.hasGoalkeeperLock() && off === this.goalkeeper) {
+                keeper = player;
+                this.goalkeeper = player;
+            }
+        });
+
+        if (playersOn.length === 0) {
+            return null;
+        }
+
+        return {
+            playersOff,
+            playersOn,
+            reason: `medical-return (${playersOn.join(', ')})`,
+            medical: true,
+            returnAt,
+            ...(keeper ? { keeper } : {})
+        };
+    }
+
+    // ========================================================================
+    // BREAK ROTATIONS
+    // ========================================================================
+
+    /**
+     * Clear the per-break "already rotated" flags for the profile's break style
+     */
+    resetBreakRotations() {
+        if (this.profile.BREAK_ROTATION === 'quarters') {
+            this.quarterBreakRotationDone = new Array(this.numPeriods || 4).fill(false);
+        } else {
+            this.halftimeRotationDone = false;
+        }
+    }
+
+    /**
+     * Break window at the current time
+     * @returns {{active: boolean, pending: boolean, hold: boolean}}
+     *   active - inside a break window; pending - its rotation has not run yet;
+     *   hold - wait (halftime subs batch exactly at the midpoint)
+     */
+    getBreakWindow() {
+        if (this.profile.BREAK_ROTATION === 'quarters') {
+            const active = this.isQuarterBreak();
+            return {
+                active,
+                pending: active && !this.quarterBreakRotationDone[this.getCurrentQuarter() - 1],
+                hold: false
+            };
+        }
+
+        const active = this.isHalftimeBreak();
+        return {
+            active,
+            pending: active && !this.halftimeRotationDone,
+            hold: active && this.currentTime < this.gameLength / 2
+        };
+    }
+
+    markBreakRotationDone() {
+        if (this.profile.BREAK_ROTATION === 'quarters') {
+            this.quarterBreakRotationDone[this.getCurrentQuarter() - 1] = true;
+        } else {
+            this.halftimeRotationDone = true;
+        }
+    }
+
+    /**
+     * After a real-world change, skip the break rotation the game has already passed
+     */
+    closeBreakWindow(currentTime) {
+        if (this.profile.BREAK_ROTATION === 'quarters') {
+            const quarter = this.getCurrentQuarter();
+            if (quarter >= 1 && quarter <= this.quarterBreakRotationDone.length) {
+                this.quarterBreakRotationDone[quarter - 1] = true;
+            }
+        } else if (currentTime >= this.gameLength / 2) {
+            this.halftimeRotationDone = true;
+        }
+    }
+
+    createBreakRotation(field, bench, availablePlayers) {
+        return this.profile.BREAK_ROTATION === 'quarters'
+            ? this.calculateBreakRotations(field, bench, availablePlayers)
+            : this.createHalftimeRotation(field, bench, availablePlayers);
+    }
+
+    /**
+     * Check if currently at halftime break (midpoint ±30 seconds)
+     */
+    isHalftimeBreak() {
+        return Math.abs(this.currentTime - this.gameLength / 2) <= 30;
+    }
+
+    /**
+     * Check if within 30 seconds after a quarter break
+     */
+    isQuarterBreak() {
+        if (!this.periodLength) return false;
+        const quarterProgress = this.currentTime % this.periodLength;
+        return quarterProgress <= 30 && this.currentTime > 30;
+    }
+
+    /**
+     * Get current quarter (1-based)
+     */
+    getCurrentQuarter() {
+        if (!this.periodLength) return 1;
+        return Math.min(this.numPeriods || 4, Math.floor(this.currentTime / this.periodLength) + 1);
+    }
+
+    /**
+     * Swap in the lowest-minute players so the field restarts fresh
+     */
+    createRefreshRotation(field, bench, availablePlayers, label) {
+        if (!Array.isArray(field) || !Array.isArray(availablePlayers) || availablePlayers.length < this.fieldSpots) {
+            return null;
+        }
+
+        const lowestMinutePlayers = [...this.getRotatingPlayers(availablePlayers)].sort((a, b) => {
+            return this.getBalanceTime(a) - this.getBalanceTime(b);
+        }).slice(0, this.getRotatingFieldSpots());
+
+        const desiredSet = new Set(lowestMinutePlayers);
+        const playersOff = this.getRotatingPlayers(field).filter(player => !desiredSet.has(player));
+        const playersOn = lowestMinutePlayers.filter(player => !field.includes(player));
+
+        // Only players actually on the bench can come on
+        const validPlayersOn = playersOn.filter(player => bench.includes(player));
+        const swapsToMake = Math.min(playersOff.length, validPlayersOn.length);
+
+        if (swapsToMake === 0) {
+            return null;
+        }
+
+        return {
+            playersOff: playersOff.slice(0, swapsToMake),
+            playersOn: validPlayersOn.slice(0, swapsToMake),
+            reason: `${label} (${swapsToMake} players)`
+        };
+    }
+
+    createHalftimeRotation(field, bench, availablePlayers) {
+        return this.createRefreshRotation(field, bench, availablePlayers, 'halftime-refresh');
+    }
+
+    createQuarterBreakRotation(field, bench, availablePlayers) {
+        return this.createRefreshRotation(field, bench, availablePlayers, 'quarter-break-refresh');
+    }
+
+    /**
+     * Quarter break: swap every above-average field player for a below-average
+     * bench player, up to MAX_SUBS_AT_BREAK
+     */
+    calculateBreakRotations(field, bench, availablePlayers) {
+        if (!Array.isArray(field) || !Array.isArray(bench) || !Array.isArray(availablePlayers)) {
+            return null;
+        }
+
+        if (availablePlayers.length < this.fieldSpots) {
+            return null;
+        }
+
+        const currentVariance = this.calculateRealTimeVariance(availablePlayers);
+        const remainingTime = this.gameLength - this.currentTime;
+
+        console.log(`🔄 Quarter break optimization: current variance ${currentVariance}s, remaining time ${this.formatTime(remainingTime)}`);
+
+        if (currentVariance <= 20) {
+            return this.createQuarterBreakRotation(field, bench, availablePlayers);
+        }
+
+        const avgPlayTime = availablePlayers.reduce((sum, p) =>
+            sum + this.getBalanceTime(p), 0) / availablePlayers.length;
+
+        const aboveAverage = this.getRotatingPlayers(field)
+            .map(player => ({
+                player,
+                deviation: this.getBalanceTime(player) - avgPlayTime
+            }))
+            .filter(p => p.deviation > 10)
+            .sort((a, b) => b.deviation - a.deviation);
+
+        const belowAverage = this.getRotatingPlayers(bench)
+            .map(player => ({
+                player,
+                deviation: avgPlayTime - this.getBalanceTime(player)
+            }))
+            .filter(p => p.deviation > 10)
+            .sort((a, b) => b.deviation - a.deviation);
+
+        const maxSwaps = Math.min(
+            this.profile.MAX_SUBS_AT_BREAK || this.fieldSpots,
+            aboveAverage.length,
+            belowAverage.length
+        );
+
+        if (maxSwaps === 0) {
+            return this.createQuarterBreakRotation(field, bench, availablePlayers);
+        }
+
+        console.log(`   Quarter break optimization: ${maxSwaps} swaps`);
+
+        return {
+            playersOff: aboveAverage.slice(0, maxSwaps).map(p => p.player),
+            playersOn: belowAverage.slice(0, maxSwaps).map(p => p.player),
+            reason: `quarter-break-optimization (${maxSwaps} swaps)`
+        };
+    }
+
+    // ========================================================================
+    // VARIANCE AND GAP CONTROL
+    // ========================================================================
+
+    /**
+     * Playing-time spread across rotating players, in seconds.
+     * VARIANCE_METRIC 'stddev' uses the standard deviation, 'range' uses max - min.
+     */
+    calculateRealTimeVariance(players) {
+        const activePlayers = this.getRotatingPlayers(players).filter(player => !this.removedPlayers.has(player));
+        if (activePlayers.length === 0) {
+            return 0;
+        }
+
+        // Measured against each player's own target (see getBalanceTime)
+        const playTimes = activePlayers.map(player => this.getBalanceTime(player));
+
+        if (this.profile.VARIANCE_METRIC === 'range') {
+            return Math.max(...playTimes) - Math.min(...playTimes);
+        }
+
+        const mean = playTimes.reduce((sum, time) => sum + time, 0) / playTimes.length;
+        const variance = playTimes.reduce((sum, time) => sum + Math.pow(time - mean, 2), 0) / playTimes.length;
+        return Math.sqrt(variance);
+    }
+
+    calculateAdaptiveMinGap(gameLengthSeconds, totalPlayers) {
+        const adaptive = this.profile.ADAPTIVE_GAP;
+        const gameMinutes = Math.max(1, gameLengthSeconds / 60);
+        const estimatedWindowsNeeded = Math.max(adaptive.MIN_WINDOWS, Math.ceil(totalPlayers * adaptive.WINDOWS_PER_PLAYER));
+        const availableGameTime = Math.max(gameMinutes - adaptive.RESERVE_MINUTES, gameMinutes * adaptive.PLAYABLE_SHARE);
+        const idealGapMinutes = availableGameTime / estimatedWindowsNeeded;
+
+        const bands = adaptive.BANDS;
+        const [, lowerBound, upperBound] = bands.find(([maxMinutes]) => gameMinutes <= maxMinutes) || bands[bands.length - 1];
+
+        return this.clamp(idealGapMinutes, lowerBound, upperBound) * 60;
+    }
+
+    getEffectiveMinGap(standardMinGap, currentTime, gameLength, currentMaxDeviationMinutes, remainingWindows) {
+        const relief = this.profile.GAP_RELIEF;
+        const factors = relief.FACTORS;
+        const [earlyEnd, midEnd, lateEnd] = relief.PHASES;
+        const progress = currentTime / gameLength;
+        let effectiveGap = standardMinGap;
+
+        if (progress < earlyEnd) {
+            return effectiveGap;
+        }
+
+        if (progress < midEnd) {
+            if (currentMaxDeviationMinutes > relief.MID_DEVIATION) {
+                effectiveGap *= factors.MID_HIGH_VARIANCE;
+            }
+            return effectiveGap;
+        }
+
+        if (progress < lateEnd) {
+            if (currentMaxDeviationMinutes > relief.LATE_DEVIATIONS[0]) {
+                effectiveGap *= factors.LATE_HIGH_VARIANCE;
+            } else if (currentMaxDeviationMinutes > relief.LATE_DEVIATIONS[1]) {
+                effectiveGap *= factors.LATE_MODERATE_VARIANCE;
+            }
+            return effectiveGap;
+        }
+
+        return effectiveGap * (remainingWindows <= relief.END_WINDOWS
+            ? factors.END_GAME_FEW_WINDOWS
+            : factors.END_GAME_NORMAL);
+    }
+
+    shouldTriggerEarlySub(currentTime, gameLength, minGap, fieldPlayers, availablePlayers) {
+        const early = this.profile.EARLY_SUB;
+        const progress = currentTime / gameLength;
+        if (progress < early.MIN_PROGRESS) {
+            return { trigger: false };
+        }
+
+        const activePlayers = availablePlayers.filter(player => !this.removedPlayers.has(player));
+        if (!activePlayers.length) {
+            return { trigger: false };
+        }
+
+        const currentTimes = activePlayers.map(player => this.getBalanceTime(player));
+        const currentMaxDevMinutes = (Math.max(...currentTimes) - Math.min(...currentTimes)) / 60;
+
+        // Project one more gap with the current field unchanged
+        const projectedTimes = new Map();
+        activePlayers.forEach(player => {
+            projectedTimes.set(player, this.getBalanceTime(player));
+        });
+        fieldPlayers.forEach(player => {
+            projectedTimes.set(player, (projectedTimes.get(player) || 0) + minGap);
+        });
+
+        const projectedValues = Array.from(projectedTimes.values());
+        const projectedMaxDevMinutes = (Math.max(...projectedValues) - Math.min(...projectedValues)) / 60;
+
+        if (projectedMaxDevMinutes > currentMaxDevMinutes + early.DEVIATION_JUMP) {
+            return {
+                trigger: true,
+                reason: `Projected deviation ${projectedMaxDevMinutes.toFixed(2)} (current ${currentMaxDevMinutes.toFixed(2)})`
+            };
+        }
+
+        if (progress > early.LATE_PROGRESS && projectedMaxDevMinutes > early.LATE_DEVIATION) {
+            return {
+                trigger: true,
+                reason: `Late-game prevention: projected ${projectedMaxDevMinutes.toFixed(2)}`
+            };
+        }
+
+        return { trigger: false };
+    }
+
+    // ========================================================================
+    // REAL-WORLD DEVIATIONS
+    // ========================================================================
+
+    /**
+     * Handle deviations and replanning (for compatibility with existing game engine)
+     */
+    handleDeviation(deviationType, deviationData, currentTime) {
+        console.log(`🔄 Handling ${deviationType} at ${this.formatTime(currentTime)}`);
+
+        this.currentTime = currentTime;
+
+        const { actualField, actualBench, playTimes } = deviationData;
+        const unavailable = deviationData.unavailable || [];
+
+        // The keeper may have changed hands (injury, manual GK swap)
+        if (this.profile.GOALKEEPER_LOCK && deviationData.goalkeeper !== undefined) {
+            this.goalkeeper = deviationData.goalkeeper;
+        }
+
+        // Sync our state with actual game state
+        this.syncWithActualState(currentTime, actualField, actualBench, playTimes);
+        this.applyFieldStints(deviationData.fieldStints);
+
+        if (deviationData.player && (deviationType === 'injury' || deviationType === 'foul_out')) {
+            this.handlePlayerRemoval(deviationData.player, actualField, actualBench, deviationData.reason);
+        }
+
+        // Use the real-world substitution time as the new gap baseline so future checks don't see "future" subs
+        this.lastSubstitutionTime = currentTime;
+        this.closeBreakWindow(currentTime);
+
+        const activePlayerCount = actualField.length + actualBench.length;
+        this.recalculateDynamicTargets(activePlayerCount);
+
+        const newPlan = this.regenerateFullPlan(currentTime, unavailable, actualField, actualBench, playTimes);
+
+        if (newPlan && newPlan.rotations) {
+            const validatedPlan = this.validateEntirePlan(newPlan, actualField, actualBench);
+            console.log(`   New plan: ${validatedPlan.rotations.length} rotations, ${validatedPlan.expectedVariance}s variance`);
+            return validatedPlan;
+        }
+
+        return newPlan;
+    }
+
+    /**
+     * Change the number of field spots mid-game - a team playing short after a
+     * sin bin or send-off, or back to full strength. The next deviation
+     * replans for the new field
+     * @param {number} spots - Field spots from now on
+     */
+    setFieldSpots(spots) {
+        if (!Number.isInteger(spots) || spots < 1 || spots === this.fieldSpots) {
+            return;
+        }
+
+        console.log(`   Field spots: ${this.fieldSpots} → ${spots}`);
+        this.fieldSpots = spots;
+        this.benchSpots = this.totalPlayers - spots;
+    }
+
+    handlePlayerRemoval(removedPlayer, actualField, actualBench, reason = null) {
+        console.log(`   Removing player: ${removedPlayer}${reason ? ` (${reason})` : ''}`);
+
+        this.removedPlayers.add(removedPlayer);
+        if (this.playerState[removedPlayer]) {
+            this.playerState[removedPlayer].status = 'Removed';
+            this.playerState[removedPlayer].isOnField = false;
+        }
+
+        const newRosterSize = actualField.length + actualBench.length;
+        if (newRosterSize <= this.fieldSpots) {
+            console.log(`   ⚠️ Minimum roster reached (${newRosterSize} players) - disabling further subs`);
+        }
+    }
+
+    /**
+     * Re-simulate from now and keep only future rotations that avoid removed players
+     */
+    regenerateFullPlan(currentTime, unavailable, actualField, actualBench, playTimes) {
+        const newPlan = this.generatePlan(
+            Math.floor(currentTime / this.checkInterval),
+            unavailable,
+            actualField,
+            actualBench,
+            playTimes
+        );
+
+        if (newPlan && newPlan.rotations) {
+            newPlan.rotations = newPlan.rotations.filter(rotation => {
+                if (rotation.time <= currentTime) {
+                    return false;
+                }
+                const referencesRemoved = [...rotation.off, ...rotation.on].some(p => this.removedPlayers.has(p));
+                if (referencesRemoved) {
+                    console.log(`   Removing rotation at ${this.formatTime(rotation.time)} - references removed player`);
+                }
+                return !referencesRemoved;
+            });
+        }
+
+        return newPlan;
+    }
+
+    /**
+     * Drop rotations that no longer line up with the simulated field/bench
+     */
+    validateEntirePlan(plan, currentField, currentBench) {
+        if (!plan || !plan.rotations || plan.rotations.length === 0) {
+            return plan;
+        }
+
+        const validatedRotations = [];
+        let simulatedField = [...currentField];
+        let simulatedBench = [...currentBench];
+
+        for (const rotation of plan.rotations) {
+            const invalidOff = rotation.off.filter(p => !simulatedField.includes(p));
+            const invalidOn = rotation.on.filter(p => !simulatedBench.includes(p));
+
+            if (invalidOff.length > 0 || invalidOn.length > 0) {
+                console.log(`   ⚠️ Removing invalid rotation at ${this.formatTime(rotation.time)}`);
+                continue;
+            }
+
+            validatedRotations.push(rotation);
+
+            simulatedField = simulatedField.filter(p => !rotation.off.includes(p));
+            simulatedField.push(...rotation.on);
+            simulatedBench = simulatedBench.filter(p => !rotation.on.includes(p));
+            simulatedBench.push(...rotation.off);
+        }
+
+        return {
+            ...plan,
+            rotations: validatedRotations
+        };
+    }
+
+    /**
+     * Sync with actual game state
+     */
+    syncWithActualState(currentTime, actualField, actualBench, playTimes = null) {
+        if (!Array.isArray(actualField) || !Array.isArray(actualBench)) {
+            console.error('Invalid state provided to syncWithActualState');
+            return;
+        }
+
+        this.currentTime = currentTime;
+
+        const fieldSet = new Set(actualField);
+        const benchSet = new Set(actualBench);
+
+        this.players.forEach(player => {
+            const state = this.playerState[player];
+            if (!state) {
+                return;
+            }
+
+            const onField = fieldSet.has(player);
+            const onBench = benchSet.has(player);
+
+            if (!onField && !onBench) {
+                this.removedPlayers.add(player);
+            } else {
+                this.removedPlayers.delete(player);
+            }
+
+            const wasOnField = state.isOnField;
+            const removed = this.removedPlayers.has(player);
+            state.isOnField = onField;
+            state.status = removed ? 'Removed' : (onField ? 'On_Field' : 'On_Bench');
+
+            if (playTimes && playTimes[player] !== undefined) {
+                state.totalTimePlayed = playTimes[player];
+                this.playerSeconds[player] = playTimes[player]; // Legacy sync
+            }
+
+            // Stints restart whenever a player changes side or leaves the game
+            state.currentStintDuration = 0;
+            if (removed || wasOnField !== onField) {
+                state.currentFieldStint = 0;
+                state.currentBenchStint = 0;
+            }
+        });
+
+        if (this.profile.BREAK_ROTATION === 'halftime') {
+            this.closeBreakWindow(currentTime);
+        }
+
+        console.log(`   Synced at ${this.formatTime(currentTime)}: ${actualField.length} field, ${actualBench.length} bench`);
+    }
+
+    // ========================================================================
+    // REPORTING
+    // ========================================================================
+
+    /**
+     * Get player minutes for compatibility
+     */
+    getPlayerMinutes(players) {
+        const playerMinutes = {};
+        players.forEach(player => {
+            const seconds = this.playerState[player]?.totalTimePlayed || 0;
+            playerMinutes[player] = Math.round(seconds / 60 * 10) / 10;
+        });
+        return playerMinutes;
+    }
+
+    /**
+     * Get analytics for compatibility with existing UI
+     */
+    getAnalytics(currentTime = this.currentTime) {
+        const availablePlayers = this.players.filter(p => this.playerState[p] && !this.removedPlayers.has(p));
+        const variance = this.calculateRealTimeVariance(availablePlayers);
+        const dynamicVariance = this.getDynamicVarianceThreshold(currentTime);
+
+        return {
+            currentVariance: Math.round(variance),
+            metrics: {
+                algorithm: this.profile.ALGORITHM,
+                checkInterval: this.checkInterval,
+                idealShifts: this.idealShiftsPerPlayer,
+                varianceThreshold: Math.round(dynamicVariance),
+                minSubGap: Math.round(this.minSubstitutionGap),
+                timeSinceLastSub: Math.round(currentTime - this.lastSubstitutionTime),
+                currentTime: currentTime,
+                meanPlayingTime: availablePlayers.length > 0 ? (this.getRotatingFieldSpots() * currentTime) / availablePlayers.length : 0,
+                totalRotations: this.currentPlan?.rotations?.length || 0,
+                targetMinutes: this.currentPlan?.targetMinutes || 0,
+                varianceRange: Math.round(variance),
+                lookAheadWindow: this.lookAheadWindow,
+                varianceGoal: this.varianceGoal
+            },
+            playerTargets: { ...this.playerTargetSeconds },
+            ...(this.lines ? { lines: this.getLineReport() } : {})
+        };
+    }
+
+    /**
+     * Format time helper
+     */
+    formatTime(seconds) {
+        const mins = Math.floor(seconds / 60);
+        const secs = seconds % 60;
+        return `${mins}:${secs.toString().padStart(2, '0')}`;
+    }
+
+    clamp(value, min, max) {
+        return Math.min(Math.max(value, min), max);
+    }
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BaseIntervalOptimizer;
+}
+
+if (typeof window !== 'undefined') {
+    window.BaseIntervalOptimizer = BaseIntervalOptimizer;
+    console.log('⚙️ Base Interval Optimizer v1.0 loaded');
+}
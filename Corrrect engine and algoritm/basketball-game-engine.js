@@ -4,9 +4,14 @@
  * Version 3.1 - Production Ready with Centralized Config
  *
  * @fileoverview Main game engine for basketball game management.
- * Handles timing, rotations, scoring, and player management.
+ * Handles basketball setup, positions and scoring; timing, rotations and
+ * player management come from BaseGameEngine.
  */
 
+// Shared core - classic script global in the browser, CommonJS in Node
+const SharedGameEngine = (typeof window !== 'undefined' && window.BaseGameEngine)
+    || require('./base-game-engine.js');
+
 // ============================================================================
 // TYPE DEFINITIONS
 // ============================================================================
@@ -45,10 +50,6 @@ const ENGINE_DEFAULTS = {
     DEFAULT_PERIOD_LENGTH: 1200,
     DEFAULT_NUM_PERIODS: 2,
     WARNING_BEEP_TIME: 10,
-    EARLY_WARNING_TIME: 60,
-    VALIDATION_INTERVAL: 30,
-    MAX_CATCHUP_SECONDS: 3600,
-    MAX_TICK_CATCHUP: 10,
 };
 
 // Merge with global config if available
@@ -56,12 +57,41 @@ const GAME_CONFIG = (typeof window !== 'undefined' && window.GameConfig?.BASKETB
     ? { ...ENGINE_DEFAULTS, ...window.GameConfig.BASKETBALL_DEFAULTS }
     : ENGINE_DEFAULTS;
 
+// Foul-out limits, team foul limits and foul-trouble rules
+const FOUL_CONFIG = (typeof window !== 'undefined' && window.GameConfig?.BASKETBALL_FOULS)
+    || require('./config/game-defaults.js').BASKETBALL_FOULS;
+
+// Timeout allowances and timeout clock
+const TIMEOUT_CONFIG = (typeof window !== 'undefined' && window.GameConfig?.BASKETBALL_TIMEOUTS)
+    || require('./config/game-defaults.js').BASKETBALL_TIMEOUTS;
+
+// Stat pad shots and counting stats
+const BOX_SCORE_CONFIG = (typeof window !== 'undefined' && window.GameConfig?.BASKETBALL_BOX_SCORE)
+    || require('./config/game-defaults.js').BASKETBALL_BOX_SCORE;
+
+// Box-score lines (shared with the season box scores read back by StatsTracker)
+const { createBoxScoreLine, deriveBoxScoreLine } = (typeof window !== 'undefined' && window.GameConfig?.deriveBoxScoreLine)
+    ? window.GameConfig
+    : require('./config/game-defaults.js');
+
 // ============================================================================
 // MAIN CLASS
 // ============================================================================
 
-class BasketballGameEngine {
+class BasketballGameEngine extends SharedGameEngine {
     constructor() {
+        super({
+            logTag: '[GameEngine]',
+            fieldKey: 'court',
+            spotsKey: 'courtSpots',
+            stintKey: 'onCourt',
+            fieldLabel: 'court',
+            periodLabel: 'Period',
+            optimizerFieldKey: 'onCourt',
+            deviationFieldKey: 'actualCourt',
+            defaults: GAME_CONFIG
+        });
+
         // Game configuration - use centralized defaults
         this.config = {
             format: 'halves',
@@ -71,181 +101,104 @@ class BasketballGameEngine {
             defaultBench: GAME_CONFIG.DEFAULT_BENCH,
             defaultRotationsPerChange: 2,
             autoConfirmRotations: false,
-            warningBeepTime: GAME_CONFIG.WARNING_BEEP_TIME
+            warningBeepTime: GAME_CONFIG.WARNING_BEEP_TIME,
+            foulOutLimit: FOUL_CONFIG.DEFAULT_FOUL_OUT_LIMIT,
+            foulTroubleRules: [],
+            timeoutsPerHalf: [...TIMEOUT_CONFIG.PER_HALF],
+            timeoutLength: TIMEOUT_CONFIG.LENGTH_SECONDS
         };
 
-        // Game state
-        this.state = {
-            initialized: false,
-            running: false,
-            paused: false,
-            currentTime: 0,
-            currentPeriod: 1,
-            periodElapsed: 0,
-            isHalftime: false,
-            gameOver: false
-        };
+        this.timeoutInterval = null;
+
+        console.log('🏀 Basketball Game Engine v3.1 initialized');
+    }
+
+    // ========================================================================
+    // SPORT HOOKS
+    // ========================================================================
 
-        // Player management - critical tracking
-        this.players = {
-            all: [],
-            court: [],  // MUST always have exactly 5
-            bench: [],  // Everyone else not on court
-            removed: new Set(),
-            minutes: {},
-            benchMinutes: {},
-            currentStints: {},
+    createPlayerLedger() {
+        return {
+            ...super.createPlayerLedger(),
             positions: {},
-            lastRotationTime: {}
+            eligiblePositions: {},
+            fouls: {}
         };
+    }
 
-        // Scoring management
-        this.scoring = {
+    createScoring() {
+        return {
             home: 0,
             away: 0,
             homeTeamName: 'Home',
             awayTeamName: 'Opposition',
-            playerPoints: {}
-        };
-
-        // Rotation management
-        this.rotations = {
-            pending: false,
-            pendingOff: [],
-            pendingOn: [],
-            pendingTime: null,
-            history: [],
-            nextScheduled: null,
-            plan: [],
-            currentPlanIndex: 0,
-            lastConfirmedIndex: -1
+            playerPoints: {},
+            boxScore: {},   // { player: { period: raw BoxScoreLine } }
+            teamFouls: { home: {}, away: {} },
+            timeouts: { home: {}, away: {} }
         };
+    }
 
-        this.enforcer = null;
-
-        // UI callbacks
-        this.callbacks = {
-            onUpdate: null,
-            onRotation: null,
-            onPeriodEnd: null,
-            onGameEnd: null,
-            onError: null,
-            onWarning: null,
-            onEarlyWarning: null,  // NEW: 1-minute early warning callback
-            onRecovery: null,
-            onScoreUpdate: null
+    createInitialState() {
+        return {
+            ...super.createInitialState(),
+            timeout: null
         };
+    }
 
-        // Timer
-        this.timerInterval = null;
-        this.lastTickTime = null;
-        this.warningPlayed = false;
-        this.earlyWarningShown = false;  // NEW: Track 1-minute early warning
-
-        // Page Visibility tracking for catch-up when tab is hidden/restored
-        this.lastVisibleTimestamp = null;
-        this.wasRunningWhenHidden = false;
-
-        // Audio
-        this.audio = {
-            warningBeep: null,
-            whistle: null,
-            enabled: true
+    createCallbacks() {
+        return {
+            ...super.createCallbacks(),
+            onFoulUpdate: null,
+            onTimeoutUpdate: null
         };
-
-        this.planTargetMinutes = 0;
-        this.totalGameLength = 0;
-
-        // State validation flag
-        this._stateNeedsValidation = false;
-
-        console.log('🏀 Basketball Game Engine v3.1 initialized');
     }
 
-    /**
-     * Mark state as needing validation
-     * Call this when state might be inconsistent
-     */
-    markStateDirty() {
-        this._stateNeedsValidation = true;
+    getOptimizerClass() {
+        return window.BasketballIntervalOptimizer;
     }
 
-    /**
-     * Validate court/bench state - CRITICAL METHOD
-     * Ensures court has exactly courtSpots players and no duplicates
-     * @returns {boolean} Whether state is valid
-     */
-    validatePlayerState() {
-        const errors = [];
-        const expectedCourtSize = this.config.courtSpots;
-
-        // Check court has exactly courtSpots players
-        if (this.players.court.length !== expectedCourtSize) {
-            errors.push(`Court has ${this.players.court.length} players, should be ${expectedCourtSize}`);
-        }
-
-        // Check no duplicates
-        const allActive = [...this.players.court, ...this.players.bench];
-        const uniqueActive = new Set(allActive);
-        if (uniqueActive.size !== allActive.length) {
-            errors.push('Duplicate players found in court/bench');
-        }
-
-        // Check all non-removed players are accounted for
-        const expectedActive = this.players.all.filter(p => !this.players.removed.has(p));
-        if (expectedActive.length !== allActive.length) {
-            errors.push(`Player count mismatch: ${expectedActive.length} expected, ${allActive.length} found`);
-        }
+    getOptimizerConfig(options) {
+        return {
+            gameLength: this.totalGameLength,
+            periodLength: this.config.periodLength,
+            totalPlayers: options.totalPlayers,
+            idealShiftsPerPlayer: options.idealShiftsPerPlayer,
+            subsPerRotation: options.subsPerRotation,
+            minRotationGapSec: 120, // Legacy compatibility (not used in hybrid)
+            playerPositions: { ...this.players.eligiblePositions }
+        };
+    }
 
-        if (errors.length > 0) {
-            console.error('❌ PLAYER STATE INVALID:', errors);
-            this.fixPlayerState();
-            return false;
-        }
+    assignRoles(courtPlayers) {
+        this.assignPositions(courtPlayers);
+    }
 
-        return true;
+    transferRole(playerOff, playerOn) {
+        this.players.positions[playerOn] = this.players.positions[playerOff];
+        delete this.players.positions[playerOff];
     }
 
     /**
-     * Fix invalid player state
-     * Ensures court has exactly courtSpots players
+     * Prefer the fewest-minutes bench player who keeps the lineup rules
      */
-    fixPlayerState() {
-        console.warn('🔧 Fixing player state...');
-
-        const expectedCourtSize = this.config.courtSpots;
-
-        // Get all active players
-        const activePlayers = this.players.all.filter(p => !this.players.removed.has(p));
-
-        // Current court players (deduplicated)
-        const currentCourt = [...new Set(this.players.court)];
-
-        // If too many on court, move extras to bench
-        if (currentCourt.length > expectedCourtSize) {
-            const toRemove = currentCourt.length - expectedCourtSize;
-            const removed = currentCourt.splice(expectedCourtSize, toRemove);
-            this.players.court = currentCourt.slice(0, expectedCourtSize);
-            this.players.bench = [...new Set([...this.players.bench, ...removed])];
-        }
-
-        // If too few on court, pull from bench
-        else if (currentCourt.length < expectedCourtSize) {
-            const needed = expectedCourtSize - currentCourt.length;
-            const benchAvailable = this.players.bench.slice(0, needed);
-            this.players.court = [...currentCourt, ...benchAvailable];
-            this.players.bench = this.players.bench.slice(needed);
-        } else {
-            this.players.court = currentCourt;
+    chooseReplacement(player, availableBench) {
+        if (this.enforcer && this.enforcer.hasLineupRules()) {
+            const remaining = this.players.court.filter(p => p !== player);
+            const valid = [...availableBench]
+                .sort((a, b) => (this.players.minutes[a] || 0) - (this.players.minutes[b] || 0))
+                .find(candidate => this.enforcer.getUnmetLineupRules([...remaining, candidate]).length === 0);
+            if (valid) {
+                return valid;
+            }
         }
-
-        // Ensure bench has everyone else
-        const onCourtSet = new Set(this.players.court);
-        this.players.bench = activePlayers.filter(p => !onCourtSet.has(p));
-
-        console.log(`✅ Fixed: ${this.players.court.length} on court, ${this.players.bench.length} on bench`);
+        return super.chooseReplacement(player, availableBench);
     }
 
+    // ========================================================================
+    // SETUP
+    // ========================================================================
+
     /**
      * Initialize game with setup parameters
      */
@@ -258,6 +211,15 @@ class BasketballGameEngine {
         this.config.numPeriods = this.config.format === 'quarters' ? 4 : 2;
         this.config.autoConfirmRotations = setupData.autoConfirmRotations || false;
         this.config.warningBeepTime = setupData.warningBeepTime || 10;
+        this.config.foulOutLimit = FOUL_CONFIG.FOUL_OUT_LIMITS.includes(Number(setupData.foulOutLimit))
+            ? Number(setupData.foulOutLimit)
+            : FOUL_CONFIG.DEFAULT_FOUL_OUT_LIMIT;
+        this.config.foulTroubleRules = this.parseFoulTroubleRules(setupData);
+        this.config.timeoutsPerHalf = this.parseTimeoutsPerHalf(setupData.timeoutsPerHalf);
+        this.config.stopClock = setupData.stopClock === true;
+        this.config.timeoutLength = Number(setupData.timeoutLength) > 0
+            ? Number(setupData.timeoutLength)
+            : TIMEOUT_CONFIG.LENGTH_SECONDS;
 
         const numReserves = setupData.numReserves || 3;
         const totalPlayers = 5 + numReserves;
@@ -270,69 +232,45 @@ class BasketballGameEngine {
         // Validate initial state
         this.validatePlayerState();
 
+        // Eligible positions per player (positions or G/F/C groups)
+        this.players.eligiblePositions = this.parseEligiblePositions(setupData);
+
+        // Per-player playing-time targets (weights, min/max shares or minutes)
+        this.config.playerTargets = this.parsePlayerTargets(setupData);
+
+        // Season ledger: team the minutes are booked to and carry-over to repay
+        this.config.seasonTeam = setupData.seasonTeam || null;
+        this.config.carryOver = this.parseCarryOver(setupData);
+
+        // Line mode: whole lines change together, line 1 starts
+        this.config.lines = this.parseLines(setupData);
+        if (this.config.lines) {
+            this.players.court = this.getLineModeStarters();
+            this.players.bench = this.players.all.filter(player => !this.players.court.includes(player));
+        }
+
         // Initialize player tracking
-        this.players.all.forEach(player => {
-            this.players.minutes[player] = 0;
-            this.players.benchMinutes[player] = 0;
-            this.players.currentStints[player] = {
-                start: 0,
-                onCourt: this.players.court.includes(player)
-            };
-            this.players.lastRotationTime[player] = 0;
-        });
+        this.resetPlayerTracking();
 
         // Initialize player scoring
-        this.scoring.home = 0;
-        this.scoring.away = 0;
-        this.scoring.homeTeamName = 'Home';
-        this.scoring.awayTeamName = 'Opposition';
-        this.scoring.playerPoints = {};
+        this.scoring = this.createScoring();
         this.players.all.forEach(player => {
             this.scoring.playerPoints[player] = 0;
+            this.players.fouls[player] = 0;
         });
 
-        // Assign initial positions
-        this.assignPositions(this.players.court);
-
         // Set up optimizer
-        const totalGameLength = this.config.periodLength * this.config.numPeriods;
-        this.totalGameLength = totalGameLength;
+        this.totalGameLength = this.config.periodLength * this.config.numPeriods;
 
         const subsPerRotation = setupData.subsPerChange || setupData.rotationsPerChange || 2; // Legacy
-        const idealShifts = setupData.idealShiftsPerPlayer || 4; // NEW: Primary configuration
-        const OptimizerCtor = window.BasketballIntervalOptimizer;
-
-        this.enforcer = new OptimizerCtor({
-            gameLength: totalGameLength,
-            periodLength: this.config.periodLength,
-            totalPlayers: totalPlayers,
-            idealShiftsPerPlayer: idealShifts, // NEW: Primary configuration
-            subsPerRotation: Math.max(1, Math.min(2, subsPerRotation)), // Legacy compatibility
-            minRotationGapSec: 120 // Legacy compatibility (not used in hybrid)
-        });
-
-        this.enforcer.tempo = 'balanced';
-
-        // Initialize enforcer
-        this.enforcer.initialize(this.players.all, {
-            onCourt: [...this.players.court],
-            onBench: [...this.players.bench],
-            playerMinutes: { ...this.players.minutes },
-            elapsedTime: 0
+        const plan = this.setupOptimizer({
+            totalPlayers,
+            idealShiftsPerPlayer: setupData.idealShiftsPerPlayer || 4,
+            subsPerRotation: Math.max(1, Math.min(2, subsPerRotation)) // Legacy compatibility
         });
 
-        // Generate plan
-        const gen = this.enforcer.generatePlan(0, []);
-        const plan = {
-            plan: gen ? gen.rotations.map(r => ({ time: r.time, off: r.off, on: r.on })) : [],
-            targetMinutes: Math.floor((totalGameLength * 5) / totalPlayers),
-            expectedVariance: gen ? gen.expectedVariance : 0
-        };
-
-        this.rotations.plan = plan.plan;
-        this.planTargetMinutes = plan.targetMinutes;
-        this.rotations.currentPlanIndex = 0;
-        this.updateNextRotation();
+        // Assign initial positions (uses the optimizer's expanded eligibility)
+        this.assignPositions(this.players.court);
 
         // Set audio preference
         this.audio.enabled = setupData.enableWarningSound !== false;
@@ -377,1025 +315,444 @@ class BasketballGameEngine {
     }
 
     /**
-     * Assign positions to players on court
+     * Eligible positions from setupData.playerPositions or playerData[name].positions
+     * @returns {Object} { player: positions } as entered (expanded by the optimizer)
      */
-    assignPositions(courtPlayers) {
-        const positions = ['PG', 'SG', 'SF', 'PF', 'C'];
-        courtPlayers.forEach((player, index) => {
-            if (index < 5) {
-                this.players.positions[player] = positions[index];
+    parseEligiblePositions(setupData) {
+        const eligible = {};
+        const playerData = setupData.playerData || {};
+
+        this.players.all.forEach(player => {
+            const positions = setupData.playerPositions?.[player] ?? playerData[player]?.positions;
+            if (positions && positions.length > 0) {
+                eligible[player] = positions;
             }
         });
+
+        return eligible;
     }
 
     /**
-     * Confirm pending rotation - FIXED
+     * Foul-trouble policy from setupData.foulTroublePolicy: true for the
+     * default BASKETBALL_FOULS.FOUL_TROUBLE_RULES or a list of custom rules
+     * @returns {Array<{FOULS_SHORT: number, UNTIL: number}>} Empty when off
      */
-    confirmRotation() {
-        if (!this.rotations.pending) {
-            this.handleError('No pending rotation to confirm');
-            return false;
-        }
-
-        const { pendingOff, pendingOn } = this.rotations;
-
-        // Validate rotation
-        if (pendingOff.length !== pendingOn.length) {
-            this.handleError('Invalid rotation: off/on counts do not match');
-            return false;
-        }
-
-        // Check all OFF players are on court
-        for (const player of pendingOff) {
-            if (!this.players.court.includes(player)) {
-                this.handleError(`Cannot sub off ${player} - not on court`);
-                return false;
-            }
-        }
-
-        // Check all ON players are on bench
-        for (const player of pendingOn) {
-            if (!this.players.bench.includes(player)) {
-                this.handleError(`Cannot sub on ${player} - not on bench`);
-                return false;
-            }
-        }
-
-        const plannedTime = this.rotations.pendingTime;
-        const rotationTime = this.state.currentTime;
-        const delay = rotationTime - plannedTime;
-
-        console.log(`✅ Rotation confirmed at ${this.formatTime(rotationTime)}`);
-
-        // Execute rotation - CAREFUL ORDER
-        // 1. Remove from court
-        this.players.court = this.players.court.filter(p => !pendingOff.includes(p));
-
-        // 2. Add to court
-        this.players.court.push(...pendingOn);
-
-        // 3. Remove from bench
-        this.players.bench = this.players.bench.filter(p => !pendingOn.includes(p));
-
-        // 4. Add to bench
-        this.players.bench.push(...pendingOff);
-
-        // Validate we still have exactly 5
-        this.validatePlayerState();
-
-        // Update positions for new court players
-        this.assignPositions(this.players.court);
-
-        // Update stints
-        pendingOff.forEach(player => {
-            this.players.currentStints[player].onCourt = false;
-            this.players.lastRotationTime[player] = rotationTime;
-        });
-
-        pendingOn.forEach(player => {
-            this.players.currentStints[player] = {
-                start: rotationTime,
-                onCourt: true
-            };
-            this.players.lastRotationTime[player] = rotationTime;
-        });
-
-        // Record rotation
-        this.rotations.history.push({
-            time: rotationTime,
-            off: pendingOff,
-            on: pendingOn
-        });
-
-        // Handle late rotation
-        const isLate = delay > 15;
-        if (isLate) {
-            console.log(`⚠️ Rotation was ${delay} seconds late - triggering recalculation`);
-            if (this.enforcer) {
-                const playTimesSnapshot = { ...this.players.minutes };
-
-                // Log the actual state BEFORE generating recovery plan
-                console.log(`Current court after rotation: ${this.players.court.join(', ')}`);
-                console.log(`Current bench after rotation: ${this.players.bench.join(', ')}`);
-
-                this.enforcer.syncWithActualState(
-                    this.state.currentTime,
-                    [...this.players.court],
-                    [...this.players.bench],
-                    playTimesSnapshot
-                );
-                const newPlan = this.enforcer.handleDeviation(
-                    'late_substitution',
-                    {
-                        actualCourt: [...this.players.court],
-                        actualBench: [...this.players.bench],
-                        playTimes: playTimesSnapshot
-                    },
-                    rotationTime
-                );
-                if (newPlan) {
-                    console.log('Recovery plan rotations:');
-                    if (newPlan.rotations) {
-                        newPlan.rotations.forEach(r => {
-                            console.log(`  At ${this.formatTime(r.time)}: OFF: [${r.off.join(', ')}], ON: [${r.on.join(', ')}]`);
-                        });
-                    }
-                    this.applyRecoveryPlan(newPlan);
-                }
-            }
-        }
-
-        // Clear pending
-        this.rotations.pending = false;
-        this.rotations.pendingOff = [];
-        this.rotations.pendingOn = [];
-        this.rotations.pendingTime = null;
-
-        // Update rotation index
-        this.rotations.lastConfirmedIndex = this.rotations.currentPlanIndex;
-        this.rotations.currentPlanIndex++;
-
-        // Update next rotation
-        this.updateNextRotation();
-
-        return true;
+    parseFoulTroubleRules(setupData) {
+        const policy = setupData.foulTroublePolicy;
+        if (!policy) return [];
+        return Array.isArray(policy) ? policy : [...FOUL_CONFIG.FOUL_TROUBLE_RULES];
     }
 
     /**
-     * Handle emergency substitution - FIXED with playTimes
+     * Timeouts per half from setup: one number for both halves or [first, second]
+     * @returns {number[]} [first half, second half]
      */
-    emergencySubstitution(playerOff, playerOn, removeFromGame = false) {
-        console.log(`🚨 Emergency substitution: ${playerOff} → ${playerOn}`);
-
-        // Validate
-        if (!this.players.court.includes(playerOff)) {
-            this.handleError(`${playerOff} is not on court`);
-            return false;
-        }
-
-        if (!this.players.bench.includes(playerOn)) {
-            this.handleError(`${playerOn} is not on bench`);
-            return false;
-        }
-
-        // Execute substitution - ATOMIC OPERATION
-        const courtIndex = this.players.court.indexOf(playerOff);
-        this.players.court[courtIndex] = playerOn;
-
-        const benchIndex = this.players.bench.indexOf(playerOn);
-        this.players.bench[benchIndex] = playerOff;
-
-        // Validate state
-        this.validatePlayerState();
-
-        // Update positions
-        this.players.positions[playerOn] = this.players.positions[playerOff];
-        delete this.players.positions[playerOff];
+    parseTimeoutsPerHalf(value) {
+        const halves = Array.isArray(value) ? value : (value !== undefined && value !== '' ? [value, value] : []);
+        const counts = halves.slice(0, 2).map(Number);
+        return counts.length === 2 && counts.every(count => Number.isInteger(count) && count >= 0)
+            ? counts
+            : [...TIMEOUT_CONFIG.PER_HALF];
+    }
 
-        // Update stints
-        this.players.currentStints[playerOff].onCourt = false;
-        this.players.currentStints[playerOn] = {
-            start: this.state.currentTime,
-            onCourt: true
-        };
+    /**
+     * Assign positions to players on court
+     * With eligible positions, picks the slot order that seats the most
+     * players in a position they can play; otherwise slots go in court order
+     */
+    assignPositions(courtPlayers) {
+        const positions = ['PG', 'SG', 'SF', 'PF', 'C'];
+        const eligible = this.enforcer ? this.enforcer.playerPositions : {};
+        let order = positions;
 
-        // Record
-        this.rotations.history.push({
-            time: this.state.currentTime,
-            off: [playerOff],
-            on: [playerOn],
-            reason: 'emergency'
-        });
+        if (Object.keys(eligible).length > 0) {
+            const fits = slots => courtPlayers.reduce((count, player, index) =>
+                count + ((eligible[player] || []).includes(slots[index]) ? 1 : 0), 0);
+            const permute = list => list.length <= 1
+                ? [list]
+                : list.flatMap((item, i) => permute([...list.slice(0, i), ...list.slice(i + 1)]).map(rest => [item, ...rest]));
 
-        // Handle removal if requested
-        if (removeFromGame) {
-            this.removePlayer(playerOff);
+            order = permute(positions).reduce((best, slots) => (fits(slots) > fits(best) ? slots : best), positions);
         }
 
-        // Notify optimizer and replan WITH PLAY TIMES
-        if (this.enforcer) {
-            const playTimesSnapshot = { ...this.players.minutes };
-            this.enforcer.syncWithActualState(
-                this.state.currentTime,
-                [...this.players.court],
-                [...this.players.bench],
-                playTimesSnapshot
-            );
-            const deviationType = removeFromGame ? 'injury' : 'late_substitution';
-            const newPlan = this.enforcer.handleDeviation(
-                deviationType,
-                {
-                    player: playerOff,
-                    actualCourt: [...this.players.court],
-                    actualBench: [...this.players.bench],
-                    playTimes: playTimesSnapshot
-                },
-                this.state.currentTime
-            );
-            if (newPlan) {
-                this.applyRecoveryPlan(newPlan);
+        courtPlayers.forEach((player, index) => {
+            if (index < 5) {
+                this.players.positions[player] = order[index];
             }
-        }
-
-        return true;
+        });
     }
 
     /**
-     * Handle player fouled out - FIXED with playTimes
+     * Handle player fouled out
      */
     playerFouledOut(player) {
-        console.log(`🚫 ${player} fouled out`);
-
-        if (!this.players.all.includes(player)) {
-            this.handleError(`${player} not in roster`);
-            return false;
-        }
-
-        // If on court, need immediate substitution
-        if (this.players.court.includes(player)) {
-            const availableBench = this.players.bench.filter(p => !this.players.removed.has(p));
-
-            if (availableBench.length === 0) {
-                this.handleError('No available players to substitute');
-                return false;
-            }
-
-            // Auto-select replacement (least minutes)
-            const replacement = availableBench.sort((a, b) =>
-                (this.players.minutes[a] || 0) - (this.players.minutes[b] || 0)
-            )[0];
+        return this.playerOutOfGame(player, 'fouled out');
+    }
 
-            // Execute substitution - ATOMIC
-            const courtIndex = this.players.court.indexOf(player);
-            this.players.court[courtIndex] = replacement;
+    // ========================================================================
+    // FOULS
+    // ========================================================================
 
-            const benchIndex = this.players.bench.indexOf(replacement);
-            this.players.bench.splice(benchIndex, 1);
+    /**
+     * Record a personal foul, which is also a team foul for this period.
+     * At the foul-out limit the player is out of the game; with a foul-trouble
+     * policy a player in foul trouble is rested (see getFoulTroubleRelease)
+     * @param {string} player - Player called for the foul
+     * @returns {number} The player's personal fouls
+     */
+    recordFoul(player) {
+        if (!this.players.all.includes(player) || this.players.removed.has(player)) {
+            this.handleError(`${player} is not in the game`);
+            return this.players.fouls[player] || 0;
+        }
 
-            // DON'T add fouled player to bench - they're removed
+        const fouls = (this.players.fouls[player] || 0) + 1;
+        this.players.fouls[player] = fouls;
+        const teamFouls = this.addTeamFoul('home');
 
-            // Update positions
-            this.players.positions[replacement] = this.players.positions[player];
-            delete this.players.positions[player];
+        this.logEvent('foul', { team: 'home', player, value: fouls, teamFouls });
+        console.log(`🟨 Foul on ${player} (${fouls}/${this.config.foulOutLimit}, team ${teamFouls})`);
 
-            console.log(`   Auto-subbed ${replacement} for ${player}`);
+        if (fouls >= this.config.foulOutLimit) {
+            this.playerFouledOut(player);
         } else {
-            // Remove from bench
-            this.players.bench = this.players.bench.filter(p => p !== player);
+            this.restIfInFoulTrouble(player);
         }
 
-        // Mark as removed
-        this.players.removed.add(player);
+        this.notifyFoulUpdate();
+        return fouls;
+    }
 
-        // Validate state
-        this.validatePlayerState();
+    /**
+     * Record a foul by the opposition (team fouls only)
+     * @returns {number} Opposition team fouls this period
+     */
+    recordOppositionFoul() {
+        const teamFouls = this.addTeamFoul('away');
+        this.logEvent('foul', { team: 'away', player: null, teamFouls });
 
-        // Notify optimizer WITH PLAY TIMES
-        if (this.enforcer) {
-            const playTimesSnapshot = { ...this.players.minutes };
-            this.enforcer.syncWithActualState(
-                this.state.currentTime,
-                [...this.players.court],
-                [...this.players.bench],
-                playTimesSnapshot
-            );
-            const newPlan = this.enforcer.handleDeviation(
-                'injury',
-                {
-                    player: player,
-                    actualCourt: [...this.players.court],
-                    actualBench: [...this.players.bench],
-                    playTimes: playTimesSnapshot
-                },
-                this.state.currentTime
-            );
-            if (newPlan) {
-                this.applyRecoveryPlan(newPlan);
-            }
-        }
+        this.notifyFoulUpdate();
+        return teamFouls;
+    }
 
-        return true;
+    addTeamFoul(team) {
+        const byPeriod = this.scoring.teamFouls[team];
+        const period = this.state.currentPeriod;
+        byPeriod[period] = (byPeriod[period] || 0) + 1;
+        return byPeriod[period];
     }
 
     /**
-     * Remove player from game
+     * A team's fouls this period and whether the other side is shooting
+     * free throws for them ('bonus', 'double bonus' or 'penalty')
+     * @param {'home'|'away'} team
+     * @returns {{fouls: number, status: string|null}}
      */
-    removePlayer(player) {
-        if (this.players.removed.has(player)) {
-            return true;
-        }
+    getTeamFouls(team, period = this.state.currentPeriod) {
+        const fouls = this.scoring.teamFouls[team]?.[period] || 0;
+        const limits = FOUL_CONFIG.TEAM_FOUL_LIMITS[this.config.format] || [];
+        const reached = limits.filter(limit => fouls >= limit.FOULS).pop();
+        return { fouls, status: reached ? reached.STATUS : null };
+    }
 
-        console.log(`🚫 Removing ${player} from game`);
+    /**
+     * Game time a player in foul trouble rests until: the latest UNTIL
+     * still ahead among the rules their fouls meet
+     * @returns {number|null} Null when not in foul trouble
+     */
+    getFoulTroubleRelease(player) {
+        const fouls = this.players.fouls[player] || 0;
+        const releases = this.config.foulTroubleRules
+            .filter(rule => fouls >= this.config.foulOutLimit - rule.FOULS_SHORT)
+            .map(rule => Math.round(rule.UNTIL * this.totalGameLength))
+            .filter(time => time > this.state.currentTime);
 
-        // Remove from bench (should NOT be on court)
-        if (this.players.court.includes(player)) {
-            this.handleError(`Cannot remove ${player} - still on court!`);
-            return false;
-        }
+        return releases.length > 0 ? Math.max(...releases) : null;
+    }
 
-        this.players.bench = this.players.bench.filter(p => p !== player);
-        this.players.removed.add(player);
+    /**
+     * Ask the optimizer to rest a player in foul trouble and replan the
+     * minutes around them
+     */
+    restIfInFoulTrouble(player) {
+        const release = this.getFoulTroubleRelease(player);
+        if (release === null || !this.enforcer) return;
 
-        // Validate
-        this.validatePlayerState();
+        this.enforcer.setFoulTrouble(player, release);
+        console.log(`   ${player} in foul trouble - resting until ${this.formatTime(release)}`);
 
-        return true;
+        this.replan('foul_trouble', { player });
     }
 
     /**
-     * Return removed player
+     * Personal fouls, team fouls this period and players resting in foul trouble
      */
-    returnPlayer(player) {
-        if (!this.players.removed.has(player)) {
-            this.handleError(`${player} was not removed`);
-            return false;
-        }
-
-        console.log(`✅ ${player} returned to game`);
-
-        this.players.removed.delete(player);
-        this.players.bench.push(player);
+    getFoulStats() {
+        const resting = {};
+        Object.entries(this.enforcer?.foulTrouble || {}).forEach(([player, until]) => {
+            if (until > this.state.currentTime && !this.players.removed.has(player)) {
+                resting[player] = until;
+            }
+        });
 
-        // Validate
-        this.validatePlayerState();
+        return {
+            limit: this.config.foulOutLimit,
+            personal: { ...this.players.fouls },
+            team: {
+                home: this.getTeamFouls('home'),
+                away: this.getTeamFouls('away')
+            },
+            resting
+        };
+    }
 
-        // Notify optimizer WITH PLAY TIMES
-        if (this.enforcer) {
-            const playTimesSnapshot = { ...this.players.minutes };
-            this.enforcer.syncWithActualState(
-                this.state.currentTime,
-                [...this.players.court],
-                [...this.players.bench],
-                playTimesSnapshot
-            );
-            const newPlan = this.enforcer.handleDeviation(
-                'player_returned',
-                {
-                    player: player,
-                    actualCourt: [...this.players.court],
-                    actualBench: [...this.players.bench],
-                    playTimes: playTimesSnapshot
-                },
-                this.state.currentTime
-            );
-            if (newPlan) {
-                this.applyRecoveryPlan(newPlan);
-            }
+    notifyFoulUpdate() {
+        if (this.callbacks.onFoulUpdate) {
+            this.callbacks.onFoulUpdate(this.getFoulStats());
         }
-
-        return true;
     }
 
-    // [Keep all other methods the same - start, stop, tick, etc.]
+    // ========================================================================
+    // TIMEOUTS
+    // ========================================================================
 
     /**
-     * Start or resume game timer
+     * Call a team timeout. The game clock stops, the timeout clock runs for
+     * config.timeoutLength and the optimizer is offered the stoppage as a
+     * bonus sub window (see BasketballIntervalOptimizer.offerSubWindow)
+     * @param {'home'|'away'} [team]
+     * @returns {boolean} True if the timeout was granted
      */
-    start() {
-        if (!this.state.initialized) {
-            this.handleError('Cannot start: game not initialized');
+    callTimeout(team = 'home') {
+        if (!this.state.initialized || this.state.gameOver) {
+            this.handleError('Cannot call a timeout: game not in progress');
             return false;
         }
 
-        if (this.state.gameOver) {
-            this.handleError('Cannot start: game is over');
+        if (this.state.timeout) {
+            this.handleError('A timeout is already running');
             return false;
         }
 
-        if (this.state.running) {
-            return true;
-        }
-
-        // Validate before starting
-        this.validatePlayerState();
-
-        console.log('▶️ Starting game timer');
-
-        if (this.state.currentTime === 0 && this.audio.enabled && this.audio.whistle) {
-            this.playSound('whistle');
-        }
-
-        this.state.running = true;
-        this.state.paused = false;
-        this.lastTickTime = Date.now();
-
-        this.timerInterval = setInterval(() => this.tick(), 1000);
-
-        if (this.callbacks.onUpdate) {
-            this.callbacks.onUpdate(this.getState());
-        }
-
-        return true;
-    }
-
-    /**
-     * Stop game timer
-     */
-    stop() {
-        if (!this.state.running) {
-            return true;
+        const half = this.getHalf();
+        const left = this.getTimeoutsLeft(team, half);
+        if (left <= 0) {
+            this.handleError(`No ${team === 'home' ? 'home' : 'opposition'} timeouts left this half`);
+            return false;
         }
 
-        console.log('⏸️ Stopping game timer');
+        const byHalf = this.scoring.timeouts[team];
+        byHalf[half] = (byHalf[half] || 0) + 1;
 
-        this.state.running = false;
-        this.state.paused = true;
-
-        // Clear visibility tracking flags when manually stopped
-        this.wasRunningWhenHidden = false;
-        this.lastVisibleTimestamp = null;
-
-        if (this.timerInterval) {
-            clearInterval(this.timerInterval);
-            this.timerInterval = null;
-        }
+        this.stop();
+        this.state.timeout = { team, remaining: this.config.timeoutLength };
+        this.timeoutInterval = setInterval(() => this.advanceTimeout(), 1000);
 
-        if (this.callbacks.onUpdate) {
-            this.callbacks.onUpdate(this.getState());
-        }
+        this.logEvent('timeout', { team, value: byHalf[half], remaining: left - 1 });
+        console.log(`⏱️ Timeout ${team} (${left - 1} left this half)`);
 
+        this.offerTimeoutSubWindow();
+        this.notifyTimeoutUpdate();
         return true;
     }
 
     /**
-     * Timer tick - called every second by interval
-     * Includes error handling to prevent timer death
+     * Make the next planned rotation during the timeout if the optimizer takes it
      */
-    tick() {
-        if (!this.state.running) return;
-
-        try {
-            const now = Date.now();
-            const elapsed = Math.round((now - this.lastTickTime) / 1000);
-            this.lastTickTime = now;
-
-            // Limit catch-up to prevent runaway updates
-            const maxCatchup = GAME_CONFIG.MAX_TICK_CATCHUP || 10;
-            for (let i = 0; i < Math.min(elapsed, maxCatchup); i++) {
-                this.advanceOneSecond();
-            }
+    offerTimeoutSubWindow() {
+        if (!this.enforcer || this.rotations.pending) return;
 
-            // Validate periodically (throttled)
-            const validationInterval = GAME_CONFIG.VALIDATION_INTERVAL || 30;
-            if (this.state.currentTime % validationInterval === 0) {
-                this.validatePlayerState();
-            }
-
-            if (this.callbacks.onUpdate) {
-                this.callbacks.onUpdate(this.getState());
-            }
-        } catch (error) {
-            console.error('❌ Tick error:', error);
-            // Don't stop the game for non-critical errors
-            if (this.callbacks.onError) {
-                this.callbacks.onError(`Tick error: ${error.message}`);
-            }
+        const rotation = this.enforcer.offerSubWindow(this.state.currentTime, this.getUpcomingRotations());
+        if (rotation) {
+            console.log(`   Pulling the ${this.formatTime(rotation.time)} rotation forward into the timeout`);
+            this.initiateRotation(rotation.off, rotation.on, null, { reason: 'timeout' });
         }
     }
 
     /**
-     * Advance game time by one second
+     * A rotation made early in a timeout moves everyone's minutes - replan the rest
      */
-    advanceOneSecond() {
-        // Update player times
-        this.players.court.forEach(player => {
-            this.players.minutes[player] = (this.players.minutes[player] || 0) + 1;
-        });
-
-        this.players.bench.forEach(player => {
-            this.players.benchMinutes[player] = (this.players.benchMinutes[player] || 0) + 1;
-        });
-
-        // Update game state
-        this.state.currentTime++;
-        this.state.periodElapsed++;
-
-        // Check for rotation warning (1 minute before)
-        if (!this.earlyWarningShown &&
-            this.rotations.nextScheduled &&
-            (this.rotations.nextScheduled.time - this.state.currentTime) === 60) {
-            this.earlyWarningShown = true;
-            if (this.callbacks.onEarlyWarning) {
-                this.callbacks.onEarlyWarning();
-            }
-        }
-
-        // Check for rotation warning (10 seconds before)
-        if (!this.warningPlayed &&
-            this.rotations.nextScheduled &&
-            (this.rotations.nextScheduled.time - this.state.currentTime) <= this.config.warningBeepTime &&
-            (this.rotations.nextScheduled.time - this.state.currentTime) > 0) {
-
-            this.warningPlayed = true;
-
-            // Play sound internally for robustness
-            if (this.audio.enabled) {
-                this.playSound('warningBeep');
-            }
-
-            if (this.callbacks.onWarning) {
-                const timeToRotation = this.rotations.nextScheduled.time - this.state.currentTime;
-                this.callbacks.onWarning(timeToRotation);
-            }
-        }
+    confirmRotation() {
+        const pulledForward = this.rotations.pendingReason === 'timeout';
+        const confirmed = super.confirmRotation();
 
-        // Check for scheduled rotation
-        if (!this.rotations.pending &&
-            this.rotations.nextScheduled &&
-            this.state.currentTime >= this.rotations.nextScheduled.time) {
-
-            // Validate the rotation before initiating
-            const scheduledOff = this.rotations.nextScheduled.off;
-            const scheduledOn = this.rotations.nextScheduled.on;
-
-            // Check if all players to sub off are actually on court
-            const invalidOff = scheduledOff.filter(p => !this.players.court.includes(p));
-
-            if (invalidOff.length > 0) {
-                console.warn(`⚠️ Skipping invalid rotation at ${this.formatTime(this.state.currentTime)}`);
-                console.warn(`   Players not on court: ${invalidOff.join(', ')}`);
-                console.warn(`   Current court: ${this.players.court.join(', ')}`);
-
-                // Skip this rotation and move to next
-                this.rotations.currentPlanIndex++;
-                this.updateNextRotation();
-
-                // Trigger a replan to fix the rotation schedule
-                if (this.enforcer) {
-                    console.log('🔄 Triggering replan due to invalid rotation');
-                    const playTimesSnapshot = { ...this.players.minutes };
-                    this.enforcer.syncWithActualState(
-                        this.state.currentTime,
-                        [...this.players.court],
-                        [...this.players.bench],
-                        playTimesSnapshot
-                    );
-                    const newPlan = this.enforcer.handleDeviation(
-                        'invalid_rotation',
-                        {
-                            actualCourt: [...this.players.court],
-                            actualBench: [...this.players.bench],
-                            playTimes: playTimesSnapshot
-                        },
-                        this.state.currentTime
-                    );
-                    if (newPlan) {
-                        this.applyRecoveryPlan(newPlan);
-                    }
-                }
-            } else {
-                // Rotation is valid, proceed
-                this.initiateRotation(scheduledOff, scheduledOn);
-            }
+        if (confirmed && pulledForward) {
+            this.replan('timeout');
         }
 
-        // Check for period end
-        if (this.config.periodLength > 0 &&
-            this.state.periodElapsed >= this.config.periodLength) {
-            this.handlePeriodEnd();
-        }
+        return confirmed;
     }
 
     /**
-     * Apply missed time when page was hidden
-     * @param {number} secondsMissed - Seconds elapsed while page was hidden
-     */
-    /**
-     * Apply missed time when page was hidden
-     * @param {number} secondsMissed - Seconds elapsed while page was hidden
+     * One second of the timeout clock (called by the timeout interval)
      */
-    applyMissedTime(secondsMissed) {
-        if (secondsMissed <= 0) return;
-
-        console.log(`⏱️ Applying ${secondsMissed} seconds of missed time`);
-
-        // Check if game was already over before applying
-        const totalGameDuration = this.config.periodLength * this.config.numPeriods;
-        const gameWasOver = totalGameDuration > 0 && this.state.currentTime >= totalGameDuration;
+    advanceTimeout() {
+        if (!this.state.timeout) return;
 
-        if (gameWasOver) {
-            console.log('Game was already over, not applying missed time');
+        this.state.timeout.remaining = Math.max(0, this.state.timeout.remaining - 1);
+        if (this.state.timeout.remaining === 0) {
+            this.endTimeout();
             return;
         }
 
-        // Apply missed time to ALL player times (on court and on bench)
-        this.players.court.forEach(playerName => {
-            this.players.minutes[playerName] = (this.players.minutes[playerName] || 0) + secondsMissed;
-        });
-
-        this.players.bench.forEach(playerName => {
-            this.players.benchMinutes[playerName] = (this.players.benchMinutes[playerName] || 0) + secondsMissed;
-        });
-
-        // Update game clock
-        this.state.currentTime += secondsMissed;
-        this.state.periodElapsed += secondsMissed;
-
-        console.log(`After missed time: currentTime=${this.state.currentTime}s, periodElapsed=${this.state.periodElapsed}s`);
-
-        // Check if missed time caused period to advance
-        while (this.config.periodLength > 0 &&
-            this.state.periodElapsed >= this.config.periodLength &&
-            this.state.currentPeriod <= this.config.numPeriods) {
-
-            const timeOverPeriod = this.state.periodElapsed - this.config.periodLength;
-
-            console.log(`Missed time caused period ${this.state.currentPeriod} to end. Overflow: ${timeOverPeriod}s`);
-
-            // Check if this was the final period
-            const isFinalPeriod = this.state.currentPeriod >= this.config.numPeriods;
-
-            if (isFinalPeriod) {
-                console.log('Missed time caused game to end');
-                this.state.currentTime = totalGameDuration;
-                this.state.periodElapsed = this.config.periodLength;
-                this.state.gameOver = true;
-                this.stop();
-
-                if (this.callbacks.onUpdate) {
-                    this.callbacks.onUpdate(this.getState());
-                }
-                return;
-            } else {
-                // Advance to next period
-                this.state.currentPeriod++;
-                this.state.periodElapsed = timeOverPeriod;
-                console.log(`Advanced to period ${this.state.currentPeriod} with ${timeOverPeriod}s elapsed`);
-            }
-        }
-
-        // Check if game is now over after applying missed time
-        const isGameOverNow = totalGameDuration > 0 && this.state.currentTime >= totalGameDuration;
-        if (isGameOverNow) {
-            console.log('Game ended after applying missed time');
-            this.state.gameOver = true;
-            this.stop();
-        }
-
-        // Trigger update callback
-        if (this.callbacks.onUpdate) {
-            this.callbacks.onUpdate(this.getState());
-        }
-    }
-
-    /**
-     * Handle page visibility changes for catch-up logic
-     */
-    handleVisibilityChange() {
-        const totalGameDuration = this.config.periodLength * this.config.numPeriods;
-        const isGameOver = totalGameDuration > 0 && this.state.currentTime >= totalGameDuration;
-
-        if (document.hidden) {
-            // Page became hidden
-            if (this.state.running) {
-                console.log('📴 Page hidden, timer was running. Storing timestamp and stopping interval.');
-                this.lastVisibleTimestamp = Date.now();
-                this.wasRunningWhenHidden = true;
-                // Just clear the interval, don't change running state
-                if (this.timerInterval) {
-                    clearInterval(this.timerInterval);
-                    this.timerInterval = null;
-                }
-                // Note: We keep this.state.running = true so we know to resume
-            } else {
-                console.log('📴 Page hidden, timer was not running.');
-                this.wasRunningWhenHidden = false;
-            }
-        } else {
-            // Page became visible
-            console.log('📱 Page became visible.');
-
-            if (this.wasRunningWhenHidden && this.lastVisibleTimestamp && !isGameOver) {
-                const elapsedWhileHidden = Math.round((Date.now() - this.lastVisibleTimestamp) / 1000);
-
-                // Defensive check: Prevent excessive catch-up from stale timestamps
-                if (elapsedWhileHidden > 3600) {
-                    console.warn(`⚠️ Elapsed time (${elapsedWhileHidden}s) seems excessive. Skipping catch-up.`);
-                    this.lastVisibleTimestamp = null;
-                    this.wasRunningWhenHidden = false;
-
-                    if (this.callbacks.onUpdate) {
-                        this.callbacks.onUpdate(this.getState());
-                    }
-                    return;
-                }
-
-                console.log(`⏱️ Was running. Elapsed while hidden: ${elapsedWhileHidden}s`);
-
-                if (elapsedWhileHidden > 0) {
-                    this.applyMissedTime(elapsedWhileHidden);
-                }
-
-                this.lastVisibleTimestamp = null;
-
-                // Check if game is over after applying missed time
-                const newIsGameOver = totalGameDuration > 0 && this.state.currentTime >= totalGameDuration;
-
-                if (!newIsGameOver) {
-                    // Resume the timer by restarting the interval
-                    console.log('▶️ Resuming timer after visibility restore');
-                    this.lastTickTime = Date.now();
-                    this.timerInterval = setInterval(() => this.tick(), 1000);
-
-                    if (this.callbacks.onUpdate) {
-                        this.callbacks.onUpdate(this.getState());
-                    }
-                } else {
-                    // Game ended while away, update state
-                    this.state.running = false;
-                    this.wasRunningWhenHidden = false;
-                    if (this.callbacks.onUpdate) {
-                        this.callbacks.onUpdate(this.getState());
-                    }
-                }
-            } else {
-                // Not eligible for catch-up
-                if (isGameOver) console.log('Page visible, but game is over.');
-                if (!this.wasRunningWhenHidden) console.log('Page visible, but timer was not running when hidden.');
-
-                this.lastVisibleTimestamp = null;
-                this.wasRunningWhenHidden = false;
-
-                if (this.callbacks.onUpdate) {
-                    this.callbacks.onUpdate(this.getState());
-                }
-            }
-        }
+        this.notifyTimeoutUpdate();
     }
 
     /**
-     * Initiate a rotation
+     * End the running timeout; the game clock restarts with start()
      */
-    initiateRotation(playersOff, playersOn) {
-        if (!playersOff || !playersOn || playersOff.length !== playersOn.length) {
-            console.warn('Invalid rotation parameters');
-            return false;
-        }
-
-        // Verify players are in correct locations with detailed error messages
-        const invalidOff = playersOff.filter(p => !this.players.court.includes(p));
-        const invalidOn = playersOn.filter(p => !this.players.bench.includes(p));
-
-        if (invalidOff.length > 0) {
-            console.error(`❌ Cannot initiate rotation - these players are NOT on court: ${invalidOff.join(', ')}`);
-            console.log(`Current court: ${this.players.court.join(', ')}`);
-            console.log(`Attempted to sub off: ${playersOff.join(', ')}`);
-            // Skip this rotation instead of erroring
-            this.rotations.currentPlanIndex++;
-            this.updateNextRotation();
-            return false;
-        }
-
-        if (invalidOn.length > 0) {
-            console.error(`❌ Cannot initiate rotation - these players are NOT on bench: ${invalidOn.join(', ')}`);
-            console.log(`Current bench: ${this.players.bench.join(', ')}`);
-            console.log(`Attempted to sub on: ${playersOn.join(', ')}`);
-            // Skip this rotation instead of erroring
-            this.rotations.currentPlanIndex++;
-            this.updateNextRotation();
-            return false;
+    endTimeout() {
+        if (this.timeoutInterval) {
+            clearInterval(this.timeoutInterval);
+            this.timeoutInterval = null;
         }
 
-        console.log(`🔄 Rotation initiated: OFF: ${playersOff.join(', ')}, ON: ${playersOn.join(', ')}`);
-
-        this.rotations.pending = true;
-        this.rotations.pendingOff = playersOff;
-        this.rotations.pendingOn = playersOn;
-        this.rotations.pendingTime = this.state.currentTime;
-
-        // Reset warning flags for next rotation
-        this.warningPlayed = false;
-        this.earlyWarningShown = false;
-
-        if (this.callbacks.onRotation) {
-            this.callbacks.onRotation({
-                off: playersOff,
-                on: playersOn,
-                time: this.state.currentTime
-            });
-        }
+        if (!this.state.timeout) return false;
 
-        // Auto-confirm if configured
-        if (this.config.autoConfirmRotations) {
-            this.confirmRotation();
-        }
+        console.log(`⏱️ Timeout over (${this.state.timeout.team})`);
+        this.state.timeout = null;
 
+        this.notifyTimeoutUpdate();
         return true;
     }
 
     /**
-     * Cancel pending rotation
+     * Half of the game a period falls in - timeout allowances run per half
      */
-    cancelRotation() {
-        if (!this.rotations.pending) {
-            return false;
-        }
-
-        console.log('❌ Rotation cancelled');
-
-        if (this.enforcer) {
-            const playTimesSnapshot = { ...this.players.minutes };
-            this.enforcer.syncWithActualState(
-                this.state.currentTime,
-                [...this.players.court],
-                [...this.players.bench],
-                playTimesSnapshot
-            );
-            const newPlan = this.enforcer.handleDeviation(
-                'late_substitution',
-                {
-                    actualCourt: [...this.players.court],
-                    actualBench: [...this.players.bench],
-                    playTimes: playTimesSnapshot
-                },
-                this.state.currentTime
-            );
-            if (newPlan) {
-                this.applyRecoveryPlan(newPlan);
-            }
-        }
-
-        this.rotations.pending = false;
-        this.rotations.pendingOff = [];
-        this.rotations.pendingOn = [];
-        this.rotations.pendingTime = null;
-
-        this.rotations.currentPlanIndex++;
-        this.updateNextRotation();
+    getHalf(period = this.state.currentPeriod) {
+        return this.config.numPeriods > 2 ? (period <= this.config.numPeriods / 2 ? 1 : 2) : Math.min(period, 2);
+    }
 
-        return true;
+    getTimeoutsLeft(team, half = this.getHalf()) {
+        const allowed = this.config.timeoutsPerHalf[half - 1] || 0;
+        return Math.max(0, allowed - (this.scoring.timeouts[team]?.[half] || 0));
     }
 
     /**
-     * Apply recovery plan
+     * Timeouts used and left this half, and the running timeout
      */
-    applyRecoveryPlan(recovery) {
-        let newPlanRotations = [];
-        let strategy = recovery.strategy || 'replan';
-        let projectedVariance = recovery.projectedFinalVariance || recovery.expectedVariance || 0;
-
-        if (Array.isArray(recovery.plan)) {
-            newPlanRotations = recovery.plan;
-        } else if (Array.isArray(recovery.rotations)) {
-            newPlanRotations = recovery.rotations.map(r => ({
-                time: r.time,
-                off: r.off,
-                on: r.on
-            }));
-        } else {
-            console.warn('Recovery plan format not recognized');
-            return;
-        }
-
-        // Validate the first rotation in the new plan
-        if (newPlanRotations.length > 0) {
-            const firstRotation = newPlanRotations[0];
-            const invalidOff = firstRotation.off.filter(p => !this.players.court.includes(p));
-            const invalidOn = firstRotation.on.filter(p => !this.players.bench.includes(p));
-
-            if (invalidOff.length > 0 || invalidOn.length > 0) {
-                console.error('⚠️ Recovery plan has invalid first rotation!');
-                if (invalidOff.length > 0) {
-                    console.error(`   Players not on court: ${invalidOff.join(', ')}`);
-                }
-                if (invalidOn.length > 0) {
-                    console.error(`   Players not on bench: ${invalidOn.join(', ')}`);
-                }
-                console.log(`   Current court: ${this.players.court.join(', ')}`);
-                console.log(`   Current bench: ${this.players.bench.join(', ')}`);
-                // Don't apply a plan with invalid rotations
-                return;
-            }
-        }
-
-        console.log(`🔄 Applying recovery plan (${strategy}) with ${newPlanRotations.length} rotations`);
-        this.rotations.plan = newPlanRotations;
-        this.rotations.currentPlanIndex = 0;
-        this.updateNextRotation();
+    getTimeoutStats() {
+        const half = this.getHalf();
+        return {
+            half,
+            perHalf: [...this.config.timeoutsPerHalf],
+            used: {
+                home: this.scoring.timeouts.home[half] || 0,
+                away: this.scoring.timeouts.away[half] || 0
+            },
+            left: {
+                home: this.getTimeoutsLeft('home', half),
+                away: this.getTimeoutsLeft('away', half)
+            },
+            active: this.state.timeout ? { ...this.state.timeout } : null
+        };
+    }
 
-        if (this.callbacks.onRecovery) {
-            this.callbacks.onRecovery({
-                strategy,
-                rotations: newPlanRotations.length,
-                projectedVariance
-            });
+    notifyTimeoutUpdate() {
+        if (this.callbacks.onTimeoutUpdate) {
+            this.callbacks.onTimeoutUpdate(this.getTimeoutStats());
         }
     }
 
     /**
-     * Update next scheduled rotation
+     * Restarting the game clock ends a running timeout
      */
-    updateNextRotation() {
-        if (!this.rotations.plan || this.rotations.currentPlanIndex >= this.rotations.plan.length) {
-            this.rotations.nextScheduled = null;
-            return;
+    start() {
+        if (this.state.timeout) {
+            this.endTimeout();
         }
+        return super.start();
+    }
 
-        this.rotations.nextScheduled = this.rotations.plan[this.rotations.currentPlanIndex];
+    reset() {
+        this.endTimeout();
+        super.reset();
     }
 
+    // ========================================================================
+    // BOX SCORE
+    // ========================================================================
+
     /**
-     * Handle period end
+     * Record a stat pad entry for a player in the current period. A made
+     * shot also scores its points (see updatePlayerScore)
+     * @param {string} player - Player credited
+     * @param {string} stat - A shot ('fg2', 'fg3', 'ft') or a count ('reb', 'ast', 'stl', 'blk', 'tov')
+     * @param {Object} [options]
+     * @param {boolean} [options.made=true] - Shots only: made or missed
+     * @param {number} [options.value=1] - -1 takes a mistaken entry back off
+     * @returns {BoxScoreLine|null} The player's game box score, or null if the entry was refused
      */
-    handlePeriodEnd() {
-        console.log(`Period ${this.state.currentPeriod} ended`);
+    recordStat(player, stat, { made = true, value = 1 } = {}) {
+        if (!this.players.all.includes(player)) {
+            this.handleError(`${player} is not in the game`);
+            return null;
+        }
 
-        this.stop();
+        const shot = BOX_SCORE_CONFIG.SHOTS[stat];
+        if (!shot && !BOX_SCORE_CONFIG.COUNTS[stat]) {
+            console.warn(`Invalid stat type: ${stat}`);
+            return null;
+        }
+
+        const periods = this.scoring.boxScore[player] || (this.scoring.boxScore[player] = {});
+        const period = this.state.currentPeriod;
+        const line = periods[period] || (periods[period] = createBoxScoreLine());
+        const keys = !shot ? [stat] : made ? [`${stat}m`, `${stat}a`] : [`${stat}a`];
 
-        if (this.state.currentPeriod >= this.config.numPeriods) {
-            this.handleGameEnd();
+        // A correction never takes a count below zero
+        if (keys.some(key => line[key] + value < 0)) {
+            return this.getBoxScore(player);
         }
-        else {
-            this.state.currentPeriod++;
-            this.state.periodElapsed = 0;
+        keys.forEach(key => {
+            line[key] += value;
+        });
 
-            if (this.state.currentPeriod === 2 && this.config.numPeriods === 2) {
-                this.state.isHalftime = true;
-            }
+        this.logEvent('stat', shot ? { player, stat, made: !!made, value } : { player, stat, value });
 
-            if (this.callbacks.onPeriodEnd) {
-                this.callbacks.onPeriodEnd({
-                    period: this.state.currentPeriod - 1,
-                    isHalftime: this.state.isHalftime
-                });
-            }
+        if (shot && made) {
+            this.updatePlayerScore(player, shot.POINTS * value);
         }
+
+        return this.getBoxScore(player);
     }
 
     /**
-     * Handle game end
+     * A player's box score for the game with per-period splits
+     * @returns {(BoxScoreLine & {periods: Object<number, BoxScoreLine>})|null} Null before any stat is recorded
      */
-    handleGameEnd() {
-        console.log('🏁 Game ended');
-
-        this.state.gameOver = true;
-        this.state.running = false;
-
-        const stats = this.calculateFinalStats();
+    getBoxScore(player) {
+        const periods = this.scoring.boxScore[player];
+        if (!periods) return null;
 
-        console.log('📊 Final Statistics:');
-        console.log(`   Variance: ${stats.variance}s`);
-        console.log(`   Rotations: ${stats.rotations}`);
-        console.log(`   Average minutes: ${Math.floor(stats.averageMinutes / 60)}`);
+        const total = createBoxScoreLine();
+        const splits = {};
+        Object.entries(periods).forEach(([period, line]) => {
+            Object.keys(total).forEach(key => {
+                total[key] += line[key] || 0;
+            });
+            splits[period] = deriveBoxScoreLine(line);
+        });
 
-        if (this.callbacks.onGameEnd) {
-            this.callbacks.onGameEnd(stats);
-        }
+        return { ...deriveBoxScoreLine(total), periods: splits };
     }
 
     /**
-     * Calculate final statistics
+     * Box scores of every player with a recorded stat
+     * @returns {Object<string, BoxScoreLine>}
      */
-    calculateFinalStats() {
-        const stats = {
-            players: {},
-            variance: 0,
-            rotations: this.rotations.history.length,
-            averageMinutes: 0,
-            maxMinutes: 0,
-            minMinutes: 0
-        };
-
-        const activePlayers = this.players.all.filter(p => !this.players.removed.has(p));
-        let totalMinutes = 0;
-        const playTimes = [];
-
-        activePlayers.forEach(player => {
-            const minutes = this.players.minutes[player] || 0;
-            const benchMinutes = this.players.benchMinutes[player] || 0;
-
-            stats.players[player] = {
-                minutes: minutes,
-                benchMinutes: benchMinutes,
-                percentage: ((minutes / this.state.currentTime) * 100).toFixed(1)
-            };
-
-            totalMinutes += minutes;
-            playTimes.push(minutes);
-
-            if (minutes > stats.maxMinutes) stats.maxMinutes = minutes;
-            if (stats.minMinutes === 0 || minutes < stats.minMinutes) stats.minMinutes = minutes;
+    getBoxScores() {
+        const boxScores = {};
+        Object.keys(this.scoring.boxScore).forEach(player => {
+            boxScores[player] = this.getBoxScore(player);
         });
-
-        // BUGFIX: Calculate variance using standard deviation instead of max-min range
-        if (playTimes.length > 0) {
-            const mean = totalMinutes / playTimes.length;
-            const squaredDiffs = playTimes.map(time => Math.pow(time - mean, 2));
-            const varianceValue = squaredDiffs.reduce((sum, diff) => sum + diff, 0) / playTimes.length;
-            stats.variance = Math.round(Math.sqrt(varianceValue)); // Standard deviation
-        } else {
-            stats.variance = 0;
-        }
-
-        stats.averageMinutes = activePlayers.length > 0 ? totalMinutes / activePlayers.length : 0;
-
-        if (this.enforcer) {
-            stats.enforcerAnalytics = this.enforcer.getAnalytics(this.state.currentTime);
-        }
-
-        return stats;
+        return boxScores;
     }
 
+    // ========================================================================
+    // SCORING & STATE
+    // ========================================================================
+
     /**
      * Update player score
      */
@@ -1404,6 +761,7 @@ class BasketballGameEngine {
             this.scoring.playerPoints[player] = 0;
         }
 
+        const homeBefore = this.scoring.home;
         this.scoring.playerPoints[player] += points;
         this.scoring.home += points;
 
@@ -1417,6 +775,8 @@ class BasketballGameEngine {
             this.scoring.home = 0;
         }
 
+        this.logEvent('score', { team: 'home', player, points: this.scoring.home - homeBefore });
+
         console.log(`${player} scored ${points > 0 ? '+' : ''}${points} (Total: ${this.scoring.playerPoints[player]})`);
 
         const scoringStats = this.getScoringStats();
@@ -1431,11 +791,14 @@ class BasketballGameEngine {
      * Update opposition score
      */
     updateOppositionScore(points) {
+        const awayBefore = this.scoring.away;
         this.scoring.away += points;
         if (this.scoring.away < 0) {
             this.scoring.away = 0;
         }
 
+        this.logEvent('score', { team: 'away', player: null, points: this.scoring.away - awayBefore });
+
         console.log(`Opposition scored ${points > 0 ? '+' : ''}${points} (Total: ${this.scoring.away})`);
 
         const scoringStats = this.getScoringStats();
@@ -1461,6 +824,37 @@ class BasketballGameEngine {
         }
     }
 
+    /**
+     * Get complete game stats for database persistence
+     */
+    getStats() {
+        const baseStats = this.calculateFinalStats();
+        const scoringStats = this.getScoringStats();
+
+        Object.keys(baseStats.players).forEach(player => {
+            baseStats.players[player].points = this.scoring.playerPoints[player] || 0;
+            baseStats.players[player].fouls = this.players.fouls[player] || 0;
+
+            const boxScore = this.getBoxScore(player);
+            if (boxScore) {
+                baseStats.players[player].boxScore = boxScore;
+            }
+        });
+
+        return {
+            ...baseStats,
+            homeScore: scoringStats.homeScore,
+            awayScore: scoringStats.awayScore,
+            teamName: scoringStats.homeTeamName,
+            opponentName: scoringStats.awayTeamName,
+            timeouts: {
+                home: { ...this.scoring.timeouts.home },
+                away: { ...this.scoring.timeouts.away }
+            },
+            totalGameTime: this.state.currentTime
+        };
+    }
+
     /**
      * Get scoring stats snapshot
      */
@@ -1501,144 +895,35 @@ class BasketballGameEngine {
                 court: [...this.players.court],
                 bench: [...this.players.bench],
                 removed: Array.from(this.players.removed),
+                ...this.getAbsentPlayers(),
                 minutes: { ...this.players.minutes },
                 benchMinutes: { ...this.players.benchMinutes },
-                positions: { ...this.players.positions }
+                positions: { ...this.players.positions },
+                eligiblePositions: { ...this.enforcer?.playerPositions }
             },
             rotations: {
                 pending: this.rotations.pending,
                 pendingOff: [...this.rotations.pendingOff],
                 pendingOn: [...this.rotations.pendingOn],
                 next: this.rotations.nextScheduled,
+                upcoming: this.getUpcomingRotations(),
                 history: this.rotations.history.length,
-                remaining: this.rotations.plan.length - this.rotations.currentPlanIndex
+                remaining: this.rotations.plan.length - this.rotations.currentPlanIndex,
+                queued: this.isRotationQueued()
             },
             tempo: 'balanced',
             tempoLocked: false,
             variance: analytics ? analytics.currentVariance : 0,
+            lineupTradeoffs: analytics ? analytics.lineupTradeoffs : [],
             targetMinutes: this.planTargetMinutes,
             recoveryActive: false,
-            scoring: this.getScoringStats()
+            scoring: this.getScoringStats(),
+            boxScores: this.getBoxScores(),
+            fouls: this.getFoulStats(),
+            timeouts: this.getTimeoutStats()
         };
     }
 
-    /**
-     * Format time for display
-     */
-    formatTime(seconds) {
-        const mins = Math.floor(seconds / 60);
-        const secs = seconds % 60;
-        return `${mins}:${secs.toString().padStart(2, '0')}`;
-    }
-
-    /**
-     * Preload audio files
-     */
-    preloadAudio() {
-        try {
-            // BUGFIX: Load warning sound from actual file (coughing sound)
-            this.audio.warningBeep = new Audio('beep-warning.wav');
-            this.audio.whistle = new Audio('startingwhistle.wav');
-
-            this.audio.warningBeep.load();
-            this.audio.whistle.load();
-
-            console.log('🔊 Audio files preloaded');
-        } catch (e) {
-            console.warn('Audio preload failed:', e);
-        }
-    }
-
-    /**
-     * Play sound effect
-     */
-    playSound(soundType) {
-        if (!this.audio.enabled || !this.audio[soundType]) return;
-
-        try {
-            const sound = this.audio[soundType].cloneNode();
-            sound.volume = 0.5;
-            sound.play().catch(e => console.warn(`Failed to play ${soundType}:`, e));
-        } catch (e) {
-            console.warn(`Error playing ${soundType}:`, e);
-        }
-    }
-
-    /**
-     * Handle errors
-     */
-    handleError(message) {
-        console.error(`❌ [GameEngine] ${message}`);
-
-        if (this.callbacks.onError) {
-            this.callbacks.onError(message);
-        }
-    }
-
-    /**
-     * Reset game
-     */
-    reset() {
-        console.log('🔄 Resetting game');
-
-        this.stop();
-
-        if (this.timerInterval) {
-            clearInterval(this.timerInterval);
-            this.timerInterval = null;
-        }
-
-        // Reset visibility tracking variables
-        this.lastVisibleTimestamp = null;
-        this.wasRunningWhenHidden = false;
-
-        this.state = {
-            initialized: false,
-            running: false,
-            paused: false,
-            currentTime: 0,
-            currentPeriod: 1,
-            periodElapsed: 0,
-            isHalftime: false,
-            gameOver: false
-        };
-
-        this.players = {
-            all: [],
-            court: [],
-            bench: [],
-            removed: new Set(),
-            minutes: {},
-            benchMinutes: {},
-            currentStints: {},
-            positions: {},
-            lastRotationTime: {}
-        };
-
-        this.rotations = {
-            pending: false,
-            pendingOff: [],
-            pendingOn: [],
-            pendingTime: null,
-            history: [],
-            nextScheduled: null,
-            plan: [],
-            currentPlanIndex: 0,
-            lastConfirmedIndex: -1
-        };
-
-        this.scoring = {
-            home: 0,
-            away: 0,
-            homeTeamName: 'Home',
-            awayTeamName: 'Opposition',
-            playerPoints: {}
-        };
-
-        this.enforcer = null;
-
-        console.log('Reset complete');
-    }
 }
 
 // Export
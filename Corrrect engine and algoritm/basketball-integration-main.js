@@ -5,9 +5,18 @@
  * Version 2.0 - Production Ready
  */
 
+import './config/game-defaults.js';
+import './base-interval-optimizer.js';
+import './base-game-engine.js';
 import { BasketballGameEngine } from './basketball-game-engine.js';
 import { BasketballUI } from './basketball-ui-manager.js';
 import { BasketballSetup } from './basketball-setup-manager.js';
+import './utils/game-outbox.js';
+import './config/stats-tracker.js';
+import './utils/season-ledger.js';
+import './utils/stand-down-register.js';
+import './utils/live-view.js';
+import './utils/match-log.js';
 import { benchBalancerSupabase, initAuth } from './config/simple-supabase.js';
 import { SubscriptionLimits } from './js/subscription-limits.js';
 
@@ -15,6 +24,7 @@ import { SubscriptionLimits } from './js/subscription-limits.js';
 let gameEngine = null;
 let gameUI = null;
 let setupManager = null;
+let livePublisher = null;
 
 // Auth will be initialized after DOM is ready
 
@@ -126,6 +136,9 @@ function startBasketballGame(setupData) {
             window.basketballUI = gameUI;
         }
 
+        // New game, new live-view link
+        window.LiveView?.clearLiveMatchId();
+
         // Set up callbacks
         setupGameCallbacks();
 
@@ -167,7 +180,7 @@ function setupGameCallbacks() {
     // Update display on every tick
     gameEngine.callbacks.onUpdate = (state) => {
         gameUI.updateDisplay(state);
-        // Note: State persistence removed - getSnapshot method not implemented
+        livePublisher?.update(state);
     };
 
     // Handle score updates
@@ -180,6 +193,11 @@ function setupGameCallbacks() {
         }
     };
 
+    // Timeout clock runs while the game clock is stopped
+    gameEngine.callbacks.onTimeoutUpdate = (timeouts) => {
+        gameUI.updateTimeouts(timeouts);
+    };
+
     // Handle rotation notifications
     gameEngine.callbacks.onRotation = (rotation) => {
         gameUI.showRotationPending(rotation);
@@ -200,6 +218,18 @@ function setupGameCallbacks() {
         handleGameEnd(stats);
         // Clear saved state when game finishes naturally
         localStorage.removeItem('basketballGameState');
+        // Parents see the final score; the next game gets a new link
+        livePublisher?.update(gameEngine.getState(), true);
+        window.LiveView?.clearLiveMatchId();
+    };
+
+    // Concussion removals stand the player down as they happen, so a reset or
+    // abandoned game still books them
+    gameEngine.callbacks.onEvent = (event) => {
+        const standDown = window.standDownRegister?.recordEvent('basketball', event, { team: gameEngine.config.seasonTeam });
+        if (standDown) {
+            window.standDownRegister.pushToStatsTracker([standDown]).catch(() => false);
+        }
     };
 
     // Handle errors
@@ -225,6 +255,18 @@ function setupGameCallbacks() {
         gameUI.showRecovery(recovery);
     };
 
+    // Parent live view (utils/live-view.js)
+    livePublisher?.stop();
+    livePublisher = null;
+    window.LiveView?.startLiveView({
+        engine: gameEngine,
+        sport: 'basketball',
+        client: window.benchBalancerSupabase,
+        shareButton: document.getElementById('shareLiveButton')
+    }).then(publisher => {
+        livePublisher = publisher;
+    });
+
     // =========================================================================
     // NEW: Robust State Persistence (Auto-save & Save-on-Exit)
     // =========================================================================
@@ -271,6 +313,17 @@ function handlePeriodEnd(periodInfo) {
 async function handleGameEnd(stats) {
     console.log('Game ended with stats:', stats);
 
+    // Book the minutes to the season ledger (signed-in saves also reach player_stats)
+    if (window.seasonLedger && stats.seasonTeam) {
+        window.seasonLedger.recordGame('basketball', stats.seasonTeam, stats);
+    }
+
+    // Concussion removals stand the player down for later matches
+    if (window.standDownRegister) {
+        const standDowns = window.standDownRegister.recordGame('basketball', stats);
+        window.standDownRegister.pushToStatsTracker(standDowns).catch(() => false);
+    }
+
     // Show final statistics
     let message = '🏁 GAME OVER! ';
 
@@ -285,8 +338,8 @@ async function handleGameEnd(stats) {
         gameUI.showStatusMessage(message, 0, 'warning');
     }
 
-    // Display detailed stats
-    displayFinalStats(stats);
+    // Display detailed stats (with points and box scores)
+    displayFinalStats(gameEngine.getStats());
 
     // Check if this was a competitive match
     const isCompetitive = window.competitiveMatchData !== undefined;
@@ -311,9 +364,10 @@ async function handleGameEnd(stats) {
     if (window.benchBalancerSupabase) {
         try {
             const { data: { user } } = await window.benchBalancerSupabase.auth.getUser();
-            isAuthenticated = !!user;
+            // Offline getUser() cannot reach Supabase - fall back to the cached session
+            isAuthenticated = !!user || !!window.statsTracker?.currentUser;
         } catch (e) {
-            isAuthenticated = false;
+            isAuthenticated = !!window.statsTracker?.currentUser;
         }
     }
 
@@ -335,6 +389,7 @@ async function handleGameEnd(stats) {
             saveBtn.style.opacity = '0.7';
             saveBtn.style.cursor = 'not-allowed';
 
+            let savedOffline = false;
             try {
                 // Get FRESH stats from game engine (includes any post-game score adjustments)
                 const finalStats = gameEngine.getStats();
@@ -351,11 +406,18 @@ async function handleGameEnd(stats) {
                             isPro = await SubscriptionLimits.isProUser(user.id);
                         }
                     }
+                    if (!isPro && navigator.onLine === false) {
+                        // The tier cannot be checked offline - keep the game in the outbox
+                        isPro = !!window.statsTracker.currentUser;
+                    }
 
                     if (isPro) {
                         const result = await window.statsTracker.saveGame(finalStats);
                         if (result.success) {
                             gameUI.showStatusMessage('✅ Stats saved successfully!', 5000, 'success');
+                        } else if (result.queued) {
+                            savedOffline = true;
+                            gameUI.showStatusMessage(window.describeSyncStatus(window.statsTracker.getSyncStatus()), 8000, 'info');
                         } else {
                             gameUI.showStatusMessage('⚠️ Stats save failed', 5000, 'warning');
                         }
@@ -364,7 +426,7 @@ async function handleGameEnd(stats) {
                     }
                 }
 
-                saveBtn.innerHTML = '<span>✅</span> SAVED!';
+                saveBtn.innerHTML = savedOffline ? '<span>📥</span> SAVED ON DEVICE' : '<span>✅</span> SAVED!';
                 saveBtn.style.background = 'linear-gradient(135deg, #4be9a6, #3dd192)';
 
             } catch (error) {
@@ -398,6 +460,21 @@ async function handleGameEnd(stats) {
 
         actionWrapper.appendChild(downloadBtn);
     }
+
+    // ===========================================
+    // PLAY-BY-PLAY EXPORT (everyone)
+    // ===========================================
+    const logBtn = document.createElement('button');
+    logBtn.className = 'btn-secondary';
+    logBtn.style.cssText = 'background: transparent; color: var(--accent-cyan); font-weight:bold; display:flex; align-items:center; justify-content:center; gap:8px; padding: 12px 20px; border-radius: 12px; border: 1px solid var(--accent-cyan); cursor: pointer; font-size: 13px; letter-spacing: 0.1em;';
+    logBtn.innerHTML = '<span>📜</span> EXPORT PLAY-BY-PLAY';
+    logBtn.onclick = () => {
+        const { teamName, events } = gameEngine.getStats();
+        window.MatchLog.downloadMatchLog(events, {
+            name: `PlayByPlay_${(teamName || 'Basketball').replace(/\s/g, '')}_${new Date().toISOString().split('T')[0]}`
+        });
+    };
+    actionWrapper.appendChild(logBtn);
 }
 
 /**
@@ -680,6 +757,46 @@ function generateMatchReportPDF(stats) {
         alternateRowStyles: { fillColor: [245, 245, 245] }
     });
 
+    // Box score from the stat pad, when one was kept
+    const boxScores = Object.entries(stats.players)
+        .filter(([, data]) => data.boxScore)
+        .sort((a, b) => b[1].boxScore.pts - a[1].boxScore.pts);
+
+    if (boxScores.length > 0) {
+        const shooting = (made, attempted, pct) => `${made}/${attempted}${pct !== null ? ` ${pct}%` : ''}`;
+        const periods = Array.from({ length: gameEngine.config.numPeriods }, (_, i) => i + 1);
+
+        doc.autoTable({
+            startY: doc.lastAutoTable.finalY + 12,
+            head: [['Player', 'PTS', 'FG', '3PT', 'FT', 'REB', 'AST', 'STL', 'BLK', 'TO']],
+            body: boxScores.map(([name, { boxScore: box }]) => [
+                name,
+                box.pts,
+                shooting(box.fgm, box.fga, box.fgPct),
+                shooting(box.fg3m, box.fg3a, box.fg3Pct),
+                shooting(box.ftm, box.fta, box.ftPct),
+                box.reb, box.ast, box.stl, box.blk, box.tov
+            ]),
+            theme: 'grid',
+            headStyles: { fillColor: primaryColor, textColor: 255, fontStyle: 'bold' },
+            styles: { fontSize: 9, cellPadding: 3 },
+            alternateRowStyles: { fillColor: [245, 245, 245] }
+        });
+
+        doc.autoTable({
+            startY: doc.lastAutoTable.finalY + 8,
+            head: [['Points by period', ...periods.map(period => `P${period}`)]],
+            body: boxScores.map(([name, { boxScore: box }]) => [
+                name,
+                ...periods.map(period => box.periods[period]?.pts ?? 0)
+            ]),
+            theme: 'grid',
+            headStyles: { fillColor: primaryColor, textColor: 255, fontStyle: 'bold' },
+            styles: { fontSize: 9, cellPadding: 3 },
+            alternateRowStyles: { fillColor: [245, 245, 245] }
+        });
+    }
+
     // Footer
     const finalY = doc.lastAutoTable.finalY + 20;
     doc.setFontSize(10);
@@ -713,6 +830,9 @@ function displayFinalStats(stats) {
         const mins = Math.floor(data.minutes / 60);
         const secs = data.minutes % 60;
         console.log(`${player}: ${mins}:${secs.toString().padStart(2, '0')} (${data.percentage}%)`);
+        if (data.boxScore) {
+            console.log(`   ${data.boxScore.pts} pts · ${gameUI.formatBoxScoreLine(data.boxScore)}`);
+        }
     });
 
     // Enforcer analytics
@@ -41,6 +41,13 @@ class BasketballSetup {
         this.elements.numReserves = document.getElementById('numReserves');
         this.elements.subsPerChange = document.getElementById('subsPerChange'); // LEGACY compatibility
         this.elements.warningSoundToggle = document.getElementById('warningSoundToggle');
+        this.elements.foulOutLimit = document.getElementById('foulOutLimit');
+        this.elements.foulTroubleToggle = document.getElementById('foulTroubleToggle');
+        this.elements.timeoutsPerHalf = document.getElementById('timeoutsPerHalf');
+        this.elements.stopClockToggle = document.getElementById('stopClockToggle');
+        this.elements.balanceMode = document.getElementById('balanceMode');
+        this.elements.seasonTeam = document.getElementById('seasonTeam');
+        this.elements.seasonReport = document.getElementById('seasonReport');
         
         // Player name containers
         this.elements.starterNamesContainer = document.getElementById('starterNamesContainer');
@@ -112,6 +119,14 @@ class BasketballSetup {
             this.config.enableWarningSound = e.target.checked;
         });
         
+        // Season ledger: balance this game only or season to date
+        this.elements.balanceMode?.addEventListener('change', () => {
+            this.updateSeasonReport();
+        });
+        this.elements.seasonTeam?.addEventListener('change', () => {
+            this.updateSeasonReport();
+        });
+
         // Get plan button
         this.elements.getPlanButton?.addEventListener('click', () => {
             this.showPreliminaryPlan();
@@ -210,6 +225,86 @@ class BasketballSetup {
         }
     }
     
+    /**
+     * Eligible-position picker for a player row (optional - blank means no rules)
+     */
+    createPositionSelect(id) {
+        const options = [
+            ['', 'Pos'],
+            ['G', 'G'],
+            ['F', 'F'],
+            ['C', 'C'],
+            ['G/F', 'G/F'],
+            ['F/C', 'F/C'],
+            ['PG', 'PG'],
+            ['SG', 'SG'],
+            ['SF', 'SF'],
+            ['PF', 'PF']
+        ];
+        return `
+                    <select class="position-select" id="${id}" title="Eligible positions (ball-handler: G, big: F/C)">
+                        ${options.map(([value, label]) => `<option value="${value}">${label}</option>`).join('')}
+                    </select>`;
+    }
+
+    /**
+     * Show the team field and season equity report when balancing season to date
+     */
+    async updateSeasonReport() {
+        const seasonMode = this.elements.balanceMode?.value === 'season';
+        this.elements.seasonTeam?.classList.toggle('hidden', !seasonMode);
+        this.elements.seasonReport?.classList.toggle('hidden', !seasonMode);
+        if (!seasonMode || !window.seasonLedger) {
+            return;
+        }
+
+        if (this.elements.seasonTeam && !this.elements.seasonTeam.value) {
+            this.elements.seasonTeam.value = window.seasonLedger.getLastTeam('basketball');
+        }
+        const team = this.elements.seasonTeam?.value?.trim();
+        if (!team) {
+            this.elements.seasonReport.innerHTML = '<p class="small-note">Enter a team name to load its season ledger.</p>';
+            return;
+        }
+
+        await window.seasonLedger.syncFromStatsTracker('basketball', team).catch(() => false);
+        this.elements.seasonReport.innerHTML = window.renderEquityReport(window.seasonLedger.getReport('basketball', team));
+    }
+
+    /**
+     * Season carry-over for the current roster ({} when balancing this game only)
+     */
+    getCarryOver(players) {
+        const team = this.elements.seasonTeam?.value?.trim();
+        if (this.elements.balanceMode?.value !== 'season' || !team || !window.seasonLedger) {
+            return {};
+        }
+        return window.seasonLedger.getCarryOver('basketball', team, players);
+    }
+
+    /**
+     * Playing-time target picker for a player row (blank means an equal share)
+     */
+    createTargetSelect(id) {
+        const presets = window.GameConfig?.PLAYER_TARGET_PRESETS || [];
+        return `
+                    <select class="target-select" id="${id}" title="Playing-time target (e.g. cap a returning player, guarantee a development player)">
+                        ${presets.map(preset => `<option value="${preset.VALUE}">${preset.LABEL}</option>`).join('')}
+                    </select>`;
+    }
+
+    /**
+     * Line picker for a player row (blank means the player rotates on their own).
+     * Players given a line change with it as a unit
+     */
+    createLineSelect(id) {
+        const options = [['', 'Line'], ['1', 'L1'], ['2', 'L2'], ['3', 'L3'], ['4', 'L4']];
+        return `
+                    <select class="line-select" id="${id}" title="Line - players in a line go on and off together">
+                        ${options.map(([value, label]) => `<option value="${value}">${label}</option>`).join('')}
+                    </select>`;
+    }
+
     /**
      * Generate player input fields WITH JERSEY NUMBERS (Fixed UI)
      */
@@ -243,6 +338,9 @@ class BasketballSetup {
                            placeholder="#"
                            maxlength="2"
                            value="">
+                    ${this.createPositionSelect(`starterPos${i}`)}
+                    ${this.createTargetSelect(`starterTarget${i}`)}
+                    ${this.createLineSelect(`starterLine${i}`)}
                 `;
                 this.elements.starterNamesContainer.appendChild(row);
             }
@@ -267,6 +365,9 @@ class BasketballSetup {
                            placeholder="#"
                            maxlength="2"
                            value="">
+                    ${this.createPositionSelect(`reservePos${i}`)}
+                    ${this.createTargetSelect(`reserveTarget${i}`)}
+                    ${this.createLineSelect(`reserveLine${i}`)}
                 `;
                 this.elements.reserveNamesContainer.appendChild(row);
             }
@@ -306,6 +407,9 @@ class BasketballSetup {
                 name: name,
                 jerseyNumber: number,
                 position: ['PG', 'SG', 'SF', 'PF', 'C'][i],
+                positions: document.getElementById(`starterPos${i}`)?.value || '',
+                target: document.getElementById(`starterTarget${i}`)?.value || '',
+                line: document.getElementById(`starterLine${i}`)?.value || '',
                 isStarter: true
             };
         }
@@ -332,6 +436,9 @@ class BasketballSetup {
                 name: name,
                 jerseyNumber: number,
                 position: 'SUB',
+                positions: document.getElementById(`reservePos${i}`)?.value || '',
+                target: document.getElementById(`reserveTarget${i}`)?.value || '',
+                line: document.getElementById(`reserveLine${i}`)?.value || '',
                 isStarter: false
             };
         }
@@ -413,7 +520,14 @@ class BasketballSetup {
                 varianceThreshold: 90, // NEW: Variance control threshold
                 // Legacy compatibility parameters (not used in hybrid algorithm)
                 subsPerRotation: 1, // Placeholder for compatibility
-                minRotationGapSec: 120 // Placeholder for compatibility
+                minRotationGapSec: 120, // Placeholder for compatibility
+                playerPositions: Object.fromEntries(
+                    Object.values(this.config.playerData).map(data => [data.name, data.positions])
+                ),
+                playerTargets: Object.fromEntries(
+                    Object.values(this.config.playerData).map(data => [data.name, data.target])
+                ),
+                carryOver: this.getCarryOver([...this.config.starterNames, ...this.config.reserveNames])
             });
 
             // Initialize with player names
@@ -433,7 +547,9 @@ class BasketballSetup {
             this.displayPreliminaryPlan({
                 plan: planObj.rotations || [],
                 targetMinutes: planObj.targetMinutes || Math.floor((gameLength * 5) / totalPlayers),
-                expectedVariance: planObj.expectedVariance || 0
+                expectedVariance: planObj.expectedVariance || 0,
+                lineupTradeoffs: planObj.lineupTradeoffs || [],
+                playerTargets: planObj.playerTargets || {}
             }, optimizer);
 
         } catch (err) {
@@ -509,6 +625,32 @@ class BasketballSetup {
             html += `<p style="color: #999;">No rotations needed (no bench players available)</p>`;
         }
         
+        // Individual playing-time targets (only players who are not on an equal share)
+        const targeted = Object.entries(plan.playerTargets || {})
+            .filter(([name]) => this.config.playerData[name]?.target);
+        if (targeted.length > 0) {
+            html += `
+                <p style="color: var(--accent-cyan); margin-top: 15px;">
+                    🎯 Targets: ${targeted.map(([name, seconds]) => `${name} ${this.formatTime(Math.round(seconds))}`).join(', ')}
+                </p>
+            `;
+        }
+
+        // Lineup rules (ball-handler + big) that cost fairness or could not be met
+        const tradeoffs = plan.lineupTradeoffs || [];
+        if (tradeoffs.length > 0) {
+            const unmet = tradeoffs.filter(t => !t.adjusted).length;
+            const cost = tradeoffs.reduce((sum, t) => sum + t.fairnessCost, 0);
+            html += `
+                <div style="background: rgba(255, 165, 0, 0.2); padding: 10px; border-radius: 5px; margin-top: 15px;">
+                    <p style="color: #ffa500; margin: 0;">
+                        🧩 Lineup rules changed ${tradeoffs.length - unmet} rotation(s), costing ${cost}s of balance.
+                        ${unmet > 0 ? `${unmet} rotation(s) could not keep a ball-handler and a big - add positions to more players.` : ''}
+                    </p>
+                </div>
+            `;
+        }
+
         // Variance message
         const targetVariance = 60;
         const warningVariance = 90;
@@ -581,6 +723,30 @@ class BasketballSetup {
         if (uniqueNumbers.size < allNumbers.length) {
             errors.push('Jersey numbers must be unique');
         }
+
+        // Players stood down (concussion) sit out until their return date or a recorded clearance
+        const standDownError = window.standDownRegister?.checkRoster(allNames);
+        if (standDownError) {
+            errors.push(standDownError);
+        }
+
+        // Line mode needs two lines and enough players outside them for the other spots
+        const lineSizes = {};
+        Object.values(this.config.playerData).forEach(data => {
+            if (data.line) {
+                lineSizes[data.line] = (lineSizes[data.line] || 0) + 1;
+            }
+        });
+        const sizes = Object.values(lineSizes);
+        if (sizes.length === 1) {
+            errors.push('Set up at least two lines, or clear the line picks');
+        } else if (sizes.length > 1) {
+            const inLines = sizes.reduce((sum, size) => sum + Math.min(size, 5), 0);
+            const lineSpots = Math.min(5, Math.max(...sizes));
+            if (totalPlayers - inLines < 5 - lineSpots) {
+                errors.push(`Lines of ${lineSpots} need ${5 - lineSpots} players outside the lines`);
+            }
+        }
         
         return errors;
     }
@@ -588,7 +754,7 @@ class BasketballSetup {
     /**
      * Confirm setup and start game WITH JERSEY NUMBERS
      */
-    confirmSetup() {
+    async confirmSetup() {
         console.log('Confirming setup with jersey numbers...');
         
         // Clear any previous errors
@@ -610,6 +776,9 @@ class BasketballSetup {
         // Get final player data with jersey numbers
         this.getPlayerData();
         
+        // Stand-downs booked on another device block the roster too
+        await window.standDownRegister?.syncFromStatsTracker().catch(() => false);
+
         // Validate setup
         const errors = this.validateSetup();
         if (errors.length > 0) {
@@ -625,6 +794,10 @@ class BasketballSetup {
             minutesPerPeriod: this.config.minutesPerPeriod,
             numReserves: this.config.numReserves,
             enableWarningSound: this.config.enableWarningSound,
+            foulOutLimit: parseInt(this.elements.foulOutLimit?.value) || 5,
+            foulTroublePolicy: this.elements.foulTroubleToggle?.checked === true,
+            timeoutsPerHalf: (this.elements.timeoutsPerHalf?.value || '2,3').split(',').map(Number),
+            stopClock: this.elements.stopClockToggle?.checked === true,
             starterNames: this.config.starterNames,
             starterNumbers: this.config.starterNumbers,  // NEW
             reserveNames: this.config.reserveNames,
@@ -632,7 +805,9 @@ class BasketballSetup {
             playerData: this.config.playerData,           // NEW: Complete player data
             idealShiftsPerPlayer: this.config.idealShiftsPerPlayer, // NEW: Primary configuration
             rotationsPerChange: this.config.rotationsPerChange, // Legacy compatibility
-            subsPerChange: this.config.rotationsPerChange // Legacy compatibility
+            subsPerChange: this.config.rotationsPerChange, // Legacy compatibility
+            seasonTeam: this.elements.seasonTeam?.value?.trim() || null,
+            carryOver: this.getCarryOver([...this.config.starterNames, ...this.config.reserveNames])
         };
         
         console.log('Setup data with jerseys:', setupData);
@@ -695,6 +870,22 @@ class BasketballSetup {
                     this.elements.warningSoundToggle.checked = config.enableWarningSound;
                     this.config.enableWarningSound = config.enableWarningSound;
                 }
+                if (config.foulOutLimit && this.elements.foulOutLimit) {
+                    this.elements.foulOutLimit.value = config.foulOutLimit;
+                }
+                if (config.foulTroublePolicy !== undefined && this.elements.foulTroubleToggle) {
+                    this.elements.foulTroubleToggle.checked = config.foulTroublePolicy;
+                }
+                if (config.timeoutsPerHalf && this.elements.timeoutsPerHalf) {
+                    this.elements.timeoutsPerHalf.value = config.timeoutsPerHalf;
+                }
+                if (config.stopClock !== undefined && this.elements.stopClockToggle) {
+                    this.elements.stopClockToggle.checked = config.stopClock;
+                }
+                if (config.balanceMode && this.elements.balanceMode) {
+                    this.elements.balanceMode.value = config.balanceMode;
+                    this.updateSeasonReport();
+                }
                 
                 this.updateLegacyRotationPreference();
                 console.log('Loaded saved configuration');
@@ -714,7 +905,12 @@ class BasketballSetup {
                 minutesPerPeriod: this.config.minutesPerPeriod,
                 numReserves: this.config.numReserves,
                 rotationsPerChange: this.config.rotationsPerChange,
-                enableWarningSound: this.config.enableWarningSound
+                enableWarningSound: this.config.enableWarningSound,
+                foulOutLimit: parseInt(this.elements.foulOutLimit?.value) || 5,
+                foulTroublePolicy: this.elements.foulTroubleToggle?.checked === true,
+                timeoutsPerHalf: this.elements.timeoutsPerHalf?.value || '2,3',
+                stopClock: this.elements.stopClockToggle?.checked === true,
+                balanceMode: this.elements.balanceMode?.value || 'game'
             };
             
             localStorage.setItem('basketballSetup', JSON.stringify(config));
@@ -85,6 +85,9 @@ class BasketballUI {
         this.elements.emergencySubButton = document.getElementById('emergencySubButton');
         this.elements.manageRemovedButton = document.getElementById('manageRemovedButton');
         this.elements.resetButton = document.getElementById('resetButton');
+        this.elements.timeoutHomeButton = document.getElementById('timeoutHomeButton');
+        this.elements.timeoutAwayButton = document.getElementById('timeoutAwayButton');
+        this.elements.timeoutClock = document.getElementById('timeoutClock');
 
         // Modals
         this.elements.emergencyModal = document.getElementById('emergencySubModal');
@@ -120,9 +123,19 @@ class BasketballUI {
             }
         });
 
+        // Timeouts
+        this.elements.timeoutHomeButton?.addEventListener('click', () => {
+            this.callTimeout('home');
+        });
+
+        this.elements.timeoutAwayButton?.addEventListener('click', () => {
+            this.callTimeout('away');
+        });
+
         // Confirm substitution
         this.elements.confirmSubButton?.addEventListener('click', () => {
-            if (this.engine.confirmRotation()) {
+            // A rotation the engine rejects is dropped too - clear the prompt either way
+            if (this.engine.confirmRotation() || !this.engine.rotations.pending) {
                 this.elements.confirmSubButton.classList.add('hidden');
                 this.clearRotationHighlights();
                 // BUGFIX: Clear the "Rotation ready" notification
@@ -204,6 +217,7 @@ class BasketballUI {
         this.updateVariance(state);
         this.updateStatus(state);
         this.updateStartStopButton(state.running);
+        this.updateTimeouts(state.timeouts);
 
         if (!state.running && (state.currentTime ?? 0) === 0) {
             this.startingWhistlePlayed = false;
@@ -364,11 +378,15 @@ class BasketballUI {
             return;
         }
 
+        const boxScores = state.boxScores || {};
         const statsHTML = entries.map(([player, points]) => {
             const safeName = this.escapeHTML(player);
+            const boxLine = boxScores[player]
+                ? `<span class="stat-player-box">${this.escapeHTML(this.formatBoxScoreLine(boxScores[player]))}</span>`
+                : '';
             return `
                 <div class="stat-card">
-                    <span class="stat-player-name">${safeName}</span>
+                    <span class="stat-player-name">${safeName}${boxLine}</span>
                     <span class="stat-player-points">${points} pts</span>
                 </div>
             `;
@@ -385,28 +403,87 @@ class BasketballUI {
 
         const scoring = state.scoring || {};
         const playerPoints = scoring.playerPoints || {};
+        const fouls = state.fouls || { personal: {}, resting: {} };
 
         const allPlayers = [...state.players.court, ...state.players.bench];
         const uniquePlayers = Array.from(new Set(allPlayers));
 
         const padHTML = uniquePlayers.map(player => {
             const points = playerPoints[player] || 0;
+            const personalFouls = fouls.personal?.[player] || 0;
+            const resting = fouls.resting?.[player] !== undefined;
             const displayName = this.escapeHTML(player);
             const jsName = this.escapeForJSString(player);
 
             return `
                 <div class="scoring-pad-player">
                     <span class="scoring-pad-player-name">${displayName}</span>
+                    <span class="scoring-pad-player-fouls${resting ? ' foul-trouble' : ''}" title="Personal fouls">F${personalFouls}</span>
                     <span class="scoring-pad-player-points">${points}</span>
                     <div class="scoring-pad-controls">
+                        <button class="scoring-pad-btn foul" onclick="basketballUI.recordFoul('${jsName}')">F</button>
                         <button class="scoring-pad-btn minus" onclick="basketballUI.updatePlayerScore('${jsName}', -1)">-</button>
                         <button class="scoring-pad-btn" onclick="basketballUI.updatePlayerScore('${jsName}', 1)">+</button>
                     </div>
+                    <div class="scoring-pad-stats">${this.renderStatPadButtons(jsName)}</div>
                 </div>
             `;
         }).join('');
 
         this.elements.scoringPadPlayers.innerHTML = padHTML;
+        this.updateStatUndo();
+        this.updateTeamFouls(state.fouls);
+    }
+
+    /**
+     * Stat pad buttons for one player: made and missed for each shot, then the counting stats
+     */
+    renderStatPadButtons(jsName) {
+        const config = window.GameConfig?.BASKETBALL_BOX_SCORE;
+        if (!config) return '';
+
+        const shots = Object.entries(config.SHOTS).map(([shot, { LABEL }]) => `
+            <button class="stat-pad-btn made" onclick="basketballUI.recordStat('${jsName}', '${shot}', true)">${LABEL}</button>
+            <button class="stat-pad-btn missed" onclick="basketballUI.recordStat('${jsName}', '${shot}', false)" title="${LABEL} missed">${LABEL}✗</button>
+        `).join('');
+        const counts = Object.entries(config.COUNTS).map(([stat, label]) => `
+            <button class="stat-pad-btn" onclick="basketballUI.recordStat('${jsName}', '${stat}')">${label}</button>
+        `).join('');
+
+        return shots + counts;
+    }
+
+    /**
+     * One-line box score: shooting splits then the counting stats recorded
+     */
+    formatBoxScoreLine(box) {
+        const shooting = (label, made, attempted, pct) =>
+            attempted > 0 ? `${label} ${made}/${attempted}${pct !== null ? ` (${pct}%)` : ''}` : null;
+        const counts = Object.entries(window.GameConfig?.BASKETBALL_BOX_SCORE?.COUNTS || {})
+            .filter(([stat]) => box[stat] > 0)
+            .map(([stat, label]) => `${box[stat]} ${label}`);
+
+        return [
+            shooting('FG', box.fgm, box.fga, box.fgPct),
+            shooting('3PT', box.fg3m, box.fg3a, box.fg3Pct),
+            shooting('FT', box.ftm, box.fta, box.ftPct),
+            ...counts
+        ].filter(Boolean).join(' · ');
+    }
+
+    /**
+     * Team fouls this period with bonus/penalty indicators
+     */
+    updateTeamFouls(fouls) {
+        const container = document.getElementById('teamFoulsPad');
+        if (!container || !fouls) return;
+
+        const describe = ({ fouls: count, status }) => `${count}${status ? ` · ${status}` : ''}`;
+        container.innerHTML = `
+            <span class="team-fouls-label">Team fouls</span>
+            <span class="team-fouls-value${fouls.team.home.status ? ' in-bonus' : ''}">Us ${describe(fouls.team.home)}</span>
+            <span class="team-fouls-value${fouls.team.away.status ? ' in-bonus' : ''}">Opp ${describe(fouls.team.away)}</span>
+        `;
     }
 
     /**
@@ -478,6 +555,102 @@ class BasketballUI {
         }
     }
 
+    /**
+     * Record a stat pad entry via UI. The last entry can be taken back with undoLastStat
+     */
+    recordStat(playerName, stat, made = true) {
+        if (!this.engine) return;
+
+        if (this.engine.recordStat(playerName, stat, { made })) {
+            this.lastStat = { player: playerName, stat, made };
+        }
+        this.updateDisplay(this.engine.getState());
+    }
+
+    /**
+     * Take back the last stat pad entry (e.g. a miss tapped as a make)
+     */
+    undoLastStat() {
+        if (!this.engine || !this.lastStat) return;
+
+        const { player, stat, made } = this.lastStat;
+        this.lastStat = null;
+        this.engine.recordStat(player, stat, { made, value: -1 });
+        this.updateDisplay(this.engine.getState());
+    }
+
+    updateStatUndo() {
+        const button = document.getElementById('statUndoButton');
+        if (!button) return;
+
+        button.disabled = !this.lastStat;
+        button.textContent = this.lastStat
+            ? `↶ Undo ${this.lastStat.player} ${this.lastStat.stat.toUpperCase()}${this.lastStat.made === false ? ' miss' : ''}`
+            : '↶ Undo last stat';
+    }
+
+    /**
+     * Record a personal foul via UI
+     */
+    recordFoul(playerName) {
+        if (!this.engine) return;
+
+        const fouls = this.engine.recordFoul(playerName);
+        const state = this.engine.getState();
+        this.updateDisplay(state);
+
+        if (fouls >= state.fouls.limit) {
+            this.showStatusMessage(`${playerName} fouled out`, 4000, 'warning');
+        } else if (state.fouls.resting[playerName] !== undefined) {
+            this.showStatusMessage(`${playerName} in foul trouble - resting until ${this.formatTime(state.fouls.resting[playerName])}`, 4000, 'warning');
+        }
+    }
+
+    /**
+     * Record an opposition foul via UI
+     */
+    recordOppositionFoul() {
+        if (!this.engine) return;
+
+        this.engine.recordOppositionFoul();
+        this.updateDisplay(this.engine.getState());
+    }
+
+    /**
+     * Call a timeout via UI - a rotation pulled into it shows as pending
+     */
+    callTimeout(team) {
+        if (!this.engine || !this.engine.callTimeout(team)) return;
+
+        this.updateDisplay(this.engine.getState());
+        if (this.engine.rotations.pending) {
+            this.showStatusMessage('Timeout - make the next rotation now', 4000, 'warning');
+        }
+    }
+
+    /**
+     * Timeouts left this half and the running timeout clock
+     */
+    updateTimeouts(timeouts) {
+        if (!timeouts) return;
+
+        const { left, active } = timeouts;
+        if (this.elements.timeoutHomeButton) {
+            this.elements.timeoutHomeButton.textContent = `Timeout (${left.home})`;
+            this.elements.timeoutHomeButton.disabled = Boolean(active) || left.home === 0;
+        }
+        if (this.elements.timeoutAwayButton) {
+            this.elements.timeoutAwayButton.textContent = `Opp timeout (${left.away})`;
+            this.elements.timeoutAwayButton.disabled = Boolean(active) || left.away === 0;
+        }
+        if (this.elements.timeoutClock) {
+            this.elements.timeoutClock.classList.toggle('hidden', !active);
+            this.elements.timeoutClock.textContent = active
+                ? `${active.team === 'home' ? 'Timeout' : 'Opp timeout'} ${this.formatTime(active.remaining)}`
+                : '';
+        }
+    }
+
     /**
      * Update opposition score via UI
      */
@@ -780,7 +953,8 @@ class BasketballUI {
         } else if (state.rotations.next) {
             // Show next scheduled rotation
             const timeToNext = state.rotations.next.time - state.currentTime;
-            this.elements.nextSubCountdown.textContent = this.formatTime(Math.max(0, timeToNext));
+            // In stop-clock mode a due rotation waits for the next whistle
+            this.elements.nextSubCountdown.textContent = state.rotations.queued ? 'AT STOPPAGE' : this.formatTime(Math.max(0, timeToNext));
             this.elements.nextSubCountdown.style.color = timeToNext <= 10 ? '#FFD700' : 'orange';
             this.elements.playersComingOff.innerHTML = this.renderPlayerChips(state.rotations.next.off, 'No rotation scheduled');
             this.elements.playersComingOn.innerHTML = this.renderPlayerChips(state.rotations.next.on, 'No rotation scheduled');
@@ -944,10 +1118,16 @@ class BasketballUI {
         document.getElementById('confirmEmergencySubButton').onclick = () => {
             const playerOff = offSelect.value;
             const playerOn = onSelect.value;
-            const removeFromGame = document.querySelector('input[name="injuredFate"]:checked').value === 'remove';
+            const fate = document.querySelector('input[name="injuredFate"]:checked').value;
+            const temporary = fate === 'blood' || fate === 'hia';
 
             if (playerOff && playerOn) {
-                if (this.engine.emergencySubstitution(playerOff, playerOn, removeFromGame)) {
+                const success = temporary
+                    ? this.engine.temporaryReplacement(playerOff, playerOn, { reason: fate })
+                    : this.engine.emergencySubstitution(playerOff, playerOn, fate === 'remove' || fate === 'concussion', {
+                        reason: fate === 'concussion' ? 'concussion' : 'injury'
+                    });
+                if (success) {
                     this.elements.emergencyModal.classList.add('hidden');
                     this.showStatusMessage(`Emergency sub: ${playerOff} → ${playerOn}`, 3000, 'warning');
                 }
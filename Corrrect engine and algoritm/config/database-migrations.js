@@ -544,6 +544,105 @@ ALTER TABLE teams_roster DROP COLUMN IF EXISTS sport;
 ALTER TABLE scheduled_matches DROP COLUMN IF EXISTS sport;
         `,
     },
+    {
+        version: '2.1.0',
+        name: 'Add Client Game IDs',
+        description: 'Adds client_game_id to games so offline replays upsert instead of duplicating',
+        up: `
+-- Migration 2.1.0: Client Game IDs
+-- Games saved offline are replayed from the browser outbox; the id generated
+-- on the device identifies the same game across retries.
+ALTER TABLE games ADD COLUMN IF NOT EXISTS client_game_id UUID;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_games_user_client_game
+    ON games(user_id, client_game_id);
+        `,
+        down: `
+-- Revert Migration 2.1.0
+DROP INDEX IF EXISTS idx_games_user_client_game;
+ALTER TABLE games DROP COLUMN IF EXISTS client_game_id;
+        `,
+    },
+    {
+        version: '2.2.0',
+        name: 'Add Player Injuries',
+        description: 'Adds player_injuries for stand-downs (concussion) that carry over to later matches',
+        up: `
+-- Migration 2.2.0: Player Injuries
+-- A removal that stands a player down (concussion) is kept with its
+-- return-to-play date. Setup screens block the player until that date or
+-- until a documented clearance is recorded. The id is generated on the device.
+CREATE TABLE IF NOT EXISTS player_injuries (
+    id UUID PRIMARY KEY,
+    user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+    player_name VARCHAR(100) NOT NULL,
+    reason VARCHAR(50) NOT NULL,
+    sport VARCHAR(50),
+    team_name VARCHAR(100),
+    injury_date DATE NOT NULL,
+    return_date DATE NOT NULL,
+    cleared_by VARCHAR(100),
+    clearance_note TEXT,
+    cleared_at DATE,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+ALTER TABLE player_injuries ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Users manage own injuries" ON player_injuries FOR ALL USING (auth.uid() = user_id);
+CREATE INDEX IF NOT EXISTS idx_player_injuries_user_player ON player_injuries(user_id, player_name);
+        `,
+        down: `
+-- Revert Migration 2.2.0
+DROP TABLE IF EXISTS player_injuries;
+        `,
+    },
+    {
+        version: '2.3.0',
+        name: 'Add Soccer Player Stats',
+        description: 'Adds assists, shots, saves, goals conceded and cards to match_player_stats for soccer',
+        up: `
+-- Migration 2.3.0: Soccer Player Stats
+-- Recorded live from the soccer scoring pad; goals conceded go against the
+-- keeper in goal at the time.
+ALTER TABLE match_player_stats ADD COLUMN IF NOT EXISTS assists INTEGER DEFAULT 0;
+ALTER TABLE match_player_stats ADD COLUMN IF NOT EXISTS shots_on_target INTEGER DEFAULT 0;
+ALTER TABLE match_player_stats ADD COLUMN IF NOT EXISTS shots_off_target INTEGER DEFAULT 0;
+ALTER TABLE match_player_stats ADD COLUMN IF NOT EXISTS saves INTEGER DEFAULT 0;
+ALTER TABLE match_player_stats ADD COLUMN IF NOT EXISTS goals_conceded INTEGER DEFAULT 0;
+ALTER TABLE match_player_stats ADD COLUMN IF NOT EXISTS yellow_cards INTEGER DEFAULT 0;
+ALTER TABLE match_player_stats ADD COLUMN IF NOT EXISTS red_cards INTEGER DEFAULT 0;
+        `,
+        down: `
+-- Revert Migration 2.3.0
+ALTER TABLE match_player_stats DROP COLUMN IF EXISTS assists;
+ALTER TABLE match_player_stats DROP COLUMN IF EXISTS shots_on_target;
+ALTER TABLE match_player_stats DROP COLUMN IF EXISTS shots_off_target;
+ALTER TABLE match_player_stats DROP COLUMN IF EXISTS saves;
+ALTER TABLE match_player_stats DROP COLUMN IF EXISTS goals_conceded;
+ALTER TABLE match_player_stats DROP COLUMN IF EXISTS yellow_cards;
+ALTER TABLE match_player_stats DROP COLUMN IF EXISTS red_cards;
+        `,
+    },
+    {
+        version: '2.4.0',
+        name: 'Add Season Team',
+        description: 'Adds season_team to games so the season ledger finds its games without changing team_name',
+        up: `
+-- Migration 2.4.0: Season Team
+-- The season ledger team a game's minutes are booked to. team_name stays
+-- the name the game was played under.
+ALTER TABLE games ADD COLUMN IF NOT EXISTS season_team VARCHAR(100);
+
+CREATE INDEX IF NOT EXISTS idx_games_user_season_team
+    ON games(user_id, sport, season_team);
+        `,
+        down: `
+-- Revert Migration 2.4.0
+DROP INDEX IF EXISTS idx_games_user_season_team;
+ALTER TABLE games DROP COLUMN IF EXISTS season_team;
+        `,
+    },
 ];
 
 // ============================================================================
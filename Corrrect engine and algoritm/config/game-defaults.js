@@ -60,6 +60,74 @@ const BASKETBALL_DEFAULTS = {
     LATE_GAME_DEVIATION_TRIGGER: 1.5,     // Late game threshold
 };
 
+const BASKETBALL_POSITIONS = {
+    POSITIONS: ['PG', 'SG', 'SF', 'PF', 'C'],
+
+    // Position groups a coach can pick instead of single positions
+    GROUPS: {
+        G: ['PG', 'SG'],
+        F: ['SF', 'PF'],
+        C: ['C'],
+    },
+
+    // Every court lineup needs at least MIN players eligible for one of POSITIONS
+    LINEUP_RULES: [
+        { KEY: 'ballHandler', LABEL: 'ball-handler', POSITIONS: ['PG', 'SG'], MIN: 1 },
+        { KEY: 'big', LABEL: 'big', POSITIONS: ['PF', 'C'], MIN: 1 },
+    ],
+};
+
+const BASKETBALL_FOULS = {
+    FOUL_OUT_LIMITS: [5, 6],
+    DEFAULT_FOUL_OUT_LIMIT: 5,
+
+    // Team fouls in a period after which every further foul gives the other side free throws
+    TEAM_FOUL_LIMITS: {
+        halves: [
+            { FOULS: 6, STATUS: 'bonus' },
+            { FOULS: 9, STATUS: 'double bonus' },
+        ],
+        quarters: [
+            { FOULS: 4, STATUS: 'penalty' },
+        ],
+    },
+
+    // Foul trouble: FOULS_SHORT of fouling out before UNTIL (share of the game)
+    // rests the player until then, e.g. 3 of 5 in the first half
+    FOUL_TROUBLE_RULES: [
+        { FOULS_SHORT: 2, UNTIL: 0.5 },
+        { FOULS_SHORT: 1, UNTIL: 0.75 },
+    ],
+};
+
+const BASKETBALL_TIMEOUTS = {
+    // Timeouts each team may call in the first and second half (quarters count in halves)
+    PER_HALF: [2, 3],
+    LENGTH_SECONDS: 60,
+
+    // A timeout is a free stoppage: a rotation due within this long (and half
+    // a sub gap) is made during it
+    PULL_FORWARD_SECONDS: 60,
+};
+
+const BASKETBALL_BOX_SCORE = {
+    // Shots on the stat pad: each is a made/attempted pair (e.g. fg2m / fg2a)
+    SHOTS: {
+        fg2: { POINTS: 2, LABEL: '2PT' },
+        fg3: { POINTS: 3, LABEL: '3PT' },
+        ft: { POINTS: 1, LABEL: 'FT' },
+    },
+
+    // Counting stats on the stat pad
+    COUNTS: {
+        reb: 'REB',
+        ast: 'AST',
+        stl: 'STL',
+        blk: 'BLK',
+        tov: 'TO',
+    },
+};
+
 // ============================================================================
 // SOCCER CONFIGURATION
 // ============================================================================
@@ -87,6 +155,45 @@ const SOCCER_DEFAULTS = {
     DEFAULT_NUM_PERIODS: 2,
 };
 
+// ============================================================================
+// NETBALL CONFIGURATION
+// ============================================================================
+
+const NETBALL_DEFAULTS = {
+    // Court Configuration
+    COURT_SPOTS: 7,
+    DEFAULT_BENCH: 3,               // Up to 3 reserves (10 in a squad)
+
+    // Timing (in seconds)
+    DEFAULT_PERIOD_LENGTH: 600,     // 10 minute quarters (juniors); seniors play 15
+    DEFAULT_NUM_PERIODS: 4,
+    WARNING_BEEP_TIME: 10,
+};
+
+const NETBALL_POSITIONS = {
+    POSITIONS: ['GS', 'GA', 'WA', 'C', 'WD', 'GD', 'GK'],
+
+    // Position groups a coach can pick instead of single positions
+    GROUPS: {
+        SHOOTERS: ['GS', 'GA'],
+        MIDCOURT: ['WA', 'C', 'WD'],
+        DEFENDERS: ['GD', 'GK'],
+        ATTACK: ['GS', 'GA', 'WA'],
+        DEFENCE: ['WD', 'GD', 'GK'],
+    },
+
+    // Court zones each position may enter (thirds, and the goal circle at each end)
+    ZONES: {
+        GS: ['attacking third', 'attacking circle'],
+        GA: ['centre third', 'attacking third', 'attacking circle'],
+        WA: ['centre third', 'attacking third'],
+        C: ['defensive third', 'centre third', 'attacking third'],
+        WD: ['defensive third', 'centre third'],
+        GD: ['defensive circle', 'defensive third', 'centre third'],
+        GK: ['defensive circle', 'defensive third'],
+    },
+};
+
 // ============================================================================
 // SHARED CONFIGURATION
 // ============================================================================
@@ -110,6 +217,53 @@ const SHARED_DEFAULTS = {
     TIME_FORMAT: 'mm:ss',
 };
 
+// Season fairness ledger (utils/season-ledger.js)
+const SEASON_LEDGER = {
+    STORAGE_KEY: 'benchbalancer_season_ledger',
+    MAX_CARRY_OVER_SHARE: 0.25,     // Repay at most 25% of an equal share per game
+};
+
+// Offline outbox for finished games (StatsTracker replays it into Supabase)
+const GAME_OUTBOX = {
+    DB_NAME: 'benchbalancer_outbox',
+    STORE_NAME: 'games',
+    STORAGE_KEY: 'benchbalancer_game_outbox', // Fallback when IndexedDB is unavailable
+    SYNC_TAG: 'sync-game-outbox',             // Background sync tag (must match sw.js)
+    MAX_ATTEMPTS: 5,                          // Failed replays before a game is parked (retried only from "Sync now")
+};
+
+// Stand-down register for players removed with a reason that keeps them out
+// of later matches (utils/stand-down-register.js)
+const STAND_DOWN = {
+    STORAGE_KEY: 'benchbalancer_stand_downs',
+    DAYS: {                         // Days before a return to play, by removal reason
+        concussion: 21,             // Community-sport concussion guideline
+    },
+};
+
+// Per-player playing-time targets offered by the setup screens.
+// VALUE is stored as playerData[name].target and read with parsePlayerTarget()
+const PLAYER_TARGET_PRESETS = [
+    { VALUE: '', LABEL: 'Equal' },
+    { VALUE: 'max:60', LABEL: 'Max 60%' },
+    { VALUE: 'max:75', LABEL: 'Max 75%' },
+    { VALUE: 'min:50', LABEL: 'Min 50%' },
+    { VALUE: 'min:75', LABEL: 'Min 75%' },
+    { VALUE: 'weight:0.5', LABEL: 'Half share' },
+    { VALUE: 'weight:1.5', LABEL: '1.5x share' },
+];
+
+// Goalkeeper rotation offered by the soccer setup screen.
+// VALUE is stored as playerData[name].keeperShare: percent of the game in goal
+// ('' = outfield only). Shares are scaled when they do not add up to 100.
+const KEEPER_SHARE_PRESETS = [
+    { VALUE: '', LABEL: 'No GK' },
+    { VALUE: '25', LABEL: 'GK 25%' },
+    { VALUE: '33', LABEL: 'GK 33%' },
+    { VALUE: '50', LABEL: 'GK 50%' },
+    { VALUE: '100', LABEL: 'GK 100%' },
+];
+
 // ============================================================================
 // CONFIGURATION PROFILES (Presets)
 // ============================================================================
@@ -177,6 +331,185 @@ const SOCCER_PROFILES = {
     },
 };
 
+// ============================================================================
+// INTERVAL OPTIMIZER SPORT PROFILES
+// ============================================================================
+
+/**
+ * Per-sport tuning for the shared interval optimizer core (base-interval-optimizer.js).
+ * Every sport runs the same algorithm; only these numbers differ.
+ * Times are in seconds unless noted; ADAPTIVE_GAP bands are in minutes.
+ */
+const OPTIMIZER_PROFILES = {
+    BASKETBALL: {
+        SPORT: 'basketball',
+        ALGORITHM: 'hybrid-preventative',
+        FIELD_SPOTS: 5,
+        GOALKEEPER_LOCK: false,         // Keeper never rotates out (soccer only)
+        BREAK_ROTATION: 'halftime',     // 'halftime' or 'quarters'
+        DEFAULT_GAME_LENGTH: 1800,
+        DEFAULT_PERIOD_LENGTH: null,
+        DEFAULT_NUM_PERIODS: 2,
+        END_LOCKOUT: 45,                // No subs in the last 45s of each period
+        PROTECTED_TIME_CAP: 0.4,        // Lockouts never eat more than 40% of the game
+        PLAN_CUTOFF: 30,                // Stop planning 30s before full time
+
+        // Stints
+        MIN_STINT: 150,
+        MAX_STINT: 360,
+        STINT_CAP_FLOOR: 180,
+        STINTS_PER_TARGET: 2,           // Desired stint = target time / 2
+        FIELD_STINT_GAP_RATIO: 0.9,
+        BENCH_STINT_GAP_RATIO: 0.5,
+
+        // Shifts and batching
+        SUBS_PER_ROTATION: 2,
+        MIN_SHIFTS: 2,
+        MAX_SHIFTS: 5,
+        FALLBACK_SHIFTS: 2,
+        SPACING: { DEEP_BENCH: 4, DEEP: 105, SHALLOW: 75 },
+
+        // Minimum gap between substitutions
+        GAP_FLOOR: 45,
+        GAP_CAP: { MIN: 180, MAX: 420, DIVISOR: 6 },
+        SHORT_GAME: { LENGTH: 1200, GAP_CAP: 90 },
+        ADAPTIVE_GAP: {
+            MIN_WINDOWS: 6,
+            WINDOWS_PER_PLAYER: 1.2,
+            RESERVE_MINUTES: 1.5,
+            PLAYABLE_SHARE: 0.8,
+            BANDS: [[20, 2.0, 3.0], [40, 2.4, 4.0], [Infinity, 2.6, 4.0]],
+        },
+        GAP_RELIEF: {
+            PHASES: [0.33, 0.67, 0.85],
+            MID_DEVIATION: 2.0,
+            LATE_DEVIATIONS: [1.5, 1.0],
+            END_WINDOWS: 3,
+            FACTORS: BASKETBALL_DEFAULTS.GAP_MULTIPLIERS,
+        },
+
+        // Variance control
+        VARIANCE_METRIC: 'stddev',      // 'stddev' or 'range'
+        TEMPO_VARIANCE: { aggressive: 45, balanced: 60, conservative: 75 },
+        EARLY_SUB: { MIN_PROGRESS: 0.2, DEVIATION_JUMP: 1.0, LATE_PROGRESS: 0.7, LATE_DEVIATION: 1.5 },
+    },
+};
+
+OPTIMIZER_PROFILES.SOCCER = {
+    ...OPTIMIZER_PROFILES.BASKETBALL,
+    SPORT: 'soccer',
+    FIELD_SPOTS: 9,
+    GOALKEEPER_LOCK: true,
+    KEEPER_SLOTS_PER_PERIOD: 2,     // GK rotation swaps at halftime, plus mid-half when shares need it
+    DEFAULT_GAME_LENGTH: 2400,
+    MIN_STINT: 180,
+    MAX_STINT: 600,
+    STINT_CAP_FLOOR: 240,
+    SPACING: { DEEP_BENCH: 4, DEEP: 150, SHALLOW: 120 },
+    GAP_FLOOR: 90,
+    GAP_CAP: { MIN: 240, MAX: 480, DIVISOR: 6 },
+    SHORT_GAME: { LENGTH: 1800, GAP_CAP: 180 },
+    ADAPTIVE_GAP: {
+        MIN_WINDOWS: 6,
+        WINDOWS_PER_PLAYER: 1.2,
+        RESERVE_MINUTES: 2,
+        PLAYABLE_SHARE: 0.8,
+        BANDS: [[30, 2.5, 4.0], [50, 3.0, 5.0], [Infinity, 3.5, 6.0]],
+    },
+    GAP_RELIEF: {
+        ...OPTIMIZER_PROFILES.BASKETBALL.GAP_RELIEF,
+        MID_DEVIATION: 1.5,
+        LATE_DEVIATIONS: [1.2, 0.8],
+    },
+    VARIANCE_METRIC: 'range',
+    EARLY_SUB: { MIN_PROGRESS: 0.2, DEVIATION_JUMP: 1.0, LATE_PROGRESS: 0.85, LATE_DEVIATION: 2.5 },
+};
+
+OPTIMIZER_PROFILES.AFL = {
+    ...OPTIMIZER_PROFILES.BASKETBALL,
+    SPORT: 'afl',
+    ALGORITHM: 'hybrid-afl',
+    FIELD_SPOTS: 12,
+    BREAK_ROTATION: 'quarters',
+    DEFAULT_GAME_LENGTH: 2880,
+    DEFAULT_PERIOD_LENGTH: 720,
+    DEFAULT_NUM_PERIODS: 4,
+    END_LOCKOUT: 30,
+    PROTECTED_TIME_CAP: 0.3,
+    PLAN_CUTOFF: 20,
+    MAX_SUBS_AT_BREAK: 15,          // Unlimited interchange at quarter breaks
+    MIN_STINT: 90,
+    MAX_STINT: 300,
+    STINT_CAP_FLOOR: 120,
+    STINTS_PER_TARGET: 3,
+    FIELD_STINT_GAP_RATIO: 0.8,
+    SUBS_PER_ROTATION: 3,
+    MIN_SHIFTS: 3,
+    MAX_SHIFTS: 8,
+    FALLBACK_SHIFTS: 4,
+    SPACING: { DEEP_BENCH: 6, DEEP: 75, SHALLOW: 60 },
+    GAP_FLOOR: 30,
+    GAP_CAP: { MIN: 120, MAX: 300, DIVISOR: 8 },
+    SHORT_GAME: { LENGTH: 1800, GAP_CAP: 75 },
+    ADAPTIVE_GAP: {
+        MIN_WINDOWS: 8,
+        WINDOWS_PER_PLAYER: 1.5,
+        RESERVE_MINUTES: 2,
+        PLAYABLE_SHARE: 0.85,
+        BANDS: [[30, 1.0, 2.0], [48, 1.5, 3.0], [Infinity, 1.5, 2.5]],
+    },
+    GAP_RELIEF: {
+        PHASES: [0.3, 0.6, 0.8],
+        MID_DEVIATION: 1.0,
+        LATE_DEVIATIONS: [0.8, 0.5],
+        END_WINDOWS: 4,
+        FACTORS: {
+            ...BASKETBALL_DEFAULTS.GAP_MULTIPLIERS,
+            END_GAME_FEW_WINDOWS: 0.5,
+            END_GAME_NORMAL: 0.65,
+        },
+    },
+    VARIANCE_METRIC: 'range',
+    TEMPO_VARIANCE: { aggressive: 35, balanced: 45, conservative: 55 },
+    EARLY_SUB: { MIN_PROGRESS: 0.2, DEVIATION_JUMP: 0.8, LATE_PROGRESS: 0.85, LATE_DEVIATION: 2.0 },
+};
+
+OPTIMIZER_PROFILES.OZTAG = {
+    ...OPTIMIZER_PROFILES.BASKETBALL,
+    SPORT: 'oztag',
+    ALGORITHM: 'hybrid-oztag',
+    FIELD_SPOTS: 8,
+    DEFAULT_GAME_LENGTH: 2400,
+    DEFAULT_PERIOD_LENGTH: 1200,
+    MIN_STINT: 180,
+    MAX_STINT: 480,
+    STINT_CAP_FLOOR: 240,
+    MAX_SHIFTS: 6,
+    SPACING: { DEEP_BENCH: 4, DEEP: 120, SHALLOW: 90 },
+    GAP_FLOOR: 60,
+    SHORT_GAME: null,
+    ADAPTIVE_GAP: {
+        MIN_WINDOWS: 8,
+        WINDOWS_PER_PLAYER: 1.5,
+        RESERVE_MINUTES: 1.5,
+        PLAYABLE_SHARE: 0.8,
+        BANDS: [[30, 2.0, 3.5], [40, 2.5, 4.0], [Infinity, 2.5, 5.0]],
+    },
+};
+
+OPTIMIZER_PROFILES.NETBALL = {
+    ...OPTIMIZER_PROFILES.BASKETBALL,
+    SPORT: 'netball',
+    ALGORITHM: 'quarter-lineups',
+    FIELD_SPOTS: 7,
+    BREAK_ROTATION: 'quarters',     // Changes only at quarter breaks (and for injury)
+    DEFAULT_GAME_LENGTH: 2400,
+    DEFAULT_PERIOD_LENGTH: 600,
+    DEFAULT_NUM_PERIODS: 4,
+    MAX_SUBS_AT_BREAK: 7,
+    VARIANCE_METRIC: 'range',
+};
+
 // ============================================================================
 // HELPER FUNCTIONS
 // ============================================================================
@@ -199,6 +532,48 @@ function getSoccerConfig(profile = 'BALANCED') {
     return SOCCER_PROFILES[profile] || SOCCER_PROFILES.BALANCED;
 }
 
+/**
+ * Parse a per-player playing-time target
+ * Strings are comma-separated 'key:value' pairs: max/min are percentages of
+ * the game, weight is a relative share, minutes is an absolute goal
+ * ('max:60', 'min:50', 'weight:1.5', 'minutes:20').
+ * @param {string|Object} value - Preset string or { weight, minShare, maxShare, minutes }
+ * @returns {Object|null} { weight?, minShare?, maxShare?, minutes? }, or null for an equal share
+ */
+function parsePlayerTarget(value) {
+    if (!value) {
+        return null;
+    }
+
+    const target = {};
+    if (typeof value === 'object') {
+        ['weight', 'minShare', 'maxShare', 'minutes'].forEach(key => {
+            if (Number.isFinite(value[key])) target[key] = value[key];
+        });
+    } else {
+        String(value).split(',').forEach(part => {
+            const [key, raw] = part.split(':').map(item => item.trim().toLowerCase());
+            const number = parseFloat(raw);
+            if (!Number.isFinite(number) || number < 0) return;
+            if (key === 'max') target.maxShare = Math.min(number, 100) / 100;
+            if (key === 'min') target.minShare = Math.min(number, 100) / 100;
+            if (key === 'weight') target.weight = number;
+            if (key === 'minutes') target.minutes = number;
+        });
+    }
+
+    return Object.keys(target).length > 0 ? target : null;
+}
+
+/**
+ * Get the interval optimizer profile for a sport
+ * @param {string} sport - 'basketball', 'soccer', 'afl', 'oztag' or 'netball'
+ * @returns {Object|null} Profile, or null for an unknown sport
+ */
+function getOptimizerProfile(sport) {
+    return OPTIMIZER_PROFILES[String(sport || '').toUpperCase()] || null;
+}
+
 /**
  * Calculate dynamic minimum sub interval for soccer
  * @param {number} gameLength - Total game length in seconds
@@ -212,6 +587,55 @@ function calculateSoccerMinInterval(gameLength, config = SOCCER_DEFAULTS) {
     );
 }
 
+/**
+ * @typedef {Object} BoxScoreLine
+ * @property {number} fg2m - 2PT made (fg2a attempted, and likewise fg3/ft)
+ * @property {number} reb - Rebounds (ast, stl, blk, tov likewise)
+ * @property {number} pts - Points from made shots
+ * @property {number} fgm - Field goals made (2PT + 3PT; fga attempted)
+ * @property {number|null} fgPct - Field goal % (fg3Pct, ftPct likewise; null with no attempts)
+ */
+
+/**
+ * Empty raw box-score line: a made/attempted pair per shot and every count
+ * @returns {Object}
+ */
+function createBoxScoreLine() {
+    const line = {};
+    Object.keys(BASKETBALL_BOX_SCORE.SHOTS).forEach(shot => {
+        line[`${shot}m`] = 0;
+        line[`${shot}a`] = 0;
+    });
+    Object.keys(BASKETBALL_BOX_SCORE.COUNTS).forEach(stat => {
+        line[stat] = 0;
+    });
+    return line;
+}
+
+/**
+ * Add points, field goals and shooting percentages to a raw box-score line
+ * @param {Object} line - Raw line (see createBoxScoreLine); missing keys count as 0
+ * @returns {BoxScoreLine}
+ */
+function deriveBoxScoreLine(line) {
+    const raw = { ...createBoxScoreLine(), ...line };
+    const percentage = (made, attempted) => (attempted > 0 ? Math.round((made / attempted) * 1000) / 10 : null);
+    const pts = Object.entries(BASKETBALL_BOX_SCORE.SHOTS)
+        .reduce((sum, [shot, { POINTS }]) => sum + raw[`${shot}m`] * POINTS, 0);
+    const fgm = raw.fg2m + raw.fg3m;
+    const fga = raw.fg2a + raw.fg3a;
+
+    return {
+        ...raw,
+        pts,
+        fgm,
+        fga,
+        fgPct: percentage(fgm, fga),
+        fg3Pct: percentage(raw.fg3m, raw.fg3a),
+        ftPct: percentage(raw.ftm, raw.fta)
+    };
+}
+
 /**
  * Calculate adaptive minimum gap for basketball
  * @param {number} gameLength - Total game length in seconds
@@ -274,14 +698,30 @@ function clamp(value, min, max) {
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
         BASKETBALL_DEFAULTS,
+        BASKETBALL_POSITIONS,
+        BASKETBALL_FOULS,
+        BASKETBALL_TIMEOUTS,
+        BASKETBALL_BOX_SCORE,
         SOCCER_DEFAULTS,
+        NETBALL_DEFAULTS,
+        NETBALL_POSITIONS,
         SHARED_DEFAULTS,
+        PLAYER_TARGET_PRESETS,
+        KEEPER_SHARE_PRESETS,
+        SEASON_LEDGER,
+        GAME_OUTBOX,
+        STAND_DOWN,
         BASKETBALL_PROFILES,
         SOCCER_PROFILES,
+        OPTIMIZER_PROFILES,
         getBasketballConfig,
         getSoccerConfig,
+        getOptimizerProfile,
+        parsePlayerTarget,
         calculateSoccerMinInterval,
         calculateBasketballMinGap,
+        createBoxScoreLine,
+        deriveBoxScoreLine,
         formatTime,
         clamp,
     };
@@ -291,14 +731,30 @@ if (typeof module !== 'undefined' && module.exports) {
 if (typeof window !== 'undefined') {
     window.GameConfig = {
         BASKETBALL_DEFAULTS,
+        BASKETBALL_POSITIONS,
+        BASKETBALL_FOULS,
+        BASKETBALL_TIMEOUTS,
+        BASKETBALL_BOX_SCORE,
         SOCCER_DEFAULTS,
+        NETBALL_DEFAULTS,
+        NETBALL_POSITIONS,
         SHARED_DEFAULTS,
+        PLAYER_TARGET_PRESETS,
+        KEEPER_SHARE_PRESETS,
+        SEASON_LEDGER,
+        GAME_OUTBOX,
+        STAND_DOWN,
         BASKETBALL_PROFILES,
         SOCCER_PROFILES,
+        OPTIMIZER_PROFILES,
         getBasketballConfig,
         getSoccerConfig,
+        getOptimizerProfile,
+        parsePlayerTarget,
         calculateSoccerMinInterval,
         calculateBasketballMinGap,
+        createBoxScoreLine,
+        deriveBoxScoreLine,
         formatTime,
         clamp,
     };
@@ -11,11 +11,20 @@ class StatsTracker {
         this.currentGameData = null;
         this.isTracking = false;
 
+        // Finished games waiting for Supabase (utils/game-outbox.js)
+        this.outbox = window.GameOutbox ? new window.GameOutbox() : null;
+        this.syncStatus = { pending: 0, parked: 0, syncing: false, reason: null, lastError: null, lastSyncedAt: null };
+        this.syncListeners = [];
+        this.syncPromise = null;
+
         // Listen for auth state changes
         this.initializeAuthListener();
+        this.initializeSyncListeners();
     }
 
     initializeAuthListener() {
+        if (typeof document === 'undefined') return;
+
         // Wait for Supabase to be ready
         document.addEventListener('DOMContentLoaded', () => {
             if (window.benchBalancerSupabase) {
@@ -42,50 +51,137 @@ class StatsTracker {
         });
     }
 
+    /**
+     * Replay the outbox when the connection returns or the service worker
+     * fires its background sync
+     */
+    initializeSyncListeners() {
+        if (!this.outbox || typeof window.addEventListener !== 'function') return;
+
+        window.addEventListener('online', () => this.syncOutbox());
+        window.addEventListener('offline', () => this.updateSyncStatus({ reason: 'offline' }));
+
+        if (typeof navigator !== 'undefined' && navigator.serviceWorker) {
+            navigator.serviceWorker.addEventListener('message', event => {
+                if (event.data?.type === 'sync-game-outbox') {
+                    this.syncOutbox();
+                }
+            });
+        }
+
+        this.updateSyncStatus({ reason: this.getSyncBlocker() });
+    }
+
     enableTracking() {
         this.isTracking = true;
         console.log('[StatsTracker] Stats tracking enabled for user:', this.currentUser.email);
+        this.syncOutbox();
     }
 
     disableTracking() {
         this.isTracking = false;
         console.log('[StatsTracker] Stats tracking disabled');
+        this.updateSyncStatus({ reason: 'not_authenticated' });
     }
 
     /**
-     * Save a completed game to the database
+     * Save a completed game. The game is written to the offline outbox first
+     * and then replayed, so a game finished offline or signed out is kept
+     * until the connection or sign-in returns.
      * @param {Object} gameData - The game data to save
+     * @returns {Promise<Object>} { success, gameId, clientGameId } or { success: false, reason, queued }
      */
     async saveGame(gameData) {
-        if (!this.isTracking || !this.currentUser) {
-            console.log('[StatsTracker] Not saving - user not authenticated');
-            return { success: false, reason: 'not_authenticated' };
+        if (!gameData.clientGameId) {
+            gameData.clientGameId = window.createClientGameId ? window.createClientGameId() : null;
+        }
+        if (!gameData.endedAt) {
+            // Replayed games keep the date they were played
+            gameData.endedAt = new Date().toISOString();
         }
 
-        if (!window.benchBalancerSupabase) {
-            console.log('[StatsTracker] Supabase not available');
-            return { success: false, reason: 'no_connection' };
+        let queued = false;
+        if (this.outbox) {
+            try {
+                await this.outbox.enqueue(gameData);
+                queued = true;
+                console.log('[StatsTracker] Game queued:', gameData.clientGameId);
+            } catch (error) {
+                console.error('[StatsTracker] Could not queue game:', error);
+            }
+        }
+
+        if (!queued) {
+            const reason = this.getSyncBlocker();
+            if (reason) {
+                console.log('[StatsTracker] Not saving -', reason);
+                return { success: false, reason };
+            }
+            return this.pushGame(gameData);
         }
 
+        this.requestBackgroundSync();
+
+        const clientGameId = gameData.clientGameId;
+        let result = await this.syncOutbox();
+        if (!result.reason && !result.synced.includes(clientGameId)) {
+            // A replay already in flight started before this game was queued
+            result = await this.syncOutbox();
+        }
+        if (result.synced.includes(clientGameId)) {
+            return { success: true, clientGameId, gameId: result.gameIds[clientGameId] };
+        }
+
+        const failure = result.failed.find(entry => entry.id === clientGameId);
+        return {
+            success: false,
+            queued: true,
+            clientGameId,
+            reason: result.reason || 'sync_failed',
+            error: failure?.error
+        };
+    }
+
+    /**
+     * Why queued games cannot be sent right now
+     * @returns {string|null} 'not_authenticated', 'no_connection', 'offline' or null
+     */
+    getSyncBlocker() {
+        if (!this.isTracking || !this.currentUser) return 'not_authenticated';
+        if (!window.benchBalancerSupabase) return 'no_connection';
+        if (typeof navigator !== 'undefined' && navigator.onLine === false) return 'offline';
+        return null;
+    }
+
+    /**
+     * Write one game and its player stats. Upserts on (user_id, client_game_id)
+     * and replaces the game's player_stats, so replaying a game is harmless.
+     * @param {Object} gameData - The game data to save
+     */
+    async pushGame(gameData) {
         try {
+            const players = this.normalizePlayers(gameData);
+
             // Prepare game data with metadata
             const gameRecord = {
                 user_id: this.currentUser.id,
+                client_game_id: gameData.clientGameId || undefined,
                 game_data: gameData,
                 sport: gameData.sport || 'basketball',
                 team_name: gameData.teamName || 'Unknown Team',
-                total_players: gameData.players?.length || 0,
+                season_team: gameData.seasonTeam || null,
+                total_players: players.length,
                 game_duration: gameData.duration || 0,
                 quarters_played: gameData.quartersPlayed || 0,
-                created_at: new Date().toISOString()
+                created_at: gameData.endedAt || new Date().toISOString()
             };
 
             // Save to games table
-            const { data, error } = await window.benchBalancerSupabase
-                .from('games')
-                .insert([gameRecord])
-                .select()
-                .single();
+            const table = window.benchBalancerSupabase.from('games');
+            const write = gameRecord.client_game_id
+                ? table.upsert([gameRecord], { onConflict: 'user_id,client_game_id' })
+                : table.insert([gameRecord]);
+            const { data, error } = await write.select().single();
 
             if (error) {
                 console.error('[StatsTracker] Error saving game:', error);
@@ -95,8 +191,11 @@ class StatsTracker {
             console.log('[StatsTracker] Game saved successfully:', data.id);
 
             // Also save player stats if available
-            if (gameData.players && gameData.players.length > 0) {
-                await this.savePlayerStats(data.id, gameData.players);
+            if (players.length > 0) {
+                const statsResult = await this.savePlayerStats(data.id, players);
+                if (!statsResult.success) {
+                    return { success: false, error: statsResult.error, gameId: data.id };
+                }
             }
 
             return { success: true, gameId: data.id, data };
@@ -106,13 +205,146 @@ class StatsTracker {
         }
     }
 
+    // ============================================================================
+    // OFFLINE OUTBOX
+    // ============================================================================
+
     /**
-     * Save individual player stats for a game
+     * Replay queued games into Supabase (oldest first)
+     * @param {Object} [options]
+     * @param {boolean} [options.retryParked=false] - Also retry games parked after repeated failures
+     * @returns {Promise<Object>} { synced, failed, gameIds, pending, parked, reason }
+     */
+    async syncOutbox({ retryParked = false } = {}) {
+        if (!this.outbox) {
+            return { synced: [], failed: [], gameIds: {}, pending: 0, parked: 0, reason: null };
+        }
+        if (this.syncPromise) {
+            return this.syncPromise;
+        }
+
+        this.syncPromise = (async () => {
+            const reason = this.getSyncBlocker();
+            if (reason) {
+                await this.updateSyncStatus({ syncing: false, reason });
+                return { synced: [], failed: [], gameIds: {}, pending: this.syncStatus.pending, parked: this.syncStatus.parked, reason };
+            }
+
+            await this.updateSyncStatus({ syncing: true, reason: null });
+            const gameIds = {};
+            const result = await this.outbox.replay(async entry => {
+                const pushed = await this.pushGame(entry.gameData);
+                if (pushed.success) gameIds[entry.id] = pushed.gameId;
+                return pushed;
+            }, { retryParked });
+
+            if (result.synced.length > 0) {
+                console.log(`[StatsTracker] Synced ${result.synced.length} queued game(s)`);
+            }
+            await this.updateSyncStatus({
+                syncing: false,
+                reason: result.failed.length > 0 ? 'sync_failed' : null,
+                lastError: result.failed[0]?.error || null,
+                lastSyncedAt: result.synced.length > 0 ? new Date().toISOString() : this.syncStatus.lastSyncedAt
+            });
+            return { ...result, gameIds, reason: result.failed.length > 0 ? 'sync_failed' : null };
+        })();
+
+        try {
+            return await this.syncPromise;
+        } finally {
+            this.syncPromise = null;
+        }
+    }
+
+    /**
+     * Ask the service worker to wake us when the connection returns
+     */
+    requestBackgroundSync() {
+        if (typeof navigator === 'undefined' || !navigator.serviceWorker?.ready) return;
+        navigator.serviceWorker.ready
+            .then(registration => registration.sync?.register(window.GameConfig?.GAME_OUTBOX?.SYNC_TAG || 'sync-game-outbox'))
+            .catch(error => console.warn('[StatsTracker] Background sync unavailable:', error));
+    }
+
+    /**
+     * Current outbox state for the UI
+     * @returns {Object} { pending, parked, syncing, reason, lastError, lastSyncedAt }
+     */
+    getSyncStatus() {
+        return { ...this.syncStatus };
+    }
+
+    /**
+     * Subscribe to sync status changes
+     * @param {Function} callback - Receives getSyncStatus()
+     * @returns {Function} Unsubscribe function
+     */
+    onSyncStatus(callback) {
+        this.syncListeners.push(callback);
+        callback(this.getSyncStatus());
+        return () => {
+            this.syncListeners = this.syncListeners.filter(listener => listener !== callback);
+        };
+    }
+
+    async updateSyncStatus(changes = {}) {
+        let { pending, parked } = this.syncStatus;
+        try {
+            const entries = this.outbox ? await this.outbox.list() : [];
+            pending = entries.length;
+            parked = entries.filter(entry => entry.parked).length;
+        } catch (error) {
+            console.warn('[StatsTracker] Could not count queued games:', error);
+        }
+
+        this.syncStatus = { ...this.syncStatus, ...changes, pending, parked };
+        this.syncListeners.forEach(listener => {
+            try {
+                listener(this.getSyncStatus());
+            } catch (error) {
+                console.error('[StatsTracker] Error in sync status listener:', error);
+            }
+        });
+    }
+
+    /**
+     * Player rows for savePlayerStats - accepts an array or the engines'
+     * calculateFinalStats() map ({ name: { minutes, benchMinutes, ... } })
+     * @param {Object} gameData - The game data to save
+     * @returns {Array} Array of player data
+     */
+    normalizePlayers(gameData) {
+        if (Array.isArray(gameData.players)) {
+            return gameData.players;
+        }
+
+        return Object.entries(gameData.players || {}).map(([name, data]) => ({
+            name,
+            jerseyNumber: data.jerseyNumber,
+            totalTime: data.minutes || 0,
+            timeOnCourt: data.minutes || 0,
+            timeOnBench: data.benchMinutes || 0,
+            points: data.points || 0,
+            stats: {
+                // Fair share of this game's minutes for the season ledger: the player's
+                // target share when set, else an equal split (removed and sent-off
+                // players are flagged and left out of it)
+                ...(data.removed ? { removed: true } : { fairShare: data.fairShare ?? (gameData.averageMinutes || 0) }),
+                // Basketball stat pad box score (totals, percentages and per-period splits)
+                ...(data.boxScore ? { boxScore: data.boxScore } : {})
+            }
+        }));
+    }
+
+    /**
+     * Save individual player stats for a game (replaces any rows already saved)
      * @param {string} gameId - The game ID
      * @param {Array} players - Array of player data
+     * @returns {Promise<Object>} { success, error }
      */
     async savePlayerStats(gameId, players) {
-        if (!window.benchBalancerSupabase) return;
+        if (!window.benchBalancerSupabase) return { success: false, error: 'no_connection' };
 
         try {
             const playerRecords = players.map(player => ({
@@ -130,17 +362,32 @@ class StatsTracker {
                 }
             }));
 
-            const { data, error } = await window.benchBalancerSupabase
+            // A replayed game may already have some of its rows
+            const { error: deleteError } = await window.benchBalancerSupabase
+                .from('player_stats')
+                .delete()
+                .eq('game_id', gameId)
+                .eq('user_id', this.currentUser.id);
+
+            if (deleteError) {
+                console.error('[StatsTracker] Error clearing player stats:', deleteError);
+                return { success: false, error: deleteError.message };
+            }
+
+            const { error } = await window.benchBalancerSupabase
                 .from('player_stats')
                 .insert(playerRecords);
 
             if (error) {
                 console.error('[StatsTracker] Error saving player stats:', error);
-            } else {
-                console.log('[StatsTracker] Player stats saved successfully');
+                return { success: false, error: error.message };
             }
+
+            console.log('[StatsTracker] Player stats saved successfully');
+            return { success: true };
         } catch (error) {
             console.error('[StatsTracker] Exception saving player stats:', error);
+            return { success: false, error: error.message };
         }
     }
 
@@ -181,6 +428,205 @@ class StatsTracker {
         }
     }
 
+    /**
+     * Season-to-date minutes per player for one team (season ledger rows)
+     * @param {string} sport - Sport key
+     * @param {string} teamName - Season ledger team the games were booked to (games.season_team)
+     * @returns {Promise<Object>} { success, data: [{ name, games, played, fairShare }] }
+     */
+    async getSeasonMinutes(sport, teamName) {
+        if (!this.currentUser || !window.benchBalancerSupabase) {
+            return { success: false, data: [] };
+        }
+
+        try {
+            const { data: games, error: gamesError } = await window.benchBalancerSupabase
+                .from('games')
+                .select('id')
+                .eq('user_id', this.currentUser.id)
+                .eq('sport', sport)
+                .eq('season_team', teamName);
+
+            if (gamesError) {
+                console.error('[StatsTracker] Error fetching season games:', gamesError);
+                return { success: false, error: gamesError.message, data: [] };
+            }
+
+            if (!games || games.length === 0) {
+                return { success: true, data: [] };
+            }
+
+            const { data: rows, error } = await window.benchBalancerSupabase
+                .from('player_stats')
+                .select('player_name, time_played, stats')
+                .eq('user_id', this.currentUser.id)
+                .in('game_id', games.map(game => game.id));
+
+            if (error) {
+                console.error('[StatsTracker] Error fetching season minutes:', error);
+                return { success: false, error: error.message, data: [] };
+            }
+
+            const players = {};
+            // Rows saved before the ledger existed, and removed players, carry no fair share - skip them
+            (rows || []).filter(row => Number.isFinite(row.stats?.fairShare)).forEach(row => {
+                const player = players[row.player_name] || { name: row.player_name, games: 0, played: 0, fairShare: 0 };
+                player.games += 1;
+                player.played += row.time_played || 0;
+                player.fairShare += row.stats?.fairShare || 0;
+                players[row.player_name] = player;
+            });
+
+            return { success: true, data: Object.values(players) };
+        } catch (error) {
+            console.error('[StatsTracker] Exception fetching season minutes:', error);
+            return { success: false, error: error.message, data: [] };
+        }
+    }
+
+    /**
+     * Season box score per player from the basketball stat pad (player_stats.stats.boxScore)
+     * @param {string} [teamName] - Only games saved under this team (default every team)
+     * @returns {Promise<Object>} { success, data: [{ name, games, ...BoxScoreLine }] }
+     */
+    async getSeasonBoxScores(teamName) {
+        if (!this.currentUser || !window.benchBalancerSupabase || !window.GameConfig?.deriveBoxScoreLine) {
+            return { success: false, data: [] };
+        }
+
+        try {
+            let gamesQuery = window.benchBalancerSupabase
+                .from('games')
+                .select('id')
+                .eq('user_id', this.currentUser.id)
+                .eq('sport', 'basketball');
+            if (teamName) {
+                gamesQuery = gamesQuery.eq('team_name', teamName);
+            }
+            const { data: games, error: gamesError } = await gamesQuery;
+
+            if (gamesError) {
+                console.error('[StatsTracker] Error fetching box score games:', gamesError);
+                return { success: false, error: gamesError.message, data: [] };
+            }
+
+            if (!games || games.length === 0) {
+                return { success: true, data: [] };
+            }
+
+            const { data: rows, error } = await window.benchBalancerSupabase
+                .from('player_stats')
+                .select('player_name, stats')
+                .eq('user_id', this.currentUser.id)
+                .in('game_id', games.map(game => game.id));
+
+            if (error) {
+                console.error('[StatsTracker] Error fetching box scores:', error);
+                return { success: false, error: error.message, data: [] };
+            }
+
+            const { createBoxScoreLine, deriveBoxScoreLine } = window.GameConfig;
+            const players = {};
+            // Games played without the stat pad have no box score - skip them
+            (rows || []).filter(row => row.stats?.boxScore).forEach(row => {
+                const player = players[row.player_name] || { name: row.player_name, games: 0, line: createBoxScoreLine() };
+                player.games += 1;
+                Object.keys(player.line).forEach(key => {
+                    player.line[key] += row.stats.boxScore[key] || 0;
+                });
+                players[row.player_name] = player;
+            });
+
+            const data = Object.values(players)
+                .map(({ name, games: played, line }) => ({ name, games: played, ...deriveBoxScoreLine(line) }));
+            return { success: true, data };
+        } catch (error) {
+            console.error('[StatsTracker] Exception fetching box scores:', error);
+            return { success: false, error: error.message, data: [] };
+        }
+    }
+
+    /**
+     * Save a stand-down (utils/stand-down-register.js) to player_injuries
+     * @param {Object} record - StandDown record
+     * @returns {Promise<Object>} { success, error? }
+     */
+    async saveStandDown(record) {
+        if (!this.currentUser || !window.benchBalancerSupabase) {
+            return { success: false, error: 'Not authenticated' };
+        }
+
+        try {
+            const { error } = await window.benchBalancerSupabase
+                .from('player_injuries')
+                .upsert({
+                    id: record.id,
+                    user_id: this.currentUser.id,
+                    player_name: record.player,
+                    reason: record.reason,
+                    sport: record.sport,
+                    team_name: record.team,
+                    injury_date: record.date,
+                    return_date: record.returnDate,
+                    cleared_by: record.clearance?.by || null,
+                    clearance_note: record.clearance?.note || null,
+                    cleared_at: record.clearance?.date || null,
+                    updated_at: new Date().toISOString()
+                }, { onConflict: 'id' });
+
+            if (error) {
+                console.error('[StatsTracker] Error saving stand-down:', error);
+                return { success: false, error: error.message };
+            }
+
+            return { success: true };
+        } catch (error) {
+            console.error('[StatsTracker] Exception saving stand-down:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * All of the user's stand-downs as register records
+     * @returns {Promise<Object>} { success, data: StandDown[] }
+     */
+    async getStandDowns() {
+        if (!this.currentUser || !window.benchBalancerSupabase) {
+            return { success: false, data: [] };
+        }
+
+        try {
+            const { data, error } = await window.benchBalancerSupabase
+                .from('player_injuries')
+                .select('*')
+                .eq('user_id', this.currentUser.id);
+
+            if (error) {
+                console.error('[StatsTracker] Error fetching stand-downs:', error);
+                return { success: false, error: error.message, data: [] };
+            }
+
+            return {
+                success: true,
+                data: (data || []).map(row => ({
+                    id: row.id,
+                    player: row.player_name,
+                    reason: row.reason,
+                    sport: row.sport,
+                    team: row.team_name,
+                    date: row.injury_date,
+                    returnDate: row.return_date,
+                    clearance: row.cleared_by
+                        ? { by: row.cleared_by, note: row.clearance_note || '', date: row.cleared_at }
+                        : null
+                }))
+            };
+        } catch (error) {
+            console.error('[StatsTracker] Exception fetching stand-downs:', error);
+            return { success: false, error: error.message, data: [] };
+        }
+    }
+
     /**
      * Get aggregate stats for a user
      */
@@ -0,0 +1,673 @@
+/**
+ * Netball Game Engine
+ * Seven positions, changes at quarter breaks (and for injury)
+ * Version 1.0 - Built on the shared BaseGameEngine core
+ *
+ * @fileoverview Main game engine for netball game management.
+ * Handles netball setup, positions (bibs) and goals; timing, rotations and
+ * player management come from BaseGameEngine. Each quarter's lineup and
+ * positions are planned by NetballIntervalOptimizer.
+ */
+
+// Shared core - classic script global in the browser, CommonJS in Node
+const SharedGameEngine = (typeof window !== 'undefined' && window.BaseGameEngine)
+    || require('./base-game-engine.js');
+
+// ============================================================================
+// TYPE DEFINITIONS
+// ============================================================================
+
+/**
+ * @typedef {Object} GameConfig
+ * @property {number} periodLength - Length of each quarter in seconds
+ * @property {number} numPeriods - Number of quarters (4)
+ * @property {number} courtSpots - Number of players on court (7)
+ * @property {boolean} autoConfirmRotations - Auto-confirm quarter-break changes
+ * @property {number} warningBeepTime - Warning time before a change
+ */
+
+/**
+ * @typedef {Object} GameState
+ * @property {boolean} initialized - Whether game is initialized
+ * @property {boolean} running - Whether timer is running
+ * @property {boolean} paused - Whether game is paused
+ * @property {number} currentTime - Current game time in seconds
+ * @property {number} currentPeriod - Current quarter number
+ * @property {number} periodElapsed - Time elapsed in current quarter
+ * @property {boolean} isHalftime - Whether at half time
+ * @property {boolean} isQuarterTime - Whether at a quarter (or three-quarter) time break
+ * @property {boolean} gameOver - Whether game has ended
+ */
+
+// ============================================================================
+// DEFAULT CONFIGURATION
+// ============================================================================
+
+const NETBALL_ENGINE_DEFAULTS = {
+    COURT_SPOTS: 7,
+    DEFAULT_BENCH: 3,
+    DEFAULT_PERIOD_LENGTH: 600,
+    DEFAULT_NUM_PERIODS: 4,
+    WARNING_BEEP_TIME: 10,
+};
+
+// Merge with global config if available
+const NETBALL_ENGINE_CONFIG = (typeof window !== 'undefined' && window.GameConfig?.NETBALL_DEFAULTS)
+    ? { ...NETBALL_ENGINE_DEFAULTS, ...window.GameConfig.NETBALL_DEFAULTS }
+    : NETBALL_ENGINE_DEFAULTS;
+
+// Positions, position groups and court zones
+const ENGINE_POSITIONS = (typeof window !== 'undefined' && window.GameConfig?.NETBALL_POSITIONS)
+    || require('./config/game-defaults.js').NETBALL_POSITIONS;
+
+// Only positions allowed in the attacking circle can shoot
+const SHOOTING_POSITIONS = ENGINE_POSITIONS.POSITIONS
+    .filter(position => ENGINE_POSITIONS.ZONES[position].includes('attacking circle'));
+
+// ============================================================================
+// MAIN CLASS
+// ============================================================================
+
+class NetballGameEngine extends SharedGameEngine {
+    constructor() {
+        super({
+            sport: 'netball',
+            logTag: '[NetballEngine]',
+            fieldKey: 'court',
+            spotsKey: 'courtSpots',
+            stintKey: 'onCourt',
+            fieldLabel: 'court',
+            periodLabel: 'Quarter',
+            optimizerFieldKey: 'onCourt',
+            deviationFieldKey: 'actualCourt',
+            defaults: NETBALL_ENGINE_CONFIG
+        });
+
+        // Game configuration - use centralized defaults
+        this.config = {
+            periodLength: NETBALL_ENGINE_CONFIG.DEFAULT_PERIOD_LENGTH,
+            numPeriods: NETBALL_ENGINE_CONFIG.DEFAULT_NUM_PERIODS,
+            courtSpots: NETBALL_ENGINE_CONFIG.COURT_SPOTS,
+            defaultBench: NETBALL_ENGINE_CONFIG.DEFAULT_BENCH,
+            autoConfirmRotations: false,
+            warningBeepTime: NETBALL_ENGINE_CONFIG.WARNING_BEEP_TIME
+        };
+
+        console.log('Netball Game Engine v1.0 initialized');
+    }
+
+    // ========================================================================
+    // SPORT HOOKS
+    // ========================================================================
+
+    createPlayerLedger() {
+        return {
+            ...super.createPlayerLedger(),
+            positions: {},          // Current bib: { playerName: 'GA' }
+            positionSeconds: {},    // Court time per position: { playerName: { GA: 300, C: 600 } }
+            eligiblePositions: {}
+        };
+    }
+
+    createScoring() {
+        return {
+            home: 0,
+            away: 0,
+            homeTeamName: 'Home',
+            awayTeamName: 'Opposition',
+            playerGoals: {}
+        };
+    }
+
+    createInitialState() {
+        return {
+            ...super.createInitialState(),
+            isQuarterTime: false
+        };
+    }
+
+    getOptimizerClass() {
+        return window.NetballIntervalOptimizer;
+    }
+
+    getOptimizerConfig(options) {
+        return {
+            gameLength: this.totalGameLength,
+            periodLength: this.config.periodLength,
+            numPeriods: this.config.numPeriods,
+            totalPlayers: options.totalPlayers,
+            playerPositions: { ...this.players.eligiblePositions }
+        };
+    }
+
+    getOptimizerState() {
+        return {
+            ...super.getOptimizerState(),
+            positions: { ...this.players.positions },
+            positionSeconds: this.copyPositionSeconds()
+        };
+    }
+
+    /**
+     * A change confirmed at a quarter break takes the lineup planned for the
+     * quarter about to start
+     */
+    assignRoles(courtPlayers) {
+        this.applyQuarterLineup(courtPlayers, 'quarter_break');
+    }
+
+    accrueRoleTime(seconds) {
+        this.onField.forEach(player => {
+            const position = this.players.positions[player];
+            if (!position) return;
+            const played = this.players.positionSeconds[player] || (this.players.positionSeconds[player] = {});
+            played[position] = (played[position] || 0) + seconds;
+        });
+    }
+
+    /**
+     * The replacement takes the bib of the player leaving. Out of position,
+     * they swap with the teammate who can take that bib and whose own bib
+     * they can wear, preferring the teammate who has played it least.
+     */
+    transferRole(playerOff, playerOn) {
+        const position = this.players.positions[playerOff];
+        delete this.players.positions[playerOff];
+        if (!position) return;
+
+        this.players.positions[playerOn] = position;
+        if (!this.enforcer || this.enforcer.isEligible(playerOn, position)) return;
+
+        const played = player => this.players.positionSeconds[player]?.[position] || 0;
+        const teammate = this.onField
+            .filter(player => player !== playerOn &&
+                this.enforcer.isEligible(player, position) &&
+                this.enforcer.isEligible(playerOn, this.players.positions[player]))
+            .sort((a, b) => played(a) - played(b))[0];
+
+        if (teammate) {
+            this.setPlayerPosition(playerOn, this.players.positions[teammate]);
+            this.setPlayerPosition(teammate, position, 'injury');
+        }
+    }
+
+    /**
+     * Prefer the fewest-minutes bench player who can take the vacated bib,
+     * then anyone a teammate can swap bibs with (see transferRole)
+     */
+    chooseReplacement(player, availableBench) {
+        const position = this.players.positions[player];
+        if (this.enforcer && position) {
+            const byMinutes = [...availableBench]
+                .sort((a, b) => (this.players.minutes[a] || 0) - (this.players.minutes[b] || 0));
+            const eligible = byMinutes.find(candidate => this.enforcer.isEligible(candidate, position));
+            if (eligible) {
+                return eligible;
+            }
+        }
+        return super.chooseReplacement(player, availableBench);
+    }
+
+    /**
+     * Planned changes only happen with the clock stopped at a quarter break
+     */
+    validateRotation(playersOff, playersOn) {
+        return this.isBreak()
+            ? null
+            : 'Netball changes are made at quarter breaks (mid-quarter only for injury or illness)';
+    }
+
+    applyBreakFlags(nextPeriod) {
+        this.state.isHalftime = nextPeriod === 3;
+        this.state.isQuarterTime = nextPeriod !== 3;
+
+        // With no change due, the same seven still move to this quarter's positions
+        if (!this.rotations.pending) {
+            this.applyQuarterLineup(this.onField, 'quarter_break');
+        }
+    }
+
+    getPeriodEndInfo() {
+        return {
+            ...super.getPeriodEndInfo(),
+            isQuarterTime: this.state.isQuarterTime
+        };
+    }
+
+    getPlayerFinalStats(player) {
+        return {
+            position: this.players.positions[player] || null,
+            positionSeconds: { ...(this.players.positionSeconds[player] || {}) },
+            goals: this.scoring.playerGoals[player] || 0
+        };
+    }
+
+    // ========================================================================
+    // SETUP
+    // ========================================================================
+
+    /**
+     * Initialize game with setup parameters
+     * @param {Object} setupData
+     * @param {number} [setupData.minutesPerPeriod] - Quarter length in minutes (default 10)
+     * @param {string[]} setupData.starterNames - The seven starting players
+     * @param {string[]} [setupData.reserveNames] - Reserves
+     * @param {Object} [setupData.playerPositions] - { player: 'GS/GA' | 'shooters' | [...] }
+     */
+    initialize(setupData) {
+        console.log('Initializing netball game with setup:', setupData);
+
+        const spots = this.config.courtSpots;
+        this.config.periodLength = (setupData.minutesPerPeriod || NETBALL_ENGINE_CONFIG.DEFAULT_PERIOD_LENGTH / 60) * 60;
+        this.config.numPeriods = NETBALL_ENGINE_CONFIG.DEFAULT_NUM_PERIODS;
+        this.config.autoConfirmRotations = setupData.autoConfirmRotations || false;
+        this.config.warningBeepTime = setupData.warningBeepTime || NETBALL_ENGINE_CONFIG.WARNING_BEEP_TIME;
+
+        // Set up players
+        this.players.all = this.createPlayerRoster(setupData.starterNames, setupData.reserveNames);
+        this.players.court = this.players.all.slice(0, spots);
+        this.players.bench = this.players.all.slice(spots);
+        const totalPlayers = this.players.all.length;
+
+        // Validate initial state
+        this.validatePlayerState();
+
+        // Eligible positions per player (positions or NETBALL_POSITIONS groups)
+        this.players.eligiblePositions = this.parseEligiblePositions(setupData);
+
+        // Per-player playing-time targets (weights, min/max shares or minutes)
+        this.config.playerTargets = this.parsePlayerTargets(setupData);
+
+        // Season ledger: team the minutes are booked to and carry-over to repay
+        this.config.seasonTeam = setupData.seasonTeam || null;
+        this.config.carryOver = this.parseCarryOver(setupData);
+
+        // Initialize player tracking
+        this.resetPlayerTracking();
+
+        // Initialize player scoring
+        this.scoring = this.createScoring();
+        this.players.all.forEach(player => {
+            this.scoring.playerGoals[player] = 0;
+        });
+
+        // Set up optimizer (plans the starters' positions and every later quarter)
+        this.totalGameLength = this.config.periodLength * this.config.numPeriods;
+        const plan = this.setupOptimizer({ totalPlayers });
+        this.applyQuarterLineup(this.players.court);
+
+        // Set audio preference
+        this.audio.enabled = setupData.enableWarningSound !== false;
+        if (this.audio.enabled) {
+            this.preloadAudio();
+        }
+
+        this.state.initialized = true;
+
+        console.log('✅ Game initialized successfully');
+        console.log(`   Roster: ${totalPlayers} players (${this.players.court.length} court, ${this.players.bench.length} bench)`);
+        console.log(`   Format: ${this.config.numPeriods} × ${this.config.periodLength / 60} minutes`);
+        console.log(`   Quarter-break changes planned: ${this.rotations.plan.length}`);
+
+        return {
+            success: true,
+            roster: totalPlayers,
+            rotations: this.rotations.plan.length,
+            targetMinutes: plan.targetMinutes,
+            expectedVariance: plan.expectedVariance,
+            lineupWarnings: this.getLineupWarnings()
+        };
+    }
+
+    /**
+     * Create player roster from names (always seven starters)
+     */
+    createPlayerRoster(starterNames = [], reserveNames = []) {
+        const roster = [];
+
+        for (let i = 0; i < this.config.courtSpots; i++) {
+            roster.push(starterNames[i] || `Player ${i + 1}`);
+        }
+
+        reserveNames.forEach((name, index) => {
+            roster.push(name || `Reserve ${index + 1}`);
+        });
+
+        return roster;
+    }
+
+    /**
+     * Eligible positions from setupData.playerPositions or playerData[name].positions
+     * @returns {Object} { player: positions } as entered (expanded by the optimizer)
+     */
+    parseEligiblePositions(setupData) {
+        const eligible = {};
+        const playerData = setupData.playerData || {};
+
+        this.players.all.forEach(player => {
+            const positions = setupData.playerPositions?.[player] ?? playerData[player]?.positions;
+            if (positions && positions.length > 0) {
+                eligible[player] = positions;
+            }
+        });
+
+        return eligible;
+    }
+
+    // ========================================================================
+    // QUARTER BREAKS
+    // ========================================================================
+
+    /**
+     * True while the clock is stopped on a quarter boundary: before the first
+     * centre pass, at each break and at full time
+     */
+    isBreak() {
+        return this.state.currentTime % this.config.periodLength === 0;
+    }
+
+    /**
+     * Give the court this quarter's planned positions, or a fresh fair
+     * seating when the court is not the one planned
+     * @param {string[]} courtPlayers
+     * @param {string|null} [reason] - Logged with each position change
+     */
+    applyQuarterLineup(courtPlayers, reason = null) {
+        if (!this.enforcer) return;
+
+        const planned = this.enforcer.getQuarterLineup(this.state.currentPeriod);
+        const lineup = this.enforcer.lineupMatches(planned, courtPlayers)
+            ? planned
+            : this.enforcer.assignLineup(courtPlayers, this.copyPositionSeconds());
+
+        Object.keys(this.players.positions).forEach(player => {
+            if (!courtPlayers.includes(player)) delete this.players.positions[player];
+        });
+        Object.entries(lineup).forEach(([position, player]) => this.setPlayerPosition(player, position, reason));
+    }
+
+    /**
+     * Put a player in a position. With a reason, a change of bib for a
+     * player already on court is logged (players coming on are not - the
+     * substitution already is)
+     */
+    setPlayerPosition(player, position, reason = null) {
+        const previous = this.players.positions[player];
+        this.players.positions[player] = position;
+
+        if (reason && previous && previous !== position) {
+            this.logEvent('position_change', { player, position, from: previous, reason });
+        }
+    }
+
+    /**
+     * After any replan at a break, make the change now due (if any) or
+     * re-seat the court for the quarter about to start
+     */
+    replan(deviationType, details = {}, time = this.state.currentTime) {
+        const plan = super.replan(deviationType, details, time);
+
+        if (this.isBreak() && !this.rotations.pending && !this.state.gameOver) {
+            const next = this.rotations.nextScheduled;
+            if (next && next.time <= this.state.currentTime) {
+                this.startScheduledRotation(next);
+            } else if (this.state.periodElapsed === 0) {
+                this.applyQuarterLineup(this.onField, deviationType);
+            }
+        }
+
+        return plan;
+    }
+
+    /**
+     * A cancelled change is replanned after the plan moves past it, so the
+     * next quarter's change is kept
+     */
+    cancelRotation() {
+        const cancelled = super.cancelRotation();
+        if (cancelled) {
+            this.replan('rotation_cancelled');
+        }
+        return cancelled;
+    }
+
+    /**
+     * Mid-quarter, a player can only be replaced for injury or illness
+     * (removeFromGame counts as injury); at a break any change may be made
+     */
+    emergencySubstitution(playerOff, playerOn, removeFromGame = false, { injury = removeFromGame, reason = 'injury' } = {}) {
+        if (!injury && !this.isBreak()) {
+            this.handleError(`${playerOff} can only be replaced mid-quarter for injury or illness`);
+            return false;
+        }
+        return super.emergencySubstitution(playerOff, playerOn, removeFromGame, { injury, reason });
+    }
+
+    /**
+     * Starting the next quarter makes the change waiting at the break
+     */
+    start() {
+        if (this.rotations.pending && this.isBreak()) {
+            this.confirmRotation();
+        }
+        this.state.isHalftime = false;
+        this.state.isQuarterTime = false;
+        return super.start();
+    }
+
+    /**
+     * Positions nobody eligible could fill, per planned quarter
+     * @returns {Array<{quarter: number, positions: string[]}>}
+     */
+    getLineupWarnings() {
+        return (this.enforcer?.lineupWarnings || []).map(warning => ({ ...warning, positions: [...warning.positions] }));
+    }
+
+    /**
+     * Planned positions for the quarters still to come
+     * @returns {Object} { quarter: { position: player } }
+     */
+    getUpcomingLineups() {
+        const lineups = {};
+        for (let quarter = this.state.currentPeriod; quarter <= this.config.numPeriods; quarter++) {
+            const lineup = this.enforcer?.getQuarterLineup(quarter);
+            if (lineup) lineups[quarter] = lineup;
+        }
+        return lineups;
+    }
+
+    /**
+     * Position report: each player's court time per position and how many
+     * different positions they have played
+     * @returns {{ positions: string[], players: Object }}
+     *   players: { name: { seconds, total, shares, positionsPlayed } }
+     */
+    getPositionReport() {
+        const players = {};
+        this.players.all.forEach(player => {
+            const played = this.players.positionSeconds[player] || {};
+            const seconds = {};
+            ENGINE_POSITIONS.POSITIONS.forEach(position => {
+                seconds[position] = played[position] || 0;
+            });
+            const total = Object.values(seconds).reduce((sum, value) => sum + value, 0);
+            const shares = {};
+            ENGINE_POSITIONS.POSITIONS.forEach(position => {
+                shares[position] = total > 0 ? Math.round(seconds[position] / total * 100) : 0;
+            });
+            const positionsPlayed = ENGINE_POSITIONS.POSITIONS.filter(position => seconds[position] > 0);
+            players[player] = { seconds, total, shares, positionsPlayed };
+        });
+
+        return { positions: [...ENGINE_POSITIONS.POSITIONS], players };
+    }
+
+    copyPositionSeconds() {
+        const copy = {};
+        Object.entries(this.players.positionSeconds).forEach(([player, seconds]) => {
+            copy[player] = { ...seconds };
+        });
+        return copy;
+    }
+
+    // ========================================================================
+    // SCORING & STATE
+    // ========================================================================
+
+    /**
+     * Record a goal (or take one back with -1). Only GS and GA may shoot
+     */
+    updatePlayerScore(player, goals = 1) {
+        if (!this.scoring.playerGoals.hasOwnProperty(player)) {
+            this.scoring.playerGoals[player] = 0;
+        }
+
+        const position = this.players.positions[player];
+        if (goals > 0 && !SHOOTING_POSITIONS.includes(position)) {
+            this.handleError(`Only ${SHOOTING_POSITIONS.join(' and ')} can score - ${player} is ${position ? `playing ${position}` : 'not on court'}`);
+            return this.scoring.playerGoals[player];
+        }
+
+        const change = Math.max(goals, -this.scoring.playerGoals[player]);
+        this.scoring.playerGoals[player] += change;
+        this.scoring.home += change;
+
+        this.logEvent('score', { team: 'home', player, position: position || null, points: change });
+
+        console.log(`${player} scored ${change > 0 ? '+' : ''}${change} (Total: ${this.scoring.playerGoals[player]})`);
+
+        if (this.callbacks.onScoreUpdate) {
+            this.callbacks.onScoreUpdate(this.getScoringStats());
+        }
+
+        return this.scoring.playerGoals[player];
+    }
+
+    /**
+     * Update opposition score
+     */
+    updateOppositionScore(goals = 1) {
+        const awayBefore = this.scoring.away;
+        this.scoring.away = Math.max(0, this.scoring.away + goals);
+
+        this.logEvent('score', { team: 'away', player: null, points: this.scoring.away - awayBefore });
+
+        console.log(`Opposition scored ${goals > 0 ? '+' : ''}${goals} (Total: ${this.scoring.away})`);
+
+        if (this.callbacks.onScoreUpdate) {
+            this.callbacks.onScoreUpdate(this.getScoringStats());
+        }
+
+        return this.scoring.away;
+    }
+
+    /**
+     * Update team names
+     */
+    updateTeamName(team, name) {
+        if (team === 'home') {
+            this.scoring.homeTeamName = name || 'Home';
+        } else if (team === 'away') {
+            this.scoring.awayTeamName = name || 'Opposition';
+        }
+
+        if (this.callbacks.onScoreUpdate) {
+            this.callbacks.onScoreUpdate(this.getScoringStats());
+        }
+    }
+
+    describeFinalScore() {
+        return `${this.scoring.homeTeamName} ${this.scoring.home} - ${this.scoring.away} ${this.scoring.awayTeamName}`;
+    }
+
+    /**
+     * Get complete game stats for database persistence
+     */
+    getStats() {
+        const baseStats = this.calculateFinalStats();
+        const scoringStats = this.getScoringStats();
+
+        return {
+            ...baseStats,
+            homeScore: scoringStats.homeScore,
+            awayScore: scoringStats.awayScore,
+            teamName: scoringStats.homeTeamName,
+            opponentName: scoringStats.awayTeamName,
+            positionReport: this.getPositionReport(),
+            lineupWarnings: this.getLineupWarnings(),
+            totalGameTime: this.state.currentTime
+        };
+    }
+
+    /**
+     * Get scoring stats snapshot
+     */
+    getScoringStats() {
+        const topScorers = Object.entries(this.scoring.playerGoals)
+            .filter(([, goals]) => goals > 0)
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, 5);
+
+        return {
+            homeScore: this.scoring.home,
+            awayScore: this.scoring.away,
+            homeTeamName: this.scoring.homeTeamName,
+            awayTeamName: this.scoring.awayTeamName,
+            playerGoals: { ...this.scoring.playerGoals },
+            topScorers
+        };
+    }
+
+    /**
+     * Get current game state
+     * @returns {Object} Current game state snapshot
+     */
+    getState() {
+        const analytics = this.enforcer ? this.enforcer.getAnalytics(this.state.currentTime) : null;
+
+        if (this._stateNeedsValidation) {
+            this.validatePlayerState();
+            this._stateNeedsValidation = false;
+        }
+
+        return {
+            ...this.state,
+            isBreak: this.isBreak(),
+            players: {
+                court: [...this.players.court],
+                bench: [...this.players.bench],
+                removed: Array.from(this.players.removed),
+                ...this.getAbsentPlayers(),
+                minutes: { ...this.players.minutes },
+                benchMinutes: { ...this.players.benchMinutes },
+                positions: { ...this.players.positions },
+                positionSeconds: this.copyPositionSeconds(),
+                eligiblePositions: { ...this.enforcer?.playerPositions }
+            },
+            rotations: {
+                pending: this.rotations.pending,
+                pendingOff: [...this.rotations.pendingOff],
+                pendingOn: [...this.rotations.pendingOn],
+                next: this.rotations.nextScheduled,
+                upcoming: this.getUpcomingRotations(),
+                history: this.rotations.history.length,
+                remaining: this.rotations.plan.length - this.rotations.currentPlanIndex
+            },
+            lineups: this.getUpcomingLineups(),
+            lineupWarnings: this.getLineupWarnings(),
+            variance: analytics ? analytics.currentVariance : 0,
+            targetMinutes: this.planTargetMinutes,
+            scoring: this.getScoringStats()
+        };
+    }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = NetballGameEngine;
+}
+
+if (typeof window !== 'undefined') {
+    window.NetballGameEngine = NetballGameEngine;
+    console.log('Netball Game Engine v1.0 loaded - Quarter-break lineups');
+}
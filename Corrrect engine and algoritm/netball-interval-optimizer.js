@@ -0,0 +1,452 @@
+/**
+ * Netball Interval Optimizer - QUARTER LINEUPS
+ * Plans one lineup per quarter: who takes the court and which bib they wear
+ * Version 1.0 - Built on the shared BaseIntervalOptimizer core
+ *
+ * @fileoverview Netball profile of the shared interval optimizer.
+ * Netball changes happen at quarter breaks (plus injury), so instead of the
+ * hybrid mid-period search this plans each remaining quarter as a whole:
+ * the players furthest behind on minutes take the court, then every player
+ * is given the eligible position they have played least.
+ */
+
+// Shared core - classic script global in the browser, CommonJS in Node
+const SharedIntervalOptimizer = (typeof window !== 'undefined' && window.BaseIntervalOptimizer)
+    || require('./base-interval-optimizer.js');
+
+// ============================================================================
+// DEFAULT CONFIGURATION (can be overridden by config/game-defaults.js)
+// ============================================================================
+const NETBALL_OPTIMIZER_DEFAULTS = {
+    // Court Configuration
+    COURT_SPOTS: 7,
+    DEFAULT_TOTAL_PLAYERS: 10,
+
+    // Timing (in seconds)
+    CHECK_INTERVAL: 15,
+
+    // Ideal Shifts
+    DEFAULT_IDEAL_SHIFTS: 3,
+};
+
+// Merge with global config if available
+const NETBALL_OPTIMIZER_CONFIG = (typeof window !== 'undefined' && window.GameConfig?.NETBALL_DEFAULTS)
+    ? { ...NETBALL_OPTIMIZER_DEFAULTS, ...window.GameConfig.NETBALL_DEFAULTS }
+    : NETBALL_OPTIMIZER_DEFAULTS;
+
+// Positions, position groups and court zones - classic script global in the browser, CommonJS in Node
+const OPTIMIZER_POSITIONS = (typeof window !== 'undefined' && window.GameConfig?.NETBALL_POSITIONS)
+    || require('./config/game-defaults.js').NETBALL_POSITIONS;
+
+// ============================================================================
+// MAIN CLASS
+// ============================================================================
+
+class NetballIntervalOptimizer extends SharedIntervalOptimizer {
+    /**
+     * Create a new Netball Interval Optimizer
+     * @param {Object} config - Configuration options (courtSpots is accepted for fieldSpots)
+     * @param {Object} [config.playerPositions] - Eligible positions per player, e.g.
+     *   { Mia: ['GS', 'GA'], Ava: 'C', Zoe: 'defenders' } (positions or NETBALL_POSITIONS groups)
+     */
+    constructor(config = {}) {
+        super(
+            { ...config, fieldSpots: config.fieldSpots || config.courtSpots },
+            { sport: 'netball', name: 'Netball Quarter Optimizer v1.0', defaults: NETBALL_OPTIMIZER_CONFIG }
+        );
+
+        this.playerPositions = this.normalizePlayerPositions(config.playerPositions);
+
+        // Positions and seconds per position, as reported by the engine
+        this.currentPositions = {};
+        this.positionSeconds = {};
+
+        // Planned lineups: { quarter: { GS: player, GA: player, ... } }
+        this.quarterLineups = {};
+
+        // Quarters the roster cannot fill with eligible players: [{ quarter, positions }]
+        this.lineupWarnings = [];
+        this.replanCurrentQuarter = false;
+    }
+
+    /**
+     * Court naming for the netball engine and setup manager
+     */
+    get courtSpots() {
+        return this.fieldSpots;
+    }
+
+    set courtSpots(value) {
+        this.fieldSpots = value;
+    }
+
+    initialize(players, currentState = null) {
+        const state = currentState && !currentState.onField && currentState.onCourt
+            ? { ...currentState, onField: currentState.onCourt }
+            : currentState;
+        this.syncPositions(state);
+        return super.initialize(players, state);
+    }
+
+    /**
+     * Replan from the actual court. A break's planned change that no longer
+     * fits the court ('invalid_rotation') has the quarter about to start
+     * planned again; any other change at a break is the coach's and stands.
+     */
+    handleDeviation(deviationType, deviationData, currentTime) {
+        const data = deviationData && !deviationData.actualField && deviationData.actualCourt
+            ? { ...deviationData, actualField: deviationData.actualCourt }
+            : deviationData;
+        this.syncPositions(data);
+
+        this.replanCurrentQuarter = deviationType === 'invalid_rotation';
+        try {
+            return super.handleDeviation(deviationType, data, currentTime);
+        } finally {
+            this.replanCurrentQuarter = false;
+        }
+    }
+
+    /**
+     * Take the engine's positions and position time so the mix is planned
+     * from what has actually been played
+     * @param {Object} [state] - { positions, positionSeconds }
+     */
+    syncPositions(state) {
+        if (state?.positions) {
+            this.currentPositions = { ...state.positions };
+        }
+        if (state?.positionSeconds) {
+            this.positionSeconds = {};
+            Object.entries(state.positionSeconds).forEach(([player, seconds]) => {
+                this.positionSeconds[player] = { ...seconds };
+            });
+        }
+    }
+
+    // ========================================================================
+    // POSITIONS
+    // ========================================================================
+
+    /**
+     * Expand each player's positions/groups into a list of eligible positions
+     * @param {Object} [playerPositions] - { player: 'GS/GA' | 'shooters' | ['WD', 'GD'] }
+     * @returns {Object} { player: ['GS', 'GA', ...] } for players with at least one position
+     */
+    normalizePlayerPositions(playerPositions = {}) {
+        const normalized = {};
+
+        Object.entries(playerPositions || {}).forEach(([player, value]) => {
+            const tokens = Array.isArray(value) ? value : String(value || '').split(/[\s,/]+/);
+            const eligible = new Set();
+
+            tokens.forEach(token => {
+                const key = String(token).trim().toUpperCase();
+                const expanded = OPTIMIZER_POSITIONS.GROUPS[key]
+                    || (OPTIMIZER_POSITIONS.POSITIONS.includes(key) ? [key] : []);
+                expanded.forEach(position => eligible.add(position));
+            });
+
+            if (eligible.size > 0) {
+                normalized[player] = OPTIMIZER_POSITIONS.POSITIONS.filter(position => eligible.has(position));
+            }
+        });
+
+        return normalized;
+    }
+
+    /**
+     * Positions a player may take (every position when the coach gave none)
+     */
+    getEligiblePositions(player) {
+        return this.playerPositions[player] || OPTIMIZER_POSITIONS.POSITIONS;
+    }
+
+    isEligible(player, position) {
+        return this.getEligiblePositions(player).includes(position);
+    }
+
+    /**
+     * Match players to distinct positions they are eligible for (augmenting paths)
+     * @param {string[]} players - Players to seat
+     * @returns {Object|null} { position: player } seating every player, or null if impossible
+     */
+    matchPositions(players) {
+        const seated = {};
+
+        const place = (player, visited) => this.getEligiblePositions(player).some(position => {
+            if (visited.has(position)) return false;
+            visited.add(position);
+            if (!seated[position] || place(seated[position], visited)) {
+                seated[position] = player;
+                return true;
+            }
+            return false;
+        });
+
+        return players.every(player => place(player, new Set())) ? seated : null;
+    }
+
+    /**
+     * Give each player the eligible position they have played least, over the
+     * whole lineup: the seating with the fewest seconds already played in the
+     * positions handed out. Positions nobody eligible can take go to whoever
+     * is left (each such seat costs more than any amount of position time).
+     * @param {string[]} players - The players taking the court
+     * @param {Object} [positionSeconds] - { player: { position: seconds } }
+     * @returns {Object} { position: player }
+     */
+    assignLineup(players, positionSeconds = this.positionSeconds) {
+        const positions = OPTIMIZER_POSITIONS.POSITIONS.slice(0, players.length);
+        const outOfPosition = (this.gameLength + 1) * positions.length;
+        const cost = (player, position) => (positionSeconds[player]?.[position] || 0)
+            + (this.isEligible(player, position) ? 0 : outOfPosition);
+
+        let best = null;
+        const seating = {};
+        const search = (index, used, total) => {
+            if (best && total >= best.total) return;
+            if (index === positions.length) {
+                best = { total, seating: { ...seating } };
+                return;
+            }
+            const position = positions[index];
+            players.forEach(player => {
+                if (used.has(player)) return;
+                used.add(player);
+                seating[position] = player;
+                search(index + 1, used, total + cost(player, position));
+                used.delete(player);
+            });
+        };
+        search(0, new Set(), 0);
+
+        return best ? best.seating : {};
+    }
+
+    /**
+     * Pick a quarter's players: first in priority order, skipping anyone who
+     * would leave the lineup unable to fill its positions. Eligible seatings
+     * form a matroid, so this greedy pass keeps the highest-priority squad
+     * that can still be seated; a roster short of some position is topped up
+     * in priority order (see noteLineupWarning).
+     * @param {string[]} order - Available players, highest priority first
+     * @returns {string[]} The quarter's players
+     */
+    selectQuarterSquad(order) {
+        const squad = [];
+        order.forEach(player => {
+            if (squad.length < this.fieldSpots && this.matchPositions([...squad, player])) {
+                squad.push(player);
+            }
+        });
+
+        order.forEach(player => {
+            if (squad.length < this.fieldSpots && !squad.includes(player)) {
+                squad.push(player);
+            }
+        });
+
+        return squad;
+    }
+
+    /**
+     * Planned lineup for a quarter
+     * @returns {Object|null} { position: player }
+     */
+    getQuarterLineup(quarter) {
+        return this.quarterLineups[quarter] ? { ...this.quarterLineups[quarter] } : null;
+    }
+
+    // ========================================================================
+    // PLANNING
+    // ========================================================================
+
+    /**
+     * Plan every remaining quarter. Each quarter the players furthest behind
+     * on minutes (against their target) take the court, with ties going to
+     * whoever sat the previous quarter; each then takes their least-played
+     * eligible position. The changes between quarters are the rotations,
+     * all due at the quarter break.
+     *
+     * The quarter under way plays out as it stands. At a break that is the
+     * quarter about to start - the coach may already have made changes - so
+     * only its positions are refreshed, unless the break's planned change no
+     * longer fits the court (see handleDeviation).
+     */
+    generatePlan(fromInterval = 0, unavailablePlayers = [], currentField = null, currentBench = null, playTimes = null) {
+        const now = Math.max(fromInterval * this.checkInterval, this.currentTime);
+        this.currentTime = now;
+
+        const isAvailable = player => !this.removedPlayers.has(player) && !unavailablePlayers.includes(player);
+        let court = currentField
+            ? [...currentField]
+            : this.players.filter(player => this.playerState[player]?.isOnField);
+        const bench = currentBench
+            ? [...currentBench]
+            : this.players.filter(player => !court.includes(player));
+        const availablePlayers = [...court, ...bench].filter(isAvailable);
+        court = court.filter(isAvailable);
+
+        const currentQuarter = Math.min(this.numPeriods, Math.floor(now / this.periodLength) + 1);
+        const atBreak = now % this.periodLength === 0;
+        const firstQuarter = atBreak && this.replanCurrentQuarter ? currentQuarter : currentQuarter + 1;
+        const remainder = firstQuarter > currentQuarter ? currentQuarter * this.periodLength - now : 0;
+
+        Object.keys(this.quarterLineups).forEach(quarter => {
+            if (Number(quarter) >= firstQuarter) delete this.quarterLineups[quarter];
+        });
+        this.lineupWarnings = this.lineupWarnings.filter(warning => warning.quarter < firstQuarter);
+
+        // Positions for the rest of the quarter under way
+        let positions = this.currentPositions;
+        if (atBreak && remainder > 0) {
+            let lineup = this.quarterLineups[currentQuarter];
+            if (!this.lineupMatches(lineup, court)) {
+                lineup = this.assignLineup(court);
+                this.quarterLineups[currentQuarter] = lineup;
+                this.noteLineupWarning(currentQuarter, lineup);
+            }
+            positions = {};
+            Object.entries(lineup).forEach(([position, player]) => {
+                positions[player] = position;
+            });
+        }
+
+        const played = {};
+        const positionTime = {};
+        availablePlayers.forEach(player => {
+            const onCourt = court.includes(player);
+            played[player] = (playTimes?.[player] ?? this.playerState[player]?.totalTimePlayed ?? 0)
+                + (onCourt ? remainder : 0);
+            positionTime[player] = { ...(this.positionSeconds[player] || {}) };
+            if (onCourt && positions[player]) {
+                positionTime[player][positions[player]] = (positionTime[player][positions[player]] || 0) + remainder;
+            }
+        });
+
+        this.updatePlayerTargets(availablePlayers);
+        const balance = (player, time) => {
+            const target = this.playerTargetSeconds[player];
+            return target === undefined
+                ? played[player]
+                : played[player] - (target - this.meanTargetSeconds) * (time / this.gameLength);
+        };
+
+        const rotations = [];
+        for (let quarter = firstQuarter; quarter <= this.numPeriods; quarter++) {
+            const time = (quarter - 1) * this.periodLength;
+            const order = [...availablePlayers].sort((a, b) =>
+                (balance(a, time) - balance(b, time))
+                || ((court.includes(a) ? 1 : 0) - (court.includes(b) ? 1 : 0))
+                || (this.players.indexOf(a) - this.players.indexOf(b))
+            );
+
+            const squad = this.selectQuarterSquad(order);
+            const lineup = this.assignLineup(squad, positionTime);
+            this.quarterLineups[quarter] = lineup;
+            this.noteLineupWarning(quarter, lineup);
+
+            const off = court.filter(player => !squad.includes(player));
+            const on = squad.filter(player => !court.includes(player));
+            const count = Math.min(off.length, on.length);
+            if (count > 0) {
+                rotations.push({
+                    time,
+                    off: off.slice(0, count),
+                    on: on.slice(0, count),
+                    reason: 'quarter-break',
+                    quarter
+                });
+                console.log(`🔄 Quarter ${quarter} at ${this.formatTime(time)}: OFF [${off.join(', ')}] ON [${on.join(', ')}]`);
+            }
+
+            court = squad;
+            Object.entries(lineup).forEach(([position, player]) => {
+                played[player] += this.periodLength;
+                positionTime[player][position] = (positionTime[player][position] || 0) + this.periodLength;
+            });
+        }
+
+        const finals = availablePlayers.map(player => balance(player, this.gameLength));
+        const variance = finals.length > 0 ? Math.max(...finals) - Math.min(...finals) : 0;
+
+        this.currentPlan = {
+            rotations,
+            targetMinutes: Math.round(this.targetPlayingTime / 60),
+            expectedVariance: Math.round(variance)
+        };
+
+        return {
+            rotations,
+            schedule: rotations.map(r => r.time),
+            targetMinutes: Math.round(this.targetPlayingTime / 60),
+            expectedVariance: Math.round(variance),
+            playerMinutes: this.getPlayerMinutes(availablePlayers),
+            playerTargets: { ...this.playerTargetSeconds },
+            quarterLineups: { ...this.quarterLineups },
+            lineupWarnings: [...this.lineupWarnings],
+            plan: rotations, // Compatibility with existing code
+            debugInfo: {
+                algorithm: this.profile.ALGORITHM,
+                firstQuarter,
+                actualRotations: rotations.length
+            }
+        };
+    }
+
+    /**
+     * True when a planned lineup seats exactly these players
+     */
+    lineupMatches(lineup, players) {
+        const seated = Object.values(lineup || {});
+        return seated.length === players.length && players.every(player => seated.includes(player));
+    }
+
+    /**
+     * Record the positions a quarter's lineup fills with ineligible players
+     */
+    noteLineupWarning(quarter, lineup) {
+        this.lineupWarnings = this.lineupWarnings.filter(warning => warning.quarter !== quarter);
+
+        const unfilled = Object.entries(lineup)
+            .filter(([position, player]) => !this.isEligible(player, position))
+            .map(([position]) => position);
+        if (unfilled.length > 0) {
+            this.lineupWarnings.push({ quarter, positions: unfilled });
+            console.log(`⚠️ Quarter ${quarter}: nobody eligible left for ${unfilled.join(', ')}`);
+        }
+    }
+
+    /**
+     * Quarter plans are rebuilt from the actual court; a rotation due at the
+     * break now being played is kept (the base core drops anything not in the future)
+     */
+    regenerateFullPlan(currentTime, unavailable, actualField, actualBench, playTimes) {
+        return this.generatePlan(
+            Math.floor(currentTime / this.checkInterval),
+            unavailable,
+            actualField,
+            actualBench,
+            playTimes
+        );
+    }
+
+    getAnalytics(currentTime = this.currentTime) {
+        return {
+            ...super.getAnalytics(currentTime),
+            quarterLineups: { ...this.quarterLineups },
+            lineupWarnings: [...this.lineupWarnings]
+        };
+    }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = NetballIntervalOptimizer;
+}
+
+if (typeof window !== 'undefined') {
+    window.NetballIntervalOptimizer = NetballIntervalOptimizer;
+    console.log('Netball Interval Optimizer v1.0 loaded - Quarter lineups');
+}
@@ -0,0 +1,224 @@
+/**
+ * Netball Setup Manager
+ * Handles game setup: quarter length, roster and each player's positions
+ * Version 1.0 - Production Ready
+ */
+
+// Positions and position groups - classic script global in the browser, CommonJS in Node
+const SETUP_POSITIONS = (typeof window !== 'undefined' && window.GameConfig?.NETBALL_POSITIONS)
+    || require('./config/game-defaults.js').NETBALL_POSITIONS;
+
+const SETUP_DEFAULTS = (typeof window !== 'undefined' && window.GameConfig?.NETBALL_DEFAULTS)
+    || require('./config/game-defaults.js').NETBALL_DEFAULTS;
+
+class NetballSetup {
+    constructor() {
+        this.elements = {};
+        this.courtSpots = SETUP_DEFAULTS.COURT_SPOTS;
+
+        this.initializeElements();
+        this.attachEventListeners();
+        this.generatePlayerInputs();
+
+        console.log('🏐 Netball Setup Manager initialized');
+    }
+
+    /**
+     * Initialize DOM element references
+     */
+    initializeElements() {
+        this.elements.gameFormat = document.getElementById('gameFormat');
+        this.elements.minsPerQuarter = document.getElementById('minsPerQuarter');
+        this.elements.numReserves = document.getElementById('numReserves');
+        this.elements.rosterSizeIndicator = document.getElementById('rosterSizeIndicator');
+        this.elements.starterNamesContainer = document.getElementById('starterNamesContainer');
+        this.elements.reserveNamesContainer = document.getElementById('reserveNamesContainer');
+        this.elements.reserveNamesSection = document.getElementById('reserveNamesSection');
+        this.elements.confirmButton = document.getElementById('confirmSetupButton');
+        this.elements.setupError = document.getElementById('setupError');
+    }
+
+    /**
+     * Attach event listeners to setup controls
+     */
+    attachEventListeners() {
+        // Preset quarter lengths
+        const presets = { junior: 8, club: 10, senior: 15 };
+        this.elements.gameFormat?.addEventListener('change', () => {
+            const minutes = presets[this.elements.gameFormat.value];
+            if (minutes) {
+                this.elements.minsPerQuarter.value = minutes;
+            }
+        });
+
+        this.elements.numReserves?.addEventListener('change', () => {
+            this.generateReserveInputs();
+            this.updateRosterIndicator();
+        });
+
+        this.elements.confirmButton?.addEventListener('click', () => this.confirmSetup());
+    }
+
+    generatePlayerInputs() {
+        this.elements.starterNamesContainer.innerHTML = '';
+        for (let i = 1; i <= this.courtSpots; i++) {
+            this.elements.starterNamesContainer.appendChild(this.createPlayerSlot(i));
+        }
+        this.generateReserveInputs();
+        this.updateRosterIndicator();
+    }
+
+    generateReserveInputs() {
+        const numReserves = parseInt(this.elements.numReserves.value);
+        this.elements.reserveNamesContainer.innerHTML = '';
+        this.elements.reserveNamesSection.style.display = numReserves === 0 ? 'none' : 'block';
+
+        for (let i = 1; i <= numReserves; i++) {
+            this.elements.reserveNamesContainer.appendChild(this.createPlayerSlot(this.courtSpots + i));
+        }
+    }
+
+    updateRosterIndicator() {
+        const total = this.courtSpots + parseInt(this.elements.numReserves.value);
+        this.elements.rosterSizeIndicator.textContent = `(Total Roster: ${total})`;
+    }
+
+    /**
+     * Name input, playing-time target and a toggle per position.
+     * No positions ticked means the player can play anywhere
+     */
+    createPlayerSlot(index) {
+        const slot = document.createElement('div');
+        slot.className = 'player-slot';
+
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'player-name-input';
+        input.placeholder = `Player ${index}`;
+
+        const target = document.createElement('select');
+        target.className = 'target-select';
+        target.title = 'Playing-time target (e.g. cap a returning player, guarantee a development player)';
+        (window.GameConfig?.PLAYER_TARGET_PRESETS || []).forEach(preset => {
+            target.add(new Option(preset.LABEL, preset.VALUE));
+        });
+
+        const positions = document.createElement('div');
+        positions.className = 'position-toggles';
+        positions.title = 'Positions this player can play (none ticked = any)';
+        SETUP_POSITIONS.POSITIONS.forEach(position => {
+            const label = document.createElement('label');
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.value = position;
+            label.append(checkbox, position);
+            positions.appendChild(label);
+        });
+
+        slot.append(input, target, positions);
+        return slot;
+    }
+
+    /**
+     * Read every player slot
+     * @returns {{ starterNames: string[], reserveNames: string[], playerPositions: Object, playerTargets: Object }}
+     */
+    getPlayerData() {
+        const playerPositions = {};
+        const playerTargets = {};
+
+        const readSlots = (container, offset) => Array.from(container.querySelectorAll('.player-slot')).map((slot, idx) => {
+            const name = slot.querySelector('.player-name-input').value.trim() || `Player ${offset + idx + 1}`;
+            const positions = Array.from(slot.querySelectorAll('.position-toggles input:checked')).map(box => box.value);
+            if (positions.length > 0) {
+                playerPositions[name] = positions;
+            }
+            const target = slot.querySelector('.target-select')?.value;
+            if (target) {
+                playerTargets[name] = target;
+            }
+            return name;
+        });
+
+        const starterNames = readSlots(this.elements.starterNamesContainer, 0);
+        const reserveNames = readSlots(this.elements.reserveNamesContainer, this.courtSpots);
+
+        return { starterNames, reserveNames, playerPositions, playerTargets };
+    }
+
+    /**
+     * Check names are unique and every position has at least one player
+     * @returns {string|null} Error message, or null when the setup is valid
+     */
+    validateSetup(playerData) {
+        const names = [...playerData.starterNames, ...playerData.reserveNames];
+        const duplicates = names.filter((name, idx) => names.indexOf(name) !== idx);
+        if (duplicates.length > 0) {
+            return `Duplicate player names: ${[...new Set(duplicates)].join(', ')}`;
+        }
+
+        // Players stood down (concussion) sit out until their return date or a recorded clearance
+        const standDownError = typeof window !== 'undefined' ? window.standDownRegister?.checkRoster(names) : null;
+        if (standDownError) {
+            return standDownError;
+        }
+
+        const minutes = parseInt(this.elements.minsPerQuarter.value);
+        if (!minutes || minutes < 5 || minutes > 20) {
+            return 'Quarters must be between 5 and 20 minutes';
+        }
+
+        const uncovered = SETUP_POSITIONS.POSITIONS.filter(position => !names.some(name => {
+            const eligible = playerData.playerPositions[name];
+            return !eligible || eligible.includes(position);
+        }));
+        if (uncovered.length > 0) {
+            return `Nobody can play ${uncovered.join(', ')} - tick it for at least one player`;
+        }
+
+        return null;
+    }
+
+    async confirmSetup() {
+        this.hideError();
+
+        // Stand-downs booked on another device block the roster too
+        await window.standDownRegister?.syncFromStatsTracker().catch(() => false);
+
+        const playerData = this.getPlayerData();
+        const error = this.validateSetup(playerData);
+        if (error) {
+            this.showError(error);
+            return;
+        }
+
+        const gameSetup = {
+            ...playerData,
+            minutesPerPeriod: parseInt(this.elements.minsPerQuarter.value),
+            autoConfirmRotations: false,
+            teamName: 'Home',
+            oppositionName: 'Opposition'
+        };
+
+        sessionStorage.setItem('netballGameSetup', JSON.stringify(gameSetup));
+        window.location.href = 'netball-game.html';
+    }
+
+    showError(message) {
+        this.elements.setupError.textContent = message;
+    }
+
+    hideError() {
+        this.elements.setupError.textContent = '';
+    }
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = NetballSetup;
+}
+
+if (typeof window !== 'undefined') {
+    window.NetballSetup = NetballSetup;
+    console.log('🏐 Netball Setup Manager loaded');
+}
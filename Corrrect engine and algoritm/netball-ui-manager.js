@@ -0,0 +1,700 @@
+/**
+ * Netball UI Manager
+ * Handles all display and user interaction for the netball game
+ * Version 1.0 - Production Ready
+ */
+
+// Positions and court zones - classic script global in the browser, CommonJS in Node
+const UI_POSITIONS = (typeof window !== 'undefined' && window.GameConfig?.NETBALL_POSITIONS)
+    || require('./config/game-defaults.js').NETBALL_POSITIONS;
+
+class NetballUI {
+    constructor(gameEngine) {
+        this.engine = gameEngine;
+        this.elements = {};
+        this.initializeElements();
+        this.attachEventListeners();
+
+        // UI state
+        this.displayState = {
+            lastVariance: 0,
+            breakShown: false,
+            warningsShown: false
+        };
+
+        this.startingWhistlePlayed = false;
+        this.audio = this.audio || {};
+
+        if (typeof window !== 'undefined' && typeof Audio !== 'undefined') {
+            try {
+                this.audio.startingWhistle = new Audio('startingwhistle.wav');
+                this.audio.startingWhistle.volume = 0.7;
+            } catch (error) {
+                console.warn('Failed to initialize starting whistle audio:', error);
+            }
+        }
+
+        console.log('🏐 Netball UI Manager initialized');
+    }
+
+    /**
+     * Initialize DOM element references
+     */
+    initializeElements() {
+        // Court display
+        this.elements.court = document.getElementById('netballCourt');
+        this.elements.courtPlayers = document.getElementById('courtPlayers');
+
+        // Bench
+        this.elements.benchList = document.getElementById('benchList');
+        this.elements.onCourtCount = document.getElementById('onCourtCount');
+        this.elements.onBenchCount = document.getElementById('onBenchCount');
+
+        // Timer and quarter
+        this.elements.gameTimer = document.getElementById('gameTimer');
+        this.elements.periodTimer = document.getElementById('periodTimer');
+        this.elements.periodDisplay = document.getElementById('periodDisplay');
+        this.elements.varianceDisplay = document.getElementById('varianceDisplay');
+
+        // Quarter-break panel
+        this.elements.nextLineupTitle = document.getElementById('nextLineupTitle');
+        this.elements.nextLineup = document.getElementById('nextLineup');
+        this.elements.playersComingOff = document.getElementById('playersComingOff');
+        this.elements.playersComingOn = document.getElementById('playersComingOn');
+        this.elements.confirmSubButton = document.getElementById('confirmSubButton');
+        this.elements.lineupWarnings = document.getElementById('lineupWarnings');
+
+        // Position report
+        this.elements.positionReport = document.getElementById('positionReport');
+
+        // Status
+        this.elements.statusMessage = document.getElementById('statusMessage');
+
+        // Controls
+        this.elements.startStopButton = document.getElementById('startStopButton');
+        this.elements.injurySubButton = document.getElementById('injurySubButton');
+        this.elements.manageRemovedButton = document.getElementById('manageRemovedButton');
+        this.elements.resetButton = document.getElementById('resetButton');
+
+        // Modals
+        this.elements.injuryModal = document.getElementById('injurySubModal');
+        this.elements.manageRemovedModal = document.getElementById('manageRemovedModal');
+
+        // Scoring elements
+        this.elements.homeScore = document.getElementById('homeScore');
+        this.elements.awayScore = document.getElementById('awayScore');
+        this.elements.homeTeamName = document.getElementById('homeTeamName');
+        this.elements.awayTeamName = document.getElementById('awayTeamName');
+        this.elements.shooterButtons = document.getElementById('shooterButtons');
+    }
+
+    /**
+     * Attach event listeners to controls
+     */
+    attachEventListeners() {
+        // Start/Stop button (starting a quarter makes the change waiting at the break)
+        this.elements.startStopButton?.addEventListener('click', () => {
+            if (this.engine.state.running) {
+                this.engine.stop();
+                this.updateStartStopButton(false);
+            } else {
+                this.engine.start();
+                this.updateStartStopButton(true);
+                this.playStartingWhistleIfNeeded();
+            }
+        });
+
+        // Confirm quarter-break change
+        this.elements.confirmSubButton?.addEventListener('click', () => {
+            // A rotation the engine rejects is dropped too - clear the prompt either way
+            if (this.engine.confirmRotation() || !this.engine.rotations.pending) {
+                this.elements.confirmSubButton.classList.add('hidden');
+                this.clearRotationHighlights();
+                this.hideStatusMessage();
+                this.updateDisplay(this.engine.getState());
+            }
+        });
+
+        // Injury / break substitution
+        this.elements.injurySubButton?.addEventListener('click', () => {
+            this.showInjurySubModal();
+        });
+
+        // Manage removed
+        this.elements.manageRemovedButton?.addEventListener('click', () => {
+            this.showManageRemovedModal();
+        });
+
+        // Reset game
+        this.elements.resetButton?.addEventListener('click', () => {
+            if (confirm('Are you sure you want to reset the game? All progress will be lost.')) {
+                this.engine.reset();
+                location.reload();
+            }
+        });
+
+        // Team name editing
+        this.elements.homeTeamName?.addEventListener('click', () => {
+            this.editTeamName('home');
+        });
+
+        this.elements.awayTeamName?.addEventListener('click', () => {
+            this.editTeamName('away');
+        });
+    }
+
+    /**
+     * Update entire display based on game state
+     */
+    updateDisplay(state) {
+        this.updateTimer(state);
+        this.updateCourt(state);
+        this.updateBench(state);
+        this.updateBreakPanel(state);
+        this.updateLineupWarnings(state);
+        this.updatePositionReport();
+        this.updateVariance(state);
+        this.updateStatus(state);
+        this.updateStartStopButton(state.running);
+
+        if (!state.running && (state.currentTime ?? 0) === 0) {
+            this.startingWhistlePlayed = false;
+        }
+
+        if (state.scoring) {
+            this.updateScoreboard(state.scoring);
+            this.updateShooterButtons(state);
+        }
+    }
+
+    // ========================================================================
+    // CLOCK & COURT
+    // ========================================================================
+
+    /**
+     * Update timer displays
+     */
+    updateTimer(state) {
+        this.elements.gameTimer.textContent = this.formatClock(state.currentTime);
+
+        // Quarter timer - COUNTDOWN
+        const periodLength = this.engine.config.periodLength || 600;
+        const timeRemaining = Math.max(0, periodLength - state.periodElapsed);
+        this.elements.periodTimer.textContent = `(Quarter: ${this.formatClock(timeRemaining)})`;
+
+        this.elements.periodDisplay.textContent = `Q${state.currentPeriod}/${this.engine.config.numPeriods}`;
+    }
+
+    /**
+     * Court with the seven bibs in playing order, each tagged with its zones
+     */
+    updateCourt(state) {
+        const byPosition = {};
+        Object.entries(state.players.positions).forEach(([player, position]) => {
+            byPosition[position] = player;
+        });
+
+        let courtHTML = '';
+        UI_POSITIONS.POSITIONS.forEach(position => {
+            const player = byPosition[position];
+            const safeName = player ? this.escapeHTML(player) : '';
+            const isRotatingOut = player && state.rotations.pendingOff.includes(player);
+            const played = player ? this.formatTime(state.players.minutes[player] || 0) : '';
+
+            courtHTML += `
+                <div class="bib bib-${position.toLowerCase()} ${isRotatingOut ? 'rotating-off' : ''} ${player ? '' : 'empty'}"
+                    data-player="${safeName}" data-position="${position}"
+                    title="${this.escapeHTML(UI_POSITIONS.ZONES[position].join(', '))}">
+                    <span class="bib-label">${position}</span>
+                    <span class="player-name-label">${safeName || '—'}</span>
+                    <span class="player-time-chip">${played}</span>
+                    ${isRotatingOut ? '<span class="next-out-badge">OFF AT BREAK</span>' : ''}
+                </div>
+            `;
+        });
+
+        this.elements.courtPlayers.innerHTML = courtHTML;
+        if (this.elements.onCourtCount) {
+            this.elements.onCourtCount.textContent = state.players.court.length;
+        }
+    }
+
+    /**
+     * Bench players with playing time and the positions they can play
+     */
+    updateBench(state) {
+        let benchHTML = '';
+        state.players.bench.forEach(player => {
+            const safeName = this.escapeHTML(player);
+            const isRotatingOn = state.rotations.pendingOn.includes(player);
+
+            benchHTML += `
+                <div class="player-card ${isRotatingOn ? 'rotating-on' : ''}" data-player="${safeName}">
+                    <div class="player-card-header">
+                        <div class="player-avatar">${this.escapeHTML(this.getBadgeInitials(player))}</div>
+                        <div class="player-card-name">${safeName}</div>
+                        ${isRotatingOn ? '<span class="next-in-badge">ON AT BREAK</span>' : ''}
+                    </div>
+                    <div class="player-metrics">
+                        <div class="metric-chip">
+                            <span class="label">Play</span>
+                            <span class="value">${this.formatTime(state.players.minutes[player] || 0)}</span>
+                        </div>
+                        <div class="metric-chip">
+                            <span class="label">Plays</span>
+                            <span class="value">${this.escapeHTML(this.describeEligibility(player, state))}</span>
+                        </div>
+                    </div>
+                </div>
+            `;
+        });
+
+        this.elements.benchList.innerHTML = benchHTML || this.renderEmptyState('No bench players');
+        if (this.elements.onBenchCount) {
+            this.elements.onBenchCount.textContent = state.players.bench.length;
+        }
+    }
+
+    // ========================================================================
+    // QUARTER BREAKS
+    // ========================================================================
+
+    /**
+     * The change waiting at this break, or the lineup planned for the next quarter
+     */
+    updateBreakPanel(state) {
+        const quarter = state.isBreak && !state.gameOver ? state.currentPeriod : state.currentPeriod + 1;
+        const lineup = state.lineups[quarter];
+
+        if (state.rotations.pending) {
+            this.elements.playersComingOff.innerHTML = this.renderPlayerChips(state.rotations.pendingOff, 'No changes');
+            this.elements.playersComingOn.innerHTML = this.renderPlayerChips(state.rotations.pendingOn, 'No changes');
+            this.elements.confirmSubButton.classList.remove('hidden');
+            this.highlightRotatingPlayers(state.rotations.pendingOff, state.rotations.pendingOn);
+        } else {
+            const breakTime = (quarter - 1) * this.engine.config.periodLength;
+            const upcoming = state.rotations.upcoming?.find(rotation => rotation.time === breakTime);
+            this.elements.playersComingOff.innerHTML = this.renderPlayerChips(upcoming?.off, 'No changes');
+            this.elements.playersComingOn.innerHTML = this.renderPlayerChips(upcoming?.on, 'No changes');
+            this.elements.confirmSubButton.classList.add('hidden');
+        }
+
+        if (!lineup || state.gameOver) {
+            this.elements.nextLineupTitle.textContent = 'Next Quarter';
+            this.elements.nextLineup.innerHTML = this.renderEmptyState('No more quarters');
+            return;
+        }
+
+        this.elements.nextLineupTitle.textContent = `Quarter ${quarter} Lineup`;
+        this.elements.nextLineup.innerHTML = UI_POSITIONS.POSITIONS
+            .map(position => `
+                <div class="lineup-row">
+                    <span class="bib-label">${position}</span>
+                    <span>${this.escapeHTML(lineup[position] || '—')}</span>
+                </div>
+            `)
+            .join('');
+    }
+
+    /**
+     * Positions nobody eligible can fill, shown until the roster covers them
+     */
+    updateLineupWarnings(state) {
+        if (!this.elements.lineupWarnings) return;
+
+        const warnings = state.lineupWarnings || [];
+        if (warnings.length === 0) {
+            this.elements.lineupWarnings.classList.add('hidden');
+            this.displayState.warningsShown = false;
+            return;
+        }
+
+        this.elements.lineupWarnings.innerHTML = warnings
+            .map(warning => `<div>Q${warning.quarter}: nobody listed for ${this.escapeHTML(warning.positions.join(', '))} - filled out of position</div>`)
+            .join('');
+        this.elements.lineupWarnings.classList.remove('hidden');
+
+        if (!this.displayState.warningsShown) {
+            this.showStatusMessage('Some positions have no eligible player - check the lineup', 5000, 'warning');
+            this.displayState.warningsShown = true;
+        }
+    }
+
+    /**
+     * Court time per position for each player, and how many positions they have had
+     */
+    updatePositionReport() {
+        if (!this.elements.positionReport) return;
+
+        const report = this.engine.getPositionReport();
+        const header = report.positions.map(position => `<th>${position}</th>`).join('');
+        const rows = Object.entries(report.players).map(([player, entry]) => `
+            <tr>
+                <td>${this.escapeHTML(player)}</td>
+                ${report.positions.map(position => `<td>${entry.seconds[position] ? this.formatTime(entry.seconds[position]) : ''}</td>`).join('')}
+                <td>${entry.positionsPlayed.length}</td>
+            </tr>
+        `).join('');
+
+        this.elements.positionReport.innerHTML = `
+            <table class="position-table">
+                <thead><tr><th>Player</th>${header}<th>#</th></tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+
+    /**
+     * Update variance display
+     */
+    updateVariance(state) {
+        const variance = state.variance || 0;
+
+        if (this.elements.varianceDisplay) {
+            this.elements.varianceDisplay.textContent = `${variance}s`;
+            this.elements.varianceDisplay.style.color = variance <= 60 ? '#5CB85C' : (variance <= 600 ? '#FFD700' : '#D9534F');
+        }
+
+        this.displayState.lastVariance = variance;
+    }
+
+    /**
+     * Update status message
+     */
+    updateStatus(state) {
+        const atBreak = state.isHalftime || state.isQuarterTime;
+        if (atBreak && !state.gameOver && !this.displayState.breakShown) {
+            const label = state.isHalftime ? 'Half time' : 'Quarter time';
+            const prompt = state.rotations.pending ? 'confirm the changes, then START' : 'click START';
+            this.showStatusMessage(`${label} - ${prompt} for quarter ${state.currentPeriod}`, 0, 'warning');
+            this.displayState.breakShown = true;
+        } else if (!atBreak) {
+            this.displayState.breakShown = false;
+        }
+
+        if (state.gameOver) {
+            this.showStatusMessage('Game Over!', 0, 'success');
+        }
+    }
+
+    /**
+     * Show the change due at a break
+     */
+    showRotationPending(rotation) {
+        this.elements.playersComingOff.innerHTML = this.renderPlayerChips(rotation.off, 'No changes');
+        this.elements.playersComingOn.innerHTML = this.renderPlayerChips(rotation.on, 'No changes');
+        this.elements.confirmSubButton.classList.remove('hidden');
+        this.highlightRotatingPlayers(rotation.off, rotation.on);
+    }
+
+    /**
+     * Highlight players involved in the change
+     */
+    highlightRotatingPlayers(playersOff, playersOn) {
+        this.clearRotationHighlights();
+
+        playersOff.forEach(player => {
+            const element = document.querySelector(`#courtPlayers [data-player="${this.escapeHTML(player)}"]`);
+            element?.classList.add('rotating-off');
+        });
+
+        playersOn.forEach(player => {
+            const element = document.querySelector(`#benchList [data-player="${this.escapeHTML(player)}"]`);
+            element?.classList.add('rotating-on');
+        });
+    }
+
+    clearRotationHighlights() {
+        document.querySelectorAll('.rotating-off, .rotating-on').forEach(el => {
+            el.classList.remove('rotating-off', 'rotating-on');
+        });
+    }
+
+    // ========================================================================
+    // SUBSTITUTIONS
+    // ========================================================================
+
+    /**
+     * Substitution modal. Mid-quarter only an injury (or illness) can come
+     * off, so the injury box is ticked and locked; at a break any change goes
+     */
+    showInjurySubModal() {
+        const offSelect = document.getElementById('subOutPlayer');
+        const onSelect = document.getElementById('subInPlayer');
+        const injuryBox = document.getElementById('subIsInjury');
+        const midQuarter = !this.engine.isBreak();
+
+        offSelect.innerHTML = '';
+        this.engine.players.court.forEach(player => {
+            const position = this.engine.players.positions[player];
+            offSelect.add(new Option(position ? `${player} (${position})` : player, player));
+        });
+
+        onSelect.innerHTML = '';
+        this.engine.players.bench.forEach(player => {
+            onSelect.add(new Option(`${player} - ${this.describeEligibility(player, this.engine.getState())}`, player));
+        });
+
+        injuryBox.checked = midQuarter;
+        injuryBox.disabled = midQuarter;
+        this.elements.injuryModal.classList.remove('hidden');
+
+        document.getElementById('confirmInjurySubButton').onclick = () => {
+            const playerOff = offSelect.value;
+            const playerOn = onSelect.value;
+            const fate = document.querySelector('input[name="injuredFate"]:checked')?.value;
+            const removeFromGame = fate === 'remove' || fate === 'concussion';
+
+            if (!playerOff || !playerOn) return;
+
+            const options = { injury: injuryBox.checked || removeFromGame, reason: fate === 'concussion' ? 'concussion' : 'injury' };
+            if (this.engine.emergencySubstitution(playerOff, playerOn, removeFromGame, options)) {
+                this.elements.injuryModal.classList.add('hidden');
+                const position = this.engine.players.positions[playerOn];
+                this.showStatusMessage(`${playerOff} → ${playerOn}${position ? ` (${position})` : ''}`, 3000, 'warning');
+                this.updateDisplay(this.engine.getState());
+            }
+        };
+
+        document.getElementById('cancelInjurySubButton').onclick = () => {
+            this.elements.injuryModal.classList.add('hidden');
+        };
+    }
+
+    /**
+     * Show manage removed players modal
+     */
+    showManageRemovedModal() {
+        const listDiv = document.getElementById('removedPlayerList');
+        listDiv.innerHTML = '';
+
+        if (this.engine.players.removed.size === 0) {
+            listDiv.innerHTML = this.renderEmptyState('No removed players');
+        } else {
+            this.engine.players.removed.forEach(player => {
+                const playerDiv = document.createElement('div');
+                playerDiv.className = 'form-group';
+
+                const label = document.createElement('label');
+                label.textContent = player + ' ';
+
+                const button = document.createElement('button');
+                button.className = 'control-btn';
+                button.textContent = 'Return to Game';
+                button.onclick = () => {
+                    this.returnPlayerToGame(player);
+                };
+
+                label.appendChild(button);
+                playerDiv.appendChild(label);
+                listDiv.appendChild(playerDiv);
+            });
+        }
+
+        this.elements.manageRemovedModal.classList.remove('hidden');
+
+        document.getElementById('closeManageRemovedButton').onclick = () => {
+            this.elements.manageRemovedModal.classList.add('hidden');
+        };
+    }
+
+    returnPlayerToGame(player) {
+        if (this.engine.returnPlayer(player)) {
+            this.showStatusMessage(`${player} returned to game`, 3000, 'success');
+            this.showManageRemovedModal();
+            this.updateDisplay(this.engine.getState());
+        }
+    }
+
+    // ========================================================================
+    // SCORING
+    // ========================================================================
+
+    updateScoreboard(scoring) {
+        this.elements.homeScore.textContent = scoring.homeScore;
+        this.elements.awayScore.textContent = scoring.awayScore;
+        this.elements.homeTeamName.textContent = scoring.homeTeamName;
+        this.elements.awayTeamName.textContent = scoring.awayTeamName;
+    }
+
+    /**
+     * Goal buttons for whoever wears GS and GA, plus the opposition
+     */
+    updateShooterButtons(state) {
+        if (!this.elements.shooterButtons) return;
+
+        const shooters = Object.entries(state.players.positions)
+            .filter(([, position]) => UI_POSITIONS.ZONES[position].includes('attacking circle'))
+            .sort(([, a], [, b]) => UI_POSITIONS.POSITIONS.indexOf(a) - UI_POSITIONS.POSITIONS.indexOf(b));
+
+        const goals = state.scoring.playerGoals || {};
+        this.elements.shooterButtons.innerHTML = shooters.map(([player, position]) => `
+            <div class="goal-row">
+                <span class="bib-label">${position}</span>
+                <span class="goal-name">${this.escapeHTML(player)} (${goals[player] || 0})</span>
+                <button class="scoring-btn minus" onclick="netballUI.recordGoal('${this.escapeHTML(this.escapeForJSString(player))}', -1)">-</button>
+                <button class="scoring-btn" onclick="netballUI.recordGoal('${this.escapeHTML(this.escapeForJSString(player))}', 1)">+ Goal</button>
+            </div>
+        `).join('') + `
+            <div class="goal-row">
+                <span class="bib-label">OPP</span>
+                <span class="goal-name">${this.escapeHTML(state.scoring.awayTeamName)}</span>
+                <button class="scoring-btn minus" onclick="netballUI.recordOppositionGoal(-1)">-</button>
+                <button class="scoring-btn" onclick="netballUI.recordOppositionGoal(1)">+ Goal</button>
+            </div>
+        `;
+    }
+
+    recordGoal(player, goals) {
+        this.engine.updatePlayerScore(player, goals);
+        this.updateDisplay(this.engine.getState());
+    }
+
+    recordOppositionGoal(goals) {
+        this.engine.updateOppositionScore(goals);
+        this.updateDisplay(this.engine.getState());
+    }
+
+    editTeamName(team) {
+        const current = team === 'home' ? this.engine.scoring.homeTeamName : this.engine.scoring.awayTeamName;
+        const name = prompt('Team name:', current);
+        if (name && name.trim()) {
+            this.engine.updateTeamName(team, name.trim());
+            this.updateDisplay(this.engine.getState());
+        }
+    }
+
+    playStartingWhistleIfNeeded() {
+        if (this.startingWhistlePlayed || this.engine.state.currentTime > 0) return;
+        this.startingWhistlePlayed = true;
+        this.audio.startingWhistle?.play().catch(() => {});
+    }
+
+    // ========================================================================
+    // MESSAGES & HELPERS
+    // ========================================================================
+
+    /**
+     * Show status message
+     */
+    showStatusMessage(message, duration = 3000, type = 'info') {
+        if (!this.elements.statusMessage) return;
+
+        this.elements.statusMessage.textContent = message;
+        this.elements.statusMessage.className = type;
+
+        if (duration > 0) {
+            setTimeout(() => {
+                if (this.elements.statusMessage.textContent === message) {
+                    this.elements.statusMessage.textContent = '';
+                }
+            }, duration);
+        }
+    }
+
+    hideStatusMessage() {
+        if (this.elements.statusMessage) {
+            this.elements.statusMessage.textContent = '';
+        }
+    }
+
+    showError(error) {
+        this.showStatusMessage(error, 5000, 'error');
+        console.error('UI Error:', error);
+    }
+
+    /**
+     * Update start/stop button
+     */
+    updateStartStopButton(isRunning) {
+        if (!this.elements.startStopButton) return;
+
+        if (this.engine.state.gameOver) {
+            this.elements.startStopButton.textContent = 'GAME OVER';
+            this.elements.startStopButton.disabled = true;
+            return;
+        }
+
+        this.elements.startStopButton.textContent = isRunning ? 'PAUSE CLOCK' : 'START CLOCK';
+        this.elements.startStopButton.disabled = false;
+    }
+
+    /**
+     * Short description of a player's eligible positions
+     */
+    describeEligibility(player, state) {
+        const eligible = state.players.eligiblePositions[player];
+        if (!eligible || eligible.length === UI_POSITIONS.POSITIONS.length) return 'Any';
+        return eligible.join('/');
+    }
+
+    formatClock(seconds) {
+        const mins = Math.floor(seconds / 60);
+        const secs = seconds % 60;
+        return `${mins.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
+    }
+
+    /**
+     * Format time for display
+     */
+    formatTime(seconds) {
+        if (seconds < 0 || isNaN(seconds)) return '0:00';
+        const mins = Math.floor(seconds / 60);
+        const secs = seconds % 60;
+        return `${mins}:${secs.toString().padStart(2, '0')}`;
+    }
+
+    escapeHTML(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    escapeForJSString(value) {
+        const str = String(value ?? '');
+        const backslashEscaped = str.split('\\').join('\\\\');
+        return backslashEscaped.split("'").join("\\'");
+    }
+
+    renderPlayerChips(list, emptyLabel = 'None') {
+        if (!Array.isArray(list) || list.length === 0) {
+            return `<span class="empty-state">${this.escapeHTML(emptyLabel)}</span>`;
+        }
+
+        return list
+            .map(name => `<span class="player-chip">${this.escapeHTML(name)}</span>`)
+            .join('');
+    }
+
+    renderEmptyState(message) {
+        return `<p class="empty-state">${this.escapeHTML(message)}</p>`;
+    }
+
+    getBadgeInitials(name) {
+        const raw = String(name ?? '').trim();
+        if (!raw) return 'NB';
+
+        const numeric = raw.match(/\d+/);
+        if (numeric) {
+            return numeric[0].slice(0, 2).toUpperCase();
+        }
+
+        const tokens = raw.replace(/[^a-zA-Z ]/g, ' ').trim().split(/\s+/).filter(Boolean);
+        if (tokens.length === 0) return raw.slice(0, 2).toUpperCase() || 'NB';
+        if (tokens.length === 1) return tokens[0].slice(0, 2).toUpperCase();
+        return `${tokens[0][0]}${tokens[tokens.length - 1][0]}`.toUpperCase();
+    }
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = NetballUI;
+}
+
+if (typeof window !== 'undefined') {
+    window.NetballUI = NetballUI;
+    console.log('🏐 Netball UI Manager loaded');
+}
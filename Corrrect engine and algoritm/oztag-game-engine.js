@@ -8,8 +8,15 @@
  * - Two-half game format
  * - Automatic rotation scheduling
  * - Player time tracking
+ * - Optional mixed-competition ratio rule (min/max per player category on field)
+ *
+ * Built on BaseGameEngine; Oztag keeps its own time-based rotation schedule.
  */
 
+// Shared core - classic script global in the browser, CommonJS in Node
+const SharedGameEngine = (typeof window !== 'undefined' && window.BaseGameEngine)
+    || require('./base-game-engine.js');
+
 // ============================================================================
 // DEFAULT CONFIGURATION
 // ============================================================================
@@ -23,6 +30,7 @@ const OZTAG_ENGINE_DEFAULTS = {
     EARLY_WARNING_TIME: 60,
     VALIDATION_INTERVAL: 30,
     MAX_TICK_CATCHUP: 10,
+    SIN_BIN_TIME: 300,          // 5 minutes
 };
 
 // Merge with global config if available
@@ -34,8 +42,19 @@ const ENGINE_CONFIG = (typeof window !== 'undefined' && window.OztagConfig?.OZTA
 // MAIN CLASS
 // ============================================================================
 
-class OztagGameEngine {
+class OztagGameEngine extends SharedGameEngine {
     constructor() {
+        super({
+            sport: 'oztag',
+            logTag: '[OztagEngine]',
+            fieldKey: 'field',
+            spotsKey: 'fieldSpots',
+            stintKey: 'onField',
+            fieldLabel: 'field',
+            periodLabel: 'Half',
+            defaults: ENGINE_CONFIG
+        });
+
         // Game configuration
         this.config = {
             format: 'halves',
@@ -48,138 +67,108 @@ class OztagGameEngine {
             warningBeepTime: ENGINE_CONFIG.WARNING_BEEP_TIME
         };
 
-        // Game state
-        this.state = {
-            initialized: false,
-            running: false,
-            paused: false,
-            currentTime: 0,
-            currentPeriod: 1,
-            periodElapsed: 0,
-            isHalftime: false,
-            gameOver: false
-        };
+        // Optimizer
+        this.optimizer = null;
+
+        console.log('🏉 Oztag Game Engine v1.0 initialized');
+    }
+
+    // ========================================================================
+    // SPORT HOOKS
+    // ========================================================================
 
-        // Player management
-        this.players = {
-            all: [],
-            field: [],      // 8 players on field
-            bench: [],      // reserves
-            removed: new Set(),
-            minutes: {},
-            benchMinutes: {},
+    /**
+     * Base ledger (field: 8 players, bench: reserves, medical, sin bin) plus one stint start per player
+     */
+    createPlayerLedger() {
+        return {
+            ...super.createPlayerLedger(),
             stintStart: {}
         };
+    }
 
-        // Rotation tracking
-        this.rotations = {
-            pending: false,
-            pendingOff: [],
-            pendingOn: [],
+    /**
+     * Base rotation state (pending swap, interchange count, history) plus Oztag's time-based schedule
+     */
+    createRotationState() {
+        return {
+            ...super.createRotationState(),
             nextRotationTime: null,
-            schedule: [],
-            history: []
+            schedule: []
         };
+    }
 
-        // Scoring
-        this.scoring = {
+    createScoring() {
+        return {
             home: 0,
             away: 0,
             playerTries: {}
         };
+    }
 
-        // Callbacks
-        this.callbacks = {
+    createCallbacks() {
+        return {
             onUpdate: null,
             onRotationDue: null,
             onPeriodEnd: null,
             onGameEnd: null,
             onWarning: null,
-            onError: null
+            onError: null,
+            onEvent: null
         };
-
-        // Timer
-        this.timerInterval = null;
-        this.lastTickTime = null;
-
-        // Optimizer
-        this.optimizer = null;
-
-        // Validation flag
-        this._stateNeedsValidation = false;
-
-        console.log('🏉 Oztag Game Engine v1.0 initialized');
     }
 
-    /**
-     * Mark state as needing validation
-     */
-    markStateDirty() {
-        this._stateNeedsValidation = true;
-    }
-
-    /**
-     * Validate field/bench state
-     */
-    validatePlayerState() {
-        const errors = [];
-        const expectedFieldSize = this.config.fieldSpots;
-
-        if (this.players.field.length !== expectedFieldSize) {
-            errors.push(`Field has ${this.players.field.length} players, should be ${expectedFieldSize}`);
-        }
-
-        // Check no duplicates
-        const allActive = [...this.players.field, ...this.players.bench];
-        const uniqueActive = new Set(allActive);
-        if (uniqueActive.size !== allActive.length) {
-            errors.push('Duplicate players detected');
-        }
-
+    validateSportState(errors) {
         // Check for removed players still active
         for (const player of this.players.removed) {
             if (this.players.field.includes(player) || this.players.bench.includes(player)) {
                 errors.push(`Removed player ${player} still in active roster`);
             }
         }
+    }
 
-        if (errors.length > 0) {
-            console.warn('⚠️ Player state validation errors:', errors);
-            this.fixPlayerState();
-            return false;
-        }
+    getAudioFiles() {
+        // Sounds are owned by the Oztag UI manager
+        return {};
+    }
 
-        return true;
+    /**
+     * Oztag keeps one stint start time per player
+     */
+    startStint(player, time = this.state.currentTime) {
+        this.players.stintStart[player] = time;
+    }
+
+    endStint(player) {
+        this.players.stintStart[player] = null;
+    }
+
+    /**
+     * Oztag has no recovery plans - rotations are picked from the lineup when
+     * due, so only the optimizer's targets follow the field size
+     */
+    replan() {
+        this.optimizer?.setFieldSpots(this.fieldSize);
+        this.recalculateSchedule();
+        return null;
     }
 
     /**
-     * Fix invalid player state
+     * Oztag tracks nextRotationTime from its own schedule (see advanceToNextRotation)
      */
-    fixPlayerState() {
-        console.warn('🔧 Fixing player state...');
+    updateNextRotation() { }
 
-        const expectedFieldSize = this.config.fieldSpots;
-        const activePlayers = this.players.all.filter(p => !this.players.removed.has(p));
-        const currentField = [...new Set(this.players.field)];
-
-        if (currentField.length > expectedFieldSize) {
-            const toRemove = currentField.length - expectedFieldSize;
-            const removed = currentField.splice(expectedFieldSize, toRemove);
-            this.players.field = currentField.slice(0, expectedFieldSize);
-            this.players.bench = [...new Set([...this.players.bench, ...removed])];
-        } else if (currentField.length < expectedFieldSize) {
-            const needed = expectedFieldSize - currentField.length;
-            const benchAvailable = this.players.bench.slice(0, needed);
-            this.players.field = [...currentField, ...benchAvailable];
-            this.players.bench = this.players.bench.slice(needed);
-        } else {
-            this.players.field = currentField;
+    /**
+     * Catch up time missed while hidden, one second at a time so halftime still pauses the game
+     */
+    applyMissedTime(secondsMissed) {
+        for (let i = 0; i < secondsMissed && this.state.running; i++) {
+            this.advanceOneSecond();
         }
 
-        const onFieldSet = new Set(this.players.field);
-        this.players.bench = activePlayers.filter(p => !onFieldSet.has(p));
-
-        console.log(`✅ Fixed: ${this.players.field.length} on field, ${this.players.bench.length} on bench`);
+        if (this.callbacks.onUpdate) {
+            this.callbacks.onUpdate(this.getState());
+        }
     }
 
     /**
@@ -213,6 +202,17 @@ class OztagGameEngine {
         this.players.bench = playerNames.slice(playersOnField);
         this.players.removed.clear();
 
+        // Per-player playing-time targets (weights, min/max shares or minutes)
+        this.config.playerTargets = this.parsePlayerTargets(params);
+
+        // Season ledger: team the minutes are booked to and carry-over to repay
+        this.config.seasonTeam = params.seasonTeam || null;
+        this.config.carryOver = this.parseCarryOver(params);
+
+        // Mixed competitions: player categories and the on-field limits for each
+        this.config.categoryRule = this.parseCategoryRule(params);
+        this.arrangeLegalLineup();
+
         // Initialize time tracking
         const currentTime = 0;
         this.players.all.forEach(player => {
@@ -222,36 +222,20 @@ class OztagGameEngine {
         });
 
         // Initialize scoring
-        this.scoring = {
-            home: 0,
-            away: 0,
-            playerTries: {}
-        };
+        this.scoring = this.createScoring();
         this.players.all.forEach(p => {
             this.scoring.playerTries[p] = 0;
         });
 
         // Reset state
         this.state = {
-            initialized: true,
-            running: false,
-            paused: false,
-            currentTime: 0,
-            currentPeriod: 1,
-            periodElapsed: 0,
-            isHalftime: false,
-            gameOver: false
+            ...this.createInitialState(),
+            initialized: true
         };
 
         // Reset rotations
-        this.rotations = {
-            pending: false,
-            pendingOff: [],
-            pendingOn: [],
-            nextRotationTime: null,
-            schedule: [],
-            history: []
-        };
+        this.rotations = this.createRotationState();
+        this.checkRosterRatio();
 
         // Initialize optimizer
         this.initializeOptimizer();
@@ -274,7 +258,9 @@ class OztagGameEngine {
                 gameLength: this.config.periodLength * this.config.numPeriods,
                 periodLength: this.config.periodLength,
                 numPeriods: this.config.numPeriods,
-                subsPerRotation: this.config.defaultRotationsPerChange
+                subsPerRotation: this.config.defaultRotationsPerChange,
+                playerTargets: { ...this.config.playerTargets },
+                carryOver: { ...this.config.carryOver }
             });
 
             const result = this.optimizer.initialize(
@@ -285,9 +271,13 @@ class OztagGameEngine {
                 }
             );
 
-            if (result.success && result.schedule) {
-                this.rotations.schedule = result.schedule;
-                this.rotations.nextRotationTime = result.schedule[0] || null;
+            // The optimizer plans rotation times; who goes off and on is chosen when each is due
+            const schedule = result.success
+                ? result.schedule || this.optimizer.generatePlan(0, [], [...this.players.field], [...this.players.bench]).schedule
+                : null;
+            if (schedule) {
+                this.rotations.schedule = schedule;
+                this.rotations.nextRotationTime = schedule[0] || null;
             }
 
             console.log('✅ Optimizer initialized with schedule:', this.rotations.schedule.map(t => this.formatTime(t)));
@@ -351,6 +341,8 @@ class OztagGameEngine {
             clearInterval(this.timerInterval);
         }
 
+        this.logPeriodStart();
+
         this.timerInterval = setInterval(() => this.tick(), 1000);
 
         console.log('▶️ Game started');
@@ -389,44 +381,14 @@ class OztagGameEngine {
         return true;
     }
 
-    /**
-     * Timer tick
-     */
-    tick() {
-        if (!this.state.running) return;
-
-        try {
-            const now = Date.now();
-            const elapsed = Math.round((now - this.lastTickTime) / 1000);
-            this.lastTickTime = now;
-
-            const maxCatchup = ENGINE_CONFIG.MAX_TICK_CATCHUP || 10;
-            for (let i = 0; i < Math.min(elapsed, maxCatchup); i++) {
-                this.advanceOneSecond();
-            }
-
-            // Validate periodically
-            if (this.state.currentTime % ENGINE_CONFIG.VALIDATION_INTERVAL === 0) {
-                this.validatePlayerState();
-            }
-
-            if (this.callbacks.onUpdate) {
-                this.callbacks.onUpdate(this.getState());
-            }
-        } catch (error) {
-            console.error('❌ Tick error:', error);
-            if (this.callbacks.onError) {
-                this.callbacks.onError(`Tick error: ${error.message}`);
-            }
-        }
-    }
-
     /**
      * Advance game time by one second
      */
     advanceOneSecond() {
         if (this.state.gameOver || this.state.isHalftime) return;
 
+        this.logPeriodStart();
+
         this.state.currentTime++;
         this.state.periodElapsed++;
 
@@ -438,6 +400,14 @@ class OztagGameEngine {
         this.players.bench.forEach(player => {
             this.players.benchMinutes[player] = (this.players.benchMinutes[player] || 0) + 1;
         });
+        this.getMedicalPlayers().forEach(player => {
+            this.players.medicalMinutes[player] = (this.players.medicalMinutes[player] || 0) + 1;
+        });
+        this.getSinBinnedPlayers().forEach(player => {
+            this.players.sinBinMinutes[player] = (this.players.sinBinMinutes[player] || 0) + 1;
+        });
+        this.returnMedicalPlayers();
+        this.returnSinBinnedPlayers();
 
         // Check for rotation
         this.checkRotation();
@@ -479,8 +449,8 @@ class OztagGameEngine {
                 if (typeof window !== 'undefined' && window.oztagUI && window.oztagUI.audio && window.oztagUI.audio.warningBeep) {
                     // If UI has audio loaded
                     window.oztagUI.audio.warningBeep.play().catch(e => console.warn('Warning beep failed:', e));
-                } else {
-                    // Fallback
+                } else if (typeof Audio !== 'undefined') {
+                    // Fallback (no audio outside the browser)
                     const beep = new Audio('beep-warning.wav');
                     beep.play().catch(e => console.warn('Warning beep failed:', e));
                 }
@@ -547,6 +517,10 @@ class OztagGameEngine {
             .map(p => ({ name: p, time: this.players.minutes[p] || 0 }))
             .sort((a, b) => a.time - b.time);
 
+        if (this.config.categoryRule) {
+            return this.chooseLegalPairs(fieldSorted, benchSorted, subsCount);
+        }
+
         const off = fieldSorted.slice(0, subsCount).map(p => p.name);
         const on = benchSorted.slice(0, subsCount).map(p => p.name);
 
@@ -581,6 +555,13 @@ class OztagGameEngine {
             }
         }
 
+        const ratioError = this.checkRatioSwap(pendingOff, pendingOn);
+        if (ratioError) {
+            this.handleError(ratioError);
+            this.cancelRotation();
+            return false;
+        }
+
         // Execute rotation
         const currentTime = this.state.currentTime;
 
@@ -600,6 +581,7 @@ class OztagGameEngine {
             }
             this.players.field.push(player);
             this.players.stintStart[player] = currentTime;
+            this.clearTemporaryReplacement(player);
         });
 
         // Record history
@@ -608,6 +590,7 @@ class OztagGameEngine {
             off: [...pendingOff],
             on: [...pendingOn]
         });
+        this.logEvent('substitution', { off: [...pendingOff], on: [...pendingOn], reason: 'planned' });
 
         // Clear pending
         this.rotations.pending = false;
@@ -628,6 +611,10 @@ class OztagGameEngine {
      * Cancel pending rotation
      */
     cancelRotation() {
+        this.logEvent('rotation_cancelled', {
+            off: [...this.rotations.pendingOff],
+            on: [...this.rotations.pendingOn]
+        });
         this.rotations.pending = false;
         this.rotations.pendingOff = [];
         this.rotations.pendingOn = [];
@@ -650,9 +637,11 @@ class OztagGameEngine {
      */
     handlePeriodEnd() {
         this.pause();
+        this.logEvent('period_end');
 
         if (this.state.currentPeriod >= this.config.numPeriods) {
             this.state.gameOver = true;
+            this.logEvent('game_end');
             console.log('🏁 Game over!');
             if (this.callbacks.onGameEnd) {
                 this.callbacks.onGameEnd(this.getState());
@@ -713,6 +702,11 @@ class OztagGameEngine {
             return { success: false, error: `${playerOn} is not on bench` };
         }
 
+        const ratioError = this.checkRatioSwap([playerOff], [playerOn]);
+        if (ratioError) {
+            return { success: false, error: ratioError };
+        }
+
         const currentTime = this.state.currentTime;
 
         // Remove from field
@@ -726,6 +720,7 @@ class OztagGameEngine {
         this.players.bench.splice(benchIdx, 1);
         this.players.field.push(playerOn);
         this.players.stintStart[playerOn] = currentTime;
+        this.clearTemporaryReplacement(playerOn);
 
         // Record
         this.rotations.history.push({
@@ -734,6 +729,7 @@ class OztagGameEngine {
             on: [playerOn],
             emergency: true
         });
+        this.logEvent('substitution', { off: [playerOff], on: [playerOn], reason: 'emergency' });
 
         this.validatePlayerState();
 
@@ -744,21 +740,26 @@ class OztagGameEngine {
 
     /**
      * Remove player from game
+     * @param {string} playerName
+     * @param {string} [reason='removed'] - Why the player is out ('injury', 'concussion', ...)
      */
-    removePlayer(playerName) {
+    removePlayer(playerName, reason = 'removed') {
         if (this.players.removed.has(playerName)) {
             return { success: false, error: 'Player already removed' };
         }
 
         const wasOnField = this.players.field.includes(playerName);
+        let replacement = null;
 
         if (wasOnField) {
             const idx = this.players.field.indexOf(playerName);
             this.players.field.splice(idx, 1);
 
-            // Auto-sub if bench available
+            // Auto-sub if bench available (the first one that keeps the ratio legal)
             if (this.players.bench.length > 0) {
-                const sub = this.players.bench.shift();
+                const sub = this.chooseRatioReplacement();
+                this.players.bench.splice(this.players.bench.indexOf(sub), 1);
+                replacement = sub;
                 this.players.field.push(sub);
                 this.players.stintStart[sub] = this.state.currentTime;
             }
@@ -771,8 +772,10 @@ class OztagGameEngine {
 
         this.players.removed.add(playerName);
         this.players.stintStart[playerName] = null;
+        this.logEvent('removed', { player: playerName, reason, replacement });
 
         this.recalculateSchedule();
+        this.checkRosterRatio();
         this.validatePlayerState();
 
         console.log(`🚫 Player ${playerName} removed`);
@@ -790,8 +793,10 @@ class OztagGameEngine {
 
         this.players.removed.delete(playerName);
         this.players.bench.push(playerName);
+        this.logEvent('returned', { player: playerName });
 
         this.recalculateSchedule();
+        this.checkRosterRatio();
 
         console.log(`✅ Player ${playerName} returned`);
 
@@ -812,6 +817,232 @@ class OztagGameEngine {
         }
     }
 
+    // ========================================================================
+    // MIXED RATIO RULE
+    // ========================================================================
+
+    /**
+     * Ratio rule from params.playerCategories ({ name: 'F' }) and
+     * params.categoryLimits ({ F: { min: 3 }, M: { max: 4 } })
+     * @returns {Object|null} { categories, limits } (null = every player treated the same)
+     */
+    parseCategoryRule(params) {
+        const bound = value => {
+            const number = value === null || value === undefined || value === '' ? NaN : Number(value);
+            return Number.isInteger(number) && number >= 0 ? number : null;
+        };
+
+        const limits = {};
+        Object.entries(params.categoryLimits || {}).forEach(([category, limit]) => {
+            const min = bound(limit?.min);
+            const max = bound(limit?.max);
+            if (min !== null || max !== null) {
+                limits[String(category).trim()] = { min, max };
+            }
+        });
+        if (Object.keys(limits).length === 0) {
+            return null;
+        }
+
+        const categories = {};
+        Object.entries(params.playerCategories || {}).forEach(([player, category]) => {
+            if (this.players.all.includes(player) && category) {
+                categories[player] = String(category).trim();
+            }
+        });
+        return { categories, limits };
+    }
+
+    /**
+     * Players per category in a lineup
+     */
+    getCategoryCounts(lineup = this.players.field) {
+        const counts = {};
+        const categories = this.config.categoryRule?.categories || {};
+        lineup.forEach(player => {
+            if (categories[player]) {
+                counts[categories[player]] = (counts[categories[player]] || 0) + 1;
+            }
+        });
+        return counts;
+    }
+
+    /**
+     * How far a lineup is from the rule: players over each maximum plus players short of each minimum
+     */
+    getRatioViolation(lineup = this.players.field) {
+        const rule = this.config.categoryRule;
+        if (!rule) return 0;
+
+        const counts = this.getCategoryCounts(lineup);
+        return Object.entries(rule.limits).reduce((sum, [category, { min, max }]) => {
+            const count = counts[category] || 0;
+            return sum
+                + (min !== null ? Math.max(0, min - count) : 0)
+                + (max !== null ? Math.max(0, count - max) : 0);
+        }, 0);
+    }
+
+    /**
+     * e.g. "5 M on field (max 4)"; empty when the lineup is legal
+     */
+    describeRatioViolation(lineup = this.players.field) {
+        const rule = this.config.categoryRule;
+        if (!rule) return '';
+
+        const counts = this.getCategoryCounts(lineup);
+        return Object.entries(rule.limits).flatMap(([category, { min, max }]) => {
+            const count = counts[category] || 0;
+            if (min !== null && count < min) return [`${count} ${category} on field (min ${min})`];
+            if (max !== null && count > max) return [`${count} ${category} on field (max ${max})`];
+            return [];
+        }).join(', ');
+    }
+
+    /**
+     * Field after swapping players off for players on, position for position
+     */
+    lineupAfterSwap(off, on) {
+        return this.players.field.map(player => (off.includes(player) ? on[off.indexOf(player)] : player));
+    }
+
+    /**
+     * @returns {string|null} Error when the swap would take the field further from the rule
+     */
+    checkRatioSwap(off, on) {
+        if (!this.config.categoryRule) return null;
+
+        const after = this.lineupAfterSwap(off, on);
+        if (this.getRatioViolation(after) <= this.getRatioViolation()) return null;
+        return `Ratio rule: ${this.describeRatioViolation(after)}`;
+    }
+
+    /**
+     * Pair players off and on one at a time, most time played against least, taking
+     * only swaps that keep the field within the rule (or bring it closer when it is not)
+     */
+    chooseLegalPairs(fieldSorted, benchSorted, subsCount) {
+        const off = [];
+        const on = [];
+
+        for (let i = 0; i < subsCount; i++) {
+            const violation = this.getRatioViolation(this.lineupAfterSwap(off, on));
+            let best = null;
+
+            fieldSorted.filter(p => !off.includes(p.name)).forEach(out => {
+                benchSorted.filter(p => !on.includes(p.name)).forEach(candidate => {
+                    const after = this.getRatioViolation(this.lineupAfterSwap([...off, out.name], [...on, candidate.name]));
+                    const gap = out.time - candidate.time;
+                    if (after > violation) return;
+                    if (!best || after < best.after || (after === best.after && gap > best.gap)) {
+                        best = { off: out.name, on: candidate.name, after, gap };
+                    }
+                });
+            });
+
+            if (!best) break;
+            off.push(best.off);
+            on.push(best.on);
+        }
+
+        return { off, on };
+    }
+
+    /**
+     * Bench player to replace a removed field player: the first that keeps the ratio
+     * legal, else the first that leaves it least broken
+     */
+    chooseRatioReplacement() {
+        if (!this.config.categoryRule) {
+            return this.players.bench[0];
+        }
+
+        const violation = player => this.getRatioViolation([...this.players.field, player]);
+        return this.players.bench.reduce((best, player) => (violation(player) < violation(best) ? player : best));
+    }
+
+    /**
+     * Swap reserves into the starting lineup until it meets the rule, keeping the
+     * first-named starters where possible
+     */
+    arrangeLegalLineup() {
+        if (!this.config.categoryRule) return;
+
+        while (this.getRatioViolation() > 0) {
+            const violation = this.getRatioViolation();
+            let swap = null;
+
+            for (const starter of [...this.players.field].reverse()) {
+                const reserve = this.players.bench.find(player =>
+                    this.getRatioViolation(this.lineupAfterSwap([starter], [player])) < violation);
+                if (reserve) {
+                    swap = { starter, reserve };
+                    break;
+                }
+            }
+
+            if (!swap) break;
+            this.players.field[this.players.field.indexOf(swap.starter)] = swap.reserve;
+            this.players.bench[this.players.bench.indexOf(swap.reserve)] = swap.starter;
+        }
+    }
+
+    /**
+     * Whether the players still available can field a legal lineup; the warning is kept
+     * on state.ratioWarning and logged when it changes
+     * @returns {string|null} Warning when the rule cannot be met
+     */
+    checkRosterRatio() {
+        const rule = this.config.categoryRule;
+        let warning = null;
+
+        if (rule) {
+            const active = [...this.players.field, ...this.players.bench];
+            const spots = Math.min(this.fieldSize, active.length);
+            const available = this.getCategoryCounts(active);
+            const problems = [];
+            let fieldable = active.length;
+            let minimums = 0;
+
+            Object.entries(rule.limits).forEach(([category, { min, max }]) => {
+                const count = available[category] || 0;
+                if (min !== null) {
+                    minimums += min;
+                    if (count < min) problems.push(`only ${count} ${category} available (min ${min})`);
+                }
+                if (max !== null && count > max) {
+                    fieldable -= count - max;
+                }
+            });
+            if (fieldable < spots) problems.push(`only ${fieldable} players can take the ${spots} spots`);
+            if (minimums > spots) problems.push(`minimums need ${minimums} of the ${spots} spots`);
+
+            warning = problems.length > 0 ? `Ratio rule cannot be met: ${problems.join(', ')}` : null;
+        }
+
+        if (warning && warning !== this.state.ratioWarning) {
+            console.warn(`⚠️ ${warning}`);
+            this.logEvent('ratio_warning', { message: warning });
+        }
+        this.state.ratioWarning = warning;
+        return warning;
+    }
+
+    /**
+     * Category counts against the limits for the UI (null without a rule)
+     */
+    getRatioStatus() {
+        const rule = this.config.categoryRule;
+        if (!rule) return null;
+
+        return {
+            counts: this.getCategoryCounts(),
+            limits: rule.limits,
+            legal: this.getRatioViolation() === 0,
+            warning: this.state.ratioWarning
+        };
+    }
+
     /**
      * Record a try
      */
@@ -822,6 +1053,7 @@ class OztagGameEngine {
 
         this.scoring.home++;
         this.scoring.playerTries[playerName] = (this.scoring.playerTries[playerName] || 0) + 1;
+        this.logEvent('score', { team: 'home', player: playerName, kind: 'try', points: 1 });
 
         console.log(`🏉 Try scored by ${playerName}!`);
 
@@ -832,18 +1064,37 @@ class OztagGameEngine {
      * Update opposition score
      */
     updateOppositionScore(delta) {
+        const awayBefore = this.scoring.away;
         this.scoring.away = Math.max(0, this.scoring.away + delta);
+        this.logEvent('score', { team: 'away', player: null, points: this.scoring.away - awayBefore });
         return this.scoring.away;
     }
 
     /**
-     * Format time helper
+     * Serialisable optimizer state for getSnapshot()
      */
-    formatTime(seconds) {
-        if (!Number.isFinite(seconds) || seconds < 0) return '0:00';
-        const mins = Math.floor(seconds / 60);
-        const secs = Math.floor(seconds % 60);
-        return `${mins}:${secs.toString().padStart(2, '0')}`;
+    snapshotOptimizer() {
+        return super.snapshotOptimizer(this.optimizer);
+    }
+
+    /**
+     * Rebuild the optimizer on restore, keeping the saved rotation schedule
+     */
+    restoreOptimizer(saved) {
+        // Rebuilding the optimizer resets the schedule, so put the saved one back afterwards
+        const savedRotations = { ...this.rotations };
+        this.initializeOptimizer();
+        this.rotations = savedRotations;
+
+        if (this.optimizer) {
+            this.applyOptimizerSnapshot(this.optimizer, saved);
+            this.optimizer.syncWithActualState(
+                this.state.currentTime,
+                [...this.players.field],
+                [...this.players.bench],
+                { ...this.players.minutes }
+            );
+        }
     }
 
     /**
@@ -862,6 +1113,7 @@ class OztagGameEngine {
                 field: [...this.players.field],
                 bench: [...this.players.bench],
                 removed: [...this.players.removed],
+                ...this.getAbsentPlayers(),
                 minutes: { ...this.players.minutes },
                 benchMinutes: { ...this.players.benchMinutes }
             },
@@ -873,6 +1125,7 @@ class OztagGameEngine {
                 history: this.rotations.history.length
             },
             scoring: { ...this.scoring },
+            ratio: this.getRatioStatus(),
             config: { ...this.config },
             formatted: {
                 currentTime: this.formatTime(this.state.currentTime),
@@ -899,7 +1152,8 @@ class OztagGameEngine {
             awayTeamName: this.scoring.awayTeamName || 'Opposition',
             totalGameTime: this.state.currentTime,
             variance: 0,
-            averageMinutes: 0
+            averageMinutes: 0,
+            events: this.getEventLog()
         };
 
         // Build player stats
@@ -907,21 +1161,29 @@ class OztagGameEngine {
         let totalMinutes = 0;
         const playTimes = [];
 
-        activePlayers.forEach(player => {
+        // Removed and sent-off players keep their line but stay out of the balance figures
+        this.players.all.forEach(player => {
             const minutes = this.players.minutes[player] || 0;
             const benchMinutes = this.players.benchMinutes[player] || 0;
             const tries = this.scoring.playerTries[player] || 0;
+            const removed = this.players.removed.has(player);
 
             stats.players[player] = {
                 minutes: minutes,
                 benchMinutes: benchMinutes,
                 tries: tries,
+                ...(this.players.medicalMinutes[player] > 0 ? { medicalMinutes: this.players.medicalMinutes[player] } : {}),
+                ...(this.players.sinBinMinutes[player] > 0 ? { sinBinMinutes: this.players.sinBinMinutes[player] } : {}),
+                category: this.config.categoryRule?.categories[player] || null,
                 onField: this.players.field.includes(player),
-                onBench: this.players.bench.includes(player)
+                onBench: this.players.bench.includes(player),
+                ...(removed ? { removed: true } : {})
             };
 
-            totalMinutes += minutes;
-            playTimes.push(minutes);
+            if (!removed) {
+                totalMinutes += minutes;
+                playTimes.push(minutes);
+            }
         });
 
         // Calculate variance
@@ -937,60 +1199,12 @@ class OztagGameEngine {
         return stats;
     }
 
-    /**
-     * Set callback
-     */
-    setCallback(name, fn) {
-        if (this.callbacks.hasOwnProperty(name)) {
-            this.callbacks[name] = fn;
-        }
-    }
-
     /**
      * Reset game
      */
     reset() {
-        this.stop();
-
-        this.state = {
-            initialized: false,
-            running: false,
-            paused: false,
-            currentTime: 0,
-            currentPeriod: 1,
-            periodElapsed: 0,
-            isHalftime: false,
-            gameOver: false
-        };
-
-        this.players = {
-            all: [],
-            field: [],
-            bench: [],
-            removed: new Set(),
-            minutes: {},
-            benchMinutes: {},
-            stintStart: {}
-        };
-
-        this.rotations = {
-            pending: false,
-            pendingOff: [],
-            pendingOn: [],
-            nextRotationTime: null,
-            schedule: [],
-            history: []
-        };
-
-        this.scoring = {
-            home: 0,
-            away: 0,
-            playerTries: {}
-        };
-
+        super.reset();
         this.optimizer = null;
-
-        console.log('🔄 Game reset');
     }
 }
 
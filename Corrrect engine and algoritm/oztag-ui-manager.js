@@ -74,6 +74,7 @@ class OztagUI {
         // Player lists
         this.elements.onFieldList = document.getElementById('onFieldList');
         this.elements.onFieldCount = document.getElementById('onFieldCount');
+        this.elements.ratioDisplay = document.getElementById('ratioDisplay');
         this.elements.onBenchCount = document.getElementById('onBenchCount');
 
         // Status
@@ -198,6 +199,7 @@ class OztagUI {
         this.updatePlayerLists(state);
         this.updateRotationInfo(state);
         this.updateVariance(state);
+        this.updateRatio(state);
         this.updateStatus(state);
         this.updateStartStopButton(state.running);
 
@@ -770,6 +772,31 @@ class OztagUI {
         this.displayState.lastVariance = variance;
     }
 
+    /**
+     * Category counts on field for a mixed ratio rule, flagged when outside the limits;
+     * a roster that cannot meet the rule is reported once
+     */
+    updateRatio(state) {
+        const ratio = state.ratio;
+        if (!this.elements.ratioDisplay) return;
+
+        if (!ratio) {
+            this.elements.ratioDisplay.classList.add('hidden');
+            return;
+        }
+
+        this.elements.ratioDisplay.textContent = Object.keys(ratio.limits)
+            .map(category => `${category} ${ratio.counts[category] || 0}`)
+            .join(' · ');
+        this.elements.ratioDisplay.classList.remove('hidden');
+        this.elements.ratioDisplay.classList.toggle('ratio-off', !ratio.legal);
+
+        if (ratio.warning && ratio.warning !== this.displayState.ratioWarning) {
+            this.showStatusMessage(ratio.warning, 5000, 'warning');
+        }
+        this.displayState.ratioWarning = ratio.warning;
+    }
+
     /**
      * Update status message
      */
@@ -851,11 +878,14 @@ class OztagUI {
         const offSelect = document.getElementById('subOutPlayer');
         const onSelect = document.getElementById('subInPlayer');
 
+        const categories = this.engine.config.categoryRule?.categories || {};
+        const label = player => (categories[player] ? `${player} (${categories[player]})` : player);
+
         offSelect.innerHTML = '';
         this.engine.players.field.forEach(player => {
             const option = document.createElement('option');
             option.value = player;
-            option.textContent = player;
+            option.textContent = label(player);
             offSelect.appendChild(option);
         });
 
@@ -863,7 +893,7 @@ class OztagUI {
         this.engine.players.bench.forEach(player => {
             const option = document.createElement('option');
             option.value = player;
-            option.textContent = player;
+            option.textContent = label(player);
             onSelect.appendChild(option);
         });
 
@@ -872,17 +902,34 @@ class OztagUI {
         document.getElementById('confirmEmergencySubButton').onclick = () => {
             const playerOff = offSelect.value;
             const playerOn = onSelect.value;
-            const removeFromGame = document.querySelector('input[name="injuredFate"]:checked')?.value === 'remove';
+            const fate = document.querySelector('input[name="injuredFate"]:checked')?.value;
+            const removeFromGame = fate === 'remove' || fate === 'concussion';
+
+            // Sin bin / send-off: no replacement, the team plays a player short
+            if (playerOff && (fate === 'sinbin' || fate === 'sendoff')) {
+                const sentOff = fate === 'sendoff';
+                if (this.engine.sinBin(playerOff, sentOff ? { duration: null, reason: 'sent off' } : {})) {
+                    this.elements.emergencyModal.classList.add('hidden');
+                    const until = sentOff
+                        ? 'for the rest of the game'
+                        : `until ${this.formatTime(this.engine.players.sinBin[playerOff].returnAt)}`;
+                    this.showStatusMessage(`${playerOff} off ${until} - playing a player short`, 3000, 'warning');
+                    this.updateDisplay(this.engine.getState());
+                }
+                return;
+            }
 
             if (playerOff && playerOn) {
                 const result = this.engine.emergencySubstitution(playerOff, playerOn);
                 if (result.success) {
                     if (removeFromGame) {
-                        this.engine.removePlayer(playerOff);
+                        this.engine.removePlayer(playerOff, fate === 'concussion' ? 'concussion' : 'injury');
                     }
                     this.elements.emergencyModal.classList.add('hidden');
                     this.showStatusMessage(`Emergency sub: ${playerOff} → ${playerOn}`, 3000, 'warning');
                     this.updateDisplay(this.engine.getState());
+                } else {
+                    this.showError(result.error);
                 }
             }
         };
@@ -5,8 +5,11 @@
  * Version 1.0 - Based on Basketball Engine v3.1
  */
 
+import './base-game-engine.js';
 import { SoccerIntervalOptimizer, OPTIMIZER_DEFAULTS } from './soccer-interval-optimizer.js';
 
+const BaseGameEngine = window.BaseGameEngine;
+
 // ============================================================================
 // TYPE DEFINITIONS
 // ============================================================================
@@ -17,6 +20,7 @@ import { SoccerIntervalOptimizer, OPTIMIZER_DEFAULTS } from './soccer-interval-o
  * @property {number} numPeriods - Number of periods (always 2 for soccer)
  * @property {number} fieldSpots - Number of players on field (4-11)
  * @property {number} numGoalkeepers - Number of goalkeepers (0 or 1)
+ * @property {Object<string, number>} keeperShares - Percent of the game each keeper plays in goal
  * @property {number} defaultBench - Default bench size (0-6)
  * @property {boolean} autoConfirmRotations - Auto-confirm rotations
  * @property {number} warningBeepTime - Warning time before rotation
@@ -45,10 +49,6 @@ export const ENGINE_DEFAULTS = {
     DEFAULT_PERIOD_LENGTH: 1200, // 20 minutes per half
     DEFAULT_NUM_PERIODS: 2,   // 2 halves
     WARNING_BEEP_TIME: 10,
-    EARLY_WARNING_TIME: 60,
-    VALIDATION_INTERVAL: 30,
-    MAX_CATCHUP_SECONDS: 3600,
-    MAX_TICK_CATCHUP: 10,
 };
 
 // Merge with global config if available
@@ -56,14 +56,30 @@ const GLOBAL_GAME_CONFIG = (typeof window !== 'undefined' && window.GameConfig?.
     ? { ...ENGINE_DEFAULTS, ...window.GameConfig.SOCCER_DEFAULTS }
     : ENGINE_DEFAULTS;
 
+// Player stats recorded with recordPlayerStat (goals are the player's points)
+export const PLAYER_STAT_TYPES = ['assists', 'shotsOn', 'shotsOff', 'saves', 'goalsConceded', 'yellowCards', 'redCards'];
+
 // ============================================================================
 // MAIN CLASS
 // ============================================================================
 
-export class SoccerGameEngine {
+export class SoccerGameEngine extends BaseGameEngine {
     constructor(config = null) {
         const baseConfig = config || GLOBAL_GAME_CONFIG;
 
+        super({
+            sport: 'soccer',
+            logTag: '[SoccerEngine]',
+            fieldKey: 'field',
+            spotsKey: 'fieldSpots',
+            stintKey: 'onField',
+            fieldLabel: 'field',
+            periodLabel: 'Period',
+            optimizerFieldKey: 'onField',
+            deviationFieldKey: 'actualField',
+            defaults: baseConfig
+        });
+
         // Game configuration
         this.config = {
             periodLength: baseConfig.DEFAULT_PERIOD_LENGTH || ENGINE_DEFAULTS.DEFAULT_PERIOD_LENGTH,
@@ -75,178 +91,131 @@ export class SoccerGameEngine {
             warningBeepTime: baseConfig.WARNING_BEEP_TIME || ENGINE_DEFAULTS.WARNING_BEEP_TIME
         };
 
-        // Game state
-        this.state = {
-            initialized: false,
-            running: false,
-            paused: false,
-            currentTime: 0,
-            currentPeriod: 1,
-            periodElapsed: 0,
-            isHalftime: false,
-            gameOver: false
-        };
+        console.log('⚽ Soccer Game Engine v1.0 initialized');
+    }
 
-        // Player management
-        this.players = {
-            all: [],
-            field: [],      // Players on field
-            bench: [],      // Players on bench
-            removed: new Set(),
-            minutes: {},
-            benchMinutes: {},
-            currentStints: {},
+    // ========================================================================
+    // SPORT HOOKS
+    // ========================================================================
+
+    createPlayerLedger() {
+        return {
+            ...super.createPlayerLedger(),
             positions: {},
-            lastRotationTime: {},
             jerseyNumbers: {},
-            goalkeeper: null  // Current goalkeeper name (null if no GK)
+            goalkeeper: null,  // Current goalkeeper name (null if no GK)
+            keeperMinutes: {}  // Seconds each player has spent in goal
         };
+    }
 
-        // Scoring management
-        this.scoring = {
+    createScoring() {
+        return {
             home: 0,
             away: 0,
             homeTeamName: 'Home',
             awayTeamName: 'Opposition',
-            playerPoints: {}  // Goals per player
-        };
-
-        // Rotation management
-        this.rotations = {
-            pending: false,
-            pendingOff: [],
-            pendingOn: [],
-            pendingTime: null,
-            history: [],
-            nextScheduled: null,
-            plan: [],
-            currentPlanIndex: 0,
-            lastConfirmedIndex: -1
+            playerPoints: {},  // Goals per player
+            playerStats: {}    // { playerName: { assists: 0, shotsOn: 0, saves: 0, yellowCards: 0, ... } }
         };
+    }
 
-        this.enforcer = null;
-
-        // UI callbacks
-        this.callbacks = {
-            onUpdate: null,
-            onRotation: null,
-            onPeriodEnd: null,
-            onGameEnd: null,
-            onError: null,
-            onWarning: null,
-            onEarlyWarning: null,
-            onRecovery: null,
-            onScoreUpdate: null,
+    createCallbacks() {
+        return {
+            ...super.createCallbacks(),
             onGoalkeeperChange: null
         };
+    }
 
-        // Timer
-        this.timerInterval = null;
-        this.lastTickTime = null;
-        this.warningPlayed = false;
-        this.earlyWarningShown = false;
-
-        // Page Visibility tracking
-        this.lastVisibleTimestamp = null;
-        this.wasRunningWhenHidden = false;
-
-        // Audio
-        this.audio = {
-            warningBeep: null,
-            whistle: null,
-            enabled: true
-        };
+    getOptimizerClass() {
+        return SoccerIntervalOptimizer;
+    }
 
-        this.planTargetMinutes = 0;
-        this.totalGameLength = 0;
+    getOptimizerConfig(options) {
+        return {
+            gameLength: this.totalGameLength,
+            periodLength: this.config.periodLength,
+            totalPlayers: options.totalPlayers,
+            fieldSpots: this.config.fieldSpots,
+            numGoalkeepers: this.config.numGoalkeepers,
+            keeperShares: { ...(this.config.keeperShares || {}) },
+            idealShiftsPerPlayer: options.idealShiftsPerPlayer
+        };
+    }
 
-        this._stateNeedsValidation = false;
+    getOptimizerState() {
+        return {
+            ...super.getOptimizerState(),
+            goalkeeper: this.players.goalkeeper,
+            keeperTimes: { ...this.players.keeperMinutes }
+        };
+    }
 
-        console.log('⚽ Soccer Game Engine v1.0 initialized');
+    assignRoles(fieldPlayers) {
+        this.assignPositions(fieldPlayers);
     }
 
-    /**
-     * Mark state as needing validation
-     */
-    markStateDirty() {
-        this._stateNeedsValidation = true;
+    transferRole(playerOff, playerOn) {
+        if (this.players.goalkeeper === playerOff) {
+            // New player becomes GK
+            this.players.goalkeeper = playerOn;
+            this.players.positions[playerOn] = 'GK';
+        } else {
+            this.players.positions[playerOn] = this.players.positions[playerOff];
+        }
+        delete this.players.positions[playerOff];
     }
 
-    /**
-     * Validate field/bench state
-     * Ensures field has exactly fieldSpots players and no duplicates
-     */
-    validatePlayerState() {
-        const errors = [];
-        const expectedFieldSize = this.config.fieldSpots;
+    validateRotation(playersOff, playersOn, keeper = null) {
+        if (keeper) {
+            // A planned keeper swap: the new keeper must end up on the field
+            const staysOn = this.players.field.includes(keeper) && !playersOff.includes(keeper);
+            if (!staysOn && !playersOn.includes(keeper)) {
+                return `Cannot hand goal to ${keeper} - not available`;
+            }
+            return null;
+        }
 
-        // Check field has exactly fieldSpots players
-        if (this.players.field.length !== expectedFieldSize) {
-            errors.push(`Field has ${this.players.field.length} players, should be ${expectedFieldSize}`);
+        // Don't allow subbing off the goalkeeper in a regular rotation
+        if (this.players.goalkeeper && playersOff.includes(this.players.goalkeeper)) {
+            return 'Cannot sub off goalkeeper in regular rotation. Use Manage GK instead.';
         }
+        return null;
+    }
+
+    applyKeeperChange(keeper) {
+        const oldGK = this.players.goalkeeper;
+        this.players.goalkeeper = keeper;
 
-        // Check no duplicates
-        const allActive = [...this.players.field, ...this.players.bench];
-        const uniqueActive = new Set(allActive);
-        if (uniqueActive.size !== allActive.length) {
-            errors.push('Duplicate players found in field/bench');
+        // GK is always listed first so assignPositions() gives them the gloves
+        this.players.field = [keeper, ...this.players.field.filter(p => p !== keeper)];
+        if (oldGK && oldGK !== keeper) {
+            delete this.players.positions[oldGK];
         }
 
-        // Check all non-removed players are accounted for
-        const expectedActive = this.players.all.filter(p => !this.players.removed.has(p));
-        if (expectedActive.length !== allActive.length) {
-            errors.push(`Player count mismatch: ${expectedActive.length} expected, ${allActive.length} found`);
+        if (this.callbacks.onGoalkeeperChange) {
+            this.callbacks.onGoalkeeperChange({
+                oldGK,
+                newGK: keeper,
+                time: this.state.currentTime
+            });
         }
+    }
 
+    validateSportState(errors) {
         // Check goalkeeper is on field (if we have a GK)
         if (this.config.numGoalkeepers === 1 && this.players.goalkeeper) {
             if (!this.players.field.includes(this.players.goalkeeper)) {
                 errors.push(`Goalkeeper ${this.players.goalkeeper} is not on field`);
             }
         }
-
-        if (errors.length > 0) {
-            console.error('❌ PLAYER STATE INVALID:', errors);
-            this.fixPlayerState();
-            return false;
-        }
-
-        return true;
     }
 
-    /**
-     * Fix invalid player state
-     */
-    fixPlayerState() {
-        console.warn('🔧 Fixing player state...');
-
-        const expectedFieldSize = this.config.fieldSpots;
-        const activePlayers = this.players.all.filter(p => !this.players.removed.has(p));
-        const currentField = [...new Set(this.players.field)];
-
-        // If too many on field, move extras to bench
-        if (currentField.length > expectedFieldSize) {
-            const toRemove = currentField.length - expectedFieldSize;
-            const removed = currentField.splice(expectedFieldSize, toRemove);
-            this.players.field = currentField.slice(0, expectedFieldSize);
-            this.players.bench = [...new Set([...this.players.bench, ...removed])];
-        }
-        // If too few on field, pull from bench
-        else if (currentField.length < expectedFieldSize) {
-            const needed = expectedFieldSize - currentField.length;
-            const benchAvailable = this.players.bench.slice(0, needed);
-            this.players.field = [...currentField, ...benchAvailable];
-            this.players.bench = this.players.bench.slice(needed);
-        } else {
-            this.players.field = currentField;
-        }
-
-        // Ensure bench has everyone else
-        const onFieldSet = new Set(this.players.field);
-        this.players.bench = activePlayers.filter(p => !onFieldSet.has(p));
+    fixSportState() {
+        const expectedFieldSize = this.fieldSize;
 
         // Ensure goalkeeper is on field
-        if (this.config.numGoalkeepers === 1 && this.players.goalkeeper) {
+        if (this.config.numGoalkeepers === 1 && this.players.goalkeeper &&
+            !this.players.removed.has(this.players.goalkeeper)) {
             if (!this.players.field.includes(this.players.goalkeeper)) {
                 // GK got pushed to bench - swap them back
                 const nonGKOnField = this.players.field.filter(p => p !== this.players.goalkeeper);
@@ -261,10 +230,38 @@ export class SoccerGameEngine {
                 this.players.bench = this.players.bench.filter(p => p !== this.players.goalkeeper);
             }
         }
+    }
 
-        console.log(`✅ Fixed: ${this.players.field.length} on field, ${this.players.bench.length} on bench`);
+    applyBreakFlags() {
+        // Two halves - every break is halftime
+        this.state.isHalftime = true;
     }
 
+    getPlayerFinalStats(player) {
+        // Seconds, like minutes - split between goal and outfield
+        const keeperMinutes = this.players.keeperMinutes[player] || 0;
+        return {
+            jerseyNumber: this.players.jerseyNumbers[player] || null,
+            position: this.players.positions[player] || null,
+            goals: this.scoring.playerPoints[player] || 0,
+            keeperMinutes,
+            outfieldMinutes: (this.players.minutes[player] || 0) - keeperMinutes,
+            ...this.scoring.playerStats[player]
+        };
+    }
+
+    getAudioFiles() {
+        return {
+            ...super.getAudioFiles(),
+            finalWhistle: 'Game sounds/final whistle sound.mp3',
+            subBuzzer: 'Game sounds/SportsBuzzer-1-final.mp3'
+        };
+    }
+
+    // ========================================================================
+    // SETUP
+    // ========================================================================
+
     /**
      * Initialize game with setup parameters
      */
@@ -278,6 +275,7 @@ export class SoccerGameEngine {
         this.config.numGoalkeepers = setupData.numGoalkeepers ?? 1;
         this.config.autoConfirmRotations = setupData.autoConfirmRotations || false;
         this.config.warningBeepTime = setupData.warningBeepTime || 10;
+        this.config.stopClock = setupData.stopClock === true;
 
         const numReserves = setupData.numReserves || 3;
         const totalPlayers = this.config.fieldSpots + numReserves;
@@ -287,6 +285,10 @@ export class SoccerGameEngine {
         this.players.field = this.players.all.slice(0, this.config.fieldSpots);
         this.players.bench = this.players.all.slice(this.config.fieldSpots);
 
+        // Keeper rotation: who keeps goal and for what share of the game
+        this.config.keeperShares = this.config.numGoalkeepers === 1 ? this.parseKeeperShares(setupData) : {};
+        this.placeStartingKeeper();
+
         // Set goalkeeper (first player if GK enabled)
         if (this.config.numGoalkeepers === 1 && this.players.field.length > 0) {
             this.players.goalkeeper = this.players.field[0];
@@ -297,6 +299,13 @@ export class SoccerGameEngine {
         // Validate initial state
         this.validatePlayerState();
 
+        // Per-player playing-time targets (weights, min/max shares or minutes)
+        this.config.playerTargets = this.parsePlayerTargets(setupData);
+
+        // Season ledger: team the minutes are booked to and carry-over to repay
+        this.config.seasonTeam = setupData.seasonTeam || null;
+        this.config.carryOver = this.parseCarryOver(setupData);
+
         // Extract jersey numbers from playerData if available
         if (setupData.playerData) {
             Object.entries(setupData.playerData).forEach(([playerName, data]) => {
@@ -307,22 +316,11 @@ export class SoccerGameEngine {
         }
 
         // Initialize player tracking
-        this.players.all.forEach(player => {
-            this.players.minutes[player] = 0;
-            this.players.benchMinutes[player] = 0;
-            this.players.currentStints[player] = {
-                start: 0,
-                onField: this.players.field.includes(player)
-            };
-            this.players.lastRotationTime[player] = 0;
-        });
+        this.resetPlayerTracking();
+        this.players.keeperMinutes = {};
 
         // Initialize player scoring
-        this.scoring.home = 0;
-        this.scoring.away = 0;
-        this.scoring.homeTeamName = 'Home';
-        this.scoring.awayTeamName = 'Opposition';
-        this.scoring.playerPoints = {};
+        this.scoring = this.createScoring();
         this.players.all.forEach(player => {
             this.scoring.playerPoints[player] = 0;
         });
@@ -331,42 +329,13 @@ export class SoccerGameEngine {
         this.assignPositions(this.players.field);
 
         // Set up optimizer
-        const totalGameLength = this.config.periodLength * this.config.numPeriods;
-        this.totalGameLength = totalGameLength;
-
-        const idealShifts = setupData.idealShiftsPerPlayer || 4;
-
-        this.enforcer = new SoccerIntervalOptimizer({
-            gameLength: totalGameLength,
-            periodLength: this.config.periodLength,
-            totalPlayers: totalPlayers,
-            fieldSpots: this.config.fieldSpots,
-            numGoalkeepers: this.config.numGoalkeepers,
-            idealShiftsPerPlayer: idealShifts
-        });
+        this.totalGameLength = this.config.periodLength * this.config.numPeriods;
 
-        // Initialize enforcer
-        this.enforcer.initialize(this.players.all, {
-            onField: [...this.players.field],
-            onBench: [...this.players.bench],
-            playerMinutes: { ...this.players.minutes },
-            elapsedTime: 0,
-            goalkeeper: this.players.goalkeeper
+        const plan = this.setupOptimizer({
+            totalPlayers,
+            idealShiftsPerPlayer: setupData.idealShiftsPerPlayer || 4
         });
 
-        // Generate plan
-        const gen = this.enforcer.generatePlan(0, []);
-        const plan = {
-            plan: gen ? gen.rotations.map(r => ({ time: r.time, off: r.off, on: r.on })) : [],
-            targetMinutes: Math.floor((totalGameLength * this.config.fieldSpots) / totalPlayers),
-            expectedVariance: gen ? gen.expectedVariance : 0
-        };
-
-        this.rotations.plan = plan.plan;
-        this.planTargetMinutes = plan.targetMinutes;
-        this.rotations.currentPlanIndex = 0;
-        this.updateNextRotation();
-
         // Set audio preference
         this.audio.enabled = setupData.enableWarningSound !== false;
         if (this.audio.enabled) {
@@ -411,6 +380,74 @@ export class SoccerGameEngine {
         return roster;
     }
 
+    /**
+     * GK shares from setupData.keeperShares or playerData[name].keeperShare
+     * (percent of the game in goal; see KEEPER_SHARE_PRESETS)
+     * @returns {Object} { player: percent } for players who keep goal
+     */
+    parseKeeperShares(setupData) {
+        const shares = {};
+        const playerData = setupData.playerData || {};
+
+        this.players.all.forEach(player => {
+            const share = parseFloat(setupData.keeperShares?.[player] ?? playerData[player]?.keeperShare);
+            if (Number.isFinite(share) && share > 0) {
+                shares[player] = share;
+            }
+        });
+
+        return shares;
+    }
+
+    /**
+     * Put a listed keeper in goal at kick-off. The first starter keeps goal
+     * when listed; otherwise the starter with the biggest GK share moves to
+     * the front, or the biggest-share keeper on the bench swaps in for the
+     * last starter.
+     */
+    placeStartingKeeper() {
+        const keepers = Object.keys(this.config.keeperShares)
+            .sort((a, b) => this.config.keeperShares[b] - this.config.keeperShares[a]);
+        if (keepers.length === 0 || keepers.includes(this.players.field[0])) {
+            return;
+        }
+
+        const starter = keepers.find(player => this.players.field.includes(player));
+        if (starter) {
+            this.players.field = [starter, ...this.players.field.filter(p => p !== starter)];
+            return;
+        }
+
+        const keeper = keepers.find(player => this.players.bench.includes(player));
+        const benched = this.players.field[this.players.field.length - 1];
+        this.players.field = [keeper, ...this.players.field.slice(0, -1)];
+        this.players.bench = [...this.players.bench.filter(p => p !== keeper), benched];
+        console.log(`🥅 ${keeper} starts in goal (GK rotation), ${benched} starts on the bench`);
+    }
+
+    /**
+     * Advance one second, booking the goalkeeper's time in goal
+     */
+    advanceOneSecond() {
+        this.addKeeperTime(1);
+        super.advanceOneSecond();
+    }
+
+    applyMissedTime(secondsMissed) {
+        const totalGameDuration = this.config.periodLength * this.config.numPeriods;
+        if (secondsMissed > 0 && this.state.currentTime < totalGameDuration) {
+            this.addKeeperTime(secondsMissed);
+        }
+        super.applyMissedTime(secondsMissed);
+    }
+
+    addKeeperTime(seconds) {
+        const keeper = this.players.goalkeeper;
+        if (keeper && this.players.field.includes(keeper)) {
+            this.players.keeperMinutes[keeper] = (this.players.keeperMinutes[keeper] || 0) + seconds;
+        }
+    }
+
     /**
      * Assign positions to players on field
      * Soccer positions based on field size
@@ -523,6 +560,12 @@ export class SoccerGameEngine {
         // Validate state
         this.validatePlayerState();
 
+        if (isOnField) {
+            this.logEvent('goalkeeper_change', { from: oldGK, to: newGK });
+        } else {
+            this.logEvent('substitution', { off: [oldGK], on: [newGK], reason: 'goalkeeper' });
+        }
+
         // Notify UI
         if (this.callbacks.onGoalkeeperChange) {
             this.callbacks.onGoalkeeperChange({
@@ -539,674 +582,84 @@ export class SoccerGameEngine {
         return true;
     }
 
-    /**
-     * Confirm pending rotation
-     */
-    confirmRotation() {
-        if (!this.rotations.pending) {
-            this.handleError('No pending rotation to confirm');
-            return false;
-        }
-
-        const { pendingOff, pendingOn } = this.rotations;
-
-        // Validate rotation
-        if (pendingOff.length !== pendingOn.length) {
-            this.handleError('Invalid rotation: off/on counts do not match');
-            return false;
-        }
-
-        // Check all OFF players are on field
-        for (const player of pendingOff) {
-            if (!this.players.field.includes(player)) {
-                this.handleError(`Cannot sub off ${player} - not on field`);
-                return false;
-            }
-        }
-
-        // Check all ON players are on bench
-        for (const player of pendingOn) {
-            if (!this.players.bench.includes(player)) {
-                this.handleError(`Cannot sub on ${player} - not on bench`);
-                return false;
-            }
-        }
-
-        // Don't allow subbing off the goalkeeper in a regular rotation
-        if (this.players.goalkeeper && pendingOff.includes(this.players.goalkeeper)) {
-            this.handleError('Cannot sub off goalkeeper in regular rotation. Use Manage GK instead.');
-            return false;
-        }
-
-        const plannedTime = this.rotations.pendingTime;
-        const rotationTime = this.state.currentTime;
-        const delay = rotationTime - plannedTime;
-
-        console.log(`✅ Rotation confirmed at ${this.formatTime(rotationTime)}`);
-
-        // Execute rotation
-        this.players.field = this.players.field.filter(p => !pendingOff.includes(p));
-        this.players.field.push(...pendingOn);
-        this.players.bench = this.players.bench.filter(p => !pendingOn.includes(p));
-        this.players.bench.push(...pendingOff);
-
-        // Validate state
-        this.validatePlayerState();
-
-        // Update positions for new field players
-        this.assignPositions(this.players.field);
-
-        // Update stints
-        pendingOff.forEach(player => {
-            this.players.currentStints[player].onField = false;
-            this.players.lastRotationTime[player] = rotationTime;
-        });
-
-        pendingOn.forEach(player => {
-            this.players.currentStints[player] = {
-                start: rotationTime,
-                onField: true
-            };
-            this.players.lastRotationTime[player] = rotationTime;
-        });
-
-        // Record rotation
-        this.rotations.history.push({
-            time: rotationTime,
-            off: pendingOff,
-            on: pendingOn
-        });
-
-        // Handle late rotation
-        if (delay > 15 && this.enforcer) {
-            console.log(`⚠️ Rotation was ${delay} seconds late - triggering recalculation`);
-            const playTimesSnapshot = { ...this.players.minutes };
-            this.enforcer.syncWithActualState(
-                this.state.currentTime,
-                [...this.players.field],
-                [...this.players.bench],
-                playTimesSnapshot
-            );
-            const newPlan = this.enforcer.handleDeviation(
-                'late_substitution',
-                {
-                    actualField: [...this.players.field],
-                    actualBench: [...this.players.bench],
-                    playTimes: playTimesSnapshot
-                },
-                rotationTime
-            );
-            if (newPlan) {
-                this.applyRecoveryPlan(newPlan);
-            }
-        }
-
-        // Clear pending
-        this.rotations.pending = false;
-        this.rotations.pendingOff = [];
-        this.rotations.pendingOn = [];
-        this.rotations.pendingTime = null;
-
-        // Update rotation index
-        this.rotations.lastConfirmedIndex = this.rotations.currentPlanIndex;
-        this.rotations.currentPlanIndex++;
-
-        // Update next rotation
-        this.updateNextRotation();
-
-        // Play sound
-        this.playSound('subBuzzer');
-
-        return true;
-    }
-
-    /**
-     * Emergency substitution
-     */
-    emergencySubstitution(playerOff, playerOn, removeFromGame = false) {
-        console.log(`🚨 Emergency substitution: ${playerOff} → ${playerOn}`);
-
-        if (!this.players.field.includes(playerOff)) {
-            this.handleError(`${playerOff} is not on field`);
-            return false;
-        }
-
-        if (!this.players.bench.includes(playerOn)) {
-            this.handleError(`${playerOn} is not on bench`);
-            return false;
-        }
-
-        // Handle GK substitution
-        const isGKSub = this.players.goalkeeper === playerOff;
-
-        // Execute substitution
-        const fieldIndex = this.players.field.indexOf(playerOff);
-        this.players.field[fieldIndex] = playerOn;
-
-        const benchIndex = this.players.bench.indexOf(playerOn);
-        this.players.bench[benchIndex] = playerOff;
-
-        // Validate state
-        this.validatePlayerState();
-
-        // Update positions
-        if (isGKSub) {
-            // New player becomes GK
-            this.players.goalkeeper = playerOn;
-            this.players.positions[playerOn] = 'GK';
-        } else {
-            this.players.positions[playerOn] = this.players.positions[playerOff];
-        }
-        delete this.players.positions[playerOff];
-
-        // Update stints
-        this.players.currentStints[playerOff].onField = false;
-        this.players.currentStints[playerOn] = {
-            start: this.state.currentTime,
-            onField: true
-        };
-
-        // Record
-        this.rotations.history.push({
-            time: this.state.currentTime,
-            off: [playerOff],
-            on: [playerOn],
-            reason: 'emergency'
-        });
-
-        // Handle removal if requested
-        if (removeFromGame) {
-            this.removePlayer(playerOff);
-        }
-
-        // Notify optimizer and replan
-        if (this.enforcer) {
-            const playTimesSnapshot = { ...this.players.minutes };
-            this.enforcer.syncWithActualState(
-                this.state.currentTime,
-                [...this.players.field],
-                [...this.players.bench],
-                playTimesSnapshot
-            );
-            const deviationType = removeFromGame ? 'injury' : 'late_substitution';
-            const newPlan = this.enforcer.handleDeviation(
-                deviationType,
-                {
-                    player: playerOff,
-                    actualField: [...this.players.field],
-                    actualBench: [...this.players.bench],
-                    playTimes: playTimesSnapshot
-                },
-                this.state.currentTime
-            );
-            if (newPlan) {
-                this.applyRecoveryPlan(newPlan);
-            }
-        }
-
-        return true;
-    }
-
-    /**
-     * Remove player from game
-     */
-    removePlayer(player) {
-        if (this.players.removed.has(player)) {
-            return true;
-        }
-
-        console.log(`🚫 Removing ${player} from game`);
-
-        if (this.players.field.includes(player)) {
-            this.handleError(`Cannot remove ${player} - still on field!`);
-            return false;
-        }
-
-        this.players.bench = this.players.bench.filter(p => p !== player);
-        this.players.removed.add(player);
-
-        this.validatePlayerState();
-        return true;
-    }
-
-    /**
-     * Return removed player
-     */
-    returnPlayer(player) {
-        if (!this.players.removed.has(player)) {
-            this.handleError(`${player} was not removed`);
-            return false;
-        }
-
-        console.log(`✅ ${player} returned to game`);
-
-        this.players.removed.delete(player);
-        this.players.bench.push(player);
-
-        this.validatePlayerState();
-
-        if (this.enforcer) {
-            const playTimesSnapshot = { ...this.players.minutes };
-            this.enforcer.syncWithActualState(
-                this.state.currentTime,
-                [...this.players.field],
-                [...this.players.bench],
-                playTimesSnapshot
-            );
-            const newPlan = this.enforcer.handleDeviation(
-                'player_returned',
-                {
-                    player: player,
-                    actualField: [...this.players.field],
-                    actualBench: [...this.players.bench],
-                    playTimes: playTimesSnapshot
-                },
-                this.state.currentTime
-            );
-            if (newPlan) {
-                this.applyRecoveryPlan(newPlan);
-            }
-        }
-
-        return true;
-    }
-
-    /**
-     * Start or resume game timer
-     */
-    start() {
-        if (!this.state.initialized) {
-            this.handleError('Cannot start: game not initialized');
-            return false;
-        }
-
-        if (this.state.gameOver) {
-            this.handleError('Cannot start: game is over');
-            return false;
-        }
-
-        if (this.state.running) {
-            return true;
-        }
-
-        this.validatePlayerState();
-
-        console.log('▶️ Starting game timer');
-
-        if (this.state.currentTime === 0 && this.audio.enabled && this.audio.whistle) {
-            this.playSound('whistle');
-        }
-
-        this.state.running = true;
-        this.state.paused = false;
-        this.lastTickTime = Date.now();
-
-        this.timerInterval = setInterval(() => this.tick(), 1000);
-
-        if (this.callbacks.onUpdate) {
-            this.callbacks.onUpdate(this.getState());
-        }
-
-        return true;
-    }
-
-    /**
-     * Stop game timer
-     */
-    stop() {
-        if (!this.state.running) {
-            return true;
-        }
-
-        console.log('⏸️ Stopping game timer');
-        this.state.running = false;
-        this.state.paused = true;
-
-        this.wasRunningWhenHidden = false;
-        this.lastVisibleTimestamp = null;
-
-        if (this.timerInterval) {
-            clearInterval(this.timerInterval);
-            this.timerInterval = null;
-        }
-
-        if (this.callbacks.onUpdate) {
-            this.callbacks.onUpdate(this.getState());
-        }
-
-        return true;
-    }
-
-    /**
-     * Timer tick
-     */
-    tick() {
-        if (!this.state.running) return;
-
-        try {
-            const now = Date.now();
-            const elapsed = Math.round((now - this.lastTickTime) / 1000);
-            this.lastTickTime = now;
+    // ========================================================================
+    // SCORING & STATE
+    // ========================================================================
 
-            const maxCatchup = GLOBAL_GAME_CONFIG.MAX_TICK_CATCHUP || 10;
-            for (let i = 0; i < Math.min(elapsed, maxCatchup); i++) {
-                this.advanceOneSecond();
-            }
-
-            const validationInterval = GLOBAL_GAME_CONFIG.VALIDATION_INTERVAL || 30;
-            if (this.state.currentTime % validationInterval === 0) {
-                this.validatePlayerState();
-            }
-
-            if (this.callbacks.onUpdate) {
-                this.callbacks.onUpdate(this.getState());
-            }
-        } catch (error) {
-            console.error('❌ Tick error:', error);
-            if (this.callbacks.onError) {
-                this.callbacks.onError(`Tick error: ${error.message}`);
-            }
-        }
-    }
 
     /**
-     * Advance game time by one second
+     * Get complete game stats
      */
-    advanceOneSecond() {
-        if (this.config.periodLength > 0 &&
-            this.state.periodElapsed >= this.config.periodLength) {
-            this.handlePeriodEnd();
-            return;
-        }
-
-        // Update player times
-        this.players.field.forEach(player => {
-            this.players.minutes[player] = (this.players.minutes[player] || 0) + 1;
-        });
+    getStats() {
+        const baseStats = this.calculateFinalStats();
+        const scoringStats = this.getScoringStats();
 
-        this.players.bench.forEach(player => {
-            this.players.benchMinutes[player] = (this.players.benchMinutes[player] || 0) + 1;
+        Object.keys(baseStats.players).forEach(player => {
+            baseStats.players[player].goals = this.scoring.playerPoints[player] || 0;
         });
 
-        // Update game state
-        this.state.currentTime++;
-        this.state.periodElapsed++;
-
-        // Check for rotation warning (1 minute before)
-        if (!this.earlyWarningShown &&
-            this.rotations.nextScheduled &&
-            (this.rotations.nextScheduled.time - this.state.currentTime) === 60) {
-            this.earlyWarningShown = true;
-            if (this.callbacks.onEarlyWarning) {
-                this.callbacks.onEarlyWarning();
-            }
-        }
-
-        // Check for rotation warning (10 seconds before)
-        if (!this.warningPlayed &&
-            this.rotations.nextScheduled &&
-            (this.rotations.nextScheduled.time - this.state.currentTime) <= this.config.warningBeepTime &&
-            (this.rotations.nextScheduled.time - this.state.currentTime) > 0) {
-
-            this.warningPlayed = true;
-
-            if (this.audio.enabled) {
-                this.playSound('warningBeep');
-            }
-
-            if (this.callbacks.onWarning) {
-                const timeToRotation = this.rotations.nextScheduled.time - this.state.currentTime;
-                this.callbacks.onWarning(timeToRotation);
-            }
-        }
-
-        // Check for scheduled rotation
-        if (!this.rotations.pending &&
-            this.rotations.nextScheduled &&
-            this.state.currentTime >= this.rotations.nextScheduled.time) {
-
-            const scheduledOff = this.rotations.nextScheduled.off;
-            const scheduledOn = this.rotations.nextScheduled.on;
-
-            const invalidOff = scheduledOff.filter(p => !this.players.field.includes(p));
-
-            if (invalidOff.length > 0) {
-                console.warn(`⚠️ Skipping invalid rotation at ${this.formatTime(this.state.currentTime)}`);
-                this.rotations.currentPlanIndex++;
-                this.updateNextRotation();
-
-                if (this.enforcer) {
-                    const playTimesSnapshot = { ...this.players.minutes };
-                    this.enforcer.syncWithActualState(
-                        this.state.currentTime,
-                        [...this.players.field],
-                        [...this.players.bench],
-                        playTimesSnapshot
-                    );
-                    const newPlan = this.enforcer.handleDeviation(
-                        'invalid_rotation',
-                        {
-                            actualField: [...this.players.field],
-                            actualBench: [...this.players.bench],
-                            playTimes: playTimesSnapshot
-                        },
-                        this.state.currentTime
-                    );
-                    if (newPlan) {
-                        this.applyRecoveryPlan(newPlan);
-                    }
-                }
-            } else {
-                this.initiateRotation(scheduledOff, scheduledOn);
-            }
-        }
+        return {
+            ...baseStats,
+            homeScore: scoringStats.homeScore,
+            awayScore: scoringStats.awayScore,
+            teamName: scoringStats.homeTeamName,
+            opponentName: scoringStats.awayTeamName,
+            totalGameTime: this.state.currentTime
+        };
     }
 
     /**
-     * Initiate a rotation
+     * Record a player stat (assists, shots, saves, goals conceded, cards).
+     * Stats go to a player on the field at that moment; a second yellow
+     * card also books a red
+     * @param {string} player - Player credited
+     * @param {string} statType - One of PLAYER_STAT_TYPES
+     * @param {number} [value=1] - -1 takes a mistaken entry back off
+     * @returns {number|false} The player's new count, or false if the stat was refused
      */
-    initiateRotation(playersOff, playersOn) {
-        if (!playersOff || !playersOn || playersOff.length !== playersOn.length) {
-            console.warn('Invalid rotation parameters');
+    recordPlayerStat(player, statType, value = 1) {
+        if (!PLAYER_STAT_TYPES.includes(statType)) {
+            console.warn(`Invalid stat type: ${statType}`);
             return false;
         }
 
-        const invalidOff = playersOff.filter(p => !this.players.field.includes(p));
-        const invalidOn = playersOn.filter(p => !this.players.bench.includes(p));
-
-        if (invalidOff.length > 0 || invalidOn.length > 0) {
-            console.error(`❌ Cannot initiate rotation - invalid players`);
-            this.rotations.currentPlanIndex++;
-            this.updateNextRotation();
+        if (!this.players.field.includes(player)) {
+            this.handleError(`${player} is not on the field`);
             return false;
         }
 
-        console.log(`🔄 Rotation initiated: OFF: ${playersOff.join(', ')}, ON: ${playersOn.join(', ')}`);
-
-        this.rotations.pending = true;
-        this.rotations.pendingOff = playersOff;
-        this.rotations.pendingOn = playersOn;
-        this.rotations.pendingTime = this.state.currentTime;
-
-        this.warningPlayed = false;
-        this.earlyWarningShown = false;
-
-        if (this.callbacks.onRotation) {
-            this.callbacks.onRotation({
-                off: playersOff,
-                on: playersOn,
-                time: this.state.currentTime
-            });
-        }
-
-        if (this.config.autoConfirmRotations) {
-            this.confirmRotation();
-        }
-
-        return true;
-    }
-
-    /**
-     * Update next scheduled rotation
-     */
-    updateNextRotation() {
-        if (!this.rotations.plan || this.rotations.currentPlanIndex >= this.rotations.plan.length) {
-            this.rotations.nextScheduled = null;
-            return;
-        }
-        this.rotations.nextScheduled = this.rotations.plan[this.rotations.currentPlanIndex];
-    }
-
-    /**
-     * Apply recovery plan
-     */
-    applyRecoveryPlan(recovery) {
-        let newPlanRotations = [];
-        let strategy = recovery.strategy || 'replan';
-        let projectedVariance = recovery.projectedFinalVariance || recovery.expectedVariance || 0;
-
-        if (Array.isArray(recovery.plan)) {
-            newPlanRotations = recovery.plan;
-        } else if (Array.isArray(recovery.rotations)) {
-            newPlanRotations = recovery.rotations.map(r => ({
-                time: r.time,
-                off: r.off,
-                on: r.on
-            }));
-        } else {
-            console.warn('Recovery plan format not recognized');
-            return;
-        }
-
-        console.log(`🔄 Applying recovery plan (${strategy}) with ${newPlanRotations.length} rotations`);
-        this.rotations.plan = newPlanRotations;
-        this.rotations.currentPlanIndex = 0;
-        this.updateNextRotation();
-
-        if (this.callbacks.onRecovery) {
-            this.callbacks.onRecovery({
-                strategy,
-                rotations: newPlanRotations.length,
-                projectedVariance
-            });
-        }
+        return this.addPlayerStat(player, statType, value);
     }
 
     /**
-     * Handle period end
+     * Book a stat without the on-field check - goals, goals conceded and
+     * corrections to a player since subbed off
+     * @returns {number} The player's new count
      */
-    handlePeriodEnd() {
-        console.log(`Period ${this.state.currentPeriod} ended`);
-
-        this.stop();
-
-        if (this.state.currentPeriod >= this.config.numPeriods) {
-            this.handleGameEnd();
-        } else {
-            this.state.currentPeriod++;
-            this.state.periodElapsed = 0;
-            this.state.isHalftime = true;
-
-            if (this.callbacks.onPeriodEnd) {
-                this.callbacks.onPeriodEnd({
-                    period: this.state.currentPeriod - 1,
-                    isHalftime: this.state.isHalftime
-                });
-            }
+    addPlayerStat(player, statType, value) {
+        const stats = this.scoring.playerStats[player] || {};
+        const before = stats[statType] || 0;
+        if (Math.max(0, before + value) === before) {
+            return before;
         }
-    }
 
-    /**
-     * Handle game end
-     */
-    handleGameEnd() {
-        console.log('🏁 Game ended');
+        stats[statType] = Math.max(0, before + value);
+        this.scoring.playerStats[player] = stats;
 
-        this.state.gameOver = true;
-        this.state.running = false;
+        this.logEvent('stat', { player, stat: statType, value: stats[statType] - before });
 
-        this.playSound('finalWhistle');
-
-        const stats = this.calculateFinalStats();
-
-        console.log('📊 Final Statistics:');
-        console.log(`   Variance: ${stats.variance}s`);
-        console.log(`   Rotations: ${stats.rotations}`);
-
-        if (this.callbacks.onGameEnd) {
-            this.callbacks.onGameEnd(stats);
+        if (statType === 'yellowCards' && value > 0 && stats.yellowCards === 2) {
+            this.addPlayerStat(player, 'redCards', 1);
+            console.log(`🟥 ${player} sent off - second yellow`);
+        } else if (statType === 'yellowCards' && before === 2 && stats.yellowCards < 2) {
+            this.addPlayerStat(player, 'redCards', -1);
         }
-    }
-
-    /**
-     * Calculate final statistics
-     */
-    calculateFinalStats() {
-        const stats = {
-            players: {},
-            variance: 0,
-            rotations: this.rotations.history.length,
-            averageMinutes: 0,
-            maxMinutes: 0,
-            minMinutes: 0
-        };
-
-        const activePlayers = this.players.all.filter(p => !this.players.removed.has(p));
-        let totalMinutes = 0;
-        const playTimes = [];
-
-        activePlayers.forEach(player => {
-            const minutes = this.players.minutes[player] || 0;
-            const benchMinutes = this.players.benchMinutes[player] || 0;
-
-            stats.players[player] = {
-                minutes: minutes,
-                benchMinutes: benchMinutes,
-                percentage: ((minutes / this.state.currentTime) * 100).toFixed(1),
-                jerseyNumber: this.players.jerseyNumbers[player] || null,
-                position: this.players.positions[player] || null,
-                goals: this.scoring.playerPoints[player] || 0
-            };
-
-            totalMinutes += minutes;
-            playTimes.push(minutes);
-
-            if (minutes > stats.maxMinutes) stats.maxMinutes = minutes;
-            if (stats.minMinutes === 0 || minutes < stats.minMinutes) stats.minMinutes = minutes;
-        });
 
-        // Calculate variance using standard deviation
-        if (playTimes.length > 0) {
-            const mean = totalMinutes / playTimes.length;
-            const squaredDiffs = playTimes.map(time => Math.pow(time - mean, 2));
-            const varianceValue = squaredDiffs.reduce((sum, diff) => sum + diff, 0) / playTimes.length;
-            stats.variance = Math.round(Math.sqrt(varianceValue));
+        if (this.callbacks.onScoreUpdate) {
+            this.callbacks.onScoreUpdate(this.getScoringStats());
         }
 
-        stats.averageMinutes = activePlayers.length > 0 ? totalMinutes / activePlayers.length : 0;
-
-        return stats;
-    }
-
-    /**
-     * Get complete game stats
-     */
-    getStats() {
-        const baseStats = this.calculateFinalStats();
-        const scoringStats = this.getScoringStats();
-
-        Object.keys(baseStats.players).forEach(player => {
-            baseStats.players[player].goals = this.scoring.playerPoints[player] || 0;
-        });
-
-        return {
-            ...baseStats,
-            homeScore: scoringStats.homeScore,
-            awayScore: scoringStats.awayScore,
-            teamName: scoringStats.homeTeamName,
-            opponentName: scoringStats.awayTeamName,
-            totalGameTime: this.state.currentTime
-        };
+        return stats[statType];
     }
 
     /**
@@ -1217,6 +670,7 @@ export class SoccerGameEngine {
             this.scoring.playerPoints[player] = 0;
         }
 
+        const homeBefore = this.scoring.home;
         this.scoring.playerPoints[player] += points;
         this.scoring.home += points;
 
@@ -1229,6 +683,14 @@ export class SoccerGameEngine {
             this.scoring.home = 0;
         }
 
+        const scored = this.scoring.home - homeBefore;
+        this.logEvent('score', { team: 'home', player, points: scored });
+
+        // Every goal is a shot on target
+        if (scored !== 0) {
+            this.addPlayerStat(player, 'shotsOn', scored);
+        }
+
         console.log(`⚽ ${player} scored! (Total: ${this.scoring.playerPoints[player]})`);
 
         const scoringStats = this.getScoringStats();
@@ -1243,11 +705,21 @@ export class SoccerGameEngine {
      * Update opposition score
      */
     updateOppositionScore(points) {
+        const awayBefore = this.scoring.away;
         this.scoring.away += points;
         if (this.scoring.away < 0) {
             this.scoring.away = 0;
         }
 
+        const conceded = this.scoring.away - awayBefore;
+        this.logEvent('score', { team: 'away', player: null, points: conceded });
+
+        // Goals conceded go against the keeper in goal at the time
+        const keeper = this.players.goalkeeper;
+        if (keeper && conceded !== 0) {
+            this.addPlayerStat(keeper, 'goalsConceded', conceded);
+        }
+
         console.log(`Opposition scored! (Total: ${this.scoring.away})`);
 
         const scoringStats = this.getScoringStats();
@@ -1287,6 +759,7 @@ export class SoccerGameEngine {
             homeTeamName: this.scoring.homeTeamName,
             awayTeamName: this.scoring.awayTeamName,
             playerPoints: { ...this.scoring.playerPoints },
+            playerStats: { ...this.scoring.playerStats },
             topScorers,
             totalPoints: this.scoring.home + this.scoring.away
         };
@@ -1309,18 +782,23 @@ export class SoccerGameEngine {
                 field: [...this.players.field],
                 bench: [...this.players.bench],
                 removed: Array.from(this.players.removed),
+                ...this.getAbsentPlayers(),
                 minutes: { ...this.players.minutes },
                 benchMinutes: { ...this.players.benchMinutes },
                 positions: { ...this.players.positions },
-                goalkeeper: this.players.goalkeeper
+                goalkeeper: this.players.goalkeeper,
+                keeperMinutes: { ...this.players.keeperMinutes }
             },
             rotations: {
                 pending: this.rotations.pending,
                 pendingOff: [...this.rotations.pendingOff],
                 pendingOn: [...this.rotations.pendingOn],
+                pendingKeeper: this.rotations.pendingKeeper,
                 next: this.rotations.nextScheduled,
+                upcoming: this.getUpcomingRotations(),
                 history: this.rotations.history.length,
-                remaining: this.rotations.plan.length - this.rotations.currentPlanIndex
+                remaining: this.rotations.plan.length - this.rotations.currentPlanIndex,
+                queued: this.isRotationQueued()
             },
             variance: analytics ? analytics.currentVariance : 0,
             targetMinutes: this.planTargetMinutes,
@@ -1331,126 +809,4 @@ export class SoccerGameEngine {
             }
         };
     }
-
-    /**
-     * Format time for display
-     */
-    formatTime(seconds) {
-        const mins = Math.floor(seconds / 60);
-        const secs = seconds % 60;
-        return `${mins}:${secs.toString().padStart(2, '0')}`;
-    }
-
-    /**
-     * Preload audio files
-     */
-    preloadAudio() {
-        try {
-            this.audio.warningBeep = new Audio('beep-warning.wav');
-            this.audio.whistle = new Audio('startingwhistle.wav');
-            this.audio.finalWhistle = new Audio('Game sounds/final whistle sound.mp3');
-            this.audio.subBuzzer = new Audio('Game sounds/SportsBuzzer-1-final.mp3');
-
-            this.audio.warningBeep.load();
-            this.audio.whistle.load();
-            this.audio.finalWhistle.load();
-            this.audio.subBuzzer.load();
-
-            console.log('🔊 Audio files preloaded');
-        } catch (e) {
-            console.warn('Audio preload failed:', e);
-        }
-    }
-
-    /**
-     * Play sound effect
-     */
-    playSound(soundType) {
-        if (!this.audio.enabled || !this.audio[soundType]) return;
-
-        try {
-            const sound = this.audio[soundType].cloneNode();
-            sound.volume = 0.5;
-            sound.play().catch(e => console.warn(`Failed to play ${soundType}:`, e));
-        } catch (e) {
-            console.warn(`Error playing ${soundType}:`, e);
-        }
-    }
-
-    /**
-     * Handle errors
-     */
-    handleError(message) {
-        console.error(`❌ [SoccerEngine] ${message}`);
-
-        if (this.callbacks.onError) {
-            this.callbacks.onError(message);
-        }
-    }
-
-    /**
-     * Reset game
-     */
-    reset() {
-        console.log('🔄 Resetting game');
-
-        this.stop();
-
-        if (this.timerInterval) {
-            clearInterval(this.timerInterval);
-            this.timerInterval = null;
-        }
-
-        this.lastVisibleTimestamp = null;
-        this.wasRunningWhenHidden = false;
-
-        this.state = {
-            initialized: false,
-            running: false,
-            paused: false,
-            currentTime: 0,
-            currentPeriod: 1,
-            periodElapsed: 0,
-            isHalftime: false,
-            gameOver: false
-        };
-
-        this.players = {
-            all: [],
-            field: [],
-            bench: [],
-            removed: new Set(),
-            minutes: {},
-            benchMinutes: {},
-            currentStints: {},
-            positions: {},
-            lastRotationTime: {},
-            jerseyNumbers: {},
-            goalkeeper: null
-        };
-
-        this.rotations = {
-            pending: false,
-            pendingOff: [],
-            pendingOn: [],
-            pendingTime: null,
-            history: [],
-            nextScheduled: null,
-            plan: [],
-            currentPlanIndex: 0,
-            lastConfirmedIndex: -1
-        };
-
-        this.scoring = {
-            home: 0,
-            away: 0,
-            homeTeamName: 'Home',
-            awayTeamName: 'Opposition',
-            playerPoints: {}
-        };
-
-        this.enforcer = null;
-
-        console.log('Reset complete');
-    }
 }
@@ -8,6 +8,12 @@
 import { SoccerGameEngine } from './soccer-game-engine.js';
 import { SoccerUI } from './soccer-ui-manager-new.js';
 import { SoccerSetup } from './soccer-setup-manager.js';
+import './utils/game-outbox.js';
+import './config/stats-tracker.js';
+import './utils/season-ledger.js';
+import './utils/stand-down-register.js';
+import './utils/live-view.js';
+import './utils/match-log.js';
 import { benchBalancerSupabase, initAuth } from './config/simple-supabase.js';
 import { SubscriptionLimits } from './js/subscription-limits.js';
 
@@ -15,6 +21,7 @@ import { SubscriptionLimits } from './js/subscription-limits.js';
 let gameEngine = null;
 let gameUI = null;
 let setupManager = null;
+let livePublisher = null;
 
 // Auth will be initialized after DOM is ready
 
@@ -126,6 +133,9 @@ function startSoccerGame(setupData) {
             window.soccerUI = gameUI;
         }
 
+        // New game, new live-view link
+        window.LiveView?.clearLiveMatchId();
+
         // Set up callbacks
         setupGameCallbacks();
 
@@ -169,6 +179,7 @@ function setupGameCallbacks() {
     // Update display on every tick
     gameEngine.callbacks.onUpdate = (state) => {
         gameUI.updateDisplay(state);
+        livePublisher?.update(state);
     };
 
     // Handle score updates
@@ -201,6 +212,18 @@ function setupGameCallbacks() {
         handleGameEnd(stats);
         // Clear saved state when game finishes naturally
         localStorage.removeItem('soccerGameState');
+        // Parents see the final score; the next game gets a new link
+        livePublisher?.update(gameEngine.getState(), true);
+        window.LiveView?.clearLiveMatchId();
+    };
+
+    // Concussion removals stand the player down as they happen, so a reset or
+    // abandoned game still books them
+    gameEngine.callbacks.onEvent = (event) => {
+        const standDown = window.standDownRegister?.recordEvent('soccer', event, { team: gameEngine.config.seasonTeam });
+        if (standDown) {
+            window.standDownRegister.pushToStatsTracker([standDown]).catch(() => false);
+        }
     };
 
     // Handle errors
@@ -229,6 +252,18 @@ function setupGameCallbacks() {
         gameUI.showGoalkeeperChange(gkChange);
     };
 
+    // Parent live view (utils/live-view.js)
+    livePublisher?.stop();
+    livePublisher = null;
+    window.LiveView?.startLiveView({
+        engine: gameEngine,
+        sport: 'soccer',
+        client: window.benchBalancerSupabase,
+        shareButton: document.getElementById('shareLiveButton')
+    }).then(publisher => {
+        livePublisher = publisher;
+    });
+
     // =========================================================================
     // Robust State Persistence (Auto-save & Save-on-Exit)
     // =========================================================================
@@ -273,6 +308,17 @@ function handlePeriodEnd(periodInfo) {
 async function handleGameEnd(stats) {
     console.log('Game ended with stats:', stats);
 
+    // Book the minutes to the season ledger (signed-in saves also reach player_stats)
+    if (window.seasonLedger && stats.seasonTeam) {
+        window.seasonLedger.recordGame('soccer', stats.seasonTeam, stats);
+    }
+
+    // Concussion removals stand the player down for later matches
+    if (window.standDownRegister) {
+        const standDowns = window.standDownRegister.recordGame('soccer', stats);
+        window.standDownRegister.pushToStatsTracker(standDowns).catch(() => false);
+    }
+
     // Show final statistics
     let message = '🏁 FULL TIME! ';
 
@@ -313,9 +359,10 @@ async function handleGameEnd(stats) {
     if (window.benchBalancerSupabase) {
         try {
             const { data: { user } } = await window.benchBalancerSupabase.auth.getUser();
-            isAuthenticated = !!user;
+            // Offline getUser() cannot reach Supabase - fall back to the cached session
+            isAuthenticated = !!user || !!window.statsTracker?.currentUser;
         } catch (e) {
-            isAuthenticated = false;
+            isAuthenticated = !!window.statsTracker?.currentUser;
         }
     }
 
@@ -337,6 +384,7 @@ async function handleGameEnd(stats) {
             saveBtn.style.opacity = '0.7';
             saveBtn.style.cursor = 'not-allowed';
 
+            let savedOffline = false;
             try {
                 // Get FRESH stats from game engine (includes any post-game score adjustments)
                 const finalStats = gameEngine.getStats();
@@ -353,11 +401,18 @@ async function handleGameEnd(stats) {
                             isPro = await SubscriptionLimits.isProUser(user.id);
                         }
                     }
+                    if (!isPro && navigator.onLine === false) {
+                        // The tier cannot be checked offline - keep the game in the outbox
+                        isPro = !!window.statsTracker.currentUser;
+                    }
 
                     if (isPro) {
                         const result = await window.statsTracker.saveGame(finalStats);
                         if (result.success) {
                             gameUI.showStatusMessage('✅ Stats saved successfully!', 5000, 'success');
+                        } else if (result.queued) {
+                            savedOffline = true;
+                            gameUI.showStatusMessage(window.describeSyncStatus(window.statsTracker.getSyncStatus()), 8000, 'info');
                         } else {
                             gameUI.showStatusMessage('⚠️ Stats save failed', 5000, 'warning');
                         }
@@ -366,7 +421,7 @@ async function handleGameEnd(stats) {
                     }
                 }
 
-                saveBtn.innerHTML = '<span>✅</span> SAVED!';
+                saveBtn.innerHTML = savedOffline ? '<span>📥</span> SAVED ON DEVICE' : '<span>✅</span> SAVED!';
                 saveBtn.style.background = 'linear-gradient(135deg, #4be9a6, #3dd192)';
 
             } catch (error) {
@@ -400,6 +455,21 @@ async function handleGameEnd(stats) {
 
         actionWrapper.appendChild(downloadBtn);
     }
+
+    // ===========================================
+    // PLAY-BY-PLAY EXPORT (everyone)
+    // ===========================================
+    const logBtn = document.createElement('button');
+    logBtn.className = 'btn-secondary';
+    logBtn.style.cssText = 'background: transparent; color: var(--accent-cyan); font-weight:bold; display:flex; align-items:center; justify-content:center; gap:8px; padding: 12px 20px; border-radius: 12px; border: 1px solid var(--accent-cyan); cursor: pointer; font-size: 13px; letter-spacing: 0.1em;';
+    logBtn.innerHTML = '<span>📜</span> EXPORT PLAY-BY-PLAY';
+    logBtn.onclick = () => {
+        const { teamName, events } = gameEngine.getStats();
+        window.MatchLog.downloadMatchLog(events, {
+            name: `PlayByPlay_${(teamName || 'Soccer').replace(/\s/g, '')}_${new Date().toISOString().split('T')[0]}`
+        });
+    };
+    actionWrapper.appendChild(logBtn);
 }
 
 /**
@@ -508,7 +578,14 @@ async function saveCompetitiveMatchResults(stats, matchData) {
             is_goalkeeper: playerData.isGoalkeeper || false,
             time_on_field: playerData.minutes || 0,
             time_on_bench: playerData.benchMinutes || 0,
-            goals_scored: playerData.goals || 0
+            goals_scored: playerData.goals || 0,
+            assists: playerData.assists || 0,
+            shots_on_target: playerData.shotsOn || 0,
+            shots_off_target: playerData.shotsOff || 0,
+            saves: playerData.saves || 0,
+            goals_conceded: playerData.goalsConceded || 0,
+            yellow_cards: playerData.yellowCards || 0,
+            red_cards: playerData.redCards || 0
         }));
 
         console.log('📤 Saving player stats:', playerStats);
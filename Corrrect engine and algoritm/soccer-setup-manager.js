@@ -57,6 +57,10 @@ export class SoccerSetup {
         this.elements.numGoalkeepers = document.getElementById('numGoalkeepers');
         this.elements.numReserves = document.getElementById('numReserves');
         this.elements.warningSoundToggle = document.getElementById('warningSoundToggle');
+        this.elements.stopClockToggle = document.getElementById('stopClockToggle');
+        this.elements.balanceMode = document.getElementById('balanceMode');
+        this.elements.seasonTeam = document.getElementById('seasonTeam');
+        this.elements.seasonReport = document.getElementById('seasonReport');
 
         // Player name containers
         this.elements.starterNamesContainer = document.getElementById('starterNamesContainer');
@@ -137,6 +141,14 @@ export class SoccerSetup {
             this.config.enableWarningSound = e.target.checked;
         });
 
+        // Season ledger: balance this game only or season to date
+        this.elements.balanceMode?.addEventListener('change', () => {
+            this.updateSeasonReport();
+        });
+        this.elements.seasonTeam?.addEventListener('change', () => {
+            this.updateSeasonReport();
+        });
+
         // Get plan button
         this.elements.getPlanButton?.addEventListener('click', () => {
             this.showPreliminaryPlan();
@@ -328,6 +340,8 @@ export class SoccerSetup {
                            placeholder="#"
                            maxlength="2"
                            value="${prefilledNum}">
+                    ${this.createTargetSelect(`starterTarget${i}`)}
+                    ${hasGK ? this.createKeeperSelect(`starterKeeper${i}`) : ''}
                 `;
                 this.elements.starterNamesContainer.appendChild(row);
             }
@@ -358,6 +372,8 @@ export class SoccerSetup {
                            placeholder="#"
                            maxlength="2"
                            value="${prefilledNum}">
+                    ${this.createTargetSelect(`reserveTarget${i}`)}
+                    ${hasGK ? this.createKeeperSelect(`reserveKeeper${i}`) : ''}
                 `;
                 this.elements.reserveNamesContainer.appendChild(row);
             }
@@ -365,6 +381,87 @@ export class SoccerSetup {
         }
     }
 
+    /**
+     * Show the team field and season equity report when balancing season to date
+     */
+    async updateSeasonReport() {
+        const seasonMode = this.elements.balanceMode?.value === 'season';
+        this.elements.seasonTeam?.classList.toggle('hidden', !seasonMode);
+        this.elements.seasonReport?.classList.toggle('hidden', !seasonMode);
+        if (!seasonMode || !window.seasonLedger) {
+            return;
+        }
+
+        if (this.elements.seasonTeam && !this.elements.seasonTeam.value) {
+            this.elements.seasonTeam.value = window.seasonLedger.getLastTeam('soccer');
+        }
+        const team = this.elements.seasonTeam?.value?.trim();
+        if (!team) {
+            this.elements.seasonReport.innerHTML = '<p class="small-note">Enter a team name to load its season ledger.</p>';
+            return;
+        }
+
+        await window.seasonLedger.syncFromStatsTracker('soccer', team).catch(() => false);
+        this.elements.seasonReport.innerHTML = window.renderEquityReport(window.seasonLedger.getReport('soccer', team));
+    }
+
+    /**
+     * Season carry-over for the current roster ({} when balancing this game only)
+     */
+    getCarryOver(players) {
+        const team = this.elements.seasonTeam?.value?.trim();
+        if (this.elements.balanceMode?.value !== 'season' || !team || !window.seasonLedger) {
+            return {};
+        }
+        return window.seasonLedger.getCarryOver('soccer', team, players);
+    }
+
+    /**
+     * Playing-time target picker for a player row (blank means an equal share)
+     */
+    createTargetSelect(id) {
+        const presets = window.GameConfig?.PLAYER_TARGET_PRESETS || [];
+        return `
+                    <select class="target-select" id="${id}" title="Playing-time target (e.g. cap a returning player, guarantee a development player)">
+                        ${presets.map(preset => `<option value="${preset.VALUE}">${preset.LABEL}</option>`).join('')}
+                    </select>`;
+    }
+
+    /**
+     * GK share picker for a player row (blank means the player stays outfield)
+     */
+    createKeeperSelect(id) {
+        const presets = window.GameConfig?.KEEPER_SHARE_PRESETS || [];
+        return `
+                    <select class="target-select" id="${id}" title="Share of the game in goal (two or more keepers rotate the GK)">
+                        ${presets.map(preset => `<option value="${preset.VALUE}">${preset.LABEL}</option>`).join('')}
+                    </select>`;
+    }
+
+    /**
+     * GK shares picked on the player rows ({ name: percent })
+     */
+    getKeeperShares() {
+        return Object.fromEntries(
+            Object.values(this.config.playerData)
+                .filter(data => parseFloat(data.keeperShare) > 0)
+                .map(data => [data.name, parseFloat(data.keeperShare)])
+        );
+    }
+
+    /**
+     * Keeper in goal at kick-off, as the engine picks it: the first starter
+     * if they keep goal, else the listed keeper with the biggest share
+     */
+    getStartingKeeper(keeperShares) {
+        const keepers = Object.keys(keeperShares).sort((a, b) => keeperShares[b] - keeperShares[a]);
+        const first = this.config.starterNames[0];
+        if (keepers.length === 0 || keepers.includes(first)) {
+            return first;
+        }
+        return keepers.find(name => this.config.starterNames.includes(name)) || keepers[0];
+    }
+
     /**
      * Get player names and jersey numbers from inputs
      */
@@ -398,6 +495,8 @@ export class SoccerSetup {
                 name: name,
                 jerseyNumber: number,
                 position: pos,
+                target: document.getElementById(`starterTarget${i}`)?.value || '',
+                keeperShare: hasGK ? document.getElementById(`starterKeeper${i}`)?.value || '' : '',
                 isStarter: true,
                 isGoalkeeper: pos === 'GK'
             };
@@ -422,6 +521,8 @@ export class SoccerSetup {
                 name: name,
                 jerseyNumber: number,
                 position: 'SUB',
+                target: document.getElementById(`reserveTarget${i}`)?.value || '',
+                keeperShare: hasGK ? document.getElementById(`reserveKeeper${i}`)?.value || '' : '',
                 isStarter: false,
                 isGoalkeeper: false
             };
@@ -483,6 +584,7 @@ export class SoccerSetup {
             const periodLength = this.config.minutesPerPeriod * 60;
 
             // Create optimizer
+            const keeperShares = this.config.numGoalkeepers === 1 ? this.getKeeperShares() : {};
             const optimizer = new SoccerIntervalOptimizer({
                 totalPlayers: totalPlayers,
                 fieldSpots: this.config.numOnField,
@@ -490,7 +592,12 @@ export class SoccerSetup {
                 gameLength: gameLength,
                 periodLength: periodLength,
                 idealShiftsPerPlayer: this.config.idealShiftsPerPlayer,
-                varianceThreshold: 90
+                varianceThreshold: 90,
+                playerTargets: Object.fromEntries(
+                    Object.values(this.config.playerData).map(data => [data.name, data.target])
+                ),
+                carryOver: this.getCarryOver([...this.config.starterNames, ...this.config.reserveNames]),
+                keeperShares
             });
 
             // Initialize with player names
@@ -500,7 +607,7 @@ export class SoccerSetup {
             }
 
             optimizer.initialize(allPlayers, {
-                goalkeeper: this.config.numGoalkeepers === 1 ? this.config.starterNames[0] : null
+                goalkeeper: this.config.numGoalkeepers === 1 ? this.getStartingKeeper(keeperShares) : null
             });
 
             // Generate plan
@@ -513,7 +620,8 @@ export class SoccerSetup {
             this.displayPreliminaryPlan({
                 plan: planObj.rotations || [],
                 targetMinutes: planObj.targetMinutes || Math.floor((gameLength * this.config.numOnField) / totalPlayers),
-                expectedVariance: planObj.expectedVariance || 0
+                expectedVariance: planObj.expectedVariance || 0,
+                playerTargets: planObj.playerTargets || {}
             }, optimizer);
 
         } catch (err) {
@@ -535,7 +643,11 @@ export class SoccerSetup {
      */
     displayPreliminaryPlan(plan, optimizer) {
         const hasGK = this.config.numGoalkeepers === 1;
-        const gkName = hasGK ? this.config.starterNames[0] : null;
+        const gkName = hasGK ? optimizer.goalkeeper : null;
+        const keeperLine = optimizer.hasKeeperRotation()
+            ? `<p><strong>GK Rotation:</strong> ${optimizer.keeperPlan.map(slot =>
+                `${slot.keeper} ${this.formatTime(slot.start)}-${this.formatTime(slot.end)}`).join(', ')}</p>`
+            : `<p><strong>Goalkeeper:</strong> ${gkName} (protected from rotation)</p>`;
 
         let html = `
             <h4 style="color: var(--accent-cyan); margin-bottom: 15px;">⚽ Soccer Rotation Plan</h4>
@@ -543,7 +655,7 @@ export class SoccerSetup {
             <div style="margin-bottom: 15px;">
                 <p><strong>Game Format:</strong> 2 Halves × ${this.config.minutesPerPeriod} minutes</p>
                 <p><strong>Roster:</strong> ${optimizer.totalPlayers} players (${this.config.numOnField} field + ${optimizer.benchSpots} bench)</p>
-                ${hasGK ? `<p><strong>Goalkeeper:</strong> ${gkName} (protected from rotation)</p>` : ''}
+                ${hasGK ? keeperLine : ''}
                 <p><strong>Strategy:</strong> Hybrid algorithm with ${this.config.idealShiftsPerPlayer} ideal shifts per outfield player</p>
             </div>
 
@@ -555,6 +667,17 @@ export class SoccerSetup {
             </div>
         `;
 
+        // Individual playing-time targets (only players who are not on an equal share)
+        const targeted = Object.entries(plan.playerTargets || {})
+            .filter(([name]) => this.config.playerData[name]?.target);
+        if (targeted.length > 0) {
+            html += `
+                <p style="color: var(--accent-cyan); margin-bottom: 15px;">
+                    🎯 Targets: ${targeted.map(([name, seconds]) => `${name} ${this.formatTime(Math.round(seconds))}`).join(', ')}
+                </p>
+            `;
+        }
+
         // Add rotation schedule
         if (plan.plan.length > 0) {
             html += `
@@ -575,11 +698,15 @@ export class SoccerSetup {
                     return data ? `#${data.jerseyNumber} ${name}` : name;
                 }).join(', ');
 
+                const keeperSwap = rotation.keeper
+                    ? ` <span style="color: var(--accent-cyan);">🥅 GK → ${rotation.keeper}</span>`
+                    : '';
+
                 html += `
                     <p style="margin: 8px 0; padding: 5px; background: rgba(0, 0, 0, 0.3); border-radius: 3px;">
                         <span style="color: #FFD700;">${time}</span> -
                         OFF: <span style="color: #FF8C00;">[${offPlayers}]</span> →
-                        ON: <span style="color: #5CB85C;">[${onPlayers}]</span>
+                        ON: <span style="color: #5CB85C;">[${onPlayers}]</span>${keeperSwap}
                     </p>
                 `;
             });
@@ -666,13 +793,19 @@ export class SoccerSetup {
             errors.push('Jersey numbers must be unique');
         }
 
+        // Players stood down (concussion) sit out until their return date or a recorded clearance
+        const standDownError = window.standDownRegister?.checkRoster(allNames);
+        if (standDownError) {
+            errors.push(standDownError);
+        }
+
         return errors;
     }
 
     /**
      * Confirm setup and start game
      */
-    confirmSetup() {
+    async confirmSetup() {
         console.log('Confirming soccer setup...');
 
         // Clear errors
@@ -693,6 +826,9 @@ export class SoccerSetup {
         // Get player data
         this.getPlayerData();
 
+        // Stand-downs booked on another device block the roster too
+        await window.standDownRegister?.syncFromStatsTracker().catch(() => false);
+
         // Validate
         const errors = this.validateSetup();
         if (errors.length > 0) {
@@ -709,12 +845,16 @@ export class SoccerSetup {
             numGoalkeepers: this.config.numGoalkeepers,
             numReserves: this.config.numReserves,
             enableWarningSound: this.config.enableWarningSound,
+            stopClock: this.elements.stopClockToggle?.checked === true,
             starterNames: this.config.starterNames,
             starterNumbers: this.config.starterNumbers,
             reserveNames: this.config.reserveNames,
             reserveNumbers: this.config.reserveNumbers,
             playerData: this.config.playerData,
-            idealShiftsPerPlayer: this.config.idealShiftsPerPlayer
+            keeperShares: this.config.numGoalkeepers === 1 ? this.getKeeperShares() : {},
+            idealShiftsPerPlayer: this.config.idealShiftsPerPlayer,
+            seasonTeam: this.elements.seasonTeam?.value?.trim() || null,
+            carryOver: this.getCarryOver([...this.config.starterNames, ...this.config.reserveNames])
         };
 
         console.log('Setup data:', setupData);
@@ -819,6 +959,13 @@ export class SoccerSetup {
                     this.elements.warningSoundToggle.checked = config.enableWarningSound;
                     this.config.enableWarningSound = config.enableWarningSound;
                 }
+                if (config.stopClock !== undefined && this.elements.stopClockToggle) {
+                    this.elements.stopClockToggle.checked = config.stopClock;
+                }
+                if (config.balanceMode && this.elements.balanceMode) {
+                    this.elements.balanceMode.value = config.balanceMode;
+                    this.updateSeasonReport();
+                }
 
                 this.updateRosterSize();
                 this.generatePlayerInputs();
@@ -839,7 +986,9 @@ export class SoccerSetup {
                 numOnField: this.config.numOnField,
                 numGoalkeepers: this.config.numGoalkeepers,
                 numReserves: this.config.numReserves,
-                enableWarningSound: this.config.enableWarningSound
+                enableWarningSound: this.config.enableWarningSound,
+                stopClock: this.elements.stopClockToggle?.checked === true,
+                balanceMode: this.elements.balanceMode?.value || 'game'
             };
             localStorage.setItem('soccerSetup', JSON.stringify(config));
             console.log('Saved configuration');
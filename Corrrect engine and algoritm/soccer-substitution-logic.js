@@ -65,7 +65,7 @@ function calculateOptimalSubstitutionPattern(
     }
     debugLog(`Effective params for plan gen: Active Non-GK: ${numNonGkPlayers}, Non-GK Spots: ${numNonGkSpotsOnField}, Subs: ${actualSubsPerChangeForPlanGeneration}`);
 
-    const { lineups, numLineups } = calculateOptimalLineups(nonGkPlayers, numNonGkSpotsOnField, actualSubsPerChangeForPlanGeneration);
+    const { lineups, numLineups } = calculateOptimalLineups(nonGkPlayers, numNonGkSpotsOnField, actualSubsPerChangeForPlanGeneration, totalGameSeconds);
 
     if (!lineups || lineups.length <= 1) {
         debugLog("Optimal lineup calculation resulted in 1 or no lineups. No substitution plan generated.");
@@ -187,72 +187,22 @@ function calculateOptimalSubstitutionPattern(
     return { times: finalSubTimes, plan: adjustedSubPlan };
 }
 
-function calculateOptimalLineups(players, playersOnField, subsPerChange) {
-    const totalPlayers = players.length;
-
-    if (totalPlayers === 6 && playersOnField === 4 && subsPerChange === 1) {
-        debugLog("Using specialized 6p/4f/1s pattern");
-        return { lineups: generate6Players4OnField1SubLineups(players), numLineups: generate6Players4OnField1SubLineups(players).length };
-    }
-    if (totalPlayers === 6 && playersOnField === 4 && subsPerChange === 2) {
-        debugLog("Using specialized 6p/4f/2s pattern");
-        return { lineups: generate6Players4OnField2SubsLineups(players), numLineups: generate6Players4OnField2SubsLineups(players).length };
-    }
-    if (totalPlayers === 7 && playersOnField === 5 && subsPerChange === 1) {
-        debugLog("Using specialized 7p/5f/1s pattern");
-        return { lineups: generate7Players5OnField1SubLineups(players), numLineups: generate7Players5OnField1SubLineups(players).length };
-    }
-    if (totalPlayers === 7 && playersOnField === 4 && subsPerChange === 2) {
-        debugLog("Using specialized 7p/4f/2s pattern");
-        return { lineups: generate7Players4OnField2SubsLineups(players), numLineups: generate7Players4OnField2SubsLineups(players).length };
-    }
-    if (totalPlayers === 8 && playersOnField === 5 && subsPerChange === 1) {
-        debugLog("Using specialized 8p/5f/1s pattern");
-        return { lineups: generate8Players5OnField1SubLineups(players), numLineups: generate8Players5OnField1SubLineups(players).length };
-    }
-    if (totalPlayers === 8 && playersOnField === 5 && subsPerChange === 2) {
-        debugLog("Using specialized 8p/5f/2s pattern");
-        return { lineups: generate8Players5OnField2SubsLineups(players), numLineups: generate8Players5OnField2SubsLineups(players).length };
-    }
-    if (totalPlayers === 8 && playersOnField === 6 && subsPerChange === 1) {
-        debugLog("Using specialized 8p/6f/1s pattern");
-        return { lineups: generate8Players6OnField1SubLineups(players), numLineups: generate8Players6OnField1SubLineups(players).length };
-    }
-    if (totalPlayers === 9 && playersOnField === 5 && subsPerChange === 2) {
-        debugLog("Using specialized 9p/5f/2s pattern");
-        return { lineups: generate9Players5OnField2SubsLineups(players), numLineups: generate9Players5OnField2SubsLineups(players).length };
-    }
-    if (totalPlayers === 9 && playersOnField === 6 && subsPerChange === 2) {
-        debugLog("Using specialized 9p/6f/2s pattern");
-        return { lineups: generate9Players6OnField2SubsLineups(players), numLineups: generate9Players6OnField2SubsLineups(players).length };
-    }
-    if (totalPlayers === 9 && playersOnField === 7 && subsPerChange === 1) {
-        debugLog("Using specialized 9p/7f/1s pattern");
-        return { lineups: generate9Players7OnField1SubLineups(players), numLineups: generate9Players7OnField1SubLineups(players).length };
-    }
-    if (totalPlayers === 10 && playersOnField === 6 && subsPerChange === 2) {
-        debugLog("Using specialized 10p/6f/2s pattern");
-        return { lineups: generate10Players6OnField2SubsLineups(players), numLineups: generate10Players6OnField2SubsLineups(players).length };
-    }
-    if (totalPlayers === 10 && playersOnField === 7 && subsPerChange === 2) {
-        debugLog("Using specialized 10p/7f/2s pattern");
-        return { lineups: generate10Players7OnField2SubsLineups(players), numLineups: generate10Players7OnField2SubsLineups(players).length };
-    }
-    if (totalPlayers === 10 && playersOnField === 8 && subsPerChange === 1) {
-        debugLog("Using specialized 10p/8f/1s pattern");
-        return { lineups: generate10Players8OnField1SubLineups(players), numLineups: generate10Players8OnField1SubLineups(players).length };
-    }
-    if (totalPlayers === 11 && playersOnField === 8 && subsPerChange === 2) {
-        debugLog("Using specialized 11p/8f/2s pattern");
-        return { lineups: generate11Players8OnField2SubsLineups(players), numLineups: generate11Players8OnField2SubsLineups(players).length };
-    }
-    if (totalPlayers === 12 && playersOnField === 11 && subsPerChange === 1) {
-        debugLog("Using specialized 12p/11f/1s pattern");
-        return { lineups: generate12Players11OnField1SubLineups(players), numLineups: generate12Players11OnField1SubLineups(players).length };
-    }
-
-    debugLog("Using 'Even Fairer' general rotation algorithm for lineups as no specific pattern matched or to refine further.");
-    return generateEvenMoreFairLineupsJS(players, playersOnField, subsPerChange);
+/**
+ * Lineup rotation for the non-GK players, built for any roster size (see utils/lineup-construction.js).
+ * @param {string[]} players - Rotating players, starting lineup first.
+ * @param {number} playersOnField - Rotating spots on the field.
+ * @param {number} subsPerChange - Most players swapped at each change.
+ * @param {number} [totalGameSeconds] - Segment length; caps the lineups so stints stay above MIN_ACCEPTABLE_SUB_INTERVAL.
+ * @returns {{lineups: string[][], numLineups: number}}
+ */
+function calculateOptimalLineups(players, playersOnField, subsPerChange, totalGameSeconds = null) {
+    const maxLineups = totalGameSeconds
+        ? Math.max(1, Math.floor(totalGameSeconds / Math.max(MIN_ACCEPTABLE_SUB_INTERVAL, MIN_TIME_BEFORE_END_BUFFER_SECONDS)))
+        : Infinity;
+    const result = LineupConstruction.buildBalancedLineups(players, playersOnField, subsPerChange, { maxLineups, gameSeconds: totalGameSeconds });
+
+    debugLog(`Constructed ${result.numLineups} lineups for ${players.length}p/${playersOnField}f/${subsPerChange}s: appearance spread ${result.spread}, lower bound ${result.spreadLowerBound}.`);
+    return result;
 }
 
 function applyEndGameEquityAdjustment(currentPlan, rotatablePlayers, numSpotsOnField, totalDurationOfSegment, generatedLineups, subsPerChangeForSegment) {
@@ -121,7 +121,8 @@ export class SoccerUI {
 
         // Confirm substitution
         this.elements.confirmSubButton?.addEventListener('click', () => {
-            if (this.engine.confirmRotation()) {
+            // A rotation the engine rejects is dropped too - clear the prompt either way
+            if (this.engine.confirmRotation() || !this.engine.rotations.pending) {
                 this.elements.confirmSubButton.classList.add('hidden');
                 this.clearRotationHighlights();
                 this.hideStatusMessage();
@@ -558,7 +559,9 @@ export class SoccerUI {
         if (this.elements.nextSubCountdown) {
             if (rotations.next && !rotations.pending) {
                 const timeUntil = rotations.next.time - state.currentTime;
-                if (timeUntil > 0) {
+                if (rotations.queued) {
+                    this.elements.nextSubCountdown.textContent = 'AT STOPPAGE';
+                } else if (timeUntil > 0) {
                     this.elements.nextSubCountdown.textContent = this.formatTime(timeUntil);
                 } else {
                     this.elements.nextSubCountdown.textContent = 'NOW!';
@@ -700,10 +703,11 @@ export class SoccerUI {
             const goals = scoring.playerPoints?.[player] || 0;
             const minutes = state.players.minutes[player] || 0;
             const safeName = this.escapeHTML(player);
+            const statLine = this.formatPlayerStatLine(scoring.playerStats?.[player]);
 
             statsHTML += `
                 <div class="stat-card">
-                    <div class="stat-player-name">${safeName}</div>
+                    <div class="stat-player-name">${safeName}${statLine ? `<span class="stat-player-line">${this.escapeHTML(statLine)}</span>` : ''}</div>
                     <div class="stat-player-points">${goals} ⚽ | ${this.formatTime(minutes)}</div>
                 </div>
             `;
@@ -736,11 +740,13 @@ export class SoccerUI {
                         <button class="scoring-pad-btn minus" onclick="soccerUI.updatePlayerScore('${jsName}', -1)">-</button>
                         <button class="scoring-pad-btn" onclick="soccerUI.updatePlayerScore('${jsName}', 1)">+</button>
                     </div>
+                    <div class="scoring-pad-stats">${this.renderStatPadButtons(jsName, player === state.players.goalkeeper)}</div>
                 </div>
             `;
         });
 
         this.elements.scoringPadPlayers.innerHTML = padHTML;
+        this.updateStatUndo();
 
         // Update opposition score in pad
         const oppositionScorePad = document.getElementById('oppositionScorePad');
@@ -749,6 +755,110 @@ export class SoccerUI {
         }
     }
 
+    /**
+     * Stat buttons for a player on the field; saves only for the keeper
+     */
+    renderStatPadButtons(jsName, isKeeper) {
+        const buttons = [
+            ['assists', 'AST', ''],
+            ['shotsOn', 'ON', 'Shot on target'],
+            ['shotsOff', 'OFF', 'Shot off target'],
+            ...(isKeeper ? [['saves', 'SAVE', '']] : []),
+            ['yellowCards', 'YC', 'Yellow card'],
+            ['redCards', 'RC', 'Red card']
+        ];
+
+        return buttons.map(([stat, label, title]) => `
+            <button class="stat-pad-btn ${stat}" onclick="soccerUI.recordPlayerStat('${jsName}', '${stat}')"${title ? ` title="${title}"` : ''}>${label}</button>
+        `).join('');
+    }
+
+    /**
+     * One-line summary of a player's recorded stats
+     */
+    formatPlayerStatLine(stats) {
+        if (!stats) return '';
+
+        const parts = [];
+        if (stats.assists) parts.push(`${stats.assists} AST`);
+        if (stats.shotsOn || stats.shotsOff) {
+            parts.push(`${stats.shotsOn || 0}/${(stats.shotsOn || 0) + (stats.shotsOff || 0)} on target`);
+        }
+        if (stats.saves) parts.push(`${stats.saves} saves`);
+        if (stats.goalsConceded) parts.push(`${stats.goalsConceded} conceded`);
+        if (stats.yellowCards) parts.push('🟨'.repeat(stats.yellowCards));
+        if (stats.redCards) parts.push('🟥');
+
+        return parts.join(' · ');
+    }
+
+    /**
+     * Record a stat for a player via UI. The last entry can be taken back with undoLastStat
+     */
+    recordPlayerStat(playerName, stat) {
+        if (!this.engine) return;
+
+        // A red card (straight or a second yellow) sends the player off
+        const yellowCards = this.engine.scoring.playerStats[playerName]?.yellowCards || 0;
+        if (stat === 'redCards' || (stat === 'yellowCards' && yellowCards === 1)) {
+            this.sendOff(playerName, stat);
+        } else if (this.engine.recordPlayerStat(playerName, stat) !== false) {
+            this.lastStat = { player: playerName, stat };
+        }
+        this.updateDisplay(this.engine.getState());
+    }
+
+    /**
+     * Book the card that sends a player off, once the coach confirms: nobody
+     * replaces them and the team plays a player short for the rest of the
+     * game. A keeper hands the gloves to the outfield player with the most
+     * time in goal. Card and send-off are booked (and undone) together
+     */
+    sendOff(playerName, stat) {
+        const { field, goalkeeper, keeperMinutes } = this.engine.players;
+        const keeper = playerName === goalkeeper
+            ? field.filter(p => p !== playerName).sort((a, b) => (keeperMinutes[b] || 0) - (keeperMinutes[a] || 0))[0]
+            : null;
+        const note = keeper ? ` ${keeper} takes over in goal.` : '';
+
+        if (!confirm(`Send off ${playerName}? The team plays a player short for the rest of the game.${note}`)) {
+            return;
+        }
+        if (this.engine.recordPlayerStat(playerName, stat) === false) {
+            return;
+        }
+        if (!this.engine.sinBin(playerName, { duration: null, keeper })) {
+            this.engine.addPlayerStat(playerName, stat, -1);
+            return;
+        }
+
+        this.lastStat = { player: playerName, stat, sentOff: true };
+        this.showStatusMessage(`🟥 ${playerName} sent off - playing a player short`, 3000, 'warning');
+    }
+
+    /**
+     * Take back the last stat entry (a card that sent the player off brings them back on)
+     */
+    undoLastStat() {
+        if (!this.engine || !this.lastStat) return;
+
+        const { player, stat, sentOff } = this.lastStat;
+        this.lastStat = null;
+        this.engine.addPlayerStat(player, stat, -1);
+        if (sentOff) {
+            this.engine.endSinBin(player);
+        }
+        this.updateDisplay(this.engine.getState());
+    }
+
+    updateStatUndo() {
+        const button = document.getElementById('statUndoButton');
+        if (!button) return;
+
+        button.disabled = !this.lastStat;
+        button.textContent = this.lastStat ? `↶ Undo ${this.lastStat.player} ${this.lastStat.stat}` : '↶ Undo last stat';
+    }
+
     /**
      * Toggle scoring pad visibility
      */
@@ -853,7 +963,10 @@ export class SoccerUI {
      * Show rotation pending notification
      */
     showRotationPending(rotation) {
-        this.showStatusMessage('Rotation ready - Confirm when ready', 0, 'warning');
+        const message = rotation?.keeper
+            ? `Rotation ready - ${rotation.keeper} takes over in goal. Confirm when ready`
+            : 'Rotation ready - Confirm when ready';
+        this.showStatusMessage(message, 0, 'warning');
     }
 
     /**
@@ -941,10 +1054,15 @@ export class SoccerUI {
         const handleConfirm = () => {
             const playerOff = subOutSelect?.value;
             const playerOn = subInSelect?.value;
-            const removeFromGame = document.querySelector('input[name="injuredFate"]:checked')?.value === 'remove';
+            const fate = document.querySelector('input[name="injuredFate"]:checked')?.value;
+            const temporary = fate === 'blood' || fate === 'hia';
 
             if (playerOff && playerOn) {
-                const success = this.engine.emergencySubstitution(playerOff, playerOn, removeFromGame);
+                const success = temporary
+                    ? this.engine.temporaryReplacement(playerOff, playerOn, { reason: fate })
+                    : this.engine.emergencySubstitution(playerOff, playerOn, fate === 'remove' || fate === 'concussion', {
+                        reason: fate === 'concussion' ? 'concussion' : 'injury'
+                    });
                 if (success) {
                     cleanup();
                     this.updateDisplay(this.engine.getState());
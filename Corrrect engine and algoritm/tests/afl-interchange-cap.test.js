@@ -0,0 +1,154 @@
+const assert = require('assert');
+
+// Provide minimal browser globals expected by the engines
+global.window = global.window || {};
+
+const { AFLGameEngine } = require('../afl-game-engine.js');
+
+const quietLog = console.log;
+console.log = () => {};
+const quietError = console.error;
+console.error = () => {};
+
+const names = count => Array.from({ length: count }, (_, i) => `P${i + 1}`);
+
+function createEngine(overrides = {}) {
+    const roster = names(13);
+    const engine = new AFLGameEngine();
+    engine.initialize({
+        ageGroup: 'U9',
+        numReserves: 4,
+        starterNames: roster.slice(0, 9),
+        reserveNames: roster.slice(9),
+        enableWarningSound: false,
+        ...overrides
+    });
+    const errors = [];
+    engine.callbacks.onError = message => errors.push(message);
+    return { engine, errors };
+}
+
+function playTo(engine, targetTimeSeconds = Infinity) {
+    while (engine.state.currentTime < targetTimeSeconds && !engine.state.gameOver) {
+        engine.advanceOneSecond();
+        if (engine.rotations.pending) engine.confirmRotation();
+    }
+}
+
+// Players brought on mid-quarter by the plan (break changes are free)
+const plannedInterchanges = engine => engine.rotations.plan
+    .filter(rotation => rotation.time % engine.config.periodLength !== 0)
+    .reduce((sum, rotation) => sum + rotation.on.length, 0);
+
+try {
+    // Setup parsing: a number is a per-game cap, nothing means unlimited
+    {
+        assert.deepStrictEqual(createEngine({ interchangeCap: 20 }).engine.config.interchangeCap,
+            { perGame: 20, perPeriod: null, reserve: 1 });
+        assert.deepStrictEqual(createEngine({ interchangeCap: { perPeriod: '5', reserve: 0 } }).engine.config.interchangeCap,
+            { perGame: null, perPeriod: 5, reserve: 0 });
+        const { engine } = createEngine();
+        assert.strictEqual(engine.config.interchangeCap, null);
+        assert.strictEqual(engine.getStats().interchanges.left, null);
+    }
+
+    // A per-game cap: the plan keeps one back for injuries and the whole game fits
+    {
+        const { engine, errors } = createEngine({ interchangeCap: 20 });
+        assert.ok(plannedInterchanges(engine) <= 19, `planned ${plannedInterchanges(engine)}`);
+        assert.ok(plannedInterchanges(engine) > 0);
+
+        playTo(engine);
+        const stats = engine.getStats().interchanges;
+        assert.deepStrictEqual(errors, []);
+        assert.ok(stats.used <= 19 && stats.used >= 12, `used ${stats.used}`);
+        assert.ok(stats.left >= 1);
+
+        const minutes = Object.values(engine.players.minutes);
+        assert.ok(Math.max(...minutes) - Math.min(...minutes) <= 420, `balanced within the cap (${minutes})`);
+    }
+
+    // A per-quarter cap is spent in every quarter and never exceeded
+    {
+        const { engine, errors } = createEngine({ interchangeCap: { perPeriod: 4 } });
+        playTo(engine);
+        const { byPeriod } = engine.rotations.interchanges;
+        assert.deepStrictEqual(errors, []);
+        [1, 2, 3, 4].forEach(period => {
+            assert.ok((byPeriod[period] || 0) > 0 && byPeriod[period] <= 3, `quarter ${period}: ${byPeriod[period]}`);
+        });
+    }
+
+    // Manual subs over the cap are refused; injury replacements go through and are counted
+    {
+        const { engine, errors } = createEngine({ interchangeCap: { perGame: 2, reserve: 0 } });
+        engine.advanceOneSecond();
+        const bench = () => engine.players.bench;
+
+        assert.strictEqual(engine.emergencySubstitution('P1', bench()[0]), true);
+        assert.strictEqual(engine.emergencySubstitution('P2', bench()[0]), true);
+        assert.strictEqual(engine.emergencySubstitution('P3', bench()[0]), false);
+        assert.match(errors[0], /Interchange cap: 0 interchanges left this game, 1 needed/);
+        assert.ok(engine.onField.includes('P3'));
+
+        assert.strictEqual(engine.emergencySubstitution('P3', bench()[0], false, { injury: true }), true);
+        assert.strictEqual(engine.emergencySubstitution('P4', bench()[0], true), true, 'removal counts as injury');
+        assert.deepStrictEqual(
+            [engine.getInterchangeStats().used, engine.getInterchangeStats().injury],
+            [4, 2]
+        );
+        const injurySub = engine.getEventLog().filter(e => e.type === 'substitution')[2];
+        assert.strictEqual(injurySub.injury, true);
+
+        engine.rotations.pending = true;
+        engine.rotations.pendingOff = ['P5'];
+        engine.rotations.pendingOn = [bench()[0]];
+        assert.strictEqual(engine.confirmRotation(), false, 'planned rotation over the cap is refused');
+        assert.ok(engine.onField.includes('P5'));
+    }
+
+    // A vetoed rotation is dropped and the plan rebuilt instead of stalling the schedule
+    {
+        const { engine, errors } = createEngine({ interchangeCap: { perGame: 2, reserve: 0 } });
+        engine.advanceOneSecond();
+        const planned = engine.rotations.plan[0];
+        engine.rotations.pending = true;
+        engine.rotations.pendingOff = ['P5', 'P6', 'P7'];
+        engine.rotations.pendingOn = engine.players.bench.slice(0, 3);
+
+        assert.strictEqual(engine.confirmRotation(), false);
+        assert.match(errors[0], /Interchange cap/);
+        assert.strictEqual(engine.rotations.pending, false, 'vetoed rotation is not left pending');
+        assert.ok(engine.getEventLog().some(event => event.type === 'rotation_cancelled'));
+        assert.ok(!engine.rotations.plan.includes(planned), 'plan is rebuilt');
+
+        // The rebuilt plan fits the cap, so play carries on to full time
+        playTo(engine);
+        assert.strictEqual(engine.state.gameOver, true);
+        assert.strictEqual(engine.rotations.pending, false);
+        assert.ok(engine.getInterchangeStats().used <= 2);
+    }
+
+    // Changes at a quarter break are free, and the count survives a snapshot
+    {
+        const { engine } = createEngine({ interchangeCap: 6 });
+        playTo(engine, engine.config.periodLength);
+        const used = engine.getInterchangeStats().used;
+        assert.strictEqual(engine.state.periodElapsed, 0);
+
+        const off = engine.onField[0];
+        assert.strictEqual(engine.emergencySubstitution(off, engine.players.bench[0]), true);
+        assert.strictEqual(engine.getInterchangeStats().used, used, 'break change not counted');
+
+        const restored = new AFLGameEngine();
+        restored.restoreFromSnapshot(JSON.parse(JSON.stringify(engine.getSnapshot())));
+        assert.deepStrictEqual(restored.config.interchangeCap, engine.config.interchangeCap);
+        assert.deepStrictEqual(restored.rotations.interchanges, engine.rotations.interchanges);
+        assert.deepStrictEqual(restored.enforcer.interchangeBudget, engine.enforcer.interchangeBudget);
+    }
+} finally {
+    console.log = quietLog;
+    console.error = quietError;
+}
+
+console.log('✅ AFL interchange cap tests passed.');
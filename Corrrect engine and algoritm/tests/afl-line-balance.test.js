@@ -0,0 +1,132 @@
+const assert = require('assert');
+
+// Provide minimal browser globals expected by the engines
+global.window = global.window || {};
+
+const { AFLGameEngine } = require('../afl-game-engine.js');
+const { SeasonLedger } = require('../utils/season-ledger.js');
+
+const quietLog = console.log;
+console.log = () => {};
+
+const names = count => Array.from({ length: count }, (_, i) => `P${i + 1}`);
+
+function createEngine(overrides = {}) {
+    const roster = names(13);
+    const engine = new AFLGameEngine();
+    engine.initialize({
+        ageGroup: 'U9',
+        numReserves: 4,
+        starterNames: roster.slice(0, 9),
+        reserveNames: roster.slice(9),
+        enableWarningSound: false,
+        ...overrides
+    });
+    return engine;
+}
+
+function playOut(engine, check = () => {}) {
+    while (!engine.state.gameOver) {
+        engine.advanceOneSecond();
+        if (engine.rotations.pending) engine.confirmRotation();
+        check();
+    }
+}
+
+// Mean distance (percentage points) of each player's line shares from an even rotation
+function lineDeviation(report) {
+    const deviations = Object.values(report.players).flatMap(data =>
+        report.lines.map(line => Math.abs(data.shares[line] - report.target[line])));
+    return deviations.reduce((sum, value) => sum + value, 0) / deviations.length;
+}
+
+function countLines(engine) {
+    const counts = {};
+    engine.players.field.forEach(player => {
+        counts[engine.players.lines[player]] = (counts[engine.players.lines[player]] || 0) + 1;
+    });
+    return counts;
+}
+
+try {
+    // Field time is credited to the line each player is in
+    {
+        const engine = createEngine();
+        playOut(engine);
+        engine.players.all.forEach(player => {
+            const lineTotal = Object.values(engine.players.lineSeconds[player] || {}).reduce((sum, s) => sum + s, 0);
+            assert.strictEqual(lineTotal, engine.players.minutes[player], `${player}: line time adds up`);
+        });
+
+        const report = engine.getStats().lineExposure;
+        assert.deepStrictEqual(report.lines, ['Ruck', 'Midfield', 'Forward', 'Back']);
+        assert.deepStrictEqual(report.target, { Ruck: 11, Midfield: 33, Forward: 22, Back: 33 });
+        assert.strictEqual(report.players.P1.total, engine.players.minutes.P1);
+        assert.deepStrictEqual(engine.calculateFinalStats().players.P1.lineSeconds, engine.players.lineSeconds.P1);
+    }
+
+    // Line balancing keeps every line filled and spreads players across lines
+    {
+        const fixed = createEngine();
+        playOut(fixed);
+
+        const balanced = createEngine({ lineBalance: true });
+        const distribution = balanced.getLineDistribution(9);
+        playOut(balanced, () => {
+            if (!balanced.state.gameOver) {
+                assert.deepStrictEqual(countLines(balanced), distribution, 'every line stays filled');
+            }
+        });
+
+        const moves = balanced.getEventLog().filter(e => e.type === 'line_change');
+        assert.ok(moves.some(e => e.reason === 'quarter_break'), 'lines reshuffled at the breaks');
+        assert.ok(moves.every(e => e.from && e.line !== e.from));
+
+        const report = balanced.getLineReport();
+        assert.ok(lineDeviation(report) < lineDeviation(fixed.getLineReport()),
+            `closer to an even rotation (${lineDeviation(report)} vs ${lineDeviation(fixed.getLineReport())})`);
+        Object.entries(report.players).forEach(([player, data]) => {
+            ['Midfield', 'Forward', 'Back'].forEach(line => {
+                assert.ok(data.seconds[line] > 0, `${player} played ${line}`);
+            });
+        });
+    }
+
+    // Season to date: a player who has spent the season in the backs is moved up the ground
+    {
+        const engine = createEngine({ lineBalance: true, lineCarryOver: { P9: { Back: 3600 }, P2: { Nowhere: 10 } } });
+        assert.deepStrictEqual(engine.config.lineCarryOver, { P9: { Back: 3600 } });
+        assert.strictEqual(engine.players.lines.P9, 'Back');
+        assert.ok(engine.getLineNeed('P9', 'Forward') > 0 && engine.getLineNeed('P9', 'Back') < 0);
+
+        engine.balanceLines(engine.players.field, 'quarter_break');
+        assert.notStrictEqual(engine.players.lines.P9, 'Back');
+        assert.ok(engine.getEventLog().some(e => e.type === 'line_change' && e.player === 'P9' && e.from === 'Back'));
+    }
+
+    // The season ledger books line time and hands it back as carry-over
+    {
+        const items = {};
+        const ledger = new SeasonLedger({
+            getItem: key => (key in items ? items[key] : null),
+            setItem: (key, value) => { items[key] = String(value); }
+        });
+
+        const engine = createEngine({ lineBalance: true });
+        playOut(engine);
+        const stats = engine.calculateFinalStats();
+        ledger.recordGame('afl', 'Hawks', stats);
+        ledger.recordGame('afl', 'Hawks', stats);
+
+        const carryOver = ledger.getLineCarryOver('afl', 'Hawks', ['P1', 'New']);
+        assert.deepStrictEqual(Object.keys(carryOver), ['P1']);
+        Object.entries(stats.players.P1.lineSeconds).forEach(([line, seconds]) => {
+            assert.strictEqual(carryOver.P1[line], seconds * 2);
+        });
+        assert.deepStrictEqual(ledger.getReport('afl', 'Hawks').find(row => row.name === 'P1').lines, carryOver.P1);
+    }
+} finally {
+    console.log = quietLog;
+}
+
+console.log('✅ AFL line balance tests passed.');
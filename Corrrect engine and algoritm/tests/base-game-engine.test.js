@@ -0,0 +1,131 @@
+const assert = require('assert');
+
+// Provide minimal browser globals expected by the engines
+global.window = global.window || {};
+global.document = { hidden: false };
+
+const BaseGameEngine = require('../base-game-engine.js');
+const BasketballIntervalOptimizer = require('../basketball-interval-optimizer.js');
+window.BasketballIntervalOptimizer = BasketballIntervalOptimizer;
+const BasketballGameEngine = require('../basketball-game-engine.js');
+const { SoccerGameEngine } = require('../soccer-game-engine.js');
+const { AFLGameEngine } = require('../afl-game-engine.js');
+const OztagIntervalOptimizer = require('../oztag-interval-optimizer.js');
+window.OztagIntervalOptimizer = OztagIntervalOptimizer;
+const OztagGameEngine = require('../oztag-game-engine.js');
+window.NetballIntervalOptimizer = require('../netball-interval-optimizer.js');
+const NetballGameEngine = require('../netball-game-engine.js');
+
+function advance(engine, seconds) {
+    for (let i = 0; i < seconds && !engine.state.gameOver; i++) {
+        engine.advanceOneSecond();
+        if (engine.rotations.pending) {
+            engine.confirmRotation();
+        }
+    }
+}
+
+// Every sport engine is built on the shared core
+[BasketballGameEngine, SoccerGameEngine, AFLGameEngine, OztagGameEngine, NetballGameEngine].forEach(Engine => {
+    assert.ok(new Engine() instanceof BaseGameEngine, `${Engine.name} extends BaseGameEngine`);
+});
+
+// Basketball: fouled-out replacement starts a fresh stint
+{
+    const engine = new BasketballGameEngine();
+    engine.initialize({
+        minutesPerPeriod: 10,
+        starterNames: ['A', 'B', 'C', 'D', 'E'],
+        reserveNames: ['F', 'G', 'H'],
+        enableWarningSound: false
+    });
+    advance(engine, 120);
+
+    const fouled = engine.players.court[0];
+    assert.strictEqual(engine.playerFouledOut(fouled), true, 'Foul-out succeeds');
+    const replacement = engine.players.court.find(p => engine.players.currentStints[p].start === 120);
+
+    assert.ok(replacement, 'Replacement stint starts at the foul-out time');
+    assert.strictEqual(engine.players.currentStints[fouled].onCourt, false, 'Fouled player stint is closed');
+    assert.ok(engine.players.removed.has(fouled), 'Fouled player is removed');
+    assert.strictEqual(engine.players.court.length, 5, 'Court stays at 5');
+}
+
+// A planned rotation whose player coming on is no longer on the bench is
+// skipped and the rest of the plan is rebuilt, not dropped
+{
+    const engine = new BasketballGameEngine();
+    engine.initialize({
+        minutesPerPeriod: 10,
+        starterNames: ['A', 'B', 'C', 'D', 'E'],
+        reserveNames: ['F', 'G', 'H'],
+        enableWarningSound: false
+    });
+    const stale = engine.rotations.plan[0];
+    stale.on = stale.on.map((player, i) => (i === 0 ? engine.players.court.find(p => !stale.off.includes(p)) : player));
+
+    const quiet = console.warn;
+    console.warn = () => {};
+    try {
+        while (engine.state.currentTime < stale.time) engine.advanceOneSecond();
+    } finally {
+        console.warn = quiet;
+    }
+    assert.strictEqual(engine.rotations.pending, false, 'Stale rotation is not started');
+    assert.ok(!engine.rotations.plan.includes(stale), 'Plan is rebuilt');
+    assert.ok(engine.rotations.nextScheduled && engine.rotations.nextScheduled.time > stale.time, 'Rotations carry on');
+}
+
+// Soccer: emergency sub of the goalkeeper hands the gloves to the replacement
+{
+    const engine = new SoccerGameEngine();
+    engine.initialize({
+        minutesPerPeriod: 15,
+        numOnField: 7,
+        numReserves: 3,
+        starterNames: ['GK', 'B', 'C', 'D', 'E', 'F', 'G'],
+        reserveNames: ['H', 'I', 'J'],
+        enableWarningSound: false
+    });
+    advance(engine, 60);
+
+    assert.strictEqual(engine.emergencySubstitution('GK', 'H', true), true, 'GK emergency sub succeeds');
+    assert.strictEqual(engine.players.goalkeeper, 'H', 'Replacement becomes goalkeeper');
+    assert.ok(!engine.players.field.includes('GK'), 'Injured goalkeeper leaves the field');
+    assert.ok(engine.players.removed.has('GK'), 'Injured goalkeeper is removed');
+}
+
+// AFL: hidden-tab catch-up rolls into the next quarter and never overruns the game
+{
+    const engine = new AFLGameEngine();
+    engine.initialize({
+        ageGroup: 'U9',
+        numReserves: 3,
+        starterNames: ['A', 'B', 'C', 'D', 'E', 'F', 'G', 'H', 'I'],
+        reserveNames: ['J', 'K', 'L'],
+        enableWarningSound: false
+    });
+
+    engine.applyMissedTime(engine.config.periodLength + 30);
+    assert.strictEqual(engine.state.currentPeriod, 2, 'Missed time advances the quarter');
+    assert.strictEqual(engine.state.periodElapsed, 30, 'Overflow carries into the next quarter');
+
+    engine.state.running = true;
+    document.hidden = true;
+    engine.handleVisibilityChange();
+    engine.lastVisibleTimestamp -= 10 * 60 * 60 * 1000;
+    document.hidden = false;
+    engine.handleVisibilityChange();
+    assert.strictEqual(engine.state.currentPeriod, 2, 'Stale hidden time is not replayed');
+    assert.ok(engine.timerInterval, 'Clock resumes after skipping stale catch-up');
+    clearInterval(engine.timerInterval);
+    engine.timerInterval = null;
+
+    engine.state.running = false;
+    engine.applyMissedTime(engine.config.periodLength * 10);
+    assert.strictEqual(engine.state.gameOver, true, 'Missed time can end the game');
+    assert.strictEqual(engine.state.currentTime, engine.config.periodLength * engine.config.numPeriods,
+        'Clock stops at full time');
+}
+
+console.log('✅ Base game engine tests passed.');
@@ -0,0 +1,91 @@
+const assert = require('assert');
+
+// Provide minimal browser globals expected by the optimizers
+global.window = global.window || {};
+
+const GameConfig = require('../config/game-defaults.js');
+const BaseIntervalOptimizer = require('../base-interval-optimizer.js');
+window.BaseIntervalOptimizer = BaseIntervalOptimizer;
+const BasketballIntervalOptimizer = require('../basketball-interval-optimizer.js');
+const OztagIntervalOptimizer = require('../oztag-interval-optimizer.js');
+const { SoccerIntervalOptimizer } = require('../soccer-interval-optimizer.js');
+const { AFLIntervalOptimizer } = require('../afl-interval-optimizer.js');
+
+const quietLog = console.log;
+console.log = () => {};
+
+const names = count => Array.from({ length: count }, (_, i) => `P${i + 1}`);
+
+try {
+    // Every sport optimizer runs on the shared core with its own profile
+    [
+        [BasketballIntervalOptimizer, 'basketball'],
+        [SoccerIntervalOptimizer, 'soccer'],
+        [AFLIntervalOptimizer, 'afl'],
+        [OztagIntervalOptimizer, 'oztag']
+    ].forEach(([Optimizer, sport]) => {
+        const optimizer = new Optimizer();
+        assert.ok(optimizer instanceof BaseIntervalOptimizer, `${Optimizer.name} extends BaseIntervalOptimizer`);
+        assert.strictEqual(optimizer.profile.SPORT, sport);
+        assert.strictEqual(optimizer.fieldSpots, GameConfig.getOptimizerProfile(sport).FIELD_SPOTS);
+    });
+
+    assert.throws(() => new BaseIntervalOptimizer({}, { sport: 'curling' }), /No optimizer profile/);
+
+    // Same profile, same plan - the sport subclass only adds naming
+    {
+        const players = names(8);
+        const basketball = new BasketballIntervalOptimizer({ totalPlayers: 8, gameLength: 1800 });
+        const core = new BaseIntervalOptimizer({ totalPlayers: 8, gameLength: 1800 }, { sport: 'basketball' });
+        basketball.initialize(players, { onCourt: players.slice(0, 5), onBench: players.slice(5) });
+        core.initialize(players, { onField: players.slice(0, 5), onBench: players.slice(5) });
+        assert.deepStrictEqual(basketball.generatePlan(0).rotations, core.generatePlan(0).rotations);
+        assert.strictEqual(basketball.courtSpots, 5);
+        assert.strictEqual(basketball.proratedMaxCourtStint, basketball.proratedMaxFieldStint);
+    }
+
+    // Soccer goalkeeper lock: the keeper is never rotated and follows a replan handover
+    {
+        const players = names(10);
+        const optimizer = new SoccerIntervalOptimizer({ totalPlayers: 10, fieldSpots: 7, gameLength: 2400, numGoalkeepers: 1 });
+        optimizer.initialize(players, { onField: players.slice(0, 7), onBench: players.slice(7) });
+        assert.strictEqual(optimizer.goalkeeper, 'P1');
+
+        const plan = optimizer.generatePlan(0);
+        assert.ok(plan.rotations.length > 0, 'soccer plan has rotations');
+        plan.rotations.forEach(rotation => {
+            assert.ok(!rotation.off.includes('P1') && !rotation.on.includes('P1'), 'goalkeeper stays out of rotations');
+        });
+
+        const field = ['P8', ...players.slice(1, 7)];
+        const bench = ['P9', 'P10'];
+        const playTimes = Object.fromEntries(players.map(p => [p, 600]));
+        const replan = optimizer.handleDeviation('injury', {
+            actualField: field,
+            actualBench: bench,
+            playTimes,
+            player: 'P1',
+            goalkeeper: 'P8'
+        }, 600);
+        assert.strictEqual(optimizer.goalkeeper, 'P8');
+        replan.rotations.forEach(rotation => {
+            assert.ok(!rotation.off.includes('P8'), 'new goalkeeper stays on');
+            assert.ok(!rotation.on.includes('P1'), 'injured keeper never returns');
+        });
+    }
+
+    // AFL profile batches quarter breaks instead of halftime
+    {
+        const players = names(14);
+        const optimizer = new AFLIntervalOptimizer({ totalPlayers: 14, fieldSpots: 12, gameLength: 2880, periodLength: 720 });
+        optimizer.initialize(players, { onField: players.slice(0, 12), onBench: players.slice(12) });
+        assert.strictEqual(optimizer.quarterBreakRotationDone.length, 4);
+        assert.strictEqual(optimizer.halftimeRotationDone, undefined);
+        const plan = optimizer.generatePlan(0);
+        assert.ok(plan.rotations.every(r => r.time >= optimizer.adaptiveTimings.minFirstSubTime));
+    }
+} finally {
+    console.log = quietLog;
+}
+
+console.log('✅ Base interval optimizer tests passed.');
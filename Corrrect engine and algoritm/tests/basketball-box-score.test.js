@@ -0,0 +1,113 @@
+const assert = require('assert');
+
+// Provide minimal browser globals expected by the engines
+global.window = global.window || {};
+
+window.BasketballIntervalOptimizer = require('../basketball-interval-optimizer.js');
+const BasketballGameEngine = require('../basketball-game-engine.js');
+const StatsTracker = require('../config/stats-tracker.js');
+
+const quietLog = console.log;
+console.log = () => {};
+const quietWarn = console.warn;
+console.warn = () => {};
+
+function playTo(engine, targetTimeSeconds = Infinity) {
+    while (engine.state.currentTime < targetTimeSeconds && !engine.state.gameOver) {
+        engine.advanceOneSecond();
+        if (engine.rotations.pending) {
+            engine.confirmRotation();
+        }
+    }
+}
+
+const setup = (overrides = {}) => ({
+    format: 'halves',
+    minutesPerPeriod: 10,
+    starterNames: ['A', 'B', 'C', 'D', 'E'],
+    reserveNames: ['F', 'G', 'H'],
+    enableWarningSound: false,
+    ...overrides
+});
+
+try {
+    // Made shots score their points; misses and counting stats only fill the box score
+    {
+        const engine = new BasketballGameEngine();
+        engine.initialize(setup());
+        playTo(engine, 60);
+
+        engine.recordStat('A', 'fg2');
+        engine.recordStat('A', 'fg2', { made: false });
+        engine.recordStat('A', 'fg3');
+        engine.recordStat('A', 'fg3', { made: false });
+        engine.recordStat('A', 'fg3', { made: false });
+        engine.recordStat('A', 'ft');
+        engine.recordStat('A', 'reb');
+        engine.recordStat('A', 'ast');
+        assert.strictEqual(engine.scoring.playerPoints.A, 6);
+        assert.strictEqual(engine.scoring.home, 6);
+
+        playTo(engine, 700);
+        engine.recordStat('A', 'ft', { made: false });
+        engine.recordStat('A', 'tov');
+
+        const box = engine.getBoxScore('A');
+        assert.deepStrictEqual(
+            [box.pts, box.fgm, box.fga, box.fg3m, box.fg3a, box.ftm, box.fta, box.reb, box.ast, box.tov],
+            [6, 2, 5, 1, 3, 1, 2, 1, 1, 1]
+        );
+        assert.deepStrictEqual([box.fgPct, box.fg3Pct, box.ftPct], [40, 33.3, 50]);
+
+        // Per-period splits
+        assert.deepStrictEqual(Object.keys(box.periods), ['1', '2']);
+        assert.strictEqual(box.periods[1].pts, 6);
+        assert.strictEqual(box.periods[1].ftPct, 100);
+        assert.deepStrictEqual([box.periods[2].pts, box.periods[2].fta, box.periods[2].ftPct, box.periods[2].fgPct], [0, 1, 0, null]);
+
+        assert.strictEqual(engine.getBoxScore('B'), null, 'no box score before a stat');
+        assert.strictEqual(engine.recordStat('A', 'dunks'), null);
+        assert.strictEqual(engine.getEventLog().filter(event => event.type === 'stat').length, 10);
+    }
+
+    // A mistaken entry is taken back, points included, never below zero
+    {
+        const engine = new BasketballGameEngine();
+        engine.initialize(setup());
+        playTo(engine, 60);
+
+        engine.recordStat('B', 'fg3');
+        engine.recordStat('B', 'fg3', { value: -1 });
+        engine.recordStat('B', 'stl', { value: -1 });
+        const box = engine.getBoxScore('B');
+        assert.deepStrictEqual([box.pts, box.fg3m, box.fg3a, box.stl], [0, 0, 0, 0]);
+        assert.strictEqual(engine.scoring.home, 0);
+    }
+
+    // Box scores reach the saved stats (player_stats.stats) and survive a snapshot
+    {
+        const engine = new BasketballGameEngine();
+        engine.initialize(setup());
+        playTo(engine, 60);
+        engine.recordStat('C', 'fg2');
+        engine.recordStat('C', 'blk');
+
+        const restored = new BasketballGameEngine();
+        assert.strictEqual(restored.restoreFromSnapshot(JSON.parse(JSON.stringify(engine.getSnapshot()))), true);
+        assert.deepStrictEqual(restored.getBoxScore('C'), engine.getBoxScore('C'));
+
+        playTo(restored);
+        const stats = restored.getStats();
+        assert.strictEqual(stats.players.C.boxScore.blk, 1);
+        assert.ok(!('boxScore' in stats.players.A), 'only players with stats carry a box score');
+
+        const saved = StatsTracker.prototype.normalizePlayers.call(null, stats);
+        assert.deepStrictEqual(saved.find(player => player.name === 'C').stats.boxScore, stats.players.C.boxScore);
+        assert.ok(!('boxScore' in saved.find(player => player.name === 'A').stats));
+    }
+} finally {
+    console.log = quietLog;
+    console.warn = quietWarn;
+}
+
+console.log('✅ Basketball box score tests passed.');
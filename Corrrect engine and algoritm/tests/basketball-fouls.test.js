@@ -0,0 +1,124 @@
+const assert = require('assert');
+
+// Provide minimal browser globals expected by the engines
+global.window = global.window || {};
+
+window.BasketballIntervalOptimizer = require('../basketball-interval-optimizer.js');
+const BasketballGameEngine = require('../basketball-game-engine.js');
+const { rebuildMatchAt } = require('../utils/match-log.js');
+
+const quietLog = console.log;
+console.log = () => {};
+
+function playTo(engine, targetTimeSeconds) {
+    while (engine.state.currentTime < targetTimeSeconds && !engine.state.gameOver) {
+        engine.advanceOneSecond();
+        if (engine.rotations.pending) {
+            engine.confirmRotation();
+        }
+    }
+}
+
+const setup = (overrides = {}) => ({
+    format: 'halves',
+    minutesPerPeriod: 10,
+    starterNames: ['A', 'B', 'C', 'D', 'E'],
+    reserveNames: ['F', 'G', 'H'],
+    enableWarningSound: false,
+    ...overrides
+});
+
+try {
+    // Personal and team fouls; the foul-out limit takes the player out
+    {
+        const engine = new BasketballGameEngine();
+        engine.initialize(setup({ foulOutLimit: 6 }));
+        playTo(engine, 30);
+
+        const player = engine.players.court[0];
+        for (let i = 0; i < 5; i++) engine.recordFoul(player);
+        assert.strictEqual(engine.players.fouls[player], 5);
+        assert.ok(!engine.players.removed.has(player), 'six-foul limit');
+        assert.deepStrictEqual(engine.getTeamFouls('home'), { fouls: 5, status: null });
+
+        const teammate = engine.players.court[1];
+        engine.recordFoul(teammate);
+        assert.deepStrictEqual(engine.getTeamFouls('home'), { fouls: 6, status: 'bonus' });
+
+        engine.recordFoul(player);
+        assert.ok(engine.players.removed.has(player), 'fouled out on the sixth');
+        const log = engine.getEventLog();
+        assert.strictEqual(log.filter(e => e.type === 'foul').length, 7);
+        assert.strictEqual(log.find(e => e.type === 'removed').reason, 'fouled out');
+
+        // Team fouls reset each period
+        playTo(engine, 601);
+        engine.recordOppositionFoul();
+        assert.deepStrictEqual(engine.getTeamFouls('home'), { fouls: 0, status: null });
+        assert.deepStrictEqual(engine.getTeamFouls('away'), { fouls: 1, status: null });
+        assert.strictEqual(engine.getTeamFouls('home', 1).fouls, 7);
+
+        const moment = rebuildMatchAt(engine.getEventLog());
+        assert.strictEqual(moment.playerFouls[player], 6);
+        assert.deepStrictEqual(moment.teamFouls, { home: 0, away: 1 });
+        assert.strictEqual(engine.getStats().players[teammate].fouls, 1);
+    }
+
+    // Quarters: penalty after the fourth team foul
+    {
+        const engine = new BasketballGameEngine();
+        engine.initialize(setup({ format: 'quarters' }));
+        for (let i = 0; i < 4; i++) engine.recordOppositionFoul();
+        assert.strictEqual(engine.getTeamFouls('away').status, 'penalty');
+        assert.strictEqual(engine.config.foulOutLimit, 5);
+    }
+
+    // Foul trouble: three fouls in the first half rests the player until halftime
+    {
+        const engine = new BasketballGameEngine();
+        engine.initialize(setup({ foulTroublePolicy: true }));
+        playTo(engine, 100);
+
+        const player = engine.players.court[0];
+        engine.recordFoul(player);
+        engine.recordFoul(player);
+        assert.deepStrictEqual(engine.getFoulStats().resting, {});
+
+        engine.recordFoul(player);
+        assert.deepStrictEqual(engine.getFoulStats().resting, { [player]: 600 });
+
+        const next = engine.rotations.plan[engine.rotations.currentPlanIndex];
+        assert.ok(next.off.includes(player) && next.time <= 115, 'rested at the next check');
+
+        playTo(engine, 599);
+        assert.ok(engine.players.bench.includes(player), 'sits until halftime');
+        const restedMinutes = engine.players.minutes[player];
+
+        const restored = new BasketballGameEngine();
+        restored.restoreFromSnapshot(JSON.parse(JSON.stringify(engine.getSnapshot())));
+        assert.deepStrictEqual(restored.enforcer.foulTrouble, { [player]: 600 });
+        assert.strictEqual(restored.players.fouls[player], 3);
+
+        playTo(engine, 1200);
+        assert.ok(engine.players.minutes[player] > restedMinutes, 'back on after halftime');
+
+        // The minutes the player sat out are shared across the rest
+        const others = engine.players.all.filter(p => p !== player).map(p => engine.players.minutes[p]);
+        assert.ok(Math.max(...others) - Math.min(...others) <= 150, `others balanced (${others})`);
+    }
+
+    // Without the policy fouls never change the plan
+    {
+        const engine = new BasketballGameEngine();
+        engine.initialize(setup());
+        playTo(engine, 100);
+        const plan = JSON.stringify(engine.rotations.plan);
+        const player = engine.players.court[0];
+        for (let i = 0; i < 4; i++) engine.recordFoul(player);
+        assert.strictEqual(JSON.stringify(engine.rotations.plan), plan);
+    }
+} finally {
+    console.log = quietLog;
+}
+
+console.log('✅ Basketball foul tests passed.');
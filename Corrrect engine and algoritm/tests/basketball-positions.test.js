@@ -0,0 +1,94 @@
+const assert = require('assert');
+
+// Provide minimal browser globals expected by the engine
+global.window = global.window || {};
+
+require('../config/game-defaults.js');
+window.BasketballIntervalOptimizer = require('../basketball-interval-optimizer.js');
+const BasketballGameEngine = require('../basketball-game-engine.js');
+
+const quietLog = console.log;
+console.log = () => {};
+
+// Two point guards, two centers, everyone else a small forward
+const starters = ['PG1', 'SF1', 'SF2', 'SF3', 'C1'];
+const reserves = ['PG2', 'SF4', 'C2', 'SF5'];
+const playerPositions = {
+    PG1: 'PG', PG2: 'G', C1: 'C', C2: 'F/C',
+    SF1: 'SF', SF2: 'SF', SF3: 'SF', SF4: 'SF', SF5: 'SF'
+};
+
+function createEngine(positions) {
+    const engine = new BasketballGameEngine();
+    engine.initialize({
+        starterNames: starters,
+        reserveNames: reserves,
+        numReserves: reserves.length,
+        minutesPerPeriod: 16,
+        enableWarningSound: false,
+        playerPositions: positions
+    });
+    return engine;
+}
+
+function playOut(engine, check) {
+    while (!engine.state.gameOver) {
+        engine.advanceOneSecond();
+        if (engine.rotations.pending) engine.confirmRotation();
+        check();
+    }
+}
+
+try {
+    // Groups expand to positions; unknown values are ignored
+    {
+        const optimizer = new window.BasketballIntervalOptimizer({
+            playerPositions: { A: 'G/F', B: ['c'], C: 'SUB' }
+        });
+        assert.deepStrictEqual(optimizer.playerPositions, { A: ['PG', 'SG', 'SF', 'PF'], B: ['C'] });
+        assert.deepStrictEqual(
+            optimizer.getUnmetLineupRules(['A', 'B']).map(rule => rule.KEY),
+            []
+        );
+        assert.deepStrictEqual(
+            optimizer.getUnmetLineupRules(['B']).map(rule => rule.KEY),
+            ['ballHandler']
+        );
+    }
+
+    // Every court lineup keeps a ball-handler and a big for the whole game
+    {
+        const engine = createEngine(playerPositions);
+        playOut(engine, () => {
+            assert.deepStrictEqual(engine.enforcer.getUnmetLineupRules(engine.players.court), [],
+                `lineup at ${engine.state.currentTime}s breaks the rules: ${engine.players.court.join(', ')}`);
+        });
+
+        const stats = engine.calculateFinalStats();
+        assert.ok(stats.rotations > 0, 'rotations still happen');
+        assert.ok(engine.getState().lineupTradeoffs.length > 0, 'fairness trade-offs are reported');
+        engine.getState().lineupTradeoffs.forEach(tradeoff => {
+            assert.ok(tradeoff.adjusted, 'a valid lineup existed for every rotation');
+            assert.ok(tradeoff.fairnessCost >= 0);
+        });
+    }
+
+    // Foul-out replacement keeps the lineup valid
+    {
+        const engine = createEngine(playerPositions);
+        engine.playerFouledOut('C1');
+        assert.ok(engine.players.court.includes('C2'), 'the other big comes on');
+        assert.strictEqual(engine.players.positions.C2, 'C');
+    }
+
+    // Without positions nothing changes
+    {
+        const engine = createEngine(undefined);
+        assert.strictEqual(engine.enforcer.hasLineupRules(), false);
+        assert.deepStrictEqual(engine.players.positions, { PG1: 'PG', SF1: 'SG', SF2: 'SF', SF3: 'PF', C1: 'C' });
+    }
+} finally {
+    console.log = quietLog;
+}
+
+console.log('✅ Basketball position tests passed.');
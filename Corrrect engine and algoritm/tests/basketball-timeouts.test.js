@@ -0,0 +1,122 @@
+const assert = require('assert');
+
+// Provide minimal browser globals expected by the engines
+global.window = global.window || {};
+
+window.BasketballIntervalOptimizer = require('../basketball-interval-optimizer.js');
+const BasketballGameEngine = require('../basketball-game-engine.js');
+
+const quietLog = console.log;
+console.log = () => {};
+const quietError = console.error;
+console.error = () => {};
+
+function playTo(engine, targetTimeSeconds) {
+    while (engine.state.currentTime < targetTimeSeconds && !engine.state.gameOver) {
+        engine.advanceOneSecond();
+        if (engine.rotations.pending) {
+            engine.confirmRotation();
+        }
+    }
+}
+
+const setup = (overrides = {}) => ({
+    format: 'halves',
+    minutesPerPeriod: 10,
+    starterNames: ['A', 'B', 'C', 'D', 'E'],
+    reserveNames: ['F', 'G', 'H'],
+    enableWarningSound: false,
+    ...overrides
+});
+
+try {
+    // Allowances per half, timeout clock and the log
+    {
+        const engine = new BasketballGameEngine();
+        engine.initialize(setup());
+        playTo(engine, 60);
+
+        assert.strictEqual(engine.callTimeout('home'), true);
+        assert.strictEqual(engine.state.running, false, 'game clock stopped');
+        assert.deepStrictEqual(engine.state.timeout, { team: 'home', remaining: 60 });
+        assert.strictEqual(engine.callTimeout('away'), false, 'one timeout at a time');
+
+        for (let i = 0; i < 59; i++) engine.advanceTimeout();
+        assert.strictEqual(engine.state.timeout.remaining, 1);
+        engine.advanceTimeout();
+        assert.strictEqual(engine.state.timeout, null, 'timeout clock runs out');
+
+        engine.callTimeout('home');
+        engine.endTimeout();
+        assert.strictEqual(engine.callTimeout('home'), false, 'two per first half');
+        assert.deepStrictEqual(engine.getTimeoutStats().left, { home: 0, away: 2 });
+
+        playTo(engine, 700);
+        assert.deepStrictEqual(engine.getTimeoutStats().left, { home: 3, away: 3 });
+        engine.callTimeout('away');
+        engine.endTimeout();
+
+        const log = engine.getEventLog().filter(e => e.type === 'timeout');
+        assert.deepStrictEqual(log.map(e => [e.team, e.time, e.remaining]), [['home', 60, 1], ['home', 60, 0], ['away', 700, 2]]);
+        assert.deepStrictEqual(engine.getStats().timeouts, { home: { 1: 2 }, away: { 2: 1 } });
+    }
+
+    // Quarters and custom allowances count in halves
+    {
+        const engine = new BasketballGameEngine();
+        engine.initialize(setup({ format: 'quarters', minutesPerPeriod: 5, timeoutsPerHalf: 1 }));
+        assert.deepStrictEqual(engine.config.timeoutsPerHalf, [1, 1]);
+        engine.callTimeout('home');
+        engine.endTimeout();
+        playTo(engine, 301);
+        assert.strictEqual(engine.state.currentPeriod, 2);
+        assert.strictEqual(engine.callTimeout('home'), false, 'quarter 2 is still the first half');
+        playTo(engine, 601);
+        assert.strictEqual(engine.callTimeout('home'), true);
+        engine.endTimeout();
+    }
+
+    // A rotation due soon is made during the timeout and the rest is replanned
+    {
+        const engine = new BasketballGameEngine();
+        engine.initialize(setup());
+        const first = engine.rotations.plan[0];
+        playTo(engine, first.time - 30);
+
+        engine.callTimeout('away');
+        assert.strictEqual(engine.rotations.pending, true);
+        assert.deepStrictEqual([engine.rotations.pendingOff, engine.rotations.pendingOn], [first.off, first.on]);
+        engine.confirmRotation();
+        engine.endTimeout();
+
+        const sub = engine.getEventLog().find(e => e.type === 'substitution');
+        assert.deepStrictEqual([sub.reason, sub.time], ['timeout', first.time - 30]);
+        assert.ok(engine.rotations.nextScheduled.time > engine.state.currentTime, 'plan rebuilt from the timeout');
+
+        playTo(engine, 1200);
+        const minutes = Object.values(engine.players.minutes);
+        assert.ok(Math.max(...minutes) - Math.min(...minutes) <= 150, `balanced after the timeout (${minutes})`);
+    }
+
+    // Rotations too far off, or at the period break, wait for their own stoppage
+    {
+        const engine = new BasketballGameEngine();
+        engine.initialize(setup());
+        const rotation = { time: 400, off: ['A'], on: ['F'] };
+        assert.strictEqual(engine.enforcer.offerSubWindow(370, [rotation]), rotation);
+        assert.strictEqual(engine.enforcer.offerSubWindow(300, [rotation]), null);
+        assert.strictEqual(engine.enforcer.offerSubWindow(550, [{ ...rotation, time: 600 }]), null);
+
+        const plan = JSON.stringify(engine.rotations.plan);
+        engine.callTimeout('home');
+        assert.strictEqual(engine.rotations.pending, false, 'nothing due at tip-off');
+        assert.strictEqual(JSON.stringify(engine.rotations.plan), plan);
+        engine.reset();
+        assert.strictEqual(engine.timeoutInterval, null);
+    }
+} finally {
+    console.log = quietLog;
+    console.error = quietError;
+}
+
+console.log('✅ Basketball timeout tests passed.');
@@ -0,0 +1,134 @@
+const assert = require('assert');
+
+// Provide minimal browser globals expected by the engines
+global.window = global.window || {};
+
+const BasketballIntervalOptimizer = require('../basketball-interval-optimizer.js');
+window.BasketballIntervalOptimizer = BasketballIntervalOptimizer;
+const BasketballGameEngine = require('../basketball-game-engine.js');
+const { SoccerGameEngine } = require('../soccer-game-engine.js');
+const { AFLGameEngine } = require('../afl-game-engine.js');
+const OztagIntervalOptimizer = require('../oztag-interval-optimizer.js');
+window.OztagIntervalOptimizer = OztagIntervalOptimizer;
+const OztagGameEngine = require('../oztag-game-engine.js');
+
+function playTo(engine, targetTimeSeconds) {
+    while (engine.state.currentTime < targetTimeSeconds && !engine.state.gameOver) {
+        engine.advanceOneSecond();
+        if (engine.rotations.pending) {
+            engine.confirmRotation();
+        }
+    }
+}
+
+function roundTrip(engine) {
+    return JSON.parse(JSON.stringify(engine.getSnapshot()));
+}
+
+function assertRestored(original, restored, fieldKey, label) {
+    assert.strictEqual(restored.state.currentTime, original.state.currentTime, `${label}: clock restored`);
+    assert.strictEqual(restored.state.running, false, `${label}: restored game is not running`);
+    assert.strictEqual(restored.state.paused, true, `${label}: restored game is paused`);
+    assert.deepStrictEqual(restored.players[fieldKey], original.players[fieldKey], `${label}: on-field players restored`);
+    assert.deepStrictEqual(restored.players.bench, original.players.bench, `${label}: bench restored`);
+    assert.deepStrictEqual(restored.players.minutes, original.players.minutes, `${label}: minutes restored`);
+    assert.ok(restored.players.removed instanceof Set, `${label}: removed set rebuilt as a Set`);
+    assert.deepStrictEqual([...restored.players.removed], [...original.players.removed], `${label}: removed players restored`);
+}
+
+// Basketball: mid-game snapshot with a removed player survives JSON and resumes
+{
+    const engine = new BasketballGameEngine();
+    engine.initialize({
+        format: 'halves',
+        minutesPerPeriod: 10,
+        numReserves: 3,
+        starterNames: ['A', 'B', 'C', 'D', 'E'],
+        reserveNames: ['F', 'G', 'H'],
+        enableWarningSound: false
+    });
+    playTo(engine, 300);
+    engine.removePlayer(engine.players.bench[0]);
+    engine.updatePlayerScore(engine.players.court[0], 2);
+
+    const snapshot = roundTrip(engine);
+    assert.strictEqual(snapshot.version, 1, 'Snapshot carries a version');
+    assert.ok(Date.now() - snapshot.timestamp < 1000, 'Snapshot carries a timestamp');
+
+    const restored = new BasketballGameEngine();
+    assert.strictEqual(restored.restoreFromSnapshot(snapshot), true, 'Basketball snapshot restores');
+    assertRestored(engine, restored, 'court', 'Basketball');
+    assert.strictEqual(restored.scoring.home, 2, 'Basketball: score restored');
+    assert.deepStrictEqual(restored.rotations.plan, engine.rotations.plan, 'Basketball: rotation plan restored');
+    assert.ok(restored.enforcer.removedPlayers.has([...engine.players.removed][0]), 'Basketball: optimizer knows removed player');
+
+    playTo(restored, 600);
+    assert.strictEqual(restored.players.court.length, 5, 'Basketball: restored game keeps 5 on court');
+
+    assert.strictEqual(new BasketballGameEngine().restoreFromSnapshot({ ...snapshot, version: 99 }), false,
+        'Unknown snapshot versions are rejected');
+}
+
+// Soccer: goalkeeper survives restore
+{
+    const engine = new SoccerGameEngine();
+    engine.initialize({
+        minutesPerPeriod: 15,
+        numOnField: 7,
+        numGoalkeepers: 1,
+        numReserves: 3,
+        starterNames: ['GK', 'B', 'C', 'D', 'E', 'F', 'G'],
+        reserveNames: ['H', 'I', 'J'],
+        enableWarningSound: false
+    });
+    playTo(engine, 400);
+
+    const restored = new SoccerGameEngine();
+    assert.strictEqual(restored.restoreFromSnapshot(roundTrip(engine)), true, 'Soccer snapshot restores');
+    assertRestored(engine, restored, 'field', 'Soccer');
+    assert.strictEqual(restored.players.goalkeeper, 'GK', 'Soccer: goalkeeper restored');
+    assert.strictEqual(restored.enforcer.goalkeeper, 'GK', 'Soccer: optimizer goalkeeper restored');
+}
+
+// AFL: lines and player stats survive restore
+{
+    const engine = new AFLGameEngine();
+    engine.initialize({
+        ageGroup: 'U9',
+        numReserves: 3,
+        starterNames: ['A', 'B', 'C', 'D', 'E', 'F', 'G', 'H', 'I'],
+        reserveNames: ['J', 'K', 'L'],
+        enableWarningSound: false
+    });
+    playTo(engine, 200);
+    engine.recordGoal(engine.players.field[1]);
+
+    const restored = new AFLGameEngine();
+    assert.strictEqual(restored.restoreFromSnapshot(roundTrip(engine)), true, 'AFL snapshot restores');
+    assertRestored(engine, restored, 'field', 'AFL');
+    assert.deepStrictEqual(restored.players.lines, engine.players.lines, 'AFL: lines restored');
+    assert.deepStrictEqual(restored.players.lineSeconds, engine.players.lineSeconds, 'AFL: line time restored');
+    assert.deepStrictEqual(restored.scoring, engine.scoring, 'AFL: scoring restored');
+    assert.deepStrictEqual(restored.enforcer.quarterBreakRotationDone, engine.enforcer.quarterBreakRotationDone,
+        'AFL: quarter-break flags restored');
+}
+
+// Oztag: schedule survives restore
+{
+    const engine = new OztagGameEngine();
+    engine.initialize({
+        playerNames: ['A', 'B', 'C', 'D', 'E', 'F', 'G', 'H', 'I', 'J', 'K'],
+        halfLength: 600,
+        numHalves: 2,
+        playersOnField: 8
+    });
+    playTo(engine, 250);
+
+    const restored = new OztagGameEngine();
+    assert.strictEqual(restored.restoreFromSnapshot(roundTrip(engine)), true, 'Oztag snapshot restores');
+    assertRestored(engine, restored, 'field', 'Oztag');
+    assert.deepStrictEqual(restored.rotations.schedule, engine.rotations.schedule, 'Oztag: schedule restored');
+    assert.strictEqual(restored.rotations.nextRotationTime, engine.rotations.nextRotationTime, 'Oztag: next rotation restored');
+}
+
+console.log('✅ Engine snapshot tests passed.');
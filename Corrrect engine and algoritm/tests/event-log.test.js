@@ -0,0 +1,171 @@
+const assert = require('assert');
+
+// Provide minimal browser globals expected by the engines
+global.window = global.window || {};
+
+window.BasketballIntervalOptimizer = require('../basketball-interval-optimizer.js');
+const BasketballGameEngine = require('../basketball-game-engine.js');
+const { SoccerGameEngine } = require('../soccer-game-engine.js');
+const { AFLGameEngine } = require('../afl-game-engine.js');
+window.OztagIntervalOptimizer = require('../oztag-interval-optimizer.js');
+const OztagGameEngine = require('../oztag-game-engine.js');
+const { rebuildMatchAt, eventLogToCsv } = require('../utils/match-log.js');
+
+const quietLog = console.log;
+console.log = () => {};
+
+function playTo(engine, targetTimeSeconds) {
+    while (engine.state.currentTime < targetTimeSeconds && !engine.state.gameOver) {
+        engine.advanceOneSecond();
+        if (engine.rotations.pending) {
+            engine.confirmRotation();
+        }
+    }
+}
+
+const types = engine => engine.getEventLog().map(e => e.type);
+
+try {
+    // Basketball: a full game rebuilds to the engine's own minutes, score and lineup
+    {
+        const engine = new BasketballGameEngine();
+        engine.initialize({
+            format: 'halves',
+            minutesPerPeriod: 10,
+            starterNames: ['A', 'B', 'C', 'D', 'E'],
+            reserveNames: ['F', 'G', 'H'],
+            enableWarningSound: false
+        });
+
+        playTo(engine, 200);
+        engine.updatePlayerScore(engine.players.court[0], 3);
+        engine.updateOppositionScore(2);
+        const fouled = engine.players.court[1];
+        engine.playerFouledOut(fouled);
+
+        playTo(engine, 700);
+        const midGame = rebuildMatchAt(engine.getEventLog(), engine.state.currentTime);
+        assert.deepStrictEqual([...midGame.field].sort(), [...engine.players.court].sort(), 'lineup rebuilt mid-game');
+        assert.deepStrictEqual(midGame.minutes, engine.players.minutes, 'minutes rebuilt mid-game');
+
+        const returning = engine.players.bench[0];
+        engine.removePlayer(returning);
+        engine.returnPlayer(returning);
+        playTo(engine, 1200);
+
+        const stats = engine.getStats();
+        const log = stats.events;
+        assert.strictEqual(engine.state.gameOver, true);
+        assert.deepStrictEqual(log.filter(e => e.type === 'period_start').map(e => e.period), [1, 2]);
+        assert.strictEqual(log[log.length - 1].type, 'game_end');
+        assert.ok(log.every((e, i) => e.seq === i && typeof e.at === 'string'), 'events are numbered and wall-clock stamped');
+
+        const foulOut = log.find(e => e.type === 'removed' && e.player === fouled);
+        assert.strictEqual(foulOut.reason, 'fouled out');
+        assert.strictEqual(foulOut.time, 200);
+        assert.ok(foulOut.replacement, 'auto-sub recorded');
+        assert.ok(log.some(e => e.type === 'substitution' && e.reason === 'planned'), 'planned subs logged');
+
+        const fullTime = rebuildMatchAt(JSON.parse(JSON.stringify(log)));
+        assert.strictEqual(fullTime.gameOver, true);
+        assert.deepStrictEqual(fullTime.score, { home: 3, away: 2 });
+        Object.keys(stats.players).forEach(player => {
+            assert.strictEqual(fullTime.minutes[player] || 0, stats.players[player].minutes, `${player} minutes audit`);
+        });
+        assert.strictEqual(fullTime.minutes[fouled], engine.players.minutes[fouled], 'fouled-out minutes audit');
+
+        // Any earlier moment can be rebuilt, e.g. just before the foul-out
+        const beforeFoul = rebuildMatchAt(log, 199);
+        assert.ok(beforeFoul.field.includes(fouled));
+        assert.deepStrictEqual(beforeFoul.score, { home: 0, away: 0 });
+
+        const csv = eventLogToCsv(log).split('\n');
+        assert.strictEqual(csv.length, log.length + 1);
+        assert.ok(csv[0].startsWith('seq,time,clock,period,type'));
+    }
+
+    // Soccer: late and emergency subs keep their reason; the log survives a snapshot
+    {
+        const engine = new SoccerGameEngine();
+        engine.initialize({
+            minutesPerPeriod: 15,
+            numOnField: 7,
+            numReserves: 3,
+            starterNames: ['GK', 'B', 'C', 'D', 'E', 'F', 'G'],
+            reserveNames: ['H', 'I', 'J'],
+            enableWarningSound: false
+        });
+
+        engine.advanceOneSecond();
+        engine.initiateRotation(['B'], ['H']);
+        for (let i = 0; i < 30; i++) engine.advanceOneSecond();
+        engine.confirmRotation();
+        engine.emergencySubstitution('C', 'I');
+        engine.updatePlayerScore('D', 1);
+
+        const subs = engine.getEventLog().filter(e => e.type === 'substitution');
+        assert.deepStrictEqual(subs.map(e => e.reason), ['late', 'emergency']);
+        assert.strictEqual(subs[0].plannedTime, 1);
+        assert.strictEqual(subs[0].time, 31);
+
+        const restored = new SoccerGameEngine();
+        restored.restoreFromSnapshot(JSON.parse(JSON.stringify(engine.getSnapshot())));
+        assert.deepStrictEqual(types(restored), types(engine), 'log restored with the game');
+        assert.deepStrictEqual(rebuildMatchAt(restored.getEventLog()).playerPoints, { D: 1 });
+    }
+
+    // AFL: goals and behinds carry their kind and points
+    {
+        const engine = new AFLGameEngine();
+        engine.initialize({
+            ageGroup: 'U9',
+            numReserves: 3,
+            starterNames: ['A', 'B', 'C', 'D', 'E', 'F', 'G', 'H', 'I'],
+            reserveNames: ['J', 'K', 'L'],
+            enableWarningSound: false
+        });
+        playTo(engine, 10);
+        engine.recordGoal('A');
+        engine.recordBehind('B');
+        engine.recordOppositionGoal();
+
+        const moment = rebuildMatchAt(engine.getEventLog());
+        assert.deepStrictEqual(moment.score, { home: 7, away: 6 });
+        assert.deepStrictEqual(engine.getStats().events.filter(e => e.type === 'score').map(e => e.kind), ['goal', 'behind', 'goal']);
+    }
+
+    // Oztag: tries, removals, rotations and the final whistle are logged
+    {
+        const engine = new OztagGameEngine();
+        engine.initialize({
+            playerNames: ['A', 'B', 'C', 'D', 'E', 'F', 'G', 'H', 'I', 'J'],
+            halfLength: 60,
+            numHalves: 1
+        });
+        playTo(engine, 20);
+        engine.recordTry(engine.players.field[0]);
+        engine.removePlayer(engine.players.field[1]);
+        playTo(engine, 60);
+
+        const log = engine.getStats().events;
+        assert.deepStrictEqual(log.map(e => e.type), ['period_start', 'score', 'removed', 'substitution', 'period_end', 'game_end']);
+        const moment = rebuildMatchAt(log);
+        Object.entries(engine.players.minutes).forEach(([player, seconds]) => {
+            assert.strictEqual(moment.minutes[player] || 0, seconds, `${player} minutes audit`);
+        });
+        assert.strictEqual(moment.score.home, 1);
+    }
+
+    // Reset clears the log
+    {
+        const engine = new BasketballGameEngine();
+        engine.initialize({ minutesPerPeriod: 10, starterNames: ['A', 'B', 'C', 'D', 'E'], reserveNames: ['F'], enableWarningSound: false });
+        playTo(engine, 5);
+        engine.reset();
+        assert.deepStrictEqual(engine.getEventLog(), []);
+    }
+} finally {
+    console.log = quietLog;
+}
+
+console.log('✅ Event log tests passed.');
@@ -0,0 +1,188 @@
+const assert = require('assert');
+
+// Provide minimal browser globals expected by the stats tracker
+global.window = global.window || {};
+
+require('../config/game-defaults.js');
+const { GameOutbox, StorageOutboxStore, describeSyncStatus } = require('../utils/game-outbox.js');
+const StatsTracker = require('../config/stats-tracker.js');
+
+const quietLog = console.log;
+const quietError = console.error;
+console.log = () => {};
+
+function memoryStorage() {
+    const items = {};
+    return {
+        getItem: key => (key in items ? items[key] : null),
+        setItem: (key, value) => { items[key] = String(value); }
+    };
+}
+
+/**
+ * Just enough of the supabase-js query builder for StatsTracker.pushGame
+ */
+function fakeSupabase({ failPlayerStats = 0 } = {}) {
+    const db = { games: [], player_stats: [], failPlayerStats };
+
+    const from = table => {
+        const query = { table, action: null, rows: null, filters: [], options: {} };
+        const run = () => {
+            if (query.action === 'upsert' || query.action === 'insert') {
+                if (table === 'player_stats' && db.failPlayerStats > 0) {
+                    db.failPlayerStats -= 1;
+                    return { data: null, error: { message: 'network down' } };
+                }
+                const saved = query.rows.map(row => {
+                    const existing = query.action === 'upsert' &&
+                        db[table].find(r => r.user_id === row.user_id && r.client_game_id === row.client_game_id);
+                    if (existing) return Object.assign(existing, row);
+                    const record = { id: `${table}-${db[table].length + 1}`, ...row };
+                    db[table].push(record);
+                    return record;
+                });
+                return { data: query.single ? saved[0] : saved, error: null };
+            }
+            if (query.action === 'delete') {
+                db[table] = db[table].filter(row => !query.filters.every(([col, value]) => row[col] === value));
+                return { data: null, error: null };
+            }
+            return { data: null, error: null };
+        };
+
+        const builder = {
+            upsert(rows, options) { Object.assign(query, { action: 'upsert', rows, options }); return builder; },
+            insert(rows) { Object.assign(query, { action: 'insert', rows }); return builder; },
+            delete() { query.action = 'delete'; return builder; },
+            eq(col, value) { query.filters.push([col, value]); return builder; },
+            select() { return builder; },
+            single() { query.single = true; return builder; },
+            then(resolve, reject) { return Promise.resolve(run()).then(resolve, reject); }
+        };
+        return builder;
+    };
+
+    return { db, from };
+}
+
+function finalStats(minutes) {
+    return {
+        sport: 'basketball',
+        seasonTeam: 'Hawks',
+        averageMinutes: 600,
+        players: Object.fromEntries(Object.entries(minutes).map(([name, m]) => [name, { minutes: m, benchMinutes: 1200 - m }]))
+    };
+}
+
+(async () => {
+    try {
+        // Queued games survive a reload and replay oldest first; a failure stays queued
+        {
+            const storage = memoryStorage();
+            const outbox = new GameOutbox(new StorageOutboxStore(storage));
+            const first = await outbox.enqueue({ sport: 'soccer', teamName: 'Reds', players: {} });
+            first.queuedAt = '2026-01-01T00:00:00.000Z';
+            await outbox.store.put(first);
+            await outbox.enqueue({ clientGameId: 'second', players: {} });
+            await outbox.enqueue({ clientGameId: 'second', players: {} });
+
+            const reloaded = new GameOutbox(new StorageOutboxStore(storage));
+            assert.strictEqual(await reloaded.count(), 2, 'same client id is queued once');
+
+            const sent = [];
+            const result = await reloaded.replay(async entry => {
+                sent.push(entry.id);
+                return entry.id === 'second' ? { success: false, error: 'timeout' } : { success: true };
+            });
+            assert.deepStrictEqual(sent, [first.id, 'second']);
+            assert.deepStrictEqual(result.synced, [first.id]);
+            assert.deepStrictEqual(result.failed, [{ id: 'second', error: 'timeout' }]);
+            assert.strictEqual(result.pending, 1);
+            assert.strictEqual((await reloaded.list())[0].attempts, 1);
+        }
+
+        // A game that keeps failing does not hold up the games behind it, and
+        // is parked after MAX_ATTEMPTS tries until the user retries it
+        {
+            const outbox = new GameOutbox(new StorageOutboxStore(memoryStorage()));
+            await outbox.enqueue({ clientGameId: 'broken', players: {} });
+            const send = async entry => (entry.id === 'broken' ? { success: false, error: 'bad row' } : { success: true });
+
+            let result;
+            for (let attempt = 1; attempt <= 5; attempt++) {
+                await outbox.enqueue({ clientGameId: `game-${attempt}`, players: {} });
+                result = await outbox.replay(send);
+                assert.deepStrictEqual(result.synced, [`game-${attempt}`], 'later games still land');
+            }
+            assert.deepStrictEqual([result.pending, result.parked], [1, 1]);
+
+            const sent = [];
+            result = await outbox.replay(async entry => { sent.push(entry.id); return send(entry); });
+            assert.deepStrictEqual(sent, [], 'parked games are left alone');
+            assert.ok(describeSyncStatus({ pending: 1, parked: 1, lastError: 'bad row' }).includes('stopped after repeated errors'));
+
+            result = await outbox.replay(async () => ({ success: true }), { retryParked: true });
+            assert.deepStrictEqual([result.synced, result.pending, result.parked], [['broken'], 0, 0]);
+        }
+
+        // Signed out: the game is kept, then lands once when the user signs in
+        {
+            const tracker = new StatsTracker();
+            tracker.outbox = new GameOutbox(new StorageOutboxStore(memoryStorage()));
+            const statuses = [];
+            tracker.onSyncStatus(status => statuses.push(status));
+
+            const offline = await tracker.saveGame(finalStats({ A: 700, B: 500 }));
+            assert.strictEqual(offline.success, false);
+            assert.strictEqual(offline.queued, true);
+            assert.strictEqual(offline.reason, 'not_authenticated');
+            assert.strictEqual(tracker.getSyncStatus().pending, 1);
+            assert.ok(describeSyncStatus(tracker.getSyncStatus()).includes('sign in'));
+
+            const supabase = fakeSupabase();
+            window.benchBalancerSupabase = supabase;
+            tracker.currentUser = { id: 'user-1', email: 'coach@example.com' };
+            tracker.enableTracking();
+            await tracker.syncOutbox();
+
+            assert.strictEqual(supabase.db.games.length, 1);
+            assert.strictEqual(supabase.db.games[0].client_game_id, offline.clientGameId);
+            assert.strictEqual(supabase.db.games[0].season_team, 'Hawks');
+            assert.strictEqual(supabase.db.games[0].team_name, 'Unknown Team', 'team_name keeps its meaning');
+            assert.deepStrictEqual(supabase.db.player_stats.map(row => [row.player_name, row.time_played]), [['A', 700], ['B', 500]]);
+            assert.strictEqual(tracker.getSyncStatus().pending, 0);
+            assert.ok(statuses.some(status => status.syncing));
+        }
+
+        // A replay that failed half way is upserted, not duplicated
+        {
+            const tracker = new StatsTracker();
+            tracker.outbox = new GameOutbox(new StorageOutboxStore(memoryStorage()));
+            const supabase = fakeSupabase({ failPlayerStats: 1 });
+            window.benchBalancerSupabase = supabase;
+            tracker.currentUser = { id: 'user-1', email: 'coach@example.com' };
+            tracker.isTracking = true;
+
+            console.error = () => {};
+            const result = await tracker.saveGame(finalStats({ A: 600, B: 600 }));
+            console.error = quietError;
+            assert.strictEqual(result.success, false);
+            assert.strictEqual(result.queued, true);
+            assert.strictEqual(result.error, 'network down');
+            assert.strictEqual(supabase.db.games.length, 1);
+
+            await tracker.syncOutbox();
+            assert.strictEqual(supabase.db.games.length, 1, 'retry reuses the game row');
+            assert.strictEqual(supabase.db.player_stats.length, 2);
+            assert.strictEqual(await tracker.outbox.count(), 0);
+        }
+    } finally {
+        console.log = quietLog;
+        console.error = quietError;
+    }
+
+    console.log('✅ Game outbox tests passed.');
+})().catch(error => {
+    console.error(error);
+    process.exit(1);
+});
@@ -0,0 +1,174 @@
+const assert = require('assert');
+
+// Provide minimal browser globals expected by the engines
+global.window = global.window || {};
+
+require('../config/game-defaults.js');
+const { SoccerIntervalOptimizer } = require('../soccer-interval-optimizer.js');
+const { SoccerGameEngine } = require('../soccer-game-engine.js');
+
+const quietLog = console.log;
+console.log = () => {};
+
+const names = count => Array.from({ length: count }, (_, i) => `P${i + 1}`);
+
+function playTo(engine, targetTimeSeconds) {
+    while (engine.state.currentTime < targetTimeSeconds && !engine.state.gameOver) {
+        engine.advanceOneSecond();
+        if (engine.rotations.pending) {
+            engine.confirmRotation();
+        }
+    }
+}
+
+const setup = (keeperShares, overrides = {}) => ({
+    minutesPerPeriod: 20,
+    numOnField: 7,
+    numReserves: 3,
+    starterNames: names(7),
+    reserveNames: ['P8', 'P9', 'P10'],
+    keeperShares,
+    enableWarningSound: false,
+    ...overrides
+});
+
+try {
+    // Shares are split into halves or half-halves, starting keeper first
+    {
+        const plan = shares => {
+            const players = names(10);
+            const optimizer = new SoccerIntervalOptimizer({ totalPlayers: 10, fieldSpots: 7, gameLength: 2400, keeperShares: shares });
+            optimizer.initialize(players, { onField: players.slice(0, 7), onBench: players.slice(7), goalkeeper: 'P2' });
+            return optimizer.keeperPlan;
+        };
+
+        assert.deepStrictEqual(plan({ P1: 50, P2: 50 }), [
+            { keeper: 'P2', start: 0, end: 1200 },
+            { keeper: 'P1', start: 1200, end: 2400 }
+        ]);
+        assert.deepStrictEqual(plan({ P1: 75, P2: 25 }), [
+            { keeper: 'P2', start: 0, end: 600 },
+            { keeper: 'P1', start: 600, end: 2400 }
+        ]);
+        assert.deepStrictEqual(plan({ P2: 33, P5: 33, P9: 33 }).map(slot => slot.end - slot.start), [1200, 600, 600]);
+        assert.deepStrictEqual(plan({ P2: 100 }), [], 'a single keeper keeps the plain GK lock');
+    }
+
+    // Halftime swap from the bench, keeper minutes counted apart from outfield minutes
+    {
+        const engine = new SoccerGameEngine();
+        engine.initialize(setup({ P1: 50, P9: 50 }));
+        assert.strictEqual(engine.players.goalkeeper, 'P1');
+
+        const swap = engine.rotations.plan.find(rotation => rotation.keeper);
+        assert.strictEqual(swap.time, 1200, 'keeper swap is planned for halftime');
+        assert.strictEqual(swap.keeper, 'P9');
+
+        playTo(engine, 2400);
+        assert.strictEqual(engine.state.gameOver, true);
+        assert.strictEqual(engine.players.goalkeeper, 'P9');
+        assert.strictEqual(engine.players.positions.P9, 'GK');
+        assert.strictEqual(engine.players.keeperMinutes.P1, 1200);
+        assert.strictEqual(engine.players.keeperMinutes.P9, 1200);
+
+        const stats = engine.getStats();
+        assert.strictEqual(stats.players.P1.keeperMinutes, 1200);
+        assert.strictEqual(stats.players.P2.keeperMinutes, 0);
+        Object.keys(stats.players).forEach(player => {
+            const { keeperMinutes, outfieldMinutes, minutes } = stats.players[player];
+            assert.strictEqual(keeperMinutes + outfieldMinutes, minutes, `${player} split adds up`);
+        });
+
+        // Total minutes over both roles stay balanced
+        const minutes = Object.values(engine.players.minutes);
+        const spread = Math.max(...minutes) - Math.min(...minutes);
+        assert.ok(spread <= 300, `total minutes spread ${spread}s`);
+
+        const change = engine.getEventLog().find(event => event.type === 'goalkeeper_change');
+        assert.deepStrictEqual([change.from, change.to, change.reason], ['P1', 'P9', 'planned']);
+    }
+
+    // A keeper already on the field takes the gloves without a substitution
+    {
+        const engine = new SoccerGameEngine();
+        engine.initialize(setup({ P1: 50, P4: 50 }));
+        const swap = engine.rotations.plan.find(rotation => rotation.keeper);
+        assert.strictEqual(swap.keeper, 'P4');
+
+        playTo(engine, 1201);
+        assert.strictEqual(engine.players.goalkeeper, 'P4');
+        assert.strictEqual(engine.players.field[0], 'P4');
+    }
+
+    // A planned keeper off for a head-injury assessment at the handover: the
+    // keeper in goal stays on until they are back, then hands over
+    {
+        const engine = new SoccerGameEngine();
+        engine.initialize(setup({ P1: 50, P3: 50 }));
+        const errors = [];
+        engine.callbacks.onError = message => errors.push(message);
+        playTo(engine, 700);
+        const standIn = engine.players.bench[0];
+        assert.ok(engine.players.field.includes('P3'));
+        engine.temporaryReplacement('P3', standIn, { reason: 'hia' });
+        assert.ok(!engine.rotations.plan.some(rotation => rotation.keeper === 'P3' && rotation.time < 1420),
+            'no handover before the keeper is back');
+
+        playTo(engine, 1300);
+        assert.strictEqual(engine.players.goalkeeper, 'P1');
+        assert.deepStrictEqual(engine.enforcer.keeperPlan.map(slot => slot.keeper), ['P1', 'P3'], 'the slot waits for the keeper');
+
+        playTo(engine, 2400);
+        assert.strictEqual(engine.players.goalkeeper, 'P3');
+        assert.ok(engine.players.keeperMinutes.P3 >= 900, `P3 kept goal for ${engine.players.keeperMinutes.P3}s`);
+        assert.strictEqual(engine.players.keeperMinutes.P1 + engine.players.keeperMinutes.P3, 2400);
+        assert.deepStrictEqual(errors, []);
+    }
+
+    // A pending handover to a keeper who goes off for treatment is called off
+    {
+        const engine = new SoccerGameEngine();
+        engine.initialize(setup({ P1: 50, P3: 50 }));
+        const errors = [];
+        engine.callbacks.onError = message => errors.push(message);
+        playTo(engine, 700);
+        assert.ok(engine.players.field.includes('P3'));
+        Object.assign(engine.rotations, { pending: true, pendingOff: [], pendingOn: [], pendingKeeper: 'P3' });
+
+        engine.temporaryReplacement('P3', engine.players.bench[0], { reason: 'blood' });
+        assert.strictEqual(engine.rotations.pending, false);
+        playTo(engine, 2400);
+        assert.strictEqual(engine.players.goalkeeper, 'P3');
+        assert.deepStrictEqual(errors, []);
+    }
+
+    // A listed keeper on the bench starts in goal when no starter is listed
+    {
+        const engine = new SoccerGameEngine();
+        engine.initialize(setup({}, { playerData: { P8: { keeperShare: '50' }, P10: { keeperShare: '50' } } }));
+        assert.strictEqual(engine.players.goalkeeper, 'P8');
+        assert.ok(engine.players.bench.includes('P7'));
+    }
+
+    // A manual GK change keeps the new keeper in goal until the next planned swap
+    {
+        const engine = new SoccerGameEngine();
+        engine.initialize(setup({ P1: 50, P9: 50 }));
+        playTo(engine, 300);
+        engine.changeGoalkeeper('P2');
+        engine.replan('goalkeeper_change');
+        assert.deepStrictEqual(engine.enforcer.keeperPlan.map(slot => slot.keeper), ['P1', 'P2', 'P9']);
+
+        playTo(engine, 1100);
+        assert.strictEqual(engine.players.goalkeeper, 'P2');
+
+        const restored = new SoccerGameEngine();
+        restored.restoreFromSnapshot(JSON.parse(JSON.stringify(engine.getSnapshot())));
+        assert.deepStrictEqual(restored.enforcer.keeperPlan, engine.enforcer.keeperPlan);
+        assert.deepStrictEqual(restored.players.keeperMinutes, engine.players.keeperMinutes);
+    }
+} finally {
+    console.log = quietLog;
+}
+
+console.log('✅ Keeper rotation tests passed.');
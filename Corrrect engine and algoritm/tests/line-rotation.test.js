@@ -0,0 +1,129 @@
+const assert = require('assert');
+
+// Provide minimal browser globals expected by the engines
+global.window = global.window || {};
+
+window.BasketballIntervalOptimizer = require('../basketball-interval-optimizer.js');
+const BasketballGameEngine = require('../basketball-game-engine.js');
+
+const quietLog = console.log;
+console.log = () => {};
+const quietWarn = console.warn;
+console.warn = () => {};
+
+function playTo(engine, targetTimeSeconds = Infinity, check = () => {}) {
+    while (engine.state.currentTime < targetTimeSeconds && !engine.state.gameOver) {
+        engine.advanceOneSecond();
+        if (engine.rotations.pending) {
+            engine.confirmRotation();
+        }
+        check();
+    }
+}
+
+const setup = (overrides = {}) => ({
+    format: 'quarters',
+    minutesPerPeriod: 10,
+    starterNames: ['A', 'B', 'C', 'D', 'E'],
+    reserveNames: ['F', 'G', 'H', 'I', 'J', 'K'],
+    numReserves: 6,
+    lines: [['A', 'B', 'C'], ['D', 'E', 'F'], ['G', 'H', 'I']],
+    enableWarningSound: false,
+    ...overrides
+});
+
+const spread = values => Math.max(...values) - Math.min(...values);
+
+try {
+    // Lines change as whole units and share the game evenly; the players
+    // outside the lines hold the other two spots
+    {
+        const engine = new BasketballGameEngine();
+        engine.initialize(setup());
+        assert.deepStrictEqual(engine.players.court, ['A', 'B', 'C', 'J', 'K'], 'line 1 starts');
+
+        const plan = engine.rotations.plan;
+        assert.ok(plan.length >= 3);
+        plan.forEach(rotation => {
+            const line = engine.config.lines[rotation.line - 1];
+            assert.ok(line, 'every change is a line change');
+            assert.deepStrictEqual([...rotation.on].sort(), [...line].sort());
+            assert.strictEqual(rotation.off.length, 3);
+        });
+
+        playTo(engine, Infinity, () => {
+            const lineSpots = engine.players.court.filter(player => 'ABCDEFGHI'.includes(player));
+            const lines = new Set(lineSpots.map(player => engine.enforcer.getLineIndex(player)));
+            assert.strictEqual(lines.size, 1, `one line on at ${engine.state.currentTime}`);
+        });
+
+        const minutes = engine.players.minutes;
+        const lineTimes = engine.config.lines.map(line => line.map(player => minutes[player]));
+        lineTimes.forEach(times => assert.strictEqual(spread(times), 0, `equal time within a line (${times})`));
+        assert.ok(spread(lineTimes.map(times => times[0])) <= 30, `lines balanced (${lineTimes})`);
+        assert.deepStrictEqual([minutes.J, minutes.K], [2400, 2400], 'players outside the lines keep their spots');
+
+        const report = engine.enforcer.getAnalytics().lines;
+        assert.strictEqual(report.length, 3);
+    }
+
+    // A missing member is covered by other line players; injuries are covered from the lines
+    {
+        const engine = new BasketballGameEngine();
+        engine.initialize(setup());
+        playTo(engine, 300);
+        engine.playerOutOfGame('E', 'injured');
+
+        const upcoming = engine.getUpcomingRotations();
+        assert.ok(upcoming.every(rotation => !rotation.on.includes('E')), 'E is never brought on');
+        let court = [...engine.players.court];
+        for (const rotation of upcoming) {
+            court = court.filter(player => !rotation.off.includes(player)).concat(rotation.on);
+            if (rotation.line === 2) break;
+        }
+        assert.ok(court.includes('D') && court.includes('F'), 'the rest of line 2 still takes its shifts');
+        assert.strictEqual(court.length, 5);
+
+        playTo(engine, 1000);
+        const before = [...engine.players.court];
+        const injured = before.find(player => engine.enforcer.getLineIndex(player) !== -1);
+        engine.playerOutOfGame(injured, 'injured');
+        const cover = engine.players.court.find(player => !before.includes(player));
+        assert.notStrictEqual(engine.enforcer.getLineIndex(cover), -1, `${cover} covers from the lines`);
+
+        playTo(engine);
+        const left = ['A', 'B', 'C', 'D', 'F', 'G', 'H', 'I'].filter(player => player !== injured);
+        const times = left.map(player => engine.players.minutes[player]);
+        assert.ok(spread(times) <= 480, `line players stay close (${times})`);
+    }
+
+    // Line mode survives a snapshot round trip
+    {
+        const engine = new BasketballGameEngine();
+        engine.initialize(setup({
+            lines: undefined,
+            playerData: { A: { line: 1 }, B: { line: 1 }, C: { line: 1 }, D: { line: 2 }, E: { line: 2 }, F: { line: 2 } },
+            reserveNames: ['F', 'G', 'H', 'I', 'J', 'K']
+        }));
+        assert.deepStrictEqual(engine.config.lines, [['A', 'B', 'C'], ['D', 'E', 'F']], 'lines from playerData');
+        playTo(engine, 500);
+
+        const restored = new BasketballGameEngine();
+        assert.strictEqual(restored.restoreFromSnapshot(JSON.parse(JSON.stringify(engine.getSnapshot()))), true);
+        assert.deepStrictEqual(restored.enforcer.lines, engine.enforcer.lines);
+        assert.deepStrictEqual(restored.getUpcomingRotations(), engine.getUpcomingRotations());
+    }
+
+    // Too few players outside the lines to fill the court turns line mode off
+    {
+        const engine = new BasketballGameEngine();
+        engine.initialize(setup({ reserveNames: ['F', 'G', 'H', 'I', 'J'], numReserves: 5 }));
+        assert.strictEqual(engine.config.lines, null);
+        assert.strictEqual(engine.enforcer.lines, null);
+    }
+} finally {
+    console.log = quietLog;
+    console.warn = quietWarn;
+}
+
+console.log('✅ Line rotation tests passed.');
@@ -0,0 +1,152 @@
+const assert = require('assert');
+
+const { buildBalancedLineups, lineupSpreadLowerBound } = require('../utils/lineup-construction.js');
+
+const names = count => Array.from({ length: count }, (_, i) => `P${i + 1}`);
+
+const swapsBetween = (a, b) => a.filter(player => !b.includes(player)).length;
+
+// Every roster, field size and sub count: no change swaps more than allowed,
+// and with room for the full rotation everyone plays the same number of lineups
+for (let players = 2; players <= 16; players++) {
+    for (let field = 1; field < players; field++) {
+        for (let subs = 1; subs <= 4; subs++) {
+            const label = `${players}p/${field}f/${subs}s`;
+            const allowed = Math.min(subs, players - field, field);
+            const rotation = buildBalancedLineups(names(players), field, subs);
+
+            assert.strictEqual(rotation.lineups.length, rotation.numLineups, label);
+            rotation.lineups.forEach((lineup, i) => {
+                assert.strictEqual(new Set(lineup).size, field, `${label} lineup ${i} size`);
+                if (i > 0) {
+                    const swaps = swapsBetween(rotation.lineups[i - 1], lineup);
+                    assert.ok(swaps >= 1 && swaps <= allowed, `${label} change ${i} swaps ${swaps}`);
+                }
+            });
+            assert.strictEqual(rotation.spread, 0, `${label} spread`);
+            assert.strictEqual(rotation.spreadLowerBound, 0, `${label} lower bound`);
+
+            // Capped: never more lineups than allowed, swaps still within the
+            // subs, and the bound is never beaten
+            for (let cap = 2; cap <= 20; cap++) {
+                const capped = buildBalancedLineups(names(players), field, subs, { maxLineups: cap });
+                assert.ok(capped.numLineups <= cap, `${label} cap ${cap}`);
+                capped.lineups.forEach((lineup, i) => {
+                    if (i > 0) {
+                        const swaps = swapsBetween(capped.lineups[i - 1], lineup);
+                        assert.ok(swaps >= 1 && swaps <= allowed, `${label} cap ${cap} change ${i} swaps ${swaps}`);
+                    }
+                });
+                assert.ok(capped.spread >= capped.spreadLowerBound, `${label} cap ${cap} beats its bound`);
+            }
+        }
+    }
+}
+
+// Starters make up the first lineup
+assert.deepStrictEqual(buildBalancedLineups(names(7), 4, 2).lineups[0], ['P1', 'P2', 'P3', 'P4']);
+
+// Hand-tuned cases keep their length: 6 players, 4 on, 2 subs is three lineups
+assert.strictEqual(buildBalancedLineups(names(6), 4, 2).numLineups, 3);
+
+// With a cap the spread is reported in seconds against the lower bound for
+// that many lineups, which it meets when the subs leave room
+{
+    const rotation = buildBalancedLineups(names(8), 5, 2, { maxLineups: 4, gameSeconds: 2400 });
+    assert.strictEqual(rotation.numLineups, 4);
+    assert.strictEqual(rotation.spread, 1);
+    assert.strictEqual(rotation.spreadLowerBound, 1);
+    assert.strictEqual(rotation.spreadSeconds, 600);
+    assert.strictEqual(rotation.spreadLowerBoundSeconds, 600);
+}
+
+// Two on the bench and one sub a change: five lineups cannot give everyone a
+// rest, so the bound counts the players who never come off
+{
+    const rotation = buildBalancedLineups(names(10), 8, 1, { maxLineups: 5 });
+    assert.strictEqual(rotation.spread, 2);
+    assert.strictEqual(rotation.spreadLowerBound, 2);
+}
+
+// Too few changes to reach everyone: the bound counts the players left out
+assert.strictEqual(lineupSpreadLowerBound(10, 5, 1, 3), 3);
+{
+    const rotation = buildBalancedLineups(names(10), 5, 1, { maxLineups: 3 });
+    assert.strictEqual(rotation.spread, 3);
+    assert.strictEqual(rotation.spreadLowerBound, 3);
+}
+
+// The busiest starter stays on until the subs have taken the others off:
+// 4 on and 1 sub a change over 3 lineups, two starters play all three
+// while one player never gets on
+assert.strictEqual(lineupSpreadLowerBound(7, 4, 1, 3), 3);
+assert.strictEqual(buildBalancedLineups(names(7), 4, 1, { maxLineups: 3 }).spread, 3);
+
+// For small rosters the bound is the best spread any plan reaches: search
+// every plan (lineups as bitmasks, first lineup fixed by symmetry)
+{
+    const bits = mask => mask.toString(2).replace(/0/g, '').length;
+    const bestSpread = (players, field, subs, numLineups) => {
+        const lineups = [];
+        for (let mask = 0; mask < (1 << players); mask++) {
+            if (bits(mask) === field) lineups.push(mask);
+        }
+        const counts = new Array(players).fill(0);
+        const add = (mask, delta) => counts.forEach((_, i) => { if (mask >> i & 1) counts[i] += delta; });
+        const seen = new Set();
+        let best = Infinity;
+        const search = (lineup, played) => {
+            if (played === numLineups) {
+                best = Math.min(best, Math.max(...counts) - Math.min(...counts));
+                return;
+            }
+            const key = `${lineup}:${played}:${counts}`;
+            if (seen.has(key)) return;
+            seen.add(key);
+            lineups.filter(next => bits(lineup & ~next) <= subs).forEach(next => {
+                add(next, 1);
+                search(next, played + 1);
+                add(next, -1);
+            });
+        };
+        const first = (1 << field) - 1;
+        add(first, 1);
+        search(first, 1);
+        return best;
+    };
+
+    for (let players = 2; players <= 7; players++) {
+        for (let field = 1; field < players; field++) {
+            for (let subs = 1; subs <= Math.min(field, players - field); subs++) {
+                for (let numLineups = 2; numLineups <= 5; numLineups++) {
+                    assert.strictEqual(lineupSpreadLowerBound(players, field, subs, numLineups), bestSpread(players, field, subs, numLineups),
+                        `${players}p/${field}f/${subs}s over ${numLineups} lineups`);
+                }
+            }
+        }
+    }
+}
+
+// No bench, nothing to rotate
+assert.deepStrictEqual(buildBalancedLineups(names(5), 5, 2).numLineups, 1);
+
+// The UI pages load their own copy of the module: it builds the same
+// rotations and reports the same bound
+{
+    const uiCopy = require('../../CORRECT UI AND LAYOUT /lineup-construction.js');
+    for (let players = 2; players <= 16; players++) {
+        for (let field = 1; field < players; field++) {
+            for (let subs = 1; subs <= 4; subs++) {
+                [Infinity, 3, 5, 8].forEach(maxLineups => {
+                    assert.deepStrictEqual(
+                        uiCopy.buildBalancedLineups(names(players), field, subs, { maxLineups, gameSeconds: 2400 }),
+                        buildBalancedLineups(names(players), field, subs, { maxLineups, gameSeconds: 2400 }),
+                        `UI copy ${players}p/${field}f/${subs}s cap ${maxLineups}`
+                    );
+                });
+            }
+        }
+    }
+}
+
+console.log('✅ Lineup construction tests passed.');
@@ -0,0 +1,216 @@
+/**
+ * Local live-view relay (offline stand-in for Supabase realtime)
+ *
+ * Serves the app folder over HTTP and relays live-view messages between the
+ * coach's page and parents' live.html over WebSockets, grouped by match id.
+ * The last state of each match is replayed to viewers as they join.
+ *
+ * Usage:
+ *   node tests/live-relay-server.js --port 8787
+ *
+ * Then open the coach's page with ?relay=ws://<laptop-ip>:8787 (remembered
+ * for the session) and share the live link as usual.
+ *
+ * Options:
+ *   --port   Port to listen on (default 8787)
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const APP_ROOT = path.join(__dirname, '..');
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json',
+    '.png': 'image/png',
+    '.wav': 'audio/wav',
+    '.mp3': 'audio/mpeg'
+};
+
+// ============================================================================
+// WEBSOCKET FRAMES (text, close and ping only - all the relay needs)
+// ============================================================================
+
+/**
+ * Encode a server-to-client frame (never masked)
+ * @param {string|Buffer} data - Payload
+ * @param {number} [opcode] - 0x1 text, 0x8 close, 0xA pong
+ * @returns {Buffer}
+ */
+function encodeFrame(data, opcode = 0x1) {
+    const payload = Buffer.isBuffer(data) ? data : Buffer.from(String(data));
+    let header;
+    if (payload.length < 126) {
+        header = Buffer.from([0x80 | opcode, payload.length]);
+    } else if (payload.length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x80 | opcode;
+        header[1] = 126;
+        header.writeUInt16BE(payload.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x80 | opcode;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+    return Buffer.concat([header, payload]);
+}
+
+/**
+ * Decode every complete frame at the front of a buffer
+ * @param {Buffer} buffer - Bytes received so far
+ * @returns {{frames: Array<{opcode: number, payload: Buffer}>, rest: Buffer}}
+ */
+function decodeFrames(buffer) {
+    const frames = [];
+    let offset = 0;
+
+    while (buffer.length - offset >= 2) {
+        const opcode = buffer[offset] & 0x0f;
+        const masked = (buffer[offset + 1] & 0x80) !== 0;
+        let length = buffer[offset + 1] & 0x7f;
+        let cursor = offset + 2;
+
+        if (length === 126) {
+            if (buffer.length < cursor + 2) break;
+            length = buffer.readUInt16BE(cursor);
+            cursor += 2;
+        } else if (length === 127) {
+            if (buffer.length < cursor + 8) break;
+            length = Number(buffer.readBigUInt64BE(cursor));
+            cursor += 8;
+        }
+
+        const maskLength = masked ? 4 : 0;
+        if (buffer.length < cursor + maskLength + length) break;
+
+        const payload = Buffer.from(buffer.subarray(cursor + maskLength, cursor + maskLength + length));
+        if (masked) {
+            const mask = buffer.subarray(cursor, cursor + 4);
+            for (let i = 0; i < payload.length; i++) {
+                payload[i] ^= mask[i % 4];
+            }
+        }
+
+        frames.push({ opcode, payload });
+        offset = cursor + maskLength + length;
+    }
+
+    return { frames, rest: buffer.subarray(offset) };
+}
+
+// ============================================================================
+// RELAY
+// ============================================================================
+
+/**
+ * Create (but do not start) the relay server
+ * @returns {http.Server}
+ */
+function createRelayServer() {
+    const matches = new Map(); // matchId -> { sockets: Set, lastState: string|null }
+
+    const server = http.createServer((req, res) => {
+        const { pathname } = new URL(req.url, 'http://localhost');
+        const file = path.normalize(path.join(APP_ROOT, decodeURIComponent(pathname === '/' ? '/index.html' : pathname)));
+
+        if (!file.startsWith(APP_ROOT + path.sep)) {
+            res.writeHead(403);
+            res.end();
+            return;
+        }
+
+        fs.readFile(file, (err, body) => {
+            if (err) {
+                res.writeHead(404);
+                res.end('Not found');
+                return;
+            }
+            res.writeHead(200, { 'Content-Type': CONTENT_TYPES[path.extname(file)] || 'application/octet-stream' });
+            res.end(body);
+        });
+    });
+
+    server.on('upgrade', (req, socket) => {
+        const matchId = new URL(req.url, 'http://localhost').searchParams.get('match');
+        const key = req.headers['sec-websocket-key'];
+        if (!matchId || !key) {
+            socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+            return;
+        }
+
+        const accept = crypto.createHash('sha1').update(key + WS_GUID).digest('base64');
+        socket.write([
+            'HTTP/1.1 101 Switching Protocols',
+            'Upgrade: websocket',
+            'Connection: Upgrade',
+            `Sec-WebSocket-Accept: ${accept}`,
+            '', ''
+        ].join('\r\n'));
+
+        const match = matches.get(matchId) || { sockets: new Set(), lastState: null };
+        matches.set(matchId, match);
+        match.sockets.add(socket);
+        if (match.lastState) {
+            socket.write(encodeFrame(match.lastState));
+        }
+
+        let buffered = Buffer.alloc(0);
+        socket.on('data', chunk => {
+            const { frames, rest } = decodeFrames(Buffer.concat([buffered, chunk]));
+            buffered = rest;
+
+            frames.forEach(({ opcode, payload }) => {
+                if (opcode === 0x8) {
+                    socket.end(encodeFrame(Buffer.alloc(0), 0x8));
+                    return;
+                }
+                if (opcode === 0x9) {
+                    socket.write(encodeFrame(payload, 0xA));
+                    return;
+                }
+                if (opcode !== 0x1) return;
+
+                const text = payload.toString();
+                try {
+                    if (JSON.parse(text).event === 'state') match.lastState = text;
+                } catch (e) {
+                    return;
+                }
+                match.sockets.forEach(peer => {
+                    if (peer !== socket && !peer.destroyed) peer.write(encodeFrame(text));
+                });
+            });
+        });
+
+        const leave = () => {
+            match.sockets.delete(socket);
+            if (match.sockets.size === 0 && !match.lastState) matches.delete(matchId);
+        };
+        socket.on('close', leave);
+        socket.on('error', leave);
+    });
+
+    return server;
+}
+
+// ============================================================================
+// CLI
+// ============================================================================
+
+if (require.main === module) {
+    const portArg = process.argv.indexOf('--port');
+    const port = portArg > -1 ? Number(process.argv[portArg + 1]) : 8787;
+
+    createRelayServer().listen(port, () => {
+        console.log(`📡 Live relay on http://localhost:${port} - coach page: ?relay=ws://localhost:${port}`);
+    });
+}
+
+module.exports = { createRelayServer, encodeFrame, decodeFrames };
@@ -0,0 +1,181 @@
+const assert = require('assert');
+const crypto = require('crypto');
+const http = require('http');
+
+// Provide minimal browser globals expected by the engine
+global.window = global.window || {};
+
+require('../config/game-defaults.js');
+window.BasketballIntervalOptimizer = require('../basketball-interval-optimizer.js');
+const BasketballGameEngine = require('../basketball-game-engine.js');
+const { buildLiveViewState, LiveViewPublisher, formatEta } = require('../utils/live-view.js');
+const { createRelayServer, decodeFrames } = require('./live-relay-server.js');
+
+const quietLog = console.log;
+console.log = () => {};
+
+const names = count => Array.from({ length: count }, (_, i) => `P${i + 1}`);
+
+function startGame() {
+    const engine = new BasketballGameEngine();
+    engine.initialize({
+        starterNames: names(5),
+        reserveNames: ['P6', 'P7', 'P8'],
+        numReserves: 3,
+        minutesPerPeriod: 10,
+        enableWarningSound: false
+    });
+    return engine;
+}
+
+function fakeTransport() {
+    const handlers = { state: [], request: [] };
+    return {
+        sent: [],
+        connect() {},
+        close() {},
+        publish(payload) { this.sent.push(payload); },
+        on(event, handler) { handlers[event].push(handler); },
+        emit(event, payload) { handlers[event].forEach(handler => handler(payload)); }
+    };
+}
+
+/**
+ * Raw WebSocket client for the relay (Node 20 has no WebSocket global)
+ */
+function connectRelay(port, matchId) {
+    return new Promise((resolve, reject) => {
+        const req = http.request({
+            port,
+            path: `/?match=${matchId}`,
+            headers: {
+                Connection: 'Upgrade',
+                Upgrade: 'websocket',
+                'Sec-WebSocket-Key': crypto.randomBytes(16).toString('base64'),
+                'Sec-WebSocket-Version': '13'
+            }
+        });
+        req.on('upgrade', (res, socket, head) => {
+            const client = { socket, messages: [], waiters: [] };
+            let buffered = Buffer.alloc(0);
+            const receive = chunk => {
+                const { frames, rest } = decodeFrames(Buffer.concat([buffered, chunk]));
+                buffered = rest;
+                frames.filter(f => f.opcode === 0x1).forEach(f => {
+                    client.messages.push(JSON.parse(f.payload.toString()));
+                    client.waiters.splice(0).forEach(wake => wake());
+                });
+            };
+            socket.on('data', receive);
+            // Frames sent straight after the handshake arrive with it
+            receive(head);
+            client.send = message => {
+                const payload = Buffer.from(JSON.stringify(message));
+                const mask = crypto.randomBytes(4);
+                const masked = payload.map((byte, i) => byte ^ mask[i % 4]);
+                socket.write(Buffer.concat([Buffer.from([0x81, 0x80 | payload.length]), mask, masked]));
+            };
+            client.next = () => new Promise(resolve => {
+                if (client.messages.length > 0) resolve(client.messages.shift());
+                else client.waiters.push(() => resolve(client.messages.shift()));
+            });
+            resolve(client);
+        });
+        req.on('error', reject);
+        req.end();
+    });
+}
+
+(async () => {
+    try {
+        // Every player gets their next move and its ETA from the rotation plan
+        {
+            const engine = startGame();
+            for (let i = 0; i < 30; i++) engine.advanceOneSecond();
+
+            const state = engine.getState();
+            const payload = buildLiveViewState(state, { matchId: 'm1', sport: 'basketball', periodLength: 600, numPeriods: 2 });
+            const first = state.rotations.upcoming[0];
+
+            assert.strictEqual(payload.players.filter(p => p.status === 'field').length, 5);
+            first.on.forEach(name => {
+                const player = payload.players.find(p => p.name === name);
+                assert.strictEqual(player.change, 'on');
+                assert.strictEqual(player.eta, first.time - 30);
+            });
+            first.off.forEach(name => assert.strictEqual(payload.players.find(p => p.name === name).change, 'off'));
+            assert.strictEqual(payload.next.eta, first.time - 30);
+            assert.strictEqual(payload.clock.numPeriods, 2);
+            assert.strictEqual(formatEta(65), '1:05');
+            assert.strictEqual(formatEta(0), 'now');
+        }
+
+        // Players off for treatment or in the sin bin are listed with when they are due back
+        {
+            const engine = startGame();
+            for (let i = 0; i < 30; i++) engine.advanceOneSecond();
+            const [treated, binned] = engine.players.court;
+            engine.temporaryReplacement(treated, engine.players.bench[0], { reason: 'hia', duration: 300 });
+            engine.sinBin(binned, { duration: 120 });
+
+            const players = buildLiveViewState(engine.getState()).players;
+            const find = name => players.find(p => p.name === name);
+            assert.deepStrictEqual([find(treated).status, find(treated).change, find(treated).eta], ['medical', 'back', 300]);
+            assert.deepStrictEqual([find(binned).status, find(binned).change, find(binned).eta], ['sinBinned', 'back', 120]);
+            assert.strictEqual(players.length, 8, 'every player is listed once');
+
+            for (let i = 0; i < 120; i++) engine.advanceOneSecond();
+            assert.strictEqual(buildLiveViewState(engine.getState()).players.find(p => p.name === binned).status, 'field');
+        }
+
+        // The publisher sends on visible changes and heartbeats, and answers viewers joining
+        {
+            const engine = startGame();
+            const transport = fakeTransport();
+            let clock = 0;
+            const publisher = new LiveViewPublisher({ engine, transport, sport: 'basketball', matchId: 'm2', heartbeatMs: 5000, now: () => clock });
+            publisher.start();
+            assert.strictEqual(transport.sent.length, 1);
+
+            clock = 1000;
+            assert.strictEqual(publisher.update(engine.getState()), false, 'nothing visible changed');
+            engine.updatePlayerScore('P1', 2);
+            assert.strictEqual(publisher.update(engine.getState()), true, 'score change goes out at once');
+            assert.strictEqual(transport.sent[1].score.home, 2);
+
+            clock = 7000;
+            assert.strictEqual(publisher.update(engine.getState()), true, 'heartbeat');
+            transport.emit('request', {});
+            assert.strictEqual(transport.sent.length, 4);
+        }
+
+        // The relay passes state between devices on the same match and replays it to late joiners
+        {
+            const server = createRelayServer();
+            await new Promise(resolve => server.listen(0, resolve));
+            const { port } = server.address();
+
+            const coach = await connectRelay(port, 'm3');
+            const parent = await connectRelay(port, 'm3');
+            const otherMatch = await connectRelay(port, 'other');
+
+            coach.send({ event: 'state', payload: { matchId: 'm3', score: { home: 4 } } });
+            assert.strictEqual((await parent.next()).payload.score.home, 4);
+
+            const lateParent = await connectRelay(port, 'm3');
+            assert.strictEqual((await lateParent.next()).payload.matchId, 'm3');
+            assert.strictEqual(otherMatch.messages.length, 0);
+
+            [coach, parent, otherMatch, lateParent].forEach(client => client.socket.destroy());
+            server.close();
+        }
+    } finally {
+        console.log = quietLog;
+    }
+
+    console.log('✅ Live view tests passed.');
+})().catch(error => {
+    console.log = quietLog;
+    console.error(error);
+    process.exit(1);
+});
@@ -0,0 +1,175 @@
+const assert = require('assert');
+
+// Provide minimal browser globals expected by the engines
+global.window = global.window || {};
+
+window.NetballIntervalOptimizer = require('../netball-interval-optimizer.js');
+const NetballGameEngine = require('../netball-game-engine.js');
+const { NETBALL_POSITIONS } = require('../config/game-defaults.js');
+
+const quietLog = console.log;
+console.log = () => {};
+const quietError = console.error;
+console.error = () => {};
+
+const roster = ['A', 'B', 'C', 'D', 'E', 'F', 'G', 'H', 'I', 'J'];
+const playerPositions = {
+    A: 'shooters',
+    B: 'GS/GA/WA',
+    C: 'midcourt',
+    D: 'C/WD',
+    E: 'defenders',
+    F: 'GD/GK/WD',
+    H: 'GK'
+};
+
+function createEngine(overrides = {}) {
+    const engine = new NetballGameEngine();
+    engine.initialize({
+        starterNames: roster.slice(0, 7),
+        reserveNames: roster.slice(7),
+        minutesPerPeriod: 10,
+        playerPositions,
+        enableWarningSound: false,
+        ...overrides
+    });
+    const errors = [];
+    engine.callbacks.onError = message => errors.push(message);
+    return { engine, errors };
+}
+
+function playTo(engine, targetTimeSeconds = Infinity, check = () => {}) {
+    while (engine.state.currentTime < targetTimeSeconds && !engine.state.gameOver) {
+        engine.advanceOneSecond();
+        if (engine.rotations.pending) engine.confirmRotation();
+        check();
+    }
+}
+
+const eligible = (engine, player, position) => engine.enforcer.isEligible(player, position);
+
+try {
+    // Changes are planned only at quarter breaks, and every quarter is seated in eligible positions
+    {
+        const { engine, errors } = createEngine();
+        assert.ok(engine.rotations.plan.length > 0);
+        assert.ok(engine.rotations.plan.every(rotation => rotation.time % 600 === 0));
+        assert.deepStrictEqual(engine.getLineupWarnings(), []);
+
+        playTo(engine, Infinity, () => {
+            Object.entries(engine.players.positions).forEach(([player, position]) => {
+                assert.ok(eligible(engine, player, position), `${player} at ${position}`);
+            });
+            assert.strictEqual(new Set(Object.values(engine.players.positions)).size, 7);
+        });
+
+        assert.deepStrictEqual(errors, []);
+        const subs = engine.getEventLog().filter(e => e.type === 'substitution');
+        assert.ok(subs.length > 0 && subs.every(e => e.time % 600 === 0), 'every change at a break');
+
+        // 28 player-quarters over 10 players: everyone plays two or three quarters
+        const minutes = Object.values(engine.players.minutes);
+        assert.ok(minutes.every(seconds => seconds === 1200 || seconds === 1800), `minutes ${minutes}`);
+    }
+
+    // Players eligible anywhere get a mix of positions
+    {
+        const { engine } = createEngine({ playerPositions: {} });
+        playTo(engine);
+        const report = engine.getStats().positionReport;
+        assert.deepStrictEqual(report.positions, NETBALL_POSITIONS.POSITIONS);
+        Object.entries(report.players).forEach(([player, { total, positionsPlayed }]) => {
+            assert.strictEqual(positionsPlayed.length, total / 600, `${player} plays a new position each quarter`);
+        });
+    }
+
+    // Mid-quarter, only injuries come off; the replacement takes an eligible bib
+    {
+        const { engine, errors } = createEngine();
+        playTo(engine, 300);
+
+        assert.strictEqual(engine.emergencySubstitution('A', 'H'), false);
+        assert.match(errors[0], /A can only be replaced mid-quarter for injury or illness/);
+
+        engine.rotations.pending = true;
+        engine.rotations.pendingOff = ['B'];
+        engine.rotations.pendingOn = ['I'];
+        assert.strictEqual(engine.confirmRotation(), false, 'no planned changes mid-quarter');
+        assert.match(errors[1], /quarter breaks/);
+        engine.rotations.pending = false;
+
+        // H can only play GK, so the injured goal shooter's bib goes to a teammate who can swap
+        const shooter = Object.keys(engine.players.positions).find(p => engine.players.positions[p] === 'GS');
+        assert.strictEqual(engine.emergencySubstitution(shooter, 'H', false, { injury: true }), true);
+        assert.strictEqual(engine.players.positions.H, 'GK');
+        Object.entries(engine.players.positions).forEach(([player, position]) => {
+            assert.ok(eligible(engine, player, position), `${player} at ${position} after the injury`);
+        });
+        assert.ok(engine.getEventLog().some(e => e.type === 'position_change' && e.reason === 'injury'));
+
+        // The rest of the game is replanned around the injury, still only at breaks
+        playTo(engine);
+        const later = engine.getEventLog().filter(e => e.type === 'substitution' && e.time > 300);
+        assert.ok(later.length > 0 && later.every(e => e.time % 600 === 0));
+    }
+
+    // At a break the coach's own change stands and the court is re-seated
+    {
+        const { engine } = createEngine();
+        playTo(engine, 600);
+        assert.strictEqual(engine.state.isQuarterTime, true);
+        assert.strictEqual(engine.rotations.pending, false);
+
+        const off = engine.players.court.find(player => player !== 'E' && player !== 'F');
+        const on = engine.players.bench.find(player => player !== 'H');
+        assert.strictEqual(engine.emergencySubstitution(off, on), true, 'any change at a break');
+        assert.ok(engine.players.court.includes(on));
+        assert.strictEqual(engine.rotations.pending, false, 'not undone by the replan');
+        Object.entries(engine.players.positions).forEach(([player, position]) => {
+            assert.ok(eligible(engine, player, position), `${player} at ${position}`);
+        });
+        assert.strictEqual(Object.keys(engine.players.positions).length, 7);
+    }
+
+    // Only the shooters can score
+    {
+        const { engine, errors } = createEngine();
+        const shooter = Object.keys(engine.players.positions).find(p => engine.players.positions[p] === 'GA');
+        const keeper = Object.keys(engine.players.positions).find(p => engine.players.positions[p] === 'GK');
+        assert.strictEqual(engine.updatePlayerScore(shooter), 1);
+        assert.strictEqual(engine.updatePlayerScore(keeper), 0);
+        assert.match(errors[0], /Only GS and GA can score/);
+        assert.strictEqual(engine.getScoringStats().homeScore, 1);
+    }
+
+    // A roster short of a position is flagged per quarter and filled anyway
+    {
+        const { engine } = createEngine({
+            playerPositions: { A: 'GS', B: 'GS', C: 'C', D: 'C', E: 'GK', F: 'GK', G: 'GD', H: 'GD', I: 'C', J: 'GS' }
+        });
+        const warnings = engine.getLineupWarnings();
+        assert.ok(warnings.length === 4 && warnings.every(w => w.positions.includes('GA')), JSON.stringify(warnings));
+        playTo(engine);
+        assert.strictEqual(engine.state.gameOver, true);
+    }
+
+    // Planned lineups and position time survive a snapshot
+    {
+        const { engine } = createEngine();
+        playTo(engine, 900);
+        const restored = new NetballGameEngine();
+        restored.restoreFromSnapshot(JSON.parse(JSON.stringify(engine.getSnapshot())));
+        assert.deepStrictEqual(restored.players.positions, engine.players.positions);
+        assert.deepStrictEqual(restored.players.positionSeconds, engine.players.positionSeconds);
+        assert.deepStrictEqual(restored.enforcer.quarterLineups, engine.enforcer.quarterLineups);
+
+        playTo(engine);
+        playTo(restored);
+        assert.deepStrictEqual(restored.players.minutes, engine.players.minutes);
+    }
+} finally {
+    console.log = quietLog;
+    console.error = quietError;
+}
+
+console.log('✅ Netball tests passed.');
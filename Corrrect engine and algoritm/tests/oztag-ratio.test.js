@@ -0,0 +1,127 @@
+const assert = require('assert');
+
+// Provide minimal browser globals expected by the engines
+global.window = global.window || {};
+
+window.OztagIntervalOptimizer = require('../oztag-interval-optimizer.js');
+const OztagGameEngine = require('../oztag-game-engine.js');
+
+const quietLog = console.log;
+console.log = () => {};
+const quietWarn = console.warn;
+console.warn = () => {};
+const quietError = console.error;
+console.error = () => {};
+
+// Six men (M1-M6) and six women (F1-F6); starters are the first eight
+const roster = ['M1', 'M2', 'M3', 'M4', 'M5', 'F1', 'F2', 'F3', 'M6', 'F4', 'F5', 'F6'];
+const categories = Object.fromEntries(roster.map(name => [name, name[0]]));
+
+function createEngine(overrides = {}) {
+    const engine = new OztagGameEngine();
+    engine.initialize({
+        playerNames: roster,
+        halfLength: 1200,
+        numHalves: 2,
+        rotationsPerChange: 2,
+        playerCategories: categories,
+        categoryLimits: { M: { max: 4 }, F: { min: 4 } },
+        ...overrides
+    });
+    return engine;
+}
+
+function playOut(engine, check = () => {}) {
+    while (!engine.state.gameOver) {
+        if (engine.state.isHalftime) {
+            engine.startNextPeriod();
+            engine.stop();
+        }
+        engine.advanceOneSecond();
+        if (engine.rotations.pending) engine.confirmRotation();
+        check();
+    }
+}
+
+try {
+    // An illegal starting lineup is fixed from the reserves, keeping the first-named starters
+    {
+        const engine = createEngine();
+        assert.deepStrictEqual(engine.getCategoryCounts(), { M: 4, F: 4 });
+        assert.deepStrictEqual(engine.players.field.slice(0, 4), ['M1', 'M2', 'M3', 'M4']);
+        assert.ok(engine.players.bench.includes('M5'));
+        assert.strictEqual(engine.state.ratioWarning, null);
+        assert.strictEqual(engine.getState().ratio.legal, true);
+    }
+
+    // Every rotation in a full game keeps the ratio, and minutes stay balanced
+    {
+        const engine = createEngine();
+        playOut(engine, () => {
+            assert.strictEqual(engine.getRatioViolation(), 0, engine.describeRatioViolation());
+        });
+        const subs = engine.getEventLog().filter(e => e.type === 'substitution');
+        assert.ok(subs.length >= 6, `rotations made (${subs.length})`);
+
+        const minutes = roster.map(player => engine.players.minutes[player]);
+        assert.ok(minutes.every(seconds => seconds > 0), 'everyone plays');
+        const men = roster.filter(p => p[0] === 'M').map(p => engine.players.minutes[p]);
+        const women = roster.filter(p => p[0] === 'F').map(p => engine.players.minutes[p]);
+        assert.ok(Math.max(...men) - Math.min(...men) <= 420, `men balanced (${men})`);
+        assert.ok(Math.max(...women) - Math.min(...women) <= 420, `women balanced (${women})`);
+        assert.strictEqual(engine.getStats().players.F1.category, 'F');
+    }
+
+    // Emergency subs that break the rule are refused; like-for-like goes through
+    {
+        const engine = createEngine();
+        const result = engine.emergencySubstitution('F1', 'M5');
+        assert.deepStrictEqual(result, { success: false, error: 'Ratio rule: 5 M on field (max 4), 3 F on field (min 4)' });
+        assert.strictEqual(engine.emergencySubstitution('F1', 'F5').success, true);
+        assert.strictEqual(engine.emergencySubstitution('M1', 'F1').success, true, 'extra women are fine');
+    }
+
+    // A pending rotation that no longer fits is cancelled with an error
+    {
+        const engine = createEngine();
+        const errors = [];
+        engine.callbacks.onError = message => errors.push(message);
+        engine.rotations.pending = true;
+        engine.rotations.pendingOff = ['F1'];
+        engine.rotations.pendingOn = ['M5'];
+        assert.strictEqual(engine.confirmRotation(), false);
+        assert.match(errors[0], /^Ratio rule: 5 M on field/);
+        assert.ok(engine.players.field.includes('F1'));
+    }
+
+    // Removals pick a legal replacement, and a roster that cannot meet the rule is flagged
+    {
+        const engine = createEngine();
+        const woman = engine.players.field.find(p => p[0] === 'F');
+        engine.removePlayer(woman);
+        assert.strictEqual(engine.getRatioViolation(), 0);
+        assert.strictEqual(engine.getCategoryCounts().F, 4);
+
+        ['F1', 'F2', 'F3', 'F4', 'F5', 'F6'].filter(p => !engine.players.removed.has(p)).slice(0, 2)
+            .forEach(player => engine.removePlayer(player));
+        assert.strictEqual(engine.state.ratioWarning, 'Ratio rule cannot be met: only 3 F available (min 4), only 7 players can take the 8 spots');
+        assert.strictEqual(engine.getEventLog().filter(e => e.type === 'ratio_warning').length, 1);
+
+        engine.returnPlayer(woman);
+        assert.strictEqual(engine.state.ratioWarning, null, 'cleared once the roster fits again');
+    }
+
+    // Without a rule the lineup is left as named
+    {
+        const engine = createEngine({ categoryLimits: {} });
+        assert.strictEqual(engine.config.categoryRule, null);
+        assert.deepStrictEqual(engine.players.field, roster.slice(0, 8));
+        assert.strictEqual(engine.getState().ratio, null);
+    }
+} finally {
+    console.log = quietLog;
+    console.warn = quietWarn;
+    console.error = quietError;
+}
+
+console.log('✅ Oztag ratio rule tests passed.');
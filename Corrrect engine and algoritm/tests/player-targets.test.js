@@ -0,0 +1,80 @@
+const assert = require('assert');
+
+// Provide minimal browser globals expected by the engine
+global.window = global.window || {};
+
+const GameConfig = require('../config/game-defaults.js');
+window.BasketballIntervalOptimizer = require('../basketball-interval-optimizer.js');
+const BasketballGameEngine = require('../basketball-game-engine.js');
+
+const quietLog = console.log;
+console.log = () => {};
+
+const names = count => Array.from({ length: count }, (_, i) => `P${i + 1}`);
+
+try {
+    // Preset strings and objects parse to the same target shape
+    assert.strictEqual(GameConfig.parsePlayerTarget(''), null);
+    assert.strictEqual(GameConfig.parsePlayerTarget('max:abc'), null);
+    assert.deepStrictEqual(GameConfig.parsePlayerTarget('max:60'), { maxShare: 0.6 });
+    assert.deepStrictEqual(GameConfig.parsePlayerTarget('min:50, weight:2'), { minShare: 0.5, weight: 2 });
+    assert.deepStrictEqual(GameConfig.parsePlayerTarget({ minutes: 12, bogus: 1 }), { minutes: 12 });
+
+    // Capped and guaranteed players are fixed at their bounds, the rest share what is left
+    {
+        const players = names(7);
+        const optimizer = new window.BasketballIntervalOptimizer({
+            totalPlayers: 7,
+            gameLength: 1200,
+            playerTargets: { P1: 'max:60', P2: 'min:75', P3: { minutes: 15 } }
+        });
+        optimizer.initialize(players, { onCourt: players.slice(0, 5), onBench: players.slice(5) });
+
+        const targets = optimizer.playerTargetSeconds;
+        assert.strictEqual(targets.P1, 720);
+        assert.strictEqual(targets.P2, 900);
+        assert.strictEqual(targets.P3, 900);
+        ['P4', 'P5', 'P6', 'P7'].forEach(p => assert.strictEqual(targets[p], (6000 - 2520) / 4));
+        assert.strictEqual(optimizer.getPlayerTarget('P1'), 720);
+    }
+
+    // No targets: balance time is plain playing time
+    {
+        const players = names(7);
+        const optimizer = new window.BasketballIntervalOptimizer({ totalPlayers: 7, gameLength: 1200 });
+        optimizer.initialize(players, { onCourt: players.slice(0, 5), onBench: players.slice(5) });
+        assert.strictEqual(optimizer.hasPlayerTargets(), false);
+        assert.deepStrictEqual(optimizer.playerTargetSeconds, {});
+        optimizer.playerState.P1.totalTimePlayed = 300;
+        optimizer.currentTime = 600;
+        assert.strictEqual(optimizer.getBalanceTime('P1'), 300);
+    }
+
+    // A full game lands each player near their own target
+    {
+        const engine = new BasketballGameEngine();
+        engine.initialize({
+            starterNames: names(5),
+            reserveNames: ['P6', 'P7', 'P8', 'P9'],
+            numReserves: 4,
+            minutesPerPeriod: 16,
+            enableWarningSound: false,
+            playerData: { P1: { target: 'max:40' }, P6: { target: 'min:75' } }
+        });
+        while (!engine.state.gameOver) {
+            engine.advanceOneSecond();
+            if (engine.rotations.pending) engine.confirmRotation();
+        }
+
+        const length = engine.totalGameLength;
+        const stats = engine.calculateFinalStats();
+        assert.ok(stats.players.P1.minutes <= length * 0.4 + 120, `capped player played ${stats.players.P1.minutes}s`);
+        assert.ok(stats.players.P6.minutes >= length * 0.75 - 120, `guaranteed player played ${stats.players.P6.minutes}s`);
+        assert.strictEqual(stats.players.P1.targetMinutes, Math.round(length * 0.4));
+        assert.ok(stats.variance < 120, `variance against targets is ${stats.variance}s`);
+    }
+} finally {
+    console.log = quietLog;
+}
+
+console.log('✅ Player target tests passed.');
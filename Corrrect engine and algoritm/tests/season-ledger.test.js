@@ -0,0 +1,114 @@
+const assert = require('assert');
+
+// Provide minimal browser globals expected by the engine
+global.window = global.window || {};
+
+require('../config/game-defaults.js');
+const { SeasonLedger, renderEquityReport } = require('../utils/season-ledger.js');
+window.BasketballIntervalOptimizer = require('../basketball-interval-optimizer.js');
+const BasketballGameEngine = require('../basketball-game-engine.js');
+
+const quietLog = console.log;
+console.log = () => {};
+
+function memoryStorage() {
+    const items = {};
+    return {
+        getItem: key => (key in items ? items[key] : null),
+        setItem: (key, value) => { items[key] = String(value); }
+    };
+}
+
+const names = count => Array.from({ length: count }, (_, i) => `P${i + 1}`);
+
+function playGame(setupData) {
+    const engine = new BasketballGameEngine();
+    engine.initialize({
+        starterNames: names(5),
+        reserveNames: ['P6', 'P7', 'P8', 'P9'],
+        numReserves: 4,
+        minutesPerPeriod: 16,
+        enableWarningSound: false,
+        ...setupData
+    });
+    while (!engine.state.gameOver) {
+        engine.advanceOneSecond();
+        if (engine.rotations.pending) engine.confirmRotation();
+    }
+    return engine.calculateFinalStats();
+}
+
+try {
+    // Games are booked against their equal share and survive a reload
+    {
+        const storage = memoryStorage();
+        const ledger = new SeasonLedger(storage);
+        ledger.recordGame('basketball', 'Hawks', { players: { A: { minutes: 600 }, B: { minutes: 1200 } } });
+        ledger.recordGame('basketball', 'hawks ', { players: { A: { minutes: 900 }, B: { minutes: 900 }, C: { minutes: 900 } } });
+
+        const reloaded = new SeasonLedger(storage);
+        assert.deepStrictEqual(reloaded.getCarryOver('basketball', 'Hawks', ['A', 'B', 'C', 'D']), { A: -300, B: 300, C: 0 });
+        assert.deepStrictEqual(reloaded.getReport('basketball', 'Hawks').map(row => [row.name, row.games, row.equity]),
+            [['A', 2, -300], ['C', 1, 0], ['B', 2, 300]]);
+        assert.strictEqual(reloaded.getLastTeam('basketball'), 'hawks ');
+        assert.strictEqual(reloaded.getTeam('soccer', 'Hawks'), null);
+    }
+
+    // Database rows replace the local totals for those players
+    {
+        const ledger = new SeasonLedger(memoryStorage());
+        ledger.recordGame('soccer', 'Reds', { players: { A: { minutes: 600 }, B: { minutes: 600 } } });
+        ledger.mergeRemote('soccer', 'Reds', [{ name: 'A', games: 3, played: 1500, fairShare: 1800 }]);
+        assert.deepStrictEqual(ledger.getCarryOver('soccer', 'Reds', ['A', 'B']), { A: -300, B: 0 });
+        assert.strictEqual(ledger.getTeam('soccer', 'Reds').games, 3);
+    }
+
+    // Carry-over shifts targets from players in credit to players owed, capped per game
+    {
+        const players = names(9);
+        const optimizer = new window.BasketballIntervalOptimizer({
+            totalPlayers: 9,
+            gameLength: 1920,
+            carryOver: { P1: -1200, P2: 120 }
+        });
+        optimizer.initialize(players, { onCourt: players.slice(0, 5), onBench: players.slice(5) });
+
+        const share = 1920 * 5 / 9;
+        const targets = optimizer.playerTargetSeconds;
+        assert.ok(Math.abs(targets.P1 - share * 1.25) < share * 0.05, 'repayment is capped at a quarter share');
+        assert.ok(targets.P2 < share && targets.P3 < share);
+        const total = players.reduce((sum, p) => sum + targets[p], 0);
+        assert.ok(Math.abs(total - 1920 * 5) < 1e-6, 'carry-over moves time, it does not create it');
+    }
+
+    // A player owed minutes from last week gets extra court time, and the stats name the team
+    {
+        const baseline = playGame({});
+        const stats = playGame({ seasonTeam: 'Hawks', carryOver: { P9: -600 } });
+        assert.strictEqual(stats.seasonTeam, 'Hawks');
+        assert.ok(stats.players.P9.minutes > baseline.players.P9.minutes + 60,
+            `owed player played ${stats.players.P9.minutes}s vs ${baseline.players.P9.minutes}s`);
+    }
+
+    // A player on a half share is booked against that share, not the team average
+    {
+        const stats = playGame({ playerTargets: { P9: 'weight:0.5' } });
+        const ledger = new SeasonLedger(memoryStorage());
+        ledger.recordGame('basketball', 'Hawks', stats);
+
+        const carryOver = ledger.getCarryOver('basketball', 'Hawks', names(9));
+        assert.ok(stats.players.P9.minutes < stats.averageMinutes * 0.75, 'the half share is played');
+        assert.ok(Math.abs(carryOver.P9) < 120, `half-share player carries ${carryOver.P9}s`);
+        assert.ok(Math.abs(Object.values(carryOver).reduce((sum, seconds) => sum + seconds, 0)) < 10);
+    }
+
+    // Names are escaped in the report
+    {
+        const html = renderEquityReport([{ name: '<b>Jo</b>', games: 1, played: 600, fairShare: 600, equity: 0 }]);
+        assert.ok(html.includes('&lt;b&gt;Jo&lt;/b&gt;') && !html.includes('<b>'));
+    }
+} finally {
+    console.log = quietLog;
+}
+
+console.log('✅ Season ledger tests passed.');
@@ -0,0 +1,553 @@
+/**
+ * Headless season simulator for the rotation algorithms
+ *
+ * Plays thousands of randomized games through a sport's game engine and
+ * interval optimizer with no browser, then reports distributions of final
+ * variance, max deviation, stint lengths and rule violations.
+ *
+ * Usage:
+ *   node tests/season-simulator.js --sport basketball --games 2000 --seed 42
+ *   node tests/season-simulator.js --sport soccer --format csv --out soccer.csv
+ *
+ * Options:
+ *   --sport   basketball | soccer | afl | oztag (default basketball)
+ *   --games   Number of games to play (default 100)
+ *   --seed    Seed for the random scenarios - same seed, same season (default 1)
+ *   --format  json (summary + per-game results) | csv (per-game results) (default json)
+ *   --out     Write the report to a file instead of stdout
+ *
+ * Each game randomizes roster size, period format, injuries, late arrivals,
+ * foul-outs (basketball) and missed or late rotation confirmations.
+ */
+
+const fs = require('fs');
+
+// Provide minimal browser globals expected by the engines
+global.window = global.window || {};
+
+// Engines and optimizers log every decision - keep stdout for the report
+const consoleMethods = { log: console.log, warn: console.warn, error: console.error };
+const silenceConsole = () => {
+    console.log = console.warn = console.error = () => {};
+};
+const restoreConsole = () => Object.assign(console, consoleMethods);
+
+silenceConsole();
+require('../config/game-defaults.js');
+window.BaseIntervalOptimizer = require('../base-interval-optimizer.js');
+window.BasketballIntervalOptimizer = require('../basketball-interval-optimizer.js');
+window.OztagIntervalOptimizer = require('../oztag-interval-optimizer.js');
+const BasketballGameEngine = require('../basketball-game-engine.js');
+const OztagGameEngine = require('../oztag-game-engine.js');
+const { SoccerGameEngine } = require('../soccer-game-engine.js');
+const { AFLGameEngine } = require('../afl-game-engine.js');
+restoreConsole();
+
+const MAX_GAME_SECONDS = 4 * 60 * 60;
+
+// ============================================================================
+// RANDOMNESS
+// ============================================================================
+
+/**
+ * Seeded PRNG (mulberry32) so a season can be replayed exactly
+ */
+function createRandom(seed) {
+    let a = seed >>> 0;
+    const next = () => {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+
+    return {
+        next,
+        int: (min, max) => min + Math.floor(next() * (max - min + 1)),
+        chance: probability => next() < probability,
+        pick: list => list[Math.floor(next() * list.length)]
+    };
+}
+
+const buildRoster = size => Array.from({ length: size }, (_, i) => `Player ${i + 1}`);
+
+// ============================================================================
+// SPORT ADAPTERS
+// ============================================================================
+
+/**
+ * Shared hooks for the engines built on BaseGameEngine
+ */
+const baseEngineAdapter = {
+    field: engine => engine.onField,
+    bench: engine => engine.players.bench,
+    removed: engine => engine.players.removed,
+    optimizer: engine => engine.enforcer,
+    finalVariance: engine => engine.calculateFinalStats().variance,
+    // Out for good - auto-subs the freshest bench player when on the field
+    playerOut: (engine, player) => engine.playerOutOfGame(player, 'out (simulated)'),
+    playerReturns: (engine, player) => engine.returnPlayer(player),
+    confirm: engine => engine.confirmRotation() !== false,
+    cancel: engine => engine.cancelRotation(),
+    nextPeriod: () => {}
+};
+
+// AFL age groups as the engine plays them (players per side)
+const AFL_AGE_GROUPS = { U9: 9, U10: 11, U11: 13, U12: 15 };
+
+const SPORTS = {
+    basketball: {
+        ...baseEngineAdapter,
+        createScenario: random => ({
+            format: random.pick(['halves', 'quarters']),
+            fieldSpots: 5,
+            rosterSize: random.int(6, 12)
+        }),
+        createEngine(scenario) {
+            const roster = buildRoster(scenario.rosterSize);
+            const quarters = scenario.format === 'quarters';
+            const engine = new BasketballGameEngine();
+            engine.initialize({
+                format: scenario.format,
+                minutesPerPeriod: quarters ? scenario.random.pick([8, 10, 12]) : scenario.random.pick([16, 20]),
+                starterNames: roster.slice(0, 5),
+                reserveNames: roster.slice(5),
+                numReserves: roster.length - 5,
+                enableWarningSound: false
+            });
+            return engine;
+        },
+        foulOut: (engine, player) => engine.playerFouledOut(player)
+    },
+
+    soccer: {
+        ...baseEngineAdapter,
+        createScenario(random) {
+            const fieldSpots = random.pick([7, 9, 11]);
+            return {
+                format: `${fieldSpots}v${fieldSpots}`,
+                fieldSpots,
+                rosterSize: fieldSpots + random.int(1, 5)
+            };
+        },
+        createEngine(scenario) {
+            const roster = buildRoster(scenario.rosterSize);
+            const engine = new SoccerGameEngine();
+            engine.initialize({
+                minutesPerPeriod: scenario.random.pick([20, 25, 30, 45]),
+                numOnField: scenario.fieldSpots,
+                numReserves: roster.length - scenario.fieldSpots,
+                starterNames: roster.slice(0, scenario.fieldSpots),
+                reserveNames: roster.slice(scenario.fieldSpots),
+                enableWarningSound: false
+            });
+            return engine;
+        }
+    },
+
+    afl: {
+        ...baseEngineAdapter,
+        createScenario(random) {
+            const ageGroup = random.pick(Object.keys(AFL_AGE_GROUPS));
+            const fieldSpots = AFL_AGE_GROUPS[ageGroup];
+            return {
+                format: ageGroup,
+                fieldSpots,
+                rosterSize: fieldSpots + random.int(1, 6)
+            };
+        },
+        createEngine(scenario) {
+            const roster = buildRoster(scenario.rosterSize);
+            const engine = new AFLGameEngine();
+            engine.initialize({
+                ageGroup: scenario.format,
+                numReserves: roster.length - scenario.fieldSpots,
+                starterNames: roster.slice(0, scenario.fieldSpots),
+                reserveNames: roster.slice(scenario.fieldSpots),
+                enableWarningSound: false
+            });
+            return engine;
+        }
+    },
+
+    oztag: {
+        field: engine => engine.players.field,
+        bench: engine => engine.players.bench,
+        removed: engine => engine.players.removed,
+        optimizer: engine => engine.optimizer,
+        finalVariance: engine => engine.getStats().variance,
+        createScenario(random) {
+            const fieldSpots = random.pick([6, 7, 8]);
+            return {
+                format: `${fieldSpots}-a-side`,
+                fieldSpots,
+                rosterSize: fieldSpots + random.int(1, 6)
+            };
+        },
+        createEngine(scenario) {
+            const engine = new OztagGameEngine();
+            engine.initialize({
+                playerNames: buildRoster(scenario.rosterSize),
+                halfLength: scenario.random.pick([15, 20, 25]) * 60,
+                numHalves: 2,
+                playersOnField: scenario.fieldSpots
+            });
+            return engine;
+        },
+        playerOut: (engine, player) => engine.removePlayer(player).success,
+        playerReturns: (engine, player) => engine.returnPlayer(player).success,
+        confirm: engine => engine.confirmRotation() !== false,
+        cancel: engine => engine.cancelRotation(),
+        // Oztag waits at halftime until the next half is started
+        nextPeriod(engine) {
+            if (engine.state.isHalftime) {
+                engine.startNextPeriod();
+                engine.stop();
+            }
+        }
+    }
+};
+
+// ============================================================================
+// GAME SIMULATION
+// ============================================================================
+
+/**
+ * Roll the random events for one game
+ */
+function createScenario(sport, random) {
+    const adapter = SPORTS[sport];
+    const scenario = { ...adapter.createScenario(random), random };
+    const benchSize = scenario.rosterSize - scenario.fieldSpots;
+
+    scenario.injuries = random.chance(0.3) ? random.int(1, 2) : 0;
+    scenario.lateArrivals = benchSize > 1 && random.chance(0.25) ? random.int(1, Math.min(2, benchSize - 1)) : 0;
+    scenario.foulOuts = adapter.foulOut && random.chance(0.3) ? random.int(1, 2) : 0;
+    scenario.missedConfirmationRate = random.pick([0, 0, 0.1, 0.25]);
+
+    return scenario;
+}
+
+/**
+ * Track stints and rule violations second by second
+ */
+function createGameMonitor(adapter, engine, fieldSpots) {
+    const monitor = {
+        stints: [],
+        stintStart: {},
+        violations: {},
+        active: {}
+    };
+
+    monitor.record = type => {
+        monitor.violations[type] = (monitor.violations[type] || 0) + 1;
+    };
+
+    const flag = (type, active) => {
+        // Count each breach once, not once per second it persists
+        if (active && !monitor.active[type]) {
+            monitor.record(type);
+        }
+        monitor.active[type] = active;
+    };
+
+    monitor.observe = time => {
+        const field = adapter.field(engine);
+        const bench = adapter.bench(engine);
+        const removed = adapter.removed(engine);
+        const expected = Math.min(fieldSpots, field.length + bench.length);
+
+        flag('field_size', field.length !== expected);
+        flag('removed_on_field', field.some(p => removed.has(p)));
+        flag('player_on_field_and_bench', field.some(p => bench.includes(p)));
+
+        field.forEach(player => {
+            if (monitor.stintStart[player] === undefined) monitor.stintStart[player] = time;
+        });
+
+        Object.keys(monitor.stintStart).forEach(player => {
+            if (!field.includes(player)) {
+                monitor.stints.push(time - monitor.stintStart[player]);
+                delete monitor.stintStart[player];
+            }
+        });
+    };
+
+    monitor.close = time => {
+        Object.values(monitor.stintStart).forEach(start => monitor.stints.push(time - start));
+        monitor.stintStart = {};
+    };
+
+    return monitor;
+}
+
+/**
+ * Play one randomized game and return its metrics
+ * @param {string} sport - Key of SPORTS
+ * @param {Object} random - Seeded random source from createRandom
+ * @returns {Object} Per-game row
+ */
+function simulateGame(sport, random) {
+    const adapter = SPORTS[sport];
+    const scenario = createScenario(sport, random);
+    const engine = adapter.createEngine(scenario);
+    const monitor = createGameMonitor(adapter, engine, scenario.fieldSpots);
+
+    engine.callbacks.onError = () => monitor.record('engine_error');
+
+    const gameLength = engine.config.periodLength * engine.config.numPeriods;
+    const optimizer = adapter.optimizer(engine);
+    // Hard limits from the optimizer profile (soft targets like the adaptive gap can flex)
+    const lockout = optimizer ? optimizer.finalNoSubWindow : 0;
+    const gapFloor = optimizer ? optimizer.profile.GAP_FLOOR : 0;
+
+    // Schedule the game's events up front
+    const events = [];
+    // Late arrivals start on the sideline and join the bench mid-game
+    adapter.bench(engine).slice(0, scenario.lateArrivals).forEach(player => {
+        adapter.playerOut(engine, player);
+        events.push({ time: random.int(60, Math.floor(gameLength / 2)), type: 'arrival', player });
+    });
+    for (let i = 0; i < scenario.injuries; i++) {
+        events.push({ time: random.int(60, gameLength - 60), type: 'injury' });
+    }
+    for (let i = 0; i < scenario.foulOuts; i++) {
+        events.push({ time: random.int(Math.floor(gameLength / 2), gameLength - 30), type: 'foul_out' });
+    }
+    events.sort((a, b) => a.time - b.time);
+
+    let pending = null;
+    let lastRotation = null;
+    let missedConfirmations = 0;
+    const rotationCount = () => engine.rotations.history.length;
+
+    monitor.observe(0);
+
+    while (!engine.state.gameOver && engine.state.currentTime < MAX_GAME_SECONDS) {
+        adapter.nextPeriod(engine);
+        engine.advanceOneSecond();
+        const time = engine.state.currentTime;
+
+        while (events.length > 0 && events[0].time <= time) {
+            const event = events.shift();
+            if (event.type === 'arrival') {
+                adapter.playerReturns(engine, event.player);
+            } else {
+                const field = adapter.field(engine);
+                const bench = adapter.bench(engine);
+                // Goalkeeper handovers are covered by the engine tests
+                const candidates = field.filter(p => p !== engine.players.goalkeeper);
+                if (candidates.length > 0 && bench.length > 0) {
+                    const player = random.pick(candidates);
+                    if (event.type === 'foul_out') adapter.foulOut(engine, player);
+                    else adapter.playerOut(engine, player);
+                }
+            }
+        }
+
+        if (engine.rotations.pending && !pending) {
+            // Rules are judged on when the engine called the rotation, not when the coach confirmed it
+            pending = { calledAt: time, atBreak: engine.state.periodElapsed === 0, confirmAt: time };
+            if (random.chance(scenario.missedConfirmationRate)) {
+                missedConfirmations++;
+                // Half the misses are confirmed late, the rest never happen
+                pending.confirmAt = random.chance(0.5) ? time + random.int(15, 90) : null;
+            }
+        }
+
+        if (pending && engine.rotations.pending) {
+            if (pending.confirmAt === null) {
+                adapter.cancel(engine);
+                pending = null;
+            } else if (time >= pending.confirmAt) {
+                const count = rotationCount();
+                // A stale rotation (player already gone) is dropped, as a coach would
+                if (!adapter.confirm(engine) && engine.rotations.pending) {
+                    adapter.cancel(engine);
+                }
+
+                if (rotationCount() > count) {
+                    if (gameLength - pending.calledAt < lockout) monitor.record('rotation_in_final_lockout');
+                    // Break rotations are exempt from the gap - the clock is stopped
+                    if (!pending.atBreak && lastRotation !== null && pending.calledAt - lastRotation < gapFloor) {
+                        monitor.record('rotation_gap_below_floor');
+                    }
+                    lastRotation = pending.calledAt;
+                }
+                pending = null;
+            }
+        } else {
+            pending = null;
+        }
+
+        monitor.observe(time);
+    }
+
+    monitor.close(engine.state.currentTime);
+
+    if (!engine.state.gameOver) monitor.record('game_did_not_finish');
+
+    const removed = adapter.removed(engine);
+    const minutes = engine.players.all
+        .filter(p => !removed.has(p))
+        .map(p => engine.players.minutes[p] || 0);
+    const mean = minutes.reduce((sum, m) => sum + m, 0) / (minutes.length || 1);
+    const stintTotal = monitor.stints.reduce((sum, s) => sum + s, 0);
+
+    return {
+        format: scenario.format,
+        rosterSize: scenario.rosterSize,
+        fieldSpots: scenario.fieldSpots,
+        gameLength,
+        injuries: scenario.injuries,
+        lateArrivals: scenario.lateArrivals,
+        foulOuts: scenario.foulOuts,
+        missedConfirmations,
+        rotations: engine.rotations.history.length,
+        variance: adapter.finalVariance(engine),
+        maxDeviation: Math.round(Math.max(0, ...minutes.map(m => Math.abs(m - mean)))),
+        meanStint: monitor.stints.length ? Math.round(stintTotal / monitor.stints.length) : 0,
+        minStint: monitor.stints.length ? Math.min(...monitor.stints) : 0,
+        maxStint: monitor.stints.length ? Math.max(...monitor.stints) : 0,
+        stints: monitor.stints,
+        violations: monitor.violations
+    };
+}
+
+// ============================================================================
+// REPORTING
+// ============================================================================
+
+/**
+ * Summarize a list of numbers
+ */
+function distribution(values) {
+    if (values.length === 0) {
+        return { count: 0 };
+    }
+
+    const sorted = [...values].sort((a, b) => a - b);
+    const percentile = p => sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+    const mean = sorted.reduce((sum, v) => sum + v, 0) / sorted.length;
+
+    return {
+        count: sorted.length,
+        min: sorted[0],
+        mean: Math.round(mean * 10) / 10,
+        p50: percentile(0.5),
+        p90: percentile(0.9),
+        p99: percentile(0.99),
+        max: sorted[sorted.length - 1]
+    };
+}
+
+/**
+ * Play a whole season for one sport
+ * @param {Object} options - { sport, games, seed }
+ * @returns {Object} Report with summary distributions and per-game results
+ */
+function runSeason({ sport = 'basketball', games = 100, seed = 1 } = {}) {
+    if (!SPORTS[sport]) {
+        throw new Error(`Unknown sport "${sport}" - expected one of: ${Object.keys(SPORTS).join(', ')}`);
+    }
+
+    const random = createRandom(seed);
+    const rows = [];
+
+    silenceConsole();
+    try {
+        for (let i = 0; i < games; i++) {
+            rows.push({ game: i + 1, ...simulateGame(sport, random) });
+        }
+    } finally {
+        restoreConsole();
+    }
+
+    const violationsByType = {};
+    rows.forEach(row => {
+        Object.entries(row.violations).forEach(([type, count]) => {
+            violationsByType[type] = (violationsByType[type] || 0) + count;
+        });
+    });
+
+    return {
+        sport,
+        games,
+        seed,
+        summary: {
+            variance: distribution(rows.map(r => r.variance)),
+            maxDeviation: distribution(rows.map(r => r.maxDeviation)),
+            stintLength: distribution(rows.flatMap(r => r.stints)),
+            rotations: distribution(rows.map(r => r.rotations)),
+            violations: {
+                total: Object.values(violationsByType).reduce((sum, c) => sum + c, 0),
+                gamesWithViolations: rows.filter(r => Object.keys(r.violations).length > 0).length,
+                byType: violationsByType
+            }
+        },
+        results: rows.map(({ stints, ...row }) => row)
+    };
+}
+
+const CSV_COLUMNS = [
+    'game', 'format', 'rosterSize', 'fieldSpots', 'gameLength', 'injuries', 'lateArrivals', 'foulOuts',
+    'missedConfirmations', 'rotations', 'variance', 'maxDeviation', 'meanStint', 'minStint', 'maxStint', 'violations'
+];
+
+/**
+ * Per-game rows as CSV (violations flattened to type:count pairs)
+ */
+function toCsv(report) {
+    const lines = [CSV_COLUMNS.join(',')];
+    report.results.forEach(row => {
+        lines.push(CSV_COLUMNS.map(column => {
+            if (column === 'violations') {
+                return Object.entries(row.violations).map(([type, count]) => `${type}:${count}`).join(';');
+            }
+            return row[column];
+        }).join(','));
+    });
+    return lines.join('\n') + '\n';
+}
+
+function parseArgs(argv) {
+    const options = { sport: 'basketball', games: 100, seed: 1, format: 'json', out: null };
+    for (let i = 0; i < argv.length; i++) {
+        const key = argv[i].replace(/^--/, '');
+        if (!(key in options)) {
+            throw new Error(`Unknown option ${argv[i]}`);
+        }
+        options[key] = argv[++i];
+    }
+    options.games = parseInt(options.games, 10);
+    options.seed = parseInt(options.seed, 10);
+    if (!Number.isInteger(options.games) || options.games < 1) {
+        throw new Error('--games must be a positive integer');
+    }
+    if (!['json', 'csv'].includes(options.format)) {
+        throw new Error('--format must be json or csv');
+    }
+    return options;
+}
+
+if (require.main === module) {
+    try {
+        const options = parseArgs(process.argv.slice(2));
+        const report = runSeason(options);
+        const output = options.format === 'csv' ? toCsv(report) : JSON.stringify(report, null, 2) + '\n';
+
+        if (options.out) {
+            fs.writeFileSync(options.out, output);
+            const { variance, violations } = report.summary;
+            console.log(`✅ ${report.games} ${report.sport} games → variance p50:${variance.p50}s p90:${variance.p90}s, violations:${violations.total} (${options.out})`);
+        } else {
+            process.stdout.write(output);
+        }
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    }
+}
+
+module.exports = { runSeason, simulateGame, createRandom, distribution, toCsv, SPORTS };
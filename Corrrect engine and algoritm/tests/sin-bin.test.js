@@ -0,0 +1,192 @@
+const assert = require('assert');
+
+// Provide minimal browser globals expected by the engines
+global.window = global.window || {};
+
+const { AFLGameEngine } = require('../afl-game-engine.js');
+const { SoccerGameEngine } = require('../soccer-game-engine.js');
+window.OztagIntervalOptimizer = require('../oztag-interval-optimizer.js');
+const OztagGameEngine = require('../oztag-game-engine.js');
+
+const quietLog = console.log;
+console.log = () => {};
+const quietWarn = console.warn;
+console.warn = () => {};
+const quietError = console.error;
+console.error = () => {};
+
+const names = count => Array.from({ length: count }, (_, i) => `P${i + 1}`);
+
+function playTo(engine, targetTimeSeconds = Infinity, onTick = () => {}) {
+    while (engine.state.currentTime < targetTimeSeconds && !engine.state.gameOver) {
+        engine.advanceOneSecond();
+        if (engine.rotations.pending) engine.confirmRotation();
+        onTick();
+    }
+}
+
+try {
+    // A sin-binned player is not replaced: the plan runs a spot short until
+    // the time is up, then the player is straight back on
+    {
+        const roster = names(13);
+        const engine = new AFLGameEngine();
+        engine.initialize({
+            ageGroup: 'U9',
+            numReserves: 4,
+            starterNames: roster.slice(0, 9),
+            reserveNames: roster.slice(9),
+            enableWarningSound: false
+        });
+        playTo(engine, 200);
+        const [player] = engine.onField;
+        const benchBefore = engine.players.benchMinutes[player];
+
+        assert.strictEqual(engine.sinBin(player), true);
+        assert.strictEqual(engine.onField.length, 8);
+        assert.strictEqual(engine.fieldSize, 8);
+        assert.strictEqual(engine.enforcer.fieldSpots, 8);
+        assert.ok(!engine.players.bench.includes(player));
+        assert.ok(engine.rotations.plan.every(rotation => rotation.off.length === rotation.on.length));
+        assert.ok(engine.rotations.plan.every(rotation => !rotation.on.includes(player)), 'no rotation brings the player on early');
+
+        playTo(engine, 799, () => assert.strictEqual(engine.onField.length, 8));
+        playTo(engine, 800);
+        assert.ok(engine.onField.includes(player), 'back on when the time is up');
+        assert.strictEqual(engine.onField.length, 9);
+        assert.strictEqual(engine.enforcer.fieldSpots, 9);
+        assert.strictEqual(engine.players.sinBinMinutes[player], 600);
+        assert.strictEqual(engine.players.benchMinutes[player], benchBefore, 'sin-bin time is not bench time');
+        assert.deepStrictEqual(
+            engine.getEventLog().filter(event => event.type.startsWith('sin_bin')).map(event => [event.type, event.time]),
+            [['sin_bin', 200], ['sin_bin_return', 800]]
+        );
+
+        playTo(engine);
+        assert.strictEqual(engine.calculateFinalStats().players[player].sinBinMinutes, 600);
+    }
+
+    // Time missed while the page was hidden counts as sin-bin time up to the
+    // return, then the player is back on
+    {
+        const roster = names(13);
+        const engine = new AFLGameEngine();
+        engine.initialize({
+            ageGroup: 'U9',
+            numReserves: 4,
+            starterNames: roster.slice(0, 9),
+            reserveNames: roster.slice(9),
+            enableWarningSound: false
+        });
+        playTo(engine, 200);
+        const [player] = engine.onField;
+        const minutesBefore = engine.players.minutes[player];
+        engine.sinBin(player, { duration: 120 });
+
+        engine.applyMissedTime(150);
+        assert.strictEqual(engine.players.sinBinMinutes[player], 120);
+        assert.strictEqual(engine.players.minutes[player], minutesBefore + 30);
+        assert.ok(engine.onField.includes(player));
+        assert.strictEqual(engine.fieldSize, 9);
+    }
+
+    // A red card is a removal and the spot is gone for the rest of the game;
+    // a keeper sent off hands the gloves to a player on the field
+    {
+        const engine = new SoccerGameEngine();
+        engine.initialize({
+            minutesPerPeriod: 20,
+            numOnField: 7,
+            numReserves: 3,
+            starterNames: names(7),
+            reserveNames: ['P8', 'P9', 'P10'],
+            enableWarningSound: false
+        });
+        const errors = [];
+        engine.callbacks.onError = message => errors.push(message);
+        playTo(engine, 300);
+        const keeper = engine.players.goalkeeper;
+        const [, newKeeper] = engine.players.field;
+
+        assert.strictEqual(engine.sinBin(keeper, { duration: null }), false);
+        assert.deepStrictEqual(errors, [`${keeper} is in goal - name a player on field to take over`]);
+        assert.strictEqual(engine.sinBin(engine.players.bench[0]), false);
+
+        assert.strictEqual(engine.sinBin(keeper, { duration: null, keeper: newKeeper }), true);
+        assert.strictEqual(engine.players.goalkeeper, newKeeper);
+        assert.ok(engine.players.removed.has(keeper));
+        const removal = engine.getEventLog().find(event => event.type === 'removed');
+        assert.deepStrictEqual([removal.player, removal.reason], [keeper, 'red card']);
+
+        const restored = new SoccerGameEngine();
+        assert.strictEqual(restored.restoreFromSnapshot(JSON.parse(JSON.stringify(engine.getSnapshot()))), true);
+        assert.strictEqual(restored.fieldSize, 6);
+        assert.strictEqual(restored.enforcer.fieldSpots, 6);
+
+        playTo(restored, Infinity, () => assert.strictEqual(restored.players.field.length, 6));
+        assert.ok(restored.getEventLog().some(event => event.type === 'substitution' && event.time > 300), 'rotations carry on a player short');
+
+        // The sent-off player keeps their line in the final stats, flagged and out of the balance figures
+        const stats = restored.calculateFinalStats();
+        assert.deepStrictEqual([stats.players[keeper].removed, stats.players[keeper].minutes], [true, 300]);
+        const active = Object.values(stats.players).filter(player => !player.removed);
+        assert.strictEqual(stats.averageMinutes, active.reduce((sum, player) => sum + player.minutes, 0) / active.length);
+    }
+
+    // A send-off given in error is taken back: the player is back on, in goal
+    // if they were the keeper, and the team is back to full strength
+    {
+        const engine = new SoccerGameEngine();
+        engine.initialize({
+            minutesPerPeriod: 20,
+            numOnField: 7,
+            numReserves: 3,
+            starterNames: names(7),
+            reserveNames: ['P8', 'P9', 'P10'],
+            enableWarningSound: false
+        });
+        playTo(engine, 300);
+        const keeper = engine.players.goalkeeper;
+        const [, newKeeper] = engine.players.field;
+        engine.recordPlayerStat(keeper, 'redCards');
+        engine.sinBin(keeper, { duration: null, keeper: newKeeper });
+
+        engine.addPlayerStat(keeper, 'redCards', -1);
+        assert.strictEqual(engine.endSinBin(keeper), true);
+        assert.ok(engine.players.field.includes(keeper));
+        assert.ok(!engine.players.removed.has(keeper));
+        assert.strictEqual(engine.players.goalkeeper, keeper);
+        assert.strictEqual(engine.fieldSize, 7);
+        assert.strictEqual(engine.enforcer.fieldSpots, 7);
+        assert.strictEqual(engine.getEventLog().pop().type, 'returned');
+
+        playTo(engine, Infinity, () => assert.strictEqual(engine.players.field.length, 7));
+        assert.ok(!engine.calculateFinalStats().players[keeper].removed);
+    }
+
+    // Oztag picks its rotations from the lineup, so they follow the smaller field
+    {
+        const engine = new OztagGameEngine();
+        engine.initialize({
+            playerNames: names(11),
+            playersOnField: 8,
+            halfLength: 1200
+        });
+        playTo(engine, 100);
+        const [player] = engine.players.field;
+
+        assert.strictEqual(engine.sinBin(player), true);
+        playTo(engine, 399, () => assert.strictEqual(engine.players.field.length, 7));
+        playTo(engine, 400);
+        assert.strictEqual(engine.players.field.length, 8);
+        assert.ok(engine.players.field.includes(player));
+        assert.strictEqual(engine.players.stintStart[player], 400);
+        assert.strictEqual(engine.getStats().players[player].sinBinMinutes, 300);
+    }
+} finally {
+    console.log = quietLog;
+    console.warn = quietWarn;
+    console.error = quietError;
+}
+
+console.log('✅ Sin bin tests passed.');
@@ -0,0 +1,118 @@
+const assert = require('assert');
+
+// Provide minimal browser globals expected by the engines
+global.window = global.window || {};
+
+require('../config/game-defaults.js');
+const { SoccerGameEngine } = require('../soccer-game-engine.js');
+
+const quietLog = console.log;
+console.log = () => {};
+const quietWarn = console.warn;
+console.warn = () => {};
+const quietError = console.error;
+console.error = () => {};
+
+const names = count => Array.from({ length: count }, (_, i) => `P${i + 1}`);
+
+function playTo(engine, targetTimeSeconds = Infinity) {
+    while (engine.state.currentTime < targetTimeSeconds && !engine.state.gameOver) {
+        engine.advanceOneSecond();
+        if (engine.rotations.pending) {
+            engine.confirmRotation();
+        }
+    }
+}
+
+function createEngine() {
+    const engine = new SoccerGameEngine();
+    engine.initialize({
+        minutesPerPeriod: 20,
+        numOnField: 7,
+        numReserves: 3,
+        starterNames: names(7),
+        reserveNames: ['P8', 'P9', 'P10'],
+        enableWarningSound: false
+    });
+    const errors = [];
+    engine.callbacks.onError = message => errors.push(message);
+    return { engine, errors };
+}
+
+try {
+    // Stats go to players on the field; goals are shots on target and
+    // opposition goals count against the keeper in goal
+    {
+        const { engine, errors } = createEngine();
+        playTo(engine, 120);
+        const keeper = engine.players.goalkeeper;
+        const [striker, winger] = engine.players.field.filter(player => player !== keeper);
+        const benched = engine.players.bench[0];
+
+        engine.updatePlayerScore(striker, 1);
+        engine.recordPlayerStat(winger, 'assists');
+        engine.recordPlayerStat(striker, 'shotsOn');
+        engine.recordPlayerStat(striker, 'shotsOff');
+        engine.recordPlayerStat(keeper, 'saves');
+        engine.recordPlayerStat(keeper, 'saves');
+        engine.updateOppositionScore(1);
+
+        assert.strictEqual(engine.recordPlayerStat(benched, 'assists'), false, 'bench players are not on the field');
+        assert.deepStrictEqual(errors, [`${benched} is not on the field`]);
+        assert.strictEqual(engine.recordPlayerStat(striker, 'tackles'), false);
+
+        const stats = engine.getScoringStats().playerStats;
+        assert.deepStrictEqual(stats[striker], { shotsOn: 2, shotsOff: 1 });
+        assert.deepStrictEqual(stats[winger], { assists: 1 });
+        assert.deepStrictEqual(stats[keeper], { saves: 2, goalsConceded: 1 });
+
+        const stat = engine.getEventLog().filter(event => event.type === 'stat');
+        assert.deepStrictEqual(stat.map(event => event.stat),
+            ['shotsOn', 'assists', 'shotsOn', 'shotsOff', 'saves', 'saves', 'goalsConceded']);
+
+        // Corrections take the count back, never below zero
+        engine.updatePlayerScore(striker, -1);
+        engine.addPlayerStat(winger, 'assists', -1);
+        engine.addPlayerStat(winger, 'assists', -1);
+        assert.deepStrictEqual(engine.scoring.playerStats[striker], { shotsOn: 1, shotsOff: 1 });
+        assert.strictEqual(engine.scoring.playerStats[winger].assists, 0);
+    }
+
+    // A second yellow card is a red; taking it back takes the red too
+    {
+        const { engine } = createEngine();
+        playTo(engine, 60);
+        const player = engine.players.field[3];
+
+        engine.recordPlayerStat(player, 'yellowCards');
+        assert.strictEqual(engine.scoring.playerStats[player].redCards, undefined);
+        engine.recordPlayerStat(player, 'yellowCards');
+        assert.deepStrictEqual(engine.scoring.playerStats[player], { yellowCards: 2, redCards: 1 });
+        engine.addPlayerStat(player, 'yellowCards', -1);
+        assert.deepStrictEqual(engine.scoring.playerStats[player], { yellowCards: 1, redCards: 0 });
+    }
+
+    // Stats reach the final stats only for players who have them, and survive a snapshot
+    {
+        const { engine } = createEngine();
+        playTo(engine, 60);
+        const [, player] = engine.players.field;
+        const quiet = engine.players.bench[0];
+        engine.recordPlayerStat(player, 'shotsOff');
+
+        const restored = new SoccerGameEngine();
+        assert.strictEqual(restored.restoreFromSnapshot(JSON.parse(JSON.stringify(engine.getSnapshot()))), true);
+        assert.deepStrictEqual(restored.scoring.playerStats, engine.scoring.playerStats);
+
+        playTo(restored);
+        const players = restored.getStats().players;
+        assert.strictEqual(players[player].shotsOff, 1);
+        assert.ok(!('shotsOff' in players[quiet]));
+    }
+} finally {
+    console.log = quietLog;
+    console.warn = quietWarn;
+    console.error = quietError;
+}
+
+console.log('✅ Soccer player stats tests passed.');
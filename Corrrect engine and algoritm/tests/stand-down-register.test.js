@@ -0,0 +1,118 @@
+const assert = require('assert');
+
+// Provide minimal browser globals expected by the engine
+global.window = global.window || {};
+
+require('../config/game-defaults.js');
+const { StandDownRegister } = require('../utils/stand-down-register.js');
+window.BasketballIntervalOptimizer = require('../basketball-interval-optimizer.js');
+const BasketballGameEngine = require('../basketball-game-engine.js');
+
+const quietLog = console.log;
+console.log = () => {};
+
+function memoryStorage() {
+    const items = {};
+    return {
+        getItem: key => (key in items ? items[key] : null),
+        setItem: (key, value) => { items[key] = String(value); }
+    };
+}
+
+const names = count => Array.from({ length: count }, (_, i) => `P${i + 1}`);
+
+function createEngine() {
+    const engine = new BasketballGameEngine();
+    engine.initialize({
+        starterNames: names(5),
+        reserveNames: ['P6', 'P7', 'P8', 'P9'],
+        numReserves: 4,
+        minutesPerPeriod: 10,
+        enableWarningSound: false
+    });
+    return engine;
+}
+
+function playTo(engine, targetTimeSeconds = Infinity) {
+    while (engine.state.currentTime < targetTimeSeconds && !engine.state.gameOver) {
+        engine.advanceOneSecond();
+        if (engine.rotations.pending) engine.confirmRotation();
+    }
+}
+
+try {
+    // Every removal carries its reason into the event log
+    const engine = createEngine();
+    playTo(engine, 200);
+    const [concussed, injured] = engine.players.court;
+    const [benchA, benchB] = engine.players.bench;
+    engine.emergencySubstitution(concussed, benchA, true, { reason: 'concussion' });
+    engine.emergencySubstitution(injured, benchB, true);
+    engine.playerOutOfGame(engine.players.court[2], 'illness');
+    playTo(engine);
+
+    const removals = engine.getEventLog().filter(event => event.type === 'removed');
+    assert.deepStrictEqual(removals.map(event => event.reason), ['concussion', 'injury', 'illness']);
+
+    // Only the concussion stands the player down
+    const storage = memoryStorage();
+    const register = new StandDownRegister(storage);
+    const booked = register.recordGame('basketball', engine.calculateFinalStats(), { team: 'Hawks', date: '2026-05-02' });
+    assert.strictEqual(booked.length, 1);
+    assert.strictEqual(booked[0].player, concussed);
+    assert.strictEqual(booked[0].returnDate, '2026-05-23', '21 days for a concussion');
+
+    // The stand-down follows the player across sports and blocks later matches until the return date
+    const reloaded = new StandDownRegister(storage);
+    assert.ok(reloaded.getActive(concussed.toLowerCase(), '2026-05-09'));
+    assert.ok(reloaded.checkRoster(names(9), '2026-05-22').includes(concussed));
+    assert.strictEqual(reloaded.checkRoster(names(9), '2026-05-23'), null);
+    assert.strictEqual(reloaded.checkRoster([injured], '2026-05-09'), null);
+
+    // Clearing early needs who cleared the player and the clearance document
+    assert.strictEqual(reloaded.clear(concussed, { by: 'Dr Lee', date: '2026-05-16' }), null);
+    assert.ok(reloaded.getActive(concussed, '2026-05-16'));
+    const cleared = reloaded.clear(concussed, { by: 'Dr Lee', note: 'Medical clearance letter 16/5', date: '2026-05-16' });
+    assert.deepStrictEqual(cleared.clearance, { by: 'Dr Lee', note: 'Medical clearance letter 16/5', date: '2026-05-16' });
+    assert.strictEqual(reloaded.checkRoster(names(9), '2026-05-16'), null);
+
+    // A remote copy without the clearance never undoes it
+    const remote = new StandDownRegister(memoryStorage());
+    remote.mergeRemote([{ ...booked[0] }]);
+    remote.mergeRemote(reloaded.data.records);
+    assert.strictEqual(remote.getActive(concussed, '2026-05-16'), null);
+    reloaded.mergeRemote([{ ...booked[0], clearance: null }]);
+    assert.strictEqual(reloaded.getActive(concussed, '2026-05-16'), null);
+
+    // A failed head-injury assessment is booked as a concussion
+    {
+        const hia = createEngine();
+        playTo(hia, 100);
+        const [player] = hia.players.court;
+        hia.temporaryReplacement(player, hia.players.bench[0], { reason: 'hia' });
+        hia.endTemporaryReplacement(player, { cleared: false });
+        const standDowns = new StandDownRegister(memoryStorage())
+            .recordGame('basketball', { events: hia.getEventLog() }, { date: '2026-06-01' });
+        assert.deepStrictEqual(standDowns.map(record => [record.player, record.reason]), [[player, 'concussion']]);
+    }
+
+    // The removal is booked when it is logged, so a game that never reaches
+    // full time still stands the player down, and full time does not book it twice
+    {
+        const live = createEngine();
+        const standDowns = new StandDownRegister(memoryStorage());
+        live.callbacks.onEvent = event => standDowns.recordEvent('basketball', event, { date: '2026-06-01' });
+        playTo(live, 100);
+        const [player] = live.players.court;
+        live.emergencySubstitution(player, live.players.bench[0], true, { reason: 'concussion' });
+        assert.ok(standDowns.getActive(player, '2026-06-08'));
+
+        playTo(live);
+        assert.deepStrictEqual(standDowns.recordGame('basketball', live.calculateFinalStats(), { date: '2026-06-01' }), []);
+        assert.strictEqual(standDowns.data.records.length, 1);
+    }
+} finally {
+    console.log = quietLog;
+}
+
+console.log('✅ Stand-down register tests passed.');
@@ -0,0 +1,153 @@
+const assert = require('assert');
+
+// Provide minimal browser globals expected by the engines
+global.window = global.window || {};
+
+window.BasketballIntervalOptimizer = require('../basketball-interval-optimizer.js');
+const BasketballGameEngine = require('../basketball-game-engine.js');
+const { SoccerGameEngine } = require('../soccer-game-engine.js');
+const { AFLGameEngine } = require('../afl-game-engine.js');
+
+const quietLog = console.log;
+console.log = () => {};
+
+/**
+ * Run the clock with a whistle every `stoppageEvery` seconds of live play;
+ * a rotation made at a stoppage is confirmed straight away
+ */
+function playWithStoppages(engine, targetTimeSeconds, stoppageEvery) {
+    while (engine.state.currentTime < targetTimeSeconds && !engine.state.gameOver) {
+        engine.advanceOneSecond();
+        if (engine.state.currentTime % stoppageEvery === 0) {
+            engine.stop();
+        }
+        if (engine.rotations.pending) {
+            engine.confirmRotation();
+        }
+    }
+}
+
+const setup = (overrides = {}) => ({
+    format: 'halves',
+    minutesPerPeriod: 10,
+    starterNames: ['A', 'B', 'C', 'D', 'E'],
+    reserveNames: ['F', 'G', 'H'],
+    enableWarningSound: false,
+    ...overrides
+});
+
+try {
+    // Rotations are scheduled ahead of the expected wait for a stoppage
+    {
+        const continuous = new BasketballGameEngine();
+        continuous.initialize(setup());
+        const engine = new BasketballGameEngine();
+        engine.initialize(setup({ stopClock: true }));
+
+        assert.strictEqual(engine.enforcer.expectedSubDelay, 20);
+        assert.strictEqual(engine.rotations.plan[0].time, continuous.rotations.plan[0].time - 20);
+        assert.deepStrictEqual(engine.rotations.plan[0].off, continuous.rotations.plan[0].off);
+    }
+
+    // A rotation due while the ball is live waits for the whistle, then the rest is replanned
+    {
+        const engine = new BasketballGameEngine();
+        engine.initialize(setup({ stopClock: true }));
+        const first = engine.rotations.plan[0];
+
+        while (engine.state.currentTime < first.time + 25) engine.advanceOneSecond();
+        assert.strictEqual(engine.rotations.pending, false, 'no sub while the ball is live');
+        assert.strictEqual(engine.getState().rotations.queued, true);
+
+        engine.stop();
+        assert.strictEqual(engine.rotations.pending, true, 'made at the stoppage');
+        engine.confirmRotation();
+
+        const sub = engine.getEventLog().find(e => e.type === 'substitution');
+        assert.deepStrictEqual([sub.reason, sub.time, sub.plannedTime], ['stoppage', first.time + 25, first.time]);
+        assert.strictEqual(engine.enforcer.expectedSubDelay, 25, 'optimizer learns the wait');
+        assert.ok(engine.rotations.nextScheduled.time > engine.state.currentTime, 'replanned from the stoppage');
+
+        const restored = new BasketballGameEngine();
+        restored.restoreFromSnapshot(JSON.parse(JSON.stringify(engine.getSnapshot())));
+        assert.strictEqual(restored.enforcer.expectedSubDelay, 25);
+        assert.deepStrictEqual(restored.rotations.stoppageDelays, [25]);
+    }
+
+    // A full game of whistles only subs at stoppages and stays close to continuous balance
+    {
+        const spread = engine => {
+            const minutes = Object.values(engine.players.minutes);
+            return Math.max(...minutes) - Math.min(...minutes);
+        };
+        const continuous = new BasketballGameEngine();
+        continuous.initialize(setup());
+        playWithStoppages(continuous, 1200, Infinity);
+
+        const engine = new BasketballGameEngine();
+        engine.initialize(setup({ stopClock: true }));
+        playWithStoppages(engine, 1200, 30);
+
+        assert.strictEqual(engine.state.gameOver, true);
+        const subs = engine.getEventLog().filter(e => e.type === 'substitution');
+        assert.ok(subs.length > 0);
+        assert.ok(subs.every(e => e.time % 30 === 0), 'every sub at a whistle or period end');
+        assert.ok(spread(engine) <= spread(continuous) + 60, `balanced (${spread(engine)} vs ${spread(continuous)})`);
+    }
+
+    // Soccer queues the same way
+    {
+        const engine = new SoccerGameEngine();
+        engine.initialize({
+            minutesPerPeriod: 20,
+            numOnField: 7,
+            numReserves: 3,
+            starterNames: ['GK', 'B', 'C', 'D', 'E', 'F', 'G'],
+            reserveNames: ['H', 'I', 'J'],
+            stopClock: true,
+            enableWarningSound: false
+        });
+        const first = engine.rotations.plan[0];
+        while (engine.state.currentTime < first.time + 5) engine.advanceOneSecond();
+        assert.strictEqual(engine.isRotationQueued(), true);
+        engine.stop();
+        assert.deepStrictEqual(engine.rotations.pendingOff, first.off);
+    }
+
+    // Continuous clock is unchanged: the rotation starts when due
+    {
+        const engine = new BasketballGameEngine();
+        engine.initialize(setup());
+        const first = engine.rotations.plan[0];
+        while (engine.state.currentTime < first.time) engine.advanceOneSecond();
+        assert.strictEqual(engine.rotations.pending, true);
+        assert.strictEqual(engine.isRotationQueued(), false);
+    }
+
+    // A cancelled rotation is replanned from the new plan's first rotation
+    {
+        const roster = Array.from({ length: 13 }, (_, i) => `P${i + 1}`);
+        const engine = new AFLGameEngine();
+        engine.initialize({
+            ageGroup: 'U9',
+            numReserves: 4,
+            starterNames: roster.slice(0, 9),
+            reserveNames: roster.slice(9),
+            enableWarningSound: false
+        });
+        while (!engine.rotations.pending) engine.advanceOneSecond();
+
+        assert.strictEqual(engine.cancelRotation(), true);
+        const next = engine.rotations.plan[0];
+        assert.strictEqual(engine.rotations.currentPlanIndex, 0);
+        assert.strictEqual(engine.rotations.nextScheduled, next);
+
+        while (engine.state.currentTime < next.time) engine.advanceOneSecond();
+        assert.strictEqual(engine.rotations.pending, true, 'the first rotation of the new plan still happens');
+        assert.deepStrictEqual(engine.rotations.pendingOff, next.off);
+    }
+} finally {
+    console.log = quietLog;
+}
+
+console.log('✅ Stop-clock tests passed.');
@@ -0,0 +1,186 @@
+const assert = require('assert');
+
+// Provide minimal browser globals expected by the engines
+global.window = global.window || {};
+
+const { AFLGameEngine } = require('../afl-game-engine.js');
+window.OztagIntervalOptimizer = require('../oztag-interval-optimizer.js');
+const OztagGameEngine = require('../oztag-game-engine.js');
+
+const quietLog = console.log;
+console.log = () => {};
+const quietError = console.error;
+console.error = () => {};
+
+const names = count => Array.from({ length: count }, (_, i) => `P${i + 1}`);
+
+function createEngine(overrides = {}) {
+    const roster = names(13);
+    const engine = new AFLGameEngine();
+    engine.initialize({
+        ageGroup: 'U9',
+        numReserves: 4,
+        starterNames: roster.slice(0, 9),
+        reserveNames: roster.slice(9),
+        enableWarningSound: false,
+        ...overrides
+    });
+    const errors = [];
+    engine.callbacks.onError = message => errors.push(message);
+    return { engine, errors };
+}
+
+function playTo(engine, targetTimeSeconds = Infinity) {
+    while (engine.state.currentTime < targetTimeSeconds && !engine.state.gameOver) {
+        engine.advanceOneSecond();
+        if (engine.rotations.pending) engine.confirmRotation();
+    }
+}
+
+try {
+    // A blood-rule replacement is free, the plan brings the player back on
+    // for their replacement, and the time off is medical time
+    {
+        const { engine, errors } = createEngine({ interchangeCap: 20 });
+        playTo(engine, 100);
+        const used = engine.rotations.interchanges.total;
+        const [player] = engine.onField;
+        const replacement = engine.players.bench[0];
+
+        assert.strictEqual(engine.temporaryReplacement(player, replacement, { reason: 'blood' }), true);
+        assert.ok(engine.onField.includes(replacement));
+        assert.ok(!engine.players.bench.includes(player), 'not on the bench while off');
+        assert.strictEqual(engine.rotations.interchanges.total, used, 'no interchange counted');
+
+        const back = engine.rotations.plan.find(rotation => rotation.on.includes(player));
+        assert.ok(back && back.medical, 'return is planned');
+        assert.strictEqual(back.time, 400);
+        assert.deepStrictEqual(back.off, [replacement]);
+
+        const benchBefore = engine.players.benchMinutes[player];
+        playTo(engine, 400);
+        assert.ok(engine.onField.includes(player), 'back on when the time is up');
+        assert.ok(!engine.onField.includes(replacement));
+        assert.strictEqual(engine.players.medicalMinutes[player], 300);
+        assert.strictEqual(engine.players.benchMinutes[player], benchBefore);
+        assert.ok(!engine.players.medical[player], 'an ordinary player again');
+
+        const history = engine.rotations.history;
+        const freeChanges = history.filter(rotation => rotation.time === 100 || rotation.time === 400)
+            .reduce((sum, rotation) => sum + rotation.on.length, 0);
+        const counted = engine.rotations.interchanges.total - used;
+        const planned = history.filter(rotation => rotation.time > 100 && rotation.time < 400
+            && rotation.time % engine.config.periodLength !== 0)
+            .reduce((sum, rotation) => sum + rotation.on.length, 0);
+        assert.strictEqual(freeChanges, 2);
+        assert.strictEqual(counted, planned, 'neither change counted against the cap');
+
+        playTo(engine);
+        assert.deepStrictEqual(errors, []);
+        assert.strictEqual(engine.calculateFinalStats().players[player].medicalMinutes, 300);
+    }
+
+    // An HIA player who is not cleared is out of the game; one cleared early
+    // comes back at the next check
+    {
+        const { engine, errors } = createEngine();
+        playTo(engine, 60);
+        const [first, second] = engine.onField;
+        const [benchA, benchB] = engine.players.bench;
+
+        engine.temporaryReplacement(first, benchA, { reason: 'hia' });
+        engine.temporaryReplacement(second, benchB, { reason: 'hia' });
+        assert.strictEqual(engine.players.medical[first].returnAt, 60 + 720);
+
+        engine.endTemporaryReplacement(first, { cleared: false });
+        assert.ok(engine.players.removed.has(first));
+        assert.ok(engine.rotations.plan.every(rotation => !rotation.on.includes(first)));
+
+        playTo(engine, 120);
+        engine.endTemporaryReplacement(second);
+        assert.ok(engine.players.bench.includes(second));
+        playTo(engine, 120 + engine.enforcer.checkInterval);
+        assert.ok(engine.onField.includes(second), 'cleared player comes straight back');
+        assert.deepStrictEqual(errors, []);
+    }
+
+    // A player off for a temporary replacement survives a snapshot round trip
+    {
+        const { engine } = createEngine();
+        playTo(engine, 200);
+        const [player] = engine.onField;
+        engine.temporaryReplacement(player, engine.players.bench[0], { duration: 120 });
+        playTo(engine, 250);
+
+        const restored = new AFLGameEngine();
+        assert.strictEqual(restored.restoreFromSnapshot(JSON.parse(JSON.stringify(engine.getSnapshot()))), true);
+        assert.deepStrictEqual(restored.players.medical, engine.players.medical);
+        assert.deepStrictEqual(restored.getUpcomingRotations(), engine.getUpcomingRotations());
+        playTo(restored, 320);
+        assert.ok(restored.onField.includes(player));
+    }
+
+    // A pending rotation that would take the player off, or bring the
+    // replacement on, is called off and the plan is rebuilt around them
+    {
+        const { engine, errors } = createEngine();
+        while (!engine.rotations.pending) engine.advanceOneSecond();
+        const [playerOff] = engine.rotations.pendingOff;
+        const playerOn = engine.players.bench.find(p => !engine.rotations.pendingOn.includes(p)) || engine.rotations.pendingOn[0];
+
+        assert.strictEqual(engine.temporaryReplacement(playerOff, playerOn), true);
+        assert.strictEqual(engine.rotations.pending, false);
+        assert.strictEqual(engine.getEventLog().filter(event => event.type === 'rotation_cancelled').length, 1);
+        playTo(engine);
+        assert.deepStrictEqual(errors, []);
+    }
+
+    // Time missed while the page was hidden counts as medical time up to the
+    // return, then bench time
+    {
+        const { engine, errors } = createEngine();
+        playTo(engine, 200);
+        const [player] = engine.onField;
+        engine.temporaryReplacement(player, engine.players.bench[0], { duration: 120 });
+        const benchBefore = engine.players.benchMinutes[player];
+
+        engine.applyMissedTime(150);
+        assert.strictEqual(engine.players.medicalMinutes[player], 120);
+        assert.strictEqual(engine.players.benchMinutes[player], benchBefore + 30);
+        assert.ok(!engine.isOffForMedical(player));
+        playTo(engine, 360);
+        assert.ok(engine.onField.includes(player), 'the overdue return runs once the clock is going again');
+        assert.deepStrictEqual(errors, []);
+    }
+
+    // Oztag picks its rotations from the bench when due: the player is back
+    // on the bench when the time is up, and a removal is counted as an injury change
+    {
+        const engine = new OztagGameEngine();
+        engine.initialize({ playerNames: names(11), halfLength: 600 });
+        const errors = [];
+        engine.callbacks.onError = message => errors.push(message);
+        playTo(engine, 100);
+        const [player] = engine.players.field;
+        const replacement = engine.players.bench[0];
+
+        assert.strictEqual(engine.temporaryReplacement(player, replacement, { duration: 120 }), true);
+        assert.ok(engine.players.field.includes(replacement));
+        assert.ok(!engine.players.bench.includes(player));
+        playTo(engine, 220);
+        assert.strictEqual(engine.players.medicalMinutes[player], 120);
+        assert.ok(engine.players.bench.includes(player) || engine.players.field.includes(player), 'back when the time is up');
+
+        const injured = engine.players.field.find(p => p !== player);
+        assert.strictEqual(engine.playerOutOfGame(injured, 'injury'), true);
+        assert.deepStrictEqual([engine.rotations.interchanges.total, engine.rotations.interchanges.injury], [1, 1]);
+        playTo(engine, 590);
+        assert.strictEqual(engine.getStats().players[player].medicalMinutes, 120);
+        assert.deepStrictEqual(errors, []);
+    }
+} finally {
+    console.log = quietLog;
+    console.error = quietError;
+}
+
+console.log('✅ Temporary replacement tests passed.');
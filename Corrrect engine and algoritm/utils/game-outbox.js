@@ -0,0 +1,302 @@
+/**
+ * BenchBalancer - Offline Game Outbox
+ * Version 1.0
+ *
+ * @fileoverview Durable queue of finished games waiting to reach Supabase.
+ * StatsTracker.saveGame writes every game here first, then replays the queue
+ * into the games/player_stats tables whenever the user is signed in and
+ * online. Each game carries a client-generated id so a replay that was
+ * interrupted half way is upserted instead of duplicated.
+ */
+
+// ============================================================================
+// DEPENDENCIES
+// ============================================================================
+
+const OUTBOX_CONFIG = ((typeof window !== 'undefined' && window.GameConfig) ||
+    (typeof require === 'function' ? require('../config/game-defaults.js') : {})).GAME_OUTBOX || {
+    DB_NAME: 'benchbalancer_outbox',
+    STORE_NAME: 'games',
+    STORAGE_KEY: 'benchbalancer_game_outbox',
+    SYNC_TAG: 'sync-game-outbox',
+    MAX_ATTEMPTS: 5
+};
+
+/**
+ * Client-side game id (UUID v4, matches games.client_game_id)
+ * @returns {string}
+ */
+function createClientGameId() {
+    if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+        return crypto.randomUUID();
+    }
+    return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, c => {
+        const r = Math.random() * 16 | 0;
+        return (c === 'x' ? r : (r & 0x3 | 0x8)).toString(16);
+    });
+}
+
+// ============================================================================
+// STORES
+// ============================================================================
+
+/**
+ * IndexedDB-backed store (survives reloads and app restarts)
+ */
+class IndexedDbOutboxStore {
+    /**
+     * @param {IDBFactory} [factory] - Defaults to window.indexedDB
+     */
+    constructor(factory = (typeof indexedDB !== 'undefined' ? indexedDB : null)) {
+        this.factory = factory;
+        this.dbPromise = null;
+    }
+
+    static isAvailable() {
+        return typeof indexedDB !== 'undefined' && indexedDB !== null;
+    }
+
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = this.factory.open(OUTBOX_CONFIG.DB_NAME, 1);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(OUTBOX_CONFIG.STORE_NAME, { keyPath: 'id' });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.dbPromise;
+    }
+
+    async run(mode, action) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(OUTBOX_CONFIG.STORE_NAME, mode);
+            const request = action(transaction.objectStore(OUTBOX_CONFIG.STORE_NAME));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    getAll() {
+        return this.run('readonly', store => store.getAll());
+    }
+
+    put(entry) {
+        return this.run('readwrite', store => store.put(entry));
+    }
+
+    delete(id) {
+        return this.run('readwrite', store => store.delete(id));
+    }
+}
+
+/**
+ * localStorage-backed store (private browsing fallback, tests)
+ */
+class StorageOutboxStore {
+    /**
+     * @param {Storage} [storage] - localStorage-like store
+     */
+    constructor(storage = (typeof localStorage !== 'undefined' ? localStorage : null)) {
+        this.storage = storage;
+        this.memory = {};
+    }
+
+    read() {
+        try {
+            const saved = this.storage ? JSON.parse(this.storage.getItem(OUTBOX_CONFIG.STORAGE_KEY)) : null;
+            return saved || this.memory;
+        } catch (e) {
+            console.warn('[GameOutbox] Could not read saved outbox:', e);
+            return this.memory;
+        }
+    }
+
+    write(entries) {
+        this.memory = entries;
+        if (!this.storage) return;
+        try {
+            this.storage.setItem(OUTBOX_CONFIG.STORAGE_KEY, JSON.stringify(entries));
+        } catch (e) {
+            console.warn('[GameOutbox] Could not save outbox:', e);
+        }
+    }
+
+    async getAll() {
+        return Object.values(this.read());
+    }
+
+    async put(entry) {
+        this.write({ ...this.read(), [entry.id]: entry });
+    }
+
+    async delete(id) {
+        const entries = this.read();
+        delete entries[id];
+        this.write(entries);
+    }
+}
+
+// ============================================================================
+// OUTBOX
+// ============================================================================
+
+/**
+ * @typedef {Object} OutboxEntry
+ * @property {string} id - Client game id
+ * @property {string} sport - Sport key
+ * @property {string} teamName - Team the game is saved under
+ * @property {Object} gameData - calculateFinalStats() result
+ * @property {string} queuedAt - ISO timestamp
+ * @property {number} attempts - Failed replay attempts
+ * @property {string|null} lastError - Last replay error
+ * @property {boolean} [parked] - Failed MAX_ATTEMPTS times; skipped until a manual retry
+ */
+
+class GameOutbox {
+    /**
+     * @param {Object} [store] - Store with async getAll/put/delete
+     */
+    constructor(store = GameOutbox.createStore()) {
+        this.store = store;
+    }
+
+    static createStore() {
+        return IndexedDbOutboxStore.isAvailable() ? new IndexedDbOutboxStore() : new StorageOutboxStore();
+    }
+
+    /**
+     * Queue a finished game, stamping gameData.clientGameId if it has none.
+     * Queuing the same game twice keeps one entry.
+     * @param {Object} gameData - Final stats
+     * @returns {Promise<OutboxEntry>}
+     */
+    async enqueue(gameData) {
+        if (!gameData.clientGameId) {
+            gameData.clientGameId = createClientGameId();
+        }
+
+        const existing = (await this.store.getAll()).find(entry => entry.id === gameData.clientGameId);
+        const entry = {
+            id: gameData.clientGameId,
+            sport: gameData.sport || 'basketball',
+            teamName: gameData.seasonTeam || gameData.teamName || '',
+            gameData,
+            queuedAt: existing?.queuedAt || new Date().toISOString(),
+            attempts: existing?.attempts || 0,
+            lastError: existing?.lastError || null,
+            ...(existing?.parked ? { parked: true } : {})
+        };
+        await this.store.put(entry);
+        return entry;
+    }
+
+    /**
+     * Queued games, oldest first
+     * @returns {Promise<OutboxEntry[]>}
+     */
+    async list() {
+        const entries = await this.store.getAll();
+        return entries.sort((a, b) => a.queuedAt.localeCompare(b.queuedAt));
+    }
+
+    async count() {
+        return (await this.store.getAll()).length;
+    }
+
+    /**
+     * Send queued games oldest first. Sent games leave the outbox; a game that
+     * fails stays queued without holding up the games behind it, and after
+     * MAX_ATTEMPTS failures it is parked - kept, but only sent again when
+     * the user retries parked games.
+     * @param {Function} send - async (entry) => ({ success, error })
+     * @param {Object} [options]
+     * @param {boolean} [options.retryParked=false] - Send parked games too (manual "Sync now")
+     * @returns {Promise<{synced: string[], failed: Array<{id: string, error: string}>, pending: number, parked: number}>}
+     */
+    async replay(send, { retryParked = false } = {}) {
+        const synced = [];
+        const failed = [];
+
+        for (const entry of await this.list()) {
+            if (entry.parked && !retryParked) {
+                continue;
+            }
+
+            let result;
+            try {
+                result = await send(entry);
+            } catch (error) {
+                result = { success: false, error: error.message };
+            }
+
+            if (result?.success) {
+                await this.store.delete(entry.id);
+                synced.push(entry.id);
+                continue;
+            }
+
+            const error = result?.error || result?.reason || 'unknown_error';
+            const attempts = entry.attempts + 1;
+            await this.store.put({
+                ...entry,
+                attempts,
+                lastError: error,
+                parked: attempts >= OUTBOX_CONFIG.MAX_ATTEMPTS
+            });
+            failed.push({ id: entry.id, error });
+        }
+
+        const remaining = await this.list();
+        return { synced, failed, pending: remaining.length, parked: remaining.filter(entry => entry.parked).length };
+    }
+}
+
+// ============================================================================
+// STATUS
+// ============================================================================
+
+/**
+ * One-line sync status for badges and status messages
+ * @param {Object} status - StatsTracker.getSyncStatus()
+ * @returns {string}
+ */
+function describeSyncStatus(status) {
+    if (!status) return '';
+    if (status.syncing) return `🔄 Syncing ${status.pending} game${status.pending === 1 ? '' : 's'}...`;
+    if (status.pending === 0) return status.lastSyncedAt ? '✅ All games synced' : '';
+    const games = `${status.pending} game${status.pending === 1 ? '' : 's'}`;
+    if (status.reason === 'not_authenticated') return `📥 ${games} saved offline - sign in to sync`;
+    if (status.reason === 'offline' || status.reason === 'no_connection') return `📥 ${games} saved offline - will sync when online`;
+    if (status.parked > 0) {
+        return `⚠️ ${games} waiting to sync - ${status.parked} stopped after repeated errors${status.lastError ? ` (${status.lastError})` : ''}, use Sync now to retry`;
+    }
+    return `⚠️ ${games} waiting to sync${status.lastError ? ` (${status.lastError})` : ''}`;
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+// Export for ES6 modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        GameOutbox,
+        IndexedDbOutboxStore,
+        StorageOutboxStore,
+        createClientGameId,
+        describeSyncStatus,
+    };
+}
+
+// Export for browser
+if (typeof window !== 'undefined') {
+    window.GameOutbox = GameOutbox;
+    window.StorageOutboxStore = StorageOutboxStore;
+    window.createClientGameId = createClientGameId;
+    window.describeSyncStatus = describeSyncStatus;
+    console.log('📥 Game Outbox loaded');
+}
@@ -0,0 +1,182 @@
+/**
+ * BenchBalancer - Lineup Construction
+ * Version 1.0
+ *
+ * @fileoverview Builds the lineup rotation for any roster size, field size
+ * and subs per change, replacing the hand-written "6 players, 4 on field,
+ * 1 sub" pattern tables.
+ *
+ * Players sit on a circle in roster order and every lineup is a run of
+ * consecutive players around it. A player is on for every lineup whose run
+ * covers their seat, so the spread in appearances only depends on where the
+ * runs start. Starts spaced evenly around the circle put floor(F*L/N) or
+ * ceil(F*L/N) runs over every seat, and when N divides F*L everyone plays
+ * exactly the same number of lineups. The starts are then visited in an
+ * order that never moves a run further than the subs allowed per change.
+ * When a cap on lineups leaves too few changes for that order, the spread
+ * is only reported against a lower bound, not a proven best.
+ */
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+const gcd = (a, b) => (b === 0 ? a : gcd(b, a % b));
+
+/**
+ * Spread no plan of this many lineups can beat: the fewest lineups the
+ * busiest player can be in, less the most the idlest player can be in. For
+ * up to 7 players and 5 lineups it is the best spread any plan reaches (the
+ * lineup construction tests search every plan); past that it is only a bound
+ * @param {number} numPlayers
+ * @param {number} fieldSpots
+ * @param {number} subsPerChange
+ * @param {number} numLineups
+ * @returns {number}
+ */
+function lineupSpreadLowerBound(numPlayers, fieldSpots, subsPerChange, numLineups) {
+    const total = fieldSpots * numLineups;
+    const rests = (numPlayers - fieldSpots) * numLineups;
+    let most = Math.ceil(total / numPlayers);
+    let fewest = Math.floor(total / numPlayers);
+    if (subsPerChange < 1 || numLineups < 2) {
+        return most - fewest;
+    }
+
+    // Starters go off, and the rest come on, at most subsPerChange a change:
+    // the last starter off has played every lineup until then, and the last
+    // player on has missed every lineup before
+    most = Math.max(most, Math.min(numLineups, Math.ceil(fieldSpots / subsPerChange)));
+    fewest = Math.min(fewest, Math.max(0, numLineups - Math.ceil((numPlayers - fieldSpots) / subsPerChange)));
+
+    // Too few changes to get everyone on (or everyone a rest): the players
+    // reached share all the lineups (or rests)
+    const reachOn = fieldSpots + (numLineups - 1) * subsPerChange;
+    const reachOff = numPlayers - fieldSpots + (numLineups - 1) * subsPerChange;
+    if (reachOn < numPlayers) {
+        most = Math.max(most, Math.ceil(total / reachOn));
+    }
+    if (reachOff < numPlayers) {
+        fewest = Math.min(fewest, numLineups - Math.ceil(rests / reachOff));
+    }
+    return most - fewest;
+}
+
+/**
+ * Order of run starts around the circle
+ * @returns {number[]} Seat each lineup starts from, first lineup at seat 0
+ */
+function planStarts(numPlayers, subsPerChange, numLineups) {
+    if (numLineups * subsPerChange < numPlayers) {
+        // Not enough lineups to go round: step the full subs each change
+        return Array.from({ length: numLineups }, (_, k) => k * subsPerChange);
+    }
+
+    const seats = Array.from({ length: numLineups }, (_, k) => Math.floor(k * numPlayers / numLineups));
+
+    // Jump `step` seats at a time, the most the subs allow. Each pass only
+    // reaches every gcd-th start, so drop back one start between passes.
+    let step = 1;
+    while (step + 1 < numLineups && Math.ceil((step + 1) * numPlayers / numLineups) <= subsPerChange) {
+        step++;
+    }
+    const passes = gcd(numLineups, step);
+    const passLength = numLineups / passes;
+
+    const starts = [];
+    let index = 0;
+    for (let pass = 0; pass < passes; pass++) {
+        for (let i = 0; i < passLength; i++) {
+            starts.push(seats[index]);
+            index = (index + (i < passLength - 1 ? step : step - 1)) % numLineups;
+        }
+    }
+    return starts;
+}
+
+// ============================================================================
+// CONSTRUCTION
+// ============================================================================
+
+/**
+ * @typedef {Object} LineupRotation
+ * @property {string[][]} lineups - Lineup for each segment, each sorted
+ * @property {number} numLineups - Segments the game is split into
+ * @property {Object<string, number>} appearances - Lineups each player is in
+ * @property {number} spread - Most minus fewest appearances
+ * @property {number} spreadLowerBound - Spread no plan of this many lineups can beat (see lineupSpreadLowerBound)
+ * @property {number|null} spreadSeconds - Spread in game seconds (needs gameSeconds)
+ * @property {number|null} spreadLowerBoundSeconds - Lower bound in game seconds
+ * @property {string} method - Always 'CONSTRUCTIVE'
+ */
+
+/**
+ * Build a balanced lineup rotation.
+ *
+ * With no cap the rotation is just long enough for everyone to play exactly
+ * the same number of lineups (spread 0). With a cap it uses as many lineups
+ * as allowed, which keeps each segment - and so any leftover spread - short.
+ *
+ * @param {string[]} players - Rotating players, starting lineup first
+ * @param {number} fieldSpots - Rotating spots on the field
+ * @param {number} subsPerChange - Most players swapped at each change
+ * @param {Object} [options]
+ * @param {number} [options.maxLineups] - Most segments the game can hold
+ * @param {number} [options.gameSeconds] - Game length, to report the spread in seconds
+ * @returns {LineupRotation}
+ */
+function buildBalancedLineups(players, fieldSpots, subsPerChange, { maxLineups = Infinity, gameSeconds = null } = {}) {
+    const numPlayers = players.length;
+    const spots = Math.max(0, Math.min(fieldSpots, numPlayers));
+    const subs = Math.min(subsPerChange, numPlayers - spots, spots);
+
+    let numLineups = 1;
+    if (subs >= 1 && maxLineups >= 2) {
+        const fewestToGoRound = Math.ceil(numPlayers / subs);
+        const cycle = numPlayers / gcd(numPlayers, spots);
+        const fewestEven = Math.ceil(fewestToGoRound / cycle) * cycle;
+        numLineups = fewestEven <= maxLineups ? fewestEven : Math.floor(maxLineups);
+    }
+
+    const lineups = planStarts(numPlayers, Math.max(subs, 1), numLineups).map(start =>
+        Array.from({ length: spots }, (_, i) => players[(start + i) % numPlayers]).sort()
+    );
+
+    const appearances = {};
+    players.forEach(player => { appearances[player] = 0; });
+    lineups.forEach(lineup => lineup.forEach(player => { appearances[player]++; }));
+
+    const counts = Object.values(appearances);
+    const spread = counts.length ? Math.max(...counts) - Math.min(...counts) : 0;
+    const spreadLowerBound = numPlayers ? lineupSpreadLowerBound(numPlayers, spots, Math.max(subs, 0), numLineups) : 0;
+    const toSeconds = value => (gameSeconds === null ? null : Math.round(value * gameSeconds / numLineups));
+
+    return {
+        lineups,
+        numLineups,
+        appearances,
+        spread,
+        spreadLowerBound,
+        spreadSeconds: toSeconds(spread),
+        spreadLowerBoundSeconds: toSeconds(spreadLowerBound),
+        method: 'CONSTRUCTIVE'
+    };
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+// Export for ES6 modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        buildBalancedLineups,
+        lineupSpreadLowerBound,
+    };
+}
+
+// Export for browser
+if (typeof window !== 'undefined') {
+    window.LineupConstruction = { buildBalancedLineups, lineupSpreadLowerBound };
+    console.log('🧮 Lineup Construction loaded');
+}
@@ -0,0 +1,540 @@
+/**
+ * BenchBalancer - Live Parent View
+ * Version 1.0
+ *
+ * @fileoverview Read-only live scoreboard and rotation view for parents.
+ * The coach's page turns engine.getState() into a small public payload
+ * (score, clock, who is on, when each player is next due on or off) and
+ * broadcasts it on a channel keyed by match id. live.html subscribes to the
+ * same channel. Supabase realtime is the production transport; a WebSocket
+ * relay (tests/live-relay-server.js) stands in for it offline.
+ */
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const LIVE_VIEW_VERSION = 1;
+
+const LIVE_VIEW_DEFAULTS = {
+    STORAGE_KEY: 'benchbalancer_live_match',
+    RELAY_STORAGE_KEY: 'benchbalancer_live_relay',
+    CHANNEL_PREFIX: 'live-match:',
+    HEARTBEAT_MS: 5000,            // Resend unchanged state so late joiners catch up
+    QR_LIBRARY_URL: 'https://unpkg.com/qrcode-generator@1.4.4/qrcode.js'
+};
+
+// ============================================================================
+// PAYLOAD
+// ============================================================================
+
+/**
+ * @typedef {Object} LivePlayer
+ * @property {string} name - Player name
+ * @property {string} status - 'field', 'bench', 'medical' (off for a temporary replacement), 'sinBinned' or 'out'
+ * @property {number} minutes - Seconds played so far
+ * @property {string|null} change - 'on' or 'off' for the player's next planned move, 'back' for a medical or sin-bin return
+ * @property {number|null} eta - Seconds until that move (0 = waiting for the coach)
+ */
+
+/**
+ * Public live-view payload from an engine state
+ * @param {Object} state - engine.getState()
+ * @param {Object} meta - { matchId, sport, periodLength, numPeriods }
+ * @returns {Object}
+ */
+function buildLiveViewState(state, meta = {}) {
+    const players = state.players || {};
+    const onField = [...(players.court || players.field || [])];
+    const bench = [...(players.bench || [])];
+    const removed = [...(players.removed || [])];
+    const medical = players.medical || {};
+    const sinBinned = players.sinBinned || {};
+    const minutes = players.minutes || {};
+    const rotations = state.rotations || {};
+    const now = state.currentTime || 0;
+
+    // Confirmed-but-pending swaps happen "now"; then walk the plan in order
+    const moves = {};
+    [medical, sinBinned].forEach(records => Object.entries(records).forEach(([p, record]) => {
+        moves[p] = { change: 'back', eta: Math.max(0, Math.round(record.returnAt - now)) };
+    }));
+    if (rotations.pending) {
+        (rotations.pendingOff || []).forEach(p => { moves[p] = { change: 'off', eta: 0 }; });
+        (rotations.pendingOn || []).forEach(p => { moves[p] = { change: 'on', eta: 0 }; });
+    }
+    const upcoming = rotations.upcoming || (rotations.next ? [rotations.next] : []);
+    upcoming.forEach(rotation => {
+        const eta = Math.max(0, Math.round(rotation.time - now));
+        rotation.off.forEach(p => { if (!moves[p] && onField.includes(p)) moves[p] = { change: 'off', eta }; });
+        rotation.on.forEach(p => { if (!moves[p] && bench.includes(p)) moves[p] = { change: 'on', eta }; });
+    });
+
+    const toPlayer = status => name => ({
+        name,
+        status,
+        minutes: Math.round(minutes[name] || 0),
+        change: moves[name]?.change || null,
+        eta: moves[name] ? moves[name].eta : null
+    });
+
+    const scoring = state.scoring || {};
+    const next = rotations.next;
+
+    return {
+        v: LIVE_VIEW_VERSION,
+        matchId: meta.matchId || null,
+        sport: meta.sport || null,
+        sentAt: Date.now(),
+        clock: {
+            currentTime: now,
+            period: state.currentPeriod || 1,
+            numPeriods: meta.numPeriods || null,
+            periodElapsed: state.periodElapsed || 0,
+            periodLength: meta.periodLength || null,
+            running: !!state.running,
+            isHalftime: !!state.isHalftime,
+            gameOver: !!state.gameOver
+        },
+        score: {
+            home: scoring.homeScore ?? scoring.home ?? 0,
+            away: scoring.awayScore ?? scoring.away ?? 0,
+            homeName: scoring.homeTeamName || 'Home',
+            awayName: scoring.awayTeamName || 'Opposition'
+        },
+        next: next ? { eta: Math.max(0, Math.round(next.time - now)), off: [...next.off], on: [...next.on] } : null,
+        players: [
+            ...onField.map(toPlayer('field')),
+            ...bench.map(toPlayer('bench')),
+            ...Object.keys(medical).map(toPlayer('medical')),
+            ...Object.keys(sinBinned).map(toPlayer('sinBinned')),
+            ...removed.map(toPlayer('out'))
+        ]
+    };
+}
+
+/**
+ * Fingerprint of the parts of a payload parents notice changing
+ */
+function liveViewKey(payload) {
+    return JSON.stringify([
+        payload.clock.period, payload.clock.running, payload.clock.isHalftime, payload.clock.gameOver,
+        payload.score.home, payload.score.away, payload.score.homeName, payload.score.awayName,
+        payload.players.map(p => `${p.name}:${p.status}:${p.change}`),
+        payload.next && payload.next.off, payload.next && payload.next.on
+    ]);
+}
+
+/**
+ * "now", "1:05" or "-" for an ETA in seconds
+ */
+function formatEta(seconds) {
+    if (seconds === null || seconds === undefined) return '-';
+    if (seconds <= 0) return 'now';
+    return `${Math.floor(seconds / 60)}:${Math.floor(seconds % 60).toString().padStart(2, '0')}`;
+}
+
+// ============================================================================
+// TRANSPORTS
+// ============================================================================
+
+/**
+ * Supabase realtime broadcast channel (no table, no auth needed to listen)
+ */
+class SupabaseLiveTransport {
+    /**
+     * @param {Object} client - Supabase client
+     * @param {string} matchId - Match id
+     */
+    constructor(client, matchId) {
+        this.client = client;
+        this.matchId = matchId;
+        this.channel = null;
+        this.handlers = { state: [], request: [] };
+        this.requestOnConnect = false;
+    }
+
+    connect() {
+        if (this.channel) return;
+        this.channel = this.client.channel(`${LIVE_VIEW_DEFAULTS.CHANNEL_PREFIX}${this.matchId}`, {
+            config: { broadcast: { self: false } }
+        });
+        ['state', 'request'].forEach(event => {
+            this.channel.on('broadcast', { event }, message => {
+                this.handlers[event].forEach(handler => handler(message.payload));
+            });
+        });
+        this.channel.subscribe(status => {
+            if (status === 'SUBSCRIBED' && this.requestOnConnect) this.request();
+        });
+    }
+
+    send(event, payload) {
+        this.channel?.send({ type: 'broadcast', event, payload });
+    }
+
+    publish(payload) {
+        this.send('state', payload);
+    }
+
+    request() {
+        this.send('request', { at: Date.now() });
+    }
+
+    on(event, handler) {
+        this.handlers[event]?.push(handler);
+    }
+
+    close() {
+        if (this.channel) {
+            this.client.removeChannel(this.channel);
+            this.channel = null;
+        }
+    }
+}
+
+/**
+ * WebSocket relay (offline development stand-in for Supabase realtime)
+ */
+class WebSocketLiveTransport {
+    /**
+     * @param {string} url - Relay URL, e.g. ws://localhost:8787
+     * @param {string} matchId - Match id
+     * @param {Function} [SocketCtor] - WebSocket constructor
+     */
+    constructor(url, matchId, SocketCtor = (typeof WebSocket !== 'undefined' ? WebSocket : null)) {
+        this.url = url;
+        this.matchId = matchId;
+        this.SocketCtor = SocketCtor;
+        this.socket = null;
+        this.queue = [];
+        this.handlers = { state: [], request: [] };
+        this.requestOnConnect = false;
+        this.closed = false;
+    }
+
+    connect() {
+        if (this.socket || !this.SocketCtor) return;
+        const socket = new this.SocketCtor(`${this.url.replace(/\/$/, '')}/?match=${encodeURIComponent(this.matchId)}`);
+        this.socket = socket;
+
+        socket.onopen = () => {
+            this.queue.splice(0).forEach(message => socket.send(message));
+            if (this.requestOnConnect) this.request();
+        };
+        socket.onmessage = event => {
+            try {
+                const message = JSON.parse(event.data);
+                this.handlers[message.event]?.forEach(handler => handler(message.payload));
+            } catch (e) {
+                console.warn('[LiveView] Ignoring malformed relay message:', e);
+            }
+        };
+        socket.onclose = () => {
+            this.socket = null;
+            // Phones drop connections when the screen sleeps - keep trying
+            if (!this.closed) setTimeout(() => this.connect(), 3000);
+        };
+    }
+
+    send(event, payload) {
+        const message = JSON.stringify({ event, payload });
+        if (this.socket && this.socket.readyState === 1) {
+            this.socket.send(message);
+        } else if (event === 'state') {
+            // Only the latest state matters
+            this.queue = [message];
+        }
+    }
+
+    publish(payload) {
+        this.send('state', payload);
+    }
+
+    request() {
+        this.send('request', { at: Date.now() });
+    }
+
+    on(event, handler) {
+        this.handlers[event]?.push(handler);
+    }
+
+    close() {
+        this.closed = true;
+        this.socket?.close();
+        this.socket = null;
+    }
+}
+
+/**
+ * Pick a transport: an explicit relay URL wins, then Supabase realtime
+ * @param {Object} options - { matchId, relayUrl, client, viewer }
+ * @returns {SupabaseLiveTransport|WebSocketLiveTransport|null}
+ */
+function createLiveTransport({ matchId, relayUrl, client, viewer = false } = {}) {
+    if (!matchId) return null;
+
+    let transport = null;
+    if (relayUrl) {
+        transport = new WebSocketLiveTransport(relayUrl, matchId);
+    } else if (client?.channel) {
+        transport = new SupabaseLiveTransport(client, matchId);
+    }
+    if (transport) {
+        // Viewers ask the coach's page for the current state when they join
+        transport.requestOnConnect = viewer;
+    }
+    return transport;
+}
+
+// ============================================================================
+// PUBLISHER
+// ============================================================================
+
+/**
+ * Sends the coach's game to the live channel. Call update(state) from the
+ * engine's onUpdate callback; it only sends when something visible changed
+ * or the heartbeat is due.
+ */
+class LiveViewPublisher {
+    /**
+     * @param {Object} options
+     * @param {Object} options.engine - Game engine (getState/config)
+     * @param {Object} options.transport - Live transport
+     * @param {string} options.sport - Sport key
+     * @param {string} options.matchId - Match id
+     * @param {number} [options.heartbeatMs] - Resend interval for unchanged state
+     * @param {Function} [options.now] - Clock (tests)
+     */
+    constructor({ engine, transport, sport, matchId, heartbeatMs = LIVE_VIEW_DEFAULTS.HEARTBEAT_MS, now = () => Date.now() }) {
+        this.engine = engine;
+        this.transport = transport;
+        this.sport = sport;
+        this.matchId = matchId;
+        this.heartbeatMs = heartbeatMs;
+        this.now = now;
+        this.lastKey = null;
+        this.lastSentAt = 0;
+        this.lastPayload = null;
+    }
+
+    start() {
+        this.transport.on('request', () => this.update(this.engine.getState(), true));
+        this.transport.connect();
+        this.update(this.engine.getState(), true);
+    }
+
+    /**
+     * @param {Object} state - engine.getState()
+     * @param {boolean} [force] - Send even if nothing changed
+     * @returns {boolean} True if a payload was sent
+     */
+    update(state, force = false) {
+        const payload = buildLiveViewState(state, {
+            matchId: this.matchId,
+            sport: this.sport,
+            periodLength: this.engine.config?.periodLength,
+            numPeriods: this.engine.config?.numPeriods
+        });
+        const key = liveViewKey(payload);
+        const due = this.now() - this.lastSentAt >= this.heartbeatMs;
+
+        this.lastPayload = payload;
+        if (!force && key === this.lastKey && !due) {
+            return false;
+        }
+
+        this.transport.publish(payload);
+        this.lastKey = key;
+        this.lastSentAt = this.now();
+        return true;
+    }
+
+    stop() {
+        this.transport.close();
+    }
+}
+
+// ============================================================================
+// SHARING
+// ============================================================================
+
+/**
+ * Match id for the current game on this device (kept across reloads until cleared)
+ * @param {string} sport - Sport key
+ * @param {Storage} [storage] - localStorage-like store
+ * @returns {string}
+ */
+function getLiveMatchId(sport, storage = (typeof localStorage !== 'undefined' ? localStorage : null)) {
+    try {
+        const saved = storage ? JSON.parse(storage.getItem(LIVE_VIEW_DEFAULTS.STORAGE_KEY)) : null;
+        if (saved && saved.sport === sport && saved.matchId) {
+            return saved.matchId;
+        }
+    } catch (e) {
+        console.warn('[LiveView] Could not read saved match id:', e);
+    }
+
+    const matchId = (typeof crypto !== 'undefined' && crypto.randomUUID)
+        ? crypto.randomUUID()
+        : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+    storage?.setItem(LIVE_VIEW_DEFAULTS.STORAGE_KEY, JSON.stringify({ sport, matchId }));
+    return matchId;
+}
+
+/**
+ * Forget the match id when a game ends or is reset
+ */
+function clearLiveMatchId(storage = (typeof localStorage !== 'undefined' ? localStorage : null)) {
+    storage?.removeItem(LIVE_VIEW_DEFAULTS.STORAGE_KEY);
+}
+
+/**
+ * Shareable link to live.html for a match
+ * @param {string} baseUrl - URL of the coach's page
+ * @param {string} matchId - Match id
+ * @param {string} [relayUrl] - WebSocket relay (development)
+ * @returns {string}
+ */
+function buildLiveViewUrl(baseUrl, matchId, relayUrl) {
+    const url = new URL('live.html', baseUrl);
+    url.searchParams.set('match', matchId);
+    if (relayUrl) url.searchParams.set('relay', relayUrl);
+    return url.toString();
+}
+
+/**
+ * Show the share dialog (link + QR code when the QR library can load)
+ * @param {string} url - Live view link
+ */
+function showLiveShareModal(url) {
+    document.getElementById('liveShareModal')?.remove();
+
+    const modal = document.createElement('div');
+    modal.id = 'liveShareModal';
+    modal.style.cssText = 'position:fixed; inset:0; z-index:1100; display:flex; align-items:center; justify-content:center; background:rgba(0,0,0,0.75);';
+    modal.innerHTML = `
+        <div style="width:320px; max-width:90vw; background:rgba(4, 7, 13, 0.97); border:2px solid var(--accent-cyan, #00ffe0); border-radius:16px; padding:20px; text-align:center; color:#fff;">
+            <h3 style="margin:0 0 8px; letter-spacing:0.1em;">PARENT LIVE VIEW</h3>
+            <p style="margin:0 0 16px; font-size:13px; color:#aaa;">Scan or share this link - parents see the score, who's on and when their player is next due.</p>
+            <div id="liveShareQr" style="display:flex; justify-content:center; margin-bottom:16px; background:#fff; border-radius:8px; padding:8px;"></div>
+            <input id="liveShareLink" readonly style="width:100%; box-sizing:border-box; padding:8px; border-radius:8px; border:1px solid #333; background:#0b111c; color:#fff; font-size:12px;">
+            <div style="display:flex; gap:8px; margin-top:12px;">
+                <button id="liveShareCopy" class="control-button" style="flex:1;">COPY LINK</button>
+                <button id="liveShareClose" class="control-button" style="flex:1;">CLOSE</button>
+            </div>
+        </div>`;
+    document.body.appendChild(modal);
+
+    const link = modal.querySelector('#liveShareLink');
+    link.value = url;
+    modal.querySelector('#liveShareClose').onclick = () => modal.remove();
+    modal.onclick = event => { if (event.target === modal) modal.remove(); };
+    modal.querySelector('#liveShareCopy').onclick = async () => {
+        try {
+            if (navigator.share) {
+                await navigator.share({ title: 'BenchBalancer live', url });
+            } else {
+                await navigator.clipboard.writeText(url);
+            }
+        } catch (e) {
+            link.select();
+        }
+    };
+
+    loadQrLibrary()
+        .then(qrcode => {
+            const qr = qrcode(0, 'M');
+            qr.addData(url);
+            qr.make();
+            modal.querySelector('#liveShareQr').innerHTML = qr.createSvgTag(5, 8);
+        })
+        .catch(() => {
+            modal.querySelector('#liveShareQr').style.display = 'none';
+        });
+}
+
+function loadQrLibrary() {
+    if (window.qrcode) return Promise.resolve(window.qrcode);
+    return new Promise((resolve, reject) => {
+        const script = document.createElement('script');
+        script.src = LIVE_VIEW_DEFAULTS.QR_LIBRARY_URL;
+        script.onload = () => (window.qrcode ? resolve(window.qrcode) : reject(new Error('QR library missing')));
+        script.onerror = () => reject(new Error('QR library unavailable'));
+        document.head.appendChild(script);
+    });
+}
+
+/**
+ * Start broadcasting a game and wire the share button. The relay URL comes
+ * from ?relay= (remembered for the session); otherwise Supabase realtime is
+ * used once the client is ready.
+ * @param {Object} options - { engine, sport, client, shareButton }
+ * @returns {Promise<LiveViewPublisher|null>}
+ */
+async function startLiveView({ engine, sport, client, shareButton }) {
+    const params = new URLSearchParams(window.location.search);
+    if (params.get('relay')) {
+        sessionStorage.setItem(LIVE_VIEW_DEFAULTS.RELAY_STORAGE_KEY, params.get('relay'));
+    }
+    const relayUrl = sessionStorage.getItem(LIVE_VIEW_DEFAULTS.RELAY_STORAGE_KEY);
+
+    // simple-supabase.js creates the client after DOMContentLoaded
+    for (let attempts = 0; !relayUrl && !(client || window.benchBalancerSupabase) && attempts < 30; attempts++) {
+        await new Promise(resolve => setTimeout(resolve, 200));
+    }
+
+    const matchId = getLiveMatchId(sport);
+    const transport = createLiveTransport({ matchId, relayUrl, client: client || window.benchBalancerSupabase });
+    if (!transport) {
+        shareButton?.classList.add('hidden');
+        return null;
+    }
+
+    const publisher = new LiveViewPublisher({ engine, transport, sport, matchId });
+    publisher.start();
+
+    if (shareButton) {
+        shareButton.classList.remove('hidden');
+        shareButton.onclick = () => showLiveShareModal(buildLiveViewUrl(window.location.href, matchId, relayUrl));
+    }
+    return publisher;
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+// Export for ES6 modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        LIVE_VIEW_DEFAULTS,
+        buildLiveViewState,
+        liveViewKey,
+        formatEta,
+        SupabaseLiveTransport,
+        WebSocketLiveTransport,
+        createLiveTransport,
+        LiveViewPublisher,
+        getLiveMatchId,
+        clearLiveMatchId,
+        buildLiveViewUrl,
+    };
+}
+
+// Export for browser
+if (typeof window !== 'undefined') {
+    window.LiveView = {
+        LIVE_VIEW_DEFAULTS,
+        buildLiveViewState,
+        formatEta,
+        createLiveTransport,
+        LiveViewPublisher,
+        getLiveMatchId,
+        clearLiveMatchId,
+        buildLiveViewUrl,
+        showLiveShareModal,
+        startLiveView,
+    };
+    console.log('📡 Live View loaded');
+}
@@ -0,0 +1,220 @@
+/**
+ * BenchBalancer - Match Event Log
+ * Version 1.0
+ *
+ * @fileoverview Reads the play-by-play log every engine records (see
+ * BaseGameEngine.logEvent). rebuildMatchAt() replays the log to any moment -
+ * who was on, the score and each player's minutes - so disputed minutes can
+ * be audited from the saved game alone. The log is exported as CSV or JSON.
+ */
+
+// ============================================================================
+// REBUILD
+// ============================================================================
+
+/**
+ * @typedef {Object} MatchMoment
+ * @property {number} time - Game clock the match was rebuilt to (seconds)
+ * @property {number} period - Period at that time
+ * @property {string[]} field - Players on the court/field
+ * @property {string[]} bench - Players on the bench
+ * @property {string[]} removed - Players out of the game
+ * @property {{home: number, away: number}} score - Points for each team
+ * @property {Object<string, number>} playerPoints - Points by scorer
+ * @property {Object<string, number>} playerFouls - Personal fouls by player
+ * @property {{home: number, away: number}} teamFouls - Team fouls in the current period
+ * @property {Object<string, number>} minutes - Seconds on the court/field by player
+ * @property {boolean} gameOver - The log reached full time
+ */
+
+const without = (list, players) => list.filter(p => !players.includes(p));
+
+/**
+ * Replay a match log up to a point in the game
+ * @param {Array<Object>} events - Log from engine.getEventLog() or game_data.events
+ * @param {number} [time] - Game clock to stop at (defaults to the end of the log)
+ * @returns {MatchMoment}
+ */
+function rebuildMatchAt(events = [], time = Infinity) {
+    const moment = {
+        time: 0,
+        period: 1,
+        field: [],
+        bench: [],
+        removed: [],
+        score: { home: 0, away: 0 },
+        playerPoints: {},
+        playerFouls: {},
+        teamFouls: { home: 0, away: 0 },
+        minutes: {},
+        gameOver: false
+    };
+
+    let clock = 0;
+    const accrue = until => {
+        const seconds = until - clock;
+        if (seconds > 0) {
+            moment.field.forEach(player => {
+                moment.minutes[player] = (moment.minutes[player] || 0) + seconds;
+            });
+        }
+        clock = Math.max(clock, until);
+    };
+
+    const ordered = [...events].sort((a, b) => a.time - b.time || a.seq - b.seq);
+
+    for (const event of ordered) {
+        if (event.time > time) break;
+
+        accrue(event.time);
+        moment.period = event.period || moment.period;
+
+        switch (event.type) {
+            case 'period_start':
+                // Each period start carries the full lineup - a checkpoint
+                moment.field = [...(event.field || moment.field)];
+                moment.bench = [...(event.bench || moment.bench)];
+                moment.removed = [...(event.removed || moment.removed)];
+                moment.teamFouls = { home: 0, away: 0 };
+                break;
+
+            case 'substitution':
+                moment.field = [...without(moment.field, event.off), ...event.on];
+                moment.bench = [...without(moment.bench, event.on), ...event.off];
+                break;
+
+            case 'removed':
+                moment.field = without(moment.field, [event.player]);
+                moment.bench = without(moment.bench, [event.player]);
+                if (event.replacement) {
+                    moment.bench = without(moment.bench, [event.replacement]);
+                    moment.field.push(event.replacement);
+                }
+                if (!moment.removed.includes(event.player)) {
+                    moment.removed.push(event.player);
+                }
+                break;
+
+            case 'returned':
+                moment.removed = without(moment.removed, [event.player]);
+                moment.bench.push(event.player);
+                break;
+
+            case 'score':
+                moment.score[event.team] = (moment.score[event.team] || 0) + (event.points || 0);
+                if (event.player) {
+                    moment.playerPoints[event.player] = (moment.playerPoints[event.player] || 0) + (event.points || 0);
+                }
+                break;
+
+            case 'foul':
+                moment.teamFouls[event.team] = (moment.teamFouls[event.team] || 0) + 1;
+                if (event.player) {
+                    moment.playerFouls[event.player] = (moment.playerFouls[event.player] || 0) + 1;
+                }
+                break;
+
+            case 'game_end':
+                moment.gameOver = true;
+                break;
+
+            default:
+                break;
+        }
+    }
+
+    // Minutes run on to the requested time unless the game was already over
+    if (!moment.gameOver && Number.isFinite(time)) {
+        accrue(time);
+    }
+    moment.time = Number.isFinite(time) && !moment.gameOver ? time : clock;
+
+    return moment;
+}
+
+// ============================================================================
+// EXPORT
+// ============================================================================
+
+const CSV_COLUMNS = ['seq', 'time', 'clock', 'period', 'type', 'team', 'player', 'off', 'on', 'points', 'reason', 'detail', 'at'];
+
+function formatClock(seconds) {
+    const mins = Math.floor(seconds / 60);
+    const secs = Math.floor(seconds % 60);
+    return `${mins}:${secs.toString().padStart(2, '0')}`;
+}
+
+function csvCell(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Match log as CSV, one row per event
+ * @param {Array<Object>} events - Match log
+ * @returns {string}
+ */
+function eventLogToCsv(events = []) {
+    const rows = events.map(event => {
+        const detail = event.type === 'period_start' ? (event.field || []).join('; ')
+            : event.type === 'goalkeeper_change' ? `${event.from} → ${event.to}`
+            : event.kind || event.stat || event.line || '';
+
+        return [
+            event.seq,
+            event.time,
+            formatClock(event.time),
+            event.period,
+            event.type,
+            event.team,
+            event.player,
+            (event.off || []).join('; '),
+            (event.on || []).join('; '),
+            event.points ?? event.value,
+            event.reason,
+            detail,
+            event.at
+        ].map(csvCell).join(',');
+    });
+
+    return [CSV_COLUMNS.join(','), ...rows].join('\n');
+}
+
+/**
+ * Download a match log from the browser
+ * @param {Array<Object>} events - Match log
+ * @param {Object} [options]
+ * @param {'csv'|'json'} [options.format] - File format (default csv)
+ * @param {string} [options.name] - File name without extension
+ */
+function downloadMatchLog(events, { format = 'csv', name = `match-log-${new Date().toISOString().split('T')[0]}` } = {}) {
+    const content = format === 'json' ? JSON.stringify(events, null, 2) : eventLogToCsv(events);
+    const blob = new Blob([content], { type: format === 'json' ? 'application/json' : 'text/csv' });
+    const url = URL.createObjectURL(blob);
+
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `${name}.${format}`;
+    a.click();
+
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+// Export for ES6 modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        rebuildMatchAt,
+        eventLogToCsv,
+        downloadMatchLog,
+    };
+}
+
+// Export for browser
+if (typeof window !== 'undefined') {
+    window.MatchLog = { rebuildMatchAt, eventLogToCsv, downloadMatchLog };
+    console.log('📜 Match Log loaded');
+}
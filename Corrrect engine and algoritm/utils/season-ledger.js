@@ -0,0 +1,301 @@
+/**
+ * BenchBalancer - Season Fairness Ledger
+ * Version 1.0
+ *
+ * @fileoverview Carries playing time across games. Each finished game books
+ * every player's minutes against their fair share of it (an equal split, or
+ * the coach's per-player target share when one is set); the running
+ * difference (equity) is the carry-over a "season to date" setup hands to
+ * the optimizer. Stored in localStorage (guests) and merged with the
+ * player_stats rows StatsTracker saves for signed-in users.
+ */
+
+// ============================================================================
+// DEPENDENCIES
+// ============================================================================
+
+const LEDGER_CONFIG = ((typeof window !== 'undefined' && window.GameConfig) ||
+    (typeof require === 'function' ? require('../config/game-defaults.js') : {})).SEASON_LEDGER || {
+    STORAGE_KEY: 'benchbalancer_season_ledger',
+    MAX_CARRY_OVER_SHARE: 0.25
+};
+
+const LEDGER_VERSION = 1;
+
+// ============================================================================
+// SEASON LEDGER
+// ============================================================================
+
+/**
+ * @typedef {Object} LedgerPlayer
+ * @property {number} games - Games the player was available for
+ * @property {number} played - Seconds played
+ * @property {number} fairShare - Seconds their fair share would have given them
+ * @property {Object} [lines] - AFL seconds per line: { Midfield: 1800, Back: 600 }
+ */
+
+/**
+ * @typedef {Object} EquityRow
+ * @property {string} name - Player name
+ * @property {number} games - Games booked
+ * @property {number} played - Seconds played
+ * @property {number} fairShare - Fair-share seconds
+ * @property {number} equity - played - fairShare (negative = owed minutes)
+ * @property {Object} [lines] - Seconds per line, for sports that track lines
+ */
+
+class SeasonLedger {
+    /**
+     * @param {Storage} [storage] - localStorage-like store (defaults to window.localStorage)
+     */
+    constructor(storage = (typeof localStorage !== 'undefined' ? localStorage : null)) {
+        this.storage = storage;
+        this.data = this.load();
+    }
+
+    /**
+     * Ledger key for a team in a sport
+     */
+    static teamKey(sport, team) {
+        return `${String(sport || '').toLowerCase()}:${String(team || '').trim().toLowerCase()}`;
+    }
+
+    load() {
+        try {
+            const saved = this.storage ? JSON.parse(this.storage.getItem(LEDGER_CONFIG.STORAGE_KEY)) : null;
+            if (saved && saved.version === LEDGER_VERSION && saved.teams) {
+                return saved;
+            }
+        } catch (e) {
+            console.warn('[SeasonLedger] Could not read saved ledger:', e);
+        }
+        return { version: LEDGER_VERSION, teams: {}, lastTeam: {} };
+    }
+
+    save() {
+        if (!this.storage) return;
+        try {
+            this.storage.setItem(LEDGER_CONFIG.STORAGE_KEY, JSON.stringify(this.data));
+        } catch (e) {
+            console.warn('[SeasonLedger] Could not save ledger:', e);
+        }
+    }
+
+    getTeam(sport, team) {
+        return this.data.teams[SeasonLedger.teamKey(sport, team)] || null;
+    }
+
+    /**
+     * Team most recently booked for a sport (prefills the setup screen)
+     */
+    getLastTeam(sport) {
+        return this.data.lastTeam?.[String(sport || '').toLowerCase()] || '';
+    }
+
+    /**
+     * Book a finished game
+     * @param {string} sport - 'basketball', 'soccer', 'afl', 'oztag'
+     * @param {string} team - Team name
+     * @param {Object} stats - calculateFinalStats() result ({ players: { name: { minutes, fairShare?, lineSeconds? } } })
+     * @returns {Object|null} Updated team entry
+     */
+    recordGame(sport, team, stats) {
+        // Removed and sent-off players were not available for the whole game
+        const players = Object.entries(stats?.players || {}).filter(([, data]) => !data.removed);
+        if (!team || players.length === 0) {
+            return null;
+        }
+
+        const key = SeasonLedger.teamKey(sport, team);
+        const entry = this.data.teams[key] || { sport, team, games: 0, players: {} };
+        // Players with a target share carry their own fair share; otherwise it is an equal split
+        const equalShare = players.reduce((sum, [, data]) => sum + (data.minutes || 0), 0) / players.length;
+
+        players.forEach(([name, data]) => {
+            const player = entry.players[name] || { games: 0, played: 0, fairShare: 0 };
+            player.games += 1;
+            player.played += data.minutes || 0;
+            player.fairShare += data.fairShare ?? equalShare;
+            Object.entries(data.lineSeconds || {}).forEach(([line, seconds]) => {
+                player.lines = player.lines || {};
+                player.lines[line] = (player.lines[line] || 0) + seconds;
+            });
+            entry.players[name] = player;
+        });
+
+        entry.games += 1;
+        entry.updatedAt = new Date().toISOString();
+        this.data.teams[key] = entry;
+        this.data.lastTeam = { ...this.data.lastTeam, [String(sport).toLowerCase()]: team };
+        this.save();
+
+        return entry;
+    }
+
+    /**
+     * Replace a team's totals with rows loaded from the database
+     * @param {Array<{name: string, games: number, played: number, fairShare: number}>} rows
+     */
+    mergeRemote(sport, team, rows) {
+        if (!team || !Array.isArray(rows) || rows.length === 0) {
+            return;
+        }
+
+        const key = SeasonLedger.teamKey(sport, team);
+        const entry = this.data.teams[key] || { sport, team, games: 0, players: {} };
+        rows.forEach(row => {
+            entry.players[row.name] = {
+                ...entry.players[row.name],
+                games: row.games || 0,
+                played: row.played || 0,
+                fairShare: row.fairShare || 0
+            };
+        });
+        entry.games = Math.max(entry.games, ...rows.map(row => row.games || 0));
+        entry.updatedAt = new Date().toISOString();
+        this.data.teams[key] = entry;
+        this.save();
+    }
+
+    /**
+     * Season equity per player, most owed first
+     * @returns {EquityRow[]}
+     */
+    getReport(sport, team) {
+        const entry = this.getTeam(sport, team);
+        if (!entry) {
+            return [];
+        }
+
+        return Object.entries(entry.players)
+            .map(([name, player]) => ({
+                name,
+                games: player.games,
+                played: Math.round(player.played),
+                fairShare: Math.round(player.fairShare),
+                equity: Math.round(player.played - player.fairShare),
+                ...(player.lines ? { lines: { ...player.lines } } : {})
+            }))
+            .sort((a, b) => a.equity - b.equity);
+    }
+
+    /**
+     * Pull a signed-in user's saved totals for a team (StatsTracker / player_stats)
+     * @returns {Promise<boolean>} True if the database answered
+     */
+    async syncFromStatsTracker(sport, team, tracker = (typeof window !== 'undefined' ? window.statsTracker : null)) {
+        if (!team || !tracker?.getSeasonMinutes) {
+            return false;
+        }
+
+        const result = await tracker.getSeasonMinutes(sport, team);
+        if (result.success) {
+            this.mergeRemote(sport, team, result.data);
+        }
+        return result.success;
+    }
+
+    /**
+     * Carry-over seconds for tonight's roster (positive = ahead of an equal share)
+     * @param {string[]} players - Tonight's players
+     * @returns {Object} { player: seconds } for players with history
+     */
+    getCarryOver(sport, team, players) {
+        const entry = this.getTeam(sport, team);
+        const carryOver = {};
+        if (!entry) {
+            return carryOver;
+        }
+
+        players.forEach(name => {
+            const player = entry.players[name];
+            if (player) {
+                carryOver[name] = Math.round(player.played - player.fairShare);
+            }
+        });
+
+        return carryOver;
+    }
+
+    /**
+     * Season seconds per line for tonight's roster (AFL line balancing)
+     * @param {string[]} players - Tonight's players
+     * @returns {Object} { player: { line: seconds } } for players with line history
+     */
+    getLineCarryOver(sport, team, players) {
+        const entry = this.getTeam(sport, team);
+        const carryOver = {};
+        if (!entry) {
+            return carryOver;
+        }
+
+        players.forEach(name => {
+            const lines = entry.players[name]?.lines;
+            if (lines) {
+                carryOver[name] = { ...lines };
+            }
+        });
+
+        return carryOver;
+    }
+}
+
+// ============================================================================
+// REPORT
+// ============================================================================
+
+function escapeHTML(str) {
+    return String(str ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#039;');
+}
+
+/**
+ * Season equity table for the setup screens
+ * @param {EquityRow[]} rows - SeasonLedger.getReport() rows
+ * @returns {string} HTML
+ */
+function renderEquityReport(rows) {
+    if (!rows || rows.length === 0) {
+        return '<p class="small-note">No games booked for this team yet - the first game starts the season ledger.</p>';
+    }
+
+    const minutes = seconds => `${seconds < 0 ? '-' : '+'}${Math.floor(Math.abs(seconds) / 60)}:${(Math.abs(seconds) % 60).toString().padStart(2, '0')}`;
+    return `
+        <table class="season-report">
+            <thead><tr><th>Player</th><th>Games</th><th>Played</th><th>Fair share</th><th>Equity</th></tr></thead>
+            <tbody>
+                ${rows.map(row => `
+                <tr>
+                    <td>${escapeHTML(row.name)}</td>
+                    <td>${row.games}</td>
+                    <td>${Math.round(row.played / 60)} min</td>
+                    <td>${Math.round(row.fairShare / 60)} min</td>
+                    <td class="${row.equity < 0 ? 'owed' : 'credit'}">${minutes(row.equity)}</td>
+                </tr>`).join('')}
+            </tbody>
+        </table>`;
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+// Export for ES6 modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SeasonLedger,
+        renderEquityReport,
+    };
+}
+
+// Export for browser
+if (typeof window !== 'undefined') {
+    window.SeasonLedger = SeasonLedger;
+    window.seasonLedger = new SeasonLedger();
+    window.renderEquityReport = renderEquityReport;
+    console.log('📒 Season Ledger loaded');
+}
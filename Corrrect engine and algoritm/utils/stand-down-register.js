@@ -0,0 +1,323 @@
+/**
+ * BenchBalancer - Stand-Down Register
+ * Version 1.0
+ *
+ * @fileoverview Keeps players who were removed for a reason that stands them
+ * down (concussion) out of later matches. Each 'removed' event is booked as
+ * it is logged (and again, harmlessly, when the game ends); a stand-down lasts until its return-to-play date or until
+ * a documented clearance is recorded in squad management. Stored in
+ * localStorage (guests) and in the player_injuries table through
+ * StatsTracker for signed-in users.
+ */
+
+// ============================================================================
+// DEPENDENCIES
+// ============================================================================
+
+const STAND_DOWN_CONFIG = ((typeof window !== 'undefined' && window.GameConfig) ||
+    (typeof require === 'function' ? require('../config/game-defaults.js') : {})).STAND_DOWN || {
+    STORAGE_KEY: 'benchbalancer_stand_downs',
+    DAYS: { concussion: 21 }
+};
+
+const REGISTER_VERSION = 1;
+
+/**
+ * Local calendar day as YYYY-MM-DD (stand-downs are counted in whole days)
+ * @param {Date|string} date
+ * @returns {string}
+ */
+function toDay(date) {
+    if (typeof date === 'string') {
+        return date.slice(0, 10);
+    }
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+function addDays(day, days) {
+    const [year, month, date] = day.split('-').map(Number);
+    return toDay(new Date(year, month - 1, date + days));
+}
+
+function createStandDownId() {
+    if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+        return crypto.randomUUID();
+    }
+    return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, c => {
+        const r = Math.random() * 16 | 0;
+        return (c === 'x' ? r : (r & 0x3 | 0x8)).toString(16);
+    });
+}
+
+// ============================================================================
+// STAND-DOWN REGISTER
+// ============================================================================
+
+/**
+ * @typedef {Object} StandDown
+ * @property {string} id - Client-generated id (player_injuries.id)
+ * @property {string} player - Player name
+ * @property {string} reason - Removal reason ('concussion')
+ * @property {string} sport - Sport the removal happened in
+ * @property {string|null} team - Team name, when the game had one
+ * @property {string} date - Day of the removal (YYYY-MM-DD)
+ * @property {string} returnDate - First day the player may play again
+ * @property {Object|null} clearance - { by, note, date } once cleared early
+ * @property {string} [eventAt] - Timestamp of the 'removed' event it was booked from
+ */
+
+class StandDownRegister {
+    /**
+     * @param {Storage} [storage] - localStorage-like store (defaults to window.localStorage)
+     */
+    constructor(storage = (typeof localStorage !== 'undefined' ? localStorage : null)) {
+        this.storage = storage;
+        this.data = this.load();
+    }
+
+    /**
+     * Register key for a player - a stand-down follows the player across sports and teams
+     */
+    static playerKey(name) {
+        return String(name || '').trim().toLowerCase();
+    }
+
+    /**
+     * Days a removal reason stands a player down (0 = back next match)
+     */
+    static getStandDownDays(reason) {
+        return STAND_DOWN_CONFIG.DAYS[String(reason || '').toLowerCase()] || 0;
+    }
+
+    load() {
+        try {
+            const saved = this.storage ? JSON.parse(this.storage.getItem(STAND_DOWN_CONFIG.STORAGE_KEY)) : null;
+            if (saved && saved.version === REGISTER_VERSION && Array.isArray(saved.records)) {
+                return saved;
+            }
+        } catch (e) {
+            console.warn('[StandDownRegister] Could not read saved register:', e);
+        }
+        return { version: REGISTER_VERSION, records: [] };
+    }
+
+    save() {
+        if (!this.storage) return;
+        try {
+            this.storage.setItem(STAND_DOWN_CONFIG.STORAGE_KEY, JSON.stringify(this.data));
+        } catch (e) {
+            console.warn('[StandDownRegister] Could not save register:', e);
+        }
+    }
+
+    /**
+     * Book a removal. Only reasons with a stand-down period create a record
+     * @param {string} player - Player removed
+     * @param {Object} details
+     * @param {string} details.reason - Removal reason from the event log
+     * @param {string} details.sport - Sport key
+     * @param {string} [details.team] - Team name
+     * @param {Date|string} [details.date] - Day of the match (default today)
+     * @param {string} [details.eventAt] - Timestamp of the logged event (a removal is booked once)
+     * @returns {StandDown|null} New record, or null when the reason does not stand the player down
+     */
+    recordRemoval(player, { reason, sport, team = null, date = new Date(), eventAt = null } = {}) {
+        const days = StandDownRegister.getStandDownDays(reason);
+        if (!player || days <= 0) {
+            return null;
+        }
+        if (eventAt && this.data.records.some(record => record.eventAt === eventAt && record.player === player)) {
+            return null;
+        }
+
+        const day = toDay(date);
+        const record = {
+            id: createStandDownId(),
+            player,
+            reason: String(reason).toLowerCase(),
+            sport: sport || null,
+            team: team || null,
+            date: day,
+            returnDate: addDays(day, days),
+            clearance: null,
+            ...(eventAt ? { eventAt } : {})
+        };
+
+        this.data.records.push(record);
+        this.save();
+        console.log(`🩺 ${player} stood down (${record.reason}) until ${record.returnDate}`);
+
+        return record;
+    }
+
+    /**
+     * Book a logged event as it happens (engine callbacks.onEvent); anything
+     * but a standing-down removal is ignored
+     * @param {string} sport - 'basketball', 'soccer', 'afl', 'oztag', 'netball'
+     * @param {Object} event - MatchEvent from the engine's log
+     * @param {Object} [options] - { team, date } as for recordGame
+     * @returns {StandDown|null} New record, or null
+     */
+    recordEvent(sport, event, { team = null, date = new Date() } = {}) {
+        if (event?.type !== 'removed') {
+            return null;
+        }
+        return this.recordRemoval(event.player, { reason: event.reason, sport, team, date, eventAt: event.at });
+    }
+
+    /**
+     * Book every standing-down removal in a finished game's event log
+     * (removals already booked as they happened are skipped)
+     * @param {string} sport - 'basketball', 'soccer', 'afl', 'oztag', 'netball'
+     * @param {Object} stats - calculateFinalStats() result ({ events, seasonTeam? })
+     * @param {Object} [options]
+     * @param {string} [options.team] - Team name (defaults to stats.seasonTeam)
+     * @param {Date|string} [options.date] - Day of the match (default today)
+     * @returns {StandDown[]} Records created
+     */
+    recordGame(sport, stats, { team = stats?.seasonTeam || null, date = new Date() } = {}) {
+        return (stats?.events || [])
+            .map(event => this.recordEvent(sport, event, { team, date }))
+            .filter(Boolean);
+    }
+
+    /**
+     * The stand-down keeping a player out on a day, if any
+     * @param {string} player - Player name
+     * @param {Date|string} [date] - Day to check (default today)
+     * @returns {StandDown|null}
+     */
+    getActive(player, date = new Date()) {
+        const key = StandDownRegister.playerKey(player);
+        const day = toDay(date);
+
+        return this.data.records
+            .filter(record => StandDownRegister.playerKey(record.player) === key)
+            .filter(record => !record.clearance && record.returnDate > day)
+            .sort((a, b) => b.returnDate.localeCompare(a.returnDate))[0] || null;
+    }
+
+    /**
+     * Every player stood down on a day
+     * @returns {StandDown[]}
+     */
+    getActiveList(date = new Date()) {
+        const players = [...new Set(this.data.records.map(record => StandDownRegister.playerKey(record.player)))];
+        return players
+            .map(key => this.getActive(key, date))
+            .filter(Boolean)
+            .sort((a, b) => a.returnDate.localeCompare(b.returnDate));
+    }
+
+    /**
+     * Setup-screen check for a match roster
+     * @param {string[]} names - Players named for the match
+     * @param {Date|string} [date] - Match day (default today)
+     * @returns {string|null} Error message, or null when nobody is stood down
+     */
+    checkRoster(names, date = new Date()) {
+        const blocked = (names || [])
+            .map(name => this.getActive(name, date))
+            .filter(Boolean);
+        if (blocked.length === 0) {
+            return null;
+        }
+
+        const list = blocked.map(record => `${record.player} (${record.reason}, until ${record.returnDate})`).join(', ');
+        return `Stood down: ${list} - record a clearance in squad management to play them earlier`;
+    }
+
+    /**
+     * Clear a player to play before their return date. Needs a documented
+     * clearance: who cleared them and the clearance itself
+     * @param {string} player - Player name
+     * @param {Object} clearance
+     * @param {string} clearance.by - Doctor or official who cleared the player
+     * @param {string} clearance.note - Clearance document / reference
+     * @param {Date|string} [clearance.date] - Day of the clearance (default today)
+     * @returns {StandDown|null} Cleared record, or null when there is nothing to clear or the clearance is incomplete
+     */
+    clear(player, { by = '', note = '', date = new Date() } = {}) {
+        const record = this.getActive(player, date);
+        if (!record || !String(by).trim() || !String(note).trim()) {
+            return null;
+        }
+
+        record.clearance = { by: String(by).trim(), note: String(note).trim(), date: toDay(date) };
+        this.save();
+        console.log(`🩺 ${record.player} cleared by ${record.clearance.by}`);
+
+        return record;
+    }
+
+    /**
+     * Merge records loaded from the database (the newer copy of each id wins;
+     * a clearance is never lost)
+     * @param {StandDown[]} rows
+     */
+    mergeRemote(rows) {
+        if (!Array.isArray(rows) || rows.length === 0) {
+            return;
+        }
+
+        rows.forEach(row => {
+            const existing = this.data.records.find(record => record.id === row.id);
+            if (!existing) {
+                this.data.records.push({ ...row });
+            } else if (row.clearance && !existing.clearance) {
+                existing.clearance = { ...row.clearance };
+            }
+        });
+        this.save();
+    }
+
+    /**
+     * Pull a signed-in user's stand-downs (StatsTracker / player_injuries)
+     * @returns {Promise<boolean>} True if the database answered
+     */
+    async syncFromStatsTracker(tracker = (typeof window !== 'undefined' ? window.statsTracker : null)) {
+        if (!tracker?.getStandDowns) {
+            return false;
+        }
+
+        const result = await tracker.getStandDowns();
+        if (result.success) {
+            this.mergeRemote(result.data);
+        }
+        return result.success;
+    }
+
+    /**
+     * Save records to a signed-in user's player_injuries rows
+     * @param {StandDown[]} records
+     * @returns {Promise<boolean>} True if every record was saved
+     */
+    async pushToStatsTracker(records, tracker = (typeof window !== 'undefined' ? window.statsTracker : null)) {
+        if (!tracker?.saveStandDown || records.length === 0) {
+            return false;
+        }
+
+        const results = await Promise.all(records.map(record => tracker.saveStandDown(record)));
+        return results.every(result => result.success);
+    }
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+// Export for ES6 modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        StandDownRegister,
+    };
+}
+
+// Export for browser
+if (typeof window !== 'undefined') {
+    window.StandDownRegister = StandDownRegister;
+    window.standDownRegister = new StandDownRegister();
+    console.log('🩺 Stand-Down Register loaded');
+}